@@ -1,553 +1,430 @@
 import express from 'express'
 import multer from 'multer'
-import axios from 'axios'
-import { GoogleGenerativeAI } from '@google/generative-ai'
 import cors from 'cors'
-import FormData from 'form-data'
-import fs from 'fs'
 import path from 'path'
-import { fileURLToPath } from 'url'
-import dotenv from 'dotenv'
-
-// Load environment variables from .env file
-dotenv.config()
-
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
+import config from './server/config.js'
+import { getParserStatus, isImageFile } from './server/parsers/index.js'
+import { getProviders, getSummarizerStatus } from './server/summarizers/index.js'
+import { processDocument, processBatch, MODES } from './server/pipeline.js'
+import { READING_LEVELS, DEFAULT_READING_LEVEL } from './server/readability/index.js'
+import { synthesizeSpeech, getTtsStatus } from './server/tts/index.js'
+import { buildMedicationSchedule, buildIcs, isCalendarDate } from './server/medications/index.js'
+import { listEntries, findRelevantEntries, buildGlossaryInstructions } from './server/glossary/index.js'
+import glossaryRouter from './server/routes/glossary.js'
+import historyRouter from './server/routes/history.js'
+import accountRouter from './server/routes/account.js'
+import languagesRouter from './server/routes/languages.js'
+import documentsRouter from './server/routes/documents.js'
+import { saveHistoryEntry, isHistoryEnabled } from './server/history/index.js'
+import { requireUser, canViewDocuments } from './server/accounts/index.js'
+import { createRedactor, getRedactionStatus } from './server/redaction/index.js'
+import { getCacheStatus } from './server/cache/index.js'
+import { getProviderHealth } from './server/resilience/index.js'
+import { normalizeLanguage } from './server/languages/index.js'
+import { detectLocale, localizeError, localizeFailure } from './server/i18n/index.js'
+import { encryptedStorage, removeUploads, cleanupUploads, startUploadSweeper } from './server/uploads/index.js'
+import { createLogger, requestLogger, runWithLogContext } from './server/logging/index.js'
+import { recordAudit, collectProviderCalls, summarizeProviderCalls } from './server/logging/audit.js'
+import {
+  createJob,
+  getJob,
+  getJobSignal,
+  updateJob,
+  setJobProgress,
+  setJobDocument,
+  getJobDocument,
+  cancelJob,
+  subscribeToJob,
+  isTerminal
+} from './server/jobs.js'
 
 const app = express()
-const PORT = 3001
+const PORT = Number(process.env.PORT) || 3001
 
 // Middleware
-app.use(cors())
+const log = createLogger('server')
+
+// Request IDs and one log line per request
+app.use(requestLogger)
+
+// The web app sends the session cookie, so only its own origins may call the API
+app.use(cors({ origin: config.clientOrigins, credentials: true }))
 app.use(express.json())
 
-// Configure multer for file uploads
-const upload = multer({ 
-  dest: 'uploads/',
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
-})
+// Error texts in the language of the web app (Accept-Language)
+app.use(detectLocale)
 
-// Ensure uploads directory exists
-if (!fs.existsSync('uploads')) {
-  fs.mkdirSync('uploads', { recursive: true })
-}
+// Routes that work without signing in
+const PUBLIC_ROUTES = ['/health', '/test', '/languages']
 
-// LlamaParse API configuration - from environment variables
-const LLAMAPARSE_API_KEY = process.env.LLAMAPARSE_API_KEY
-// LlamaParse API endpoints - try v1 API first
-const LLAMAPARSE_API_URL = 'https://api.cloud.llamaindex.ai/api/v1/parsing/upload'
-const LLAMAPARSE_BASE_URL = 'https://api.cloud.llamaindex.ai'
+// Sign-up and sign-in handle their own access; everything else under /api needs a signed-in user
+app.use('/api/account', accountRouter)
+app.use('/api', (req, res, next) => (
+  PUBLIC_ROUTES.includes(req.path) ? next() : requireUser(req, res, next)
+))
 
-// Google Gemini API configuration - from environment variables
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY
+// Configure multer for file uploads - encrypted as they are written to disk
+const MAX_FILE_SIZE = 50 * 1024 * 1024 // 50MB limit
+const upload = multer({
+  storage: encryptedStorage,
+  limits: { fileSize: MAX_FILE_SIZE }
+})
 
-// Validate that API keys are set
-if (!LLAMAPARSE_API_KEY) {
-  console.error('ERROR: LLAMAPARSE_API_KEY is not set in environment variables')
-  process.exit(1)
+// Most files in one upload - photos of one document, or documents in a batch
+const MAX_FILES = 20
+
+// Create the upload directory and clear out expired uploads, now and on a schedule
+startUploadSweeper()
+
+// LlamaParse is optional - without a key the local parsers are used instead
+if (!config.llamaparseApiKey) {
+  log.warn('LLAMAPARSE_API_KEY is not set - LlamaParse is disabled, using local parsers only')
 }
 
-if (!GEMINI_API_KEY) {
-  console.error('ERROR: GEMINI_API_KEY is not set in environment variables')
-  process.exit(1)
+// Health data is only kept encrypted - without a key there is no history
+if (!isHistoryEnabled()) {
+  log.warn('HISTORY_ENCRYPTION_KEY is not set - finished documents are not kept in the history')
 }
 
-// Initialize Google Gemini
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY)
-
-// Language mapping for Gemini
-const languageMap = {
-  'English': 'English',
-  'Spanish': 'Spanish',
-  'Chinese (Mandarin)': 'Chinese (Mandarin)',
-  'Tagalog': 'Tagalog',
-  'Vietnamese': 'Vietnamese',
-  'Arabic': 'Arabic',
-  'French': 'French',
-  'Korean': 'Korean',
-  'Russian': 'Russian',
-  'German': 'German',
-  'Hindi': 'Hindi',
-  'Portuguese': 'Portuguese',
-  'Italian': 'Italian',
-  'Japanese': 'Japanese',
-  'Urdu': 'Urdu',
-  'Polish': 'Polish',
-  'Persian': 'Persian',
-  'Turkish': 'Turkish',
-  'Greek': 'Greek',
-  'Hebrew': 'Hebrew'
+if (getProviders().length === 0) {
+  log.warn('None of the summarization providers is configured - summaries will fail', { summarizers: config.summarizers })
 }
 
-// Helper function to read text files directly
-function readTextFile(filePath) {
-  try {
-    const ext = path.extname(filePath).toLowerCase()
-    if (ext === '.txt') {
-      const content = fs.readFileSync(filePath, 'utf-8')
-      console.log('Read text file directly, length:', content.length)
-      return content
-    }
-    return null
-  } catch (error) {
-    console.error('Error reading text file:', error)
-    return null
-  }
+// Run the processing pipeline for a job in the background and record the outcome.
+// A batch job treats every file as its own document. Finished jobs are saved to
+// the document history of the user who uploaded them. Every run is written to
+// the audit log with the providers it called.
+function runJob(job, files, targetLanguage) {
+  return runWithLogContext({ jobId: job.id }, async () => {
+    const calls = []
+    const startedAt = Date.now()
+    const outcome = await collectProviderCalls(calls, () => processJob(job, files, targetLanguage))
+    await recordAudit('document.processed', {
+      jobId: job.id,
+      ownerId: job.ownerId,
+      mode: job.mode,
+      language: job.language,
+      readingLevel: job.readingLevel,
+      batch: job.batch,
+      files: files.map(file => ({
+        type: path.extname(file.originalname).toLowerCase(),
+        size: file.size,
+        sha256: file.sha256
+      })),
+      providers: summarizeProviderCalls(calls),
+      ...outcome,
+      durationMs: Date.now() - startedAt
+    })
+  })
 }
 
-// Upload and parse document with LlamaParse
-async function parseDocumentWithLlamaParse(filePath) {
+// Returns { outcome, error, redaction } for the audit log - error is the kind
+// of failure, never its message, and redaction only counts what was hidden
+async function processJob(job, files, targetLanguage) {
+  const signal = getJobSignal(job.id)
+  const uploads = files.map(file => ({ path: file.path, name: file.originalname, sha256: file.sha256 }))
   try {
-    // For .txt files, try reading directly first as a fallback
-    const textContent = readTextFile(filePath)
-    if (textContent) {
-      console.log('Read text file directly, length:', textContent.length)
-      return textContent
+    const options = {
+      targetLanguage,
+      readingLevel: job.readingLevel,
+      cacheOwner: job.ownerId,
+      signal,
+      onStage: stage => updateJob(job.id, stage),
+      onProgress: progress => setJobProgress(job.id, progress),
+      onParsed: parsed => setJobDocument(job.id, { text: parsed.text, parser: parsed.parser })
     }
-    
-    console.log('Uploading file to LlamaParse...', filePath)
-    
-    const formData = new FormData()
-    const fileStream = fs.createReadStream(filePath)
-    const fileName = path.basename(filePath)
-    const fileStats = fs.statSync(filePath)
-    
-    formData.append('file', fileStream, {
-      filename: fileName,
-      contentType: 'application/octet-stream',
-      knownLength: fileStats.size
-    })
+    const result = job.batch
+      ? await processBatch({ documents: uploads.map(upload => [upload]), locale: job.locale, ...options })
+      : await processDocument({ files: uploads, mode: job.mode, ...options })
 
-    const response = await axios.post(LLAMAPARSE_API_URL, formData, {
-      headers: {
-        'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
-        ...formData.getHeaders()
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-      timeout: 60000 // 60 second timeout
-    }).catch(error => {
-      console.error('LlamaParse upload error:', error.response?.data || error.message)
-      throw error
-    })
-
-    console.log('LlamaParse upload response:', response.data)
-
-    // LlamaParse returns a job ID, we need to poll for results
-    const jobId = response.data.id || response.data.job_id
-    
-    if (!jobId) {
-      throw new Error('No job ID returned from LlamaParse. Response: ' + JSON.stringify(response.data))
-    }
-    
-    console.log('LlamaParse job ID:', jobId)
-    
-    // Poll for the parsed result
-    let parsedText = ''
-    let attempts = 0
-    const maxAttempts = 60 // 60 attempts with 2 second intervals = 120 seconds max
-    
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 2000)) // Wait 2 seconds
-      
+    if (!signal.aborted && isHistoryEnabled()) {
       try {
-        // Try getting status - try both v1 and non-versioned endpoints
-        let statusResponse
-        try {
-          statusResponse = await axios.get(
-            `${LLAMAPARSE_BASE_URL}/api/v1/parsing/job/${jobId}`,
-            {
-              headers: {
-                'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
-                'Accept': 'application/json'
-              },
-              timeout: 10000
-            }
-          )
-        } catch (v1Error) {
-          // Fallback to non-versioned endpoint
-          statusResponse = await axios.get(
-            `${LLAMAPARSE_BASE_URL}/api/parsing/job/${jobId}`,
-            {
-              headers: {
-                'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
-                'Accept': 'application/json'
-              },
-              timeout: 10000
-            }
-          )
-        }
-        
-        console.log(`Poll attempt ${attempts + 1}: Status:`, statusResponse.data.status)
-        console.log('Status response data:', JSON.stringify(statusResponse.data, null, 2))
-        
-        if (statusResponse.data.status === 'success' || statusResponse.data.status === 'SUCCESS') {
-          // Small delay to ensure result is ready
-          await new Promise(resolve => setTimeout(resolve, 1000))
-          
-          // Check if result is already in the status response
-          let documentData = statusResponse.data
-          
-          // Log the full status response to debug (truncated for large responses)
-          const statusStr = JSON.stringify(statusResponse.data, null, 2)
-          console.log('Full status response (first 2000 chars):', statusStr.substring(0, 2000))
-          
-          // Check if result data is in the response
-          const hasResult = documentData.markdown || documentData.text || documentData.content || 
-                           documentData.result || documentData.data || documentData.parsed_content
-          
-          if (!hasResult) {
-            // Try different result endpoint variations
-            // LlamaParse API might use different endpoint structure
-            const resultEndpoints = [
-              `${LLAMAPARSE_BASE_URL}/api/v1/parsing/job/${jobId}/result`,
-              `${LLAMAPARSE_BASE_URL}/api/v1/parsing/job/${jobId}/download`,
-              `${LLAMAPARSE_BASE_URL}/api/parsing/job/${jobId}/result`,
-              `${LLAMAPARSE_BASE_URL}/api/parsing/job/${jobId}/download`,
-              `${LLAMAPARSE_BASE_URL}/api/parsing/job/${jobId}/content`,
-              `${LLAMAPARSE_BASE_URL}/api/parsing/job/${jobId}/parsed`
-            ]
-            
-            let foundResult = false
-            for (const endpoint of resultEndpoints) {
-              try {
-                console.log(`Trying endpoint: ${endpoint}`)
-                const documentResponse = await axios.get(endpoint, {
-                  headers: {
-                    'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
-                    'Accept': 'application/json'
-                  },
-                  timeout: 30000
-                })
-                documentData = documentResponse.data
-                console.log(`Successfully got result from: ${endpoint}`)
-                console.log('Result keys:', Object.keys(documentData))
-                foundResult = true
-                break
-              } catch (endpointError) {
-                const status = endpointError.response?.status
-                const errorData = endpointError.response?.data
-                console.log(`Endpoint ${endpoint} failed:`, status, errorData || endpointError.message)
-                // If it's a 404, the endpoint doesn't exist - try next one
-                // If it's another error, might be worth retrying
-                continue
-              }
-            }
-            
-            if (!foundResult) {
-              // Try one more time with a fresh status check that might include the result
-              try {
-                console.log('Trying fresh status check with result...')
-                const freshStatus = await axios.get(
-                  `${LLAMAPARSE_BASE_URL}/api/v1/parsing/job/${jobId}`,
-                  {
-                    headers: {
-                      'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
-                      'Accept': 'application/json'
-                    },
-                    timeout: 10000
-                  }
-                )
-                console.log('Fresh status response:', JSON.stringify(freshStatus.data, null, 2).substring(0, 1000))
-                documentData = freshStatus.data
-              } catch (freshError) {
-                // Try non-versioned endpoint
-                try {
-                  const freshStatus2 = await axios.get(
-                    `${LLAMAPARSE_BASE_URL}/api/parsing/job/${jobId}`,
-                    {
-                      headers: {
-                        'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
-                        'Accept': 'application/json'
-                      },
-                      timeout: 10000
-                    }
-                  )
-                  documentData = freshStatus2.data
-                } catch (freshError2) {
-                  console.log('Fresh status check also failed')
-                  documentData = statusResponse.data
-                }
-              }
-            }
-          }
-          
-          console.log('Document data structure:', Object.keys(documentData))
-          console.log('Document data sample:', JSON.stringify(documentData).substring(0, 500))
-          
-          // Extract text from the parsed document - try multiple possible formats
-          if (documentData.markdown) {
-            parsedText = documentData.markdown
-          } else if (documentData.text) {
-            parsedText = documentData.text
-          } else if (documentData.content) {
-            parsedText = documentData.content
-          } else if (documentData.parsed_content) {
-            parsedText = documentData.parsed_content
-          } else if (documentData.result) {
-            // Result might be an object or string
-            if (typeof documentData.result === 'string') {
-              parsedText = documentData.result
-            } else if (documentData.result.markdown) {
-              parsedText = documentData.result.markdown
-            } else if (documentData.result.text) {
-              parsedText = documentData.result.text
-            } else if (documentData.result.content) {
-              parsedText = documentData.result.content
-            }
-          } else if (documentData.data) {
-            if (typeof documentData.data === 'string') {
-              parsedText = documentData.data
-            } else if (documentData.data.markdown) {
-              parsedText = documentData.data.markdown
-            } else if (documentData.data.text) {
-              parsedText = documentData.data.text
-            }
-          } else if (documentData.document) {
-            if (typeof documentData.document === 'string') {
-              parsedText = documentData.document
-            } else if (documentData.document.markdown) {
-              parsedText = documentData.document.markdown
-            } else if (documentData.document.text) {
-              parsedText = documentData.document.text
-            }
-          } else if (typeof documentData === 'string') {
-            parsedText = documentData
-          } else {
-            // Last resort: try to find any string value in the object
-            const findTextInObject = (obj) => {
-              for (const key in obj) {
-                if (typeof obj[key] === 'string' && obj[key].length > 100) {
-                  return obj[key]
-                } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-                  const found = findTextInObject(obj[key])
-                  if (found) return found
-                }
-              }
-              return null
-            }
-            parsedText = findTextInObject(documentData) || JSON.stringify(documentData, null, 2)
-            if (parsedText === JSON.stringify(documentData, null, 2)) {
-              console.warn('Unexpected response format, using JSON string')
-            }
-          }
-          
-          if (parsedText) {
-            console.log('Successfully extracted text, length:', parsedText.length)
-            break
-          } else {
-            console.warn('Status is SUCCESS but no text extracted. Full response:', JSON.stringify(documentData, null, 2))
-          }
-        } else if (statusResponse.data.status === 'error' || statusResponse.data.status === 'ERROR') {
-          const errorMsg = statusResponse.data.error || statusResponse.data.message || 'LlamaParse parsing failed'
-          throw new Error(`LlamaParse parsing failed: ${errorMsg}`)
-        } else if (statusResponse.data.status === 'pending' || statusResponse.data.status === 'PENDING') {
-          // Continue polling
-        } else {
-          console.log('Unknown status:', statusResponse.data.status)
-        }
-      } catch (pollError) {
-        console.error('Error polling status:', pollError.message)
-        // Continue polling unless it's a clear error
-        if (pollError.response?.status === 404) {
-          throw new Error('LlamaParse job not found. The job may have expired.')
-        }
+        const { text, parser } = getJobDocument(job.id)
+        await saveHistoryEntry(job.ownerId, { job: { ...getJob(job.id), result }, text, parser, files: uploads })
+      } catch (error) {
+        // The result is still shown, it just is not kept
+        log.error('Failed to save document to history', { error })
       }
-      
-      attempts++
     }
-    
-    if (!parsedText && attempts >= maxAttempts) {
-      throw new Error('LlamaParse parsing timed out after 2 minutes')
+    updateJob(job.id, 'done', { result })
+    return {
+      outcome: 'done',
+      redaction: { replacements: result.redaction.replacements, sentTo: result.redaction.sentTo }
     }
-    
-    if (!parsedText) {
-      throw new Error('No text extracted from document')
-    }
-    
-    return parsedText
   } catch (error) {
-    console.error('LlamaParse error details:')
-    console.error('Error message:', error.message)
-    console.error('Error response:', error.response?.data)
-    console.error('Error status:', error.response?.status)
-    
-    let errorMessage = 'Failed to parse document with LlamaParse'
-    if (error.response?.data) {
-      errorMessage += `: ${JSON.stringify(error.response.data)}`
-    } else if (error.message) {
-      errorMessage += `: ${error.message}`
+    // Cancelled jobs are already marked as such
+    if (signal?.aborted) {
+      log.info('Job cancelled')
+      return { outcome: 'cancelled' }
+    }
+
+    log.error('Error processing document', { error })
+    const failedWhileParsing = getJob(job.id)?.stage === 'parsing'
+    const failure = {
+      ...localizeFailure(job.locale, failedWhileParsing ? 'parseFailed' : 'processFailed', error),
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     }
-    
-    throw new Error(errorMessage)
+    updateJob(job.id, 'failed', { error: failure })
+    return { outcome: 'failed', error: failure.code }
+  } finally {
+    await removeUploads(files)
   }
 }
 
-// Summarize text with Google Gemini
-async function summarizeWithGemini(text, targetLanguage) {
+// Main API endpoint - starts a processing job and returns its ID straight away.
+// mode is "summary" (default) or "translation" for a full section-by-section translation.
+// readingLevel is "grade4", "grade8" (default) or "clinical" and applies to summaries.
+// Several photos (JPEG, PNG, HEIC) sent as repeated "file" fields are combined into one document.
+// With batch=true, or when the files are not all photos, every file is summarized as a separate
+// document and the result also has one combined summary of all of them.
+// The finished document is saved to the user's document history.
+// Follow progress with GET /api/jobs/:id or the /api/jobs/:id/events stream.
+// Uploads are deleted when the request ends unless a job takes them over.
+app.post('/api/process-document', cleanupUploads, upload.array('file', MAX_FILES), async (req, res) => {
+  const files = req.files || []
+  if (files.length === 0) {
+    return res.status(400).json(localizeError(req.locale, 'noFile'))
+  }
+
+  const reject = (code, params) => {
+    res.status(400).json(localizeError(req.locale, code, params))
+  }
+
+  // Language and reading level default to the user's settings
+  const {
+    language = req.user.settings.language,
+    mode = 'summary',
+    readingLevel = req.user.settings.readingLevel || DEFAULT_READING_LEVEL
+  } = req.body
+  const batch = files.length > 1 && (req.body.batch === 'true' || !files.every(file => isImageFile(file.originalname)))
+  if (!language) {
+    return reject('languageMissing')
+  }
+  if (!MODES.includes(mode)) {
+    return reject('unknownMode', { mode, modes: MODES.join(', ') })
+  }
+  if (!READING_LEVELS[readingLevel]) {
+    return reject('unknownReadingLevel', { readingLevel, readingLevels: Object.keys(READING_LEVELS).join(', ') })
+  }
+  if (batch && mode !== 'summary') {
+    return reject('batchTranslation')
+  }
+
+  const targetLanguage = normalizeLanguage(language)
+  const job = createJob({
+    fileName: files.map(file => file.originalname).join(', '),
+    language: targetLanguage,
+    mode,
+    readingLevel: mode === 'summary' ? readingLevel : null,
+    batch,
+    ownerId: req.user.id,
+    locale: req.locale
+  })
+  // The job removes the uploads when it finishes, fails or is cancelled
+  req.keepUploads = true
+  runJob(job, files, targetLanguage)
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    job
+  })
+})
+
+// Jobs are only visible to the user who started them and that user's caregivers
+app.use('/api/jobs/:id', async (req, res, next) => {
+  const job = getJob(req.params.id)
   try {
-    const prompt = `Please summarize the following health document in ${targetLanguage}. 
-    Provide a clear, comprehensive summary that includes:
-    1. Main health information and findings
-    2. Important recommendations or instructions
-    3. Any critical details that the patient should know
-    
-    Document content:
-    ${text}
-    
-    Please provide the summary in ${targetLanguage}.`
-
-    // Try using the SDK first with different model names
-    const modelNames = ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-pro']
-    let summary = null
-    
-    for (const modelName of modelNames) {
-      try {
-        console.log(`Trying Gemini model: ${modelName}`)
-        const model = genAI.getGenerativeModel({ model: modelName })
-        const result = await model.generateContent(prompt)
-        const response = await result.response
-        summary = response.text()
-        console.log(`Successfully used model: ${modelName}`)
-        break
-      } catch (modelError) {
-        console.log(`Model ${modelName} failed:`, modelError.message)
-        // If it's a 404, try next model
-        if (modelError.message.includes('404') || modelError.message.includes('not found')) {
-          continue
-        }
-        // If it's another error, throw it
-        throw modelError
-      }
-    }
-    
-    if (!summary) {
-      // Fallback: Try using REST API directly
-      console.log('SDK models failed, trying REST API directly...')
-      const restResponse = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${GEMINI_API_KEY}`,
-        {
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      )
-      
-      if (restResponse.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        summary = restResponse.data.candidates[0].content.parts[0].text
-        console.log('Successfully used REST API')
-      } else {
-        throw new Error('Failed to get response from Gemini API')
-      }
+    if (job && !await canViewDocuments(req.user.id, job.ownerId)) {
+      return res.status(404).json(localizeError(req.locale, 'jobNotFound'))
     }
-    
-    return summary
+    next()
   } catch (error) {
-    console.error('Gemini error:', error.message)
-    console.error('Gemini error details:', error.response?.data || error)
-    throw error
+    next(error)
   }
-}
+})
 
-// Main API endpoint
-app.post('/api/process-document', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' })
-    }
+// Current state of a processing job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json(localizeError(req.locale, 'jobNotFound'))
+  }
+  res.json(job)
+})
 
-    const { language } = req.body
-    if (!language) {
-      return res.status(400).json({ error: 'Language not specified' })
-    }
+// Server-Sent Events stream of job progress. Sends the job on every stage change
+// and closes once the job is done, failed or cancelled.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json(localizeError(req.locale, 'jobNotFound'))
+  }
 
-    const filePath = req.file.path
-    const targetLanguage = languageMap[language] || language
-
-    // Step 1: Parse document with LlamaParse
-    console.log('Parsing document with LlamaParse...')
-    let parsedText
-    try {
-      parsedText = await parseDocumentWithLlamaParse(filePath)
-    } catch (parseError) {
-      console.error('LlamaParse failed, error:', parseError.message)
-      
-      // Check if it's a text file - we can read it directly
-      const textContent = readTextFile(filePath)
-      if (textContent) {
-        console.log('Using direct text file reading as fallback')
-        parsedText = textContent
-      } else {
-        // For non-text files, return error with helpful message
-        return res.status(500).json({ 
-          error: 'Failed to parse document with LlamaParse',
-          message: parseError.message,
-          suggestion: 'LlamaParse API may be experiencing issues. Try again in a moment, or use a .txt file for direct processing.'
-        })
-      }
-    }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  })
+  res.flushHeaders()
 
-    if (!parsedText || parsedText.trim().length === 0) {
-      return res.status(500).json({ 
-        error: 'Failed to parse document',
-        message: 'No text content extracted from the document'
-      })
+  let unsubscribe = () => {}
+  const send = (update) => {
+    res.write(`data: ${JSON.stringify(update)}\n\n`)
+    if (isTerminal(update)) {
+      unsubscribe()
+      res.end()
     }
-    
-    console.log('Successfully parsed document, text length:', parsedText.length)
-
-    // Step 2: Summarize with Gemini
-    console.log('Summarizing with Gemini...')
-    const summary = await summarizeWithGemini(parsedText, targetLanguage)
-
-    // Clean up uploaded file
-    fs.unlinkSync(filePath)
-
-    // Return the summary
-    res.json({
-      success: true,
-      summary: summary,
-      originalLanguage: 'English', // Assuming documents are in English
-      targetLanguage: targetLanguage
-    })
+  }
+
+  send(job)
+  if (!isTerminal(job)) {
+    unsubscribe = subscribeToJob(job.id, send)
+    req.on('close', () => unsubscribe())
+  }
+})
+
+// Cancel a job that is still running
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json(localizeError(req.locale, 'jobNotFound'))
+  }
+  if (job.ownerId !== req.user.id) {
+    return res.status(403).json(localizeError(req.locale, 'notJobOwner'))
+  }
+  if (!cancelJob(job.id)) {
+    return res.status(409).json(localizeError(req.locale, 'jobFinished', {}, { job }))
+  }
+  res.json({ success: true, job: getJob(job.id) })
+})
+
+// Extract the medications from a processed document and build a daily dosing timetable
+// with plain-language instructions in the requested (or the job's) language
+app.post('/api/jobs/:id/medications', async (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json(localizeError(req.locale, 'jobNotFound'))
+  }
+  const document = getJobDocument(job.id)
+  if (!document?.text) {
+    return res.status(409).json(localizeError(req.locale, 'notParsed'))
+  }
+
+  const language = req.body?.language
+  const targetLanguage = language ? normalizeLanguage(language) : job.language
+
+  const calls = []
+  const audit = outcome => recordAudit('document.medications', {
+    jobId: job.id,
+    ownerId: job.ownerId,
+    language: targetLanguage,
+    providers: summarizeProviderCalls(calls),
+    outcome
+  })
+
+  try {
+    const glossary = findRelevantEntries(document.text, await listEntries(targetLanguage))
+    const redactor = createRedactor(document.text)
+    const medicationSchedule = await collectProviderCalls(calls, () => buildMedicationSchedule(document.text, targetLanguage, {
+      glossary: buildGlossaryInstructions(glossary),
+      redactor
+    }))
+    setJobDocument(job.id, { medicationSchedule })
+    audit('done')
+    res.json({ success: true, ...medicationSchedule, redaction: redactor.audit() })
   } catch (error) {
-    console.error('Error processing document:', error)
-    console.error('Error stack:', error.stack)
-    
-    // Clean up file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      try {
-        fs.unlinkSync(req.file.path)
-      } catch (unlinkError) {
-        console.error('Error deleting file:', unlinkError)
-      }
-    }
-    
-    const errorMessage = error.message || 'Unknown error occurred'
-    console.error('Returning error to client:', errorMessage)
-    
-    res.status(500).json({ 
-      error: 'Failed to process document',
-      message: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    log.error('Error extracting medications', { error })
+    audit('failed')
+    res.status(500).json(localizeFailure(req.locale, 'medicationsFailed', error))
+  }
+})
+
+// Download the medication timetable as calendar reminders (.ics).
+// ?start=YYYY-MM-DD sets the first day, defaulting to today.
+app.get('/api/jobs/:id/medications/calendar.ics', (req, res) => {
+  const job = getJob(req.params.id)
+  const medicationSchedule = job && getJobDocument(job.id)?.medicationSchedule
+  if (!medicationSchedule) {
+    return res.status(404).json(localizeError(req.locale, 'noMedicationSchedule'))
+  }
+
+  const startDate = req.query.start || new Date().toISOString().slice(0, 10)
+  if (!isCalendarDate(startDate)) {
+    return res.status(400).json(localizeError(req.locale, 'invalidStartDate'))
+  }
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="medication-schedule.ics"'
+  })
+  res.send(buildIcs(medicationSchedule.schedule, { startDate }))
+})
+
+// Download the job's summary or translation read aloud in the job's language.
+// ?speed= sets the speaking rate, from 0.5 to 2 (default 1).
+app.get('/api/jobs/:id/audio', async (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) {
+    return res.status(404).json(localizeError(req.locale, 'jobNotFound'))
+  }
+  if (job.stage !== 'done') {
+    return res.status(409).json(localizeError(req.locale, 'jobNotDone'))
+  }
+
+  const text = job.result.mode === 'translation'
+    ? job.result.sections.map(section => section.target).join('\n\n')
+    : job.result.summary
+
+  // Stop generating when the client goes away
+  const controller = new AbortController()
+  res.on('close', () => controller.abort())
+
+  const calls = []
+  const audit = outcome => recordAudit('document.audio', {
+    jobId: job.id,
+    ownerId: job.ownerId,
+    language: job.language,
+    providers: summarizeProviderCalls(calls),
+    outcome
+  })
+
+  try {
+    const speech = await collectProviderCalls(calls, () => (
+      synthesizeSpeech(text, job.language, { speed: req.query.speed, signal: controller.signal })
+    ))
+    audit('done')
+    res.set({
+      'Content-Type': speech.contentType,
+      'Content-Disposition': `attachment; filename="${job.result.mode}.${speech.extension}"`,
+      'X-TTS-Backend': speech.backend
     })
+    res.send(speech.audio)
+  } catch (error) {
+    if (controller.signal.aborted) return audit('cancelled')
+    log.error('Error generating audio', { error })
+    audit('failed')
+    res.status(500).json(localizeFailure(req.locale, 'audioFailed', error))
   }
 })
 
+// Glossary management
+app.use('/api/glossaries', glossaryRouter)
+app.use('/api/history', historyRouter)
+app.use('/api/languages', languagesRouter)
+app.use('/api/documents', documentsRouter)
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
-    geminiConfigured: !!GEMINI_API_KEY,
-    llamaparseConfigured: !!LLAMAPARSE_API_KEY,
+    // Live state of the outside services called so far
+    providers: getProviderHealth(),
+    parsers: getParserStatus(),
+    summarizers: getSummarizerStatus(),
+    tts: getTtsStatus(),
+    redaction: getRedactionStatus(),
+    cache: getCacheStatus(),
     server: 'running'
   })
 })
@@ -560,11 +437,46 @@ app.get('/api/test', (req, res) => {
   })
 })
 
+// Upload errors (file too large, too many files) as JSON instead of an HTML error page
+app.use((error, req, res, next) => {
+  if (!(error instanceof multer.MulterError)) {
+    return next(error)
+  }
+  const body = error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT'
+    ? localizeError(req.locale, 'tooManyFiles', { max: MAX_FILES })
+    : error.code === 'LIMIT_FILE_SIZE'
+      ? localizeError(req.locale, 'fileTooLarge', { maxMb: MAX_FILE_SIZE / 1024 / 1024 })
+      : { code: error.code, error: error.message }
+  res.status(400).json(body)
+})
+
+// Anything else that went wrong - logged scrubbed instead of printed raw by Express.
+// Errors that carry a client status keep it, e.g. 400 for malformed JSON and 413
+// for a body over the limit. Those are the client's problem and only a warning;
+// the message is left out because it can quote the body.
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error)
+  const status = error.status >= 400 && error.status < 600 ? error.status : 500
+  if (status >= 500) {
+    log.error('Unhandled error', { error })
+    return res.status(status).json(localizeError(req.locale, 'internalError'))
+  }
+  log.warn('Rejected request', { status, type: error.type })
+  res.status(status).json(localizeError(req.locale, status === 413 ? 'requestTooLarge' : 'invalidRequest'))
+})
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`)
-  console.log('✓ Gemini API configured')
-  console.log('✓ LlamaParse API configured')
-  console.log('✓ API keys loaded from environment variables (secure)')
+  log.info('Server running', {
+    url: `http://localhost:${PORT}`,
+    summarizers: getProviders().map(provider => provider.name),
+    llamaparse: !!config.llamaparseApiKey,
+    redaction: getRedactionStatus()
+  })
+  if (!getRedactionStatus().enabled) {
+    log.warn('PHI redaction is off - documents go to third-party services unredacted')
+  } else if (config.redactionAllowRawExternal) {
+    log.warn('Raw files and speech text may go to third-party services unredacted (REDACTION_ALLOW_RAW_EXTERNAL)')
+  }
 })
 
@@ -0,0 +1,23 @@
+export {
+  validateRegistration,
+  validateSettings,
+  createUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  updateSettings,
+  listCaregivers,
+  listPatients,
+  addCaregiver,
+  removeCaregiver,
+  canViewDocuments
+} from './store.js'
+
+export {
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireUser,
+  requireAdmin
+} from './sessions.js'
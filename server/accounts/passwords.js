@@ -0,0 +1,32 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+
+const scrypt = promisify(crypto.scrypt)
+
+const KEY_LENGTH = 64
+const MIN_PASSWORD_LENGTH = 8
+
+// Hashes are stored as "scrypt$<salt>$<key>", hex encoded
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(password, salt, KEY_LENGTH)
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`
+}
+
+async function verifyPassword(password, hash) {
+  const [scheme, salt, expected] = (hash || '').split('$')
+  if (scheme !== 'scrypt' || !salt || !expected) return false
+  const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH)
+  return crypto.timingSafeEqual(key, Buffer.from(expected, 'hex'))
+}
+
+// Hash of a password nobody has, checked for unknown emails so a failed login
+// takes as long whether or not the account exists
+const dummyHash = hashPassword(crypto.randomUUID())
+
+async function verifyNoPassword(password) {
+  await verifyPassword(password, await dummyHash)
+  return false
+}
+
+export { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, verifyNoPassword }
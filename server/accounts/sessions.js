@@ -0,0 +1,55 @@
+import config from '../config.js'
+import { getSessionUser } from './store.js'
+import { setLogContext } from '../logging/index.js'
+import { localizeError } from '../i18n/index.js'
+
+// Sessions live in an HttpOnly cookie, so the browser also sends them with the
+// job event stream and download links, which cannot carry headers
+const SESSION_COOKIE = 'hfa_session'
+
+// Value of the session cookie in a request, or null
+function readSessionToken(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=')
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='))
+  }
+  return null
+}
+
+function setSessionCookie(res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.secureCookies,
+    expires: new Date(expiresAt)
+  })
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: config.secureCookies })
+}
+
+// Middleware that rejects requests without a valid session and sets req.user otherwise
+async function requireUser(req, res, next) {
+  try {
+    const user = await getSessionUser(readSessionToken(req))
+    if (!user) {
+      return res.status(401).json(localizeError(req.locale, 'signInRequired'))
+    }
+    req.user = user
+    setLogContext({ userId: user.id })
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Middleware, after requireUser, that only lets admins (ADMIN_EMAILS) through
+function requireAdmin(req, res, next) {
+  if (!req.user?.admin) {
+    return res.status(403).json(localizeError(req.locale, 'adminRequired'))
+  }
+  next()
+}
+
+export { readSessionToken, setSessionCookie, clearSessionCookie, requireUser, requireAdmin }
@@ -0,0 +1,297 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import config from '../config.js'
+import { READING_LEVELS, DEFAULT_READING_LEVEL } from '../readability/index.js'
+import { normalizeLanguage } from '../languages/index.js'
+import { translate, DEFAULT_LOCALE } from '../i18n/index.js'
+import { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, verifyNoPassword } from './passwords.js'
+
+// Accounts and sessions are stored in one JSON file:
+// { users: [{ id, name, email, passwordHash, settings, caregiverIds, createdAt, updatedAt }],
+//   sessions: [{ tokenHash, userId, createdAt, expiresAt }] }
+// caregiverIds lists the users the account has allowed to view its documents.
+// Only a hash of each session token is stored.
+
+const ACCOUNTS_FILE = config.accountsFile
+
+const SESSION_TTL_MS = config.sessionDays * 24 * 60 * 60 * 1000
+
+const DEFAULT_SETTINGS = {
+  language: null,
+  readingLevel: DEFAULT_READING_LEVEL,
+  darkMode: false
+}
+
+// Writes are chained so concurrent requests cannot lose updates
+let writeQueue = Promise.resolve()
+
+// messageKey names the text in the i18n catalogs, so routes can send it in the
+// language of the request; the error's own message is the English text
+function httpError(status, messageKey) {
+  const error = new Error(translate(DEFAULT_LOCALE, messageKey))
+  error.status = status
+  error.messageKey = messageKey
+  return error
+}
+
+function normalizeEmail(email) {
+  return email.trim().toLowerCase()
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+async function readAccounts() {
+  try {
+    return JSON.parse(await fs.promises.readFile(ACCOUNTS_FILE, 'utf-8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return { users: [], sessions: [] }
+    throw error
+  }
+}
+
+// Write via a temp file and rename so a crash never leaves half a file behind
+async function writeAccounts(accounts) {
+  await fs.promises.mkdir(path.dirname(ACCOUNTS_FILE), { recursive: true })
+  const tempPath = `${ACCOUNTS_FILE}.${process.pid}.tmp`
+  await fs.promises.writeFile(tempPath, JSON.stringify(accounts, null, 2), { mode: 0o600 })
+  await fs.promises.rename(tempPath, ACCOUNTS_FILE)
+}
+
+// Read, change and write the accounts as one queued operation.
+// update(accounts) mutates the accounts and returns the value to resolve with.
+// Expired sessions are dropped on every write.
+function modifyAccounts(update) {
+  const next = writeQueue.catch(() => {}).then(async () => {
+    const accounts = await readAccounts()
+    const result = await update(accounts)
+    const now = new Date().toISOString()
+    accounts.sessions = accounts.sessions.filter(session => session.expiresAt > now)
+    await writeAccounts(accounts)
+    return result
+  })
+  writeQueue = next
+  return next
+}
+
+// What the client may see of an account - never the password hash.
+// admin is true for the accounts listed in ADMIN_EMAILS.
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    admin: config.adminEmails.includes(user.email),
+    settings: { ...DEFAULT_SETTINGS, ...user.settings },
+    createdAt: user.createdAt
+  }
+}
+
+function toContact(user) {
+  return { id: user.id, name: user.name, email: user.email }
+}
+
+// Check and clean a registration from a request body. Returns { account, errors },
+// errors as [{ key, params }] of the i18n catalogs.
+function validateRegistration(body) {
+  const errors = []
+  const account = {}
+
+  if (typeof body.name !== 'string' || !body.name.trim()) {
+    errors.push({ key: 'problem.name' })
+  } else {
+    account.name = body.name.trim()
+  }
+  if (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(body.email.trim())) {
+    errors.push({ key: 'problem.email' })
+  } else {
+    account.email = normalizeEmail(body.email)
+  }
+  if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({ key: 'problem.password', params: { min: MIN_PASSWORD_LENGTH } })
+  } else {
+    account.password = body.password
+  }
+
+  return { account, errors }
+}
+
+// Check and clean settings from a request body; every field is optional.
+// Returns { settings, errors } like validateRegistration.
+function validateSettings(body) {
+  const errors = []
+  const settings = {}
+
+  if (body.language !== undefined) {
+    if (body.language !== null && (typeof body.language !== 'string' || !body.language.trim())) {
+      errors.push({ key: 'problem.language' })
+    } else {
+      settings.language = body.language ? normalizeLanguage(body.language.trim()) : null
+    }
+  }
+  if (body.readingLevel !== undefined) {
+    if (!READING_LEVELS[body.readingLevel]) {
+      errors.push({ key: 'problem.readingLevel', params: { readingLevels: Object.keys(READING_LEVELS).join(', ') } })
+    } else {
+      settings.readingLevel = body.readingLevel
+    }
+  }
+  if (body.darkMode !== undefined) {
+    if (typeof body.darkMode !== 'boolean') {
+      errors.push({ key: 'problem.darkMode' })
+    } else {
+      settings.darkMode = body.darkMode
+    }
+  }
+
+  return { settings, errors }
+}
+
+// Returns the new account; fails with status 409 when the email is taken
+async function createUser({ name, email, password }) {
+  const passwordHash = await hashPassword(password)
+  return modifyAccounts((accounts) => {
+    if (accounts.users.some(user => user.email === email)) {
+      throw httpError(409, 'emailTaken.message')
+    }
+    const now = new Date().toISOString()
+    const user = {
+      id: crypto.randomUUID(),
+      name,
+      email,
+      passwordHash,
+      settings: { ...DEFAULT_SETTINGS },
+      caregiverIds: [],
+      createdAt: now,
+      updatedAt: now
+    }
+    accounts.users.push(user)
+    return toPublicUser(user)
+  })
+}
+
+// The account with this email and password, or null
+async function authenticate(email, password) {
+  const { users } = await readAccounts()
+  const user = users.find(item => item.email === normalizeEmail(email))
+  if (!user) {
+    await verifyNoPassword(password)
+    return null
+  }
+  return await verifyPassword(password, user.passwordHash) ? toPublicUser(user) : null
+}
+
+// Start a session for a user. Returns { token, expiresAt } - the token is only known to the client.
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const now = Date.now()
+  const session = {
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  }
+  return modifyAccounts((accounts) => {
+    accounts.sessions.push(session)
+    return { token, expiresAt: session.expiresAt }
+  })
+}
+
+// The account a session token belongs to, or null when it is unknown or expired
+async function getSessionUser(token) {
+  if (!token) return null
+  const { users, sessions } = await readAccounts()
+  const tokenHash = hashToken(token)
+  const session = sessions.find(item => item.tokenHash === tokenHash)
+  if (!session || session.expiresAt <= new Date().toISOString()) return null
+  const user = users.find(item => item.id === session.userId)
+  return user ? toPublicUser(user) : null
+}
+
+function deleteSession(token) {
+  const tokenHash = hashToken(token)
+  return modifyAccounts((accounts) => {
+    accounts.sessions = accounts.sessions.filter(session => session.tokenHash !== tokenHash)
+    return true
+  })
+}
+
+// Returns the updated account, or null when there is no account with that ID
+function updateSettings(userId, settings) {
+  return modifyAccounts((accounts) => {
+    const user = accounts.users.find(item => item.id === userId)
+    if (!user) return null
+    user.settings = { ...DEFAULT_SETTINGS, ...user.settings, ...settings }
+    user.updatedAt = new Date().toISOString()
+    return toPublicUser(user)
+  })
+}
+
+// People allowed to view the user's documents
+async function listCaregivers(userId) {
+  const { users } = await readAccounts()
+  const user = users.find(item => item.id === userId)
+  return (user?.caregiverIds || [])
+    .map(id => users.find(item => item.id === id))
+    .filter(Boolean)
+    .map(toContact)
+}
+
+// People whose documents the user may view
+async function listPatients(userId) {
+  const { users } = await readAccounts()
+  return users.filter(user => user.caregiverIds.includes(userId)).map(toContact)
+}
+
+// Let the account with caregiverEmail view the user's documents. Returns the caregiver.
+function addCaregiver(userId, caregiverEmail) {
+  return modifyAccounts((accounts) => {
+    const user = accounts.users.find(item => item.id === userId)
+    const caregiver = accounts.users.find(item => item.email === normalizeEmail(caregiverEmail))
+    if (!user) throw httpError(404, 'accountNotFound.message')
+    if (!caregiver) throw httpError(404, 'noAccountForEmail.message')
+    if (caregiver.id === user.id) throw httpError(400, 'selfCaregiver.message')
+    if (!user.caregiverIds.includes(caregiver.id)) {
+      user.caregiverIds.push(caregiver.id)
+      user.updatedAt = new Date().toISOString()
+    }
+    return toContact(caregiver)
+  })
+}
+
+// Returns true when the caregiver had access
+function removeCaregiver(userId, caregiverId) {
+  return modifyAccounts((accounts) => {
+    const user = accounts.users.find(item => item.id === userId)
+    if (!user || !user.caregiverIds.includes(caregiverId)) return false
+    user.caregiverIds = user.caregiverIds.filter(id => id !== caregiverId)
+    user.updatedAt = new Date().toISOString()
+    return true
+  })
+}
+
+// Whether viewerId may see the documents of ownerId: their own, or a patient's who allowed it
+async function canViewDocuments(viewerId, ownerId) {
+  if (!viewerId || !ownerId) return false
+  if (viewerId === ownerId) return true
+  const { users } = await readAccounts()
+  return users.find(user => user.id === ownerId)?.caregiverIds.includes(viewerId) || false
+}
+
+export {
+  validateRegistration,
+  validateSettings,
+  createUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  updateSettings,
+  listCaregivers,
+  listPatients,
+  addCaregiver,
+  removeCaregiver,
+  canViewDocuments
+}
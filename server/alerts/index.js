@@ -0,0 +1,306 @@
+import { splitSentences } from '../summarizers/extractive.js'
+import { extractMedicationsFromText } from '../medications/extract.js'
+import { citeQuotes } from '../citations/index.js'
+import { escapeRegExp } from '../utils/text.js'
+import {
+  EMERGENCY_PATTERNS,
+  CRITICAL_WORD_PATTERN,
+  NOT_CRITICAL_PATTERN,
+  CRITICAL_FLAG_PATTERNS,
+  CRITICAL_LIMITS,
+  LAB_LINE_PATTERN,
+  LAB_NAME_PATTERN,
+  LAB_UNIT_PATTERN,
+  REFERENCE_RANGE_PATTERN,
+  ALLERGY_PATTERNS,
+  NO_ALLERGY_PATTERN,
+  ALLERGY_CLASSES,
+  DRUG_GROUPS,
+  INTERACTIONS
+} from './rules.js'
+
+// Alert types in the order they are shown within a severity
+const ALERT_TYPES = ['returnToEr', 'criticalLab', 'allergy', 'interaction']
+const SEVERITIES = ['critical', 'warning']
+
+// Longest allergy entry taken for a substance - longer ones are sentences, not lists
+const MAX_SUBSTANCE_LENGTH = 40
+// Longest line a critical flag is read from - longer ones are prose, not lab results
+const MAX_LAB_LINE_LENGTH = 100
+
+function mentions(text, name) {
+  return new RegExp(`(^|[^\\p{L}])${escapeRegExp(name)}($|[^\\p{L}])`, 'iu').test(text)
+}
+
+// Sentences telling the patient to get emergency care
+function findEmergencyInstructions(text) {
+  return [...new Set(splitSentences(text).filter(sentence => (
+    EMERGENCY_PATTERNS.some(pattern => pattern.test(sentence))
+  )))]
+}
+
+// Whether a result is outside the critical limits of its test: 'high', 'low' or null
+function checkCriticalLimits(name, value, unit) {
+  const test = CRITICAL_LIMITS.find(entry => entry.pattern.test(name))
+  if (!test) return null
+  const limits = test.limits.find(entry => entry.unit ? entry.unit.test(unit) : true)
+  if (!limits) return null
+  if (limits.high !== undefined && value > limits.high) return 'high'
+  if (limits.low !== undefined && value < limits.low) return 'low'
+  return null
+}
+
+// Whether a line is a lab result rather than prose with a number in it: it
+// starts with a known test, or the value has a lab unit or a reference range.
+// afterUnit is the rest of the line after the value and its unit.
+function isLabRow(name, unit, afterUnit) {
+  return LAB_NAME_PATTERN.test(name) || LAB_UNIT_PATTERN.test(unit) || REFERENCE_RANGE_PATTERN.test(afterUnit)
+}
+
+// Whether the rest of a lab row marks the result as critical - flags only
+// count right after the value, after its unit or after its reference range
+function hasCriticalFlag(afterValue, afterUnit) {
+  if (CRITICAL_WORD_PATTERN.test(afterValue)) return !NOT_CRITICAL_PATTERN.test(afterValue)
+  const afterRange = afterUnit.replace(REFERENCE_RANGE_PATTERN, '')
+  return [afterValue, afterUnit, afterRange].some(rest => CRITICAL_FLAG_PATTERNS.some(pattern => pattern.test(rest)))
+}
+
+// Lab results flagged as critical on the report or outside the critical limits
+// of their test, one per line: [{ name, value, unit, direction, quote }]
+function findCriticalLabs(text) {
+  const labs = []
+  for (const line of text.split('\n')) {
+    const match = line.match(LAB_LINE_PATTERN)
+    if (!match) continue
+    const name = match[1].trim()
+    const value = match[2].replace(/[<>\s]/g, '').replace(',', '.')
+    // A flag right after the value is read as the unit by the line pattern
+    const unit = match[3] && !CRITICAL_FLAG_PATTERNS.some(pattern => pattern.test(match[3])) ? match[3].replace(/\.$/, '') : ''
+    const afterValue = line.slice(match.indices[2][1])
+    const afterUnit = unit ? afterValue.slice(afterValue.indexOf(unit) + unit.length) : afterValue
+    const direction = checkCriticalLimits(name, Number(value), unit)
+    const flagged = line.trim().length <= MAX_LAB_LINE_LENGTH &&
+      isLabRow(name, unit, afterUnit) &&
+      hasCriticalFlag(afterValue, afterUnit)
+    if (!direction && !flagged) continue
+    labs.push({ name, value, unit, direction, quote: line.trim() })
+  }
+  return labs
+}
+
+// Allergies the document lists: [{ substance, reaction, quote }]
+function findAllergies(text) {
+  const allergies = []
+  for (const pattern of ALLERGY_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      if (NO_ALLERGY_PATTERN.test(match[1])) continue
+      for (const item of match[1].split(/[,;]|\band\b|\by\b/)) {
+        const reaction = item.match(/\(([^)]+)\)/)?.[1].trim() || ''
+        const substance = item.replace(/\([^)]*\)/g, '').replace(/[\s.:-]+$/, '').trim()
+        if (!substance || substance.length > MAX_SUBSTANCE_LENGTH || NO_ALLERGY_PATTERN.test(substance)) continue
+        if (allergies.some(allergy => allergy.substance.toLowerCase() === substance.toLowerCase())) continue
+        allergies.push({ substance, reaction, quote: match[0].trim() })
+      }
+    }
+  }
+  return allergies
+}
+
+// Medications the patient is told to take: names from the medication lines of
+// the document and from the summary the model wrote
+function findPrescribedMedications(text, structuredSummary) {
+  const names = [
+    ...extractMedicationsFromText(text).map(medication => medication.name),
+    ...(structuredSummary?.medications || []).map(medication => medication.name)
+  ]
+  const seen = new Set()
+  return names.filter(name => {
+    const key = name.toLowerCase()
+    if (!name || seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+// The allergy class of a substance, e.g. 'penicillin' for "amoxicillin", or null
+function allergyClassOf(name) {
+  return Object.entries(ALLERGY_CLASSES)
+    .find(([, members]) => members.some(member => mentions(name, member)))?.[0] || null
+}
+
+// A prescribed medication the patient is allergic to, or one of the same class
+function findAllergyConflict(substance, medications) {
+  const allergyClass = allergyClassOf(substance)
+  return medications.find(medication => (
+    mentions(medication, substance) ||
+    (allergyClass && ALLERGY_CLASSES[allergyClass].some(member => mentions(medication, member)))
+  )) || null
+}
+
+// Pairs of prescribed medications that are dangerous together
+function findInteractions(medications) {
+  const interactions = []
+  const inGroup = (group) => medications.filter(medication => (
+    DRUG_GROUPS[group].some(member => mentions(medication, member))
+  ))
+  for (const { groups: [first, second], risk, severity } of INTERACTIONS) {
+    for (const a of inGroup(first)) {
+      const b = inGroup(second).find(medication => medication !== a)
+      if (!b) continue
+      interactions.push({ medications: [a, b], risk, severity })
+      break
+    }
+  }
+  return interactions
+}
+
+// Source sentences of a medication, for the citations of an interaction or conflict
+function medicationQuotes(text, names) {
+  return text.split('\n').filter(line => names.some(name => mentions(line, name))).map(line => line.trim())
+}
+
+function sortAlerts(alerts) {
+  return alerts.sort((a, b) => (
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    ALERT_TYPES.indexOf(a.type) - ALERT_TYPES.indexOf(b.type)
+  ))
+}
+
+// Red flags in a document that the patient must not miss: instructions to go
+// back to the emergency room, critical lab values, allergies (critical when a
+// prescribed medication conflicts with one) and dangerous medication pairs.
+// The rules read parsedText as written; the structured summary the model wrote
+// (null for translations) adds warning signs, labs it flagged critical and the
+// medications it found, in any language. Returns alerts, critical ones first:
+// { type, severity, detectedBy: ['rules' | 'model'], citations, ...details }
+// with details per type:
+// returnToEr   - signs: [{ sign, action }] from the summary, in the target language;
+//                critical when the document says to get emergency care
+// criticalLab  - name, value, unit, referenceRange, direction ('high', 'low' or null)
+// allergy      - substance, reaction, conflictsWith (a prescribed medication or null)
+// interaction  - medications: [first, second], risk
+function detectAlerts(parsedText, structuredSummary = null) {
+  const alerts = []
+
+  // Going back to the emergency room
+  const emergencyQuotes = findEmergencyInstructions(parsedText)
+  const warningSigns = structuredSummary?.warningSigns || []
+  if (emergencyQuotes.length > 0 || warningSigns.length > 0) {
+    const citations = citeQuotes(parsedText, emergencyQuotes)
+    for (const sign of warningSigns) {
+      for (const citation of sign.citations || []) {
+        if (!citations.some(existing => existing.start === citation.start)) citations.push(citation)
+      }
+    }
+    alerts.push({
+      type: 'returnToEr',
+      // Warning signs alone may only call for the doctor, not the emergency room
+      severity: emergencyQuotes.length > 0 ? 'critical' : 'warning',
+      detectedBy: [emergencyQuotes.length > 0 && 'rules', warningSigns.length > 0 && 'model'].filter(Boolean),
+      signs: warningSigns.map(({ sign, action }) => ({ sign, action })),
+      citations
+    })
+  }
+
+  // Critical lab values - the model's and the rules' are the same when they cite the same line
+  const labAlerts = findCriticalLabs(parsedText).map(({ quote, ...lab }) => ({
+    type: 'criticalLab',
+    severity: 'critical',
+    detectedBy: ['rules'],
+    ...lab,
+    referenceRange: '',
+    citations: citeQuotes(parsedText, [quote])
+  }))
+  for (const lab of structuredSummary?.labValues || []) {
+    if (lab.flag !== 'critical') continue
+    const citations = lab.citations || []
+    const existing = labAlerts.find(alert => (
+      alert.name.toLowerCase() === lab.name.toLowerCase() ||
+      alert.citations.some(citation => citations.some(other => other.start === citation.start))
+    ))
+    if (existing) {
+      existing.detectedBy.push('model')
+      existing.referenceRange = lab.referenceRange
+      continue
+    }
+    labAlerts.push({
+      type: 'criticalLab',
+      severity: 'critical',
+      detectedBy: ['model'],
+      name: lab.name,
+      value: lab.value,
+      unit: lab.unit,
+      direction: null,
+      referenceRange: lab.referenceRange,
+      citations
+    })
+  }
+  alerts.push(...labAlerts)
+
+  // Allergies, and prescribed medications that conflict with them
+  const medications = findPrescribedMedications(parsedText, structuredSummary)
+  for (const { substance, reaction, quote } of findAllergies(parsedText)) {
+    const conflictsWith = findAllergyConflict(substance, medications)
+    alerts.push({
+      type: 'allergy',
+      severity: conflictsWith ? 'critical' : 'warning',
+      detectedBy: ['rules'],
+      substance,
+      reaction,
+      conflictsWith,
+      citations: citeQuotes(parsedText, [quote, ...(conflictsWith ? medicationQuotes(parsedText, [conflictsWith]) : [])])
+    })
+  }
+
+  // Medications that are dangerous together
+  for (const { medications: pair, risk, severity } of findInteractions(medications)) {
+    alerts.push({
+      type: 'interaction',
+      severity,
+      detectedBy: ['rules'],
+      medications: pair,
+      risk,
+      citations: citeQuotes(parsedText, medicationQuotes(parsedText, pair))
+    })
+  }
+
+  return sortAlerts(alerts)
+}
+
+// What makes two alerts the same, e.g. the same lab test in two documents
+function alertKey(alert) {
+  switch (alert.type) {
+    case 'criticalLab': return `criticalLab:${alert.name.toLowerCase()}:${alert.value}`
+    case 'allergy': return `allergy:${alert.substance.toLowerCase()}`
+    case 'interaction': return `interaction:${alert.medications.map(name => name.toLowerCase()).sort().join('+')}`
+    default: return alert.type
+  }
+}
+
+// Alerts of several documents as one list without duplicates. documents is
+// [{ alerts, document }] - document is the position citations are tagged with,
+// as in combined summaries. A duplicate adds its citations and warning signs.
+function mergeAlerts(documents) {
+  const byKey = new Map()
+  for (const { alerts = [], document } of documents) {
+    for (const alert of alerts) {
+      const citations = alert.citations.map(citation => ({ ...citation, document }))
+      const key = alertKey(alert)
+      const existing = byKey.get(key)
+      if (!existing) {
+        byKey.set(key, { ...alert, detectedBy: [...alert.detectedBy], citations })
+        continue
+      }
+      existing.citations.push(...citations)
+      existing.detectedBy = [...new Set([...existing.detectedBy, ...alert.detectedBy])]
+      if (SEVERITIES.indexOf(alert.severity) < SEVERITIES.indexOf(existing.severity)) {
+        existing.severity = alert.severity
+        existing.conflictsWith = alert.conflictsWith
+      }
+      if (alert.signs) existing.signs = [...existing.signs, ...alert.signs]
+    }
+  }
+  return sortAlerts([...byKey.values()])
+}
+
+export { detectAlerts, mergeAlerts }
@@ -0,0 +1,134 @@
+// Rule tables for red-flag content in health documents. Documents are matched
+// as written, so the patterns are English with the most common Spanish forms;
+// the summary the model wrote adds what the rules miss (see index.js).
+
+// Instructions to get emergency care
+const EMERGENCY_PATTERNS = [
+  /\breturn to (the )?(er|ed|emergency( room| department)?)\b/i,
+  /\b(go|come back|report) to (the )?(nearest )?(er|ed|emergency( room| department)?)\b/i,
+  /\bcall (911|999|112|000|an ambulance|emergency services)\b/i,
+  /\bseek (immediate|emergency|urgent) (medical )?(care|attention|help|treatment)\b/i,
+  /\b(get|seek) medical (help|attention) (right away|immediately)\b/i,
+  /\b(regrese|acuda|vaya) (a|al) (urgencias|la sala de emergencias|hospital)\b/i,
+  /\bllame al (911|112)\b/i,
+  /\bbusque atenci[oó]n m[eé]dica (inmediata|de inmediato|urgente)\b/i
+]
+
+// Marks of a lab result as critical on the report itself. They only count on
+// lab rows (see findCriticalLabs). Words count anywhere after the value unless
+// negated or part of another phrase; the "(C)", HH and LL flags only right
+// after the value, its unit or its reference range.
+const CRITICAL_WORD_PATTERN = /\b(critical|panic value|crit|cr[ií]tico)\b/i
+const NOT_CRITICAL_PATTERN = /\b(not?|non|sin)[\s-]*(critical|crit|cr[ií]tico)\b|\bnoncritical\b|\bcritical(ly)?[\s-]+(care|condition|ill|illness)\b|\bcuidados cr[ií]ticos\b|\bestado cr[ií]tico\b/i
+const CRITICAL_FLAG_PATTERNS = [
+  /^\s*\((c|hh|ll)\)/i,
+  /^\s*(HH|LL)\b/
+]
+
+// Critical limits of common tests: a result below low or above high needs a
+// doctor right away. name matches the whole test name of a lab line. Limits
+// with a unit only apply to results in that unit; tests reported in several
+// units are only checked when the unit is given.
+const CRITICAL_LIMITS = [
+  { name: 'potassium', pattern: /^(potassium|k\+?|potasio)$/i, limits: [{ low: 2.5, high: 6.0 }] },
+  { name: 'sodium', pattern: /^(sodium|na\+?|sodio)$/i, limits: [{ low: 120, high: 160 }] },
+  {
+    name: 'glucose',
+    pattern: /^(glucose|blood (sugar|glucose)|glucosa)$/i,
+    limits: [{ unit: /^mmol/i, low: 2.2, high: 25 }, { unit: /^mg/i, low: 40, high: 450 }]
+  },
+  {
+    name: 'hemoglobin',
+    pattern: /^(hemoglobin|haemoglobin|hgb|hb|hemoglobina)$/i,
+    limits: [{ unit: /^g\/l$/i, low: 70 }, { unit: /^g\/dl$/i, low: 7 }]
+  },
+  { name: 'inr', pattern: /^(pt\/)?inr$/i, limits: [{ high: 5 }] },
+  {
+    name: 'calcium',
+    pattern: /^(calcium|calcio)$/i,
+    limits: [{ unit: /^mmol/i, low: 1.5, high: 3.25 }, { unit: /^mg/i, low: 6, high: 13 }]
+  }
+]
+
+// A lab line: the test name, a number and maybe a unit, e.g. "Potassium: 6.8 mmol/L (3.5-5.0) H".
+// The d flag gives the position of the value, which flags must follow.
+const LAB_LINE_PATTERN = /^\s*[-*•|]*\s*([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ +/()-]{0,40}?)\s*[:=|]?\s+([<>]?\s*\d+(?:[.,]\d+)?)\s*([a-zA-Zµ/%^0-9.]+(?:\/[a-zA-Zµ0-9.]+)?)?/d
+
+// Names of lab tests a row can start with
+const LAB_NAME_PATTERN = /^(potassium|potasio|sodium|sodio|k\+?|na\+?|glucose|glucosa|blood (sugar|glucose)|hemoglobin|haemoglobin|hemoglobina|hgb|hb|hematocrit|hct|(pt\/)?inr|ptt|aptt|calcium|calcio|magnesium|phosphorus|phosphate|chloride|bicarbonate|co2|creatinine|creatinina|bun|urea|troponin|troponina|bnp|nt-probnp|lactate|lactato|lipase|amylase|bilirubin|alt|ast|alkaline phosphatase|albumin|wbc|white blood (cells|count)|leukocytes|leucocitos|platelets|plaquetas|plt|neutrophils|anc|ph|pco2|po2|tsh|ammonia|digoxin|lithium|fibrinogen|d-dimer|ck|cpk)\b/i
+
+// Units of lab results - concentrations, counts and a few others. Dosing units
+// such as "mg" or "tablets" are not among them.
+const LAB_UNIT_PATTERN = /^(%|fl|pg|sec|s|(([mµunpk]?(mol|g|eq|iu|u)|k|cells|x?10\^\d+)\/([dmµu]?l|kg|min|h|hpf)))$/i
+
+// A reference range, e.g. "(3.5-5.0)", "[70 - 110]" or "ref 3.5-5.0"
+const REFERENCE_RANGE_PATTERN = /^\s*[([]?\s*(ref(erence)?( range)?:?\s*)?\d+([.,]\d+)?\s*[-–]\s*\d+([.,]\d+)?\s*[)\]]?/i
+
+// A list of allergies, e.g. "Allergies: penicillin (hives), sulfa" or "allergic to peanuts"
+const ALLERGY_PATTERNS = [
+  /\ballerg(?:ies|y)\s*(?:\([^)]*\))?\s*[:-]\s*(.+)$/gim,
+  /\ballergic to\s+([^.;\n]+)/gi,
+  /\balergias?\s*[:-]\s*(.+)$/gim,
+  /\bal[eé]rgic[oa] a\s+([^.;\n]+)/gi
+]
+
+// Allergy lists that say there are none
+const NO_ALLERGY_PATTERN = /^\s*(nkda|nka|none( known)?|no known( drug)? allergies|denies|n\/a|ninguna|niega)\b/i
+
+// Medications that belong to a class one can be allergic to as a whole
+const ALLERGY_CLASSES = {
+  penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'augmentin', 'piperacillin', 'dicloxacillin', 'nafcillin', 'penicilina', 'amoxicilina'],
+  sulfa: ['sulfa', 'sulfamethoxazole', 'bactrim', 'septra', 'sulfasalazine', 'sulfadiazine'],
+  cephalosporin: ['cephalosporin', 'cephalexin', 'keflex', 'cefazolin', 'ceftriaxone', 'cefuroxime', 'cefdinir', 'cefalexina'],
+  nsaid: ['nsaid', 'ibuprofen', 'advil', 'motrin', 'naproxen', 'aleve', 'aspirin', 'diclofenac', 'ketorolac', 'meloxicam', 'celecoxib', 'ibuprofeno', 'naproxeno'],
+  opioid: ['opioid', 'codeine', 'morphine', 'oxycodone', 'hydrocodone', 'hydromorphone', 'codeína', 'morfina'],
+  statin: ['statin', 'atorvastatin', 'simvastatin', 'rosuvastatin', 'pravastatin']
+}
+
+// Groups of medications for the interaction table
+const DRUG_GROUPS = {
+  anticoagulant: ['warfarin', 'coumadin', 'jantoven', 'apixaban', 'eliquis', 'rivaroxaban', 'xarelto', 'dabigatran', 'pradaxa', 'edoxaban', 'enoxaparin', 'lovenox', 'heparin'],
+  antiplatelet: ['clopidogrel', 'plavix', 'prasugrel', 'ticagrelor', 'brilinta'],
+  nsaid: ['ibuprofen', 'advil', 'motrin', 'naproxen', 'aleve', 'aspirin', 'diclofenac', 'ketorolac', 'meloxicam', 'celecoxib', 'ibuprofeno', 'naproxeno'],
+  nitrate: ['nitroglycerin', 'nitrostat', 'isosorbide'],
+  pde5: ['sildenafil', 'viagra', 'tadalafil', 'cialis', 'vardenafil', 'levitra'],
+  maoi: ['phenelzine', 'nardil', 'tranylcypromine', 'parnate', 'isocarboxazid', 'selegiline', 'linezolid'],
+  serotonergic: ['sertraline', 'zoloft', 'fluoxetine', 'prozac', 'paroxetine', 'paxil', 'citalopram', 'escitalopram', 'lexapro', 'venlafaxine', 'effexor', 'duloxetine', 'cymbalta', 'tramadol', 'meperidine'],
+  opioid: ['oxycodone', 'hydrocodone', 'morphine', 'fentanyl', 'codeine', 'hydromorphone', 'methadone', 'tramadol', 'percocet', 'vicodin'],
+  benzodiazepine: ['alprazolam', 'xanax', 'lorazepam', 'ativan', 'diazepam', 'valium', 'clonazepam', 'klonopin', 'temazepam'],
+  methotrexate: ['methotrexate'],
+  trimethoprim: ['trimethoprim', 'sulfamethoxazole', 'bactrim', 'septra'],
+  raasBlocker: ['lisinopril', 'enalapril', 'ramipril', 'benazepril', 'losartan', 'valsartan', 'irbesartan', 'olmesartan'],
+  potassiumRaising: ['spironolactone', 'eplerenone', 'amiloride', 'triamterene', 'potassium chloride', 'klor-con'],
+  statin: ['simvastatin', 'lovastatin', 'atorvastatin'],
+  strongCyp3a4Inhibitor: ['clarithromycin', 'erythromycin', 'itraconazole', 'ketoconazole']
+}
+
+// Pairs of groups that are dangerous together, with the risk they bring
+const INTERACTIONS = [
+  { groups: ['anticoagulant', 'nsaid'], risk: 'bleeding', severity: 'critical' },
+  { groups: ['anticoagulant', 'antiplatelet'], risk: 'bleeding', severity: 'critical' },
+  { groups: ['nitrate', 'pde5'], risk: 'lowBloodPressure', severity: 'critical' },
+  { groups: ['maoi', 'serotonergic'], risk: 'serotoninSyndrome', severity: 'critical' },
+  { groups: ['opioid', 'benzodiazepine'], risk: 'breathing', severity: 'critical' },
+  { groups: ['methotrexate', 'trimethoprim'], risk: 'toxicity', severity: 'critical' },
+  { groups: ['raasBlocker', 'potassiumRaising'], risk: 'highPotassium', severity: 'warning' },
+  { groups: ['statin', 'strongCyp3a4Inhibitor'], risk: 'muscleDamage', severity: 'warning' }
+]
+
+export {
+  EMERGENCY_PATTERNS,
+  CRITICAL_WORD_PATTERN,
+  NOT_CRITICAL_PATTERN,
+  CRITICAL_FLAG_PATTERNS,
+  CRITICAL_LIMITS,
+  LAB_LINE_PATTERN,
+  LAB_NAME_PATTERN,
+  LAB_UNIT_PATTERN,
+  REFERENCE_RANGE_PATTERN,
+  ALLERGY_PATTERNS,
+  NO_ALLERGY_PATTERN,
+  ALLERGY_CLASSES,
+  DRUG_GROUPS,
+  INTERACTIONS
+}
@@ -0,0 +1,88 @@
+import crypto from 'crypto'
+import config from '../config.js'
+
+// Content-addressed cache of parsed documents and results, so the same file is
+// not parsed or summarized twice. Entries are keyed by a hash of their inputs
+// (file hashes, language, prompt version, model settings, ...) and expire after
+// CACHE_TTL_MINUTES; beyond CACHE_MAX_ENTRIES the least recently used entry goes.
+// Entries are health data, so they are kept in memory only and never shared
+// between users - a cache hit must not tell anyone that somebody else uploaded
+// the same document.
+
+const CACHE_TTL_MS = config.cacheTtlMinutes * 60 * 1000
+const MAX_ENTRIES = config.cacheMaxEntries
+
+// key -> { value, owner, expiresAt }, in least recently used order
+const entries = new Map()
+
+// Cache key for a list of inputs - anything JSON can represent
+function cacheKey(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')
+}
+
+// One hash for the files of a document, from their SHA-256 hashes in order.
+// Returns null when a file has no hash, so the document is not cached.
+function hashFiles(files) {
+  if (!files.every(file => file.sha256)) return null
+  return cacheKey(files.map(file => file.sha256))
+}
+
+function getCached(key) {
+  const entry = entries.get(key)
+  if (!entry) return undefined
+  entries.delete(key)
+  if (entry.expiresAt <= Date.now()) return undefined
+  // Move to the back - most recently used
+  entries.set(key, entry)
+  return structuredClone(entry.value)
+}
+
+function pruneExpired() {
+  const now = Date.now()
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key)
+  }
+}
+
+function setCached(key, owner, value) {
+  pruneExpired()
+  entries.delete(key)
+  entries.set(key, { value: structuredClone(value), owner, expiresAt: Date.now() + CACHE_TTL_MS })
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value)
+  }
+}
+
+// The owner's cached value for parts (see cacheKey), or the value of compute()
+// which is then cached. Without an owner, or when a part is null (a file
+// without a hash), nothing is cached. Returns { value, hit }.
+async function withCache(owner, parts, compute) {
+  const key = config.cacheEnabled && owner && !parts.includes(null) ? cacheKey(owner, ...parts) : null
+  if (key) {
+    const value = getCached(key)
+    if (value !== undefined) return { value, hit: true }
+  }
+  const value = await compute()
+  if (key) setCached(key, owner, value)
+  return { value, hit: false }
+}
+
+// Forget everything cached for an owner, e.g. when they delete their documents
+function clearCache(owner) {
+  for (const [key, entry] of entries) {
+    if (entry.owner === owner) entries.delete(key)
+  }
+}
+
+// Cache settings and size for the health check
+function getCacheStatus() {
+  pruneExpired()
+  return {
+    enabled: config.cacheEnabled,
+    entries: entries.size,
+    maxEntries: MAX_ENTRIES,
+    ttlMinutes: config.cacheTtlMinutes
+  }
+}
+
+export { cacheKey, hashFiles, withCache, clearCache, getCacheStatus }
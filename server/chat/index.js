@@ -0,0 +1,109 @@
+import { generateText } from '../summarizers/index.js'
+import { extractJson } from '../summarizers/schema.js'
+import { citeQuotes } from '../citations/index.js'
+import { detectUrgentSymptoms } from './urgent.js'
+
+// Longest question accepted, in characters
+const MAX_QUESTION_LENGTH = 1000
+
+// Earlier messages of the conversation sent along with a question - older ones
+// are dropped, each is cut to the length of a question
+const MAX_HISTORY_MESSAGES = 10
+
+const ROLES = { user: 'Patient', assistant: 'Assistant' }
+
+// Check the body of a chat request: { question, messages: [{ role, content }] },
+// messages being the conversation so far, oldest first.
+// Returns { question, messages, errors } - errors are [{ key, params }] problems.
+function validateChatRequest(body) {
+  const errors = []
+  const question = typeof body.question === 'string' ? body.question.trim() : ''
+  if (!question || question.length > MAX_QUESTION_LENGTH) {
+    errors.push({ key: 'problem.question', params: { max: MAX_QUESTION_LENGTH } })
+  }
+
+  const messages = body.messages ?? []
+  const validMessages = Array.isArray(messages) && messages.every(message => (
+    message && ROLES[message.role] && typeof message.content === 'string'
+  ))
+  if (!validMessages) {
+    errors.push({ key: 'problem.messages' })
+  }
+
+  return {
+    question,
+    messages: validMessages
+      ? messages.slice(-MAX_HISTORY_MESSAGES).map(message => ({
+        role: message.role,
+        content: message.content.slice(0, MAX_QUESTION_LENGTH)
+      }))
+      : [],
+    errors
+  }
+}
+
+// Prompt asking the model to answer a question from the document alone
+function buildChatPrompt(text, question, targetLanguage, { messages = [], glossary = '' } = {}) {
+  const conversation = messages.map(message => `${ROLES[message.role]}: ${message.content}`).join('\n    ')
+  return `You answer a patient's questions about one of their health documents, in ${targetLanguage}.
+    Return ONLY a JSON object with this shape (no markdown, no extra text):
+    {
+      "answer": "The answer in ${targetLanguage}, in plain words",
+      "answered": true,
+      "urgent": false,
+      "sources": ["Passage the answer is based on, copied word for word from the document"]
+    }
+
+    Rules:
+    - Answer only with what the document says. Do not add general medical knowledge, guesses or advice the document does not give.
+    - When the document does not answer the question, set "answered" to false, say so in "answer" and suggest asking their doctor, nurse or pharmacist. Leave "sources" empty.
+    - Set "urgent" to true when the question describes symptoms that may need care right away - such as chest pain, trouble breathing, heavy bleeding, fainting, signs of a stroke, a severe allergic reaction or thoughts of self-harm - or symptoms the document lists as a reason to get help right away. Then start the answer by telling the patient to contact their doctor or emergency services now.
+    - Copy medication names, numbers and units exactly as they appear in the document.
+    - "sources" are copied word for word from the document in its original language. Keep each one short, one or two sentences.
+    - The conversation so far is only there to understand the question. Answer the question.
+    ${glossary}
+
+    Document content:
+    ${text}
+    ${conversation ? `\n    Conversation so far:\n    ${conversation}\n` : ''}
+    Question:
+    ${question}`
+}
+
+// Answer a question about a document from its parsed text, in targetLanguage.
+// messages is the conversation so far (see validateChatRequest), and redactor
+// hides PHI from third-party providers (see generateText). urgent is true when
+// the question mentions symptoms that need a doctor now - found by the rules in
+// urgent.js or by the model. answered is false when the document does not say.
+// Returns { answer, answered, urgent, urgentSymptoms, citations, provider, model }.
+async function answerQuestion(text, question, targetLanguage, { messages = [], glossary = '', redactor, signal } = {}) {
+  const urgentSymptoms = detectUrgentSymptoms(question)
+  const result = await generateText(buildChatPrompt(text, question, targetLanguage, { messages, glossary }), {
+    text,
+    targetLanguage,
+    signal,
+    redactor,
+    json: true,
+    task: 'chat'
+  })
+
+  const data = extractJson(result.text)
+  if (typeof data.answer !== 'string' || !data.answer.trim()) {
+    throw new Error('"answer" must be a non-empty string')
+  }
+  const answered = data.answered !== false
+  const quotes = answered && Array.isArray(data.sources) ? data.sources.filter(source => typeof source === 'string') : []
+
+  return {
+    answer: data.answer.trim(),
+    answered,
+    urgent: data.urgent === true || urgentSymptoms.length > 0,
+    urgentSymptoms,
+    citations: citeQuotes(text, quotes),
+    provider: result.provider,
+    model: result.model
+  }
+}
+
+export { validateChatRequest, answerQuestion }
+export { detectUrgentSymptoms } from './urgent.js'
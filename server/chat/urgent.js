@@ -0,0 +1,23 @@
+// Symptoms in a patient's question that need a doctor or emergency services now,
+// whatever the document says. Matched offline so the warning never depends on
+// the model; the model also flags urgent questions in any other language.
+// English and Spanish cover most patients, the model the rest.
+
+const URGENT_SYMPTOMS = [
+  { id: 'chestPain', pattern: /\b(chest (pain|pressure|tightness)|pain in (my|the) chest|dolor (de|en el) pecho|me duele (mucho )?el pecho|opresi[oó]n en el pecho)\b/i },
+  { id: 'breathing', pattern: /\b(can'?t breathe|cannot breathe|trouble breathing|short(ness)? of breath|struggling to breathe|no puedo respirar|(me )?falta (de )?(el )?aire|dificultad para respirar)\b/i },
+  { id: 'stroke', pattern: /\b(face (is )?droop\w*|slurred speech|numb(ness)? (on|in) one side|can'?t (move|feel) my (arm|leg)|cara ca[ií]da|no puedo hablar bien)\b/i },
+  { id: 'bleeding', pattern: /\b((heavy|severe|won'?t stop) bleeding|bleeding (a lot|heavily|won'?t stop)|coughing (up )?blood|vomiting blood|blood in (my )?(stool|vomit)|sangrado (abundante|fuerte)|vomit\w* sangre)\b/i },
+  { id: 'fainting', pattern: /\b(faint(ed|ing)|passed out|pass(ing)? out|unconscious|me desmay\w*|desmayo|perd[ií] el conocimiento)\b/i },
+  { id: 'seizure', pattern: /\b(seizures?|convulsions?|convulsiones?)\b/i },
+  { id: 'allergicReaction', pattern: /\b((throat|tongue|lips?|face) (is )?(swelling|swollen|closing)|anaphyla\w*|hinchaz[oó]n (de|en) la (garganta|lengua|cara))\b/i },
+  { id: 'selfHarm', pattern: /\b(suicid\w*|kill myself|end my life|hurt myself|self[- ]harm|quitarme la vida|hacerme da[nñ]o)\b/i },
+  { id: 'overdose', pattern: /\b(overdose|took too (many|much)|sobredosis|tom[eé] demasiad[oa]s?)\b/i }
+]
+
+// IDs of the urgent symptoms a question mentions, e.g. ['chestPain']
+function detectUrgentSymptoms(question) {
+  return URGENT_SYMPTOMS.filter(symptom => symptom.pattern.test(question)).map(symptom => symptom.id)
+}
+
+export { detectUrgentSymptoms }
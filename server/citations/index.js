@@ -0,0 +1,58 @@
+import { SECTION_FIELDS } from '../summarizers/schema.js'
+import { indexDocument, locateQuote, getPassage } from './passages.js'
+
+// Fields copied unchanged from the document, used to find the source of an item
+// the model gave no usable quote for. All their words must occur in the passage.
+const FALLBACK_FIELDS = {
+  medications: ['name', 'dose'],
+  labValues: ['name', 'value']
+}
+
+// Turn quotes into citations: { start, end, page, exact, before, text, after }.
+// start and end are offsets into the parsed text, page is null for documents
+// without page breaks, exact is false when the quote was only matched approximately.
+function resolveQuotes(index, quotes) {
+  const citations = []
+  for (const quote of quotes) {
+    const span = locateQuote(index, quote)
+    if (!span) continue
+    // Quotes from the same passage would show the same thing twice
+    if (citations.some(citation => citation.start === span.start && citation.end === span.end)) continue
+    citations.push({ ...span, ...getPassage(index, span) })
+  }
+  return citations
+}
+
+function fallbackCitations(index, section, item) {
+  const fields = FALLBACK_FIELDS[section]
+  if (!fields) return []
+  const query = fields.map(field => item[field]).filter(Boolean).join(' ')
+  const span = query && locateQuote(index, query, { minOverlap: 1 })
+  return span ? [{ ...span, ...getPassage(index, span) }] : []
+}
+
+// Replace the quotes the model gave for each summary point ("sources" on list
+// items, "overviewSources" for the overview) with citations into the parsed text.
+// Quotes that cannot be found in the document are dropped.
+function attachCitations(structuredSummary, parsedText) {
+  const index = indexDocument(parsedText)
+  const { overviewSources = [], ...summary } = structuredSummary
+  summary.overviewCitations = resolveQuotes(index, overviewSources)
+
+  for (const section of Object.keys(SECTION_FIELDS)) {
+    summary[section] = summary[section].map(({ sources = [], ...item }) => {
+      const citations = resolveQuotes(index, sources)
+      return { ...item, citations: citations.length > 0 ? citations : fallbackCitations(index, section, item) }
+    })
+  }
+
+  return summary
+}
+
+// Citations of quotes the model gave for anything else based on the document,
+// e.g. the answer to a question
+function citeQuotes(parsedText, quotes) {
+  return resolveQuotes(indexDocument(parsedText), quotes)
+}
+
+export { attachCitations, citeQuotes }
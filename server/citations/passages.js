@@ -0,0 +1,120 @@
+// Locating quoted passages in parsed document text. Offsets always point into
+// the original parsed text so the client can show exactly what the parser returned.
+
+// Page break lines: pdf-parse ends every page with "-- 2 of 5 --", and LlamaParse
+// is asked to separate pages with "-- page break --"
+const PAGE_MARKER = /^-- (?:\d+ of \d+|page break) --$/
+const PAGE_MARKERS = new RegExp(PAGE_MARKER.source, 'gm')
+
+// Quotes are matched on words only, so differences in case, punctuation,
+// whitespace and markdown syntax do not matter
+const WORD = /[\p{L}\p{N}]+/gu
+
+// Share of a quote's words that a sentence must contain to count as its source
+const MIN_OVERLAP = 0.6
+
+// Offsets at which each page after the first starts
+function findPageStarts(text) {
+  return [...text.matchAll(PAGE_MARKERS)].map(match => match.index + match[0].length)
+}
+
+// 1-based page number of an offset, or null when the text has no page breaks
+function pageAt(pageStarts, offset) {
+  if (pageStarts.length === 0) return null
+  return pageStarts.filter(start => start <= offset).length + 1
+}
+
+// Split text into sentences with their offsets. Lines are split too, since
+// parsers put headings, list items and table rows on lines of their own.
+// List numbers such as "1." do not end a sentence.
+function splitSegments(text) {
+  const segments = []
+  const pattern = /[^\n]+?(?:[.!?](?<!(?:^|\s)\d{1,3}\.)(?=\s)|$)/gm
+  let match
+  while ((match = pattern.exec(text)) !== null) {
+    const leading = match[0].length - match[0].trimStart().length
+    const content = match[0].trim()
+    if (!content || PAGE_MARKER.test(content)) continue
+    const start = match.index + leading
+    segments.push({ start, end: start + content.length, words: toWords(content) })
+  }
+  return segments
+}
+
+function toWords(text) {
+  return text.toLowerCase().match(WORD) || []
+}
+
+// Everything needed to look up quotes in one document, built once per document
+function indexDocument(text) {
+  const words = [...text.matchAll(WORD)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+  return { text, words, segments: splitSegments(text), pageStarts: findPageStarts(text) }
+}
+
+// Exact match of the quote's word sequence. Returns { start, end } or null.
+function findExact(index, quoteWords) {
+  const { words } = index
+  for (let i = 0; i + quoteWords.length <= words.length; i++) {
+    if (quoteWords.every((word, offset) => words[i + offset].word === word)) {
+      return { start: words[i].start, end: words[i + quoteWords.length - 1].end }
+    }
+  }
+  return null
+}
+
+// Closest sentences when the quote was not copied exactly: the run of up to
+// three sentences that contains the largest share of the quote's words
+function findClosest(index, quoteWords, minOverlap) {
+  const wanted = new Set(quoteWords)
+  let best = null
+  for (let i = 0; i < index.segments.length; i++) {
+    for (let length = 1; length <= 3 && i + length <= index.segments.length; length++) {
+      const run = index.segments.slice(i, i + length)
+      const found = new Set(run.flatMap(segment => segment.words).filter(word => wanted.has(word)))
+      const score = found.size / wanted.size
+      // Prefer the shortest run on a tie
+      if (score >= minOverlap && (!best || score > best.score)) {
+        best = { start: run[0].start, end: run[run.length - 1].end, score }
+      }
+    }
+  }
+  return best
+}
+
+// Find a quote in the document. Returns { start, end, page, exact } or null.
+function locateQuote(index, quote, { minOverlap = MIN_OVERLAP } = {}) {
+  const quoteWords = toWords(quote)
+  if (quoteWords.length === 0) return null
+
+  const exact = findExact(index, quoteWords)
+  const span = exact || findClosest(index, quoteWords, minOverlap)
+  if (!span) return null
+  return { start: span.start, end: span.end, page: pageAt(index.pageStarts, span.start), exact: Boolean(exact) }
+}
+
+// The located span with the sentence before and after it, for display.
+// Returns { before, text, after } - before and after never cross a page break.
+function getPassage(index, { start, end }, maxContext = 300) {
+  const { text, segments, pageStarts } = index
+  const page = pageAt(pageStarts, start)
+  const samePage = segment => pageAt(pageStarts, segment.start) === page
+
+  const previous = segments.filter(segment => segment.end <= start && samePage(segment)).pop()
+  const next = segments.find(segment => segment.start >= end && samePage(segment))
+  const covering = segments.filter(segment => segment.start < end && segment.end > start)
+
+  const from = Math.max(Math.min(previous?.start ?? start, covering[0]?.start ?? start), start - maxContext)
+  const to = Math.min(Math.max(next?.end ?? end, covering.at(-1)?.end ?? end), end + maxContext)
+
+  return {
+    before: text.slice(from, start),
+    text: text.slice(start, end),
+    after: text.slice(end, to)
+  }
+}
+
+export { indexDocument, locateQuote, getPassage }
@@ -0,0 +1,122 @@
+import dotenv from 'dotenv'
+import os from 'os'
+import path from 'path'
+
+// Load environment variables from .env file
+dotenv.config()
+
+// Turn a comma-separated env value into a list, e.g. "pdf, llamaparse" -> ['pdf', 'llamaparse']
+function parseList(value, fallback) {
+  if (!value) return fallback
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+const config = {
+  // API keys - from environment variables
+  llamaparseApiKey: process.env.LLAMAPARSE_API_KEY,
+  geminiApiKey: process.env.GEMINI_API_KEY,
+  openaiApiKey: process.env.OPENAI_API_KEY,
+
+  // Parser backends to try for each file type, in order.
+  // Override with PARSERS_PDF, PARSERS_DOCX, PARSERS_DOC, PARSERS_TXT and PARSERS_IMAGE.
+  parsers: {
+    '.pdf': parseList(process.env.PARSERS_PDF, ['llamaparse', 'pdf']),
+    '.docx': parseList(process.env.PARSERS_DOCX, ['llamaparse', 'docx']),
+    '.doc': parseList(process.env.PARSERS_DOC, ['llamaparse']),
+    '.txt': parseList(process.env.PARSERS_TXT, ['text']),
+    '.jpg': parseList(process.env.PARSERS_IMAGE, ['ocr', 'llamaparse']),
+    '.jpeg': parseList(process.env.PARSERS_IMAGE, ['ocr', 'llamaparse']),
+    '.png': parseList(process.env.PARSERS_IMAGE, ['ocr', 'llamaparse']),
+    '.heic': parseList(process.env.PARSERS_IMAGE, ['ocr', 'llamaparse'])
+  },
+
+  // Local OCR for photos and scans: Tesseract, with ImageMagick (optional) to
+  // convert HEIC, straighten and rotate photos first. OCR_LANGUAGES uses
+  // Tesseract's names, e.g. "eng+spa".
+  ocrCommand: process.env.TESSERACT_COMMAND || 'tesseract',
+  imageMagickCommand: process.env.IMAGEMAGICK_COMMAND || 'magick',
+  ocrLanguages: process.env.OCR_LANGUAGES || 'eng',
+  // Mean word confidence (0-100) below which the client warns that the photo was hard to read
+  ocrMinConfidence: Number(process.env.OCR_MIN_CONFIDENCE) || 70,
+
+  // Summarization providers to try, in order (gemini, openai, extractive)
+  summarizers: parseList(process.env.SUMMARIZERS, ['gemini', 'openai']),
+
+  // Gemini models to try, in order - the next one is used when a model is not available
+  geminiModels: parseList(process.env.GEMINI_MODELS, ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-pro']),
+
+  // Any OpenAI-compatible chat completions endpoint, e.g. a self-hosted model server.
+  // Enabled when OPENAI_API_KEY or OPENAI_BASE_URL is set.
+  openaiBaseUrl: process.env.OPENAI_BASE_URL,
+  openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+
+  // Calls to outside services (LlamaParse, Gemini, OpenAI-compatible endpoints).
+  // Failed calls that may succeed later (timeouts, rate limits, server errors)
+  // are tried up to RETRY_ATTEMPTS times with exponential backoff, all within
+  // PROVIDER_DEADLINE_SECONDS. After CIRCUIT_FAILURE_THRESHOLD failed calls in
+  // a row a provider is skipped for CIRCUIT_RESET_SECONDS.
+  retryAttempts: Number(process.env.RETRY_ATTEMPTS) || 3,
+  retryBaseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS) || 500,
+  retryMaxDelayMs: Number(process.env.RETRY_MAX_DELAY_MS) || 30000,
+  providerDeadlineSeconds: Number(process.env.PROVIDER_DEADLINE_SECONDS) || 180,
+  circuitFailureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+  circuitResetSeconds: Number(process.env.CIRCUIT_RESET_SECONDS) || 60,
+
+  // Uploads are kept here, encrypted, only while they are processed. Anything
+  // older than UPLOAD_TTL_MINUTES is swept at startup and every UPLOAD_SWEEP_MINUTES.
+  uploadDir: process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'healthforall-uploads'),
+  uploadTtlMinutes: Number(process.env.UPLOAD_TTL_MINUTES) || 60,
+  uploadSweepMinutes: Number(process.env.UPLOAD_SWEEP_MINUTES) || 10,
+
+  // Logging: LOG_LEVEL is debug, info, warn or error; LOG_FORMAT is json (one
+  // object per line) or text. Document text and keys are scrubbed either way.
+  logLevel: process.env.LOG_LEVEL || 'info',
+  logFormat: process.env.LOG_FORMAT || 'json',
+  // Append-only record of who processed which document, with which providers
+  auditLogFile: process.env.AUDIT_LOG_FILE || 'data/audit.log',
+
+  // Cache of parsed text and results, in memory. CACHE=off turns it off.
+  cacheEnabled: process.env.CACHE !== 'off',
+  cacheTtlMinutes: Number(process.env.CACHE_TTL_MINUTES) || 24 * 60,
+  cacheMaxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 200,
+
+  // Per-language glossaries, one JSON file per language
+  glossaryDir: process.env.GLOSSARY_DIR || 'data/glossaries',
+
+  // Document history - uploads, parsed text and results of finished jobs, one directory per user,
+  // encrypted with HISTORY_ENCRYPTION_KEY (32 bytes, hex or base64). Without a key nothing is kept.
+  historyDir: process.env.HISTORY_DIR || 'data/history',
+  historyEncryptionKey: process.env.HISTORY_ENCRYPTION_KEY || '',
+
+  // User accounts and sessions (password hashes, never plain passwords)
+  accountsFile: process.env.ACCOUNTS_FILE || 'data/accounts.json',
+  sessionDays: Number(process.env.SESSION_DAYS) || 30,
+  // Send the session cookie over HTTPS only - turn on wherever the app is served over HTTPS
+  secureCookies: process.env.SECURE_COOKIES === 'true',
+  // Web app origins allowed to call the API with the session cookie
+  clientOrigins: parseList(process.env.CLIENT_ORIGINS, ['http://localhost:5173']),
+  // Accounts allowed to change the glossaries, which apply to every user's documents
+  adminEmails: parseList(process.env.ADMIN_EMAILS, []).map(email => email.toLowerCase()),
+
+  // PHI redaction: names, record numbers, dates of birth and contact details are
+  // replaced with placeholders before text is sent to a third-party service.
+  // REDACTION=off turns it off; REDACTION_CATEGORIES limits what is redacted.
+  redactionEnabled: process.env.REDACTION !== 'off',
+  redactionCategories: parseList(process.env.REDACTION_CATEGORIES, ['name', 'mrn', 'dob', 'address', 'phone', 'email', 'ssn']),
+  // Third-party backends that need the raw file or text (LlamaParse, OpenAI speech)
+  // are skipped while redaction is on, unless this is set to true
+  redactionAllowRawExternal: process.env.REDACTION_ALLOW_RAW_EXTERNAL === 'true',
+
+  // Text-to-speech backends to try, in order (openai, local)
+  ttsBackends: parseList(process.env.TTS_BACKENDS, ['openai', 'local']),
+  ttsOpenaiModel: process.env.TTS_OPENAI_MODEL || 'tts-1',
+  ttsOpenaiVoice: process.env.TTS_OPENAI_VOICE || 'alloy',
+  // Command for the offline engine - eSpeak NG or a compatible CLI
+  ttsLocalCommand: process.env.TTS_LOCAL_COMMAND || 'espeak-ng'
+}
+
+export { parseList }
+export default config
@@ -0,0 +1,109 @@
+import { extractValues } from './values.js'
+
+// Bare whole numbers up to this size are not checked - they are usually counts
+// the model wrote as digits ("2 veces al día" for "twice daily") or list numbering
+const MAX_UNCHECKED_COUNT = 12
+
+function sameNumber(a, b) {
+  return Math.abs(a - b) < 1e-9
+}
+
+function sameParts(a, b) {
+  if (a.length !== b.length) return false
+  const sortedA = [...a].sort((x, y) => x - y)
+  const sortedB = [...b].sort((x, y) => x - y)
+  return sortedA.every((value, index) => value === sortedB[index])
+}
+
+// All numbers a document mentions, including date and time components
+function collectNumbers(values) {
+  return values.flatMap(value => value.parts || [value.value])
+}
+
+// The source quantity with the same unit closest in magnitude, for "did you mean" reporting
+function closestQuantity(value, candidates) {
+  return candidates.reduce((best, candidate) => {
+    const distance = Math.abs(Math.log10(candidate.value || 1e-9) - Math.log10(value.value || 1e-9))
+    return !best || distance < best.distance ? { candidate, distance } : best
+  }, null)?.candidate
+}
+
+// Compare every number, unit, date, time and dose in generated text against the source.
+// Returns { passed, checkedValues, issues } where each issue is
+// { type, severity, text, index, length, expected } - index and length point into
+// generatedText (or into sourceText for "missing" issues, which have source: true).
+// The languages pick the number separators of each text, so "1,000" in English
+// matches "1.000" in German. An unknown language reads numbers as English.
+function checkNumericFidelity(sourceText, generatedText, { sourceLanguage, targetLanguage } = {}) {
+  const sourceValues = extractValues(sourceText, { language: sourceLanguage })
+  const generatedValues = extractValues(generatedText, { language: targetLanguage })
+  const sourceNumbers = collectNumbers(sourceValues)
+  const issues = []
+  let checkedValues = 0
+
+  const issue = (value, type, severity, expected = null) => {
+    issues.push({ type, severity, text: value.text, index: value.index, length: value.length, expected })
+  }
+
+  for (const value of generatedValues) {
+    if (value.kind === 'date' || value.kind === 'time') {
+      checkedValues++
+      // Day and month may be swapped between locales, so compare the parts as a set
+      const supported = sourceValues.some(source => source.kind === value.kind && sameParts(source.parts, value.parts)) ||
+        value.parts.every(part => sourceNumbers.includes(part))
+      if (!supported) issue(value, 'unsupported', 'error')
+      continue
+    }
+
+    if (value.kind === 'number') {
+      if (Number.isInteger(value.value) && value.value <= MAX_UNCHECKED_COUNT) continue
+      checkedValues++
+      if (!sourceNumbers.some(number => sameNumber(number, value.value))) {
+        issue(value, 'unsupported', 'warning')
+      }
+      continue
+    }
+
+    // Quantities and doses: the number and the unit must both match
+    checkedValues++
+    const quantities = sourceValues.filter(source => source.unit !== undefined)
+    if (quantities.some(source => source.unit === value.unit && sameNumber(source.value, value.value))) continue
+
+    const sameUnit = quantities.filter(source => source.unit === value.unit)
+    const sameValue = quantities.find(source => sameNumber(source.value, value.value))
+    if (sameValue) {
+      issue(value, 'unit-changed', 'error', sameValue.text)
+    } else if (sameUnit.length > 0) {
+      issue(value, 'value-changed', 'error', closestQuantity(value, sameUnit).text)
+    } else if (sourceNumbers.some(number => sameNumber(number, value.value))) {
+      // The number is in the source but the unit never appears there
+      issue(value, 'unit-changed', 'warning')
+    } else {
+      issue(value, 'unsupported', 'error')
+    }
+  }
+
+  // Doses in the source that the generated text never mentions
+  for (const source of sourceValues.filter(value => value.kind === 'dosage')) {
+    const mentioned = generatedValues.some(value => value.unit === source.unit && sameNumber(value.value, source.value))
+    if (!mentioned) {
+      issues.push({
+        type: 'missing',
+        severity: 'warning',
+        text: source.text,
+        index: source.index,
+        length: source.length,
+        expected: source.text,
+        source: true
+      })
+    }
+  }
+
+  return {
+    passed: !issues.some(item => item.severity === 'error'),
+    checkedValues,
+    issues
+  }
+}
+
+export { checkNumericFidelity, extractValues }
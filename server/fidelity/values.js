@@ -0,0 +1,147 @@
+import { toAsciiDigits, escapeRegExp } from '../utils/text.js'
+import { findLanguage } from '../languages/index.js'
+
+// Extraction of numeric values - dates, times, quantities with units and bare
+// numbers - from source documents and generated text. Every value keeps its
+// position in the original text so the client can highlight it. Numbers are
+// read with the separators of the text's language: "1,000.5" in English is
+// "1.000,5" in German and "1 000,5" in French.
+
+// Unit spellings (including a few common non-Latin ones) mapped to one canonical unit
+const UNIT_ALIASES = {
+  mg: ['mg', 'milligrams?', 'мг', '毫克', '밀리그램', 'ملغ', 'مغ', 'میلی‌گرم', 'מ"ג'],
+  mcg: ['mcg', 'µg', 'μg', 'ug', 'micrograms?', 'мкг', '微克'],
+  g: ['g', 'grams?', 'г', '克'],
+  kg: ['kg', 'kilograms?', 'кг', '公斤', '千克'],
+  ml: ['ml', 'milliliters?', 'millilitres?', 'cc', 'мл', '毫升'],
+  l: ['l', 'liters?', 'litres?'],
+  units: ['units?', 'u', 'ед'],
+  iu: ['iu', 'ui'],
+  meq: ['meq'],
+  'mmol/l': ['mmol/l'],
+  'mg/dl': ['mg/dl'],
+  'g/dl': ['g/dl'],
+  mmhg: ['mmhg', 'мм рт\\. ст\\.'],
+  bpm: ['bpm'],
+  '%': ['%', 'percent'],
+  '°f': ['°f', 'degrees f'],
+  '°c': ['°c', 'degrees c'],
+  cm: ['cm', 'см'],
+  mm: ['mm', 'мм'],
+  lb: ['lbs?', 'pounds?']
+}
+
+// Units that make a value a medication dose
+const DOSAGE_UNITS = ['mg', 'mcg', 'g', 'ml', 'units', 'iu', 'meq']
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => (
+  aliases.map(alias => ({ unit, pattern: new RegExp(`^${alias}$`, 'i') }))
+))
+
+// Longest aliases first so "mg/dl" wins over "mg"
+const UNIT_PATTERN = Object.values(UNIT_ALIASES)
+  .flat()
+  .sort((a, b) => b.length - a.length)
+  .join('|')
+
+// Thousands and decimal separators of a language, from Intl. Languages that
+// group with a space accept any kind of space. Unknown languages read as English.
+function numberSeparators(language) {
+  const code = findLanguage(language)?.code || 'en'
+  const parts = new Intl.NumberFormat(code).formatToParts(1000000.5)
+  const group = parts.find(part => part.type === 'group')?.value || ','
+  const decimal = parts.find(part => part.type === 'decimal')?.value || '.'
+  return {
+    group: /\s/.test(group) ? '[ \\u00a0\\u202f]' : escapeRegExp(group),
+    decimal: escapeRegExp(decimal)
+  }
+}
+
+// Patterns per set of separators, built on first use
+const patternCache = new Map()
+
+function buildPatterns({ group, decimal }) {
+  // Grouped thousands first ("1,000", "1.000,5"), then plain or decimal
+  // numbers - a lone separator is a decimal point in any language ("7.2", "0,5")
+  const grouped = `\\d{1,3}(?:${group}\\d{3})+(?:${decimal}\\d+)?(?!\\d)`
+  const number = `${grouped}|\\d+(?:(?:[.,]|${decimal})\\d+)?`
+  return {
+    grouped: new RegExp(`^(\\d{1,3}(?:${group}\\d{3})+)(?:${decimal}(\\d+))?$`),
+    group: new RegExp(group, 'g'),
+    decimal: new RegExp(`[.,]|${decimal}`),
+    patterns: [
+      // 2026-10-18
+      { kind: 'date', regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g },
+      // 10/18/2026, 18.10.2026, 10/18/26
+      { kind: 'date', regex: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})\b/g },
+      // 8:00, 20:30
+      { kind: 'time', regex: /\b(\d{1,2}):(\d{2})\b/g },
+      // 500 mg, 7.2 mmol/L, 98.6 °F
+      { kind: 'quantity', regex: new RegExp(`(${number})\\s?(${UNIT_PATTERN})(?![\\p{L}])`, 'giu') },
+      // Anything else numeric
+      { kind: 'number', regex: new RegExp(`(${number})`, 'g') }
+    ]
+  }
+}
+
+function numberFormat(language) {
+  const separators = numberSeparators(language)
+  const key = `${separators.group} ${separators.decimal}`
+  if (!patternCache.has(key)) patternCache.set(key, buildPatterns(separators))
+  return patternCache.get(key)
+}
+
+// With English separators "1,000" -> 1000, "0,5" -> 0.5, "7.2" -> 7.2;
+// with German ones "1.000" -> 1000 and "1.000,5" -> 1000.5
+function parseNumber(text, format) {
+  const grouped = text.match(format.grouped)
+  const [whole, fraction] = grouped
+    ? [grouped[1].replace(format.group, ''), grouped[2]]
+    : text.split(format.decimal)
+  return Number(fraction ? `${whole}.${fraction}` : whole)
+}
+
+function normalizeUnit(text) {
+  const match = UNIT_LOOKUP.find(item => item.pattern.test(text))
+  return match ? match.unit : text.toLowerCase()
+}
+
+// Returns [{ kind, text, index, length, value, unit, parts }] in text order.
+// kind is date, time, quantity (a dosage when the unit is a dose unit) or number.
+// parts holds the numeric components of dates and times. language is the
+// language of the text, for its number separators.
+function extractValues(text, { language } = {}) {
+  const normalized = toAsciiDigits(text)
+  const format = numberFormat(language)
+  const taken = new Array(normalized.length).fill(false)
+  const values = []
+
+  for (const { kind, regex } of format.patterns) {
+    regex.lastIndex = 0
+    let match
+    while ((match = regex.exec(normalized)) !== null) {
+      const start = match.index
+      const end = start + match[0].length
+      if (taken.slice(start, end).some(Boolean)) continue
+      // Skip digits glued to letters, e.g. "B12" or "COVID-19" codes
+      if (kind === 'number' && /[\p{L}]/u.test(normalized[start - 1] || '')) continue
+      taken.fill(true, start, end)
+
+      const value = { kind, text: text.slice(start, end), index: start, length: end - start }
+      if (kind === 'date' || kind === 'time') {
+        value.parts = match.slice(1).map(Number)
+      } else if (kind === 'quantity') {
+        value.value = parseNumber(match[1], format)
+        value.unit = normalizeUnit(match[2])
+        if (DOSAGE_UNITS.includes(value.unit)) value.kind = 'dosage'
+      } else {
+        value.value = parseNumber(match[1], format)
+      }
+      values.push(value)
+    }
+  }
+
+  return values.sort((a, b) => a.index - b.index)
+}
+
+export { extractValues, DOSAGE_UNITS }
@@ -0,0 +1,99 @@
+import { extractMedicationsFromText } from '../medications/extract.js'
+import { toAsciiDigits, escapeRegExp } from '../utils/text.js'
+
+// Make text comparable across scripts and number formats: lower case,
+// Arabic-Indic and Persian digits to ASCII, decimal commas to points
+function normalizeForMatch(text) {
+  return toAsciiDigits(text.toLowerCase())
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/\s+/g, ' ')
+}
+
+// Whole-word (or whole-number) match that also works for non-Latin scripts
+function containsTerm(text, term) {
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(normalizeForMatch(term))}($|[^\\p{L}\\p{N}])`, 'u')
+  return pattern.test(normalizeForMatch(text))
+}
+
+// Glossary entries whose source term appears in the document
+function findRelevantEntries(sourceText, entries) {
+  return entries.filter(entry => containsTerm(sourceText, entry.term))
+}
+
+// Glossary instructions to add to a prompt. Empty when no entry applies.
+function buildGlossaryInstructions(entries) {
+  if (entries.length === 0) return ''
+  const lines = entries.map((entry) => {
+    const wording = entry.translation && entry.translation !== entry.term
+      ? `translate "${entry.term}" as "${entry.translation}"`
+      : `keep "${entry.term}" exactly as written`
+    return `- ${wording}${entry.notes ? ` (${entry.notes})` : ''}`
+  })
+  return `Glossary - follow these term rules exactly:\n    ${lines.join('\n    ')}`
+}
+
+// Terms that must survive into the output: protected glossary entries found in
+// the source, plus medication names and strengths found by the rule-based extractor
+function collectProtectedTerms(sourceText, entries) {
+  const terms = []
+  const seen = new Set()
+  const add = (term) => {
+    const key = `${term.type}:${normalizeForMatch(term.expected)}`
+    if (seen.has(key)) return
+    seen.add(key)
+    terms.push(term)
+  }
+
+  for (const entry of findRelevantEntries(sourceText, entries)) {
+    if (!entry.protected) continue
+    add({ type: 'glossary', term: entry.term, expected: entry.translation || entry.term })
+  }
+
+  for (const medication of extractMedicationsFromText(sourceText)) {
+    add({ type: 'medication', term: medication.name, expected: medication.name })
+    const amount = medication.strength.match(/\d+(?:[.,]\d+)?/)?.[0]
+    if (amount) {
+      add({ type: 'dosage', term: `${medication.name} ${medication.strength}`, expected: amount })
+    }
+  }
+
+  return terms
+}
+
+// English wording of the reasons a protected term failed the check
+const PROBLEMS = {
+  dropped: 'dropped',
+  untranslated: 'not translated as the glossary requires',
+  dosage: 'dose changed or missing'
+}
+
+// Check that every protected term from the source made it into the output.
+// Returns { passed, checkedTerms, issues: [{ type, term, expected, reason, problem }] }.
+// reason is dropped, untranslated or dosage - the web app words it in the user's
+// language - and problem says the same in English.
+function checkTermPreservation(sourceText, outputText, entries) {
+  const terms = collectProtectedTerms(sourceText, entries)
+  const issues = []
+
+  for (const term of terms) {
+    if (containsTerm(outputText, term.expected)) continue
+
+    let reason = 'dropped'
+    if (term.type === 'glossary' && term.expected !== term.term && containsTerm(outputText, term.term)) {
+      reason = 'untranslated'
+    } else if (term.type === 'dosage') {
+      reason = 'dosage'
+    }
+    issues.push({ ...term, reason, problem: PROBLEMS[reason] })
+  }
+
+  return { passed: issues.length === 0, checkedTerms: terms.length, issues }
+}
+
+export {
+  normalizeForMatch,
+  containsTerm,
+  findRelevantEntries,
+  buildGlossaryInstructions,
+  checkTermPreservation
+}
@@ -0,0 +1,14 @@
+export {
+  validateEntry,
+  listGlossaries,
+  listEntries,
+  addEntry,
+  updateEntry,
+  deleteEntry
+} from './store.js'
+
+export {
+  findRelevantEntries,
+  buildGlossaryInstructions,
+  checkTermPreservation
+} from './check.js'
@@ -0,0 +1,162 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import config from '../config.js'
+
+// Glossaries are stored as one JSON file per target language:
+// { language, entries: [{ id, term, translation, notes, protected, createdAt, updatedAt }] }
+// term is the source (English) term, translation the wording to use in the
+// target language - the same as term for names that must not be translated.
+// protected entries are checked in the output after generation.
+
+const GLOSSARY_DIR = config.glossaryDir
+
+// Writes to the same file are chained so concurrent requests cannot lose updates
+const writeQueues = new Map()
+
+function slugify(language) {
+  return language
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+function glossaryPath(language) {
+  const slug = slugify(language)
+  if (!slug) throw new Error('Invalid language name')
+  return path.join(GLOSSARY_DIR, `${slug}.json`)
+}
+
+async function readGlossary(language) {
+  try {
+    const content = await fs.promises.readFile(glossaryPath(language), 'utf-8')
+    return JSON.parse(content)
+  } catch (error) {
+    if (error.code === 'ENOENT') return { language, entries: [] }
+    throw error
+  }
+}
+
+// Write via a temp file and rename so a crash never leaves half a file behind
+async function writeGlossary(language, glossary) {
+  const filePath = glossaryPath(language)
+  await fs.promises.mkdir(GLOSSARY_DIR, { recursive: true })
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  await fs.promises.writeFile(tempPath, JSON.stringify(glossary, null, 2))
+  await fs.promises.rename(tempPath, filePath)
+}
+
+// Read, change and write a glossary as one queued operation.
+// update(glossary) mutates the glossary and returns the value to resolve with;
+// nothing is written when it returns null or false.
+function modifyGlossary(language, update) {
+  const filePath = glossaryPath(language)
+  const previous = writeQueues.get(filePath) || Promise.resolve()
+  const next = previous.catch(() => {}).then(async () => {
+    const glossary = await readGlossary(language)
+    const result = update(glossary)
+    if (result) await writeGlossary(language, glossary)
+    return result
+  })
+  writeQueues.set(filePath, next)
+  return next
+}
+
+// Check and clean an entry from a request body. Returns { entry, errors },
+// errors as [{ key, params }] of the i18n catalogs.
+function validateEntry(body, { partial = false } = {}) {
+  const errors = []
+  const entry = {}
+
+  if (body.term !== undefined || !partial) {
+    if (typeof body.term !== 'string' || !body.term.trim()) {
+      errors.push({ key: 'problem.term' })
+    } else {
+      entry.term = body.term.trim()
+    }
+  }
+  for (const field of ['translation', 'notes']) {
+    if (body[field] === undefined) {
+      if (!partial) entry[field] = ''
+    } else if (typeof body[field] !== 'string') {
+      errors.push({ key: 'problem.text', params: { field } })
+    } else {
+      entry[field] = body[field].trim()
+    }
+  }
+  if (body.protected === undefined) {
+    if (!partial) entry.protected = true
+  } else if (typeof body.protected !== 'boolean') {
+    errors.push({ key: 'problem.protected' })
+  } else {
+    entry.protected = body.protected
+  }
+
+  return { entry, errors }
+}
+
+async function listGlossaries() {
+  let files
+  try {
+    files = await fs.promises.readdir(GLOSSARY_DIR)
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const glossaries = []
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const content = JSON.parse(await fs.promises.readFile(path.join(GLOSSARY_DIR, file), 'utf-8'))
+    glossaries.push({ language: content.language, entryCount: content.entries.length })
+  }
+  return glossaries
+}
+
+async function listEntries(language) {
+  return (await readGlossary(language)).entries
+}
+
+function addEntry(language, fields) {
+  return modifyGlossary(language, (glossary) => {
+    const duplicate = glossary.entries.find(entry => entry.term.toLowerCase() === fields.term.toLowerCase())
+    if (duplicate) {
+      const error = new Error(`"${fields.term}" is already in the ${language} glossary`)
+      error.status = 409
+      throw error
+    }
+    const now = new Date().toISOString()
+    const entry = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now }
+    glossary.language = language
+    glossary.entries.push(entry)
+    return entry
+  })
+}
+
+// Returns the updated entry, or null when there is no entry with that ID
+function updateEntry(language, id, fields) {
+  return modifyGlossary(language, (glossary) => {
+    const entry = glossary.entries.find(item => item.id === id)
+    if (!entry) return null
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() })
+    return entry
+  })
+}
+
+// Returns true when an entry was removed
+function deleteEntry(language, id) {
+  return modifyGlossary(language, (glossary) => {
+    const before = glossary.entries.length
+    glossary.entries = glossary.entries.filter(item => item.id !== id)
+    return glossary.entries.length < before
+  })
+}
+
+export {
+  validateEntry,
+  listGlossaries,
+  listEntries,
+  addEntry,
+  updateEntry,
+  deleteEntry
+}
@@ -0,0 +1,179 @@
+import fs from 'fs'
+import path from 'path'
+import config from '../config.js'
+import { readUpload } from '../uploads/index.js'
+import { encryptBuffer, decryptBuffer, parseKey } from '../uploads/encryption.js'
+
+// Processed documents are kept per owner, one directory per document:
+// <historyDir>/<owner>/<id>/entry.enc holds
+// { id, fileName, language, mode, readingLevel, batch, createdAt, completedAt,
+//   preview, parser, text, result, files: [{ name, storedName, size }] }
+// and the uploaded files are stored next to it. The ID is the ID of the job that
+// produced the entry. owner is the ID of the user the document belongs to.
+// The entry and the files are encrypted with HISTORY_ENCRYPTION_KEY; without a
+// key the history is off - nothing is saved and there is nothing to read.
+
+const HISTORY_DIR = config.historyDir
+const HISTORY_KEY = config.historyEncryptionKey
+  ? parseKey(config.historyEncryptionKey, 'HISTORY_ENCRYPTION_KEY')
+  : null
+const ENTRY_FILE = 'entry.enc'
+
+const OWNER_PATTERN = /^[A-Za-z0-9-]{8,64}$/
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Length of the summary preview shown in the history list
+const PREVIEW_LENGTH = 160
+
+function isHistoryEnabled() {
+  return HISTORY_KEY !== null
+}
+
+function isValidOwner(owner) {
+  return typeof owner === 'string' && OWNER_PATTERN.test(owner)
+}
+
+function ownerDir(owner) {
+  if (!isValidOwner(owner)) throw new Error('Invalid history owner')
+  return path.join(HISTORY_DIR, owner)
+}
+
+// Directory of one entry, or null for IDs that cannot be entries (never a path outside the store)
+function entryDir(owner, id) {
+  return ID_PATTERN.test(id) ? path.join(ownerDir(owner), id) : null
+}
+
+// Start of the summary, or of the translation, for the history list
+function buildPreview(result) {
+  const text = result.structuredSummary?.overview ||
+    result.summary ||
+    result.sections?.map(section => section.target).join(' ') ||
+    ''
+  const flat = text.replace(/\s+/g, ' ').trim()
+  return flat.length > PREVIEW_LENGTH ? `${flat.slice(0, PREVIEW_LENGTH).trimEnd()}…` : flat
+}
+
+// Keep a finished job: its uploaded files, parsed text and result.
+// files is [{ path, name }] - the uploads, re-encrypted with the history key before they are removed.
+async function saveHistoryEntry(owner, { job, text, parser, files }) {
+  if (!isHistoryEnabled()) throw new Error('Document history is off - HISTORY_ENCRYPTION_KEY is not set')
+  const dir = entryDir(owner, job.id)
+  if (!dir) throw new Error(`Invalid history entry ID "${job.id}"`)
+  await fs.promises.mkdir(dir, { recursive: true })
+
+  const storedFiles = []
+  for (const [index, file] of files.entries()) {
+    // The index keeps stored names unique, the extension keeps the type
+    const storedName = `${index + 1}${path.extname(file.name).toLowerCase()}.enc`
+    const content = await readUpload(file.path)
+    await fs.promises.writeFile(path.join(dir, storedName), encryptBuffer(content, HISTORY_KEY))
+    storedFiles.push({ name: file.name, storedName, size: content.length })
+  }
+
+  const entry = {
+    id: job.id,
+    fileName: job.fileName,
+    language: job.language,
+    mode: job.mode,
+    readingLevel: job.readingLevel,
+    batch: job.batch,
+    createdAt: job.createdAt,
+    completedAt: job.updatedAt,
+    preview: buildPreview(job.result),
+    parser,
+    text,
+    result: job.result,
+    files: storedFiles
+  }
+
+  // Write via a temp file and rename so a crash never leaves half an entry behind
+  const tempPath = path.join(dir, `${ENTRY_FILE}.${process.pid}.tmp`)
+  await fs.promises.writeFile(tempPath, encryptBuffer(JSON.stringify(entry), HISTORY_KEY))
+  await fs.promises.rename(tempPath, path.join(dir, ENTRY_FILE))
+  return entry
+}
+
+// The owner's entries without their text and result, newest first
+async function listHistory(owner) {
+  let ids
+  try {
+    ids = await fs.promises.readdir(ownerDir(owner))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const entries = []
+  for (const id of ids) {
+    const entry = await getHistoryEntry(owner, id)
+    if (!entry) continue
+    entries.push({
+      id: entry.id,
+      fileName: entry.fileName,
+      language: entry.language,
+      mode: entry.mode,
+      readingLevel: entry.readingLevel,
+      batch: entry.batch,
+      createdAt: entry.createdAt,
+      completedAt: entry.completedAt,
+      preview: entry.preview,
+      files: entry.files
+    })
+  }
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+// Returns the entry, or null when the owner has no entry with that ID
+async function getHistoryEntry(owner, id) {
+  const dir = entryDir(owner, id)
+  if (!dir || !isHistoryEnabled()) return null
+  try {
+    const data = await fs.promises.readFile(path.join(dir, ENTRY_FILE))
+    return JSON.parse(decryptBuffer(data, HISTORY_KEY).toString('utf-8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// Decrypted contents and original name of an uploaded file of an entry, or null when there is no such file
+async function getHistoryFile(owner, id, index) {
+  const entry = await getHistoryEntry(owner, id)
+  const file = entry?.files[index]
+  if (!file) return null
+  const data = await fs.promises.readFile(path.join(entryDir(owner, id), file.storedName))
+  return { content: decryptBuffer(data, HISTORY_KEY), name: file.name }
+}
+
+// Remove an entry with its files. Returns true when there was one.
+async function deleteHistoryEntry(owner, id) {
+  const dir = entryDir(owner, id)
+  if (!dir || !fs.existsSync(dir)) return false
+  await fs.promises.rm(dir, { recursive: true, force: true })
+  return true
+}
+
+// Remove everything stored for an owner. Returns the IDs of the removed entries.
+async function deleteHistory(owner) {
+  const dir = ownerDir(owner)
+  let ids
+  try {
+    ids = await fs.promises.readdir(dir)
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+  await fs.promises.rm(dir, { recursive: true, force: true })
+  return ids.filter(id => ID_PATTERN.test(id))
+}
+
+export {
+  isHistoryEnabled,
+  isValidOwner,
+  saveHistoryEntry,
+  listHistory,
+  getHistoryEntry,
+  getHistoryFile,
+  deleteHistoryEntry,
+  deleteHistory
+}
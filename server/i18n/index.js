@@ -0,0 +1,119 @@
+import { findLanguage } from '../languages/index.js'
+import en from './messages/en.js'
+import es from './messages/es.js'
+import zhCN from './messages/zh-CN.js'
+import tl from './messages/tl.js'
+import vi from './messages/vi.js'
+import ar from './messages/ar.js'
+import fr from './messages/fr.js'
+import ko from './messages/ko.js'
+import ru from './messages/ru.js'
+import de from './messages/de.js'
+import hi from './messages/hi.js'
+import pt from './messages/pt.js'
+import it from './messages/it.js'
+import ja from './messages/ja.js'
+import ur from './messages/ur.js'
+import pl from './messages/pl.js'
+import fa from './messages/fa.js'
+import tr from './messages/tr.js'
+import el from './messages/el.js'
+import he from './messages/he.js'
+
+// Error texts of the API in every language of the registry, so the web app can
+// show them as they are. The locale of a request comes from its Accept-Language
+// header, which the web app sets to the language the user picked for the app.
+// Errors are sent as { code, error, message, suggestion } - code stays the same
+// in every language, message and suggestion are only there when the error has them.
+
+// Catalogs by the BCP 47 code of the language registry. English is the
+// reference; a text missing from another catalog is sent in English.
+const CATALOGS = {
+  en,
+  es,
+  'zh-CN': zhCN,
+  tl,
+  vi,
+  ar,
+  fr,
+  ko,
+  ru,
+  de,
+  hi,
+  pt,
+  it,
+  ja,
+  ur,
+  pl,
+  fa,
+  tr,
+  el,
+  he
+}
+
+const DEFAULT_LOCALE = 'en'
+
+// The first language of an Accept-Language header that has a catalog, e.g.
+// "es-MX,es;q=0.9,en;q=0.8" -> es. Falls back to English.
+function getRequestLocale(req) {
+  const ranges = (req.get('accept-language') || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';')
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='))
+      return { tag, quality: quality ? Number(quality.slice(2)) : 1, index }
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+
+  for (const { tag } of ranges) {
+    const code = findLanguage(tag)?.code
+    if (CATALOGS[code]) return code
+  }
+  return DEFAULT_LOCALE
+}
+
+// Middleware that sets req.locale for the routes after it
+function detectLocale(req, res, next) {
+  req.locale = getRequestLocale(req)
+  next()
+}
+
+// The text of a key in a locale, with {name} placeholders filled from params
+function translate(locale, key, params = {}) {
+  const text = CATALOGS[locale]?.[key] ?? en[key] ?? key
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined ? placeholder : String(params[name])
+  ))
+}
+
+// Error response body for an error code: { code, error, message?, suggestion? }.
+// params fill the placeholders; fields are added as they are and may replace
+// the message, e.g. with the problems found in a request.
+function localizeError(locale, code, params = {}, fields = {}) {
+  const body = { code, error: translate(locale, `${code}.error`, params) }
+  for (const part of ['message', 'suggestion']) {
+    if (en[`${code}.${part}`] !== undefined) body[part] = translate(locale, `${code}.${part}`, params)
+  }
+  return { ...body, ...fields }
+}
+
+// Error for a failed step of processing (parsing, summarizing, audio, ...).
+// The message says what went wrong in plain words - a slow or unavailable
+// outside service gets its own - and reason keeps the technical message.
+function localizeFailure(locale, code, error) {
+  const body = localizeError(locale, code)
+  if (error?.code === 'DEADLINE_EXCEEDED' || error?.code === 'CIRCUIT_OPEN') {
+    const reason = error.code === 'DEADLINE_EXCEEDED' ? 'providerTimeout' : 'providerUnavailable'
+    body.message = translate(locale, `${reason}.message`)
+    body.suggestion = translate(locale, `${reason}.suggestion`)
+  }
+  return { ...body, reason: error?.message }
+}
+
+// Problems found in a request body, [{ key, params }], as one sentence
+function translateProblems(locale, problems) {
+  return problems.map(problem => translate(locale, problem.key, problem.params)).join('; ')
+}
+
+export { DEFAULT_LOCALE, getRequestLocale, detectLocale, translate, localizeError, localizeFailure, translateProblems }
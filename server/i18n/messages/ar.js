@@ -0,0 +1,100 @@
+// Arabic texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'لم يتم رفع أي ملف',
+  'tooManyFiles.error': 'ارفع {max} ملفًا كحد أقصى في المرة الواحدة',
+  'fileTooLarge.error': 'الملف كبير جدًا - ارفع ملفات لا يزيد حجمها عن {maxMb} ميغابايت',
+  'languageMissing.error': 'لم يتم تحديد اللغة',
+  'unknownLanguage.error': 'لغة غير معروفة "{language}"',
+  'unknownMode.error': 'وضع غير معروف "{mode}". استخدم أحد هذه الأوضاع: {modes}',
+  'unknownReadingLevel.error': 'مستوى قراءة غير معروف "{readingLevel}". استخدم أحد هذه المستويات: {readingLevels}',
+  'batchTranslation.error': 'لا يمكن تلخيص عدة مستندات إلا معًا. ترجم مستندًا واحدًا في كل مرة.',
+  'jobNotFound.error': 'لم يتم العثور على المهمة',
+  'notJobOwner.error': 'لا يمكن إلغاء المهمة إلا من قِبل المستخدم الذي بدأها',
+  'jobFinished.error': 'انتهت المهمة بالفعل',
+  'jobNotDone.error': 'لم تنتهِ المهمة بعد',
+  'jobCancelled.error': 'تم إلغاء المهمة',
+  'jobCancelled.message': 'تم إلغاء المهمة',
+  'notParsed.error': 'لم تتم قراءة المستند بعد',
+  'noMedicationSchedule.error': 'لا يوجد جدول أدوية لهذه المهمة. أنشئ جدولًا أولًا باستخدام POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'يجب أن يكون start تاريخًا بتنسيق YYYY-MM-DD',
+  'internalError.error': 'خطأ داخلي في الخادم',
+  'invalidRequest.error': 'طلب غير صالح',
+  'requestTooLarge.error': 'الطلب كبير جدًا',
+
+  // Processing that failed
+  'parseFailed.error': 'تعذّرت قراءة المستند',
+  'parseFailed.message': 'تعذّرت قراءة نص المستند.',
+  'parseFailed.suggestion': 'قد تكون هناك مشكلة في قارئ المستندات. حاول مرة أخرى بعد قليل، أو استخدم ملف ‎.txt للمعالجة المباشرة.',
+  'summarizeFailed.error': 'تعذّر تلخيص المستند',
+  'summarizeFailed.message': 'تعذّرت كتابة ملخص لهذا المستند.',
+  'processFailed.error': 'تعذّرت معالجة المستند',
+  'processFailed.message': 'حدث خطأ أثناء معالجة المستند.',
+  'medicationsFailed.error': 'تعذّر استخراج الأدوية',
+  'medicationsFailed.message': 'تعذّرت قراءة الأدوية من المستند.',
+  'audioFailed.error': 'تعذّر إنشاء الصوت',
+  'audioFailed.message': 'تعذّر إنشاء الملف الصوتي.',
+  'chatFailed.error': 'تعذّرت الإجابة عن السؤال',
+  'chatFailed.message': 'تعذّر تقديم إجابة عن سؤالك.',
+  'providerTimeout.message': 'استغرقت إحدى الخدمات التي نستخدمها وقتًا طويلًا في الرد.',
+  'providerTimeout.suggestion': 'حاول مرة أخرى بعد بضع دقائق.',
+  'providerUnavailable.message': 'إحدى الخدمات التي نستخدمها غير متاحة حاليًا.',
+  'providerUnavailable.suggestion': 'حاول مرة أخرى بعد بضع دقائق.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'يمكن للمسؤولين فقط تغيير المسارد',
+  'signInRequired.error': 'يجب تسجيل الدخول',
+  'invalidAccount.error': 'بيانات الحساب غير صالحة',
+  'credentialsRequired.error': 'البريد الإلكتروني وكلمة المرور مطلوبان',
+  'wrongCredentials.error': 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+  'registerFailed.error': 'تعذّر إنشاء الحساب',
+  'signInFailed.error': 'تعذّر تسجيل الدخول',
+  'signOutFailed.error': 'تعذّر تسجيل الخروج',
+  'invalidSettings.error': 'الإعدادات غير صالحة',
+  'saveSettingsFailed.error': 'تعذّر حفظ الإعدادات',
+  'listCaregiversFailed.error': 'تعذّر جلب قائمة مقدمي الرعاية',
+  'caregiverEmailRequired.error': 'البريد الإلكتروني لمقدم الرعاية مطلوب',
+  'addCaregiverFailed.error': 'تعذّرت إضافة مقدم الرعاية',
+  'caregiverNotFound.error': 'لم يتم العثور على مقدم الرعاية',
+  'removeCaregiverFailed.error': 'تعذّرت إزالة مقدم الرعاية',
+  'listPatientsFailed.error': 'تعذّر جلب قائمة المرضى',
+  'emailTaken.message': 'يوجد حساب بهذا البريد الإلكتروني بالفعل',
+  'accountNotFound.message': 'لم يتم العثور على الحساب',
+  'noAccountForEmail.message': 'لا يوجد حساب بهذا البريد الإلكتروني - اطلب من مقدم الرعاية إنشاء حساب أولًا',
+  'selfCaregiver.message': 'لا يمكنك إضافة نفسك كمقدم رعاية',
+
+  // Document history
+  'noDocumentAccess.error': 'ليس لديك إذن بالوصول إلى هذه المستندات',
+  'patientOnly.error': 'لا يمكن حذف المستندات إلا من قِبل المريض نفسه',
+  'documentNotFound.error': 'المستند غير موجود',
+  'invalidQuestion.error': 'سؤال غير صالح',
+  'historyEntryNotFound.error': 'لم يتم العثور على المستند في السجل',
+  'fileNotFound.error': 'لم يتم العثور على الملف',
+  'listHistoryFailed.error': 'تعذّر جلب السجل',
+  'readHistoryFailed.error': 'تعذّرت قراءة المستند من السجل',
+  'readFileFailed.error': 'تعذّرت قراءة الملف',
+  'deleteHistoryEntryFailed.error': 'تعذّر حذف المستند من السجل',
+  'deleteHistoryFailed.error': 'تعذّر حذف السجل',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'مدخل المسرد غير صالح',
+  'glossaryEntryNotFound.error': 'لم يتم العثور على مدخل المسرد',
+  'listGlossariesFailed.error': 'تعذّر جلب قائمة المسارد',
+  'readGlossaryFailed.error': 'تعذّرت قراءة المسرد',
+  'addGlossaryEntryFailed.error': 'تعذّرت إضافة مدخل إلى المسرد',
+  'updateGlossaryEntryFailed.error': 'تعذّر تحديث مدخل المسرد',
+  'deleteGlossaryEntryFailed.error': 'تعذّر حذف مدخل المسرد',
+
+  // Fields of a request
+  'problem.name': 'يجب أن يكون "name" نصًا غير فارغ',
+  'problem.email': 'يجب أن يكون "email" عنوان بريد إلكتروني',
+  'problem.password': 'يجب أن تتكون "password" من {min} أحرف على الأقل',
+  'problem.language': 'يجب أن يكون "language" اسم لغة أو null',
+  'problem.readingLevel': 'يجب أن يكون "readingLevel" أحد هذه القيم: {readingLevels}',
+  'problem.darkMode': 'يجب أن يكون "darkMode" إما true أو false',
+  'problem.term': 'يجب أن يكون "term" نصًا غير فارغ',
+  'problem.text': 'يجب أن يكون "{field}" نصًا',
+  'problem.protected': 'يجب أن يكون "protected" إما true أو false',
+  'problem.question': 'يجب أن يكون "question" نصًا غير فارغ لا يتجاوز {max} حرفًا',
+  'problem.messages': 'يجب أن تكون "messages" قائمة من { role, content } حيث role هي "user" أو "assistant"'
+}
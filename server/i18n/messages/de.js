@@ -0,0 +1,100 @@
+// German texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Keine Datei hochgeladen',
+  'tooManyFiles.error': 'Laden Sie höchstens {max} Dateien auf einmal hoch',
+  'fileTooLarge.error': 'Die Datei ist zu groß – laden Sie Dateien mit höchstens {maxMb} MB hoch',
+  'languageMissing.error': 'Keine Sprache angegeben',
+  'unknownLanguage.error': 'Unbekannte Sprache „{language}“',
+  'unknownMode.error': 'Unbekannter Modus „{mode}“. Verwenden Sie einen dieser Modi: {modes}',
+  'unknownReadingLevel.error': 'Unbekanntes Leseniveau „{readingLevel}“. Verwenden Sie eines dieser Niveaus: {readingLevels}',
+  'batchTranslation.error': 'Mehrere Dokumente können nur gemeinsam zusammengefasst werden. Übersetzen Sie ein Dokument nach dem anderen.',
+  'jobNotFound.error': 'Auftrag nicht gefunden',
+  'notJobOwner.error': 'Nur wer einen Auftrag gestartet hat, kann ihn abbrechen',
+  'jobFinished.error': 'Der Auftrag ist bereits beendet',
+  'jobNotDone.error': 'Der Auftrag ist noch nicht fertig',
+  'jobCancelled.error': 'Auftrag abgebrochen',
+  'jobCancelled.message': 'Der Auftrag wurde abgebrochen',
+  'notParsed.error': 'Das Dokument wurde noch nicht gelesen',
+  'noMedicationSchedule.error': 'Für diesen Auftrag gibt es keinen Medikamentenplan. Erstellen Sie zuerst einen mit POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start muss ein Datum im Format JJJJ-MM-TT sein',
+  'internalError.error': 'Interner Serverfehler',
+  'invalidRequest.error': 'Ungültige Anfrage',
+  'requestTooLarge.error': 'Die Anfrage ist zu groß',
+
+  // Processing that failed
+  'parseFailed.error': 'Dokument konnte nicht gelesen werden',
+  'parseFailed.message': 'Der Text des Dokuments konnte nicht gelesen werden.',
+  'parseFailed.suggestion': 'Beim Dokumentleser gibt es möglicherweise Probleme. Versuchen Sie es gleich noch einmal oder verwenden Sie eine .txt-Datei zur direkten Verarbeitung.',
+  'summarizeFailed.error': 'Dokument konnte nicht zusammengefasst werden',
+  'summarizeFailed.message': 'Für dieses Dokument konnte keine Zusammenfassung geschrieben werden.',
+  'processFailed.error': 'Dokument konnte nicht verarbeitet werden',
+  'processFailed.message': 'Bei der Verarbeitung des Dokuments ist etwas schiefgegangen.',
+  'medicationsFailed.error': 'Medikamente konnten nicht ausgelesen werden',
+  'medicationsFailed.message': 'Die Medikamente konnten nicht aus dem Dokument gelesen werden.',
+  'audioFailed.error': 'Audio konnte nicht erzeugt werden',
+  'audioFailed.message': 'Die Audiodatei konnte nicht erstellt werden.',
+  'chatFailed.error': 'Die Frage konnte nicht beantwortet werden',
+  'chatFailed.message': 'Auf Ihre Frage konnte keine Antwort gegeben werden.',
+  'providerTimeout.message': 'Ein Dienst, den wir nutzen, hat zu lange für die Antwort gebraucht.',
+  'providerTimeout.suggestion': 'Versuchen Sie es in ein paar Minuten noch einmal.',
+  'providerUnavailable.message': 'Ein Dienst, den wir nutzen, ist gerade nicht erreichbar.',
+  'providerUnavailable.suggestion': 'Versuchen Sie es in ein paar Minuten noch einmal.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Nur Administratoren können Glossare ändern',
+  'signInRequired.error': 'Anmeldung erforderlich',
+  'invalidAccount.error': 'Ungültiges Konto',
+  'credentialsRequired.error': 'E-Mail-Adresse und Passwort sind erforderlich',
+  'wrongCredentials.error': 'Falsche E-Mail-Adresse oder falsches Passwort',
+  'registerFailed.error': 'Konto konnte nicht erstellt werden',
+  'signInFailed.error': 'Anmeldung fehlgeschlagen',
+  'signOutFailed.error': 'Abmeldung fehlgeschlagen',
+  'invalidSettings.error': 'Ungültige Einstellungen',
+  'saveSettingsFailed.error': 'Einstellungen konnten nicht gespeichert werden',
+  'listCaregiversFailed.error': 'Betreuungspersonen konnten nicht geladen werden',
+  'caregiverEmailRequired.error': 'Die E-Mail-Adresse der Betreuungsperson ist erforderlich',
+  'addCaregiverFailed.error': 'Betreuungsperson konnte nicht hinzugefügt werden',
+  'caregiverNotFound.error': 'Betreuungsperson nicht gefunden',
+  'removeCaregiverFailed.error': 'Betreuungsperson konnte nicht entfernt werden',
+  'listPatientsFailed.error': 'Patienten konnten nicht geladen werden',
+  'emailTaken.message': 'Es gibt bereits ein Konto mit dieser E-Mail-Adresse',
+  'accountNotFound.message': 'Konto nicht gefunden',
+  'noAccountForEmail.message': 'Es gibt kein Konto mit dieser E-Mail-Adresse – bitten Sie die Betreuungsperson, zuerst eines zu erstellen',
+  'selfCaregiver.message': 'Sie können sich nicht selbst als Betreuungsperson hinzufügen',
+
+  // Document history
+  'noDocumentAccess.error': 'Sie haben keinen Zugriff auf diese Dokumente',
+  'patientOnly.error': 'Nur der Patient kann seine Dokumente löschen',
+  'documentNotFound.error': 'Dokument nicht gefunden',
+  'invalidQuestion.error': 'Ungültige Frage',
+  'historyEntryNotFound.error': 'Dokument im Verlauf nicht gefunden',
+  'fileNotFound.error': 'Datei nicht gefunden',
+  'listHistoryFailed.error': 'Verlauf konnte nicht geladen werden',
+  'readHistoryFailed.error': 'Dokument aus dem Verlauf konnte nicht gelesen werden',
+  'readFileFailed.error': 'Datei konnte nicht gelesen werden',
+  'deleteHistoryEntryFailed.error': 'Dokument konnte nicht aus dem Verlauf gelöscht werden',
+  'deleteHistoryFailed.error': 'Verlauf konnte nicht gelöscht werden',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Ungültiger Glossareintrag',
+  'glossaryEntryNotFound.error': 'Glossareintrag nicht gefunden',
+  'listGlossariesFailed.error': 'Glossare konnten nicht geladen werden',
+  'readGlossaryFailed.error': 'Glossar konnte nicht gelesen werden',
+  'addGlossaryEntryFailed.error': 'Glossareintrag konnte nicht hinzugefügt werden',
+  'updateGlossaryEntryFailed.error': 'Glossareintrag konnte nicht geändert werden',
+  'deleteGlossaryEntryFailed.error': 'Glossareintrag konnte nicht gelöscht werden',
+
+  // Fields of a request
+  'problem.name': '„name“ muss ein nicht leerer Text sein',
+  'problem.email': '„email“ muss eine E-Mail-Adresse sein',
+  'problem.password': '„password“ muss mindestens {min} Zeichen lang sein',
+  'problem.language': '„language“ muss ein Sprachname oder null sein',
+  'problem.readingLevel': '„readingLevel“ muss einer dieser Werte sein: {readingLevels}',
+  'problem.darkMode': '„darkMode“ muss true oder false sein',
+  'problem.term': '„term“ muss ein nicht leerer Text sein',
+  'problem.text': '„{field}“ muss ein Text sein',
+  'problem.protected': '„protected“ muss true oder false sein',
+  'problem.question': '„question“ muss ein nicht leerer Text mit höchstens {max} Zeichen sein',
+  'problem.messages': '„messages“ muss eine Liste von { role, content } mit role „user“ oder „assistant“ sein'
+}
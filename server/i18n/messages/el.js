@@ -0,0 +1,100 @@
+// Greek texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Δεν ανέβηκε κανένα αρχείο',
+  'tooManyFiles.error': 'Ανεβάστε το πολύ {max} αρχεία κάθε φορά',
+  'fileTooLarge.error': 'Το αρχείο είναι πολύ μεγάλο - ανεβάστε αρχεία έως {maxMb} MB',
+  'languageMissing.error': 'Δεν ορίστηκε γλώσσα',
+  'unknownLanguage.error': 'Άγνωστη γλώσσα «{language}»',
+  'unknownMode.error': 'Άγνωστη λειτουργία «{mode}». Χρησιμοποιήστε μία από αυτές: {modes}',
+  'unknownReadingLevel.error': 'Άγνωστο επίπεδο ανάγνωσης «{readingLevel}». Χρησιμοποιήστε ένα από αυτά: {readingLevels}',
+  'batchTranslation.error': 'Πολλά έγγραφα μπορούν μόνο να συνοψιστούν μαζί. Μεταφράζετε ένα έγγραφο κάθε φορά.',
+  'jobNotFound.error': 'Η εργασία δεν βρέθηκε',
+  'notJobOwner.error': 'Μόνο ο χρήστης που ξεκίνησε μια εργασία μπορεί να την ακυρώσει',
+  'jobFinished.error': 'Η εργασία έχει ήδη τελειώσει',
+  'jobNotDone.error': 'Η εργασία δεν έχει τελειώσει ακόμη',
+  'jobCancelled.error': 'Η εργασία ακυρώθηκε',
+  'jobCancelled.message': 'Η εργασία ακυρώθηκε',
+  'notParsed.error': 'Το έγγραφο δεν έχει διαβαστεί ακόμη',
+  'noMedicationSchedule.error': 'Αυτή η εργασία δεν έχει πρόγραμμα φαρμάκων. Δημιουργήστε πρώτα ένα με POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'Το start πρέπει να είναι ημερομηνία σε μορφή ΕΕΕΕ-ΜΜ-ΗΗ',
+  'internalError.error': 'Εσωτερικό σφάλμα διακομιστή',
+  'invalidRequest.error': 'Μη έγκυρο αίτημα',
+  'requestTooLarge.error': 'Το αίτημα είναι πολύ μεγάλο',
+
+  // Processing that failed
+  'parseFailed.error': 'Δεν ήταν δυνατή η ανάγνωση του εγγράφου',
+  'parseFailed.message': 'Δεν ήταν δυνατή η ανάγνωση του κειμένου του εγγράφου.',
+  'parseFailed.suggestion': 'Ο αναγνώστης εγγράφων ίσως αντιμετωπίζει προβλήματα. Δοκιμάστε ξανά σε λίγο ή χρησιμοποιήστε ένα αρχείο .txt για άμεση επεξεργασία.',
+  'summarizeFailed.error': 'Δεν ήταν δυνατή η σύνοψη του εγγράφου',
+  'summarizeFailed.message': 'Δεν ήταν δυνατό να γραφτεί σύνοψη για αυτό το έγγραφο.',
+  'processFailed.error': 'Δεν ήταν δυνατή η επεξεργασία του εγγράφου',
+  'processFailed.message': 'Κάτι πήγε στραβά κατά την επεξεργασία του εγγράφου.',
+  'medicationsFailed.error': 'Δεν ήταν δυνατή η εξαγωγή των φαρμάκων',
+  'medicationsFailed.message': 'Δεν ήταν δυνατή η ανάγνωση των φαρμάκων από το έγγραφο.',
+  'audioFailed.error': 'Δεν ήταν δυνατή η δημιουργία ήχου',
+  'audioFailed.message': 'Δεν ήταν δυνατή η δημιουργία του αρχείου ήχου.',
+  'chatFailed.error': 'Δεν ήταν δυνατή η απάντηση στην ερώτηση',
+  'chatFailed.message': 'Δεν ήταν δυνατό να δοθεί απάντηση στην ερώτησή σας.',
+  'providerTimeout.message': 'Μια υπηρεσία που χρησιμοποιούμε άργησε πολύ να απαντήσει.',
+  'providerTimeout.suggestion': 'Δοκιμάστε ξανά σε λίγα λεπτά.',
+  'providerUnavailable.message': 'Μια υπηρεσία που χρησιμοποιούμε δεν είναι διαθέσιμη αυτή τη στιγμή.',
+  'providerUnavailable.suggestion': 'Δοκιμάστε ξανά σε λίγα λεπτά.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Μόνο οι διαχειριστές μπορούν να αλλάξουν τα γλωσσάρια',
+  'signInRequired.error': 'Απαιτείται σύνδεση',
+  'invalidAccount.error': 'Μη έγκυρος λογαριασμός',
+  'credentialsRequired.error': 'Απαιτούνται email και κωδικός πρόσβασης',
+  'wrongCredentials.error': 'Λάθος email ή κωδικός πρόσβασης',
+  'registerFailed.error': 'Δεν ήταν δυνατή η δημιουργία λογαριασμού',
+  'signInFailed.error': 'Δεν ήταν δυνατή η σύνδεση',
+  'signOutFailed.error': 'Δεν ήταν δυνατή η αποσύνδεση',
+  'invalidSettings.error': 'Μη έγκυρες ρυθμίσεις',
+  'saveSettingsFailed.error': 'Δεν ήταν δυνατή η αποθήκευση των ρυθμίσεων',
+  'listCaregiversFailed.error': 'Δεν ήταν δυνατή η λήψη της λίστας φροντιστών',
+  'caregiverEmailRequired.error': 'Απαιτείται το email του φροντιστή',
+  'addCaregiverFailed.error': 'Δεν ήταν δυνατή η προσθήκη του φροντιστή',
+  'caregiverNotFound.error': 'Ο φροντιστής δεν βρέθηκε',
+  'removeCaregiverFailed.error': 'Δεν ήταν δυνατή η αφαίρεση του φροντιστή',
+  'listPatientsFailed.error': 'Δεν ήταν δυνατή η λήψη της λίστας ασθενών',
+  'emailTaken.message': 'Υπάρχει ήδη λογαριασμός με αυτό το email',
+  'accountNotFound.message': 'Ο λογαριασμός δεν βρέθηκε',
+  'noAccountForEmail.message': 'Δεν υπάρχει λογαριασμός με αυτό το email - ζητήστε από τον φροντιστή να δημιουργήσει πρώτα έναν',
+  'selfCaregiver.message': 'Δεν μπορείτε να προσθέσετε τον εαυτό σας ως φροντιστή',
+
+  // Document history
+  'noDocumentAccess.error': 'Δεν έχετε πρόσβαση σε αυτά τα έγγραφα',
+  'patientOnly.error': 'Μόνο ο ασθενής μπορεί να διαγράψει τα έγγραφά του',
+  'documentNotFound.error': 'Το έγγραφο δεν βρέθηκε',
+  'invalidQuestion.error': 'Μη έγκυρη ερώτηση',
+  'historyEntryNotFound.error': 'Το έγγραφο δεν βρέθηκε στο ιστορικό',
+  'fileNotFound.error': 'Το αρχείο δεν βρέθηκε',
+  'listHistoryFailed.error': 'Δεν ήταν δυνατή η λήψη του ιστορικού',
+  'readHistoryFailed.error': 'Δεν ήταν δυνατή η ανάγνωση του εγγράφου από το ιστορικό',
+  'readFileFailed.error': 'Δεν ήταν δυνατή η ανάγνωση του αρχείου',
+  'deleteHistoryEntryFailed.error': 'Δεν ήταν δυνατή η διαγραφή του εγγράφου από το ιστορικό',
+  'deleteHistoryFailed.error': 'Δεν ήταν δυνατή η διαγραφή του ιστορικού',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Μη έγκυρη καταχώριση γλωσσαρίου',
+  'glossaryEntryNotFound.error': 'Η καταχώριση γλωσσαρίου δεν βρέθηκε',
+  'listGlossariesFailed.error': 'Δεν ήταν δυνατή η λήψη της λίστας γλωσσαρίων',
+  'readGlossaryFailed.error': 'Δεν ήταν δυνατή η ανάγνωση του γλωσσαρίου',
+  'addGlossaryEntryFailed.error': 'Δεν ήταν δυνατή η προσθήκη καταχώρισης στο γλωσσάριο',
+  'updateGlossaryEntryFailed.error': 'Δεν ήταν δυνατή η ενημέρωση της καταχώρισης γλωσσαρίου',
+  'deleteGlossaryEntryFailed.error': 'Δεν ήταν δυνατή η διαγραφή της καταχώρισης γλωσσαρίου',
+
+  // Fields of a request
+  'problem.name': 'Το «name» πρέπει να είναι μη κενό κείμενο',
+  'problem.email': 'Το «email» πρέπει να είναι διεύθυνση email',
+  'problem.password': 'Το «password» πρέπει να έχει τουλάχιστον {min} χαρακτήρες',
+  'problem.language': 'Το «language» πρέπει να είναι όνομα γλώσσας ή null',
+  'problem.readingLevel': 'Το «readingLevel» πρέπει να είναι ένα από αυτά: {readingLevels}',
+  'problem.darkMode': 'Το «darkMode» πρέπει να είναι true ή false',
+  'problem.term': 'Το «term» πρέπει να είναι μη κενό κείμενο',
+  'problem.text': 'Το «{field}» πρέπει να είναι κείμενο',
+  'problem.protected': 'Το «protected» πρέπει να είναι true ή false',
+  'problem.question': 'Το «question» πρέπει να είναι μη κενό κείμενο έως {max} χαρακτήρες',
+  'problem.messages': 'Το «messages» πρέπει να είναι λίστα από { role, content } με role «user» ή «assistant»'
+}
@@ -0,0 +1,102 @@
+// English texts of the API - the reference catalog every other language follows.
+// Errors are <code>.error, with an optional <code>.message and <code>.suggestion;
+// problem.* describe what is wrong with a field of a request.
+export default {
+  // Uploads and jobs
+  'noFile.error': 'No file uploaded',
+  'tooManyFiles.error': 'Upload at most {max} files at a time',
+  'fileTooLarge.error': 'The file is too large - upload files of at most {maxMb} MB',
+  'languageMissing.error': 'Language not specified',
+  'unknownLanguage.error': 'Unknown language "{language}"',
+  'unknownMode.error': 'Unknown mode "{mode}". Use one of: {modes}',
+  'unknownReadingLevel.error': 'Unknown reading level "{readingLevel}". Use one of: {readingLevels}',
+  'batchTranslation.error': 'Several documents can only be summarized together. Translate one document at a time.',
+  'jobNotFound.error': 'Job not found',
+  'notJobOwner.error': 'Only the user who started a job can cancel it',
+  'jobFinished.error': 'Job has already finished',
+  'jobNotDone.error': 'Job has not finished yet',
+  'jobCancelled.error': 'Job cancelled',
+  'jobCancelled.message': 'The job was cancelled',
+  'notParsed.error': 'Document has not been parsed yet',
+  'noMedicationSchedule.error': 'No medication schedule for this job. Create one with POST /api/jobs/:id/medications first.',
+  'invalidStartDate.error': 'start must be a date in YYYY-MM-DD format',
+  'internalError.error': 'Internal server error',
+  'invalidRequest.error': 'Invalid request',
+  'requestTooLarge.error': 'Request is too large',
+
+  // Processing that failed
+  'parseFailed.error': 'Failed to parse document',
+  'parseFailed.message': 'The text of the document could not be read.',
+  'parseFailed.suggestion': 'The document parser may be experiencing issues. Try again in a moment, or use a .txt file for direct processing.',
+  'summarizeFailed.error': 'Failed to summarize document',
+  'summarizeFailed.message': 'No summary could be written for this document.',
+  'processFailed.error': 'Failed to process document',
+  'processFailed.message': 'Something went wrong while processing the document.',
+  'medicationsFailed.error': 'Failed to extract medications',
+  'medicationsFailed.message': 'The medications could not be read from the document.',
+  'audioFailed.error': 'Failed to generate audio',
+  'audioFailed.message': 'The audio could not be made.',
+  'chatFailed.error': 'Failed to answer the question',
+  'chatFailed.message': 'No answer could be given to your question.',
+  'providerTimeout.message': 'A service we use took too long to answer.',
+  'providerTimeout.suggestion': 'Try again in a few minutes.',
+  'providerUnavailable.message': 'A service we use is not available at the moment.',
+  'providerUnavailable.suggestion': 'Try again in a few minutes.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Only administrators can change glossaries',
+  'signInRequired.error': 'Sign in required',
+  'invalidAccount.error': 'Invalid account',
+  'credentialsRequired.error': 'Email and password are required',
+  'wrongCredentials.error': 'Wrong email or password',
+  'registerFailed.error': 'Failed to create account',
+  'signInFailed.error': 'Failed to sign in',
+  'signOutFailed.error': 'Failed to sign out',
+  'invalidSettings.error': 'Invalid settings',
+  'saveSettingsFailed.error': 'Failed to save settings',
+  'listCaregiversFailed.error': 'Failed to list caregivers',
+  'caregiverEmailRequired.error': 'Email of the caregiver is required',
+  'addCaregiverFailed.error': 'Failed to add caregiver',
+  'caregiverNotFound.error': 'Caregiver not found',
+  'removeCaregiverFailed.error': 'Failed to remove caregiver',
+  'listPatientsFailed.error': 'Failed to list patients',
+  'emailTaken.message': 'An account with this email already exists',
+  'accountNotFound.message': 'Account not found',
+  'noAccountForEmail.message': 'There is no account with this email - ask the caregiver to create one first',
+  'selfCaregiver.message': 'You cannot add yourself as a caregiver',
+
+  // Document history
+  'noDocumentAccess.error': 'You do not have access to these documents',
+  'patientOnly.error': 'Only the patient can delete their documents',
+  'documentNotFound.error': 'Document not found',
+  'invalidQuestion.error': 'Invalid question',
+  'historyEntryNotFound.error': 'History entry not found',
+  'fileNotFound.error': 'File not found',
+  'listHistoryFailed.error': 'Failed to list history',
+  'readHistoryFailed.error': 'Failed to read history entry',
+  'readFileFailed.error': 'Failed to read file',
+  'deleteHistoryEntryFailed.error': 'Failed to delete history entry',
+  'deleteHistoryFailed.error': 'Failed to delete history',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Invalid glossary entry',
+  'glossaryEntryNotFound.error': 'Glossary entry not found',
+  'listGlossariesFailed.error': 'Failed to list glossaries',
+  'readGlossaryFailed.error': 'Failed to read glossary',
+  'addGlossaryEntryFailed.error': 'Failed to add glossary entry',
+  'updateGlossaryEntryFailed.error': 'Failed to update glossary entry',
+  'deleteGlossaryEntryFailed.error': 'Failed to delete glossary entry',
+
+  // Fields of a request
+  'problem.name': '"name" must be a non-empty string',
+  'problem.email': '"email" must be an email address',
+  'problem.password': '"password" must be at least {min} characters',
+  'problem.language': '"language" must be a language name or null',
+  'problem.readingLevel': '"readingLevel" must be one of: {readingLevels}',
+  'problem.darkMode': '"darkMode" must be true or false',
+  'problem.term': '"term" must be a non-empty string',
+  'problem.text': '"{field}" must be a string',
+  'problem.protected': '"protected" must be true or false',
+  'problem.question': '"question" must be a non-empty string of at most {max} characters',
+  'problem.messages': '"messages" must be a list of { role, content } with role "user" or "assistant"'
+}
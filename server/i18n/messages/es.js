@@ -0,0 +1,100 @@
+// Spanish texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'No se subió ningún archivo',
+  'tooManyFiles.error': 'Suba como máximo {max} archivos a la vez',
+  'fileTooLarge.error': 'El archivo es demasiado grande: suba archivos de {maxMb} MB como máximo',
+  'languageMissing.error': 'No se indicó el idioma',
+  'unknownLanguage.error': 'Idioma desconocido "{language}"',
+  'unknownMode.error': 'Modo desconocido "{mode}". Use uno de estos: {modes}',
+  'unknownReadingLevel.error': 'Nivel de lectura desconocido "{readingLevel}". Use uno de estos: {readingLevels}',
+  'batchTranslation.error': 'Varios documentos solo se pueden resumir juntos. Traduzca un documento a la vez.',
+  'jobNotFound.error': 'No se encontró la tarea',
+  'notJobOwner.error': 'Solo la persona que inició una tarea puede cancelarla',
+  'jobFinished.error': 'La tarea ya terminó',
+  'jobNotDone.error': 'La tarea aún no ha terminado',
+  'jobCancelled.error': 'Tarea cancelada',
+  'jobCancelled.message': 'La tarea se canceló',
+  'notParsed.error': 'El documento aún no se ha leído',
+  'noMedicationSchedule.error': 'Esta tarea no tiene horario de medicamentos. Cree uno primero con POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start debe ser una fecha con el formato AAAA-MM-DD',
+  'internalError.error': 'Error interno del servidor',
+  'invalidRequest.error': 'Solicitud no válida',
+  'requestTooLarge.error': 'La solicitud es demasiado grande',
+
+  // Processing that failed
+  'parseFailed.error': 'No se pudo leer el documento',
+  'parseFailed.message': 'No se pudo leer el texto del documento.',
+  'parseFailed.suggestion': 'Es posible que el lector de documentos tenga problemas. Inténtelo de nuevo en un momento o use un archivo .txt para procesarlo directamente.',
+  'summarizeFailed.error': 'No se pudo resumir el documento',
+  'summarizeFailed.message': 'No se pudo escribir un resumen de este documento.',
+  'processFailed.error': 'No se pudo procesar el documento',
+  'processFailed.message': 'Algo salió mal al procesar el documento.',
+  'medicationsFailed.error': 'No se pudieron extraer los medicamentos',
+  'medicationsFailed.message': 'No se pudieron leer los medicamentos del documento.',
+  'audioFailed.error': 'No se pudo generar el audio',
+  'audioFailed.message': 'No se pudo crear el audio.',
+  'chatFailed.error': 'No se pudo responder la pregunta',
+  'chatFailed.message': 'No se pudo dar una respuesta a su pregunta.',
+  'providerTimeout.message': 'Un servicio que usamos tardó demasiado en responder.',
+  'providerTimeout.suggestion': 'Inténtelo de nuevo en unos minutos.',
+  'providerUnavailable.message': 'Un servicio que usamos no está disponible en este momento.',
+  'providerUnavailable.suggestion': 'Inténtelo de nuevo en unos minutos.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Solo los administradores pueden cambiar los glosarios',
+  'signInRequired.error': 'Debe iniciar sesión',
+  'invalidAccount.error': 'Cuenta no válida',
+  'credentialsRequired.error': 'Se necesitan el correo electrónico y la contraseña',
+  'wrongCredentials.error': 'Correo electrónico o contraseña incorrectos',
+  'registerFailed.error': 'No se pudo crear la cuenta',
+  'signInFailed.error': 'No se pudo iniciar sesión',
+  'signOutFailed.error': 'No se pudo cerrar sesión',
+  'invalidSettings.error': 'Ajustes no válidos',
+  'saveSettingsFailed.error': 'No se pudieron guardar los ajustes',
+  'listCaregiversFailed.error': 'No se pudo obtener la lista de cuidadores',
+  'caregiverEmailRequired.error': 'Se necesita el correo electrónico del cuidador',
+  'addCaregiverFailed.error': 'No se pudo añadir al cuidador',
+  'caregiverNotFound.error': 'No se encontró al cuidador',
+  'removeCaregiverFailed.error': 'No se pudo quitar al cuidador',
+  'listPatientsFailed.error': 'No se pudo obtener la lista de pacientes',
+  'emailTaken.message': 'Ya existe una cuenta con este correo electrónico',
+  'accountNotFound.message': 'No se encontró la cuenta',
+  'noAccountForEmail.message': 'No hay ninguna cuenta con este correo electrónico: pida al cuidador que cree una primero',
+  'selfCaregiver.message': 'No puede añadirse a sí mismo como cuidador',
+
+  // Document history
+  'noDocumentAccess.error': 'No tiene acceso a estos documentos',
+  'patientOnly.error': 'Solo el paciente puede borrar sus documentos',
+  'documentNotFound.error': 'Documento no encontrado',
+  'invalidQuestion.error': 'Pregunta no válida',
+  'historyEntryNotFound.error': 'No se encontró el documento en el historial',
+  'fileNotFound.error': 'No se encontró el archivo',
+  'listHistoryFailed.error': 'No se pudo obtener el historial',
+  'readHistoryFailed.error': 'No se pudo leer el documento del historial',
+  'readFileFailed.error': 'No se pudo leer el archivo',
+  'deleteHistoryEntryFailed.error': 'No se pudo borrar el documento del historial',
+  'deleteHistoryFailed.error': 'No se pudo borrar el historial',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Entrada de glosario no válida',
+  'glossaryEntryNotFound.error': 'No se encontró la entrada del glosario',
+  'listGlossariesFailed.error': 'No se pudo obtener la lista de glosarios',
+  'readGlossaryFailed.error': 'No se pudo leer el glosario',
+  'addGlossaryEntryFailed.error': 'No se pudo añadir la entrada al glosario',
+  'updateGlossaryEntryFailed.error': 'No se pudo actualizar la entrada del glosario',
+  'deleteGlossaryEntryFailed.error': 'No se pudo borrar la entrada del glosario',
+
+  // Fields of a request
+  'problem.name': '"name" debe ser un texto no vacío',
+  'problem.email': '"email" debe ser una dirección de correo electrónico',
+  'problem.password': '"password" debe tener al menos {min} caracteres',
+  'problem.language': '"language" debe ser el nombre de un idioma o null',
+  'problem.readingLevel': '"readingLevel" debe ser uno de estos: {readingLevels}',
+  'problem.darkMode': '"darkMode" debe ser true o false',
+  'problem.term': '"term" debe ser un texto no vacío',
+  'problem.text': '"{field}" debe ser un texto',
+  'problem.protected': '"protected" debe ser true o false',
+  'problem.question': '"question" debe ser un texto no vacío de {max} caracteres como máximo',
+  'problem.messages': '"messages" debe ser una lista de { role, content } con role "user" o "assistant"'
+}
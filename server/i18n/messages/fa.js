@@ -0,0 +1,100 @@
+// Persian texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'هیچ فایلی بارگذاری نشده است',
+  'tooManyFiles.error': 'در هر بار حداکثر {max} فایل بارگذاری کنید',
+  'fileTooLarge.error': 'فایل خیلی بزرگ است - فایل‌هایی با حداکثر {maxMb} مگابایت بارگذاری کنید',
+  'languageMissing.error': 'زبان مشخص نشده است',
+  'unknownLanguage.error': 'زبان ناشناخته «{language}»',
+  'unknownMode.error': 'حالت ناشناخته «{mode}». یکی از این‌ها را به کار ببرید: {modes}',
+  'unknownReadingLevel.error': 'سطح خواندن ناشناخته «{readingLevel}». یکی از این‌ها را به کار ببرید: {readingLevels}',
+  'batchTranslation.error': 'چند سند را فقط می‌توان با هم خلاصه کرد. هر بار یک سند را ترجمه کنید.',
+  'jobNotFound.error': 'کار پیدا نشد',
+  'notJobOwner.error': 'فقط کاربری که کار را شروع کرده می‌تواند آن را لغو کند',
+  'jobFinished.error': 'کار قبلاً تمام شده است',
+  'jobNotDone.error': 'کار هنوز تمام نشده است',
+  'jobCancelled.error': 'کار لغو شد',
+  'jobCancelled.message': 'کار لغو شده است',
+  'notParsed.error': 'سند هنوز خوانده نشده است',
+  'noMedicationSchedule.error': 'این کار برنامهٔ دارویی ندارد. ابتدا با POST /api/jobs/:id/medications یکی بسازید.',
+  'invalidStartDate.error': 'start باید تاریخی با قالب YYYY-MM-DD باشد',
+  'internalError.error': 'خطای داخلی سرور',
+  'invalidRequest.error': 'درخواست نامعتبر است',
+  'requestTooLarge.error': 'درخواست بیش از حد بزرگ است',
+
+  // Processing that failed
+  'parseFailed.error': 'خواندن سند ممکن نشد',
+  'parseFailed.message': 'متن سند خوانده نشد.',
+  'parseFailed.suggestion': 'ممکن است سرویس خواندن اسناد دچار مشکل باشد. کمی بعد دوباره امتحان کنید، یا برای پردازش مستقیم از فایل ‎.txt استفاده کنید.',
+  'summarizeFailed.error': 'خلاصه کردن سند ممکن نشد',
+  'summarizeFailed.message': 'نوشتن خلاصه برای این سند ممکن نشد.',
+  'processFailed.error': 'پردازش سند ممکن نشد',
+  'processFailed.message': 'هنگام پردازش سند مشکلی پیش آمد.',
+  'medicationsFailed.error': 'استخراج داروها ممکن نشد',
+  'medicationsFailed.message': 'داروها از سند خوانده نشدند.',
+  'audioFailed.error': 'ساخت صدا ممکن نشد',
+  'audioFailed.message': 'فایل صوتی ساخته نشد.',
+  'chatFailed.error': 'پاسخ به سؤال ممکن نشد',
+  'chatFailed.message': 'پاسخی به سؤال شما داده نشد.',
+  'providerTimeout.message': 'یکی از سرویس‌هایی که استفاده می‌کنیم بیش از حد طول کشید تا پاسخ دهد.',
+  'providerTimeout.suggestion': 'چند دقیقه بعد دوباره امتحان کنید.',
+  'providerUnavailable.message': 'یکی از سرویس‌هایی که استفاده می‌کنیم در حال حاضر در دسترس نیست.',
+  'providerUnavailable.suggestion': 'چند دقیقه بعد دوباره امتحان کنید.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'فقط مدیران می‌توانند واژه‌نامه‌ها را تغییر دهند',
+  'signInRequired.error': 'باید وارد حساب شوید',
+  'invalidAccount.error': 'اطلاعات حساب نامعتبر است',
+  'credentialsRequired.error': 'ایمیل و رمز عبور لازم است',
+  'wrongCredentials.error': 'ایمیل یا رمز عبور نادرست است',
+  'registerFailed.error': 'ساخت حساب ممکن نشد',
+  'signInFailed.error': 'ورود ممکن نشد',
+  'signOutFailed.error': 'خروج ممکن نشد',
+  'invalidSettings.error': 'تنظیمات نامعتبر است',
+  'saveSettingsFailed.error': 'ذخیرهٔ تنظیمات ممکن نشد',
+  'listCaregiversFailed.error': 'فهرست مراقبان دریافت نشد',
+  'caregiverEmailRequired.error': 'ایمیل مراقب لازم است',
+  'addCaregiverFailed.error': 'افزودن مراقب ممکن نشد',
+  'caregiverNotFound.error': 'مراقب پیدا نشد',
+  'removeCaregiverFailed.error': 'حذف مراقب ممکن نشد',
+  'listPatientsFailed.error': 'فهرست بیماران دریافت نشد',
+  'emailTaken.message': 'حسابی با این ایمیل از قبل وجود دارد',
+  'accountNotFound.message': 'حساب پیدا نشد',
+  'noAccountForEmail.message': 'هیچ حسابی با این ایمیل وجود ندارد - از مراقب بخواهید ابتدا یک حساب بسازد',
+  'selfCaregiver.message': 'نمی‌توانید خودتان را به عنوان مراقب اضافه کنید',
+
+  // Document history
+  'noDocumentAccess.error': 'شما به این اسناد دسترسی ندارید',
+  'patientOnly.error': 'فقط خود بیمار می‌تواند اسنادش را حذف کند',
+  'documentNotFound.error': 'سند پیدا نشد',
+  'invalidQuestion.error': 'سؤال نامعتبر',
+  'historyEntryNotFound.error': 'سند در سابقه پیدا نشد',
+  'fileNotFound.error': 'فایل پیدا نشد',
+  'listHistoryFailed.error': 'سابقه دریافت نشد',
+  'readHistoryFailed.error': 'سند سابقه خوانده نشد',
+  'readFileFailed.error': 'فایل خوانده نشد',
+  'deleteHistoryEntryFailed.error': 'حذف سند از سابقه ممکن نشد',
+  'deleteHistoryFailed.error': 'حذف سابقه ممکن نشد',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'مدخل واژه‌نامه نامعتبر است',
+  'glossaryEntryNotFound.error': 'مدخل واژه‌نامه پیدا نشد',
+  'listGlossariesFailed.error': 'فهرست واژه‌نامه‌ها دریافت نشد',
+  'readGlossaryFailed.error': 'واژه‌نامه خوانده نشد',
+  'addGlossaryEntryFailed.error': 'افزودن مدخل به واژه‌نامه ممکن نشد',
+  'updateGlossaryEntryFailed.error': 'به‌روزرسانی مدخل واژه‌نامه ممکن نشد',
+  'deleteGlossaryEntryFailed.error': 'حذف مدخل واژه‌نامه ممکن نشد',
+
+  // Fields of a request
+  'problem.name': '«name» باید متنی غیرخالی باشد',
+  'problem.email': '«email» باید یک نشانی ایمیل باشد',
+  'problem.password': '«password» باید دست‌کم {min} نویسه داشته باشد',
+  'problem.language': '«language» باید نام یک زبان یا null باشد',
+  'problem.readingLevel': '«readingLevel» باید یکی از این‌ها باشد: {readingLevels}',
+  'problem.darkMode': '«darkMode» باید true یا false باشد',
+  'problem.term': '«term» باید متنی غیرخالی باشد',
+  'problem.text': '«{field}» باید متن باشد',
+  'problem.protected': '«protected» باید true یا false باشد',
+  'problem.question': '«question» باید متنی غیرخالی با حداکثر {max} نویسه باشد',
+  'problem.messages': '«messages» باید فهرستی از { role, content } با role برابر «user» یا «assistant» باشد'
+}
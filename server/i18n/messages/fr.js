@@ -0,0 +1,100 @@
+// French texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Aucun fichier envoyé',
+  'tooManyFiles.error': 'Envoyez au maximum {max} fichiers à la fois',
+  'fileTooLarge.error': 'Le fichier est trop volumineux : envoyez des fichiers de {maxMb} Mo au maximum',
+  'languageMissing.error': 'Langue non indiquée',
+  'unknownLanguage.error': 'Langue inconnue « {language} »',
+  'unknownMode.error': 'Mode inconnu « {mode} ». Utilisez l’un de ceux-ci : {modes}',
+  'unknownReadingLevel.error': 'Niveau de lecture inconnu « {readingLevel} ». Utilisez l’un de ceux-ci : {readingLevels}',
+  'batchTranslation.error': 'Plusieurs documents ne peuvent être que résumés ensemble. Traduisez un document à la fois.',
+  'jobNotFound.error': 'Tâche introuvable',
+  'notJobOwner.error': 'Seule la personne qui a lancé une tâche peut l’annuler',
+  'jobFinished.error': 'La tâche est déjà terminée',
+  'jobNotDone.error': 'La tâche n’est pas encore terminée',
+  'jobCancelled.error': 'Tâche annulée',
+  'jobCancelled.message': 'La tâche a été annulée',
+  'notParsed.error': 'Le document n’a pas encore été lu',
+  'noMedicationSchedule.error': 'Cette tâche n’a pas de planning de médicaments. Créez-en un d’abord avec POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start doit être une date au format AAAA-MM-JJ',
+  'internalError.error': 'Erreur interne du serveur',
+  'invalidRequest.error': 'Requête invalide',
+  'requestTooLarge.error': 'La requête est trop volumineuse',
+
+  // Processing that failed
+  'parseFailed.error': 'Impossible de lire le document',
+  'parseFailed.message': 'Le texte du document n’a pas pu être lu.',
+  'parseFailed.suggestion': 'Le lecteur de documents rencontre peut-être des problèmes. Réessayez dans un instant, ou utilisez un fichier .txt pour un traitement direct.',
+  'summarizeFailed.error': 'Impossible de résumer le document',
+  'summarizeFailed.message': 'Aucun résumé n’a pu être rédigé pour ce document.',
+  'processFailed.error': 'Impossible de traiter le document',
+  'processFailed.message': 'Un problème est survenu pendant le traitement du document.',
+  'medicationsFailed.error': 'Impossible d’extraire les médicaments',
+  'medicationsFailed.message': 'Les médicaments n’ont pas pu être lus dans le document.',
+  'audioFailed.error': 'Impossible de générer l’audio',
+  'audioFailed.message': 'L’audio n’a pas pu être créé.',
+  'chatFailed.error': 'Impossible de répondre à la question',
+  'chatFailed.message': 'Aucune réponse n’a pu être donnée à votre question.',
+  'providerTimeout.message': 'Un service que nous utilisons a mis trop de temps à répondre.',
+  'providerTimeout.suggestion': 'Réessayez dans quelques minutes.',
+  'providerUnavailable.message': 'Un service que nous utilisons n’est pas disponible pour le moment.',
+  'providerUnavailable.suggestion': 'Réessayez dans quelques minutes.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Seuls les administrateurs peuvent modifier les glossaires',
+  'signInRequired.error': 'Connexion requise',
+  'invalidAccount.error': 'Compte non valide',
+  'credentialsRequired.error': 'L’adresse e-mail et le mot de passe sont obligatoires',
+  'wrongCredentials.error': 'Adresse e-mail ou mot de passe incorrect',
+  'registerFailed.error': 'Impossible de créer le compte',
+  'signInFailed.error': 'Impossible de se connecter',
+  'signOutFailed.error': 'Impossible de se déconnecter',
+  'invalidSettings.error': 'Paramètres non valides',
+  'saveSettingsFailed.error': 'Impossible d’enregistrer les paramètres',
+  'listCaregiversFailed.error': 'Impossible d’obtenir la liste des aidants',
+  'caregiverEmailRequired.error': 'L’adresse e-mail de l’aidant est obligatoire',
+  'addCaregiverFailed.error': 'Impossible d’ajouter l’aidant',
+  'caregiverNotFound.error': 'Aidant introuvable',
+  'removeCaregiverFailed.error': 'Impossible de retirer l’aidant',
+  'listPatientsFailed.error': 'Impossible d’obtenir la liste des patients',
+  'emailTaken.message': 'Un compte existe déjà avec cette adresse e-mail',
+  'accountNotFound.message': 'Compte introuvable',
+  'noAccountForEmail.message': 'Aucun compte n’utilise cette adresse e-mail : demandez d’abord à l’aidant d’en créer un',
+  'selfCaregiver.message': 'Vous ne pouvez pas vous ajouter vous-même comme aidant',
+
+  // Document history
+  'noDocumentAccess.error': 'Vous n’avez pas accès à ces documents',
+  'patientOnly.error': 'Seul le patient peut supprimer ses documents',
+  'documentNotFound.error': 'Document introuvable',
+  'invalidQuestion.error': 'Question non valide',
+  'historyEntryNotFound.error': 'Document introuvable dans l’historique',
+  'fileNotFound.error': 'Fichier introuvable',
+  'listHistoryFailed.error': 'Impossible d’obtenir l’historique',
+  'readHistoryFailed.error': 'Impossible de lire le document de l’historique',
+  'readFileFailed.error': 'Impossible de lire le fichier',
+  'deleteHistoryEntryFailed.error': 'Impossible de supprimer le document de l’historique',
+  'deleteHistoryFailed.error': 'Impossible de supprimer l’historique',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Entrée de glossaire non valide',
+  'glossaryEntryNotFound.error': 'Entrée de glossaire introuvable',
+  'listGlossariesFailed.error': 'Impossible d’obtenir la liste des glossaires',
+  'readGlossaryFailed.error': 'Impossible de lire le glossaire',
+  'addGlossaryEntryFailed.error': 'Impossible d’ajouter l’entrée au glossaire',
+  'updateGlossaryEntryFailed.error': 'Impossible de mettre à jour l’entrée du glossaire',
+  'deleteGlossaryEntryFailed.error': 'Impossible de supprimer l’entrée du glossaire',
+
+  // Fields of a request
+  'problem.name': '« name » doit être un texte non vide',
+  'problem.email': '« email » doit être une adresse e-mail',
+  'problem.password': '« password » doit comporter au moins {min} caractères',
+  'problem.language': '« language » doit être un nom de langue ou null',
+  'problem.readingLevel': '« readingLevel » doit être l’une de ces valeurs : {readingLevels}',
+  'problem.darkMode': '« darkMode » doit valoir true ou false',
+  'problem.term': '« term » doit être un texte non vide',
+  'problem.text': '« {field} » doit être un texte',
+  'problem.protected': '« protected » doit valoir true ou false',
+  'problem.question': '« question » doit être un texte non vide d’au plus {max} caractères',
+  'problem.messages': '« messages » doit être une liste de { role, content } avec role « user » ou « assistant »'
+}
@@ -0,0 +1,100 @@
+// Hebrew texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'לא הועלה קובץ',
+  'tooManyFiles.error': 'יש להעלות עד {max} קבצים בכל פעם',
+  'fileTooLarge.error': 'הקובץ גדול מדי - יש להעלות קבצים בגודל של עד {maxMb} MB',
+  'languageMissing.error': 'לא צוינה שפה',
+  'unknownLanguage.error': 'שפה לא מוכרת "{language}"',
+  'unknownMode.error': 'מצב לא מוכר "{mode}". יש להשתמש באחד מאלה: {modes}',
+  'unknownReadingLevel.error': 'רמת קריאה לא מוכרת "{readingLevel}". יש להשתמש באחת מאלה: {readingLevels}',
+  'batchTranslation.error': 'אפשר רק לסכם כמה מסמכים יחד. יש לתרגם מסמך אחד בכל פעם.',
+  'jobNotFound.error': 'המשימה לא נמצאה',
+  'notJobOwner.error': 'רק המשתמש שהתחיל משימה יכול לבטל אותה',
+  'jobFinished.error': 'המשימה כבר הסתיימה',
+  'jobNotDone.error': 'המשימה עדיין לא הסתיימה',
+  'jobCancelled.error': 'המשימה בוטלה',
+  'jobCancelled.message': 'המשימה בוטלה',
+  'notParsed.error': 'המסמך עדיין לא נקרא',
+  'noMedicationSchedule.error': 'אין למשימה הזו לוח זמנים לתרופות. יש ליצור אחד קודם באמצעות POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start חייב להיות תאריך בתבנית YYYY-MM-DD',
+  'internalError.error': 'שגיאה פנימית בשרת',
+  'invalidRequest.error': 'בקשה לא תקינה',
+  'requestTooLarge.error': 'הבקשה גדולה מדי',
+
+  // Processing that failed
+  'parseFailed.error': 'לא ניתן היה לקרוא את המסמך',
+  'parseFailed.message': 'לא ניתן היה לקרוא את הטקסט של המסמך.',
+  'parseFailed.suggestion': 'ייתכן שיש בעיה בשירות קריאת המסמכים. נסו שוב בעוד רגע, או השתמשו בקובץ ‎.txt לעיבוד ישיר.',
+  'summarizeFailed.error': 'לא ניתן היה לסכם את המסמך',
+  'summarizeFailed.message': 'לא ניתן היה לכתוב סיכום למסמך הזה.',
+  'processFailed.error': 'לא ניתן היה לעבד את המסמך',
+  'processFailed.message': 'משהו השתבש בזמן עיבוד המסמך.',
+  'medicationsFailed.error': 'לא ניתן היה לחלץ את התרופות',
+  'medicationsFailed.message': 'לא ניתן היה לקרוא את התרופות מהמסמך.',
+  'audioFailed.error': 'לא ניתן היה ליצור שמע',
+  'audioFailed.message': 'לא ניתן היה להכין את קובץ השמע.',
+  'chatFailed.error': 'לא ניתן היה לענות על השאלה',
+  'chatFailed.message': 'לא ניתן היה לתת תשובה לשאלה שלכם.',
+  'providerTimeout.message': 'שירות שאנחנו משתמשים בו התעכב יותר מדי בתשובה.',
+  'providerTimeout.suggestion': 'נסו שוב בעוד כמה דקות.',
+  'providerUnavailable.message': 'שירות שאנחנו משתמשים בו אינו זמין כרגע.',
+  'providerUnavailable.suggestion': 'נסו שוב בעוד כמה דקות.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'רק מנהלים יכולים לשנות מילונים',
+  'signInRequired.error': 'יש להתחבר',
+  'invalidAccount.error': 'פרטי החשבון אינם תקינים',
+  'credentialsRequired.error': 'נדרשים דוא"ל וסיסמה',
+  'wrongCredentials.error': 'דוא"ל או סיסמה שגויים',
+  'registerFailed.error': 'לא ניתן היה ליצור חשבון',
+  'signInFailed.error': 'לא ניתן היה להתחבר',
+  'signOutFailed.error': 'לא ניתן היה להתנתק',
+  'invalidSettings.error': 'ההגדרות אינן תקינות',
+  'saveSettingsFailed.error': 'לא ניתן היה לשמור את ההגדרות',
+  'listCaregiversFailed.error': 'לא ניתן היה לקבל את רשימת המטפלים',
+  'caregiverEmailRequired.error': 'נדרש הדוא"ל של המטפל',
+  'addCaregiverFailed.error': 'לא ניתן היה להוסיף את המטפל',
+  'caregiverNotFound.error': 'המטפל לא נמצא',
+  'removeCaregiverFailed.error': 'לא ניתן היה להסיר את המטפל',
+  'listPatientsFailed.error': 'לא ניתן היה לקבל את רשימת המטופלים',
+  'emailTaken.message': 'כבר קיים חשבון עם הדוא"ל הזה',
+  'accountNotFound.message': 'החשבון לא נמצא',
+  'noAccountForEmail.message': 'אין חשבון עם הדוא"ל הזה - בקשו מהמטפל ליצור חשבון קודם',
+  'selfCaregiver.message': 'אי אפשר להוסיף את עצמך כמטפל',
+
+  // Document history
+  'noDocumentAccess.error': 'אין לך גישה למסמכים האלה',
+  'patientOnly.error': 'רק המטופל יכול למחוק את המסמכים שלו',
+  'documentNotFound.error': 'המסמך לא נמצא',
+  'invalidQuestion.error': 'שאלה לא תקינה',
+  'historyEntryNotFound.error': 'המסמך לא נמצא בהיסטוריה',
+  'fileNotFound.error': 'הקובץ לא נמצא',
+  'listHistoryFailed.error': 'לא ניתן היה לקבל את ההיסטוריה',
+  'readHistoryFailed.error': 'לא ניתן היה לקרוא את המסמך מההיסטוריה',
+  'readFileFailed.error': 'לא ניתן היה לקרוא את הקובץ',
+  'deleteHistoryEntryFailed.error': 'לא ניתן היה למחוק את המסמך מההיסטוריה',
+  'deleteHistoryFailed.error': 'לא ניתן היה למחוק את ההיסטוריה',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'ערך מילון מונחים לא תקין',
+  'glossaryEntryNotFound.error': 'ערך מילון המונחים לא נמצא',
+  'listGlossariesFailed.error': 'לא ניתן היה לקבל את רשימת מילוני המונחים',
+  'readGlossaryFailed.error': 'לא ניתן היה לקרוא את מילון המונחים',
+  'addGlossaryEntryFailed.error': 'לא ניתן היה להוסיף ערך למילון המונחים',
+  'updateGlossaryEntryFailed.error': 'לא ניתן היה לעדכן את ערך מילון המונחים',
+  'deleteGlossaryEntryFailed.error': 'לא ניתן היה למחוק את ערך מילון המונחים',
+
+  // Fields of a request
+  'problem.name': '"name" חייב להיות טקסט לא ריק',
+  'problem.email': '"email" חייב להיות כתובת דוא"ל',
+  'problem.password': '"password" חייב להכיל לפחות {min} תווים',
+  'problem.language': '"language" חייב להיות שם של שפה או null',
+  'problem.readingLevel': '"readingLevel" חייב להיות אחד מאלה: {readingLevels}',
+  'problem.darkMode': '"darkMode" חייב להיות true או false',
+  'problem.term': '"term" חייב להיות טקסט לא ריק',
+  'problem.text': '"{field}" חייב להיות טקסט',
+  'problem.protected': '"protected" חייב להיות true או false',
+  'problem.question': '"question" חייב להיות טקסט לא ריק של עד {max} תווים',
+  'problem.messages': '"messages" חייב להיות רשימה של { role, content } עם role "user" או "assistant"'
+}
@@ -0,0 +1,100 @@
+// Hindi texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'कोई फ़ाइल अपलोड नहीं की गई',
+  'tooManyFiles.error': 'एक बार में ज़्यादा से ज़्यादा {max} फ़ाइलें अपलोड करें',
+  'fileTooLarge.error': 'फ़ाइल बहुत बड़ी है - ज़्यादा से ज़्यादा {maxMb} MB की फ़ाइलें अपलोड करें',
+  'languageMissing.error': 'भाषा नहीं चुनी गई',
+  'unknownLanguage.error': 'अज्ञात भाषा "{language}"',
+  'unknownMode.error': 'अज्ञात मोड "{mode}"। इनमें से कोई एक इस्तेमाल करें: {modes}',
+  'unknownReadingLevel.error': 'अज्ञात पढ़ने का स्तर "{readingLevel}"। इनमें से कोई एक इस्तेमाल करें: {readingLevels}',
+  'batchTranslation.error': 'कई दस्तावेज़ों का सिर्फ़ एक साथ सारांश बनाया जा सकता है। एक बार में एक दस्तावेज़ का अनुवाद करें।',
+  'jobNotFound.error': 'काम नहीं मिला',
+  'notJobOwner.error': 'काम को सिर्फ़ वही उपयोगकर्ता रद्द कर सकता है जिसने उसे शुरू किया',
+  'jobFinished.error': 'काम पहले ही खत्म हो चुका है',
+  'jobNotDone.error': 'काम अभी पूरा नहीं हुआ है',
+  'jobCancelled.error': 'काम रद्द किया गया',
+  'jobCancelled.message': 'काम रद्द कर दिया गया',
+  'notParsed.error': 'दस्तावेज़ अभी पढ़ा नहीं गया है',
+  'noMedicationSchedule.error': 'इस काम के लिए दवा की समय-सारणी नहीं है। पहले POST /api/jobs/:id/medications से एक बनाएं।',
+  'invalidStartDate.error': 'start, YYYY-MM-DD प्रारूप में तारीख होनी चाहिए',
+  'internalError.error': 'सर्वर की आंतरिक त्रुटि',
+  'invalidRequest.error': 'अमान्य अनुरोध',
+  'requestTooLarge.error': 'अनुरोध बहुत बड़ा है',
+
+  // Processing that failed
+  'parseFailed.error': 'दस्तावेज़ पढ़ा नहीं जा सका',
+  'parseFailed.message': 'दस्तावेज़ का टेक्स्ट पढ़ा नहीं जा सका।',
+  'parseFailed.suggestion': 'दस्तावेज़ पढ़ने वाली सेवा में समस्या हो सकती है। थोड़ी देर में फिर कोशिश करें, या सीधे प्रोसेस करने के लिए .txt फ़ाइल इस्तेमाल करें।',
+  'summarizeFailed.error': 'दस्तावेज़ का सारांश नहीं बन सका',
+  'summarizeFailed.message': 'इस दस्तावेज़ का सारांश नहीं लिखा जा सका।',
+  'processFailed.error': 'दस्तावेज़ प्रोसेस नहीं हो सका',
+  'processFailed.message': 'दस्तावेज़ प्रोसेस करते समय कुछ गलत हो गया।',
+  'medicationsFailed.error': 'दवाइयाँ निकाली नहीं जा सकीं',
+  'medicationsFailed.message': 'दस्तावेज़ से दवाइयाँ पढ़ी नहीं जा सकीं।',
+  'audioFailed.error': 'ऑडियो नहीं बन सका',
+  'audioFailed.message': 'ऑडियो तैयार नहीं किया जा सका।',
+  'chatFailed.error': 'सवाल का जवाब नहीं दिया जा सका',
+  'chatFailed.message': 'आपके सवाल का जवाब नहीं दिया जा सका।',
+  'providerTimeout.message': 'हमारी इस्तेमाल की जाने वाली एक सेवा ने जवाब देने में बहुत ज़्यादा समय लिया।',
+  'providerTimeout.suggestion': 'कुछ मिनट बाद फिर कोशिश करें।',
+  'providerUnavailable.message': 'हमारी इस्तेमाल की जाने वाली एक सेवा अभी उपलब्ध नहीं है।',
+  'providerUnavailable.suggestion': 'कुछ मिनट बाद फिर कोशिश करें।',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'केवल व्यवस्थापक शब्दावलियाँ बदल सकते हैं',
+  'signInRequired.error': 'साइन इन करना ज़रूरी है',
+  'invalidAccount.error': 'खाते की जानकारी सही नहीं है',
+  'credentialsRequired.error': 'ईमेल और पासवर्ड ज़रूरी हैं',
+  'wrongCredentials.error': 'ईमेल या पासवर्ड गलत है',
+  'registerFailed.error': 'खाता नहीं बन सका',
+  'signInFailed.error': 'साइन इन नहीं हो सका',
+  'signOutFailed.error': 'साइन आउट नहीं हो सका',
+  'invalidSettings.error': 'सेटिंग्स सही नहीं हैं',
+  'saveSettingsFailed.error': 'सेटिंग्स सहेजी नहीं जा सकीं',
+  'listCaregiversFailed.error': 'देखभाल करने वालों की सूची नहीं मिल सकी',
+  'caregiverEmailRequired.error': 'देखभाल करने वाले का ईमेल ज़रूरी है',
+  'addCaregiverFailed.error': 'देखभाल करने वाले को जोड़ा नहीं जा सका',
+  'caregiverNotFound.error': 'देखभाल करने वाला नहीं मिला',
+  'removeCaregiverFailed.error': 'देखभाल करने वाले को हटाया नहीं जा सका',
+  'listPatientsFailed.error': 'मरीज़ों की सूची नहीं मिल सकी',
+  'emailTaken.message': 'इस ईमेल से पहले से एक खाता मौजूद है',
+  'accountNotFound.message': 'खाता नहीं मिला',
+  'noAccountForEmail.message': 'इस ईमेल से कोई खाता नहीं है - देखभाल करने वाले से पहले खाता बनाने के लिए कहें',
+  'selfCaregiver.message': 'आप खुद को देखभाल करने वाले के रूप में नहीं जोड़ सकते',
+
+  // Document history
+  'noDocumentAccess.error': 'आपको इन दस्तावेज़ों को देखने की अनुमति नहीं है',
+  'patientOnly.error': 'सिर्फ़ मरीज़ ही अपने दस्तावेज़ मिटा सकता है',
+  'documentNotFound.error': 'दस्तावेज़ नहीं मिला',
+  'invalidQuestion.error': 'अमान्य सवाल',
+  'historyEntryNotFound.error': 'इतिहास में दस्तावेज़ नहीं मिला',
+  'fileNotFound.error': 'फ़ाइल नहीं मिली',
+  'listHistoryFailed.error': 'इतिहास नहीं मिल सका',
+  'readHistoryFailed.error': 'इतिहास का दस्तावेज़ पढ़ा नहीं जा सका',
+  'readFileFailed.error': 'फ़ाइल पढ़ी नहीं जा सकी',
+  'deleteHistoryEntryFailed.error': 'इतिहास से दस्तावेज़ मिटाया नहीं जा सका',
+  'deleteHistoryFailed.error': 'इतिहास मिटाया नहीं जा सका',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'शब्दावली की प्रविष्टि सही नहीं है',
+  'glossaryEntryNotFound.error': 'शब्दावली की प्रविष्टि नहीं मिली',
+  'listGlossariesFailed.error': 'शब्दावलियों की सूची नहीं मिल सकी',
+  'readGlossaryFailed.error': 'शब्दावली पढ़ी नहीं जा सकी',
+  'addGlossaryEntryFailed.error': 'शब्दावली में प्रविष्टि जोड़ी नहीं जा सकी',
+  'updateGlossaryEntryFailed.error': 'शब्दावली की प्रविष्टि बदली नहीं जा सकी',
+  'deleteGlossaryEntryFailed.error': 'शब्दावली की प्रविष्टि मिटाई नहीं जा सकी',
+
+  // Fields of a request
+  'problem.name': '"name" खाली नहीं होना चाहिए',
+  'problem.email': '"email" एक ईमेल पता होना चाहिए',
+  'problem.password': '"password" कम से कम {min} अक्षरों का होना चाहिए',
+  'problem.language': '"language" किसी भाषा का नाम या null होना चाहिए',
+  'problem.readingLevel': '"readingLevel" इनमें से एक होना चाहिए: {readingLevels}',
+  'problem.darkMode': '"darkMode" true या false होना चाहिए',
+  'problem.term': '"term" खाली नहीं होना चाहिए',
+  'problem.text': '"{field}" टेक्स्ट होना चाहिए',
+  'problem.protected': '"protected" true या false होना चाहिए',
+  'problem.question': '"question" अधिकतम {max} अक्षरों का खाली न होने वाला टेक्स्ट होना चाहिए',
+  'problem.messages': '"messages" { role, content } की सूची होनी चाहिए, जिसमें role "user" या "assistant" हो'
+}
@@ -0,0 +1,100 @@
+// Italian texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Nessun file caricato',
+  'tooManyFiles.error': 'Carica al massimo {max} file alla volta',
+  'fileTooLarge.error': 'Il file è troppo grande: carica file di al massimo {maxMb} MB',
+  'languageMissing.error': 'Lingua non indicata',
+  'unknownLanguage.error': 'Lingua sconosciuta "{language}"',
+  'unknownMode.error': 'Modalità sconosciuta "{mode}". Usa una di queste: {modes}',
+  'unknownReadingLevel.error': 'Livello di lettura sconosciuto "{readingLevel}". Usa uno di questi: {readingLevels}',
+  'batchTranslation.error': 'Più documenti possono essere solo riassunti insieme. Traduci un documento alla volta.',
+  'jobNotFound.error': 'Attività non trovata',
+  'notJobOwner.error': 'Solo chi ha avviato un’attività può annullarla',
+  'jobFinished.error': 'L’attività è già terminata',
+  'jobNotDone.error': 'L’attività non è ancora terminata',
+  'jobCancelled.error': 'Attività annullata',
+  'jobCancelled.message': 'L’attività è stata annullata',
+  'notParsed.error': 'Il documento non è ancora stato letto',
+  'noMedicationSchedule.error': 'Questa attività non ha un piano dei farmaci. Creane prima uno con POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start deve essere una data nel formato AAAA-MM-GG',
+  'internalError.error': 'Errore interno del server',
+  'invalidRequest.error': 'Richiesta non valida',
+  'requestTooLarge.error': 'La richiesta è troppo grande',
+
+  // Processing that failed
+  'parseFailed.error': 'Impossibile leggere il documento',
+  'parseFailed.message': 'Non è stato possibile leggere il testo del documento.',
+  'parseFailed.suggestion': 'Il lettore di documenti potrebbe avere dei problemi. Riprova tra poco oppure usa un file .txt per l’elaborazione diretta.',
+  'summarizeFailed.error': 'Impossibile riassumere il documento',
+  'summarizeFailed.message': 'Non è stato possibile scrivere un riassunto di questo documento.',
+  'processFailed.error': 'Impossibile elaborare il documento',
+  'processFailed.message': 'Qualcosa è andato storto durante l’elaborazione del documento.',
+  'medicationsFailed.error': 'Impossibile estrarre i farmaci',
+  'medicationsFailed.message': 'Non è stato possibile leggere i farmaci dal documento.',
+  'audioFailed.error': 'Impossibile generare l’audio',
+  'audioFailed.message': 'Non è stato possibile creare l’audio.',
+  'chatFailed.error': 'Impossibile rispondere alla domanda',
+  'chatFailed.message': 'Non è stato possibile dare una risposta alla sua domanda.',
+  'providerTimeout.message': 'Un servizio che usiamo ha impiegato troppo tempo a rispondere.',
+  'providerTimeout.suggestion': 'Riprova tra qualche minuto.',
+  'providerUnavailable.message': 'Un servizio che usiamo al momento non è disponibile.',
+  'providerUnavailable.suggestion': 'Riprova tra qualche minuto.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Solo gli amministratori possono modificare i glossari',
+  'signInRequired.error': 'Accesso richiesto',
+  'invalidAccount.error': 'Account non valido',
+  'credentialsRequired.error': 'Email e password sono obbligatorie',
+  'wrongCredentials.error': 'Email o password errate',
+  'registerFailed.error': 'Impossibile creare l’account',
+  'signInFailed.error': 'Impossibile accedere',
+  'signOutFailed.error': 'Impossibile uscire',
+  'invalidSettings.error': 'Impostazioni non valide',
+  'saveSettingsFailed.error': 'Impossibile salvare le impostazioni',
+  'listCaregiversFailed.error': 'Impossibile ottenere l’elenco dei caregiver',
+  'caregiverEmailRequired.error': 'L’email del caregiver è obbligatoria',
+  'addCaregiverFailed.error': 'Impossibile aggiungere il caregiver',
+  'caregiverNotFound.error': 'Caregiver non trovato',
+  'removeCaregiverFailed.error': 'Impossibile rimuovere il caregiver',
+  'listPatientsFailed.error': 'Impossibile ottenere l’elenco dei pazienti',
+  'emailTaken.message': 'Esiste già un account con questa email',
+  'accountNotFound.message': 'Account non trovato',
+  'noAccountForEmail.message': 'Non esiste un account con questa email: chiedi prima al caregiver di crearne uno',
+  'selfCaregiver.message': 'Non puoi aggiungere te stesso come caregiver',
+
+  // Document history
+  'noDocumentAccess.error': 'Non hai accesso a questi documenti',
+  'patientOnly.error': 'Solo il paziente può eliminare i propri documenti',
+  'documentNotFound.error': 'Documento non trovato',
+  'invalidQuestion.error': 'Domanda non valida',
+  'historyEntryNotFound.error': 'Documento non trovato nella cronologia',
+  'fileNotFound.error': 'File non trovato',
+  'listHistoryFailed.error': 'Impossibile ottenere la cronologia',
+  'readHistoryFailed.error': 'Impossibile leggere il documento dalla cronologia',
+  'readFileFailed.error': 'Impossibile leggere il file',
+  'deleteHistoryEntryFailed.error': 'Impossibile eliminare il documento dalla cronologia',
+  'deleteHistoryFailed.error': 'Impossibile eliminare la cronologia',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Voce del glossario non valida',
+  'glossaryEntryNotFound.error': 'Voce del glossario non trovata',
+  'listGlossariesFailed.error': 'Impossibile ottenere l’elenco dei glossari',
+  'readGlossaryFailed.error': 'Impossibile leggere il glossario',
+  'addGlossaryEntryFailed.error': 'Impossibile aggiungere la voce al glossario',
+  'updateGlossaryEntryFailed.error': 'Impossibile aggiornare la voce del glossario',
+  'deleteGlossaryEntryFailed.error': 'Impossibile eliminare la voce del glossario',
+
+  // Fields of a request
+  'problem.name': '"name" deve essere un testo non vuoto',
+  'problem.email': '"email" deve essere un indirizzo email',
+  'problem.password': '"password" deve avere almeno {min} caratteri',
+  'problem.language': '"language" deve essere il nome di una lingua o null',
+  'problem.readingLevel': '"readingLevel" deve essere uno di questi: {readingLevels}',
+  'problem.darkMode': '"darkMode" deve essere true o false',
+  'problem.term': '"term" deve essere un testo non vuoto',
+  'problem.text': '"{field}" deve essere un testo',
+  'problem.protected': '"protected" deve essere true o false',
+  'problem.question': '"question" deve essere un testo non vuoto di al massimo {max} caratteri',
+  'problem.messages': '"messages" deve essere un elenco di { role, content } con role "user" o "assistant"'
+}
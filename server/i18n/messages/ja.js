@@ -0,0 +1,100 @@
+// Japanese texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'ファイルがアップロードされていません',
+  'tooManyFiles.error': '一度にアップロードできるファイルは {max} 個までです',
+  'fileTooLarge.error': 'ファイルが大きすぎます。{maxMb} MB 以下のファイルをアップロードしてください',
+  'languageMissing.error': '言語が指定されていません',
+  'unknownLanguage.error': '不明な言語「{language}」',
+  'unknownMode.error': '不明なモード「{mode}」です。次のいずれかを使ってください: {modes}',
+  'unknownReadingLevel.error': '不明な読みやすさのレベル「{readingLevel}」です。次のいずれかを使ってください: {readingLevels}',
+  'batchTranslation.error': '複数の文書はまとめて要約することしかできません。翻訳は一度に 1 つの文書ずつ行ってください。',
+  'jobNotFound.error': 'ジョブが見つかりません',
+  'notJobOwner.error': 'ジョブを取り消せるのは、そのジョブを開始したユーザーだけです',
+  'jobFinished.error': 'ジョブはすでに終了しています',
+  'jobNotDone.error': 'ジョブはまだ終わっていません',
+  'jobCancelled.error': 'ジョブが取り消されました',
+  'jobCancelled.message': 'ジョブは取り消されました',
+  'notParsed.error': '文書はまだ読み取られていません',
+  'noMedicationSchedule.error': 'このジョブには服薬スケジュールがありません。先に POST /api/jobs/:id/medications で作成してください。',
+  'invalidStartDate.error': 'start は YYYY-MM-DD 形式の日付にしてください',
+  'internalError.error': 'サーバー内部エラー',
+  'invalidRequest.error': '無効なリクエストです',
+  'requestTooLarge.error': 'リクエストが大きすぎます',
+
+  // Processing that failed
+  'parseFailed.error': '文書を読み取れませんでした',
+  'parseFailed.message': '文書のテキストを読み取れませんでした。',
+  'parseFailed.suggestion': '文書の読み取りサービスに問題が起きている可能性があります。しばらくしてからもう一度試すか、.txt ファイルを使って直接処理してください。',
+  'summarizeFailed.error': '文書を要約できませんでした',
+  'summarizeFailed.message': 'この文書の要約を作成できませんでした。',
+  'processFailed.error': '文書を処理できませんでした',
+  'processFailed.message': '文書の処理中に問題が発生しました。',
+  'medicationsFailed.error': '薬の情報を取り出せませんでした',
+  'medicationsFailed.message': '文書から薬の情報を読み取れませんでした。',
+  'audioFailed.error': '音声を生成できませんでした',
+  'audioFailed.message': '音声を作成できませんでした。',
+  'chatFailed.error': '質問に回答できませんでした',
+  'chatFailed.message': 'ご質問に回答できませんでした。',
+  'providerTimeout.message': '利用しているサービスの応答に時間がかかりすぎました。',
+  'providerTimeout.suggestion': '数分後にもう一度お試しください。',
+  'providerUnavailable.message': '利用しているサービスが現在使えません。',
+  'providerUnavailable.suggestion': '数分後にもう一度お試しください。',
+
+  // Accounts and caregivers
+  'adminRequired.error': '用語集を変更できるのは管理者だけです',
+  'signInRequired.error': 'ログインが必要です',
+  'invalidAccount.error': 'アカウント情報が正しくありません',
+  'credentialsRequired.error': 'メールアドレスとパスワードが必要です',
+  'wrongCredentials.error': 'メールアドレスまたはパスワードが違います',
+  'registerFailed.error': 'アカウントを作成できませんでした',
+  'signInFailed.error': 'ログインできませんでした',
+  'signOutFailed.error': 'ログアウトできませんでした',
+  'invalidSettings.error': '設定が正しくありません',
+  'saveSettingsFailed.error': '設定を保存できませんでした',
+  'listCaregiversFailed.error': '介護者の一覧を取得できませんでした',
+  'caregiverEmailRequired.error': '介護者のメールアドレスが必要です',
+  'addCaregiverFailed.error': '介護者を追加できませんでした',
+  'caregiverNotFound.error': '介護者が見つかりません',
+  'removeCaregiverFailed.error': '介護者を削除できませんでした',
+  'listPatientsFailed.error': '患者の一覧を取得できませんでした',
+  'emailTaken.message': 'このメールアドレスのアカウントはすでに存在します',
+  'accountNotFound.message': 'アカウントが見つかりません',
+  'noAccountForEmail.message': 'このメールアドレスのアカウントはありません。先に介護者にアカウントを作成してもらってください',
+  'selfCaregiver.message': '自分自身を介護者として追加することはできません',
+
+  // Document history
+  'noDocumentAccess.error': 'これらの文書を見る権限がありません',
+  'patientOnly.error': '文書を削除できるのは患者本人だけです',
+  'documentNotFound.error': '文書が見つかりません',
+  'invalidQuestion.error': '無効な質問です',
+  'historyEntryNotFound.error': '履歴に文書が見つかりません',
+  'fileNotFound.error': 'ファイルが見つかりません',
+  'listHistoryFailed.error': '履歴を取得できませんでした',
+  'readHistoryFailed.error': '履歴の文書を読み込めませんでした',
+  'readFileFailed.error': 'ファイルを読み込めませんでした',
+  'deleteHistoryEntryFailed.error': '履歴から文書を削除できませんでした',
+  'deleteHistoryFailed.error': '履歴を削除できませんでした',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': '用語集の項目が正しくありません',
+  'glossaryEntryNotFound.error': '用語集の項目が見つかりません',
+  'listGlossariesFailed.error': '用語集の一覧を取得できませんでした',
+  'readGlossaryFailed.error': '用語集を読み込めませんでした',
+  'addGlossaryEntryFailed.error': '用語集に項目を追加できませんでした',
+  'updateGlossaryEntryFailed.error': '用語集の項目を更新できませんでした',
+  'deleteGlossaryEntryFailed.error': '用語集の項目を削除できませんでした',
+
+  // Fields of a request
+  'problem.name': '"name" は空でない文字列にしてください',
+  'problem.email': '"email" はメールアドレスにしてください',
+  'problem.password': '"password" は {min} 文字以上にしてください',
+  'problem.language': '"language" は言語名か null にしてください',
+  'problem.readingLevel': '"readingLevel" は次のいずれかにしてください: {readingLevels}',
+  'problem.darkMode': '"darkMode" は true か false にしてください',
+  'problem.term': '"term" は空でない文字列にしてください',
+  'problem.text': '"{field}" は文字列にしてください',
+  'problem.protected': '"protected" は true か false にしてください',
+  'problem.question': '"question" は {max} 文字以内の空でないテキストにしてください',
+  'problem.messages': '"messages" は role が "user" か "assistant" の { role, content } のリストにしてください'
+}
@@ -0,0 +1,100 @@
+// Korean texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': '업로드된 파일이 없습니다',
+  'tooManyFiles.error': '한 번에 최대 {max}개의 파일만 업로드하세요',
+  'fileTooLarge.error': '파일이 너무 큽니다. {maxMb}MB 이하의 파일을 업로드하세요',
+  'languageMissing.error': '언어가 지정되지 않았습니다',
+  'unknownLanguage.error': '알 수 없는 언어 "{language}"',
+  'unknownMode.error': '알 수 없는 모드 "{mode}"입니다. 다음 중 하나를 사용하세요: {modes}',
+  'unknownReadingLevel.error': '알 수 없는 읽기 수준 "{readingLevel}"입니다. 다음 중 하나를 사용하세요: {readingLevels}',
+  'batchTranslation.error': '여러 문서는 함께 요약만 할 수 있습니다. 문서는 한 번에 하나씩 번역하세요.',
+  'jobNotFound.error': '작업을 찾을 수 없습니다',
+  'notJobOwner.error': '작업을 시작한 사용자만 취소할 수 있습니다',
+  'jobFinished.error': '이미 끝난 작업입니다',
+  'jobNotDone.error': '작업이 아직 끝나지 않았습니다',
+  'jobCancelled.error': '작업이 취소되었습니다',
+  'jobCancelled.message': '작업이 취소되었습니다',
+  'notParsed.error': '문서를 아직 읽지 않았습니다',
+  'noMedicationSchedule.error': '이 작업에는 복약 일정이 없습니다. 먼저 POST /api/jobs/:id/medications로 만드세요.',
+  'invalidStartDate.error': 'start는 YYYY-MM-DD 형식의 날짜여야 합니다',
+  'internalError.error': '서버 내부 오류',
+  'invalidRequest.error': '잘못된 요청입니다',
+  'requestTooLarge.error': '요청이 너무 큽니다',
+
+  // Processing that failed
+  'parseFailed.error': '문서를 읽지 못했습니다',
+  'parseFailed.message': '문서의 텍스트를 읽을 수 없습니다.',
+  'parseFailed.suggestion': '문서 판독기에 문제가 있을 수 있습니다. 잠시 후 다시 시도하거나 .txt 파일을 사용해 바로 처리하세요.',
+  'summarizeFailed.error': '문서를 요약하지 못했습니다',
+  'summarizeFailed.message': '이 문서의 요약을 작성할 수 없습니다.',
+  'processFailed.error': '문서를 처리하지 못했습니다',
+  'processFailed.message': '문서를 처리하는 중에 문제가 발생했습니다.',
+  'medicationsFailed.error': '약 정보를 추출하지 못했습니다',
+  'medicationsFailed.message': '문서에서 약 정보를 읽을 수 없습니다.',
+  'audioFailed.error': '오디오를 생성하지 못했습니다',
+  'audioFailed.message': '오디오를 만들 수 없습니다.',
+  'chatFailed.error': '질문에 답할 수 없습니다',
+  'chatFailed.message': '질문에 대한 답변을 드릴 수 없습니다.',
+  'providerTimeout.message': '저희가 사용하는 서비스의 응답이 너무 오래 걸렸습니다.',
+  'providerTimeout.suggestion': '몇 분 후에 다시 시도하세요.',
+  'providerUnavailable.message': '저희가 사용하는 서비스를 지금은 이용할 수 없습니다.',
+  'providerUnavailable.suggestion': '몇 분 후에 다시 시도하세요.',
+
+  // Accounts and caregivers
+  'adminRequired.error': '관리자만 용어집을 변경할 수 있습니다',
+  'signInRequired.error': '로그인이 필요합니다',
+  'invalidAccount.error': '계정 정보가 올바르지 않습니다',
+  'credentialsRequired.error': '이메일과 비밀번호가 필요합니다',
+  'wrongCredentials.error': '이메일 또는 비밀번호가 올바르지 않습니다',
+  'registerFailed.error': '계정을 만들지 못했습니다',
+  'signInFailed.error': '로그인하지 못했습니다',
+  'signOutFailed.error': '로그아웃하지 못했습니다',
+  'invalidSettings.error': '설정이 올바르지 않습니다',
+  'saveSettingsFailed.error': '설정을 저장하지 못했습니다',
+  'listCaregiversFailed.error': '보호자 목록을 불러오지 못했습니다',
+  'caregiverEmailRequired.error': '보호자의 이메일이 필요합니다',
+  'addCaregiverFailed.error': '보호자를 추가하지 못했습니다',
+  'caregiverNotFound.error': '보호자를 찾을 수 없습니다',
+  'removeCaregiverFailed.error': '보호자를 삭제하지 못했습니다',
+  'listPatientsFailed.error': '환자 목록을 불러오지 못했습니다',
+  'emailTaken.message': '이 이메일을 사용하는 계정이 이미 있습니다',
+  'accountNotFound.message': '계정을 찾을 수 없습니다',
+  'noAccountForEmail.message': '이 이메일을 사용하는 계정이 없습니다. 먼저 보호자에게 계정을 만들어 달라고 하세요',
+  'selfCaregiver.message': '자신을 보호자로 추가할 수 없습니다',
+
+  // Document history
+  'noDocumentAccess.error': '이 문서에 접근할 권한이 없습니다',
+  'patientOnly.error': '환자 본인만 자신의 문서를 삭제할 수 있습니다',
+  'documentNotFound.error': '문서를 찾을 수 없습니다',
+  'invalidQuestion.error': '잘못된 질문',
+  'historyEntryNotFound.error': '기록에서 문서를 찾을 수 없습니다',
+  'fileNotFound.error': '파일을 찾을 수 없습니다',
+  'listHistoryFailed.error': '기록을 불러오지 못했습니다',
+  'readHistoryFailed.error': '기록의 문서를 읽지 못했습니다',
+  'readFileFailed.error': '파일을 읽지 못했습니다',
+  'deleteHistoryEntryFailed.error': '기록에서 문서를 삭제하지 못했습니다',
+  'deleteHistoryFailed.error': '기록을 삭제하지 못했습니다',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': '용어집 항목이 올바르지 않습니다',
+  'glossaryEntryNotFound.error': '용어집 항목을 찾을 수 없습니다',
+  'listGlossariesFailed.error': '용어집 목록을 불러오지 못했습니다',
+  'readGlossaryFailed.error': '용어집을 읽지 못했습니다',
+  'addGlossaryEntryFailed.error': '용어집 항목을 추가하지 못했습니다',
+  'updateGlossaryEntryFailed.error': '용어집 항목을 수정하지 못했습니다',
+  'deleteGlossaryEntryFailed.error': '용어집 항목을 삭제하지 못했습니다',
+
+  // Fields of a request
+  'problem.name': '"name"은(는) 비어 있지 않은 텍스트여야 합니다',
+  'problem.email': '"email"은(는) 이메일 주소여야 합니다',
+  'problem.password': '"password"는 {min}자 이상이어야 합니다',
+  'problem.language': '"language"는 언어 이름이거나 null이어야 합니다',
+  'problem.readingLevel': '"readingLevel"은(는) 다음 중 하나여야 합니다: {readingLevels}',
+  'problem.darkMode': '"darkMode"는 true 또는 false여야 합니다',
+  'problem.term': '"term"은(는) 비어 있지 않은 텍스트여야 합니다',
+  'problem.text': '"{field}"은(는) 텍스트여야 합니다',
+  'problem.protected': '"protected"는 true 또는 false여야 합니다',
+  'problem.question': '"question"은 {max}자 이하의 비어 있지 않은 텍스트여야 합니다',
+  'problem.messages': '"messages"는 role이 "user" 또는 "assistant"인 { role, content } 목록이어야 합니다'
+}
@@ -0,0 +1,100 @@
+// Polish texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Nie przesłano pliku',
+  'tooManyFiles.error': 'Przesyłaj naraz najwyżej {max} plików',
+  'fileTooLarge.error': 'Plik jest za duży – przesyłaj pliki o rozmiarze najwyżej {maxMb} MB',
+  'languageMissing.error': 'Nie podano języka',
+  'unknownLanguage.error': 'Nieznany język „{language}”',
+  'unknownMode.error': 'Nieznany tryb „{mode}”. Użyj jednego z tych: {modes}',
+  'unknownReadingLevel.error': 'Nieznany poziom trudności „{readingLevel}”. Użyj jednego z tych: {readingLevels}',
+  'batchTranslation.error': 'Kilka dokumentów można tylko streścić razem. Tłumacz po jednym dokumencie.',
+  'jobNotFound.error': 'Nie znaleziono zadania',
+  'notJobOwner.error': 'Zadanie może anulować tylko osoba, która je rozpoczęła',
+  'jobFinished.error': 'Zadanie już się zakończyło',
+  'jobNotDone.error': 'Zadanie jeszcze się nie zakończyło',
+  'jobCancelled.error': 'Zadanie anulowane',
+  'jobCancelled.message': 'Zadanie zostało anulowane',
+  'notParsed.error': 'Dokument nie został jeszcze odczytany',
+  'noMedicationSchedule.error': 'To zadanie nie ma planu przyjmowania leków. Najpierw utwórz go przez POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start musi być datą w formacie RRRR-MM-DD',
+  'internalError.error': 'Wewnętrzny błąd serwera',
+  'invalidRequest.error': 'Nieprawidłowe żądanie',
+  'requestTooLarge.error': 'Żądanie jest za duże',
+
+  // Processing that failed
+  'parseFailed.error': 'Nie udało się odczytać dokumentu',
+  'parseFailed.message': 'Nie udało się odczytać tekstu dokumentu.',
+  'parseFailed.suggestion': 'Czytnik dokumentów może mieć problemy. Spróbuj ponownie za chwilę albo użyj pliku .txt, aby przetworzyć go bezpośrednio.',
+  'summarizeFailed.error': 'Nie udało się streścić dokumentu',
+  'summarizeFailed.message': 'Nie udało się napisać streszczenia tego dokumentu.',
+  'processFailed.error': 'Nie udało się przetworzyć dokumentu',
+  'processFailed.message': 'Podczas przetwarzania dokumentu coś poszło nie tak.',
+  'medicationsFailed.error': 'Nie udało się wyodrębnić leków',
+  'medicationsFailed.message': 'Nie udało się odczytać leków z dokumentu.',
+  'audioFailed.error': 'Nie udało się wygenerować nagrania',
+  'audioFailed.message': 'Nie udało się przygotować nagrania.',
+  'chatFailed.error': 'Nie udało się odpowiedzieć na pytanie',
+  'chatFailed.message': 'Nie udało się udzielić odpowiedzi na Twoje pytanie.',
+  'providerTimeout.message': 'Usługa, z której korzystamy, zbyt długo nie odpowiadała.',
+  'providerTimeout.suggestion': 'Spróbuj ponownie za kilka minut.',
+  'providerUnavailable.message': 'Usługa, z której korzystamy, jest teraz niedostępna.',
+  'providerUnavailable.suggestion': 'Spróbuj ponownie za kilka minut.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Tylko administratorzy mogą zmieniać glosariusze',
+  'signInRequired.error': 'Wymagane zalogowanie',
+  'invalidAccount.error': 'Nieprawidłowe dane konta',
+  'credentialsRequired.error': 'Wymagane są adres e-mail i hasło',
+  'wrongCredentials.error': 'Nieprawidłowy adres e-mail lub hasło',
+  'registerFailed.error': 'Nie udało się utworzyć konta',
+  'signInFailed.error': 'Nie udało się zalogować',
+  'signOutFailed.error': 'Nie udało się wylogować',
+  'invalidSettings.error': 'Nieprawidłowe ustawienia',
+  'saveSettingsFailed.error': 'Nie udało się zapisać ustawień',
+  'listCaregiversFailed.error': 'Nie udało się pobrać listy opiekunów',
+  'caregiverEmailRequired.error': 'Wymagany jest adres e-mail opiekuna',
+  'addCaregiverFailed.error': 'Nie udało się dodać opiekuna',
+  'caregiverNotFound.error': 'Nie znaleziono opiekuna',
+  'removeCaregiverFailed.error': 'Nie udało się usunąć opiekuna',
+  'listPatientsFailed.error': 'Nie udało się pobrać listy pacjentów',
+  'emailTaken.message': 'Konto z tym adresem e-mail już istnieje',
+  'accountNotFound.message': 'Nie znaleziono konta',
+  'noAccountForEmail.message': 'Nie ma konta z tym adresem e-mail – poproś opiekuna, aby najpierw je założył',
+  'selfCaregiver.message': 'Nie możesz dodać siebie jako opiekuna',
+
+  // Document history
+  'noDocumentAccess.error': 'Nie masz dostępu do tych dokumentów',
+  'patientOnly.error': 'Tylko pacjent może usuwać swoje dokumenty',
+  'documentNotFound.error': 'Nie znaleziono dokumentu',
+  'invalidQuestion.error': 'Nieprawidłowe pytanie',
+  'historyEntryNotFound.error': 'Nie znaleziono dokumentu w historii',
+  'fileNotFound.error': 'Nie znaleziono pliku',
+  'listHistoryFailed.error': 'Nie udało się pobrać historii',
+  'readHistoryFailed.error': 'Nie udało się odczytać dokumentu z historii',
+  'readFileFailed.error': 'Nie udało się odczytać pliku',
+  'deleteHistoryEntryFailed.error': 'Nie udało się usunąć dokumentu z historii',
+  'deleteHistoryFailed.error': 'Nie udało się usunąć historii',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Nieprawidłowy wpis słowniczka',
+  'glossaryEntryNotFound.error': 'Nie znaleziono wpisu słowniczka',
+  'listGlossariesFailed.error': 'Nie udało się pobrać listy słowniczków',
+  'readGlossaryFailed.error': 'Nie udało się odczytać słowniczka',
+  'addGlossaryEntryFailed.error': 'Nie udało się dodać wpisu do słowniczka',
+  'updateGlossaryEntryFailed.error': 'Nie udało się zmienić wpisu słowniczka',
+  'deleteGlossaryEntryFailed.error': 'Nie udało się usunąć wpisu słowniczka',
+
+  // Fields of a request
+  'problem.name': '„name” musi być niepustym tekstem',
+  'problem.email': '„email” musi być adresem e-mail',
+  'problem.password': '„password” musi mieć co najmniej {min} znaków',
+  'problem.language': '„language” musi być nazwą języka lub null',
+  'problem.readingLevel': '„readingLevel” musi mieć jedną z wartości: {readingLevels}',
+  'problem.darkMode': '„darkMode” musi mieć wartość true lub false',
+  'problem.term': '„term” musi być niepustym tekstem',
+  'problem.text': '„{field}” musi być tekstem',
+  'problem.protected': '„protected” musi mieć wartość true lub false',
+  'problem.question': '„question” musi być niepustym tekstem o długości najwyżej {max} znaków',
+  'problem.messages': '„messages” musi być listą { role, content } z role „user” lub „assistant”'
+}
@@ -0,0 +1,100 @@
+// Portuguese texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Nenhum arquivo enviado',
+  'tooManyFiles.error': 'Envie no máximo {max} arquivos de cada vez',
+  'fileTooLarge.error': 'O arquivo é grande demais - envie arquivos de no máximo {maxMb} MB',
+  'languageMissing.error': 'Idioma não informado',
+  'unknownLanguage.error': 'Idioma desconhecido "{language}"',
+  'unknownMode.error': 'Modo desconhecido "{mode}". Use um destes: {modes}',
+  'unknownReadingLevel.error': 'Nível de leitura desconhecido "{readingLevel}". Use um destes: {readingLevels}',
+  'batchTranslation.error': 'Vários documentos só podem ser resumidos juntos. Traduza um documento de cada vez.',
+  'jobNotFound.error': 'Tarefa não encontrada',
+  'notJobOwner.error': 'Somente quem iniciou uma tarefa pode cancelá-la',
+  'jobFinished.error': 'A tarefa já terminou',
+  'jobNotDone.error': 'A tarefa ainda não terminou',
+  'jobCancelled.error': 'Tarefa cancelada',
+  'jobCancelled.message': 'A tarefa foi cancelada',
+  'notParsed.error': 'O documento ainda não foi lido',
+  'noMedicationSchedule.error': 'Esta tarefa não tem horário de medicamentos. Crie um primeiro com POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start deve ser uma data no formato AAAA-MM-DD',
+  'internalError.error': 'Erro interno do servidor',
+  'invalidRequest.error': 'Solicitação inválida',
+  'requestTooLarge.error': 'A solicitação é grande demais',
+
+  // Processing that failed
+  'parseFailed.error': 'Não foi possível ler o documento',
+  'parseFailed.message': 'Não foi possível ler o texto do documento.',
+  'parseFailed.suggestion': 'O leitor de documentos pode estar com problemas. Tente de novo daqui a pouco ou use um arquivo .txt para processamento direto.',
+  'summarizeFailed.error': 'Não foi possível resumir o documento',
+  'summarizeFailed.message': 'Não foi possível escrever um resumo deste documento.',
+  'processFailed.error': 'Não foi possível processar o documento',
+  'processFailed.message': 'Algo deu errado ao processar o documento.',
+  'medicationsFailed.error': 'Não foi possível extrair os medicamentos',
+  'medicationsFailed.message': 'Não foi possível ler os medicamentos do documento.',
+  'audioFailed.error': 'Não foi possível gerar o áudio',
+  'audioFailed.message': 'Não foi possível criar o áudio.',
+  'chatFailed.error': 'Não foi possível responder à pergunta',
+  'chatFailed.message': 'Não foi possível dar uma resposta à sua pergunta.',
+  'providerTimeout.message': 'Um serviço que usamos demorou demais para responder.',
+  'providerTimeout.suggestion': 'Tente de novo em alguns minutos.',
+  'providerUnavailable.message': 'Um serviço que usamos não está disponível no momento.',
+  'providerUnavailable.suggestion': 'Tente de novo em alguns minutos.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Apenas administradores podem alterar os glossários',
+  'signInRequired.error': 'É preciso entrar na conta',
+  'invalidAccount.error': 'Conta inválida',
+  'credentialsRequired.error': 'E-mail e senha são obrigatórios',
+  'wrongCredentials.error': 'E-mail ou senha incorretos',
+  'registerFailed.error': 'Não foi possível criar a conta',
+  'signInFailed.error': 'Não foi possível entrar',
+  'signOutFailed.error': 'Não foi possível sair',
+  'invalidSettings.error': 'Configurações inválidas',
+  'saveSettingsFailed.error': 'Não foi possível salvar as configurações',
+  'listCaregiversFailed.error': 'Não foi possível obter a lista de cuidadores',
+  'caregiverEmailRequired.error': 'O e-mail do cuidador é obrigatório',
+  'addCaregiverFailed.error': 'Não foi possível adicionar o cuidador',
+  'caregiverNotFound.error': 'Cuidador não encontrado',
+  'removeCaregiverFailed.error': 'Não foi possível remover o cuidador',
+  'listPatientsFailed.error': 'Não foi possível obter a lista de pacientes',
+  'emailTaken.message': 'Já existe uma conta com este e-mail',
+  'accountNotFound.message': 'Conta não encontrada',
+  'noAccountForEmail.message': 'Não há nenhuma conta com este e-mail - peça ao cuidador que crie uma primeiro',
+  'selfCaregiver.message': 'Você não pode se adicionar como cuidador',
+
+  // Document history
+  'noDocumentAccess.error': 'Você não tem acesso a estes documentos',
+  'patientOnly.error': 'Somente o paciente pode apagar seus documentos',
+  'documentNotFound.error': 'Documento não encontrado',
+  'invalidQuestion.error': 'Pergunta inválida',
+  'historyEntryNotFound.error': 'Documento não encontrado no histórico',
+  'fileNotFound.error': 'Arquivo não encontrado',
+  'listHistoryFailed.error': 'Não foi possível obter o histórico',
+  'readHistoryFailed.error': 'Não foi possível ler o documento do histórico',
+  'readFileFailed.error': 'Não foi possível ler o arquivo',
+  'deleteHistoryEntryFailed.error': 'Não foi possível apagar o documento do histórico',
+  'deleteHistoryFailed.error': 'Não foi possível apagar o histórico',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Entrada de glossário inválida',
+  'glossaryEntryNotFound.error': 'Entrada de glossário não encontrada',
+  'listGlossariesFailed.error': 'Não foi possível obter a lista de glossários',
+  'readGlossaryFailed.error': 'Não foi possível ler o glossário',
+  'addGlossaryEntryFailed.error': 'Não foi possível adicionar a entrada ao glossário',
+  'updateGlossaryEntryFailed.error': 'Não foi possível atualizar a entrada do glossário',
+  'deleteGlossaryEntryFailed.error': 'Não foi possível apagar a entrada do glossário',
+
+  // Fields of a request
+  'problem.name': '"name" deve ser um texto não vazio',
+  'problem.email': '"email" deve ser um endereço de e-mail',
+  'problem.password': '"password" deve ter pelo menos {min} caracteres',
+  'problem.language': '"language" deve ser o nome de um idioma ou null',
+  'problem.readingLevel': '"readingLevel" deve ser um destes: {readingLevels}',
+  'problem.darkMode': '"darkMode" deve ser true ou false',
+  'problem.term': '"term" deve ser um texto não vazio',
+  'problem.text': '"{field}" deve ser um texto',
+  'problem.protected': '"protected" deve ser true ou false',
+  'problem.question': '"question" deve ser um texto não vazio de no máximo {max} caracteres',
+  'problem.messages': '"messages" deve ser uma lista de { role, content } com role "user" ou "assistant"'
+}
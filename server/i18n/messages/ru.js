@@ -0,0 +1,100 @@
+// Russian texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Файл не загружен',
+  'tooManyFiles.error': 'Загружайте не больше {max} файлов за раз',
+  'fileTooLarge.error': 'Файл слишком большой — загружайте файлы размером не более {maxMb} МБ',
+  'languageMissing.error': 'Язык не указан',
+  'unknownLanguage.error': 'Неизвестный язык «{language}»',
+  'unknownMode.error': 'Неизвестный режим «{mode}». Используйте один из этих: {modes}',
+  'unknownReadingLevel.error': 'Неизвестный уровень сложности «{readingLevel}». Используйте один из этих: {readingLevels}',
+  'batchTranslation.error': 'Несколько документов можно только кратко изложить вместе. Переводите по одному документу.',
+  'jobNotFound.error': 'Задача не найдена',
+  'notJobOwner.error': 'Отменить задачу может только пользователь, который её запустил',
+  'jobFinished.error': 'Задача уже завершена',
+  'jobNotDone.error': 'Задача ещё не завершена',
+  'jobCancelled.error': 'Задача отменена',
+  'jobCancelled.message': 'Задача была отменена',
+  'notParsed.error': 'Документ ещё не прочитан',
+  'noMedicationSchedule.error': 'Для этой задачи нет расписания приёма лекарств. Сначала создайте его с помощью POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start должен быть датой в формате ГГГГ-ММ-ДД',
+  'internalError.error': 'Внутренняя ошибка сервера',
+  'invalidRequest.error': 'Некорректный запрос',
+  'requestTooLarge.error': 'Слишком большой запрос',
+
+  // Processing that failed
+  'parseFailed.error': 'Не удалось прочитать документ',
+  'parseFailed.message': 'Не удалось прочитать текст документа.',
+  'parseFailed.suggestion': 'Возможно, у службы чтения документов возникли проблемы. Попробуйте ещё раз чуть позже или используйте файл .txt для прямой обработки.',
+  'summarizeFailed.error': 'Не удалось составить краткое изложение документа',
+  'summarizeFailed.message': 'Для этого документа не удалось составить краткое изложение.',
+  'processFailed.error': 'Не удалось обработать документ',
+  'processFailed.message': 'При обработке документа что-то пошло не так.',
+  'medicationsFailed.error': 'Не удалось найти лекарства',
+  'medicationsFailed.message': 'Не удалось прочитать лекарства из документа.',
+  'audioFailed.error': 'Не удалось создать аудио',
+  'audioFailed.message': 'Не удалось подготовить аудиозапись.',
+  'chatFailed.error': 'Не удалось ответить на вопрос',
+  'chatFailed.message': 'Не удалось дать ответ на ваш вопрос.',
+  'providerTimeout.message': 'Один из сервисов, которыми мы пользуемся, слишком долго не отвечал.',
+  'providerTimeout.suggestion': 'Попробуйте ещё раз через несколько минут.',
+  'providerUnavailable.message': 'Один из сервисов, которыми мы пользуемся, сейчас недоступен.',
+  'providerUnavailable.suggestion': 'Попробуйте ещё раз через несколько минут.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Изменять глоссарии могут только администраторы',
+  'signInRequired.error': 'Необходимо войти в систему',
+  'invalidAccount.error': 'Неверные данные учётной записи',
+  'credentialsRequired.error': 'Нужны адрес электронной почты и пароль',
+  'wrongCredentials.error': 'Неверный адрес электронной почты или пароль',
+  'registerFailed.error': 'Не удалось создать учётную запись',
+  'signInFailed.error': 'Не удалось войти',
+  'signOutFailed.error': 'Не удалось выйти',
+  'invalidSettings.error': 'Неверные настройки',
+  'saveSettingsFailed.error': 'Не удалось сохранить настройки',
+  'listCaregiversFailed.error': 'Не удалось получить список опекунов',
+  'caregiverEmailRequired.error': 'Нужен адрес электронной почты опекуна',
+  'addCaregiverFailed.error': 'Не удалось добавить опекуна',
+  'caregiverNotFound.error': 'Опекун не найден',
+  'removeCaregiverFailed.error': 'Не удалось удалить опекуна',
+  'listPatientsFailed.error': 'Не удалось получить список пациентов',
+  'emailTaken.message': 'Учётная запись с этим адресом электронной почты уже существует',
+  'accountNotFound.message': 'Учётная запись не найдена',
+  'noAccountForEmail.message': 'Нет учётной записи с этим адресом — попросите опекуна сначала её создать',
+  'selfCaregiver.message': 'Нельзя добавить себя в качестве опекуна',
+
+  // Document history
+  'noDocumentAccess.error': 'У вас нет доступа к этим документам',
+  'patientOnly.error': 'Удалять документы может только сам пациент',
+  'documentNotFound.error': 'Документ не найден',
+  'invalidQuestion.error': 'Недопустимый вопрос',
+  'historyEntryNotFound.error': 'Документ не найден в истории',
+  'fileNotFound.error': 'Файл не найден',
+  'listHistoryFailed.error': 'Не удалось получить историю',
+  'readHistoryFailed.error': 'Не удалось прочитать документ из истории',
+  'readFileFailed.error': 'Не удалось прочитать файл',
+  'deleteHistoryEntryFailed.error': 'Не удалось удалить документ из истории',
+  'deleteHistoryFailed.error': 'Не удалось удалить историю',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Неверная запись глоссария',
+  'glossaryEntryNotFound.error': 'Запись глоссария не найдена',
+  'listGlossariesFailed.error': 'Не удалось получить список глоссариев',
+  'readGlossaryFailed.error': 'Не удалось прочитать глоссарий',
+  'addGlossaryEntryFailed.error': 'Не удалось добавить запись в глоссарий',
+  'updateGlossaryEntryFailed.error': 'Не удалось изменить запись глоссария',
+  'deleteGlossaryEntryFailed.error': 'Не удалось удалить запись глоссария',
+
+  // Fields of a request
+  'problem.name': '«name» должно быть непустым текстом',
+  'problem.email': '«email» должно быть адресом электронной почты',
+  'problem.password': '«password» должен содержать не менее {min} символов',
+  'problem.language': '«language» должно быть названием языка или null',
+  'problem.readingLevel': '«readingLevel» должно быть одним из значений: {readingLevels}',
+  'problem.darkMode': '«darkMode» должно быть true или false',
+  'problem.term': '«term» должно быть непустым текстом',
+  'problem.text': '«{field}» должно быть текстом',
+  'problem.protected': '«protected» должно быть true или false',
+  'problem.question': '«question» должно быть непустым текстом длиной не более {max} символов',
+  'problem.messages': '«messages» должно быть списком { role, content } с role «user» или «assistant»'
+}
@@ -0,0 +1,100 @@
+// Tagalog texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Walang na-upload na file',
+  'tooManyFiles.error': 'Mag-upload ng hindi hihigit sa {max} file nang sabay-sabay',
+  'fileTooLarge.error': 'Masyadong malaki ang file - mag-upload ng mga file na hindi hihigit sa {maxMb} MB',
+  'languageMissing.error': 'Hindi tinukoy ang wika',
+  'unknownLanguage.error': 'Hindi kilalang wika "{language}"',
+  'unknownMode.error': 'Hindi kilalang mode na "{mode}". Gamitin ang isa sa mga ito: {modes}',
+  'unknownReadingLevel.error': 'Hindi kilalang antas ng pagbasa na "{readingLevel}". Gamitin ang isa sa mga ito: {readingLevels}',
+  'batchTranslation.error': 'Ang ilang dokumento ay maaari lamang ibuod nang magkakasama. Isalin ang isang dokumento sa bawat pagkakataon.',
+  'jobNotFound.error': 'Hindi nakita ang gawain',
+  'notJobOwner.error': 'Ang user lamang na nagsimula ng gawain ang maaaring magkansela nito',
+  'jobFinished.error': 'Tapos na ang gawain',
+  'jobNotDone.error': 'Hindi pa tapos ang gawain',
+  'jobCancelled.error': 'Kinansela ang gawain',
+  'jobCancelled.message': 'Kinansela ang gawain',
+  'notParsed.error': 'Hindi pa nababasa ang dokumento',
+  'noMedicationSchedule.error': 'Walang iskedyul ng gamot para sa gawaing ito. Gumawa muna ng isa gamit ang POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'Ang start ay dapat na petsa sa format na YYYY-MM-DD',
+  'internalError.error': 'Panloob na error ng server',
+  'invalidRequest.error': 'Hindi wastong kahilingan',
+  'requestTooLarge.error': 'Masyadong malaki ang kahilingan',
+
+  // Processing that failed
+  'parseFailed.error': 'Hindi nabasa ang dokumento',
+  'parseFailed.message': 'Hindi nabasa ang teksto ng dokumento.',
+  'parseFailed.suggestion': 'Maaaring may problema ang tagabasa ng dokumento. Subukang muli mamaya, o gumamit ng .txt file para direktang maproseso.',
+  'summarizeFailed.error': 'Hindi naibuod ang dokumento',
+  'summarizeFailed.message': 'Hindi nakagawa ng buod para sa dokumentong ito.',
+  'processFailed.error': 'Hindi naproseso ang dokumento',
+  'processFailed.message': 'Nagkaproblema habang pinoproseso ang dokumento.',
+  'medicationsFailed.error': 'Hindi nakuha ang mga gamot',
+  'medicationsFailed.message': 'Hindi nabasa ang mga gamot mula sa dokumento.',
+  'audioFailed.error': 'Hindi nakagawa ng audio',
+  'audioFailed.message': 'Hindi nagawa ang audio.',
+  'chatFailed.error': 'Hindi nasagot ang tanong',
+  'chatFailed.message': 'Hindi nabigyan ng sagot ang iyong tanong.',
+  'providerTimeout.message': 'Masyadong natagalan sa pagsagot ang isang serbisyong ginagamit namin.',
+  'providerTimeout.suggestion': 'Subukang muli pagkalipas ng ilang minuto.',
+  'providerUnavailable.message': 'Hindi available sa ngayon ang isang serbisyong ginagamit namin.',
+  'providerUnavailable.suggestion': 'Subukang muli pagkalipas ng ilang minuto.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Mga administrator lang ang puwedeng magbago ng mga glossary',
+  'signInRequired.error': 'Kailangang mag-sign in',
+  'invalidAccount.error': 'Hindi wastong account',
+  'credentialsRequired.error': 'Kailangan ang email at password',
+  'wrongCredentials.error': 'Maling email o password',
+  'registerFailed.error': 'Hindi nagawa ang account',
+  'signInFailed.error': 'Hindi naka-sign in',
+  'signOutFailed.error': 'Hindi naka-sign out',
+  'invalidSettings.error': 'Hindi wastong mga setting',
+  'saveSettingsFailed.error': 'Hindi na-save ang mga setting',
+  'listCaregiversFailed.error': 'Hindi nakuha ang listahan ng mga tagapag-alaga',
+  'caregiverEmailRequired.error': 'Kailangan ang email ng tagapag-alaga',
+  'addCaregiverFailed.error': 'Hindi naidagdag ang tagapag-alaga',
+  'caregiverNotFound.error': 'Hindi nakita ang tagapag-alaga',
+  'removeCaregiverFailed.error': 'Hindi naalis ang tagapag-alaga',
+  'listPatientsFailed.error': 'Hindi nakuha ang listahan ng mga pasyente',
+  'emailTaken.message': 'May account na gumagamit ng email na ito',
+  'accountNotFound.message': 'Hindi nakita ang account',
+  'noAccountForEmail.message': 'Walang account na may ganitong email - hilingin muna sa tagapag-alaga na gumawa ng account',
+  'selfCaregiver.message': 'Hindi mo maidadagdag ang iyong sarili bilang tagapag-alaga',
+
+  // Document history
+  'noDocumentAccess.error': 'Wala kang access sa mga dokumentong ito',
+  'patientOnly.error': 'Ang pasyente lamang ang maaaring magbura ng kanyang mga dokumento',
+  'documentNotFound.error': 'Hindi nakita ang dokumento',
+  'invalidQuestion.error': 'Hindi wastong tanong',
+  'historyEntryNotFound.error': 'Hindi nakita ang dokumento sa kasaysayan',
+  'fileNotFound.error': 'Hindi nakita ang file',
+  'listHistoryFailed.error': 'Hindi nakuha ang kasaysayan',
+  'readHistoryFailed.error': 'Hindi nabasa ang dokumento sa kasaysayan',
+  'readFileFailed.error': 'Hindi nabasa ang file',
+  'deleteHistoryEntryFailed.error': 'Hindi nabura ang dokumento sa kasaysayan',
+  'deleteHistoryFailed.error': 'Hindi nabura ang kasaysayan',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Hindi wastong entry ng glosaryo',
+  'glossaryEntryNotFound.error': 'Hindi nakita ang entry ng glosaryo',
+  'listGlossariesFailed.error': 'Hindi nakuha ang listahan ng mga glosaryo',
+  'readGlossaryFailed.error': 'Hindi nabasa ang glosaryo',
+  'addGlossaryEntryFailed.error': 'Hindi naidagdag ang entry ng glosaryo',
+  'updateGlossaryEntryFailed.error': 'Hindi na-update ang entry ng glosaryo',
+  'deleteGlossaryEntryFailed.error': 'Hindi nabura ang entry ng glosaryo',
+
+  // Fields of a request
+  'problem.name': 'Ang "name" ay dapat na tekstong hindi walang laman',
+  'problem.email': 'Ang "email" ay dapat na email address',
+  'problem.password': 'Ang "password" ay dapat may hindi bababa sa {min} character',
+  'problem.language': 'Ang "language" ay dapat na pangalan ng wika o null',
+  'problem.readingLevel': 'Ang "readingLevel" ay dapat na isa sa mga ito: {readingLevels}',
+  'problem.darkMode': 'Ang "darkMode" ay dapat na true o false',
+  'problem.term': 'Ang "term" ay dapat na tekstong hindi walang laman',
+  'problem.text': 'Ang "{field}" ay dapat na teksto',
+  'problem.protected': 'Ang "protected" ay dapat na true o false',
+  'problem.question': 'Ang "question" ay dapat na tekstong hindi walang laman at hindi hihigit sa {max} na character',
+  'problem.messages': 'Ang "messages" ay dapat na listahan ng { role, content } na ang role ay "user" o "assistant"'
+}
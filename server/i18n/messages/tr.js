@@ -0,0 +1,100 @@
+// Turkish texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Dosya yüklenmedi',
+  'tooManyFiles.error': 'Bir seferde en fazla {max} dosya yükleyin',
+  'fileTooLarge.error': 'Dosya çok büyük - en fazla {maxMb} MB boyutunda dosyalar yükleyin',
+  'languageMissing.error': 'Dil belirtilmedi',
+  'unknownLanguage.error': 'Bilinmeyen dil "{language}"',
+  'unknownMode.error': 'Bilinmeyen mod "{mode}". Şunlardan birini kullanın: {modes}',
+  'unknownReadingLevel.error': 'Bilinmeyen okuma düzeyi "{readingLevel}". Şunlardan birini kullanın: {readingLevels}',
+  'batchTranslation.error': 'Birden fazla belge yalnızca birlikte özetlenebilir. Belgeleri tek tek çevirin.',
+  'jobNotFound.error': 'İş bulunamadı',
+  'notJobOwner.error': 'Bir işi yalnızca onu başlatan kullanıcı iptal edebilir',
+  'jobFinished.error': 'İş zaten bitti',
+  'jobNotDone.error': 'İş henüz bitmedi',
+  'jobCancelled.error': 'İş iptal edildi',
+  'jobCancelled.message': 'İş iptal edildi',
+  'notParsed.error': 'Belge henüz okunmadı',
+  'noMedicationSchedule.error': 'Bu iş için ilaç programı yok. Önce POST /api/jobs/:id/medications ile bir program oluşturun.',
+  'invalidStartDate.error': 'start, YYYY-AA-GG biçiminde bir tarih olmalıdır',
+  'internalError.error': 'Sunucu iç hatası',
+  'invalidRequest.error': 'Geçersiz istek',
+  'requestTooLarge.error': 'İstek çok büyük',
+
+  // Processing that failed
+  'parseFailed.error': 'Belge okunamadı',
+  'parseFailed.message': 'Belgenin metni okunamadı.',
+  'parseFailed.suggestion': 'Belge okuyucuda sorun olabilir. Birazdan tekrar deneyin veya doğrudan işlemek için bir .txt dosyası kullanın.',
+  'summarizeFailed.error': 'Belge özetlenemedi',
+  'summarizeFailed.message': 'Bu belge için özet yazılamadı.',
+  'processFailed.error': 'Belge işlenemedi',
+  'processFailed.message': 'Belge işlenirken bir sorun oluştu.',
+  'medicationsFailed.error': 'İlaçlar çıkarılamadı',
+  'medicationsFailed.message': 'Belgedeki ilaçlar okunamadı.',
+  'audioFailed.error': 'Ses oluşturulamadı',
+  'audioFailed.message': 'Ses dosyası hazırlanamadı.',
+  'chatFailed.error': 'Soru yanıtlanamadı',
+  'chatFailed.message': 'Sorunuza yanıt verilemedi.',
+  'providerTimeout.message': 'Kullandığımız bir hizmet yanıt vermekte çok gecikti.',
+  'providerTimeout.suggestion': 'Birkaç dakika sonra tekrar deneyin.',
+  'providerUnavailable.message': 'Kullandığımız bir hizmet şu anda kullanılamıyor.',
+  'providerUnavailable.suggestion': 'Birkaç dakika sonra tekrar deneyin.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Sözlükleri yalnızca yöneticiler değiştirebilir',
+  'signInRequired.error': 'Giriş yapmanız gerekiyor',
+  'invalidAccount.error': 'Geçersiz hesap bilgileri',
+  'credentialsRequired.error': 'E-posta ve şifre gereklidir',
+  'wrongCredentials.error': 'E-posta veya şifre yanlış',
+  'registerFailed.error': 'Hesap oluşturulamadı',
+  'signInFailed.error': 'Giriş yapılamadı',
+  'signOutFailed.error': 'Çıkış yapılamadı',
+  'invalidSettings.error': 'Geçersiz ayarlar',
+  'saveSettingsFailed.error': 'Ayarlar kaydedilemedi',
+  'listCaregiversFailed.error': 'Bakım veren listesi alınamadı',
+  'caregiverEmailRequired.error': 'Bakım verenin e-posta adresi gereklidir',
+  'addCaregiverFailed.error': 'Bakım veren eklenemedi',
+  'caregiverNotFound.error': 'Bakım veren bulunamadı',
+  'removeCaregiverFailed.error': 'Bakım veren kaldırılamadı',
+  'listPatientsFailed.error': 'Hasta listesi alınamadı',
+  'emailTaken.message': 'Bu e-posta adresiyle zaten bir hesap var',
+  'accountNotFound.message': 'Hesap bulunamadı',
+  'noAccountForEmail.message': 'Bu e-posta adresiyle bir hesap yok - bakım verenden önce bir hesap oluşturmasını isteyin',
+  'selfCaregiver.message': 'Kendinizi bakım veren olarak ekleyemezsiniz',
+
+  // Document history
+  'noDocumentAccess.error': 'Bu belgelere erişiminiz yok',
+  'patientOnly.error': 'Belgelerini yalnızca hastanın kendisi silebilir',
+  'documentNotFound.error': 'Belge bulunamadı',
+  'invalidQuestion.error': 'Geçersiz soru',
+  'historyEntryNotFound.error': 'Belge geçmişte bulunamadı',
+  'fileNotFound.error': 'Dosya bulunamadı',
+  'listHistoryFailed.error': 'Geçmiş alınamadı',
+  'readHistoryFailed.error': 'Geçmişteki belge okunamadı',
+  'readFileFailed.error': 'Dosya okunamadı',
+  'deleteHistoryEntryFailed.error': 'Belge geçmişten silinemedi',
+  'deleteHistoryFailed.error': 'Geçmiş silinemedi',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Geçersiz sözlük kaydı',
+  'glossaryEntryNotFound.error': 'Sözlük kaydı bulunamadı',
+  'listGlossariesFailed.error': 'Sözlük listesi alınamadı',
+  'readGlossaryFailed.error': 'Sözlük okunamadı',
+  'addGlossaryEntryFailed.error': 'Sözlüğe kayıt eklenemedi',
+  'updateGlossaryEntryFailed.error': 'Sözlük kaydı güncellenemedi',
+  'deleteGlossaryEntryFailed.error': 'Sözlük kaydı silinemedi',
+
+  // Fields of a request
+  'problem.name': '"name" boş olmayan bir metin olmalıdır',
+  'problem.email': '"email" bir e-posta adresi olmalıdır',
+  'problem.password': '"password" en az {min} karakter olmalıdır',
+  'problem.language': '"language" bir dil adı veya null olmalıdır',
+  'problem.readingLevel': '"readingLevel" şunlardan biri olmalıdır: {readingLevels}',
+  'problem.darkMode': '"darkMode" true veya false olmalıdır',
+  'problem.term': '"term" boş olmayan bir metin olmalıdır',
+  'problem.text': '"{field}" bir metin olmalıdır',
+  'problem.protected': '"protected" true veya false olmalıdır',
+  'problem.question': '"question" en fazla {max} karakterlik boş olmayan bir metin olmalıdır',
+  'problem.messages': '"messages", role değeri "user" veya "assistant" olan { role, content } listesi olmalıdır'
+}
@@ -0,0 +1,100 @@
+// Urdu texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'کوئی فائل اپ لوڈ نہیں ہوئی',
+  'tooManyFiles.error': 'ایک وقت میں زیادہ سے زیادہ {max} فائلیں اپ لوڈ کریں',
+  'fileTooLarge.error': 'فائل بہت بڑی ہے - زیادہ سے زیادہ {maxMb} MB کی فائلیں اپ لوڈ کریں',
+  'languageMissing.error': 'زبان نہیں بتائی گئی',
+  'unknownLanguage.error': 'نامعلوم زبان "{language}"',
+  'unknownMode.error': 'نامعلوم موڈ "{mode}"۔ ان میں سے کوئی ایک استعمال کریں: {modes}',
+  'unknownReadingLevel.error': 'پڑھنے کی نامعلوم سطح "{readingLevel}"۔ ان میں سے کوئی ایک استعمال کریں: {readingLevels}',
+  'batchTranslation.error': 'کئی دستاویزات کا صرف ایک ساتھ خلاصہ بنایا جا سکتا ہے۔ ایک وقت میں ایک دستاویز کا ترجمہ کریں۔',
+  'jobNotFound.error': 'کام نہیں ملا',
+  'notJobOwner.error': 'کام کو صرف وہی صارف منسوخ کر سکتا ہے جس نے اسے شروع کیا',
+  'jobFinished.error': 'کام پہلے ہی ختم ہو چکا ہے',
+  'jobNotDone.error': 'کام ابھی مکمل نہیں ہوا',
+  'jobCancelled.error': 'کام منسوخ ہو گیا',
+  'jobCancelled.message': 'کام منسوخ کر دیا گیا',
+  'notParsed.error': 'دستاویز ابھی پڑھی نہیں گئی',
+  'noMedicationSchedule.error': 'اس کام کے لیے دواؤں کا شیڈول نہیں ہے۔ پہلے POST /api/jobs/:id/medications سے ایک بنائیں۔',
+  'invalidStartDate.error': 'start کو YYYY-MM-DD فارمیٹ میں تاریخ ہونا چاہیے',
+  'internalError.error': 'سرور کی اندرونی خرابی',
+  'invalidRequest.error': 'غلط درخواست',
+  'requestTooLarge.error': 'درخواست بہت بڑی ہے',
+
+  // Processing that failed
+  'parseFailed.error': 'دستاویز پڑھی نہیں جا سکی',
+  'parseFailed.message': 'دستاویز کا متن پڑھا نہیں جا سکا۔',
+  'parseFailed.suggestion': 'ہو سکتا ہے دستاویز پڑھنے والی سروس میں مسئلہ ہو۔ تھوڑی دیر بعد دوبارہ کوشش کریں، یا براہ راست کارروائی کے لیے ‎.txt فائل استعمال کریں۔',
+  'summarizeFailed.error': 'دستاویز کا خلاصہ نہیں بن سکا',
+  'summarizeFailed.message': 'اس دستاویز کا خلاصہ نہیں لکھا جا سکا۔',
+  'processFailed.error': 'دستاویز پر کارروائی نہیں ہو سکی',
+  'processFailed.message': 'دستاویز پر کارروائی کے دوران کچھ غلط ہو گیا۔',
+  'medicationsFailed.error': 'دوائیں نکالی نہیں جا سکیں',
+  'medicationsFailed.message': 'دستاویز سے دوائیں پڑھی نہیں جا سکیں۔',
+  'audioFailed.error': 'آڈیو نہیں بن سکی',
+  'audioFailed.message': 'آڈیو تیار نہیں کی جا سکی۔',
+  'chatFailed.error': 'سوال کا جواب نہیں دیا جا سکا',
+  'chatFailed.message': 'آپ کے سوال کا جواب نہیں دیا جا سکا۔',
+  'providerTimeout.message': 'ہماری استعمال کردہ ایک سروس نے جواب دینے میں بہت زیادہ وقت لیا۔',
+  'providerTimeout.suggestion': 'چند منٹ بعد دوبارہ کوشش کریں۔',
+  'providerUnavailable.message': 'ہماری استعمال کردہ ایک سروس اس وقت دستیاب نہیں ہے۔',
+  'providerUnavailable.suggestion': 'چند منٹ بعد دوبارہ کوشش کریں۔',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'صرف منتظمین لغات تبدیل کر سکتے ہیں',
+  'signInRequired.error': 'سائن ان کرنا ضروری ہے',
+  'invalidAccount.error': 'اکاؤنٹ کی معلومات درست نہیں',
+  'credentialsRequired.error': 'ای میل اور پاس ورڈ ضروری ہیں',
+  'wrongCredentials.error': 'ای میل یا پاس ورڈ غلط ہے',
+  'registerFailed.error': 'اکاؤنٹ نہیں بن سکا',
+  'signInFailed.error': 'سائن ان نہیں ہو سکا',
+  'signOutFailed.error': 'سائن آؤٹ نہیں ہو سکا',
+  'invalidSettings.error': 'ترتیبات درست نہیں',
+  'saveSettingsFailed.error': 'ترتیبات محفوظ نہیں ہو سکیں',
+  'listCaregiversFailed.error': 'دیکھ بھال کرنے والوں کی فہرست نہیں مل سکی',
+  'caregiverEmailRequired.error': 'دیکھ بھال کرنے والے کی ای میل ضروری ہے',
+  'addCaregiverFailed.error': 'دیکھ بھال کرنے والے کو شامل نہیں کیا جا سکا',
+  'caregiverNotFound.error': 'دیکھ بھال کرنے والا نہیں ملا',
+  'removeCaregiverFailed.error': 'دیکھ بھال کرنے والے کو ہٹایا نہیں جا سکا',
+  'listPatientsFailed.error': 'مریضوں کی فہرست نہیں مل سکی',
+  'emailTaken.message': 'اس ای میل سے پہلے ہی ایک اکاؤنٹ موجود ہے',
+  'accountNotFound.message': 'اکاؤنٹ نہیں ملا',
+  'noAccountForEmail.message': 'اس ای میل سے کوئی اکاؤنٹ نہیں ہے - دیکھ بھال کرنے والے سے کہیں کہ پہلے اکاؤنٹ بنائیں',
+  'selfCaregiver.message': 'آپ خود کو دیکھ بھال کرنے والے کے طور پر شامل نہیں کر سکتے',
+
+  // Document history
+  'noDocumentAccess.error': 'آپ کو ان دستاویزات تک رسائی حاصل نہیں',
+  'patientOnly.error': 'صرف مریض ہی اپنی دستاویزات حذف کر سکتا ہے',
+  'documentNotFound.error': 'دستاویز نہیں ملی',
+  'invalidQuestion.error': 'غلط سوال',
+  'historyEntryNotFound.error': 'تاریخچے میں دستاویز نہیں ملی',
+  'fileNotFound.error': 'فائل نہیں ملی',
+  'listHistoryFailed.error': 'تاریخچہ نہیں مل سکا',
+  'readHistoryFailed.error': 'تاریخچے کی دستاویز پڑھی نہیں جا سکی',
+  'readFileFailed.error': 'فائل پڑھی نہیں جا سکی',
+  'deleteHistoryEntryFailed.error': 'تاریخچے سے دستاویز حذف نہیں ہو سکی',
+  'deleteHistoryFailed.error': 'تاریخچہ حذف نہیں ہو سکا',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'فرہنگ کا اندراج درست نہیں',
+  'glossaryEntryNotFound.error': 'فرہنگ کا اندراج نہیں ملا',
+  'listGlossariesFailed.error': 'فرہنگوں کی فہرست نہیں مل سکی',
+  'readGlossaryFailed.error': 'فرہنگ پڑھی نہیں جا سکی',
+  'addGlossaryEntryFailed.error': 'فرہنگ میں اندراج شامل نہیں ہو سکا',
+  'updateGlossaryEntryFailed.error': 'فرہنگ کا اندراج تبدیل نہیں ہو سکا',
+  'deleteGlossaryEntryFailed.error': 'فرہنگ کا اندراج حذف نہیں ہو سکا',
+
+  // Fields of a request
+  'problem.name': '"name" خالی نہیں ہونا چاہیے',
+  'problem.email': '"email" ای میل پتہ ہونا چاہیے',
+  'problem.password': '"password" کم از کم {min} حروف کا ہونا چاہیے',
+  'problem.language': '"language" کسی زبان کا نام یا null ہونا چاہیے',
+  'problem.readingLevel': '"readingLevel" ان میں سے ایک ہونا چاہیے: {readingLevels}',
+  'problem.darkMode': '"darkMode" یا تو true ہو یا false',
+  'problem.term': '"term" خالی نہیں ہونا چاہیے',
+  'problem.text': '"{field}" متن ہونا چاہیے',
+  'problem.protected': '"protected" یا تو true ہو یا false',
+  'problem.question': '"question" زیادہ سے زیادہ {max} حروف کا غیر خالی متن ہونا چاہیے',
+  'problem.messages': '"messages" ‏{ role, content } کی فہرست ہونی چاہیے جس میں role "user" یا "assistant" ہو'
+}
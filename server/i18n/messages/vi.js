@@ -0,0 +1,100 @@
+// Vietnamese texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': 'Chưa tải lên tệp nào',
+  'tooManyFiles.error': 'Mỗi lần chỉ tải lên tối đa {max} tệp',
+  'fileTooLarge.error': 'Tệp quá lớn - hãy tải lên tệp không quá {maxMb} MB',
+  'languageMissing.error': 'Chưa chọn ngôn ngữ',
+  'unknownLanguage.error': 'Ngôn ngữ không xác định "{language}"',
+  'unknownMode.error': 'Chế độ "{mode}" không hợp lệ. Hãy dùng một trong các chế độ: {modes}',
+  'unknownReadingLevel.error': 'Mức độ đọc "{readingLevel}" không hợp lệ. Hãy dùng một trong các mức: {readingLevels}',
+  'batchTranslation.error': 'Nhiều tài liệu chỉ có thể được tóm tắt cùng nhau. Hãy dịch từng tài liệu một.',
+  'jobNotFound.error': 'Không tìm thấy tác vụ',
+  'notJobOwner.error': 'Chỉ người bắt đầu tác vụ mới có thể hủy tác vụ đó',
+  'jobFinished.error': 'Tác vụ đã kết thúc',
+  'jobNotDone.error': 'Tác vụ chưa hoàn thành',
+  'jobCancelled.error': 'Đã hủy tác vụ',
+  'jobCancelled.message': 'Tác vụ đã bị hủy',
+  'notParsed.error': 'Tài liệu chưa được đọc',
+  'noMedicationSchedule.error': 'Tác vụ này chưa có lịch dùng thuốc. Hãy tạo lịch trước bằng POST /api/jobs/:id/medications.',
+  'invalidStartDate.error': 'start phải là ngày theo định dạng YYYY-MM-DD',
+  'internalError.error': 'Lỗi máy chủ nội bộ',
+  'invalidRequest.error': 'Yêu cầu không hợp lệ',
+  'requestTooLarge.error': 'Yêu cầu quá lớn',
+
+  // Processing that failed
+  'parseFailed.error': 'Không đọc được tài liệu',
+  'parseFailed.message': 'Không thể đọc văn bản của tài liệu.',
+  'parseFailed.suggestion': 'Bộ đọc tài liệu có thể đang gặp sự cố. Hãy thử lại sau giây lát, hoặc dùng tệp .txt để xử lý trực tiếp.',
+  'summarizeFailed.error': 'Không tóm tắt được tài liệu',
+  'summarizeFailed.message': 'Không thể viết bản tóm tắt cho tài liệu này.',
+  'processFailed.error': 'Không xử lý được tài liệu',
+  'processFailed.message': 'Đã xảy ra lỗi khi xử lý tài liệu.',
+  'medicationsFailed.error': 'Không trích xuất được thuốc',
+  'medicationsFailed.message': 'Không thể đọc thông tin thuốc từ tài liệu.',
+  'audioFailed.error': 'Không tạo được âm thanh',
+  'audioFailed.message': 'Không thể tạo bản âm thanh.',
+  'chatFailed.error': 'Không thể trả lời câu hỏi',
+  'chatFailed.message': 'Không thể đưa ra câu trả lời cho câu hỏi của bạn.',
+  'providerTimeout.message': 'Một dịch vụ chúng tôi sử dụng phản hồi quá chậm.',
+  'providerTimeout.suggestion': 'Hãy thử lại sau vài phút.',
+  'providerUnavailable.message': 'Một dịch vụ chúng tôi sử dụng hiện không khả dụng.',
+  'providerUnavailable.suggestion': 'Hãy thử lại sau vài phút.',
+
+  // Accounts and caregivers
+  'adminRequired.error': 'Chỉ quản trị viên mới có thể thay đổi bảng thuật ngữ',
+  'signInRequired.error': 'Cần đăng nhập',
+  'invalidAccount.error': 'Tài khoản không hợp lệ',
+  'credentialsRequired.error': 'Cần có email và mật khẩu',
+  'wrongCredentials.error': 'Email hoặc mật khẩu không đúng',
+  'registerFailed.error': 'Không tạo được tài khoản',
+  'signInFailed.error': 'Không đăng nhập được',
+  'signOutFailed.error': 'Không đăng xuất được',
+  'invalidSettings.error': 'Cài đặt không hợp lệ',
+  'saveSettingsFailed.error': 'Không lưu được cài đặt',
+  'listCaregiversFailed.error': 'Không tải được danh sách người chăm sóc',
+  'caregiverEmailRequired.error': 'Cần có email của người chăm sóc',
+  'addCaregiverFailed.error': 'Không thêm được người chăm sóc',
+  'caregiverNotFound.error': 'Không tìm thấy người chăm sóc',
+  'removeCaregiverFailed.error': 'Không xóa được người chăm sóc',
+  'listPatientsFailed.error': 'Không tải được danh sách bệnh nhân',
+  'emailTaken.message': 'Đã có tài khoản dùng email này',
+  'accountNotFound.message': 'Không tìm thấy tài khoản',
+  'noAccountForEmail.message': 'Không có tài khoản nào dùng email này - hãy nhờ người chăm sóc tạo tài khoản trước',
+  'selfCaregiver.message': 'Bạn không thể tự thêm mình làm người chăm sóc',
+
+  // Document history
+  'noDocumentAccess.error': 'Bạn không có quyền xem các tài liệu này',
+  'patientOnly.error': 'Chỉ bệnh nhân mới có thể xóa tài liệu của mình',
+  'documentNotFound.error': 'Không tìm thấy tài liệu',
+  'invalidQuestion.error': 'Câu hỏi không hợp lệ',
+  'historyEntryNotFound.error': 'Không tìm thấy tài liệu trong lịch sử',
+  'fileNotFound.error': 'Không tìm thấy tệp',
+  'listHistoryFailed.error': 'Không tải được lịch sử',
+  'readHistoryFailed.error': 'Không đọc được tài liệu trong lịch sử',
+  'readFileFailed.error': 'Không đọc được tệp',
+  'deleteHistoryEntryFailed.error': 'Không xóa được tài liệu khỏi lịch sử',
+  'deleteHistoryFailed.error': 'Không xóa được lịch sử',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': 'Mục từ điển thuật ngữ không hợp lệ',
+  'glossaryEntryNotFound.error': 'Không tìm thấy mục từ điển thuật ngữ',
+  'listGlossariesFailed.error': 'Không tải được danh sách từ điển thuật ngữ',
+  'readGlossaryFailed.error': 'Không đọc được từ điển thuật ngữ',
+  'addGlossaryEntryFailed.error': 'Không thêm được mục từ điển thuật ngữ',
+  'updateGlossaryEntryFailed.error': 'Không cập nhật được mục từ điển thuật ngữ',
+  'deleteGlossaryEntryFailed.error': 'Không xóa được mục từ điển thuật ngữ',
+
+  // Fields of a request
+  'problem.name': '"name" phải là văn bản không để trống',
+  'problem.email': '"email" phải là địa chỉ email',
+  'problem.password': '"password" phải có ít nhất {min} ký tự',
+  'problem.language': '"language" phải là tên một ngôn ngữ hoặc null',
+  'problem.readingLevel': '"readingLevel" phải là một trong các giá trị: {readingLevels}',
+  'problem.darkMode': '"darkMode" phải là true hoặc false',
+  'problem.term': '"term" phải là văn bản không để trống',
+  'problem.text': '"{field}" phải là văn bản',
+  'problem.protected': '"protected" phải là true hoặc false',
+  'problem.question': '"question" phải là văn bản không rỗng, tối đa {max} ký tự',
+  'problem.messages': '"messages" phải là danh sách { role, content } với role là "user" hoặc "assistant"'
+}
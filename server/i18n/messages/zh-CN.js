@@ -0,0 +1,100 @@
+// Chinese (Simplified) texts of the API - the keys are those of en.js
+export default {
+  // Uploads and jobs
+  'noFile.error': '没有上传文件',
+  'tooManyFiles.error': '每次最多上传 {max} 个文件',
+  'fileTooLarge.error': '文件太大，请上传不超过 {maxMb} MB 的文件',
+  'languageMissing.error': '未指定语言',
+  'unknownLanguage.error': '未知语言“{language}”',
+  'unknownMode.error': '未知模式"{mode}"。请使用以下之一：{modes}',
+  'unknownReadingLevel.error': '未知阅读难度"{readingLevel}"。请使用以下之一：{readingLevels}',
+  'batchTranslation.error': '多个文件只能一起摘要。请一次翻译一个文件。',
+  'jobNotFound.error': '找不到该任务',
+  'notJobOwner.error': '只有启动任务的用户才能取消它',
+  'jobFinished.error': '任务已经结束',
+  'jobNotDone.error': '任务尚未完成',
+  'jobCancelled.error': '任务已取消',
+  'jobCancelled.message': '任务已被取消',
+  'notParsed.error': '文件尚未读取',
+  'noMedicationSchedule.error': '此任务没有用药时间表。请先用 POST /api/jobs/:id/medications 创建。',
+  'invalidStartDate.error': 'start 必须是 YYYY-MM-DD 格式的日期',
+  'internalError.error': '服务器内部错误',
+  'invalidRequest.error': '无效的请求',
+  'requestTooLarge.error': '请求过大',
+
+  // Processing that failed
+  'parseFailed.error': '无法读取文件',
+  'parseFailed.message': '无法读取文件中的文字。',
+  'parseFailed.suggestion': '文件读取服务可能出现问题。请稍后再试，或使用 .txt 文件直接处理。',
+  'summarizeFailed.error': '无法生成文件摘要',
+  'summarizeFailed.message': '无法为此文件写出摘要。',
+  'processFailed.error': '无法处理文件',
+  'processFailed.message': '处理文件时出了问题。',
+  'medicationsFailed.error': '无法提取药物',
+  'medicationsFailed.message': '无法从文件中读取药物信息。',
+  'audioFailed.error': '无法生成音频',
+  'audioFailed.message': '无法制作音频。',
+  'chatFailed.error': '无法回答问题',
+  'chatFailed.message': '目前无法回答您的问题。',
+  'providerTimeout.message': '我们使用的一项服务响应时间过长。',
+  'providerTimeout.suggestion': '请几分钟后再试。',
+  'providerUnavailable.message': '我们使用的一项服务暂时无法使用。',
+  'providerUnavailable.suggestion': '请几分钟后再试。',
+
+  // Accounts and caregivers
+  'adminRequired.error': '只有管理员可以更改术语表',
+  'signInRequired.error': '需要登录',
+  'invalidAccount.error': '账户信息无效',
+  'credentialsRequired.error': '需要电子邮件和密码',
+  'wrongCredentials.error': '电子邮件或密码错误',
+  'registerFailed.error': '无法创建账户',
+  'signInFailed.error': '无法登录',
+  'signOutFailed.error': '无法退出登录',
+  'invalidSettings.error': '设置无效',
+  'saveSettingsFailed.error': '无法保存设置',
+  'listCaregiversFailed.error': '无法获取照护者列表',
+  'caregiverEmailRequired.error': '需要照护者的电子邮件',
+  'addCaregiverFailed.error': '无法添加照护者',
+  'caregiverNotFound.error': '找不到该照护者',
+  'removeCaregiverFailed.error': '无法移除照护者',
+  'listPatientsFailed.error': '无法获取患者列表',
+  'emailTaken.message': '已有账户使用此电子邮件',
+  'accountNotFound.message': '找不到该账户',
+  'noAccountForEmail.message': '没有使用此电子邮件的账户，请先让照护者创建一个账户',
+  'selfCaregiver.message': '不能把自己添加为照护者',
+
+  // Document history
+  'noDocumentAccess.error': '您无权查看这些文件',
+  'patientOnly.error': '只有患者本人才能删除自己的文件',
+  'documentNotFound.error': '未找到文件',
+  'invalidQuestion.error': '问题无效',
+  'historyEntryNotFound.error': '在历史记录中找不到该文件',
+  'fileNotFound.error': '找不到该文件',
+  'listHistoryFailed.error': '无法获取历史记录',
+  'readHistoryFailed.error': '无法读取历史记录中的文件',
+  'readFileFailed.error': '无法读取该文件',
+  'deleteHistoryEntryFailed.error': '无法从历史记录中删除该文件',
+  'deleteHistoryFailed.error': '无法删除历史记录',
+
+  // Glossaries
+  'invalidGlossaryEntry.error': '术语表条目无效',
+  'glossaryEntryNotFound.error': '找不到该术语表条目',
+  'listGlossariesFailed.error': '无法获取术语表列表',
+  'readGlossaryFailed.error': '无法读取术语表',
+  'addGlossaryEntryFailed.error': '无法添加术语表条目',
+  'updateGlossaryEntryFailed.error': '无法更新术语表条目',
+  'deleteGlossaryEntryFailed.error': '无法删除术语表条目',
+
+  // Fields of a request
+  'problem.name': '"name" 必须是非空文本',
+  'problem.email': '"email" 必须是电子邮件地址',
+  'problem.password': '"password" 至少需要 {min} 个字符',
+  'problem.language': '"language" 必须是语言名称或 null',
+  'problem.readingLevel': '"readingLevel" 必须是以下之一：{readingLevels}',
+  'problem.darkMode': '"darkMode" 必须是 true 或 false',
+  'problem.term': '"term" 必须是非空文本',
+  'problem.text': '"{field}" 必须是文本',
+  'problem.protected': '"protected" 必须是 true 或 false',
+  'problem.question': '"question" 必须是不超过 {max} 个字符的非空文本',
+  'problem.messages': '"messages" 必须是 { role, content } 列表，role 为 "user" 或 "assistant"'
+}
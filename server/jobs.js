@@ -0,0 +1,169 @@
+import { EventEmitter } from 'events'
+import crypto from 'crypto'
+import { localizeError, DEFAULT_LOCALE } from './i18n/index.js'
+
+// Stages a job moves through, in order. Summary jobs go through summarizing,
+// full translation jobs through translating, and batches of several documents
+// through summarizing and combining. A job ends in done, failed or cancelled.
+const JOB_STAGES = ['uploaded', 'parsing', 'summarizing', 'translating', 'combining', 'done']
+const TERMINAL_STAGES = ['done', 'failed', 'cancelled']
+
+// Finished jobs are kept around for this long so the client can still fetch the result
+const JOB_TTL_MS = 60 * 60 * 1000
+
+// In-memory job store - jobs do not survive a server restart
+const jobs = new Map()
+const controllers = new Map()
+// Server-side data for each job (parsed text, derived results) that is not sent with the job itself
+const documents = new Map()
+const jobEvents = new EventEmitter()
+jobEvents.setMaxListeners(0)
+
+function isTerminal(job) {
+  return TERMINAL_STAGES.includes(job.stage)
+}
+
+// batch is true when the job processes several separate documents.
+// ownerId is the user who started the job, locale the language of their app -
+// errors of the job are written in it.
+function createJob({ fileName, language, mode, readingLevel = null, batch = false, ownerId, locale = DEFAULT_LOCALE }) {
+  const now = new Date().toISOString()
+  const job = {
+    id: crypto.randomUUID(),
+    stage: 'uploaded',
+    fileName,
+    language,
+    mode,
+    readingLevel,
+    batch,
+    ownerId,
+    locale,
+    createdAt: now,
+    updatedAt: now,
+    // Timestamp of every stage the job has entered
+    history: [{ stage: 'uploaded', at: now }],
+    // Progress within the current stage, e.g. { completed: 3, total: 10 } sections translated
+    progress: null,
+    result: null,
+    error: null
+  }
+  jobs.set(job.id, job)
+  controllers.set(job.id, new AbortController())
+  return job
+}
+
+function getJob(id) {
+  return jobs.get(id) || null
+}
+
+// Signal that is aborted when the job is cancelled
+function getJobSignal(id) {
+  return controllers.get(id)?.signal
+}
+
+// Move a job to a new stage and notify subscribers. Terminal jobs are never updated again.
+function updateJob(id, stage, changes = {}) {
+  const job = jobs.get(id)
+  if (!job || isTerminal(job)) return job
+
+  const now = new Date().toISOString()
+  Object.assign(job, { progress: null }, changes, { stage, updatedAt: now })
+  job.history.push({ stage, at: now })
+
+  if (isTerminal(job)) {
+    controllers.delete(id)
+    setTimeout(() => {
+      jobs.delete(id)
+      documents.delete(id)
+    }, JOB_TTL_MS).unref()
+  }
+
+  jobEvents.emit(id, job)
+  return job
+}
+
+// Report progress within the current stage without changing it
+function setJobProgress(id, progress) {
+  const job = jobs.get(id)
+  if (!job || isTerminal(job)) return job
+
+  job.progress = progress
+  job.updatedAt = new Date().toISOString()
+  jobEvents.emit(id, job)
+  return job
+}
+
+// Attach server-side data to a job, merging with what is already there
+function setJobDocument(id, changes) {
+  if (!jobs.has(id)) return null
+  const document = { ...documents.get(id), ...changes }
+  documents.set(id, document)
+  return document
+}
+
+function getJobDocument(id) {
+  return documents.get(id) || null
+}
+
+// Abort the job's work in progress. Returns false when the job has already finished.
+function cancelJob(id) {
+  const job = jobs.get(id)
+  if (!job || isTerminal(job)) return false
+
+  controllers.get(id)?.abort(new Error('Job cancelled by user'))
+  updateJob(id, 'cancelled', { error: localizeError(job.locale, 'jobCancelled') })
+  return true
+}
+
+// Bring back a finished job from the document history, so the job endpoints
+// (medication schedule, audio) work for it again. Returns the job.
+function restoreJob(job, document) {
+  if (jobs.has(job.id)) return jobs.get(job.id)
+
+  const restored = {
+    ...job,
+    stage: 'done',
+    history: [{ stage: 'done', at: job.updatedAt }],
+    progress: null,
+    error: null
+  }
+  jobs.set(restored.id, restored)
+  documents.set(restored.id, document)
+  setTimeout(() => {
+    jobs.delete(restored.id)
+    documents.delete(restored.id)
+  }, JOB_TTL_MS).unref()
+  return restored
+}
+
+// Forget a finished job and its server-side data straight away. Returns false
+// when the job is still running.
+function removeJob(id) {
+  const job = jobs.get(id)
+  if (job && !isTerminal(job)) return false
+  jobs.delete(id)
+  documents.delete(id)
+  return true
+}
+
+// Call listener with the job on every update. Returns an unsubscribe function.
+function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener)
+  return () => jobEvents.off(id, listener)
+}
+
+export {
+  JOB_STAGES,
+  createJob,
+  getJob,
+  getJobSignal,
+  updateJob,
+  setJobProgress,
+  setJobDocument,
+  getJobDocument,
+  cancelJob,
+  restoreJob,
+  removeJob,
+  subscribeToJob,
+  isTerminal
+}
@@ -0,0 +1,175 @@
+// Source-language detection for parsed documents, without outside services.
+// The text is split into passages and each passage is identified by its
+// script (Arabic, Cyrillic, Han, Hangul, ...) and, for the Latin script, by how
+// many of its words are common function words of each language. Passages are
+// weighted by their number of letters, so a form that is mostly Spanish with
+// English headings comes out as Spanish, with English listed as well.
+// Language names are the English names of the language registry (see index.js).
+
+// Passages shorter than this many letters are joined with the next one
+const MIN_PASSAGE_LETTERS = 60
+
+// Texts with fewer letters are not identified at all
+const MIN_TEXT_LETTERS = 20
+
+// Function words a Latin-script passage needs before it is counted - one word
+// alone may be an abbreviation ("PO" for by mouth is also Polish "po")
+const MIN_WORD_HITS = 2
+
+// A language with at least this share of the letters makes the document mixed
+const MIXED_SHARE = 0.15
+
+// Common short words of each Latin-script language, lower case. Words shared by
+// several languages ("a", "de", "la") are left out so they do not blur the scores.
+const FUNCTION_WORDS = {
+  English: ['the', 'and', 'of', 'to', 'is', 'in', 'for', 'with', 'your', 'you', 'this', 'that', 'are', 'was', 'be', 'on', 'or', 'by', 'if', 'take', 'have', 'has', 'not', 'patient', 'daily', 'will', 'should', 'at'],
+  Spanish: ['el', 'los', 'las', 'y', 'del', 'que', 'en', 'por', 'para', 'con', 'una', 'es', 'su', 'al', 'se', 'lo', 'como', 'pero', 'sus', 'tome', 'cada', 'día', 'paciente', 'médico', 'si', 'debe'],
+  French: ['le', 'les', 'et', 'des', 'du', 'est', 'dans', 'pour', 'avec', 'une', 'sur', 'au', 'aux', 'vous', 'votre', 'pas', 'qui', 'ce', 'cette', 'par', 'jour', 'médecin', 'prendre', 'ou'],
+  German: ['der', 'die', 'das', 'und', 'ist', 'mit', 'für', 'von', 'den', 'dem', 'nicht', 'ein', 'eine', 'sie', 'ihr', 'ihre', 'zu', 'auf', 'bei', 'täglich', 'arzt', 'oder', 'wird', 'nach'],
+  Portuguese: ['os', 'as', 'e', 'do', 'da', 'dos', 'das', 'em', 'para', 'com', 'não', 'uma', 'um', 'seu', 'sua', 'ao', 'por', 'é', 'que', 'dia', 'médico', 'tomar', 'você', 'deve'],
+  Italian: ['il', 'gli', 'e', 'di', 'del', 'della', 'che', 'è', 'per', 'con', 'non', 'una', 'uno', 'nel', 'alla', 'sono', 'al', 'dei', 'giorno', 'medico', 'paziente', 'deve', 'ogni'],
+  Polish: ['i', 'w', 'z', 'na', 'się', 'do', 'nie', 'jest', 'że', 'po', 'dla', 'od', 'oraz', 'lub', 'przez', 'dzień', 'lekarz', 'pacjent', 'należy', 'razy'],
+  Turkish: ['ve', 'bir', 'bu', 'için', 'ile', 'da', 'de', 'olan', 'gibi', 'çok', 'daha', 'her', 'gün', 'doktor', 'hasta', 'veya', 'olarak', 'ilaç', 'günde', 'kez'],
+  Vietnamese: ['và', 'của', 'là', 'có', 'không', 'được', 'cho', 'với', 'người', 'này', 'các', 'những', 'một', 'trong', 'bệnh', 'ngày', 'thuốc', 'uống', 'bác', 'sĩ', 'lần'],
+  Tagalog: ['ang', 'ng', 'mga', 'sa', 'na', 'at', 'ay', 'ito', 'ka', 'mo', 'iyong', 'kung', 'para', 'araw', 'gamot', 'doktor', 'inumin', 'beses', 'hindi']
+}
+
+// Words to the languages they belong to
+const WORD_LANGUAGES = new Map()
+for (const [language, words] of Object.entries(FUNCTION_WORDS)) {
+  for (const word of words) {
+    WORD_LANGUAGES.set(word, [...new Set([...(WORD_LANGUAGES.get(word) || []), language])])
+  }
+}
+
+const SCRIPTS = {
+  latin: /[A-Za-zÀ-ÖØ-öø-ɏḀ-ỿ]/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+  greek: /\p{Script=Greek}/gu,
+  arabic: /\p{Script=Arabic}/gu,
+  hebrew: /\p{Script=Hebrew}/gu,
+  devanagari: /\p{Script=Devanagari}/gu,
+  hangul: /\p{Script=Hangul}/gu,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  han: /\p{Script=Han}/gu
+}
+
+// Letters only Urdu or only Persian use, compared with Arabic
+const URDU_LETTERS = /[ٹڈڑںےھ]/gu
+const PERSIAN_LETTERS = /[پچژگکی]/gu
+const ARABIC_LETTERS = /[ةيكى]/gu
+
+function count(text, pattern) {
+  return (text.match(pattern) || []).length
+}
+
+// Paragraphs, with short ones (headings, form labels) joined to the next
+function splitPassages(text) {
+  const passages = []
+  let current = ''
+  for (const paragraph of text.split(/\n\s*\n|\n(?=\S)/)) {
+    current = current ? `${current}\n${paragraph}` : paragraph
+    if (count(current, /\p{L}/gu) >= MIN_PASSAGE_LETTERS) {
+      passages.push(current)
+      current = ''
+    }
+  }
+  // A short remainder belongs with the passage before it
+  if (current.trim()) {
+    if (passages.length > 0) passages.push(`${passages.pop()}\n${current}`)
+    else passages.push(current)
+  }
+  return passages
+}
+
+// Latin-script language by function words: { language, confidence } or null
+function detectLatinLanguage(text) {
+  const scores = {}
+  let hits = 0
+  for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+    const languages = WORD_LANGUAGES.get(word)
+    if (!languages) continue
+    hits++
+    for (const language of languages) {
+      scores[language] = (scores[language] || 0) + 1 / languages.length
+    }
+  }
+  const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1])
+  if (!best || hits < MIN_WORD_HITS) return null
+  return { language: best[0], confidence: best[1] / hits }
+}
+
+// Language of one passage from its script: { language, confidence } or null
+function detectPassageLanguage(text) {
+  const counts = Object.fromEntries(Object.entries(SCRIPTS).map(([script, pattern]) => [script, count(text, pattern)]))
+  const cjk = counts.han + counts.kana
+  const [script, letters] = Object.entries({ ...counts, han: cjk, kana: 0 }).sort((a, b) => b[1] - a[1])[0]
+  if (letters === 0) return null
+
+  switch (script) {
+    case 'latin': return detectLatinLanguage(text)
+    case 'cyrillic': return { language: 'Russian', confidence: 0.9 }
+    case 'greek': return { language: 'Greek', confidence: 1 }
+    case 'hebrew': return { language: 'Hebrew', confidence: 1 }
+    case 'devanagari': return { language: 'Hindi', confidence: 0.9 }
+    case 'hangul': return { language: 'Korean', confidence: 1 }
+    // Japanese mixes kanji with kana; Chinese has no kana
+    case 'han': return counts.kana > cjk * 0.1
+      ? { language: 'Japanese', confidence: 1 }
+      : { language: 'Chinese (Mandarin)', confidence: 0.9 }
+    case 'arabic': {
+      const urdu = count(text, URDU_LETTERS)
+      const persian = count(text, PERSIAN_LETTERS)
+      const arabic = count(text, ARABIC_LETTERS)
+      if (urdu > 0 && urdu >= arabic) return { language: 'Urdu', confidence: 0.8 }
+      if (persian > arabic) return { language: 'Persian', confidence: 0.8 }
+      return { language: 'Arabic', confidence: 0.8 }
+    }
+    default: return null
+  }
+}
+
+// Detect the language of a document. Returns { language, confidence, mixed,
+// languages } - language is null when the text is too short or not recognized,
+// confidence is 0-1, and languages lists every language found with its share
+// of the text, largest first: [{ language, share }]. mixed is true when more
+// than one language has a sizeable share.
+function detectLanguage(text) {
+  const unknown = { language: null, confidence: 0, mixed: false, languages: [] }
+  if (!text || count(text, /\p{L}/gu) < MIN_TEXT_LETTERS) return unknown
+
+  const weights = {}
+  const confidences = {}
+  let total = 0
+  for (const passage of splitPassages(text)) {
+    const letters = count(passage, /\p{L}/gu)
+    const detected = detectPassageLanguage(passage)
+    if (!detected) continue
+    weights[detected.language] = (weights[detected.language] || 0) + letters
+    confidences[detected.language] = (confidences[detected.language] || 0) + detected.confidence * letters
+    total += letters
+  }
+  if (total === 0) return unknown
+
+  const languages = Object.entries(weights)
+    .map(([language, weight]) => ({ language, share: Math.round(weight / total * 100) / 100 }))
+    .sort((a, b) => b.share - a.share)
+  const [top] = languages
+  return {
+    language: top.language,
+    confidence: Math.round(confidences[top.language] / weights[top.language] * top.share * 100) / 100,
+    mixed: languages.filter(entry => entry.share >= MIXED_SHARE).length > 1,
+    languages
+  }
+}
+
+// How to name the source language in a prompt, e.g. "Spanish" or
+// "mostly Spanish, partly English" - '' when it is not known
+function describeSourceLanguage(detection) {
+  if (!detection?.language) return ''
+  if (!detection.mixed) return detection.language
+  const others = detection.languages.slice(1).filter(entry => entry.share >= MIXED_SHARE).map(entry => entry.language)
+  return `mostly ${detection.language}, partly ${others.join(' and ')}`
+}
+
+export { detectLanguage, describeSourceLanguage }
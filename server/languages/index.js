@@ -0,0 +1,58 @@
+// The languages the app works in, in the order they are offered. One list for
+// the whole app - the web app loads it from GET /api/languages.
+// - name: English name, used throughout the API (target language, glossaries,
+//   detected source language, readability formulas)
+// - code: BCP 47 tag, for speech voices and the lang attribute
+// - nativeName: the name in the language itself
+// - direction: ltr or rtl
+// - ocrModel: Tesseract language to read photos in this language
+// - offlineSpeech: whether eSpeak NG has a voice for it
+// - flag: emoji flag shown next to the native name in the web app's language picker
+const LANGUAGES = [
+  { name: 'English', code: 'en', nativeName: 'English', direction: 'ltr', ocrModel: 'eng', offlineSpeech: true, flag: '🇺🇸' },
+  { name: 'Spanish', code: 'es', nativeName: 'Español', direction: 'ltr', ocrModel: 'spa', offlineSpeech: true, flag: '🇪🇸' },
+  { name: 'Chinese (Mandarin)', code: 'zh-CN', nativeName: '中文（普通话）', direction: 'ltr', ocrModel: 'chi_sim', offlineSpeech: true, flag: '🇨🇳' },
+  { name: 'Tagalog', code: 'tl', nativeName: 'Tagalog', direction: 'ltr', ocrModel: 'tgl', offlineSpeech: false, flag: '🇵🇭' },
+  { name: 'Vietnamese', code: 'vi', nativeName: 'Tiếng Việt', direction: 'ltr', ocrModel: 'vie', offlineSpeech: true, flag: '🇻🇳' },
+  { name: 'Arabic', code: 'ar', nativeName: 'العربية', direction: 'rtl', ocrModel: 'ara', offlineSpeech: true, flag: '🇸🇦' },
+  { name: 'French', code: 'fr', nativeName: 'Français', direction: 'ltr', ocrModel: 'fra', offlineSpeech: true, flag: '🇫🇷' },
+  { name: 'Korean', code: 'ko', nativeName: '한국어', direction: 'ltr', ocrModel: 'kor', offlineSpeech: true, flag: '🇰🇷' },
+  { name: 'Russian', code: 'ru', nativeName: 'Русский', direction: 'ltr', ocrModel: 'rus', offlineSpeech: true, flag: '🇷🇺' },
+  { name: 'German', code: 'de', nativeName: 'Deutsch', direction: 'ltr', ocrModel: 'deu', offlineSpeech: true, flag: '🇩🇪' },
+  { name: 'Hindi', code: 'hi', nativeName: 'हिन्दी', direction: 'ltr', ocrModel: 'hin', offlineSpeech: true, flag: '🇮🇳' },
+  { name: 'Portuguese', code: 'pt', nativeName: 'Português', direction: 'ltr', ocrModel: 'por', offlineSpeech: true, flag: '🇧🇷' },
+  { name: 'Italian', code: 'it', nativeName: 'Italiano', direction: 'ltr', ocrModel: 'ita', offlineSpeech: true, flag: '🇮🇹' },
+  { name: 'Japanese', code: 'ja', nativeName: '日本語', direction: 'ltr', ocrModel: 'jpn', offlineSpeech: true, flag: '🇯🇵' },
+  { name: 'Urdu', code: 'ur', nativeName: 'اردو', direction: 'rtl', ocrModel: 'urd', offlineSpeech: true, flag: '🇵🇰' },
+  { name: 'Polish', code: 'pl', nativeName: 'Polski', direction: 'ltr', ocrModel: 'pol', offlineSpeech: true, flag: '🇵🇱' },
+  { name: 'Persian', code: 'fa', nativeName: 'فارسی', direction: 'rtl', ocrModel: 'fas', offlineSpeech: true, flag: '🇮🇷' },
+  { name: 'Turkish', code: 'tr', nativeName: 'Türkçe', direction: 'ltr', ocrModel: 'tur', offlineSpeech: true, flag: '🇹🇷' },
+  { name: 'Greek', code: 'el', nativeName: 'Ελληνικά', direction: 'ltr', ocrModel: 'ell', offlineSpeech: true, flag: '🇬🇷' },
+  { name: 'Hebrew', code: 'he', nativeName: 'עברית', direction: 'rtl', ocrModel: 'heb', offlineSpeech: true, flag: '🇮🇱' }
+]
+
+// A language by its English name, native name or BCP 47 code, in any case.
+// A code with a region falls back to the language, e.g. es-MX to Spanish.
+// Returns null for languages that are not in the list.
+function findLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return null
+  const wanted = value.trim().toLowerCase()
+  return LANGUAGES.find(language => (
+    language.name.toLowerCase() === wanted ||
+    language.nativeName.toLowerCase() === wanted ||
+    language.code.toLowerCase() === wanted
+  )) || LANGUAGES.find(language => language.code.toLowerCase().split('-')[0] === wanted.split('-')[0]) || null
+}
+
+// The English name for a language sent by a client. Languages that are not in
+// the list are passed on as they are - the models know more languages than we do.
+function normalizeLanguage(value) {
+  return findLanguage(value)?.name || value
+}
+
+// BCP 47 code of a language, 'en' when it is not in the list
+function getLanguageCode(value) {
+  return findLanguage(value)?.code || 'en'
+}
+
+export { LANGUAGES, findLanguage, normalizeLanguage, getLanguageCode }
@@ -0,0 +1,61 @@
+import fs from 'fs'
+import path from 'path'
+import { AsyncLocalStorage } from 'async_hooks'
+import config from '../config.js'
+import { createLogger, getLogContext } from './index.js'
+
+// Append-only audit log of who did what with which document, one JSON object per line:
+// { time, event, requestId, userId, ...details }
+// Documents are identified by their job ID and by type, size and SHA-256 of
+// each file - never by name or content. The file is only ever appended to.
+
+const AUDIT_LOG_FILE = config.auditLogFile
+
+const log = createLogger('audit')
+
+// Provider calls made while a job or request runs, collected through the async context
+const trails = new AsyncLocalStorage()
+
+// Appends are chained so lines from concurrent requests never interleave
+let writeQueue = Promise.resolve()
+
+// Run fn and collect every parser, summarizer and text-to-speech call it makes into calls
+function collectProviderCalls(calls, fn) {
+  return trails.run(calls, fn)
+}
+
+// Note a call to a backend: kind is parser, summarizer or tts, ok whether it succeeded
+function trackProviderCall(kind, name, ok) {
+  trails.getStore()?.push({ kind, name, ok })
+}
+
+// Calls grouped by backend: [{ kind, name, calls, failures }]
+function summarizeProviderCalls(calls) {
+  const groups = new Map()
+  for (const { kind, name, ok } of calls) {
+    const key = `${kind}:${name}`
+    const group = groups.get(key) || { kind, name, calls: 0, failures: 0 }
+    group.calls++
+    if (!ok) group.failures++
+    groups.set(key, group)
+  }
+  return [...groups.values()]
+}
+
+// Record an audit event. Resolves once the line is written; a failed write is
+// logged, never thrown, so auditing cannot break the request it describes.
+function recordAudit(event, details = {}) {
+  const { requestId, userId } = getLogContext()
+  const line = JSON.stringify({ time: new Date().toISOString(), event, requestId, userId, ...details })
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true })
+      await fs.promises.appendFile(AUDIT_LOG_FILE, `${line}\n`, { mode: 0o600 })
+    })
+    .catch((error) => {
+      log.error('Could not write audit log', { event, error })
+    })
+  return writeQueue
+}
+
+export { recordAudit, collectProviderCalls, trackProviderCall, summarizeProviderCalls }
@@ -0,0 +1,102 @@
+import crypto from 'crypto'
+import { AsyncLocalStorage } from 'async_hooks'
+import config from '../config.js'
+import { scrub } from './scrub.js'
+
+// Structured logging. Every line is one JSON object:
+// { time, level, component, message, requestId, userId, jobId, ...fields }
+// (LOG_FORMAT=text prints the same as one readable line). Fields are scrubbed
+// before they are written - document text, secrets and PHI never reach the log.
+// requestId, userId and jobId come from the async context, so they follow a
+// request into the background job it starts.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const MIN_LEVEL = LEVELS[config.logLevel] || LEVELS.info
+
+// Request IDs taken from the X-Request-Id header must look like this
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/
+
+const context = new AsyncLocalStorage()
+
+// Fields of the current request or job
+function getLogContext() {
+  return context.getStore() || {}
+}
+
+// Run fn with fields added to the log context of everything it does
+function runWithLogContext(fields, fn) {
+  return context.run({ ...getLogContext(), ...fields }, fn)
+}
+
+// Add fields to the current context, e.g. the user once the session is checked
+function setLogContext(fields) {
+  const store = context.getStore()
+  if (store) Object.assign(store, fields)
+}
+
+function formatText(entry) {
+  const { time, level, component, message, ...fields } = entry
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ')
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${message}${details ? ` ${details}` : ''}`
+}
+
+function write(level, component, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    message: scrub(message),
+    ...getLogContext(),
+    ...scrub(fields)
+  }
+  const line = config.logFormat === 'text' ? formatText(entry) : JSON.stringify(entry)
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  stream.write(`${line}\n`)
+}
+
+// Logger for one part of the server: log.info(message, fields) and likewise
+// debug, warn and error. Pass errors as fields, e.g. { error }.
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields)
+  }
+}
+
+const requestLog = createLogger('http')
+
+// Middleware giving every request an ID - the client's X-Request-Id when it
+// sends a usable one - that is echoed in the response and added to every log
+// line, and logging each request once it is answered
+function requestLogger(req, res, next) {
+  const header = req.get('X-Request-Id')
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID()
+  const startedAt = process.hrtime.bigint()
+  req.id = requestId
+  res.setHeader('X-Request-Id', requestId)
+
+  runWithLogContext({ requestId }, () => {
+    res.on('finish', () => {
+      // Listeners may run outside the request's context, so the IDs are passed along
+      const fields = {
+        requestId,
+        userId: req.user?.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n)
+      }
+      if (res.statusCode >= 500) requestLog.error('Request failed', fields)
+      else requestLog.info('Request', fields)
+    })
+    next()
+  })
+}
+
+export { createLogger, requestLogger, getLogContext, runWithLogContext, setLogContext }
@@ -0,0 +1,90 @@
+import config from '../config.js'
+import { detectPhi } from '../redaction/detectors.js'
+
+// Log fields are scrubbed before they are written:
+// - fields that hold document content or file names are replaced by their size
+// - fields that hold credentials are dropped
+// - API keys, bearer tokens and PHI (phone numbers, emails, SSNs, ...) in any
+//   text are masked, and long text is cut short
+
+// Field names, lower case, whose values are document content or may name the patient
+const CONTENT_FIELDS = new Set([
+  'text', 'content', 'prompt', 'document', 'documents', 'summary', 'structuredsummary',
+  'result', 'sections', 'source', 'target', 'overview', 'markdown', 'data', 'body',
+  'input', 'response', 'filename', 'filenames', 'originalname', 'name'
+])
+
+// Field names, lower case, whose values are credentials
+const SECRET_FIELDS = new Set([
+  'password', 'passwordhash', 'token', 'apikey', 'authorization', 'cookie', 'secret', 'key', 'session'
+])
+
+// Token formats of the API providers and generic bearer tokens
+const SECRET_PATTERNS = [
+  /Bearer\s+[A-Za-z0-9._~+/=-]+/gi,
+  /\bsk-[A-Za-z0-9_-]{10,}/g,
+  /\bAIza[0-9A-Za-z_-]{20,}/g,
+  /\bllx-[A-Za-z0-9_-]{10,}/g
+]
+
+// Longest text kept in a log field
+const MAX_STRING_LENGTH = 500
+
+// Deepest nesting of objects that is logged
+const MAX_DEPTH = 4
+
+const configuredSecrets = [config.geminiApiKey, config.openaiApiKey, config.llamaparseApiKey]
+  .filter(secret => secret && secret.length >= 8)
+
+function describeContent(value) {
+  if (typeof value === 'string') return `[redacted: ${value.length} chars]`
+  if (Array.isArray(value)) return `[redacted: ${value.length} items]`
+  return '[redacted]'
+}
+
+function scrubString(text) {
+  let scrubbed = text
+  for (const secret of configuredSecrets) {
+    scrubbed = scrubbed.split(secret).join('[secret]')
+  }
+  for (const pattern of SECRET_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, '[secret]')
+  }
+  // Replace from the end so earlier offsets stay valid
+  const spans = detectPhi(scrubbed).reverse()
+  for (const { category, start, end } of spans) {
+    scrubbed = `${scrubbed.slice(0, start)}[${category.toUpperCase()}]${scrubbed.slice(end)}`
+  }
+  return scrubbed.length > MAX_STRING_LENGTH
+    ? `${scrubbed.slice(0, MAX_STRING_LENGTH)}… [${scrubbed.length - MAX_STRING_LENGTH} more chars]`
+    : scrubbed
+}
+
+// A copy of a value that is safe to log. Errors keep their name, message,
+// status and stack - never the response body of a failed API call.
+function scrub(value, depth = 0) {
+  if (typeof value === 'string') return scrubString(value)
+  if (value === null || typeof value !== 'object') return value
+  if (depth >= MAX_DEPTH) return '[nested]'
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrubString(value.message),
+      status: value.status || value.response?.status,
+      code: value.code,
+      stack: value.stack && scrubString(value.stack.split('\n').slice(1).join('\n'))
+    }
+  }
+  if (Array.isArray(value)) return value.map(item => scrub(item, depth + 1))
+
+  const scrubbed = {}
+  for (const [key, item] of Object.entries(value)) {
+    const field = key.toLowerCase()
+    if (SECRET_FIELDS.has(field)) continue
+    scrubbed[key] = CONTENT_FIELDS.has(field) ? describeContent(item) : scrub(item, depth + 1)
+  }
+  return scrubbed
+}
+
+export { scrub }
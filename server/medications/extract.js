@@ -0,0 +1,141 @@
+import { generateText, getProviders } from '../summarizers/index.js'
+import { extractJson } from '../summarizers/schema.js'
+import {
+  STRENGTH_PATTERN,
+  normalizeFrequency,
+  normalizeRoute,
+  normalizeStrength,
+  normalizeDuration
+} from './normalize.js'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('medications')
+
+// Prompt asking the model to list every medication exactly as prescribed
+function buildMedicationPrompt(text, targetLanguage, { glossary = '' } = {}) {
+  return `List every medication prescribed or mentioned as current in the following health document.
+    Return ONLY a JSON object with this shape (no markdown, no extra text):
+    {
+      "medications": [{
+        "name": "Medication name exactly as written",
+        "strength": "Strength exactly as written, e.g. 500 mg",
+        "route": "Route exactly as written, e.g. PO or by mouth",
+        "frequency": "Frequency exactly as written, e.g. BID, q8h, PRN",
+        "duration": "Duration as written, e.g. 7 days, or empty",
+        "instructions": "Other instructions as written, e.g. with food, or empty",
+        "plainInstructions": "One short plain-language sentence in ${targetLanguage} telling the patient how to take it"
+      }]
+    }
+
+    Copy names, numbers, units and abbreviations exactly. Do not invent medications.
+    Use an empty array if there are none.
+    ${glossary}
+
+    Document content:
+    ${text}`
+}
+
+// Plain-language instructions built from normalized fields - English only,
+// used when no model is available to write them in the target language
+function describeMedication(medication) {
+  const parts = ['Take']
+  parts.push(medication.strength || 'the prescribed dose')
+  if (medication.route && medication.route !== 'oral') parts.push(`(${medication.route})`)
+  if (medication.route === 'oral') parts.push('by mouth')
+  if (medication.frequency.code) parts.push(medication.frequency.label)
+  if (medication.durationDays) parts.push(`for ${medication.durationDays} days`)
+  let sentence = parts.join(' ')
+  if (medication.instructions) sentence += `. ${medication.instructions}`
+  return `${sentence}.`
+}
+
+// Normalize one raw medication entry, whatever produced it
+function normalizeMedication(raw) {
+  const sig = [raw.route, raw.frequency, raw.instructions].filter(Boolean).join(' ')
+  const medication = {
+    name: String(raw.name || '').trim(),
+    strength: normalizeStrength(String(raw.strength || '')),
+    route: normalizeRoute(String(raw.route || '')) || normalizeRoute(sig),
+    routeText: String(raw.route || '').trim(),
+    frequency: normalizeFrequency(String(raw.frequency || '') + ' ' + String(raw.instructions || '')),
+    frequencyText: String(raw.frequency || '').trim(),
+    duration: String(raw.duration || '').trim(),
+    durationDays: normalizeDuration(String(raw.duration || '')),
+    instructions: String(raw.instructions || '').trim(),
+    plainInstructions: String(raw.plainInstructions || '').trim()
+  }
+  if (!medication.plainInstructions) {
+    medication.plainInstructions = describeMedication(medication)
+  }
+  return medication
+}
+
+// Rule-based extraction: one medication per line that has a strength plus a
+// route or frequency, e.g. "1. Metformin 500 mg PO BID x 30 days"
+function extractMedicationsFromText(text) {
+  const medications = []
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/^[\s\-*•#|]*(\d+[.)]\s*)?/, '').replace(/\|/g, ' ').trim()
+    const strength = line.match(STRENGTH_PATTERN)
+    if (!strength) continue
+
+    const name = line.slice(0, strength.index).replace(/[,:;(]+\s*$/, '').trim()
+    const sig = line.slice(strength.index + strength[0].length)
+    const frequency = normalizeFrequency(sig)
+    if (!name || !/^[A-Za-z]/.test(name) || name.split(/\s+/).length > 5) continue
+    if (!frequency.code && !normalizeRoute(sig)) continue
+
+    medications.push({
+      name,
+      strength: strength[0],
+      route: sig,
+      frequency: sig,
+      duration: sig.match(/\d+\s*(?:days?|weeks?|months?)/i)?.[0] || '',
+      instructions: ''
+    })
+  }
+  return medications
+}
+
+// Extract and normalize medications from parsed document text.
+// Uses the configured model when one is available and falls back to the
+// rule-based extractor. redactor hides PHI from third-party providers (see
+// generateText). Returns { medications, method, provider, model }.
+async function extractMedications(text, targetLanguage, { signal, glossary = '', redactor } = {}) {
+  if (getProviders().length > 0) {
+    try {
+      const result = await generateText(buildMedicationPrompt(text, targetLanguage, { glossary }), {
+        text,
+        targetLanguage,
+        signal,
+        redactor,
+        json: true,
+        task: 'medications'
+      })
+      const data = extractJson(result.text)
+      if (!Array.isArray(data.medications)) {
+        throw new Error('"medications" must be an array')
+      }
+      return {
+        medications: data.medications
+          .filter(item => item && item.name)
+          .map(normalizeMedication),
+        method: 'model',
+        provider: result.provider,
+        model: result.model
+      }
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason
+      log.warn('Model medication extraction failed, using rule-based extraction', { error })
+    }
+  }
+
+  return {
+    medications: extractMedicationsFromText(text).map(normalizeMedication),
+    method: 'rules',
+    provider: null,
+    model: null
+  }
+}
+
+export { extractMedications, extractMedicationsFromText, normalizeMedication }
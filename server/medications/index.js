@@ -0,0 +1,19 @@
+import { extractMedications } from './extract.js'
+import { buildSchedule } from './schedule.js'
+
+// Extract medications from parsed document text and lay them out as a daily timetable.
+// Returns { medications, schedule, targetLanguage, method, provider, model }.
+async function buildMedicationSchedule(text, targetLanguage, { signal, glossary = '', redactor } = {}) {
+  const { medications, method, provider, model } = await extractMedications(text, targetLanguage, { signal, glossary, redactor })
+  return {
+    medications,
+    schedule: buildSchedule(medications),
+    targetLanguage,
+    method,
+    provider,
+    model
+  }
+}
+
+export { buildMedicationSchedule }
+export { buildIcs, isCalendarDate } from './schedule.js'
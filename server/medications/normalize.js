@@ -0,0 +1,130 @@
+// Normalization of medication sig text: frequency abbreviations ("BID", "q8h", "PRN"),
+// routes, strengths and durations. Everything here is deterministic so the same
+// prescription always produces the same timetable.
+
+// "three times a day", "3 times daily", "3x/day" and the like for a count of doses
+function timesADay(count) {
+  return `(${count})\\s*(times?|x)(\\s+(a|per|each)\\s+day|\\s*\\/\\s*day|\\s+daily)`
+}
+
+// Default clock times for fixed-frequency schedules. Several doses a day are
+// checked before the once-a-day forms, since "three times daily" contains "daily".
+const FIXED_FREQUENCIES = [
+  { code: 'QID', pattern: new RegExp(`\\b(q\\.?i\\.?d\\.?|${timesADay('four|4')})\\b`, 'i'), times: ['08:00', '12:00', '16:00', '20:00'], label: 'four times a day' },
+  { code: 'TID', pattern: new RegExp(`\\b(t\\.?i\\.?d\\.?|${timesADay('three|3')})\\b`, 'i'), times: ['08:00', '14:00', '20:00'], label: 'three times a day' },
+  { code: 'BID', pattern: new RegExp(`\\b(b\\.?i\\.?d\\.?|twice (a|per|each) day|twice daily|${timesADay('two|2')})\\b`, 'i'), times: ['08:00', '20:00'], label: 'twice a day' },
+  { code: 'QHS', pattern: /\b(q\.?h\.?s\.?|h\.?s\.?|at bedtime|before bed|nightly|every night)\b/i, times: ['21:00'], label: 'at bedtime' },
+  { code: 'QAM', pattern: /\b(q\.?a\.?m\.?|every morning|in the morning)\b/i, times: ['08:00'], label: 'every morning' },
+  { code: 'QPM', pattern: /\b(q\.?p\.?m\.?|every evening|in the evening)\b/i, times: ['18:00'], label: 'every evening' },
+  { code: 'QOD', pattern: /\b(q\.?o\.?d\.?|every other day|on alternate days)\b/i, times: ['08:00'], label: 'every other day', everyDays: 2 },
+  { code: 'QW', pattern: /\b(q\.?w(ee)?k\.?|weekly|once a week|every week)\b/i, times: ['08:00'], label: 'once a week', everyDays: 7 },
+  { code: 'QD', pattern: new RegExp(`\\b(q\\.?d\\.?|q\\.?day|daily|once (a|per|each) day|once daily|every day|${timesADay('one|1')})\\b`, 'i'), times: ['08:00'], label: 'once a day' }
+]
+
+// "q8h", "q 6 hrs", "q4-6h", "every 8 hours", "every 4 to 6 hours" - the shortest interval wins
+const INTERVAL_PATTERN = /\b(?:q\.?\s*(\d+)\s*(?:-\s*\d+\s*)?h(?:rs?|ours?)?\b|every\s+(\d+)\s*(?:(?:-|to)\s*\d+\s*)?hours?)/i
+const AS_NEEDED_PATTERN = /\b(p\.?r\.?n\.?|as needed|when needed|if needed|as required)\b/i
+
+const ROUTES = [
+  { route: 'oral', pattern: /\b(p\.?o\.?|by mouth|oral(ly)?|tablets?|capsules?|tabs?|caps?)\b/i },
+  { route: 'sublingual', pattern: /\b(s\.?l\.?|sublingual(ly)?|under the tongue)\b/i },
+  { route: 'intravenous', pattern: /\b(i\.?v\.?|intravenous(ly)?)\b/i },
+  { route: 'intramuscular', pattern: /\b(i\.?m\.?|intramuscular(ly)?)\b/i },
+  { route: 'subcutaneous', pattern: /\b(s\.?c\.?|s\.?q\.?|subq|subcut(aneous(ly)?)?|injection|inject)\b/i },
+  { route: 'inhaled', pattern: /\b(inh(aled|alation|aler)?|puffs?|nebuli[sz]er)\b/i },
+  { route: 'topical', pattern: /\b(topical(ly)?|apply|cream|ointment|gel)\b/i },
+  { route: 'transdermal', pattern: /\b(transdermal|patch)\b/i },
+  { route: 'rectal', pattern: /\b(p\.?r\.?|rectal(ly)?|suppository)\b/i },
+  { route: 'ophthalmic', pattern: /\b(ophthalmic|eye drops?|in (the|each|both) eyes?)\b/i },
+  { route: 'otic', pattern: /\b(otic|ear drops?|in (the|each|both) ears?)\b/i },
+  { route: 'nasal', pattern: /\b(nasal(ly)?|intranasal|nostrils?|nasal spray)\b/i }
+]
+
+const STRENGTH_PATTERN = /(\d+(?:[.,]\d+)?(?:\s*\/\s*\d+(?:[.,]\d+)?)?)\s*(mg\/ml|mg\/5\s*ml|mcg|µg|mg|g|ml|units?|iu|meq|%)(?![a-z])/i
+const DURATION_PATTERN = /(\d+)\s*(days?|weeks?|wks?|months?)/i
+
+// Clock times for an "every N hours" schedule, starting at 08:00
+function intervalTimes(hours) {
+  const times = []
+  for (let minutes = 8 * 60; minutes < 8 * 60 + 24 * 60; minutes += hours * 60) {
+    const hour = Math.floor(minutes / 60) % 24
+    times.push(`${String(hour).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`)
+  }
+  return times.sort()
+}
+
+// Turn frequency text into { code, label, timesPerDay, intervalHours, everyDays, asNeeded, times }.
+// code is null when the frequency could not be understood.
+function normalizeFrequency(text = '') {
+  const asNeeded = AS_NEEDED_PATTERN.test(text)
+  const result = {
+    code: null,
+    label: text.trim(),
+    timesPerDay: null,
+    intervalHours: null,
+    everyDays: 1,
+    asNeeded,
+    times: []
+  }
+
+  const interval = text.match(INTERVAL_PATTERN)
+  const hours = interval ? Number(interval[1] || interval[2]) : 0
+  if (hours > 0 && hours <= 24) {
+    result.code = `Q${hours}H`
+    result.label = `every ${hours} hours`
+    result.intervalHours = hours
+    result.times = intervalTimes(hours)
+    result.timesPerDay = result.times.length
+  } else {
+    const fixed = FIXED_FREQUENCIES.find(frequency => frequency.pattern.test(text))
+    if (fixed) {
+      result.code = fixed.code
+      result.label = fixed.label
+      result.everyDays = fixed.everyDays || 1
+      result.times = [...fixed.times]
+      result.timesPerDay = fixed.times.length
+    }
+  }
+
+  if (asNeeded) {
+    result.code = result.code ? `${result.code} PRN` : 'PRN'
+    result.label = result.intervalHours ? `as needed, at most every ${result.intervalHours} hours` : 'as needed'
+    // As-needed medications are not put on the timetable
+    result.times = []
+  }
+
+  return result
+}
+
+function normalizeRoute(text = '') {
+  const match = ROUTES.find(route => route.pattern.test(text))
+  return match ? match.route : null
+}
+
+// "500mg" -> "500 mg", "0,5 mg" -> "0.5 mg"
+function normalizeStrength(text = '') {
+  const match = text.match(STRENGTH_PATTERN)
+  if (!match) return text.trim()
+  const amount = match[1].replace(',', '.').replace(/\s+/g, '')
+  const unit = match[2].toLowerCase().replace('µg', 'mcg').replace(/\s+/g, '').replace('iu', 'IU').replace('ml', 'mL')
+  return `${amount} ${unit}`
+}
+
+// Duration in days, or null when open-ended
+function normalizeDuration(text = '') {
+  const match = text.match(DURATION_PATTERN)
+  if (!match) return null
+  const amount = Number(match[1])
+  const unit = match[2].toLowerCase()
+  if (unit.startsWith('w')) return amount * 7
+  if (unit.startsWith('m')) return amount * 30
+  return amount
+}
+
+export {
+  STRENGTH_PATTERN,
+  normalizeFrequency,
+  normalizeRoute,
+  normalizeStrength,
+  normalizeDuration
+}
@@ -0,0 +1,118 @@
+import crypto from 'crypto'
+
+// Group scheduled medications into a daily timetable:
+// { slots: [{ time, medications }], asNeeded, unscheduled }
+function buildSchedule(medications) {
+  const slots = new Map()
+  const asNeeded = []
+  const unscheduled = []
+
+  for (const medication of medications) {
+    if (medication.frequency.asNeeded) {
+      asNeeded.push(medication)
+      continue
+    }
+    if (medication.frequency.times.length === 0) {
+      unscheduled.push(medication)
+      continue
+    }
+    for (const time of medication.frequency.times) {
+      if (!slots.has(time)) slots.set(time, [])
+      slots.get(time).push(medication)
+    }
+  }
+
+  return {
+    slots: [...slots.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([time, items]) => ({ time, medications: items })),
+    asNeeded,
+    unscheduled
+  }
+}
+
+// Escape text for an iCalendar property value
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// Fold lines longer than 75 octets, as RFC 5545 requires
+function foldIcsLine(line) {
+  const chunks = []
+  let current = ''
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current)
+      current = ''
+    }
+    current += char
+  }
+  chunks.push(current)
+  return chunks.join('\r\n ')
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// Whether text is a real day in 'YYYY-MM-DD' form - "2025-13-45" is not
+function isCalendarDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false
+  const [year, month, day] = text.split('-').map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+// Build an iCalendar file with one repeating reminder per medication and dose time.
+// Times are floating (no time zone) so reminders fire at the same clock time
+// wherever the patient's calendar is. startDate is 'YYYY-MM-DD'.
+function buildIcs(schedule, { startDate, calendarName = 'Medication schedule' }) {
+  const start = startDate.replace(/-/g, '')
+  const stamp = formatIcsDate(new Date())
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//HealthForAll//Medication Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+  ]
+
+  for (const slot of schedule.slots) {
+    for (const medication of slot.medications) {
+      const { everyDays } = medication.frequency
+      const rule = everyDays === 7
+        ? ['FREQ=WEEKLY']
+        : ['FREQ=DAILY', ...(everyDays > 1 ? [`INTERVAL=${everyDays}`] : [])]
+      if (medication.durationDays) {
+        rule.push(`COUNT=${Math.max(1, Math.ceil(medication.durationDays / everyDays))}`)
+      }
+      const title = [medication.name, medication.strength].filter(Boolean).join(' ')
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${crypto.randomUUID()}@healthforall`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${start}T${slot.time.replace(':', '')}00`,
+        'DURATION:PT15M',
+        `RRULE:${rule.join(';')}`,
+        `SUMMARY:${escapeIcsText(title)}`,
+        `DESCRIPTION:${escapeIcsText(medication.plainInstructions)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(title)}`,
+        'TRIGGER:PT0M',
+        'END:VALARM',
+        'END:VEVENT'
+      )
+    }
+  }
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n'
+}
+
+export { buildSchedule, buildIcs, isCalendarDate }
@@ -0,0 +1,47 @@
+import fs from 'fs'
+import config from '../config.js'
+import { prepareImage, rotateImage } from './preprocess.js'
+import { detectRotation, recognizeText } from './tesseract.js'
+
+// OCR one photo or scanned page: fix orientation and skew, then recognize the text.
+// Returns { text, confidence, words, rotation, deskewAngle }.
+async function recognizeImage(filePath, { fileName, signal } = {}) {
+  const prepared = await prepareImage(filePath, { fileName, signal })
+  try {
+    // Rotating needs ImageMagick, so only prepared copies are rotated
+    let rotation = 0
+    if (prepared.temporary) {
+      rotation = await detectRotation(prepared.path, { signal })
+      if (rotation) await rotateImage(prepared.path, rotation, { signal })
+    }
+
+    const result = await recognizeText(prepared.path, { signal })
+    return { ...result, rotation, deskewAngle: prepared.deskewAngle }
+  } finally {
+    if (prepared.temporary) await fs.promises.rm(prepared.path, { force: true })
+  }
+}
+
+// Overall OCR quality of a document made of one or more pages, each
+// { fileName, confidence, words, rotation, deskewAngle }. The document
+// confidence is weighted by the number of words on each page. lowConfidence is
+// true when the document or any single page is below OCR_MIN_CONFIDENCE.
+function summarizeOcr(pages) {
+  const words = pages.reduce((sum, page) => sum + page.words, 0)
+  const confidence = words > 0
+    ? Math.round(pages.reduce((sum, page) => sum + page.confidence * page.words, 0) / words)
+    : 0
+  const lowConfidencePages = pages
+    .map((page, index) => ({ ...page, page: index + 1 }))
+    .filter(page => page.confidence < config.ocrMinConfidence)
+
+  return {
+    confidence,
+    minConfidence: config.ocrMinConfidence,
+    lowConfidence: confidence < config.ocrMinConfidence || lowConfidencePages.length > 0,
+    lowConfidencePages: lowConfidencePages.map(page => page.page),
+    pages
+  }
+}
+
+export { recognizeImage, summarizeOcr }
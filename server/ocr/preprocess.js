@@ -0,0 +1,56 @@
+import fs from 'fs'
+import path from 'path'
+import config from '../config.js'
+import { commandExists, runCommand } from '../utils/commands.js'
+
+// Skews larger than this are not straightened - such photos are more likely
+// rotated by 90 degrees, which Tesseract's orientation detection handles
+const DESKEW_THRESHOLD = '40%'
+
+function hasImageMagick() {
+  return commandExists(config.imageMagickCommand)
+}
+
+// Prepare a photo for OCR with ImageMagick: apply the camera's EXIF orientation,
+// convert to a grayscale PNG (which also makes HEIC photos readable for Tesseract)
+// and straighten small skews. Returns { path, deskewAngle, temporary } - when
+// temporary is true, path is a new file the caller must remove. Without
+// ImageMagick the original file is used as it is.
+async function prepareImage(filePath, { fileName = filePath, signal } = {}) {
+  if (!hasImageMagick()) {
+    if (path.extname(fileName).toLowerCase() === '.heic') {
+      throw new Error(`HEIC photos need ImageMagick (${config.imageMagickCommand}) to be converted before OCR`)
+    }
+    return { path: filePath, deskewAngle: null, temporary: false }
+  }
+
+  const output = `${filePath}-ocr.png`
+  try {
+    // [0] reads only the first frame of multi-image files
+    const { stdout } = await runCommand(config.imageMagickCommand, [
+      `${filePath}[0]`,
+      '-auto-orient',
+      '-colorspace', 'Gray',
+      '-deskew', DESKEW_THRESHOLD,
+      '+repage',
+      '-print', '%[deskew:angle]',
+      output
+    ], { signal })
+    const angle = parseFloat(stdout.toString())
+    return {
+      path: output,
+      deskewAngle: Number.isFinite(angle) ? Math.round(angle * 10) / 10 : null,
+      temporary: true
+    }
+  } catch (error) {
+    await fs.promises.rm(output, { force: true })
+    throw error
+  }
+}
+
+// Rotate an image in place, clockwise by a multiple of 90 degrees
+async function rotateImage(filePath, degrees, { signal } = {}) {
+  await runCommand(config.imageMagickCommand, [filePath, '-rotate', String(degrees), filePath], { signal })
+}
+
+export { prepareImage, rotateImage, hasImageMagick }
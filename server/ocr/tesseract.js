@@ -0,0 +1,69 @@
+import config from '../config.js'
+import { runCommand } from '../utils/commands.js'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('ocr')
+
+// Orientation guesses below this confidence are ignored - OSD is unreliable
+// on pages with little text
+const MIN_ORIENTATION_CONFIDENCE = 2
+
+// Detect whether a page is upside down or sideways with Tesseract's orientation
+// and script detection. Returns the clockwise rotation (0, 90, 180 or 270) that
+// makes the page upright, or 0 when detection fails or is unsure.
+async function detectRotation(imagePath, { signal } = {}) {
+  try {
+    const { stdout } = await runCommand(config.ocrCommand, [imagePath, 'stdout', '--psm', '0'], { signal })
+    const output = stdout.toString()
+    const rotate = Number(output.match(/Rotate:\s*(\d+)/)?.[1] || 0)
+    const confidence = Number(output.match(/Orientation confidence:\s*([\d.]+)/)?.[1] || 0)
+    return confidence >= MIN_ORIENTATION_CONFIDENCE ? rotate : 0
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason
+    log.warn('Orientation detection failed, assuming the page is upright', { error })
+    return 0
+  }
+}
+
+// Rebuild the page text from Tesseract's TSV output: words joined into lines,
+// with a blank line between paragraphs. Returns { text, confidence, words }
+// where confidence is the mean word confidence (0-100).
+function parseTsv(tsv) {
+  const lines = []
+  const confidences = []
+  let lastParagraph = null
+  let lastLine = null
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t')
+    if (columns.length < 12 || columns[0] !== '5') continue
+    const [, page, block, paragraph, line, , , , , , conf, ...rest] = columns
+    const word = rest.join('\t').trim()
+    if (!word) continue
+
+    const paragraphKey = `${page}-${block}-${paragraph}`
+    const lineKey = `${paragraphKey}-${line}`
+    if (lineKey !== lastLine) {
+      if (lastParagraph !== null && paragraphKey !== lastParagraph) lines.push('')
+      lines.push(word)
+    } else {
+      lines[lines.length - 1] += ` ${word}`
+    }
+    lastParagraph = paragraphKey
+    lastLine = lineKey
+    if (Number(conf) >= 0) confidences.push(Number(conf))
+  }
+
+  const confidence = confidences.length > 0
+    ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+    : 0
+  return { text: lines.join('\n'), confidence, words: confidences.length }
+}
+
+// Recognize the text of one page image
+async function recognizeText(imagePath, { signal } = {}) {
+  const { stdout } = await runCommand(config.ocrCommand, [imagePath, 'stdout', '-l', config.ocrLanguages, '--psm', '3', 'tsv'], { signal })
+  return parseTsv(stdout.toString())
+}
+
+export { detectRotation, recognizeText, parseTsv }
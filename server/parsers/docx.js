@@ -0,0 +1,20 @@
+import mammoth from 'mammoth'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('docx')
+
+// Extract raw text from a .docx file locally (legacy .doc is not supported)
+async function extractDocxText(filePath) {
+  const result = await mammoth.extractRawText({ path: filePath })
+  if (result.messages.length > 0) {
+    log.warn('DOCX extraction warnings', { warnings: result.messages.map(message => message.message) })
+  }
+  log.info('Extracted DOCX text locally', { length: result.value.length })
+  return result.value
+}
+
+export default {
+  name: 'docx',
+  isConfigured: () => true,
+  parse: extractDocxText
+}
@@ -0,0 +1,144 @@
+import path from 'path'
+import config from '../config.js'
+import llamaparse from './llamaparse.js'
+import pdf from './pdf.js'
+import docx from './docx.js'
+import text from './text.js'
+import ocr from './ocr.js'
+import { summarizeOcr } from '../ocr/index.js'
+import { mayReceiveRawData } from '../redaction/index.js'
+import { withPlaintextUpload } from '../uploads/index.js'
+import { createLogger } from '../logging/index.js'
+import { trackProviderCall } from '../logging/audit.js'
+
+// Every parser backend exposes { name, isConfigured(), parse(filePath, options) }.
+// parse resolves to the text, or to { text, ...details } for backends that
+// report more (OCR confidence). Backends that upload the file to a third party
+// also expose isExternal() - they are skipped while PHI redaction is on.
+// Backends that read text from images set readsScans.
+const backends = { llamaparse, pdf, docx, text, ocr }
+
+const SUPPORTED_EXTENSIONS = Object.keys(config.parsers)
+
+// Photo formats - several photos can be uploaded together as the pages of one document
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.heic']
+
+// Separates the pages of a document made of several photos. The citation
+// lookup counts pages by this marker.
+const PAGE_BREAK = '\n\n-- page break --\n\n'
+
+const log = createLogger('parsers')
+
+// Backends to try for a file extension, in configured order, skipping unknown
+// or unconfigured ones and third-party ones that redaction rules out
+function getParsersForExtension(ext) {
+  const names = config.parsers[ext] || []
+  return names
+    .map(name => backends[name.toLowerCase()])
+    .filter(backend => backend && backend.isConfigured() && mayReceiveRawData(backend))
+}
+
+function getParsersForFile(fileName) {
+  return getParsersForExtension(path.extname(fileName).toLowerCase())
+}
+
+// What can be read right now, so the app only offers those files:
+// [{ extension, parsers, readsScans }] for every supported extension. parsers
+// lists the usable backends in order - none means files of that type fail.
+// readsScans is false for PDFs that can only be read from their text layer.
+function getFileTypes() {
+  return SUPPORTED_EXTENSIONS.map((extension) => {
+    const parsers = getParsersForExtension(extension)
+    return {
+      extension,
+      parsers: parsers.map(parser => parser.name),
+      readsScans: parsers.some(parser => parser.readsScans)
+    }
+  })
+}
+
+// Report which backends are usable - used by the health check
+function getParserStatus() {
+  const status = {}
+  for (const backend of Object.values(backends)) {
+    status[backend.name] = backend.isConfigured()
+  }
+  return status
+}
+
+function isImageFile(fileName) {
+  return IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())
+}
+
+// Parse a document with the first backend that succeeds. filePath is an
+// encrypted upload; the parsers read a plaintext copy that is removed afterwards.
+// Returns { text, parser, ...details } where parser is the name of the backend that produced the text.
+async function parseDocument(filePath, { fileName, signal }) {
+  const ext = path.extname(fileName).toLowerCase()
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported file type: ${ext || 'unknown'}. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}`)
+  }
+
+  const parsers = getParsersForFile(fileName)
+  if (parsers.length === 0) {
+    throw new Error(`No parser is configured for ${ext} files. Third-party parsers are skipped while PHI redaction is on unless REDACTION_ALLOW_RAW_EXTERNAL=true.`)
+  }
+
+  const failures = []
+  for (const parser of parsers) {
+    try {
+      log.info('Parsing document', { parser: parser.name, type: ext })
+      const output = await withPlaintextUpload(filePath, fileName, plainPath => (
+        parser.parse(plainPath, { fileName, signal })
+      ))
+      const { text, ...details } = typeof output === 'string' ? { text: output } : output
+      if (text && text.trim().length > 0) {
+        trackProviderCall('parser', parser.name, true)
+        return { text, parser: parser.name, ...details }
+      }
+      trackProviderCall('parser', parser.name, false)
+      failures.push(`${parser.name}: no text extracted`)
+    } catch (error) {
+      // A cancelled job should not fall through to the next parser
+      if (signal?.aborted) throw signal.reason
+      trackProviderCall('parser', parser.name, false)
+      log.error('Parser failed', { parser: parser.name, error })
+      failures.push(`${parser.name}: ${error.message}`)
+    }
+  }
+
+  throw new Error(`Failed to parse document (${failures.join('; ')})`)
+}
+
+// Parse one uploaded document, or several photos as the pages of one document.
+// files is [{ path, name }]. Returns { text, parser, ocr } - ocr summarizes the
+// OCR confidence and is null when no page went through OCR.
+async function parseDocuments(files, { signal }) {
+  if (files.length > 1 && !files.every(file => isImageFile(file.name))) {
+    throw new Error('Only photos can be combined into one document')
+  }
+
+  const pages = []
+  for (const file of files) {
+    pages.push(await parseDocument(file.path, { fileName: file.name, signal }))
+    signal?.throwIfAborted()
+  }
+
+  const ocrPages = pages.flatMap(page => page.ocrPages || [])
+  return {
+    text: pages.map(page => page.text.trim()).join(PAGE_BREAK),
+    parser: [...new Set(pages.map(page => page.parser))].join(', '),
+    ocr: ocrPages.length > 0 ? summarizeOcr(ocrPages) : null
+  }
+}
+
+export {
+  parseDocument,
+  parseDocuments,
+  isImageFile,
+  getParsersForFile,
+  getFileTypes,
+  getParserStatus,
+  SUPPORTED_EXTENSIONS,
+  IMAGE_EXTENSIONS
+}
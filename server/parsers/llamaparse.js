@@ -0,0 +1,124 @@
+import axios from 'axios'
+import FormData from 'form-data'
+import fs from 'fs'
+import path from 'path'
+import { setTimeout as sleep } from 'timers/promises'
+import config from '../config.js'
+import { createLogger } from '../logging/index.js'
+import { callProvider } from '../resilience/index.js'
+
+// LlamaParse API: upload the file to start a job, poll the job until it is
+// done, then fetch its result as markdown
+const LLAMAPARSE_BASE_URL = 'https://api.cloud.llamaindex.ai/api/v1/parsing'
+const LLAMAPARSE_API_KEY = config.llamaparseApiKey
+
+// Polling starts after POLL_INITIAL_MS and slows down to POLL_MAX_MS between checks
+const POLL_INITIAL_MS = 1000
+const POLL_MAX_MS = 10000
+
+// Responses hold the document text, so only their status and field names are logged
+const log = createLogger('llamaparse')
+
+function authHeaders() {
+  return { 'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`, 'Accept': 'application/json' }
+}
+
+// Start a parsing job. The form is built for every attempt, since a retry needs a fresh file stream.
+async function uploadFile(filePath, fileName, { signal, deadline }) {
+  const response = await callProvider('llamaparse', (attemptSignal) => {
+    const formData = new FormData()
+    formData.append('file', fs.createReadStream(filePath), {
+      filename: fileName,
+      contentType: 'application/octet-stream',
+      knownLength: fs.statSync(filePath).size
+    })
+    // Mark page breaks so summary citations can point to page numbers
+    formData.append('page_separator', '\n-- page break --\n')
+
+    return axios.post(`${LLAMAPARSE_BASE_URL}/upload`, formData, {
+      headers: { ...authHeaders(), ...formData.getHeaders() },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: 60000,
+      signal: attemptSignal
+    })
+  }, { signal, deadline })
+
+  const jobId = response.data.id || response.data.job_id
+  if (!jobId) {
+    throw new Error(`No job ID returned from LlamaParse (fields: ${Object.keys(response.data).join(', ')})`)
+  }
+  return jobId
+}
+
+// GET a path of the parsing API, with retries for failures that may go away
+async function getJson(urlPath, { signal, deadline, timeout = 10000 }) {
+  const response = await callProvider('llamaparse', attemptSignal => axios.get(`${LLAMAPARSE_BASE_URL}${urlPath}`, {
+    headers: authHeaders(),
+    timeout,
+    signal: attemptSignal
+  }), { signal, deadline })
+  return response.data
+}
+
+// Wait until the job has finished, checking less often the longer it takes
+async function waitForJob(jobId, { signal, deadline }) {
+  let delay = POLL_INITIAL_MS
+  for (let check = 1; ; check++) {
+    // Jitter keeps many jobs from polling in step
+    const wait = delay * (0.8 + Math.random() * 0.4)
+    if (Date.now() + wait >= deadline) {
+      throw new Error(`LlamaParse did not finish within ${config.providerDeadlineSeconds}s`)
+    }
+    await sleep(wait, undefined, { signal })
+
+    const job = await getJson(`/job/${jobId}`, { signal, deadline })
+    const status = String(job.status).toUpperCase()
+    log.debug('Polled LlamaParse job', { check, status })
+    if (status === 'SUCCESS') return
+    if (status === 'ERROR' || status === 'CANCELED' || status === 'CANCELLED') {
+      throw new Error(`LlamaParse job ${status.toLowerCase()}: ${job.error_message || job.error || 'no reason given'}`)
+    }
+    if (status !== 'PENDING') log.warn('Unknown LlamaParse job status', { status })
+
+    delay = Math.min(POLL_MAX_MS, delay * 1.5)
+  }
+}
+
+// Upload and parse document with LlamaParse, all within PROVIDER_DEADLINE_SECONDS.
+// fileName should be the original upload name - LlamaParse uses the extension to pick a reader.
+async function parseDocumentWithLlamaParse(filePath, { fileName = path.basename(filePath), signal } = {}) {
+  const deadline = Date.now() + config.providerDeadlineSeconds * 1000
+  try {
+    log.info('Uploading file to LlamaParse')
+    const jobId = await uploadFile(filePath, fileName, { signal, deadline })
+    log.info('LlamaParse job started', { llamaparseJobId: jobId })
+
+    await waitForJob(jobId, { signal, deadline })
+    const result = await getJson(`/job/${jobId}/result/markdown`, { signal, deadline, timeout: 30000 })
+    if (typeof result.markdown !== 'string') {
+      throw new Error(`Unexpected LlamaParse result (fields: ${Object.keys(result).join(', ')})`)
+    }
+    if (!result.markdown.trim()) {
+      throw new Error('No text extracted from document')
+    }
+
+    log.info('Extracted text with LlamaParse', { length: result.markdown.length })
+    return result.markdown
+  } catch (error) {
+    if (signal?.aborted) throw error
+    log.error('LlamaParse failed', { status: error.response?.status, error })
+    const detail = error.response?.data?.detail
+    throw new Error(`Failed to parse document with LlamaParse: ${typeof detail === 'string' ? detail : error.message}`, { cause: error })
+  }
+}
+
+export { parseDocumentWithLlamaParse }
+
+export default {
+  name: 'llamaparse',
+  isConfigured: () => !!LLAMAPARSE_API_KEY,
+  isExternal: () => true,
+  readsScans: true,
+  parse: parseDocumentWithLlamaParse
+}
@@ -0,0 +1,30 @@
+import config from '../config.js'
+import { commandExists } from '../utils/commands.js'
+import { recognizeImage } from '../ocr/index.js'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('ocr')
+
+// Read photos and scans locally with Tesseract OCR. Besides the text, returns
+// the OCR details of the page so the client can warn about hard-to-read photos.
+async function parseImage(filePath, { fileName, signal }) {
+  const result = await recognizeImage(filePath, { fileName, signal })
+  log.info('Read photo with OCR', { words: result.words, confidence: result.confidence })
+  return {
+    text: result.text,
+    ocrPages: [{
+      fileName,
+      confidence: result.confidence,
+      words: result.words,
+      rotation: result.rotation,
+      deskewAngle: result.deskewAngle
+    }]
+  }
+}
+
+export default {
+  name: 'ocr',
+  isConfigured: () => commandExists(config.ocrCommand),
+  readsScans: true,
+  parse: parseImage
+}
@@ -0,0 +1,25 @@
+import fs from 'fs'
+import { PDFParse } from 'pdf-parse'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('pdf')
+
+// Extract the text layer from a PDF locally. Scanned PDFs without a
+// text layer come back empty, so LlamaParse is still the better choice for those.
+async function extractPdfText(filePath) {
+  const data = await fs.promises.readFile(filePath)
+  const parser = new PDFParse({ data })
+  try {
+    const result = await parser.getText()
+    log.info('Extracted PDF text locally', { pages: result.total, length: result.text.length })
+    return result.text
+  } finally {
+    await parser.destroy()
+  }
+}
+
+export default {
+  name: 'pdf',
+  isConfigured: () => true,
+  parse: extractPdfText
+}
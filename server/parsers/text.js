@@ -0,0 +1,17 @@
+import fs from 'fs'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('text')
+
+// Read plain text files directly - no external service needed
+async function readTextFile(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf-8')
+  log.info('Read text file directly', { length: content.length })
+  return content
+}
+
+export default {
+  name: 'text',
+  isConfigured: () => true,
+  parse: readTextFile
+}
@@ -0,0 +1,325 @@
+import { parseDocuments } from './parsers/index.js'
+import { summarizeDocument, getModelSettings } from './summarizers/index.js'
+import { PROMPT_VERSION } from './summarizers/prompts.js'
+import { combineSummaries } from './summarizers/combine.js'
+import { assessReadability } from './readability/index.js'
+import { translateDocument } from './translation/index.js'
+import {
+  listEntries,
+  findRelevantEntries,
+  buildGlossaryInstructions,
+  checkTermPreservation
+} from './glossary/index.js'
+import { checkNumericFidelity } from './fidelity/index.js'
+import { attachCitations } from './citations/index.js'
+import { detectAlerts, mergeAlerts } from './alerts/index.js'
+import { createRedactor } from './redaction/index.js'
+import { createLogger } from './logging/index.js'
+import { withCache, hashFiles } from './cache/index.js'
+import { detectLanguage, describeSourceLanguage } from './languages/detect.js'
+import { localizeFailure, DEFAULT_LOCALE } from './i18n/index.js'
+
+// Processing modes: a structured summary, or the whole document translated section by section
+const MODES = ['summary', 'translation']
+
+const log = createLogger('pipeline')
+
+// Run a check on every translated section and merge the results, tagging each issue with its section
+function combineSectionChecks(sections, countField, check) {
+  const results = sections.map(section => ({ sectionId: section.id, ...check(section) }))
+  return {
+    passed: results.every(result => result.passed),
+    [countField]: results.reduce((sum, result) => sum + result[countField], 0),
+    issues: results.flatMap(result => result.issues.map(issue => ({ ...issue, sectionId: result.sectionId })))
+  }
+}
+
+// Cache key parts of a result: everything that changes what the models write
+function resultCacheParts(documentHash, { mode, targetLanguage, readingLevel, glossary }) {
+  return [
+    'result',
+    documentHash,
+    mode,
+    targetLanguage,
+    mode === 'summary' ? readingLevel || '' : '',
+    PROMPT_VERSION,
+    getModelSettings(),
+    glossary
+  ]
+}
+
+// Parse the files of one document, or take the text from the cache when the
+// same files were parsed before - then the parsing stage is skipped entirely.
+// Returns { text, parser, ocr, fromCache }.
+async function parseOrReuse(files, { cacheOwner, signal, onStage }) {
+  const { value, hit } = await withCache(cacheOwner, ['parsed', hashFiles(files)], () => {
+    onStage('parsing')
+    return parseDocuments(files, { signal })
+  })
+  return { ...value, fromCache: hit }
+}
+
+// Parse and then summarize or fully translate one uploaded document.
+// files is [{ path, name, sha256 }] - one document, or several photos of one document.
+// readingLevel (grade4, grade8 or clinical) applies to summaries only.
+// Parsed text and results are cached per cacheOwner (the user ID) by the hash
+// of the files; the result's cache field says what was reused:
+// { text, result } - both true or false.
+// onStage(stage) is called as the pipeline moves from one stage to the next,
+// onProgress(progress) within a stage, onParsed({ text, parser }) once the
+// document text is available, and signal aborts the work in progress when the
+// job is cancelled.
+async function processDocument({
+  files,
+  targetLanguage,
+  mode = 'summary',
+  readingLevel,
+  cacheOwner,
+  signal,
+  onStage = () => {},
+  onProgress = () => {},
+  onParsed = () => {}
+}) {
+  // Step 1: Parse document with the configured parser backends
+  const { text: parsedText, parser, ocr, fromCache: textFromCache } = await parseOrReuse(files, { cacheOwner, signal, onStage })
+  log.info(textFromCache ? 'Reused cached document text' : 'Parsed document', { parser, length: parsedText.length })
+  signal?.throwIfAborted()
+  onParsed({ text: parsedText, parser })
+
+  // PHI is replaced with placeholders in everything sent to third-party models
+  const redactor = createRedactor(parsedText)
+
+  // The language the document is written in, which may be several
+  const languageDetection = detectLanguage(parsedText)
+  log.info('Detected document language', { language: languageDetection.language, confidence: languageDetection.confidence, mixed: languageDetection.mixed })
+
+  // Glossary terms for the target language that occur in this document
+  const glossary = findRelevantEntries(parsedText, await listEntries(targetLanguage))
+
+  // Step 2: Summarize or translate - unless the same document was done before with the same settings
+  const cacheParts = resultCacheParts(hashFiles(files), { mode, targetLanguage, readingLevel, glossary })
+  const { value: result, hit: resultFromCache } = await withCache(cacheOwner, cacheParts, async () => {
+    onStage(mode === 'translation' ? 'translating' : 'summarizing')
+    const output = mode === 'translation'
+      ? await translateParsedText(parsedText, { targetLanguage, glossary, redactor, signal, onProgress, languageDetection })
+      : await summarizeParsedText(parsedText, { targetLanguage, readingLevel, glossary, redactor, signal, languageDetection })
+    return {
+      mode,
+      ...output,
+      // Detected language of the document, null when it could not be told
+      originalLanguage: languageDetection.language,
+      languageDetection,
+      targetLanguage,
+      parser,
+      // OCR confidence for photos and scans, null for documents with a text layer
+      ocr
+    }
+  })
+
+  return {
+    ...result,
+    // Red flags to show above everything else - checked on every run, so cached
+    // results are checked with the current rules too
+    alerts: detectAlerts(parsedText, result.structuredSummary),
+    // What was hidden from third-party providers - categories and counts, never the values
+    redaction: redactor.audit(),
+    cache: { text: textFromCache, result: resultFromCache }
+  }
+}
+
+// Translate parsed text section by section, keeping the original alongside,
+// with the term and number checks per section.
+// languageDetection is the detected language of the text (see detectLanguage).
+async function translateParsedText(parsedText, { targetLanguage, glossary, redactor, signal, onProgress, languageDetection }) {
+  const { sections, provider, model } = await translateDocument(parsedText, targetLanguage, { signal, glossary, redactor, onProgress })
+  signal?.throwIfAborted()
+
+  // Check protected terms and numbers section by section so issues point at the right place
+  const termCheck = combineSectionChecks(sections, 'checkedTerms', section => (
+    checkTermPreservation(section.source, section.target, glossary)
+  ))
+  const numericCheck = combineSectionChecks(sections, 'checkedValues', section => (
+    checkNumericFidelity(section.source, section.target, { sourceLanguage: languageDetection.language, targetLanguage })
+  ))
+
+  return {
+    summary: null,
+    sections,
+    termCheck,
+    numericCheck,
+    provider,
+    model
+  }
+}
+
+// Structured summary of parsed text, with citations, reading level and the fidelity checks.
+// glossary is the list of glossary entries relevant to the text.
+// languageDetection is the detected language of the text (see detectLanguage).
+async function summarizeParsedText(parsedText, { targetLanguage, readingLevel, glossary, redactor, signal, languageDetection }) {
+  const { summary, structuredSummary, provider, model, readingLevel: readability } = await summarizeDocument(parsedText, targetLanguage, {
+    signal,
+    glossary: buildGlossaryInstructions(glossary),
+    readingLevel,
+    redactor,
+    sourceLanguage: describeSourceLanguage(languageDetection)
+  })
+  signal?.throwIfAborted()
+
+  return {
+    summary,
+    // Every summary point carries citations pointing back into the parsed document
+    structuredSummary: attachCitations(structuredSummary, parsedText),
+    // Requested reading level and the measured grade of the summary
+    readingLevel: readability,
+    // Protected terms (glossary entries, medication names and doses) that were changed or dropped
+    termCheck: checkTermPreservation(parsedText, summary, glossary),
+    // Numbers, units, dates and doses in the summary that the source does not support
+    numericCheck: checkNumericFidelity(parsedText, summary, { sourceLanguage: languageDetection.language, targetLanguage }),
+    provider,
+    model
+  }
+}
+
+// Text of all documents in a batch, each under a heading with its file name
+function joinDocumentTexts(documents) {
+  return documents.map(document => `# ${document.fileName}\n\n${document.text.trim()}`).join('\n\n')
+}
+
+// Summarize several separate documents, then combine them into one summary
+// without duplicates. documents is [[{ path, name, sha256 }], ...] - the files
+// of each document. A document that fails does not stop the others; the batch
+// only fails when none of them could be summarized. Documents and the combined
+// summary are cached like single documents (see processDocument). Returns the
+// combined summary in the same shape as a single summary, plus documents:
+// [{ fileName, result, error }] with each document's own result. Errors of
+// documents are in the locale of the user who started the batch.
+async function processBatch({
+  documents,
+  targetLanguage,
+  readingLevel,
+  cacheOwner,
+  signal,
+  locale = DEFAULT_LOCALE,
+  onStage = () => {},
+  onProgress = () => {},
+  onParsed = () => {}
+}) {
+  const entries = documents.map(files => ({ fileName: files.map(file => file.name).join(', '), files }))
+
+  // Every document may start the parsing stage - report each stage only once
+  let currentStage = null
+  const enterStage = (stage) => {
+    if (stage !== currentStage) onStage(stage)
+    currentStage = stage
+  }
+
+  // Step 1: Parse every document
+  for (const [index, entry] of entries.entries()) {
+    onProgress({ completed: index, total: entries.length })
+    try {
+      Object.assign(entry, await parseOrReuse(entry.files, { cacheOwner, signal, onStage: enterStage }))
+      log.info(entry.fromCache ? 'Reused cached document text' : 'Parsed document', { document: index, parser: entry.parser, length: entry.text.length })
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason
+      log.error('Failed to parse document', { document: index, error })
+      entry.error = localizeFailure(locale, 'parseFailed', error)
+    }
+  }
+
+  const parsed = entries.filter(entry => !entry.error)
+  if (parsed.length === 0) {
+    throw new Error(`None of the documents could be parsed (${entries.map(entry => `${entry.fileName}: ${entry.error.reason}`).join('; ')})`)
+  }
+  const allText = joinDocumentTexts(parsed)
+  onParsed({ text: allText, parser: [...new Set(parsed.map(entry => entry.parser))].join(', ') })
+
+  // One redactor for the whole batch, so a name gets the same placeholder in every document
+  const redactor = createRedactor(allText)
+
+  // Step 2: Summarize each document on its own
+  for (const [index, entry] of parsed.entries()) {
+    onProgress({ completed: index, total: parsed.length })
+    try {
+      const glossary = findRelevantEntries(entry.text, await listEntries(targetLanguage))
+      const cacheParts = resultCacheParts(hashFiles(entry.files), { mode: 'summary', targetLanguage, readingLevel, glossary })
+      const { value: result, hit } = await withCache(cacheOwner, cacheParts, async () => {
+        enterStage('summarizing')
+        const languageDetection = detectLanguage(entry.text)
+        return {
+          mode: 'summary',
+          ...await summarizeParsedText(entry.text, { targetLanguage, readingLevel, glossary, redactor, signal, languageDetection }),
+          originalLanguage: languageDetection.language,
+          languageDetection,
+          targetLanguage,
+          parser: entry.parser,
+          ocr: entry.ocr
+        }
+      })
+      entry.result = {
+        ...result,
+        alerts: detectAlerts(entry.text, result.structuredSummary),
+        cache: { text: entry.fromCache, result: hit }
+      }
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason
+      log.error('Failed to summarize document', { document: entries.indexOf(entry), error })
+      entry.error = localizeFailure(locale, 'summarizeFailed', error)
+    }
+  }
+
+  const summarized = entries.filter(entry => entry.result)
+  if (summarized.length === 0) {
+    throw new Error(`None of the documents could be summarized (${entries.map(entry => `${entry.fileName}: ${entry.error.reason}`).join('; ')})`)
+  }
+
+  // Step 3: One summary for all documents, without duplicates
+  const summarizedText = joinDocumentTexts(summarized)
+  const glossary = findRelevantEntries(summarizedText, await listEntries(targetLanguage))
+  // Keyed like a single document's result, with the documents in place of its hash.
+  // Citations refer to documents by position, so positions are part of the key.
+  const combinedHash = ['combined', ...summarized.map(entry => [entries.indexOf(entry), hashFiles(entry.files)])]
+  const combinedCacheParts = resultCacheParts(combinedHash, { mode: 'summary', targetLanguage, readingLevel, glossary })
+  const { value: combined, hit: combinedFromCache } = await withCache(cacheOwner, combinedCacheParts, () => {
+    enterStage('combining')
+    return combineSummaries(
+      // Citations refer to documents by their position in the documents list below
+      summarized.map(entry => ({
+        fileName: entry.fileName,
+        structuredSummary: entry.result.structuredSummary,
+        document: entries.indexOf(entry)
+      })),
+      targetLanguage,
+      { signal, redactor }
+    )
+  })
+  const { summary, structuredSummary, provider, model } = combined
+  signal?.throwIfAborted()
+
+  const languageDetection = detectLanguage(summarized.map(entry => entry.text).join('\n\n'))
+  return {
+    mode: 'summary',
+    summary,
+    structuredSummary,
+    readingLevel: assessReadability(summary, targetLanguage, readingLevel),
+    // Red flags of every document, citations tagged with their document like the summary's
+    alerts: mergeAlerts(summarized.map(entry => ({ alerts: entry.result.alerts, document: entries.indexOf(entry) }))),
+    termCheck: checkTermPreservation(summarizedText, summary, glossary),
+    numericCheck: checkNumericFidelity(summarizedText, summary, { sourceLanguage: languageDetection.language, targetLanguage }),
+    originalLanguage: languageDetection.language,
+    languageDetection,
+    targetLanguage,
+    parser: [...new Set(summarized.map(entry => entry.parser))].join(', '),
+    ocr: null,
+    provider: provider || summarized[0].result.provider,
+    model: model || summarized[0].result.model,
+    redaction: redactor.audit(),
+    cache: { text: parsed.every(entry => entry.fromCache), result: combinedFromCache },
+    documents: entries.map(entry => ({
+      fileName: entry.fileName,
+      result: entry.result || null,
+      error: entry.error || null
+    }))
+  }
+}
+
+export { processDocument, processBatch, MODES }
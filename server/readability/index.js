@@ -0,0 +1,124 @@
+// Reading levels a summary can be written at, and readability scoring of the
+// result. Scores are only computed for languages with an established grade-level
+// formula - for other languages the level is still requested in the prompt.
+
+const READING_LEVELS = {
+  grade4: {
+    id: 'grade4',
+    label: 'Grade 4',
+    maxGrade: 4,
+    instructions: 'Write for a reader at a 4th-grade reading level: sentences of at most 10 words, everyday words instead of medical terms, and a few simple words of explanation for any medical term that has to stay.'
+  },
+  grade8: {
+    id: 'grade8',
+    label: 'Grade 8',
+    maxGrade: 8,
+    instructions: 'Write for a reader at an 8th-grade reading level: clear sentences of at most 20 words, with medical terms explained in plain words.'
+  },
+  clinical: {
+    id: 'clinical',
+    label: 'Clinical',
+    maxGrade: null,
+    instructions: 'Keep the standard medical terminology of the document - the reader wants the full clinical detail.'
+  }
+}
+
+const DEFAULT_READING_LEVEL = 'grade8'
+
+// Texts shorter than this give meaningless scores
+const MIN_WORDS = 20
+
+function countSyllablesEnglish(word) {
+  if (word.length <= 3) return 1
+  const trimmed = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '')
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length)
+}
+
+// Weak vowels (i, u) join the strong vowel next to them; two strong vowels are two syllables
+function countSyllablesSpanish(word) {
+  return Math.max(1, (word.match(/[iuü]*[aeoáéíóú][iuü]*|[iuü]+/g) || []).length)
+}
+
+function countSyllablesGerman(word) {
+  return Math.max(1, (word.match(/[aeiouyäöü]+/g) || []).length)
+}
+
+// Grade-level formulas by target language. Each gets { words, sentences, syllables, polysyllables, longWords, monosyllables }.
+const FORMULAS = {
+  English: {
+    name: 'Flesch-Kincaid',
+    countSyllables: countSyllablesEnglish,
+    grade: stats => 0.39 * (stats.words / stats.sentences) + 11.8 * (stats.syllables / stats.words) - 15.59
+  },
+  Spanish: {
+    // Crawford: sentences and syllables per 100 words
+    name: 'Crawford',
+    countSyllables: countSyllablesSpanish,
+    grade: stats => -0.205 * (stats.sentences * 100 / stats.words) + 0.049 * (stats.syllables * 100 / stats.words) - 3.407
+  },
+  German: {
+    // First Wiener Sachtextformel
+    name: 'Wiener Sachtextformel',
+    countSyllables: countSyllablesGerman,
+    grade: stats => 0.1935 * (stats.polysyllables * 100 / stats.words) +
+      0.1672 * (stats.words / stats.sentences) +
+      0.1297 * (stats.longWords * 100 / stats.words) -
+      0.0327 * (stats.monosyllables * 100 / stats.words) - 0.875
+  }
+}
+
+function getReadingLevel(id) {
+  return READING_LEVELS[id] || null
+}
+
+// Whether summaries in a language can be scored
+function hasReadabilityFormula(language) {
+  return !!FORMULAS[language]
+}
+
+// Grade level of a text, or null when the language has no formula or the text is too short.
+// Returns { formula, grade, words, sentences }.
+function measureReadability(text, language) {
+  const formula = FORMULAS[language]
+  if (!formula) return null
+
+  // Lines count as sentences too, since summaries are mostly short list items
+  const sentences = text
+    .split(/[.!?]+(?=\s|$)|\n+/)
+    .filter(sentence => /\p{L}/u.test(sentence))
+  const words = text.toLowerCase().match(/\p{L}+/gu) || []
+  if (words.length < MIN_WORDS || sentences.length === 0) return null
+
+  const stats = { words: words.length, sentences: sentences.length, syllables: 0, polysyllables: 0, longWords: 0, monosyllables: 0 }
+  for (const word of words) {
+    const syllables = formula.countSyllables(word)
+    stats.syllables += syllables
+    if (syllables >= 3) stats.polysyllables++
+    if (syllables === 1) stats.monosyllables++
+    if (word.length > 6) stats.longWords++
+  }
+
+  return {
+    formula: formula.name,
+    grade: Math.round(Math.max(0, formula.grade(stats)) * 10) / 10,
+    words: stats.words,
+    sentences: stats.sentences
+  }
+}
+
+// How a text measures up against a reading level:
+// { level, label, targetGrade, score, withinTarget } - withinTarget is null when
+// the level has no grade (clinical) or the text could not be scored
+function assessReadability(text, language, levelId = DEFAULT_READING_LEVEL) {
+  const level = getReadingLevel(levelId) || getReadingLevel(DEFAULT_READING_LEVEL)
+  const score = measureReadability(text, language)
+  return {
+    level: level.id,
+    label: level.label,
+    targetGrade: level.maxGrade,
+    score,
+    withinTarget: level.maxGrade && score ? score.grade <= level.maxGrade : null
+  }
+}
+
+export { READING_LEVELS, DEFAULT_READING_LEVEL, getReadingLevel, hasReadabilityFormula, measureReadability, assessReadability }
@@ -0,0 +1,109 @@
+import { escapeRegExp } from '../utils/text.js'
+
+// Finds protected health information (PHI) in text. Every detector returns
+// [{ start, end }] spans of the values to hide - labels such as "DOB:" stay
+// in the text so the model still knows what was there.
+//
+// Detection is rule based: values with a recognizable shape (phone numbers,
+// emails, SSNs, street addresses) anywhere, and names, record numbers and
+// birth dates where a label announces them. Names found this way are then
+// hidden wherever else they occur in the text.
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?'
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|(?:${MONTHS})\\.? \\d{1,2},? \\d{4}|\\d{1,2} (?:${MONTHS})\\.? \\d{4})`
+
+const STREET_SUFFIX = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy'
+
+// A capitalized name of one to four words, e.g. "Maria", "John A. Smith", "O'Brien-Lee"
+const NAME = "[A-Z][a-zA-Z'’-]+(?:,? (?:[A-Z]\\.|[A-Z][a-zA-Z'’-]+)){0,3}"
+
+// Labelled values: the first group is the value to hide
+const LABELLED = {
+  // "Name:" after a medication, test or provider word names that thing, not the patient
+  name: new RegExp(`\\b(?<!(?:Medication|Drug|Test|Provider|Doctor|Physician|Facility|Hospital|Clinic|Product) )(?:Patient(?: Name)?|Name|Pt|Guardian|Emergency Contact|Next of Kin|Caregiver)[ \\t]*:[ \\t]*(${NAME})`, 'g'),
+  mrn: /\b(?:MRN|Medical Record (?:Number|No\.?|#)|Patient ID|Record (?:Number|No\.?|#)|Account (?:Number|No\.?|#)|Acct\.? ?(?:No\.?|#))[ \t]*[:#]?[ \t]*([A-Z0-9][A-Z0-9-]{3,})/gi,
+  dob: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|Date of Birth|Birth ?date|Born)[ \\t]*:?[ \\t]*(${DATE})`, 'gi'),
+  address: /\b(?:Address|Home Address|Addr\.?)[ \t]*:[ \t]*([^\n]+)/gi
+}
+
+const PATTERNS = {
+  // Courtesy titles mark patient names; "Dr." is left alone - doctors' names are needed for follow-ups
+  name: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx)\\.? (${NAME})`, 'g'),
+  phone: /(?<![\w/.-])(?:\+?1[ .-]?)?(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4}(?![\w/-])/g,
+  email: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
+  address: new RegExp(`\\b\\d{1,6} (?:[A-Z][a-zA-Z]*\\.? ){1,4}(?:${STREET_SUFFIX})\\b\\.?(?:,? (?:Apt|Unit|Suite|#)\\.? ?\\w+)?(?:, [A-Z][a-zA-Z]+(?: [A-Z][a-zA-Z]+)*,? [A-Z]{2} \\d{5}(?:-\\d{4})?)?`, 'g')
+}
+
+// Words that look like names after a label but are not
+const NOT_NAMES = new Set(['Unknown', 'None', 'Not', 'The', 'Patient', 'Male', 'Female', 'Date', 'Age', 'Sex'])
+
+// Spans of the first capture group of every match
+function findGroups(text, pattern) {
+  const spans = []
+  for (const match of text.matchAll(pattern)) {
+    const value = match[1] ?? match[0]
+    const start = match.index + match[0].lastIndexOf(value)
+    spans.push({ start, end: start + value.trimEnd().length })
+  }
+  return spans
+}
+
+// Names, plus every other place the full name or one of its parts appears.
+// "Patient: Maria Lopez" also hides "Ms. Lopez" and "Maria" further down.
+function findNames(text) {
+  const spans = [...findGroups(text, LABELLED.name), ...findGroups(text, PATTERNS.name)]
+    .filter(span => !NOT_NAMES.has(text.slice(span.start, span.end).split(/[ ,]/)[0]))
+
+  const values = new Set()
+  for (const span of spans) {
+    const value = text.slice(span.start, span.end).replace(/,/g, '')
+    values.add(value)
+    for (const part of value.split(' ')) {
+      if (part.length >= 3 && !part.endsWith('.')) values.add(part)
+    }
+  }
+
+  for (const value of values) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu')
+    for (const match of text.matchAll(pattern)) {
+      spans.push({ start: match.index, end: match.index + value.length })
+    }
+  }
+  return spans
+}
+
+const DETECTORS = {
+  name: findNames,
+  mrn: text => findGroups(text, LABELLED.mrn),
+  dob: text => findGroups(text, LABELLED.dob),
+  address: text => [...findGroups(text, LABELLED.address), ...findGroups(text, PATTERNS.address)],
+  phone: text => findGroups(text, PATTERNS.phone),
+  email: text => findGroups(text, PATTERNS.email),
+  ssn: text => findGroups(text, PATTERNS.ssn)
+}
+
+const PHI_CATEGORIES = Object.keys(DETECTORS)
+
+// PHI in text for the given categories: [{ category, start, end, value }],
+// sorted and without overlaps - the longer of two overlapping spans wins
+function detectPhi(text, categories = PHI_CATEGORIES) {
+  const found = categories
+    .filter(category => DETECTORS[category])
+    .flatMap(category => DETECTORS[category](text).map(span => ({ category, ...span })))
+    .filter(span => span.end > span.start)
+    .sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start))
+
+  const spans = []
+  for (const span of found) {
+    const previous = spans[spans.length - 1]
+    if (previous && span.start < previous.end) {
+      if (span.end - span.start > previous.end - previous.start) spans[spans.length - 1] = span
+      continue
+    }
+    spans.push(span)
+  }
+  return spans.map(span => ({ ...span, value: text.slice(span.start, span.end) }))
+}
+
+export { PHI_CATEGORIES, detectPhi }
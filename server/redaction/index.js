@@ -0,0 +1,106 @@
+import config from '../config.js'
+import { escapeRegExp } from '../utils/text.js'
+import { PHI_CATEGORIES, detectPhi } from './detectors.js'
+
+// De-identification before text leaves the server. PHI in prompts for
+// third-party models is replaced with placeholder tokens such as [NAME_1], and
+// the real values are put back into the answers locally. Backends mark
+// themselves with isExternal() when they send data to a third party.
+
+// Placeholder tokens as the model may write them back, with or without brackets
+const TOKEN_PATTERN = new RegExp(`\\[?\\b(${PHI_CATEGORIES.join('|')})_(\\d+)\\b\\]?`, 'gi')
+
+function getRedactionPolicy() {
+  return {
+    enabled: config.redactionEnabled,
+    categories: config.redactionCategories.filter(category => PHI_CATEGORIES.includes(category)),
+    allowRawExternal: config.redactionAllowRawExternal
+  }
+}
+
+// Whether a backend may receive content that cannot be redacted (uploaded files,
+// audio text): local backends always, third parties only when the policy allows it
+function mayReceiveRawData(backend) {
+  const policy = getRedactionPolicy()
+  return !policy.enabled || policy.allowRawExternal || !backend.isExternal?.()
+}
+
+// Replaces PHI with tokens and restores it in what comes back. Use one redactor
+// for every model call about a document so a value always gets the same token.
+// source (the document text) teaches it values only their context gives away,
+// e.g. a name after "Patient:" that appears on its own in a later section.
+function createRedactor(source = '') {
+  const policy = getRedactionPolicy()
+  const tokens = new Map() // value -> token
+  const values = new Map() // token -> { value, category }
+  const counters = {}
+  const sentTo = new Set()
+  let replacements = 0
+
+  const learn = (text) => {
+    for (const { category, value } of detectPhi(text, policy.categories)) {
+      if (tokens.has(value)) continue
+      counters[category] = (counters[category] || 0) + 1
+      const token = `[${category.toUpperCase()}_${counters[category]}]`
+      tokens.set(value, token)
+      values.set(token, { value, category })
+    }
+  }
+
+  // Text with every known or newly found value replaced by its token
+  const redact = (text) => {
+    learn(text)
+    if (tokens.size === 0) return text
+    // Longest first, so "Maria Lopez" becomes one token rather than two
+    const known = [...tokens.keys()].sort((a, b) => b.length - a.length)
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${known.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+    return text.replace(pattern, (value) => {
+      replacements++
+      return tokens.get(value)
+    })
+  }
+
+  if (policy.enabled) learn(source)
+
+  return {
+    // Text to send to a backend - redacted when the backend is a third party
+    redactFor(backend, text) {
+      if (!policy.enabled || !text || !backend.isExternal?.()) return text
+      sentTo.add(backend.name)
+      return redact(text)
+    },
+
+    // Put the real values back. With json: true values are escaped for use inside JSON strings.
+    restore(text, { json = false } = {}) {
+      if (values.size === 0 || !text) return text
+      return text.replace(TOKEN_PATTERN, (match, category, number) => {
+        const entry = values.get(`[${category.toUpperCase()}_${number}]`)
+        if (!entry) return match
+        return json ? JSON.stringify(entry.value).slice(1, -1) : entry.value
+      })
+    },
+
+    // What was hidden and from whom, without the values themselves:
+    // { enabled, categories, sentTo, replacements, counts, tokens: [{ token, category }] }
+    audit() {
+      const counts = {}
+      for (const { category } of values.values()) counts[category] = (counts[category] || 0) + 1
+      return {
+        enabled: policy.enabled,
+        categories: policy.categories,
+        sentTo: [...sentTo],
+        replacements,
+        counts,
+        tokens: [...values].map(([token, { category }]) => ({ token, category }))
+      }
+    }
+  }
+}
+
+// Redaction policy for the health check
+function getRedactionStatus() {
+  const { enabled, categories, allowRawExternal } = getRedactionPolicy()
+  return { enabled, categories, allowRawExternal }
+}
+
+export { PHI_CATEGORIES, createRedactor, mayReceiveRawData, getRedactionStatus }
@@ -0,0 +1,216 @@
+import { setTimeout as sleep } from 'timers/promises'
+import config from '../config.js'
+import { createLogger } from '../logging/index.js'
+
+// Every call to an outside service goes through callProvider, which adds:
+// - retries with exponential backoff and full jitter for failures that may go
+//   away (network errors, timeouts, 408, 429 and 5xx), waiting as long as a
+//   Retry-After header or Gemini's retry delay asks
+// - an overall deadline for the call including its retries
+// - a circuit breaker per provider: after CIRCUIT_FAILURE_THRESHOLD failed
+//   calls in a row the provider is skipped for CIRCUIT_RESET_SECONDS, then a
+//   single trial call decides whether it is used again
+// getProviderHealth reports the breakers for the health check.
+
+const MAX_ATTEMPTS = Math.max(1, config.retryAttempts)
+const BASE_DELAY_MS = config.retryBaseDelayMs
+const MAX_DELAY_MS = config.retryMaxDelayMs
+const DEADLINE_MS = config.providerDeadlineSeconds * 1000
+const FAILURE_THRESHOLD = config.circuitFailureThreshold
+const RESET_MS = config.circuitResetSeconds * 1000
+
+// Network errors worth another try
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'])
+
+// HTTP statuses worth another try
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504])
+
+const log = createLogger('resilience')
+
+// Provider name -> { state, failures, openedAt, trial, lastSuccessAt, lastFailureAt, lastError }
+// state is closed (in use), open (skipped) or half-open (one trial call allowed)
+const circuits = new Map()
+
+function getCircuit(name) {
+  if (!circuits.has(name)) {
+    circuits.set(name, { state: 'closed', failures: 0, openedAt: null, trial: false, lastSuccessAt: null, lastFailureAt: null, lastError: null })
+  }
+  return circuits.get(name)
+}
+
+function getStatus(error) {
+  return error.response?.status ?? error.status
+}
+
+function getCode(error) {
+  return error.code || error.cause?.code
+}
+
+function isRetryable(error) {
+  if (error.code === 'DEADLINE_EXCEEDED') return false
+  const status = getStatus(error)
+  if (status) return RETRYABLE_STATUSES.has(status)
+  // fetch (used by the Gemini client) reports network errors as "fetch failed"
+  return RETRYABLE_CODES.has(getCode(error)) || /fetch failed/i.test(error.message)
+}
+
+// Whether an error says the provider is unwell rather than that the request
+// was wrong. Other 4xx answers still show the provider is up.
+function isProviderFault(error) {
+  const status = getStatus(error)
+  if (!status) return true
+  return status >= 500 || [401, 403, 408, 429].includes(status)
+}
+
+// What went wrong, for the health check - never the message, which may quote the request
+function describeFailure(error) {
+  const status = getStatus(error)
+  if (status) return `HTTP ${status}`
+  return getCode(error) || 'invalid response'
+}
+
+// How long the provider asked us to wait, in milliseconds, or null
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers
+  const retryAfterMs = Number(headers?.['retry-after-ms'])
+  if (retryAfterMs > 0) return retryAfterMs
+
+  const retryAfter = headers?.['retry-after']
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (!Number.isNaN(seconds)) return seconds * 1000
+    const date = Date.parse(retryAfter)
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+  }
+
+  // Gemini puts it in the error details, e.g. { retryDelay: '12s' }
+  const retryDelay = error.errorDetails?.find(detail => detail.retryDelay)?.retryDelay
+  const seconds = parseFloat(retryDelay)
+  return seconds >= 0 ? seconds * 1000 : null
+}
+
+// Exponential backoff with full jitter: anywhere from 0 to base * 2^(attempt - 1), capped
+function getBackoffMs(attempt) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1))
+}
+
+function circuitOpenError(name, circuit) {
+  const seconds = Math.ceil((circuit.openedAt + RESET_MS - Date.now()) / 1000)
+  const error = new Error(seconds > 0
+    ? `${name} is skipped after repeated failures, trying again in ${seconds}s`
+    : `${name} is skipped while a trial call checks whether it works again`)
+  error.code = 'CIRCUIT_OPEN'
+  return error
+}
+
+function deadlineError(name, deadline, startedAt) {
+  const error = new Error(`${name} did not answer within ${Math.round((deadline - startedAt) / 1000)}s`)
+  error.code = 'DEADLINE_EXCEEDED'
+  return error
+}
+
+// Let a call through the provider's breaker, or throw when it is open
+function enterCircuit(name) {
+  const circuit = getCircuit(name)
+  if (circuit.state === 'open') {
+    if (Date.now() - circuit.openedAt < RESET_MS) throw circuitOpenError(name, circuit)
+    circuit.state = 'half-open'
+  }
+  if (circuit.state === 'half-open') {
+    if (circuit.trial) throw circuitOpenError(name, circuit)
+    circuit.trial = true
+  }
+  return circuit
+}
+
+function recordSuccess(name, circuit) {
+  if (circuit.state !== 'closed') log.info('Provider works again', { provider: name })
+  Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, trial: false, lastSuccessAt: new Date().toISOString() })
+}
+
+function recordFailure(name, circuit, error) {
+  circuit.failures++
+  circuit.trial = false
+  circuit.lastFailureAt = new Date().toISOString()
+  circuit.lastError = describeFailure(error)
+  if (circuit.state === 'half-open' || circuit.failures >= FAILURE_THRESHOLD) {
+    if (circuit.state !== 'open') log.warn('Provider skipped after repeated failures', { provider: name, failures: circuit.failures, resetSeconds: RESET_MS / 1000 })
+    circuit.state = 'open'
+    circuit.openedAt = Date.now()
+  }
+}
+
+// Call a provider: fn(signal) makes one attempt and must pass signal on to its
+// request, so the deadline and a cancelled job stop it. name is the provider's
+// breaker (gemini, openai, llamaparse). deadline is a timestamp in ms for calls
+// that share one, e.g. the steps of a LlamaParse job; by default it is
+// PROVIDER_DEADLINE_SECONDS from now. retry: false makes a single attempt.
+// Throws the last error, or one with code CIRCUIT_OPEN or DEADLINE_EXCEEDED.
+async function callProvider(name, fn, { signal, deadline, retry = true } = {}) {
+  signal?.throwIfAborted()
+  const circuit = enterCircuit(name)
+  const startedAt = Date.now()
+  const callDeadline = deadline || startedAt + DEADLINE_MS
+  const maxAttempts = retry ? MAX_ATTEMPTS : 1
+
+  for (let attempt = 1; ; attempt++) {
+    const remaining = callDeadline - Date.now()
+    let error = remaining > 0 ? null : deadlineError(name, callDeadline, startedAt)
+    if (!error) {
+      try {
+        const result = await fn(AbortSignal.any([AbortSignal.timeout(remaining), ...(signal ? [signal] : [])]))
+        recordSuccess(name, circuit)
+        return result
+      } catch (attemptError) {
+        error = attemptError
+      }
+    }
+
+    // A cancelled job says nothing about the provider
+    if (signal?.aborted) {
+      circuit.trial = false
+      throw signal.reason
+    }
+    if (Date.now() >= callDeadline) error = deadlineError(name, callDeadline, startedAt)
+
+    const retryAfterMs = getRetryAfterMs(error)
+    const delay = retryAfterMs ?? getBackoffMs(attempt)
+    const canRetry = attempt < maxAttempts &&
+      isRetryable(error) &&
+      delay <= MAX_DELAY_MS &&
+      Date.now() + delay < callDeadline
+    if (!canRetry) {
+      if (isProviderFault(error)) recordFailure(name, circuit, error)
+      else recordSuccess(name, circuit)
+      throw error
+    }
+
+    log.warn('Provider call failed, retrying', { provider: name, attempt, status: getStatus(error), code: getCode(error), delayMs: Math.round(delay) })
+    try {
+      await sleep(delay, undefined, { signal })
+    } catch {
+      circuit.trial = false
+      throw signal.reason
+    }
+  }
+}
+
+// Breaker state of every provider called so far:
+// { [name]: { state, failures, lastSuccessAt, lastFailureAt, lastError, retryAt } }
+// retryAt is when an open breaker lets a trial call through.
+function getProviderHealth() {
+  const health = {}
+  for (const [name, circuit] of circuits) {
+    health[name] = {
+      state: circuit.state,
+      failures: circuit.failures,
+      lastSuccessAt: circuit.lastSuccessAt,
+      lastFailureAt: circuit.lastFailureAt,
+      lastError: circuit.lastError,
+      retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + RESET_MS).toISOString() : null
+    }
+  }
+  return health
+}
+
+export { callProvider, getProviderHealth }
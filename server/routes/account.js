@@ -0,0 +1,153 @@
+import express from 'express'
+import {
+  validateRegistration,
+  validateSettings,
+  createUser,
+  authenticate,
+  createSession,
+  deleteSession,
+  updateSettings,
+  listCaregivers,
+  listPatients,
+  addCaregiver,
+  removeCaregiver,
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireUser
+} from '../accounts/index.js'
+import { createLogger } from '../logging/index.js'
+import { DEFAULT_LOCALE, translate, localizeError, translateProblems } from '../i18n/index.js'
+import { recordAudit } from '../logging/audit.js'
+
+// Sign-up, sign-in and the signed-in user's settings and caregivers, mounted at /api/account
+const router = express.Router()
+
+const log = createLogger('account')
+
+// Send an account store error to the client, as the error of code with the
+// store's message in the language of the request
+function sendError(req, res, error, code) {
+  log.error(translate(DEFAULT_LOCALE, `${code}.error`), { error })
+  res.status(error.status || 500).json(localizeError(req.locale, code, {}, {
+    message: error.messageKey ? translate(req.locale, error.messageKey) : error.message
+  }))
+}
+
+// Create an account and sign in: { name, email, password }
+router.post('/register', async (req, res) => {
+  const { account, errors } = validateRegistration(req.body || {})
+  if (errors.length > 0) {
+    return res.status(400).json(localizeError(req.locale, 'invalidAccount', {}, { message: translateProblems(req.locale, errors) }))
+  }
+
+  try {
+    const user = await createUser(account)
+    setSessionCookie(res, await createSession(user.id))
+    recordAudit('account.registered', { userId: user.id })
+    res.status(201).json({ user })
+  } catch (error) {
+    sendError(req, res, error, 'registerFailed')
+  }
+})
+
+// Sign in: { email, password }
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body || {}
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json(localizeError(req.locale, 'credentialsRequired'))
+  }
+
+  try {
+    const user = await authenticate(email, password)
+    if (!user) {
+      recordAudit('account.login_failed')
+      return res.status(401).json(localizeError(req.locale, 'wrongCredentials'))
+    }
+    setSessionCookie(res, await createSession(user.id))
+    recordAudit('account.login', { userId: user.id })
+    res.json({ user })
+  } catch (error) {
+    sendError(req, res, error, 'signInFailed')
+  }
+})
+
+router.post('/logout', async (req, res) => {
+  try {
+    const token = readSessionToken(req)
+    if (token) await deleteSession(token)
+    clearSessionCookie(res)
+    res.json({ success: true })
+  } catch (error) {
+    sendError(req, res, error, 'signOutFailed')
+  }
+})
+
+// Everything below is for the signed-in user
+router.use(requireUser)
+
+router.get('/', (req, res) => {
+  res.json({ user: req.user })
+})
+
+// Change preferred language, reading level or dark mode
+router.put('/settings', async (req, res) => {
+  const { settings, errors } = validateSettings(req.body || {})
+  if (errors.length > 0) {
+    return res.status(400).json(localizeError(req.locale, 'invalidSettings', {}, { message: translateProblems(req.locale, errors) }))
+  }
+
+  try {
+    res.json({ user: await updateSettings(req.user.id, settings) })
+  } catch (error) {
+    sendError(req, res, error, 'saveSettingsFailed')
+  }
+})
+
+// People the user has allowed to view their documents
+router.get('/caregivers', async (req, res) => {
+  try {
+    res.json({ caregivers: await listCaregivers(req.user.id) })
+  } catch (error) {
+    sendError(req, res, error, 'listCaregiversFailed')
+  }
+})
+
+// Allow another account to view the user's documents: { email }
+router.post('/caregivers', async (req, res) => {
+  const { email } = req.body || {}
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json(localizeError(req.locale, 'caregiverEmailRequired'))
+  }
+
+  try {
+    const caregiver = await addCaregiver(req.user.id, email)
+    recordAudit('caregiver.added', { caregiverId: caregiver.id })
+    res.status(201).json({ caregiver })
+  } catch (error) {
+    sendError(req, res, error, 'addCaregiverFailed')
+  }
+})
+
+router.delete('/caregivers/:caregiverId', async (req, res) => {
+  try {
+    if (!await removeCaregiver(req.user.id, req.params.caregiverId)) {
+      return res.status(404).json(localizeError(req.locale, 'caregiverNotFound'))
+    }
+    recordAudit('caregiver.removed', { caregiverId: req.params.caregiverId })
+    res.json({ success: true })
+  } catch (error) {
+    sendError(req, res, error, 'removeCaregiverFailed')
+  }
+})
+
+// People who have allowed the user to view their documents
+router.get('/patients', async (req, res) => {
+  try {
+    res.json({ patients: await listPatients(req.user.id) })
+  } catch (error) {
+    sendError(req, res, error, 'listPatientsFailed')
+  }
+})
+
+export default router
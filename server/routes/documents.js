@@ -0,0 +1,113 @@
+import express from 'express'
+import { isValidOwner, getHistoryEntry } from '../history/index.js'
+import { canViewDocuments } from '../accounts/index.js'
+import { getJob, getJobDocument } from '../jobs.js'
+import { validateChatRequest, answerQuestion, detectUrgentSymptoms } from '../chat/index.js'
+import { listEntries, findRelevantEntries, buildGlossaryInstructions } from '../glossary/index.js'
+import { createRedactor } from '../redaction/index.js'
+import { normalizeLanguage } from '../languages/index.js'
+import { createLogger } from '../logging/index.js'
+import { recordAudit, collectProviderCalls, summarizeProviderCalls } from '../logging/audit.js'
+import { localizeError, localizeFailure, translateProblems } from '../i18n/index.js'
+
+// Questions about a processed document, mounted at /api/documents. The ID of a
+// document is the ID of the job that processed it, which is also its ID in the
+// document history. Caregivers add ?patient=<user ID> for a patient's documents.
+const router = express.Router()
+
+const log = createLogger('documents')
+
+router.use(async (req, res, next) => {
+  const owner = req.query.patient || req.user.id
+  try {
+    if (!isValidOwner(owner) || !await canViewDocuments(req.user.id, owner)) {
+      return res.status(403).json(localizeError(req.locale, 'noDocumentAccess'))
+    }
+  } catch (error) {
+    return next(error)
+  }
+  req.documentOwner = owner
+  next()
+})
+
+// Parsed text and language of a document - from its job while that is still in
+// memory, else from the history. Returns { text, language }, with text null
+// while the document is still being parsed, or null when there is no such document.
+async function findDocument(owner, id) {
+  const job = getJob(id)
+  if (job?.ownerId === owner) {
+    return { text: getJobDocument(id)?.text || null, language: job.language }
+  }
+  const entry = await getHistoryEntry(owner, id)
+  return entry && { text: entry.text, language: entry.language }
+}
+
+// Answer a question about a document from what the document says, in the
+// requested (or the document's) language. Body: { question, messages, language }
+// where messages is the conversation so far, [{ role: 'user' | 'assistant', content }].
+// Returns { answer, answered, urgent, urgentSymptoms, citations, ... } - answered is
+// false when the document does not answer the question, urgent is true when the
+// question describes symptoms that need a doctor now.
+router.post('/:id/chat', async (req, res, next) => {
+  const { question, messages, errors } = validateChatRequest(req.body || {})
+  if (errors.length > 0) {
+    return res.status(400).json(localizeError(req.locale, 'invalidQuestion', {}, { message: translateProblems(req.locale, errors) }))
+  }
+
+  let document
+  try {
+    document = await findDocument(req.documentOwner, req.params.id)
+  } catch (error) {
+    return next(error)
+  }
+  if (!document) {
+    return res.status(404).json(localizeError(req.locale, 'documentNotFound'))
+  }
+  if (!document.text) {
+    return res.status(409).json(localizeError(req.locale, 'notParsed'))
+  }
+
+  const language = req.body.language
+  const targetLanguage = language ? normalizeLanguage(language) : document.language
+
+  // Stop generating when the client goes away
+  const controller = new AbortController()
+  res.on('close', () => controller.abort())
+
+  const calls = []
+  const audit = (outcome, answer) => recordAudit('document.chat', {
+    jobId: req.params.id,
+    ownerId: req.documentOwner,
+    language: targetLanguage,
+    providers: summarizeProviderCalls(calls),
+    outcome,
+    answered: answer?.answered,
+    urgent: answer?.urgent
+  })
+
+  try {
+    const glossary = findRelevantEntries(document.text, await listEntries(targetLanguage))
+    const redactor = createRedactor(document.text)
+    const answer = await collectProviderCalls(calls, () => answerQuestion(document.text, question, targetLanguage, {
+      messages,
+      glossary: buildGlossaryInstructions(glossary),
+      redactor,
+      signal: controller.signal
+    }))
+    audit('done', answer)
+    res.json({ success: true, ...answer, targetLanguage, redaction: redactor.audit() })
+  } catch (error) {
+    if (controller.signal.aborted) return audit('cancelled')
+    log.error('Error answering question', { error })
+    audit('failed')
+    // The warning about urgent symptoms is still given without an answer
+    const urgentSymptoms = detectUrgentSymptoms(question)
+    res.status(500).json({
+      ...localizeFailure(req.locale, 'chatFailed', error),
+      urgent: urgentSymptoms.length > 0,
+      urgentSymptoms
+    })
+  }
+})
+
+export default router
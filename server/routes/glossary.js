@@ -0,0 +1,99 @@
+import express from 'express'
+import {
+  validateEntry,
+  listGlossaries,
+  listEntries,
+  addEntry,
+  updateEntry,
+  deleteEntry
+} from '../glossary/index.js'
+import { requireAdmin } from '../accounts/index.js'
+import { findLanguage } from '../languages/index.js'
+import { createLogger } from '../logging/index.js'
+import { DEFAULT_LOCALE, translate, localizeError, translateProblems } from '../i18n/index.js'
+
+// CRUD endpoints for the per-language glossaries, mounted at /api/glossaries.
+// :language is the target language - its name, native name or code, e.g.
+// /api/glossaries/Spanish or /api/glossaries/es. Glossaries are kept under the
+// English name, so every way of writing a language reaches the same glossary.
+// Glossaries apply to every user's documents, so only admins may change them.
+const router = express.Router()
+
+const log = createLogger('glossary')
+
+// Send a glossary store error to the client as the error of code
+function sendError(req, res, error, code) {
+  log.error(translate(DEFAULT_LOCALE, `${code}.error`), { error })
+  res.status(error.status || 500).json(localizeError(req.locale, code, {}, { message: error.message }))
+}
+
+// Resolve :language through the language registry, 400 for unknown languages
+router.param('language', (req, res, next, value) => {
+  const language = findLanguage(value)
+  if (!language) {
+    return res.status(400).json(localizeError(req.locale, 'unknownLanguage', { language: value }))
+  }
+  req.glossaryLanguage = language.name
+  next()
+})
+
+// Languages that have a glossary, with entry counts
+router.get('/', async (req, res) => {
+  try {
+    res.json({ glossaries: await listGlossaries() })
+  } catch (error) {
+    sendError(req, res, error, 'listGlossariesFailed')
+  }
+})
+
+router.get('/:language', async (req, res) => {
+  try {
+    res.json({ language: req.glossaryLanguage, entries: await listEntries(req.glossaryLanguage) })
+  } catch (error) {
+    sendError(req, res, error, 'readGlossaryFailed')
+  }
+})
+
+router.post('/:language', requireAdmin, async (req, res) => {
+  const { entry, errors } = validateEntry(req.body || {})
+  if (errors.length > 0) {
+    return res.status(400).json(localizeError(req.locale, 'invalidGlossaryEntry', {}, { message: translateProblems(req.locale, errors) }))
+  }
+
+  try {
+    res.status(201).json(await addEntry(req.glossaryLanguage, entry))
+  } catch (error) {
+    sendError(req, res, error, 'addGlossaryEntryFailed')
+  }
+})
+
+router.put('/:language/:entryId', requireAdmin, async (req, res) => {
+  const { entry, errors } = validateEntry(req.body || {}, { partial: true })
+  if (errors.length > 0) {
+    return res.status(400).json(localizeError(req.locale, 'invalidGlossaryEntry', {}, { message: translateProblems(req.locale, errors) }))
+  }
+
+  try {
+    const updated = await updateEntry(req.glossaryLanguage, req.params.entryId, entry)
+    if (!updated) {
+      return res.status(404).json(localizeError(req.locale, 'glossaryEntryNotFound'))
+    }
+    res.json(updated)
+  } catch (error) {
+    sendError(req, res, error, 'updateGlossaryEntryFailed')
+  }
+})
+
+router.delete('/:language/:entryId', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteEntry(req.glossaryLanguage, req.params.entryId)
+    if (!deleted) {
+      return res.status(404).json(localizeError(req.locale, 'glossaryEntryNotFound'))
+    }
+    res.json({ success: true })
+  } catch (error) {
+    sendError(req, res, error, 'deleteGlossaryEntryFailed')
+  }
+})
+
+export default router
@@ -0,0 +1,126 @@
+import express from 'express'
+import {
+  isValidOwner,
+  listHistory,
+  getHistoryEntry,
+  getHistoryFile,
+  deleteHistoryEntry,
+  deleteHistory
+} from '../history/index.js'
+import { canViewDocuments } from '../accounts/index.js'
+import { restoreJob, removeJob } from '../jobs.js'
+import { createLogger } from '../logging/index.js'
+import { recordAudit } from '../logging/audit.js'
+import { clearCache } from '../cache/index.js'
+import { DEFAULT_LOCALE, translate, localizeError } from '../i18n/index.js'
+
+// Endpoints for the documents the signed-in user has processed, mounted at /api/history.
+// Caregivers add ?patient=<user ID> to view the documents of a patient who allowed
+// it - read only, deleting stays with the patient.
+const router = express.Router()
+
+const log = createLogger('history')
+
+// Send a history store error to the client as the error of code
+function sendError(req, res, error, code) {
+  log.error(translate(DEFAULT_LOCALE, `${code}.error`), { error })
+  res.status(error.status || 500).json(localizeError(req.locale, code, {}, { message: error.message }))
+}
+
+router.use(async (req, res, next) => {
+  const owner = req.query.patient || req.user.id
+  try {
+    if (!isValidOwner(owner) || !await canViewDocuments(req.user.id, owner)) {
+      return res.status(403).json(localizeError(req.locale, 'noDocumentAccess'))
+    }
+  } catch (error) {
+    return next(error)
+  }
+  if (owner !== req.user.id && req.method !== 'GET') {
+    return res.status(403).json(localizeError(req.locale, 'patientOnly'))
+  }
+  req.historyOwner = owner
+  next()
+})
+
+// Past documents, newest first, without their text and results
+router.get('/', async (req, res) => {
+  try {
+    res.json({ entries: await listHistory(req.historyOwner) })
+  } catch (error) {
+    sendError(req, res, error, 'listHistoryFailed')
+  }
+})
+
+// One past document with its parsed text and result. Its job is brought back
+// so the job endpoints work for it again.
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await getHistoryEntry(req.historyOwner, req.params.id)
+    if (!entry) {
+      return res.status(404).json(localizeError(req.locale, 'historyEntryNotFound'))
+    }
+    const job = restoreJob({
+      id: entry.id,
+      ownerId: req.historyOwner,
+      fileName: entry.fileName,
+      language: entry.language,
+      mode: entry.mode,
+      readingLevel: entry.readingLevel,
+      batch: entry.batch,
+      createdAt: entry.createdAt,
+      updatedAt: entry.completedAt,
+      result: entry.result
+    }, { text: entry.text, parser: entry.parser })
+    recordAudit('document.viewed', { jobId: entry.id, ownerId: req.historyOwner })
+    res.json({ entry, job })
+  } catch (error) {
+    sendError(req, res, error, 'readHistoryFailed')
+  }
+})
+
+// Download an uploaded file of a past document; :index counts from 0
+router.get('/:id/files/:index', async (req, res) => {
+  try {
+    const file = await getHistoryFile(req.historyOwner, req.params.id, Number(req.params.index))
+    if (!file) {
+      return res.status(404).json(localizeError(req.locale, 'fileNotFound'))
+    }
+    recordAudit('document.downloaded', { jobId: req.params.id, ownerId: req.historyOwner, file: Number(req.params.index) })
+    // Health data - never kept in shared caches
+    res.attachment(file.name).set('Cache-Control', 'no-store').send(file.content)
+  } catch (error) {
+    sendError(req, res, error, 'readFileFailed')
+  }
+})
+
+// Delete a past document: its files, text, result and the job it came from
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!await deleteHistoryEntry(req.historyOwner, req.params.id)) {
+      return res.status(404).json(localizeError(req.locale, 'historyEntryNotFound'))
+    }
+    removeJob(req.params.id)
+    // Cached text and results are not kept by document, so all of the user's go
+    clearCache(req.historyOwner)
+    recordAudit('document.deleted', { jobId: req.params.id, ownerId: req.historyOwner })
+    res.json({ success: true })
+  } catch (error) {
+    sendError(req, res, error, 'deleteHistoryEntryFailed')
+  }
+})
+
+// Delete everything stored for the user
+router.delete('/', async (req, res) => {
+  try {
+    const ids = await deleteHistory(req.historyOwner)
+    ids.forEach(id => removeJob(id))
+    clearCache(req.historyOwner)
+    recordAudit('history.deleted', { ownerId: req.historyOwner, deleted: ids.length })
+    res.json({ success: true, deleted: ids.length })
+  } catch (error) {
+    sendError(req, res, error, 'deleteHistoryFailed')
+  }
+})
+
+export default router
@@ -0,0 +1,37 @@
+import express from 'express'
+import config from '../config.js'
+import { LANGUAGES } from '../languages/index.js'
+import ocr from '../parsers/ocr.js'
+import { getFileTypes } from '../parsers/index.js'
+import { canSpeak } from '../tts/index.js'
+import { hasReadabilityFormula } from '../readability/index.js'
+
+// The language registry, mounted at /api/languages. Works without signing in,
+// so the sign-in screen can be shown in the user's language.
+const router = express.Router()
+
+// Every language with what the server can do in it right now, and the uploads
+// it can read:
+// { languages: [{ name, code, nativeName, direction, ocrModel, offlineSpeech, flag,
+//   capabilities: { ocr, speech, readability } }], fileTypes }
+// ocr: photos in the language can be read (Tesseract is installed and the
+// language is in OCR_LANGUAGES), speech: a text-to-speech backend can read it
+// aloud, readability: summaries in it get a reading grade. fileTypes (see
+// getFileTypes) lets the app offer only the files it can read.
+router.get('/', (req, res) => {
+  const ocrLanguages = config.ocrLanguages.split('+')
+  const ocrInstalled = ocr.isConfigured()
+  res.json({
+    languages: LANGUAGES.map(language => ({
+      ...language,
+      capabilities: {
+        ocr: ocrInstalled && ocrLanguages.includes(language.ocrModel),
+        speech: canSpeak(language.name),
+        readability: hasReadabilityFormula(language.name)
+      }
+    })),
+    fileTypes: getFileTypes()
+  })
+})
+
+export default router
@@ -0,0 +1,126 @@
+import { generateText, getProviders } from './index.js'
+import { SECTION_FIELDS, formatSummaryText } from './schema.js'
+import { createLogger } from '../logging/index.js'
+
+const log = createLogger('combine')
+
+// Fields that identify the same point in two documents, e.g. a medication
+// listed on both the discharge summary and the prescription
+const IDENTITY_FIELDS = {
+  diagnoses: ['name'],
+  medications: ['name', 'dose'],
+  followUps: ['description', 'date'],
+  warningSigns: ['sign'],
+  labValues: ['name', 'value', 'unit']
+}
+
+// Case, spacing and punctuation do not make two points different
+function normalizeKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+}
+
+// Tag citations with the document they point into - offsets are per document
+function tagCitations(citations = [], document) {
+  return citations.map(citation => ({ ...citation, document }))
+}
+
+// Merge the list sections of several structured summaries, dropping points that
+// appear in more than one document. A duplicate fills in fields the first copy
+// left empty and adds its citations. Every point lists the documents that
+// mention it, by their document number (see combineSummaries).
+function mergeSections(summaries) {
+  const merged = {}
+  for (const [section, fields] of Object.entries(SECTION_FIELDS)) {
+    const byKey = new Map()
+    summaries.forEach(({ structuredSummary, document }) => {
+      for (const item of structuredSummary[section]) {
+        const key = IDENTITY_FIELDS[section].map(field => normalizeKey(item[field])).join('|')
+        const existing = byKey.get(key)
+        if (!existing) {
+          byKey.set(key, { ...item, citations: tagCitations(item.citations, document), documents: [document] })
+          continue
+        }
+        for (const field of fields) {
+          if (!existing[field] && item[field]) existing[field] = item[field]
+        }
+        existing.citations.push(...tagCitations(item.citations, document))
+        if (!existing.documents.includes(document)) existing.documents.push(document)
+      }
+    })
+    merged[section] = [...byKey.values()]
+  }
+  return merged
+}
+
+// Prompt asking for one overview covering several documents
+function buildCombinedOverviewPrompt(summaries, targetLanguage) {
+  const overviews = summaries
+    .map(({ fileName, structuredSummary }) => `- ${fileName}: ${structuredSummary.overview}`)
+    .join('\n    ')
+  return `A patient received several health documents. Here is a short overview of each one:
+    ${overviews}
+
+    Write one overview in ${targetLanguage} of two to four sentences that covers all of the documents together.
+    Say each fact only once, even when several documents mention it. Do not add information that is not in the overviews.
+    Keep medication names, numbers, units and dates exactly as they are.
+    Return ONLY the overview text (no heading, no markdown).`
+}
+
+// Overview for the combined summary. Falls back to the overview of each
+// document, one paragraph per document, when no model can write one.
+async function combineOverviews(summaries, targetLanguage, { signal, redactor }) {
+  if (summaries.length === 1) {
+    return { overview: summaries[0].structuredSummary.overview, provider: null, model: null }
+  }
+
+  const fallback = {
+    overview: summaries.map(({ fileName, structuredSummary }) => `${fileName}: ${structuredSummary.overview}`).join('\n\n'),
+    provider: null,
+    model: null
+  }
+  if (getProviders().length === 0) return fallback
+
+  try {
+    const result = await generateText(buildCombinedOverviewPrompt(summaries, targetLanguage), {
+      targetLanguage,
+      signal,
+      redactor,
+      task: 'combine'
+    })
+    return { overview: result.text.trim(), provider: result.provider, model: result.model }
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason
+    log.warn('Could not write a combined overview, listing each document instead', { error })
+    return fallback
+  }
+}
+
+// Combine the structured summaries of several documents into one.
+// summaries is [{ fileName, structuredSummary, document }] - document is the
+// number citations and points use to refer to it, by default its position in
+// summaries. List sections are merged without duplicates and the overview is
+// rewritten to cover every document. redactor hides PHI from third-party
+// providers (see generateText).
+// Returns { summary, structuredSummary, provider, model } - provider and model
+// are null when the overview was not written by a model.
+async function combineSummaries(summaries, targetLanguage, { signal, redactor } = {}) {
+  summaries = summaries.map((entry, index) => ({ document: index, ...entry }))
+  const { overview, provider, model } = await combineOverviews(summaries, targetLanguage, { signal, redactor })
+  const structuredSummary = {
+    overview,
+    headings: summaries[0].structuredSummary.headings,
+    ...mergeSections(summaries),
+    overviewCitations: summaries.flatMap(({ structuredSummary: summary, document }) => (
+      tagCitations(summary.overviewCitations, document)
+    ))
+  }
+
+  return {
+    summary: formatSummaryText(structuredSummary),
+    structuredSummary,
+    provider,
+    model
+  }
+}
+
+export { combineSummaries }
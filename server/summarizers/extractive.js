@@ -0,0 +1,85 @@
+// Deterministic offline summarizer - picks the most representative sentences
+// from the document itself. It does not translate, so it is meant for tests and
+// for running without any model, not for patients.
+
+const MAX_SENTENCES = 5
+const MODEL_NAME = 'word-frequency-v1'
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'this', 'that', 'from',
+  'have', 'has', 'had', 'not', 'but', 'you', 'your', 'his', 'her', 'they',
+  'their', 'will', 'would', 'should', 'been', 'being', 'into', 'than', 'then',
+  'them', 'there', 'these', 'those', 'which', 'when', 'what', 'who', 'all', 'any'
+])
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/^[\s#>*-]+/, '').trim())
+    .filter(sentence => sentence.length > 0)
+}
+
+function tokenize(sentence) {
+  return (sentence.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+}
+
+// Score each sentence by the average document frequency of its words and
+// return the top sentences in their original order
+function summarizeExtractive(text, maxSentences = MAX_SENTENCES) {
+  const sentences = splitSentences(text)
+  const frequencies = new Map()
+  for (const sentence of sentences) {
+    for (const word of tokenize(sentence)) {
+      frequencies.set(word, (frequencies.get(word) || 0) + 1)
+    }
+  }
+
+  const scored = sentences.map((sentence, index) => {
+    const words = tokenize(sentence)
+    const total = words.reduce((sum, word) => sum + frequencies.get(word), 0)
+    return { sentence, index, score: words.length > 0 ? total / words.length : 0 }
+  })
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index)
+    .map(item => `- ${item.sentence}`)
+    .join('\n')
+}
+
+// The prompt is ignored - the summary is built from the source text only.
+// For JSON requests the sentences become the overview of an otherwise empty structured summary.
+// Other tasks (medication extraction, ...) need a real model.
+async function generateExtractive(prompt, { text = prompt, json = false, task = 'summary' } = {}) {
+  if (task !== 'summary') {
+    throw new Error(`The extractive provider cannot handle "${task}" requests`)
+  }
+
+  const summary = summarizeExtractive(text)
+  if (!json) {
+    return { text: summary, model: MODEL_NAME }
+  }
+
+  // Every sentence is taken from the document, so each one is its own source
+  const sentences = summary.split('\n').map(line => line.replace(/^- /, ''))
+  const structured = {
+    overview: sentences.join('\n'),
+    overviewSources: sentences,
+    diagnoses: [],
+    medications: [],
+    followUps: [],
+    warningSigns: [],
+    labValues: []
+  }
+  return { text: JSON.stringify(structured), model: MODEL_NAME }
+}
+
+export { summarizeExtractive, splitSentences }
+
+export default {
+  name: 'extractive',
+  isConfigured: () => true,
+  generate: generateExtractive
+}
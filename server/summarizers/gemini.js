@@ -0,0 +1,58 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+import config from '../config.js'
+import { createLogger } from '../logging/index.js'
+import { callProvider } from '../resilience/index.js'
+
+const GEMINI_API_KEY = config.geminiApiKey
+const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null
+
+const log = createLogger('gemini')
+
+// Send a prompt to Google Gemini, trying the configured models in order.
+// Every model has its own circuit breaker (gemini/<model>), since quotas and
+// outages are per model. Rate limits and server errors are retried on the same
+// model (see callProvider) and then move on to the next model, as does a model
+// that does not exist or is being skipped. All models share one deadline.
+// Returns { text, model } for the first model that answers.
+async function generateWithGemini(prompt, { signal, json = false } = {}) {
+  const deadline = Date.now() + config.providerDeadlineSeconds * 1000
+  for (const modelName of config.geminiModels) {
+    try {
+      log.debug('Trying Gemini model', { model: modelName })
+      const model = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+      })
+      const result = await callProvider(
+        `gemini/${modelName}`,
+        attemptSignal => model.generateContent(prompt, { signal: attemptSignal }),
+        { signal, deadline }
+      )
+      const response = await result.response
+      log.info('Gemini model answered', { model: modelName })
+      return { text: response.text(), model: modelName }
+    } catch (modelError) {
+      log.warn('Gemini model failed', { model: modelName, error: modelError })
+      if (signal?.aborted) throw modelError
+      // A model that is missing, busy or out of quota - the next one may answer
+      const status = modelError.status
+      if (modelError.code === 'CIRCUIT_OPEN' || status === 404 || status === 429 || status >= 500 ||
+        /not found|not supported/i.test(modelError.message)) {
+        continue
+      }
+      // Anything else (a bad key, a rejected prompt, the deadline) fails the same way on every model
+      throw modelError
+    }
+  }
+
+  throw new Error(`None of the Gemini models are available: ${config.geminiModels.join(', ')}`)
+}
+
+export { generateWithGemini }
+
+export default {
+  name: 'gemini',
+  isConfigured: () => !!GEMINI_API_KEY,
+  isExternal: () => true,
+  generate: generateWithGemini
+}
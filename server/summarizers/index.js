@@ -0,0 +1,163 @@
+import config from '../config.js'
+import gemini from './gemini.js'
+import openai from './openai.js'
+import extractive from './extractive.js'
+import { buildSummaryPrompt, buildRepairPrompt, buildSimplifyPrompt } from './prompts.js'
+import { parseStructuredSummary, formatSummaryText } from './schema.js'
+import { createRedactor } from '../redaction/index.js'
+import { createLogger } from '../logging/index.js'
+import { trackProviderCall } from '../logging/audit.js'
+import { DEFAULT_READING_LEVEL, getReadingLevel, measureReadability, assessReadability } from '../readability/index.js'
+
+// How many times to ask for a valid structured summary before giving up
+const MAX_SUMMARY_ATTEMPTS = 3
+
+// How many summaries to write at most while trying to reach the target reading level
+const MAX_READABILITY_ROUNDS = 3
+
+const log = createLogger('summarizers')
+
+// Every provider exposes { name, isConfigured(), generate(prompt, context) } where
+// generate resolves to { text, model }. context carries the source text for
+// providers that work on the document directly instead of the prompt, an
+// optional abort signal, json: true when the prompt asks for a JSON answer, and
+// the task name (summary, medications, ...). Providers that send the prompt to a
+// third party also expose isExternal() so PHI is redacted first.
+const providers = { gemini, openai, extractive }
+
+// Model settings of each provider, for getModelSettings
+const MODEL_SETTINGS = {
+  gemini: () => ({ models: config.geminiModels }),
+  openai: () => ({ baseUrl: config.openaiBaseUrl || null, model: config.openaiModel })
+}
+
+// Providers to try, in configured order, skipping unknown or unconfigured ones
+function getProviders() {
+  return config.summarizers
+    .map(name => providers[name.toLowerCase()])
+    .filter(provider => provider && provider.isConfigured())
+}
+
+// Report which providers are usable - used by the health check
+function getSummarizerStatus() {
+  const status = {}
+  for (const provider of Object.values(providers)) {
+    status[provider.name] = provider.isConfigured()
+  }
+  return status
+}
+
+// Which providers and models would answer, in order - part of the cache key of
+// results, so changing models never serves results of the old ones
+function getModelSettings() {
+  return getProviders().map(provider => ({ provider: provider.name, ...MODEL_SETTINGS[provider.name]?.() }))
+}
+
+// Run a prompt through the first provider that succeeds.
+// context.redactor (see createRedactor) hides PHI from third-party providers -
+// pass the document's redactor so values keep the same placeholder across calls.
+// The answer comes back with the real values restored.
+// Returns { text, provider, model }.
+async function generateText(prompt, context = {}) {
+  const available = getProviders()
+  if (available.length === 0) {
+    throw new Error('No summarization provider is configured. Set GEMINI_API_KEY, OPENAI_API_KEY or OPENAI_BASE_URL, or add "extractive" to SUMMARIZERS.')
+  }
+
+  const redactor = context.redactor || createRedactor()
+  const failures = []
+  for (const provider of available) {
+    try {
+      const result = await provider.generate(redactor.redactFor(provider, prompt), {
+        ...context,
+        text: context.text && redactor.redactFor(provider, context.text)
+      })
+      if (result.text && result.text.trim().length > 0) {
+        trackProviderCall('summarizer', provider.name, true)
+        return { text: redactor.restore(result.text, { json: context.json }), provider: provider.name, model: result.model }
+      }
+      trackProviderCall('summarizer', provider.name, false)
+      failures.push(`${provider.name}: empty response`)
+    } catch (error) {
+      // A cancelled job should not fall through to the next provider
+      if (context.signal?.aborted) throw context.signal.reason
+      trackProviderCall('summarizer', provider.name, false)
+      log.error('Summarizer failed', { provider: provider.name, task: context.task, error })
+      failures.push(`${provider.name}: ${error.response?.data?.error?.message || error.message}`)
+    }
+  }
+
+  throw new Error(`All summarization providers failed (${failures.join('; ')})`)
+}
+
+// Ask for a structured summary until the output is valid. Invalid JSON is repaired
+// locally when possible, otherwise the model is asked to fix its output.
+// Returns { data, provider, model, attempts }.
+async function requestStructuredSummary(prompt, { text, targetLanguage, signal, glossary, redactor }) {
+  let lastErrors = []
+
+  for (let attempt = 1; attempt <= MAX_SUMMARY_ATTEMPTS; attempt++) {
+    const result = await generateText(prompt, { text, targetLanguage, signal, redactor, json: true, task: 'summary' })
+    const { data, errors } = parseStructuredSummary(result.text)
+
+    if (errors.length === 0) {
+      return { data, provider: result.provider, model: result.model, attempts: attempt }
+    }
+
+    log.warn('Structured summary was invalid', { attempt, errors })
+    lastErrors = errors
+    prompt = buildRepairPrompt(result.text, errors, targetLanguage, { glossary })
+  }
+
+  throw new Error(`Could not get a valid structured summary after ${MAX_SUMMARY_ATTEMPTS} attempts: ${lastErrors.join('; ')}`)
+}
+
+// Summarize a health document in the target language as a structured summary,
+// written at the given reading level (grade4, grade8 or clinical). When the
+// summary scores above the level's grade it is rewritten in simpler language,
+// keeping the easiest version. Returns { summary, structuredSummary, provider,
+// model, attempts, readingLevel } where summary is a plain-text rendering of
+// structuredSummary and readingLevel is { level, label, targetGrade, score,
+// withinTarget, rounds } - score is null when the language cannot be scored.
+// redactor hides PHI from third-party providers (see generateText), and
+// sourceLanguage names the language of the document, when it is known.
+async function summarizeDocument(text, targetLanguage, { signal, glossary = '', readingLevel = DEFAULT_READING_LEVEL, redactor, sourceLanguage = '' } = {}) {
+  const level = getReadingLevel(readingLevel) || getReadingLevel(DEFAULT_READING_LEVEL)
+  const context = { text, targetLanguage, signal, glossary, redactor }
+  let prompt = buildSummaryPrompt(text, targetLanguage, { glossary, readingLevel: level.instructions, sourceLanguage })
+  let best = null
+  let attempts = 0
+  let rounds = 0
+
+  while (rounds < MAX_READABILITY_ROUNDS) {
+    rounds++
+    const result = await requestStructuredSummary(prompt, context)
+    attempts += result.attempts
+    const score = measureReadability(formatSummaryText(result.data), targetLanguage)
+    const improved = !best || (score && best.score && score.grade < best.score.grade)
+    if (improved) best = { ...result, score }
+
+    if (!level.maxGrade || !score || score.grade <= level.maxGrade) break
+    // A rewrite that got no easier will not improve with more tries
+    if (!improved) break
+
+    log.info('Summary is above the reading level, asking for a simpler version', { grade: score.grade, formula: score.formula, level: level.id })
+    prompt = buildSimplifyPrompt(JSON.stringify(result.data), targetLanguage, {
+      glossary,
+      readingLevel: level.instructions,
+      grade: score.grade
+    })
+  }
+
+  const summary = formatSummaryText(best.data)
+  return {
+    summary,
+    structuredSummary: best.data,
+    provider: best.provider,
+    model: best.model,
+    attempts,
+    readingLevel: { ...assessReadability(summary, targetLanguage, level.id), rounds }
+  }
+}
+
+export { summarizeDocument, generateText, getProviders, getSummarizerStatus, getModelSettings }
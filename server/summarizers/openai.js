@@ -0,0 +1,50 @@
+import axios from 'axios'
+import config from '../config.js'
+import { isLocalUrl } from '../utils/network.js'
+import { createLogger } from '../logging/index.js'
+import { callProvider } from '../resilience/index.js'
+
+const OPENAI_BASE_URL = (config.openaiBaseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')
+
+const log = createLogger('openai')
+
+// Send a prompt to an OpenAI-compatible chat completions endpoint.
+// Works with OpenAI itself and with self-hosted servers (vLLM, Ollama, llama.cpp, ...).
+async function generateWithOpenAI(prompt, { signal, json = false } = {}) {
+  const headers = { 'Content-Type': 'application/json' }
+  if (config.openaiApiKey) {
+    headers['Authorization'] = `Bearer ${config.openaiApiKey}`
+  }
+
+  log.debug('Trying OpenAI-compatible model', { model: config.openaiModel, baseUrl: OPENAI_BASE_URL })
+  const response = await callProvider('openai', attemptSignal => axios.post(
+    `${OPENAI_BASE_URL}/chat/completions`,
+    {
+      model: config.openaiModel,
+      messages: [{ role: 'user', content: prompt }],
+      ...(json && { response_format: { type: 'json_object' } })
+    },
+    {
+      headers,
+      timeout: 120000,
+      signal: attemptSignal
+    }
+  ), { signal })
+
+  const text = response.data?.choices?.[0]?.message?.content
+  if (!text) {
+    throw new Error('No completion returned from OpenAI-compatible endpoint')
+  }
+
+  return { text, model: response.data.model || config.openaiModel }
+}
+
+export { generateWithOpenAI }
+
+export default {
+  name: 'openai',
+  isConfigured: () => !!(config.openaiApiKey || config.openaiBaseUrl),
+  // A self-hosted server on this machine or the local network is not a third party
+  isExternal: () => !isLocalUrl(OPENAI_BASE_URL),
+  generate: generateWithOpenAI
+}
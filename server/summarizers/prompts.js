@@ -0,0 +1,62 @@
+import { SUMMARY_SCHEMA_EXAMPLE } from './schema.js'
+
+const SCHEMA_TEXT = JSON.stringify(SUMMARY_SCHEMA_EXAMPLE, null, 2)
+
+// Part of the cache key of results. Bump it whenever a prompt changes - summary,
+// repair, simplify, translation or combined overview - so results written with
+// the old prompts are not served again.
+const PROMPT_VERSION = 2
+
+// Prompt asking for a patient-friendly structured summary of a health document.
+// glossary is the output of buildGlossaryInstructions, or '' when no term rules apply,
+// readingLevel the instructions of one of the reading levels, and sourceLanguage
+// the detected language of the document (see describeSourceLanguage), or ''.
+function buildSummaryPrompt(text, targetLanguage, { glossary = '', readingLevel = '', sourceLanguage = '' } = {}) {
+  return `Please summarize the following health document in ${targetLanguage} for the patient.${sourceLanguage ? ` The document is written in ${sourceLanguage}.` : ''}
+    Return ONLY a JSON object with exactly this shape (no markdown, no extra text):
+    ${SCHEMA_TEXT}
+
+    Rules:
+    - Write every text value in ${targetLanguage}, except medication names, numbers and units, which must be copied exactly as they appear in the document.
+    - Use an empty array for any section the document does not mention. Do not invent information.
+    - "warningSigns" lists symptoms that mean the patient needs urgent care, and what to do about them.
+    - "labValues" lists test results with their reference ranges as written in the document.
+    - ${readingLevel}
+    - "sources" and "overviewSources" list the passages each point is based on, copied word for word from the document in its original language. Keep each passage short, one or two sentences.
+    ${glossary}
+
+    Document content:
+    ${text}`
+}
+
+// Prompt asking the model to fix its own invalid JSON output
+function buildRepairPrompt(invalidOutput, errors, targetLanguage, { glossary = '' } = {}) {
+  return `The following output was supposed to be a JSON summary of a health document, but it is invalid.
+    Problems found:
+    ${errors.map(error => `- ${error}`).join('\n    ')}
+
+    Return ONLY the corrected JSON object (no markdown, no extra text), with exactly this shape:
+    ${SCHEMA_TEXT}
+
+    Keep all text in ${targetLanguage} and keep the content of the original output.
+    ${glossary}
+
+    Invalid output:
+    ${invalidOutput}`
+}
+
+// Prompt asking the model to rewrite a valid summary in simpler language after
+// it scored above the target reading level
+function buildSimplifyPrompt(summaryJson, targetLanguage, { glossary = '', readingLevel = '', grade } = {}) {
+  return `The following JSON summary of a health document is too hard to read: it scores at grade ${grade}.
+    Rewrite every text value in simpler ${targetLanguage}. ${readingLevel}
+    Use shorter sentences and more common words. Keep all facts, medication names, numbers, units and dates exactly as they are.
+    Copy "sources" and "overviewSources" unchanged.
+    Return ONLY the rewritten JSON object (no markdown, no extra text), with exactly the same shape.
+    ${glossary}
+
+    Summary:
+    ${summaryJson}`
+}
+
+export { buildSummaryPrompt, buildRepairPrompt, buildSimplifyPrompt, PROMPT_VERSION }
@@ -0,0 +1,202 @@
+// JSON schema for structured medical summaries, plus parsing, validation and
+// local repair of model output. Kept dependency-free on purpose - the shape is
+// small enough to check by hand.
+
+// Fields of each list section. Every field is a string; missing fields become ''.
+const SECTION_FIELDS = {
+  diagnoses: ['name', 'details'],
+  medications: ['name', 'dose', 'frequency', 'duration', 'instructions'],
+  followUps: ['description', 'date', 'provider'],
+  warningSigns: ['sign', 'action'],
+  labValues: ['name', 'value', 'unit', 'referenceRange', 'flag']
+}
+
+const SECTIONS = ['overview', ...Object.keys(SECTION_FIELDS)]
+
+const LAB_FLAGS = ['normal', 'high', 'low', 'abnormal', 'critical', '']
+
+// Every summary point also carries "sources": short passages copied word for word
+// from the document, so the point can be traced back to the original text
+const SOURCES_EXAMPLE = ['Passage copied word for word from the document that supports this point']
+
+// Example shown to the model so it knows the exact shape to return
+const SUMMARY_SCHEMA_EXAMPLE = {
+  overview: 'Two or three sentences describing the document and the main health information',
+  overviewSources: SOURCES_EXAMPLE,
+  headings: {
+    overview: 'Heading for the overview, in the target language',
+    diagnoses: 'Heading for diagnoses, in the target language',
+    medications: 'Heading for medications, in the target language',
+    followUps: 'Heading for follow-up appointments, in the target language',
+    warningSigns: 'Heading for warning signs, in the target language',
+    labValues: 'Heading for lab results, in the target language'
+  },
+  diagnoses: [{ name: 'Condition name', details: 'What it means for the patient', sources: SOURCES_EXAMPLE }],
+  medications: [{
+    name: 'Medication name exactly as written in the document',
+    dose: 'e.g. 500 mg',
+    frequency: 'e.g. twice a day',
+    duration: 'e.g. 7 days',
+    instructions: 'e.g. take with food',
+    sources: SOURCES_EXAMPLE
+  }],
+  followUps: [{ description: 'What the appointment or test is for', date: 'When, as written in the document', provider: 'Who or where', sources: SOURCES_EXAMPLE }],
+  warningSigns: [{ sign: 'Symptom that needs urgent care', action: 'What to do, e.g. call 911 or go to the emergency room', sources: SOURCES_EXAMPLE }],
+  labValues: [{ name: 'Test name', value: '7.2', unit: 'mmol/L', referenceRange: '3.5-5.0', flag: 'one of: normal, high, low, abnormal, critical', sources: SOURCES_EXAMPLE }]
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return ''
+  return String(value).trim()
+}
+
+// Source passages are optional - a missing or malformed list is dropped rather
+// than sent back for repair, since citations are resolved on a best-effort basis
+function toSources(value) {
+  if (typeof value === 'string') value = [value]
+  if (!Array.isArray(value)) return []
+  return value.map(toText).filter(Boolean)
+}
+
+// Pull a JSON object out of a model response. Handles code fences, text around
+// the object and trailing commas - the usual ways models break JSON.
+function extractJson(text) {
+  let candidate = text.trim()
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i)
+  if (fenced) candidate = fenced[1].trim()
+
+  const start = candidate.indexOf('{')
+  const end = candidate.lastIndexOf('}')
+  if (start === -1 || end <= start) {
+    throw new Error('Response does not contain a JSON object')
+  }
+  candidate = candidate.slice(start, end + 1)
+
+  try {
+    return JSON.parse(candidate)
+  } catch {
+    // Second chance: drop trailing commas before closing brackets
+    return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'))
+  }
+}
+
+// Check a parsed object against the schema. Returns { data, errors } where data
+// is a normalized copy (missing lists become [], fields become strings).
+function validateSummary(raw) {
+  const errors = []
+  if (!isPlainObject(raw)) {
+    return { data: null, errors: ['Summary must be a JSON object'] }
+  }
+
+  const data = { overview: toText(raw.overview), overviewSources: toSources(raw.overviewSources), headings: {} }
+  if (!data.overview) {
+    errors.push('"overview" must be a non-empty string')
+  }
+
+  if (raw.headings !== undefined && !isPlainObject(raw.headings)) {
+    errors.push('"headings" must be an object')
+  } else {
+    for (const section of SECTIONS) {
+      const heading = toText(raw.headings?.[section])
+      if (heading) data.headings[section] = heading
+    }
+  }
+
+  for (const [section, fields] of Object.entries(SECTION_FIELDS)) {
+    const items = raw[section] ?? []
+    if (!Array.isArray(items)) {
+      errors.push(`"${section}" must be an array`)
+      data[section] = []
+      continue
+    }
+
+    data[section] = items
+      .map((item, index) => {
+        // Plain strings are accepted for the first field, e.g. "Hypertension" for a diagnosis
+        if (typeof item === 'string') item = { [fields[0]]: item }
+        if (!isPlainObject(item)) {
+          errors.push(`"${section}[${index}]" must be an object`)
+          return null
+        }
+        const entry = {}
+        for (const field of fields) entry[field] = toText(item[field])
+        entry.sources = toSources(item.sources)
+        if (!entry[fields[0]]) {
+          errors.push(`"${section}[${index}].${fields[0]}" is required`)
+        }
+        return entry
+      })
+      .filter(Boolean)
+  }
+
+  for (const lab of data.labValues) {
+    lab.flag = lab.flag.toLowerCase()
+    if (!LAB_FLAGS.includes(lab.flag)) {
+      errors.push(`lab value "${lab.name}" has an unknown flag "${lab.flag}"`)
+    }
+  }
+
+  return { data, errors }
+}
+
+// Parse and validate a model response in one step
+function parseStructuredSummary(text) {
+  let raw
+  try {
+    raw = extractJson(text)
+  } catch (error) {
+    return { data: null, errors: [`Invalid JSON: ${error.message}`] }
+  }
+  return validateSummary(raw)
+}
+
+const DEFAULT_HEADINGS = {
+  overview: 'Overview',
+  diagnoses: 'Diagnoses',
+  medications: 'Medications',
+  followUps: 'Follow-up appointments',
+  warningSigns: 'Get help right away if',
+  labValues: 'Lab results'
+}
+
+// Plain-text rendering of a structured summary, for clients that show text only
+function formatSummaryText(data) {
+  const heading = section => data.headings[section] || DEFAULT_HEADINGS[section]
+  const join = parts => parts.filter(Boolean).join(', ')
+  const lines = [heading('overview'), data.overview]
+
+  const lists = {
+    diagnoses: item => join([item.name, item.details]),
+    medications: item => join([item.name, item.dose, item.frequency, item.duration, item.instructions]),
+    followUps: item => join([item.description, item.date, item.provider]),
+    warningSigns: item => join([item.sign, item.action]),
+    labValues: item => join([
+      `${item.name}: ${item.value}${item.unit ? ' ' + item.unit : ''}`,
+      item.referenceRange && `(${item.referenceRange})`,
+      item.flag
+    ])
+  }
+
+  for (const [section, format] of Object.entries(lists)) {
+    if (data[section].length === 0) continue
+    lines.push('', heading(section))
+    for (const item of data[section]) lines.push(`- ${format(item)}`)
+  }
+
+  return lines.join('\n')
+}
+
+export {
+  SECTIONS,
+  SECTION_FIELDS,
+  SUMMARY_SCHEMA_EXAMPLE,
+  DEFAULT_HEADINGS,
+  extractJson,
+  validateSummary,
+  parseStructuredSummary,
+  formatSummaryText
+}
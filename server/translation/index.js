@@ -0,0 +1,61 @@
+import { generateText } from '../summarizers/index.js'
+import { splitMarkdownSections } from './sections.js'
+import { findRelevantEntries, buildGlossaryInstructions } from '../glossary/check.js'
+import { detectLanguage, describeSourceLanguage } from '../languages/detect.js'
+
+// Prompt asking for a faithful translation of one section, keeping its markdown structure.
+// sourceLanguage is the detected language of the section, or '' when it is not known.
+function buildTranslationPrompt(section, targetLanguage, { glossary = '', sourceLanguage = '' } = {}) {
+  return `Translate the following section of a health document ${sourceLanguage ? `from ${sourceLanguage} ` : ''}into ${targetLanguage}.
+    - Translate everything; do not summarize, shorten or add anything.
+    - Leave any text that is already in ${targetLanguage} as it is.
+    - Keep the markdown structure exactly: headings (#), list markers, numbering, table pipes and separator rows, bold text and line breaks.
+    - Keep medication names, numbers, units, dates and abbreviations exactly as written.
+    - Return ONLY the translated markdown, without code fences or comments.
+    ${glossary}
+
+    Section:
+    ${section}`
+}
+
+// Remove code fences some models wrap around their answer
+function stripCodeFences(text) {
+  const fenced = text.trim().match(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n?```$/i)
+  return fenced ? fenced[1] : text.trim()
+}
+
+// Translate a whole document section by section.
+// glossary is the list of glossary entries for the target language and
+// onProgress({ completed, total }) is called after each section, and redactor
+// hides PHI from third-party providers (see generateText). The language of
+// each section is detected on its own, since forms often mix languages.
+// Returns { sections: [{ id, heading, source, target }], provider, model }.
+async function translateDocument(text, targetLanguage, { signal, glossary = [], redactor, onProgress = () => {} } = {}) {
+  const sections = splitMarkdownSections(text)
+  const translated = []
+  let provider = null
+  let model = null
+
+  onProgress({ completed: 0, total: sections.length })
+  for (const section of sections) {
+    signal?.throwIfAborted()
+    // Only the glossary terms that occur in this section go into its prompt
+    const instructions = buildGlossaryInstructions(findRelevantEntries(section.source, glossary))
+    const sourceLanguage = describeSourceLanguage(detectLanguage(section.source))
+    const result = await generateText(buildTranslationPrompt(section.source, targetLanguage, { glossary: instructions, sourceLanguage }), {
+      text: section.source,
+      targetLanguage,
+      signal,
+      redactor,
+      task: 'translation'
+    })
+    provider = provider || result.provider
+    model = model || result.model
+    translated.push({ ...section, target: stripCodeFences(result.text) })
+    onProgress({ completed: translated.length, total: sections.length })
+  }
+
+  return { sections: translated, provider, model }
+}
+
+export { translateDocument, splitMarkdownSections }
@@ -0,0 +1,51 @@
+// Split parsed markdown into sections that can be translated one at a time.
+// A section starts at each heading; long sections are split between blocks.
+// Blocks (paragraphs, lists, tables) are runs of non-blank lines and are never
+// split, so list numbering and table rows stay together.
+
+const MAX_SECTION_CHARS = 4000
+
+function splitBlocks(markdown) {
+  return markdown
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.replace(/^\n+|\s+$/g, ''))
+    .filter(block => block.trim().length > 0)
+}
+
+function isHeading(block) {
+  return /^#{1,6}\s/.test(block)
+}
+
+// Returns [{ id, heading, source }] where heading is the section's heading text (or null)
+function splitMarkdownSections(markdown, maxChars = MAX_SECTION_CHARS) {
+  const sections = []
+  let current = null
+
+  const startSection = (heading) => {
+    current = { heading, blocks: [], length: 0, hasBody: false }
+    sections.push(current)
+  }
+
+  for (const block of splitBlocks(markdown)) {
+    if (isHeading(block)) {
+      startSection(block.split('\n')[0].replace(/^#+\s*/, '').trim())
+    } else {
+      // Keep a heading together with at least its first block
+      if (!current || (current.hasBody && current.length + block.length > maxChars)) {
+        startSection(current?.heading ?? null)
+      }
+      current.hasBody = true
+    }
+    current.blocks.push(block)
+    current.length += block.length
+  }
+
+  return sections.map((section, index) => ({
+    id: index + 1,
+    heading: section.heading,
+    source: section.blocks.join('\n\n')
+  }))
+}
+
+export { splitMarkdownSections }
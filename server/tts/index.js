@@ -0,0 +1,106 @@
+import config from '../config.js'
+import openai from './openai.js'
+import local from './local.js'
+import { mayReceiveRawData } from '../redaction/index.js'
+import { findLanguage, getLanguageCode } from '../languages/index.js'
+import { createLogger } from '../logging/index.js'
+import { trackProviderCall } from '../logging/audit.js'
+
+// Every backend exposes { name, isConfigured(), synthesize(text, options) } where
+// options is { language, languageCode, speed, signal } and synthesize resolves to
+// { audio, contentType, extension }. "local" runs offline. Backends that only
+// speak some languages expose supportsLanguage(language), given the language's
+// entry in the registry (see server/languages). Backends that send
+// the text to a third party also expose isExternal() - they are skipped while
+// PHI redaction is on, since speech cannot use placeholders.
+const backends = { openai, local }
+
+const log = createLogger('tts')
+
+const MIN_SPEED = 0.5
+const MAX_SPEED = 2
+
+// Backends to try, in configured order, skipping unknown or unconfigured ones
+function getTtsBackends() {
+  return config.ttsBackends
+    .map(name => backends[name.toLowerCase()])
+    .filter(backend => backend && backend.isConfigured() && mayReceiveRawData(backend))
+}
+
+// Report which backends are usable - used by the health check
+function getTtsStatus() {
+  const status = {}
+  for (const backend of Object.values(backends)) {
+    status[backend.name] = backend.isConfigured()
+  }
+  return status
+}
+
+// Backends that can read a language aloud, in configured order. Languages that
+// are not in the registry are left to the backends without a language list.
+function getTtsBackendsFor(language) {
+  const entry = findLanguage(language)
+  return getTtsBackends().filter(backend => !backend.supportsLanguage || (entry && backend.supportsLanguage(entry)))
+}
+
+// Whether any configured backend can read a language aloud
+function canSpeak(language) {
+  return getTtsBackendsFor(language).length > 0
+}
+
+// Markdown to text that reads well aloud: no heading marks, list bullets, emphasis or table pipes
+function toSpeechText(markdown) {
+  return markdown
+    .split('\n')
+    .filter(line => !/^\s*\|?\s*:?-{3,}/.test(line))
+    .map(line => line
+      .replace(/^\s*(#{1,6}|[-*+]|\d+[.)])\s+/, '')
+      .replace(/[*_`]/g, '')
+      .replace(/\s*\|\s*/g, ', ')
+      .replace(/^, |, $/g, '')
+      .trim())
+    .filter(Boolean)
+    .join('\n')
+}
+
+// Turn text into speech with the first backend that succeeds.
+// speed is clamped to 0.5-2. Returns { audio, contentType, extension, backend }.
+async function synthesizeSpeech(text, language, { speed = 1, signal } = {}) {
+  if (getTtsBackends().length === 0) {
+    throw new Error('No text-to-speech backend is configured. Set OPENAI_API_KEY or OPENAI_BASE_URL (and REDACTION_ALLOW_RAW_EXTERNAL=true for a third-party endpoint), or install espeak-ng for offline speech.')
+  }
+  const available = getTtsBackendsFor(language)
+  if (available.length === 0) {
+    throw new Error(`None of the configured text-to-speech backends can speak ${language}. Offline speech covers fewer languages than an OpenAI-compatible endpoint.`)
+  }
+
+  const options = {
+    language,
+    languageCode: getLanguageCode(language),
+    speed: Math.min(MAX_SPEED, Math.max(MIN_SPEED, Number(speed) || 1)),
+    signal
+  }
+  const input = toSpeechText(text)
+
+  const failures = []
+  for (const backend of available) {
+    try {
+      const result = await backend.synthesize(input, options)
+      if (result.audio.length > 0) {
+        trackProviderCall('tts', backend.name, true)
+        return { ...result, backend: backend.name }
+      }
+      trackProviderCall('tts', backend.name, false)
+      failures.push(`${backend.name}: empty audio`)
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason
+      trackProviderCall('tts', backend.name, false)
+      log.error('Text-to-speech backend failed', { backend: backend.name, error })
+      failures.push(`${backend.name}: ${error.message}`)
+    }
+  }
+
+  throw new Error(`All text-to-speech backends failed (${failures.join('; ')})`)
+}
+
+export { synthesizeSpeech, getTtsBackends, getTtsStatus, canSpeak, toSpeechText }
@@ -0,0 +1,25 @@
+import config from '../config.js'
+import { commandExists, runCommand } from '../utils/commands.js'
+
+// eSpeak NG voice names that differ from the language code
+const VOICES = {
+  'zh-CN': 'cmn'
+}
+
+// eSpeak NG's default rate, in words per minute
+const BASE_WORDS_PER_MINUTE = 175
+
+// Offline speech with the eSpeak NG command-line engine, as WAV
+async function synthesizeLocally(text, { languageCode, speed = 1, signal } = {}) {
+  const voice = VOICES[languageCode] || languageCode.split('-')[0]
+  const args = ['-v', voice, '-s', String(Math.round(BASE_WORDS_PER_MINUTE * speed)), '--stdout', '--stdin']
+  const { stdout } = await runCommand(config.ttsLocalCommand, args, { input: text, signal })
+  return { audio: stdout, contentType: 'audio/wav', extension: 'wav' }
+}
+
+export default {
+  name: 'local',
+  isConfigured: () => commandExists(config.ttsLocalCommand),
+  supportsLanguage: language => language.offlineSpeech,
+  synthesize: synthesizeLocally
+}
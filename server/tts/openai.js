@@ -0,0 +1,41 @@
+import axios from 'axios'
+import config from '../config.js'
+import { isLocalUrl } from '../utils/network.js'
+import { callProvider } from '../resilience/index.js'
+
+const OPENAI_BASE_URL = (config.openaiBaseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')
+
+// Speech from an OpenAI-compatible /audio/speech endpoint. The voices are
+// multilingual, so the language is taken from the text itself.
+async function synthesizeWithOpenAI(text, { speed = 1, signal } = {}) {
+  const headers = { 'Content-Type': 'application/json' }
+  if (config.openaiApiKey) {
+    headers['Authorization'] = `Bearer ${config.openaiApiKey}`
+  }
+
+  const response = await callProvider('openai', attemptSignal => axios.post(
+    `${OPENAI_BASE_URL}/audio/speech`,
+    {
+      model: config.ttsOpenaiModel,
+      voice: config.ttsOpenaiVoice,
+      input: text,
+      speed,
+      response_format: 'mp3'
+    },
+    {
+      headers,
+      responseType: 'arraybuffer',
+      timeout: 120000,
+      signal: attemptSignal
+    }
+  ), { signal })
+
+  return { audio: Buffer.from(response.data), contentType: 'audio/mpeg', extension: 'mp3' }
+}
+
+export default {
+  name: 'openai',
+  isConfigured: () => !!(config.openaiApiKey || config.openaiBaseUrl),
+  isExternal: () => !isLocalUrl(OPENAI_BASE_URL),
+  synthesize: synthesizeWithOpenAI
+}
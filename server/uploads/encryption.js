@@ -0,0 +1,65 @@
+import crypto from 'crypto'
+
+// Files with health data are encrypted with AES-256-GCM. An encrypted file is
+// the IV, the ciphertext and the authentication tag, one after the other.
+// Uploads use a key that only lives in the memory of this process, so an upload
+// left behind by a crash can not be read by anyone - not even by the server
+// once it restarts. Stores that outlive the process (document history) pass
+// their own key from the configuration.
+
+const ALGORITHM = 'aes-256-gcm'
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const KEY_LENGTH = 32
+
+const UPLOAD_KEY = crypto.randomBytes(KEY_LENGTH)
+
+// Transform for stream.pipeline: plaintext chunks in, encrypted file contents out
+function encryptStream(key = UPLOAD_KEY) {
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  return async function* (source) {
+    yield iv
+    for await (const chunk of source) {
+      const encrypted = cipher.update(chunk)
+      if (encrypted.length > 0) yield encrypted
+    }
+    const last = cipher.final()
+    if (last.length > 0) yield last
+    yield cipher.getAuthTag()
+  }
+}
+
+// Encrypted file contents of data held in memory
+function encryptBuffer(data, key = UPLOAD_KEY) {
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()])
+  return Buffer.concat([iv, encrypted, cipher.getAuthTag()])
+}
+
+// Plaintext of an encrypted file's contents. Throws when the data was changed
+// or encrypted with another key.
+function decryptBuffer(data, key = UPLOAD_KEY) {
+  if (data.length < IV_LENGTH + TAG_LENGTH) {
+    throw new Error('Encrypted file is truncated')
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH))
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH))
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)),
+    decipher.final()
+  ])
+}
+
+// A key from the configuration: 32 bytes, hex or base64 encoded. name is the
+// setting, for the error when the value is not a key.
+function parseKey(value, name) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64')
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${name} must be ${KEY_LENGTH} bytes, hex or base64 encoded`)
+  }
+  return key
+}
+
+export { encryptStream, encryptBuffer, decryptBuffer, parseKey }
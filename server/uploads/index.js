@@ -0,0 +1,175 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { pipeline } from 'stream/promises'
+import config from '../config.js'
+import { createLogger } from '../logging/index.js'
+import { encryptStream, decryptBuffer } from './encryption.js'
+
+// Uploaded documents on disk. Every upload is encrypted as it is received and
+// lives in UPLOAD_DIR only until its job is done. Plaintext copies exist only
+// while a parser reads them. Files this process still needs are tracked, and
+// everything else older than UPLOAD_TTL_MINUTES is swept away - at startup,
+// which clears what a crash left behind, and then on a schedule.
+
+const UPLOAD_DIR = config.uploadDir
+const UPLOAD_TTL_MS = config.uploadTtlMinutes * 60 * 1000
+const SWEEP_INTERVAL_MS = config.uploadSweepMinutes * 60 * 1000
+
+const log = createLogger('uploads')
+
+// Paths of uploads and plaintext copies in use by this process
+const activeFiles = new Set()
+
+function ensureUploadDir() {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true, mode: 0o700 })
+}
+
+function newFilePath(extension = '') {
+  return path.join(UPLOAD_DIR, `${crypto.randomUUID()}${extension}`)
+}
+
+// Multer storage engine that encrypts each file as it streams in.
+// Files get { path, size, sha256 } - size and hash are of the original file.
+const encryptedStorage = {
+  _handleFile(req, file, callback) {
+    const filePath = newFilePath('.enc')
+    const hash = crypto.createHash('sha256')
+    let size = 0
+    activeFiles.add(filePath)
+    const measure = async function* (source) {
+      for await (const chunk of source) {
+        size += chunk.length
+        hash.update(chunk)
+        yield chunk
+      }
+    }
+    // multer keeps waiting for the rest of a request the client broke off, so
+    // the file is ended here - otherwise it would stay on disk, in use forever
+    const onClose = () => {
+      if (!req.complete) file.stream.destroy(new Error('Upload was interrupted'))
+    }
+    req.once('close', onClose)
+    pipeline(file.stream, measure, encryptStream(), fs.createWriteStream(filePath, { mode: 0o600 }))
+      .then(() => callback(null, { path: filePath, size, sha256: hash.digest('hex') }))
+      .catch(async (error) => {
+        await removeFile(filePath)
+        callback(error)
+      })
+      .finally(() => req.off('close', onClose))
+  },
+
+  // Called by multer for files already stored when a later part of the upload fails
+  _removeFile(req, file, callback) {
+    removeFile(file.path).then(() => callback(null), callback)
+  }
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.promises.rm(filePath, { force: true })
+  } finally {
+    activeFiles.delete(filePath)
+  }
+}
+
+// Contents of an upload, decrypted in memory
+async function readUpload(filePath) {
+  return decryptBuffer(await fs.promises.readFile(filePath))
+}
+
+// Run fn(plainPath) with a decrypted copy of an upload for tools that need a
+// file (PDF, DOCX and OCR readers). The copy is removed as soon as fn settles.
+// fileName picks the extension, which some tools use to tell the format.
+async function withPlaintextUpload(filePath, fileName, fn) {
+  const plainPath = newFilePath(path.extname(fileName).toLowerCase())
+  activeFiles.add(plainPath)
+  try {
+    await fs.promises.writeFile(plainPath, await readUpload(filePath), { mode: 0o600 })
+    return await fn(plainPath)
+  } finally {
+    await removeFile(plainPath)
+  }
+}
+
+// Delete uploaded files once they are no longer needed. Failures are logged -
+// the sweep gets whatever is left.
+async function removeUploads(files) {
+  await Promise.all(files.map(file => removeFile(file.path).catch((error) => {
+    log.error('Could not delete upload', { error })
+  })))
+}
+
+// Route middleware, placed before multer: deletes the request's uploads when
+// the response ends, however the route exits. A route that hands the files
+// to a background job sets req.keepUploads = true and the job removes them.
+function cleanupUploads(req, res, next) {
+  res.on('close', () => {
+    if (!req.keepUploads && req.files) removeUploads(req.files)
+  })
+  next()
+}
+
+// Remove everything in UPLOAD_DIR older than the TTL that this process is not using.
+// Returns the number of removed entries.
+async function sweepUploads() {
+  let names
+  try {
+    names = await fs.promises.readdir(UPLOAD_DIR)
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0
+    throw error
+  }
+
+  const cutoff = Date.now() - UPLOAD_TTL_MS
+  let removed = 0
+  for (const name of names) {
+    const entryPath = path.join(UPLOAD_DIR, name)
+    if (activeFiles.has(entryPath)) continue
+    try {
+      const { mtimeMs } = await fs.promises.stat(entryPath)
+      if (mtimeMs > cutoff) continue
+      await fs.promises.rm(entryPath, { recursive: true, force: true })
+      removed++
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error('Could not sweep upload', { file: name, error })
+    }
+  }
+  return removed
+}
+
+// Files this process is using, removed when it stops
+function removeActiveFiles() {
+  for (const filePath of activeFiles) fs.rmSync(filePath, { force: true })
+}
+
+// Sweep now and then every UPLOAD_SWEEP_MINUTES. Files in use when the process
+// exits - normally, or stopped with Ctrl+C (SIGINT) or SIGTERM - are removed on
+// the way out. Node skips 'exit' handlers on a signal it does not handle, so
+// the signals are handled here and the process exits with the usual code.
+function startUploadSweeper() {
+  ensureUploadDir()
+  const sweep = () => sweepUploads()
+    .then(removed => removed > 0 && log.info('Swept expired uploads', { removed }))
+    .catch(error => log.error('Upload sweep failed', { error }))
+  sweep()
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref()
+  process.on('exit', removeActiveFiles)
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      removeActiveFiles()
+      process.exit(128 + os.constants.signals[signal])
+    })
+  }
+}
+
+export {
+  encryptedStorage,
+  readUpload,
+  withPlaintextUpload,
+  removeUploads,
+  cleanupUploads,
+  sweepUploads,
+  startUploadSweeper
+}
@@ -0,0 +1,42 @@
+import { spawn } from 'child_process'
+import fs from 'fs'
+import path from 'path'
+
+// Helpers for the optional local engines that run as command-line tools
+// (eSpeak NG, Tesseract, ImageMagick)
+
+// Whether the command can be run - either a path or a name on PATH
+function commandExists(command) {
+  if (command.includes(path.sep)) return fs.existsSync(command)
+  return (process.env.PATH || '')
+    .split(path.delimiter)
+    .some(dir => dir && fs.existsSync(path.join(dir, command)))
+}
+
+// Run a command to completion. input is written to stdin when given.
+// Resolves to { stdout, stderr } - stdout as a Buffer - and rejects on a non-zero exit code.
+function runCommand(command, args, { input, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal })
+    const chunks = []
+    let stderr = ''
+    child.stdout.on('data', chunk => chunks.push(chunk))
+    child.stderr.on('data', chunk => { stderr += chunk })
+    child.on('error', reject)
+    // A command that exits or is stopped before reading all of its input
+    // closes the pipe - its exit code or the spawn error tells what went wrong
+    child.stdin.on('error', (error) => {
+      if (error.code !== 'EPIPE') reject(error)
+    })
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`))
+        return
+      }
+      resolve({ stdout: Buffer.concat(chunks), stderr })
+    })
+    child.stdin.end(input)
+  })
+}
+
+export { commandExists, runCommand }
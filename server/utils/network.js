@@ -0,0 +1,21 @@
+// Whether a URL points at this machine or the private network - a self-hosted
+// model server there is not a third party
+function isLocalUrl(url) {
+  let hostname
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '')
+  } catch {
+    return false
+  }
+  return hostname === 'localhost' ||
+    hostname.endsWith('.localhost') ||
+    hostname.endsWith('.local') ||
+    hostname === '::1' ||
+    /^127\./.test(hostname) ||
+    /^10\./.test(hostname) ||
+    /^192\.168\./.test(hostname) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(hostname) ||
+    /^f[cd][0-9a-f]{2}:/i.test(hostname)
+}
+
+export { isLocalUrl }
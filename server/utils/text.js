@@ -0,0 +1,14 @@
+// Text helpers shared by the checks that compare source documents with generated text
+
+// Arabic-Indic and Persian digits to ASCII, so "٥ mg" compares equal to "5 mg"
+function toAsciiDigits(text) {
+  return text
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+export { toAsciiDigits, escapeRegExp }
@@ -1,16 +1,203 @@
 import { useState, useRef, useEffect } from 'react'
+import SummaryCards from './components/SummaryCards.jsx'
+import MedicationSchedule from './components/MedicationSchedule.jsx'
+import DocumentChat from './components/DocumentChat.jsx'
+import TranslationView from './components/TranslationView.jsx'
+import TermCheckNotice from './components/TermCheckNotice.jsx'
+import NumericCheckNotice from './components/NumericCheckNotice.jsx'
+import ReadingLevelNote from './components/ReadingLevelNote.jsx'
+import LanguageNotice from './components/LanguageNotice.jsx'
+import UrgentAlerts from './components/UrgentAlerts.jsx'
+import LanguageName from './components/LanguageName.jsx'
+import ReadAloud from './components/ReadAloud.jsx'
+import OcrNotice from './components/OcrNotice.jsx'
+import DocumentTabs from './components/DocumentTabs.jsx'
+import HistoryPanel from './components/HistoryPanel.jsx'
+import LoginScreen from './components/LoginScreen.jsx'
+import AccountMenu from './components/AccountMenu.jsx'
+import LanguagePicker from './components/LanguagePicker.jsx'
+import { API_URL, apiFetch } from './api.js'
+import { getFlaggedValues } from './text.js'
+import { useI18n } from './i18n/index.js'
 import './App.css'
 
+// Processing stages reported by the server, in order, for each mode.
+// label is the key of the stage's text in the message catalogs.
+const JOB_STAGES = {
+  summary: [
+    { id: 'uploaded', label: 'stage.uploaded' },
+    { id: 'parsing', label: 'stage.parsing' },
+    { id: 'summarizing', label: 'stage.summarizing' },
+    { id: 'done', label: 'stage.done' }
+  ],
+  translation: [
+    { id: 'uploaded', label: 'stage.uploaded' },
+    { id: 'parsing', label: 'stage.parsing' },
+    { id: 'translating', label: 'stage.translating' },
+    { id: 'done', label: 'stage.done' }
+  ],
+  // Several separate documents summarized together
+  batch: [
+    { id: 'uploaded', label: 'stage.uploaded' },
+    { id: 'parsing', label: 'stage.parsingBatch' },
+    { id: 'summarizing', label: 'stage.summarizingBatch' },
+    { id: 'combining', label: 'stage.combining' },
+    { id: 'done', label: 'stage.done' }
+  ]
+}
+
+// Photo formats - several photos can be combined into one document
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.heic']
+
+const isImageFile = (file) => IMAGE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
+
+// Every file type the server supports, offered until it says which it can read right now
+const FILE_EXTENSIONS = ['.pdf', '.doc', '.docx', '.txt', ...IMAGE_EXTENSIONS]
+// Photo types for phones, whose file pickers go by type rather than extension
+const IMAGE_MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.heic': 'image/heic' }
+
+const MODES = [
+  { id: 'summary', label: 'mode.summary' },
+  { id: 'translation', label: 'mode.translation' }
+]
+
+// Reading levels a summary can be written at - ids match the server's
+const READING_LEVELS = [
+  { id: 'grade4', label: 'readingLevel.grade4' },
+  { id: 'grade8', label: 'readingLevel.grade8' },
+  { id: 'clinical', label: 'readingLevel.clinical' }
+]
+
 function App() {
-  const [selectedFile, setSelectedFile] = useState(null)
+  const { t, locale, setLocale, hasChosenLocale, languageName } = useI18n()
+  // Signed-in account, null when signed out, undefined until the server has answered
+  const [user, setUser] = useState(undefined)
+  const [selectedFiles, setSelectedFiles] = useState([])
+  // Whether several photos are pages of one document or separate documents
+  const [separatePhotos, setSeparatePhotos] = useState(false)
   const [darkMode, setDarkMode] = useState(false)
+  // The server's language registry: [{ name, code, nativeName, direction, capabilities }]
+  const [languages, setLanguages] = useState([])
+  // [{ extension, parsers, readsScans }] from the server, null until loaded
+  const [fileTypes, setFileTypes] = useState(null)
   const [selectedLanguage, setSelectedLanguage] = useState(null)
   const [showLanguageList, setShowLanguageList] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
-  const [summary, setSummary] = useState(null)
+  const [mode, setMode] = useState('summary')
+  const [readingLevel, setReadingLevel] = useState('grade8')
+  const [result, setResult] = useState(null)
   const [error, setError] = useState(null)
+  const [job, setJob] = useState(null)
+  const [resultView, setResultView] = useState('summary')
+  // Document of a batch whose summary is shown, or null for the combined summary
+  const [documentIndex, setDocumentIndex] = useState(null)
+  const [showHistory, setShowHistory] = useState(false)
+  // Patient whose documents a caregiver is looking at, or null for the user's own
+  const [historyPatient, setHistoryPatient] = useState(null)
+  // Bumped when a document finishes, so the history list picks it up
+  const [historyVersion, setHistoryVersion] = useState(0)
+  // Language picker opened from the header; it also shows by itself until a language is chosen
+  const [showLanguagePicker, setShowLanguagePicker] = useState(false)
   const fileInputRef = useRef(null)
   const languageSectionRef = useRef(null)
+  const eventSourceRef = useRef(null)
+
+  // Stop listening for job progress when the app unmounts
+  useEffect(() => {
+    return () => eventSourceRef.current?.close()
+  }, [])
+
+  // Take the signed-in user and their saved settings
+  const applyUser = (account) => {
+    setUser(account)
+    if (!account) return
+    setSelectedLanguage(account.settings.language)
+    setReadingLevel(account.settings.readingLevel)
+    setDarkMode(account.settings.darkMode)
+  }
+
+  // Find out whether the session cookie still signs us in
+  useEffect(() => {
+    let ignore = false
+    apiFetch('/api/account')
+      .then(response => (response.ok ? response.json() : { user: null }))
+      .then(data => {
+        if (!ignore) applyUser(data.user)
+      })
+      .catch(err => {
+        console.error('Error loading account:', err)
+        if (!ignore) setUser(null)
+      })
+    return () => {
+      ignore = true
+    }
+  }, [])
+
+  // Load the languages the app works in
+  useEffect(() => {
+    let ignore = false
+    apiFetch('/api/languages')
+      .then(response => (response.ok ? response.json() : { languages: [] }))
+      .then(data => {
+        if (ignore) return
+        setLanguages(data.languages)
+        setFileTypes(data.fileTypes || null)
+      })
+      .catch(err => console.error('Error loading languages:', err))
+    return () => {
+      ignore = true
+    }
+  }, [])
+
+  // Registry entry of a language by its English name, undefined for others
+  const findLanguage = name => languages.find(language => language.name === name)
+
+  // A language's English name, as the server knows it, in the language of the app
+  const displayLanguage = name => languageName(findLanguage(name)?.code, name)
+
+  // Registry entry of the language the app is shown in
+  const appLanguage = languages.find(language => language.code === locale)
+
+  const handleLocaleSelect = (code) => {
+    setLocale(code)
+    setShowLanguagePicker(false)
+  }
+
+  // Remember a setting for the user's next visit
+  const saveSettings = async (settings) => {
+    try {
+      const response = await apiFetch('/api/account/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      })
+      if (response.ok) setUser((await response.json()).user)
+    } catch (err) {
+      console.error('Error saving settings:', err)
+    }
+  }
+
+  const handleSignOut = async () => {
+    try {
+      await apiFetch('/api/account/logout', { method: 'POST' })
+    } catch (err) {
+      console.error('Error signing out:', err)
+    }
+    eventSourceRef.current?.close()
+    setIsLoading(false)
+    setUser(null)
+    setJob(null)
+    setResult(null)
+    setError(null)
+    setSelectedFiles([])
+    setShowHistory(false)
+    setHistoryPatient(null)
+  }
+
+  const handleViewPatient = (patient) => {
+    setHistoryPatient(patient)
+    setShowHistory(true)
+  }
 
   // Close language list when clicking outside
   useEffect(() => {
@@ -32,101 +219,205 @@ function App() {
     }
   }, [showLanguageList])
 
-  // Common languages in the US
-  const languages = [
-    'English',
-    'Spanish',
-    'Chinese (Mandarin)',
-    'Tagalog',
-    'Vietnamese',
-    'Arabic',
-    'French',
-    'Korean',
-    'Russian',
-    'German',
-    'Hindi',
-    'Portuguese',
-    'Italian',
-    'Japanese',
-    'Urdu',
-    'Polish',
-    'Persian',
-    'Turkish',
-    'Greek',
-    'Hebrew'
-  ]
-
   const handleUploadClick = () => {
     fileInputRef.current?.click()
   }
 
+  // File types the server has a usable parser for - a .doc without LlamaParse, say, is not
+  const readableExtensions = fileTypes
+    ? fileTypes.filter(type => type.parsers.length > 0).map(type => type.extension)
+    : FILE_EXTENSIONS
+  const acceptedTypes = [
+    ...readableExtensions,
+    ...new Set(readableExtensions.map(ext => IMAGE_MIME_TYPES[ext]).filter(Boolean))
+  ].join(',')
+  // PDFs are read from their text layer only, so scans come out empty
+  const pdfType = fileTypes?.find(type => type.extension === '.pdf')
+  const scansUnreadable = pdfType && pdfType.parsers.length > 0 && !pdfType.readsScans
+
   const handleFileChange = (event) => {
-    const file = event.target.files[0]
-    if (file) {
-      setSelectedFile(file)
+    const files = [...event.target.files]
+    if (files.length === 0) return
+    const unreadable = files.find(file => !readableExtensions.some(ext => file.name.toLowerCase().endsWith(ext)))
+    if (unreadable) {
+      setError(t('error.unsupportedFile', { fileName: unreadable.name, types: readableExtensions.join(', ') }))
+      setSelectedFiles([])
+      return
     }
+    setError(null)
+    setSelectedFiles(files)
   }
 
+  // Several photos are pages of one document unless the user says otherwise;
+  // any other mix of files is a batch of separate documents
+  const allPhotos = selectedFiles.every(isImageFile)
+  const isBatch = selectedFiles.length > 1 && (separatePhotos || !allPhotos)
+
   const handleSubmit = async () => {
-    if (!selectedFile) {
-      setError('Please select a file first')
+    if (selectedFiles.length === 0) {
+      setError(t('error.noFile'))
       return
     }
 
     if (!selectedLanguage) {
-      setError('Please select a language first')
+      setError(t('error.noLanguage'))
+      return
+    }
+
+    if (isBatch && mode === 'translation') {
+      setError(t('error.batchTranslation'))
       return
     }
 
     setIsLoading(true)
     setError(null)
-    setSummary(null)
+    setResult(null)
+    setJob(null)
+    setResultView('summary')
+    setDocumentIndex(null)
 
     try {
       const formData = new FormData()
-      formData.append('file', selectedFile)
+      // Several photos are sent as repeated "file" fields, in the order they were chosen
+      selectedFiles.forEach(file => formData.append('file', file))
       formData.append('language', selectedLanguage)
+      formData.append('mode', mode)
+      formData.append('readingLevel', readingLevel)
+      formData.append('batch', String(isBatch))
 
-      const response = await fetch('http://localhost:3001/api/process-document', {
+      const response = await apiFetch('/api/process-document', {
         method: 'POST',
         body: formData
       })
 
       if (!response.ok) {
-        let errorMessage = 'Failed to process document'
+        let errorMessage = t('error.processFailed')
         try {
           const errorData = await response.json()
           errorMessage = errorData.error || errorData.message || errorMessage
-        } catch (e) {
-          errorMessage = `Server error: ${response.status} ${response.statusText}`
+        } catch {
+          errorMessage = t('error.serverStatus', { status: response.status, statusText: response.statusText })
         }
         throw new Error(errorMessage)
       }
 
       const data = await response.json()
-      setSummary(data.summary)
+      setJob(data.job)
+      watchJob(data.jobId)
     } catch (err) {
-      let errorMessage = err.message || 'An error occurred while processing the document'
+      let errorMessage = err.message || t('error.generic')
       
       // Handle network errors
       if (err.name === 'TypeError' && err.message.includes('fetch')) {
-        errorMessage = 'Cannot connect to server. Please make sure the server is running on http://localhost:3001'
+        errorMessage = t('error.cannotConnect', { url: API_URL })
       }
       
       setError(errorMessage)
       console.error('Error:', err)
-    } finally {
       setIsLoading(false)
     }
   }
 
+  // Follow job progress over Server-Sent Events until it finishes
+  const watchJob = (jobId) => {
+    eventSourceRef.current?.close()
+    const eventSource = new EventSource(`${API_URL}/api/jobs/${jobId}/events`, { withCredentials: true })
+    eventSourceRef.current = eventSource
+
+    eventSource.onmessage = (event) => {
+      const update = JSON.parse(event.data)
+      setJob(update)
+
+      if (update.stage === 'done') {
+        setResult(update.result)
+        setHistoryVersion(version => version + 1)
+      } else if (update.stage === 'failed') {
+        setError(update.error?.message || update.error?.error || t('error.processFailed'))
+      }
+
+      if (['done', 'failed', 'cancelled'].includes(update.stage)) {
+        eventSource.close()
+        setIsLoading(false)
+      }
+    }
+
+    eventSource.onerror = () => {
+      eventSource.close()
+      setError(t('error.connectionLost'))
+      setIsLoading(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    if (!job) return
+    eventSourceRef.current?.close()
+    setIsLoading(false)
+    try {
+      const response = await apiFetch(`/api/jobs/${job.id}`, { method: 'DELETE' })
+      const data = await response.json()
+      setJob(data.job)
+    } catch (err) {
+      console.error('Error cancelling job:', err)
+    }
+  }
+
+  // Show a document from the history again
+  const handleOpenHistory = async (id) => {
+    try {
+      const response = await apiFetch(historyPatient
+        ? `/api/history/${id}?patient=${historyPatient.id}`
+        : `/api/history/${id}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || data.error || t('error.openFailed'))
+      }
+      setJob(data.job)
+      setResult(data.entry.result)
+      setError(null)
+      setResultView('summary')
+      setDocumentIndex(null)
+      setShowHistory(false)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Clear the result on screen when its document was deleted
+  const handleHistoryDeleted = (ids) => {
+    if (job && ids.includes(job.id) && !isLoading) {
+      setJob(null)
+      setResult(null)
+    }
+  }
+
+  const jobStages = JOB_STAGES[job?.batch ? 'batch' : job?.mode || mode] || JOB_STAGES.summary
+
+  // Result shown: the whole job, or one document of a batch
+  const batchDocument = documentIndex !== null ? result?.documents?.[documentIndex] : null
+  const shownResult = batchDocument ? batchDocument.result : result
+  // Code and script direction of the result's language
+  const resultLanguage = result ? findLanguage(result.targetLanguage) : undefined
+
+  // When the job entered a stage, or null if it has not got there yet
+  const getStageTime = (stageId) => {
+    const entry = job?.history.find(item => item.stage === stageId)
+    return entry ? new Date(entry.at).toLocaleTimeString(locale) : null
+  }
+
   const toggleDarkMode = () => {
     setDarkMode(!darkMode)
+    if (user) saveSettings({ darkMode: !darkMode })
   }
 
   const handleLanguageSelect = (language) => {
     setSelectedLanguage(language)
     setShowLanguageList(false)
+    saveSettings({ language })
+  }
+
+  const handleReadingLevelSelect = (level) => {
+    setReadingLevel(level)
+    saveSettings({ readingLevel: level })
   }
 
   const handleChooseClick = () => {
@@ -138,17 +429,28 @@ function App() {
       {/* Left Sidebar */}
       <aside className="sidebar">
         <div className="sidebar-top">
-          <div className="hamburger-menu">
-            <div className="hamburger-line"></div>
-            <div className="hamburger-line"></div>
-            <div className="hamburger-line"></div>
-          </div>
+          <button
+            type="button"
+            className="hamburger-menu"
+            onClick={() => {
+              setHistoryPatient(null)
+              setShowHistory(!showHistory || historyPatient !== null)
+            }}
+            aria-label={t('history.title')}
+            aria-expanded={showHistory}
+            disabled={!user}
+          >
+            <span className="hamburger-line"></span>
+            <span className="hamburger-line"></span>
+            <span className="hamburger-line"></span>
+          </button>
           <div className="dark-mode-toggle">
             <label className="switch">
               <input
                 type="checkbox"
                 checked={darkMode}
                 onChange={toggleDarkMode}
+                aria-label={t('app.darkMode')}
               />
               <span className="slider"></span>
             </label>
@@ -157,111 +459,325 @@ function App() {
         <div className="sidebar-bottom-circle"></div>
       </aside>
 
+      {showHistory && user && (
+        <HistoryPanel
+          patient={historyPatient}
+          refreshKey={historyVersion}
+          disabled={isLoading}
+          displayLanguage={displayLanguage}
+          onOpen={handleOpenHistory}
+          onDeleted={handleHistoryDeleted}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {languages.length > 0 && (!hasChosenLocale || showLanguagePicker) && (
+        <LanguagePicker
+          languages={languages}
+          onSelect={handleLocaleSelect}
+          onClose={hasChosenLocale ? () => setShowLanguagePicker(false) : undefined}
+        />
+      )}
+
       {/* Main Content Area */}
       <div className="main-content">
         {/* Header */}
         <header className="header">
           <div className="header-left">
-            <h1 className="header-title">Your health translator</h1>
+            <h1 className="header-title">{t('app.title')}</h1>
           </div>
           <div className="header-right">
-            <div className="header-circle"></div>
-            <span className="header-name">Name</span>
+            <button
+              type="button"
+              className="locale-button"
+              onClick={() => setShowLanguagePicker(true)}
+              aria-label={t('app.changeLanguage')}
+              title={t('app.changeLanguage')}
+            >
+              <span aria-hidden="true">{appLanguage?.flag || '🌐'}</span>
+              {appLanguage && <span lang={appLanguage.code} dir={appLanguage.direction}>{appLanguage.nativeName}</span>}
+            </button>
+            {user && <AccountMenu user={user} onViewPatient={handleViewPatient} onSignOut={handleSignOut} />}
           </div>
         </header>
 
         {/* Content */}
-        <main className="content-area">
-          <div className="content-wrapper">
-            {/* Left Side - Upload and Language Controls */}
-            <div className="left-controls">
-              <div className="upload-section">
-                <input
-                  type="file"
-                  ref={fileInputRef}
-                  onChange={handleFileChange}
-                  style={{ display: 'none' }}
-                  accept=".pdf,.doc,.docx,.txt"
-                />
-                <button className="upload-button" onClick={handleUploadClick}>
-                  {selectedFile ? selectedFile.name : 'Upload doc'}
-                </button>
-                <button 
-                  className="submit-button" 
-                  onClick={handleSubmit}
-                  disabled={isLoading || !selectedFile || !selectedLanguage}
-                >
-                  {isLoading ? 'Processing...' : 'Submit'}
-                </button>
-              </div>
-              <div className="language-section" ref={languageSectionRef}>
-                <p className="language-question">Language to translate to?</p>
-                <button className="choose-button" onClick={handleChooseClick}>
-                  choose
-                </button>
-                {selectedLanguage && (
-                  <div className="selected-language">
-                    {selectedLanguage}
+        {user === null && (
+          <main className="content-area">
+            <LoginScreen onSignedIn={applyUser} />
+          </main>
+        )}
+        {user && (
+          <main className="content-area">
+            <div className="content-wrapper">
+              {/* Left Side - Upload and Language Controls */}
+              <div className="left-controls">
+                <div className="upload-section">
+                  <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={handleFileChange}
+                    style={{ display: 'none' }}
+                    accept={acceptedTypes}
+                    multiple
+                  />
+                  <button className="upload-button" onClick={handleUploadClick}>
+                    {selectedFiles.length > 1
+                      ? t(isBatch ? 'upload.documents' : 'upload.photos', { count: selectedFiles.length })
+                      : selectedFiles[0]?.name || t('upload.button')}
+                  </button>
+                  <button 
+                    className="submit-button" 
+                    onClick={handleSubmit}
+                    disabled={isLoading || selectedFiles.length === 0 || !selectedLanguage}
+                  >
+                    {isLoading ? t('upload.processing') : t('upload.submit')}
+                  </button>
+                </div>
+                {scansUnreadable && <p className="upload-note">{t('upload.noScans')}</p>}
+                {selectedFiles.length > 1 && allPhotos && (
+                  <div className="mode-section">
+                    <p className="language-question">{t('upload.photosQuestion')}</p>
+                    <div className="mode-options">
+                      <button
+                        className={`mode-option ${!separatePhotos ? 'mode-option-active' : ''}`}
+                        onClick={() => setSeparatePhotos(false)}
+                        disabled={isLoading}
+                      >
+                        {t('upload.pagesOfOne')}
+                      </button>
+                      <button
+                        className={`mode-option ${separatePhotos ? 'mode-option-active' : ''}`}
+                        onClick={() => setSeparatePhotos(true)}
+                        disabled={isLoading}
+                      >
+                        {t('upload.separate')}
+                      </button>
+                    </div>
                   </div>
                 )}
-                {showLanguageList && (
-                  <div className="language-list">
-                    {languages.map((language) => (
+                <div className="mode-section">
+                  <p className="language-question">{t('mode.question')}</p>
+                  <div className="mode-options">
+                    {MODES.map((option) => (
                       <button
-                        key={language}
-                        className="language-option"
-                        onClick={() => handleLanguageSelect(language)}
+                        key={option.id}
+                        className={`mode-option ${mode === option.id ? 'mode-option-active' : ''}`}
+                        onClick={() => setMode(option.id)}
+                        disabled={isLoading}
                       >
-                        {language}
+                        {t(option.label)}
                       </button>
                     ))}
                   </div>
+                </div>
+                {mode === 'summary' && (
+                  <div className="mode-section">
+                    <p className="language-question">{t('readingLevel.question')}</p>
+                    <div className="mode-options">
+                      {READING_LEVELS.map((option) => (
+                        <button
+                          key={option.id}
+                          className={`mode-option ${readingLevel === option.id ? 'mode-option-active' : ''}`}
+                          onClick={() => handleReadingLevelSelect(option.id)}
+                          disabled={isLoading}
+                        >
+                          {t(option.label)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                 )}
+                <div className="language-section" ref={languageSectionRef}>
+                  <p className="language-question">{t('language.question')}</p>
+                  <button className="choose-button" onClick={handleChooseClick}>
+                    {t('language.choose')}
+                  </button>
+                  {selectedLanguage && (
+                    <div className="selected-language">
+                      <LanguageName language={findLanguage(selectedLanguage)} name={selectedLanguage} />
+                    </div>
+                  )}
+                  {showLanguageList && (
+                    <div className="language-list">
+                      {languages.map((language) => (
+                        <button
+                          key={language.name}
+                          className="language-option"
+                          onClick={() => handleLanguageSelect(language.name)}
+                        >
+                          <LanguageName language={language} name={language.name} />
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
 
-            {/* Right Side - Results Text Box */}
-            <div className="results-section">
-              {isLoading && (
-                <div className="loading-container">
-                  <div className="loading-spinner"></div>
-                  <p className="loading-text">Processing your document...</p>
-                  <p className="loading-subtext">This may take a minute</p>
-                </div>
-              )}
-              
-              {error && (
-                <div className="error-container">
-                  <p className="error-text">Error: {error}</p>
-                </div>
-              )}
-              
-              {summary && !isLoading && (
-                <div className="summary-textbox">
-                  <h2 className="summary-title">Summary ({selectedLanguage})</h2>
-                  <textarea 
-                    className="summary-textarea"
-                    value={summary}
-                    readOnly
-                    placeholder="The translated summary will appear here..."
-                  />
-                </div>
-              )}
-              
-              {!summary && !isLoading && !error && (
-                <div className="summary-textbox summary-textbox-empty">
-                  <h2 className="summary-title">Summary</h2>
-                  <textarea 
-                    className="summary-textarea"
-                    value=""
-                    readOnly
-                    placeholder="Upload a document and select a language to see the translated summary here..."
-                  />
-                </div>
-              )}
+              {/* Right Side - Results Text Box */}
+              <div className="results-section">
+                {isLoading && (
+                  <div className="loading-container">
+                    <div className="loading-spinner"></div>
+                    <p className="loading-text">{t('job.processing')}</p>
+                    <ol className="job-stages">
+                      {jobStages.map((stage) => {
+                        const currentIndex = jobStages.findIndex(item => item.id === job?.stage)
+                        const stageIndex = jobStages.findIndex(item => item.id === stage.id)
+                        const status = stageIndex < currentIndex
+                          ? 'complete'
+                          : stageIndex === currentIndex ? 'active' : 'pending'
+                        const progress = status === 'active' && job?.progress
+                        return (
+                          <li key={stage.id} className={`job-stage job-stage-${status}`}>
+                            <span className="job-stage-label">
+                              {t(stage.label)}
+                              {progress && ` (${progress.completed}/${progress.total})`}
+                            </span>
+                            <span className="job-stage-time">{getStageTime(stage.id)}</span>
+                          </li>
+                        )
+                      })}
+                    </ol>
+                    <button className="cancel-button" onClick={handleCancel} disabled={!job}>
+                      {t('job.cancel')}
+                    </button>
+                  </div>
+                )}
+
+                {job?.stage === 'cancelled' && !isLoading && (
+                  <div className="error-container">
+                    <p className="error-text">{t('job.cancelled')}</p>
+                  </div>
+                )}
+                
+                {error && (
+                  <div className="error-container">
+                    <p className="error-text">{t('error.prefix', { message: error })}</p>
+                  </div>
+                )}
+                
+                {result && !isLoading && (
+                  <div className="summary-textbox">
+                    <UrgentAlerts
+                      alerts={result.alerts}
+                      documentNames={result.documents?.map(document => document.fileName)}
+                      languageCode={resultLanguage?.code}
+                      direction={resultLanguage?.direction}
+                    />
+                    <div className="result-tabs">
+                      <button
+                        className={`result-tab ${resultView === 'summary' ? 'result-tab-active' : ''}`}
+                        onClick={() => setResultView('summary')}
+                      >
+                        {t(result.mode === 'translation' ? 'result.translationTab' : 'result.summaryTab', {
+                          language: displayLanguage(result.targetLanguage)
+                        })}
+                      </button>
+                      <button
+                        className={`result-tab ${resultView === 'medications' ? 'result-tab-active' : ''}`}
+                        onClick={() => setResultView('medications')}
+                      >
+                        {t('result.medicationsTab')}
+                      </button>
+                      <button
+                        className={`result-tab ${resultView === 'listen' ? 'result-tab-active' : ''}`}
+                        onClick={() => setResultView('listen')}
+                      >
+                        {t('result.listenTab')}
+                      </button>
+                      <button
+                        className={`result-tab ${resultView === 'chat' ? 'result-tab-active' : ''}`}
+                        onClick={() => setResultView('chat')}
+                      >
+                        {t('result.chatTab')}
+                      </button>
+                    </div>
+                    {resultView === 'summary' && result.documents && (
+                      <DocumentTabs documents={result.documents} selected={documentIndex} onSelect={setDocumentIndex} />
+                    )}
+                    {resultView === 'summary' && shownResult && (
+                      <LanguageNotice
+                        languageDetection={shownResult.languageDetection}
+                        targetLanguage={shownResult.targetLanguage}
+                        displayLanguage={displayLanguage}
+                      />
+                    )}
+                    {resultView === 'summary' && shownResult && <OcrNotice ocr={shownResult.ocr} />}
+                    {resultView === 'summary' && shownResult && <NumericCheckNotice numericCheck={shownResult.numericCheck} />}
+                    {resultView === 'summary' && shownResult && <TermCheckNotice termCheck={shownResult.termCheck} />}
+                    {resultView === 'summary' && shownResult && <ReadingLevelNote readingLevel={shownResult.readingLevel} />}
+                    {resultView === 'medications' ? (
+                      <MedicationSchedule jobId={job.id} language={job.language} />
+                    ) : resultView === 'listen' ? (
+                      <ReadAloud
+                        text={result.mode === 'translation'
+                          ? result.sections.map(section => section.target).join('\n\n')
+                          : result.summary}
+                        language={displayLanguage(result.targetLanguage)}
+                        languageCode={resultLanguage?.code}
+                        direction={resultLanguage?.direction}
+                        jobId={job.id}
+                      />
+                    ) : resultView === 'chat' ? (
+                      <DocumentChat
+                        key={job.id}
+                        documentId={job.id}
+                        patientId={job.ownerId !== user?.id ? job.ownerId : null}
+                        language={job.language}
+                        languageCode={resultLanguage?.code}
+                        direction={resultLanguage?.direction}
+                      />
+                    ) : result.mode === 'translation' ? (
+                      <TranslationView
+                        sections={result.sections}
+                        targetLanguage={displayLanguage(result.targetLanguage)}
+                        language={resultLanguage}
+                        numericCheck={result.numericCheck}
+                      />
+                    ) : batchDocument?.error ? (
+                      <div className="error-container">
+                        <p className="error-text">
+                          {batchDocument.error.error}: {batchDocument.error.message}
+                        </p>
+                      </div>
+                    ) : shownResult.structuredSummary ? (
+                      <div lang={resultLanguage?.code} dir={resultLanguage?.direction || 'auto'}>
+                        <SummaryCards
+                          key={documentIndex}
+                          summary={shownResult.structuredSummary}
+                          highlights={getFlaggedValues(shownResult.numericCheck, t)}
+                          documentNames={batchDocument ? null : result.documents?.map(document => document.fileName)}
+                        />
+                      </div>
+                    ) : (
+                      <textarea 
+                        className="summary-textarea"
+                        value={shownResult.summary}
+                        lang={resultLanguage?.code}
+                        dir={resultLanguage?.direction || 'auto'}
+                        readOnly
+                        placeholder={t('result.placeholder')}
+                      />
+                    )}
+                  </div>
+                )}
+                
+                {!result && !isLoading && !error && job?.stage !== 'cancelled' && (
+                  <div className="summary-textbox summary-textbox-empty">
+                    <h2 className="summary-title">{t('result.emptyTitle')}</h2>
+                    <textarea 
+                      className="summary-textarea"
+                      value=""
+                      readOnly
+                      placeholder={t('result.emptyPlaceholder')}
+                    />
+                  </div>
+                )}
+              </div>
             </div>
-          </div>
-        </main>
+          </main>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,14 @@
+import { getLocale } from './i18n/index.js'
+
+// Base URL of the HealthForAll API server
+export const API_URL = 'http://localhost:3001'
+
+// fetch for the API: sends the session cookie along, which is on another port than the app,
+// and asks for error messages in the language of the app
+export function apiFetch(path, options = {}) {
+  return fetch(`${API_URL}${path}`, {
+    credentials: 'include',
+    ...options,
+    headers: { 'Accept-Language': getLocale(), ...options.headers }
+  })
+}
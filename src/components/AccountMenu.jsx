@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef } from 'react'
+import { apiFetch } from '../api.js'
+import { useI18n, translateNow } from '../i18n/index.js'
+import './AccountMenu.css'
+
+// "Ana Lopez" -> "AL"
+const initials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('')
+
+// Reads the JSON of an API response, throwing its error message when it failed
+async function readResponse(response, fallbackMessage) {
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.message || data.error || fallbackMessage)
+  }
+  return data
+}
+
+// The signed-in user in the header. Opens a menu to manage the caregivers who
+// may view the user's documents, open the documents of patients who shared
+// theirs (onViewPatient(patient)), and sign out.
+function AccountMenu({ user, onViewPatient, onSignOut }) {
+  const { t } = useI18n()
+  const [open, setOpen] = useState(false)
+  const [caregivers, setCaregivers] = useState([])
+  const [patients, setPatients] = useState([])
+  const [caregiverEmail, setCaregiverEmail] = useState('')
+  const [error, setError] = useState(null)
+  const menuRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    let ignore = false
+
+    const loadContacts = async () => {
+      setError(null)
+      try {
+        const [caregiverData, patientData] = await Promise.all([
+          apiFetch('/api/account/caregivers').then(response => readResponse(response, translateNow('account.loadCaregiversFailed'))),
+          apiFetch('/api/account/patients').then(response => readResponse(response, translateNow('account.loadPatientsFailed')))
+        ])
+        if (ignore) return
+        setCaregivers(caregiverData.caregivers)
+        setPatients(patientData.patients)
+      } catch (err) {
+        if (!ignore) setError(err.message)
+      }
+    }
+
+    loadContacts()
+    return () => {
+      ignore = true
+    }
+  }, [open])
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    if (!open) return
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [open])
+
+  const handleAddCaregiver = async (event) => {
+    event.preventDefault()
+    setError(null)
+    try {
+      const data = await readResponse(await apiFetch('/api/account/caregivers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: caregiverEmail })
+      }), t('account.addCaregiverFailed'))
+      setCaregivers(current => [...current.filter(item => item.id !== data.caregiver.id), data.caregiver])
+      setCaregiverEmail('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRemoveCaregiver = async (caregiver) => {
+    if (!window.confirm(t('account.removeConfirm', { name: caregiver.name }))) return
+    setError(null)
+    try {
+      await readResponse(await apiFetch(`/api/account/caregivers/${caregiver.id}`, { method: 'DELETE' }), t('account.removeCaregiverFailed'))
+      setCaregivers(current => current.filter(item => item.id !== caregiver.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="account-menu" ref={menuRef}>
+      <button
+        type="button"
+        className="account-button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        <span className="header-circle account-initials">{initials(user.name)}</span>
+        <span className="header-name">{user.name}</span>
+      </button>
+
+      {open && (
+        <div className="account-panel">
+          <p className="account-email">{t('account.signedInAs', { email: user.email })}</p>
+          {error && <p className="account-error">{error}</p>}
+
+          <section className="account-section">
+            <h3 className="account-section-title">{t('account.caregiversTitle')}</h3>
+            {caregivers.length === 0 && (
+              <p className="account-hint">{t('account.caregiversHint')}</p>
+            )}
+            <ul className="account-list">
+              {caregivers.map(caregiver => (
+                <li key={caregiver.id} className="account-list-item">
+                  <span>{caregiver.name} <span className="account-hint">{caregiver.email}</span></span>
+                  <button type="button" className="account-link" onClick={() => handleRemoveCaregiver(caregiver)}>
+                    {t('account.remove')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <form className="account-add" onSubmit={handleAddCaregiver}>
+              <input
+                type="email"
+                value={caregiverEmail}
+                onChange={event => setCaregiverEmail(event.target.value)}
+                placeholder={t('account.caregiverEmail')}
+                required
+              />
+              <button type="submit" className="account-add-button">{t('account.add')}</button>
+            </form>
+          </section>
+
+          {patients.length > 0 && (
+            <section className="account-section">
+              <h3 className="account-section-title">{t('account.sharedTitle')}</h3>
+              <ul className="account-list">
+                {patients.map(patient => (
+                  <li key={patient.id} className="account-list-item">
+                    <span>{patient.name}</span>
+                    <button
+                      type="button"
+                      className="account-link"
+                      onClick={() => {
+                        setOpen(false)
+                        onViewPatient(patient)
+                      }}
+                    >
+                      {t('account.viewDocuments')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <button type="button" className="account-sign-out" onClick={onSignOut}>
+            {t('account.signOut')}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AccountMenu
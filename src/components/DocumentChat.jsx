@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef } from 'react'
+import { apiFetch } from '../api.js'
+import { useI18n } from '../i18n/index.js'
+import SourcePassages from './SourcePassages.jsx'
+import './DocumentChat.css'
+
+// Questions and answers about a processed document. Answers only use what the
+// document says, in the document's language; questions about urgent symptoms
+// get a warning to contact a doctor now. patientId is set when a caregiver asks
+// about a patient's document. The conversation is kept until another document
+// is shown and is sent along so follow-up questions make sense.
+function DocumentChat({ documentId, patientId, language, languageCode, direction = 'auto' }) {
+  const { t } = useI18n()
+  // [{ role: 'user' | 'assistant', content, answered, urgent, citations }]
+  const [messages, setMessages] = useState([])
+  const [question, setQuestion] = useState('')
+  const [isAsking, setIsAsking] = useState(false)
+  const [error, setError] = useState(null)
+  // Whether the question that failed mentioned urgent symptoms
+  const [errorUrgent, setErrorUrgent] = useState(false)
+  // Index of the answer whose sources are shown
+  const [shownSources, setShownSources] = useState(null)
+  const listRef = useRef(null)
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight
+  }, [messages, isAsking])
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const asked = question.trim()
+    if (!asked || isAsking) return
+
+    const earlier = messages.map(({ role, content }) => ({ role, content }))
+    setMessages(current => [...current, { role: 'user', content: asked }])
+    setQuestion('')
+    setError(null)
+    setErrorUrgent(false)
+    setIsAsking(true)
+    try {
+      const response = await apiFetch(patientId
+        ? `/api/documents/${documentId}/chat?patient=${patientId}`
+        : `/api/documents/${documentId}/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: asked, messages: earlier, language })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setErrorUrgent(Boolean(data.urgent))
+        throw new Error(data.message || data.error || t('chat.failed'))
+      }
+      setMessages(current => [...current, {
+        role: 'assistant',
+        content: data.answer,
+        answered: data.answered,
+        urgent: data.urgent,
+        citations: data.citations
+      }])
+    } catch (err) {
+      setError(err.message)
+      // Give the question back so it can be sent again
+      setMessages(current => current.slice(0, -1))
+      setQuestion(asked)
+    } finally {
+      setIsAsking(false)
+    }
+  }
+
+  return (
+    <div className="document-chat">
+      <p className="document-chat-hint">{t('chat.hint')}</p>
+
+      <ol className="document-chat-messages" ref={listRef}>
+        {messages.map((message, index) => (
+          <li key={index} className={`document-chat-message document-chat-message-${message.role}`}>
+            {message.urgent && <p className="document-chat-urgent" role="alert">{t('chat.urgent')}</p>}
+            {message.role === 'assistant' && message.answered === false && (
+              <p className="document-chat-unanswered">{t('chat.notInDocument')}</p>
+            )}
+            <p
+              className="document-chat-text"
+              lang={message.role === 'assistant' ? languageCode : undefined}
+              dir={message.role === 'assistant' ? direction : 'auto'}
+            >
+              {message.content}
+            </p>
+            {message.citations?.length > 0 && (
+              <button
+                type="button"
+                className="document-chat-sources-button"
+                onClick={() => setShownSources(shownSources === index ? null : index)}
+                aria-expanded={shownSources === index}
+              >
+                {t('chat.showSources')}
+              </button>
+            )}
+            {shownSources === index && (
+              <SourcePassages citations={message.citations} onClose={() => setShownSources(null)} />
+            )}
+          </li>
+        ))}
+        {isAsking && <li className="document-chat-thinking">{t('chat.thinking')}</li>}
+      </ol>
+
+      {errorUrgent && <p className="document-chat-urgent" role="alert">{t('chat.urgent')}</p>}
+      {error && <p className="error-text">{t('error.prefix', { message: error })}</p>}
+
+      <form className="document-chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="document-chat-input"
+          value={question}
+          onChange={event => setQuestion(event.target.value)}
+          placeholder={t('chat.placeholder')}
+          aria-label={t('chat.placeholder')}
+          maxLength={1000}
+          dir="auto"
+        />
+        <button type="submit" className="document-chat-send" disabled={isAsking || !question.trim()}>
+          {t('chat.send')}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default DocumentChat
@@ -0,0 +1,38 @@
+import { useI18n } from '../i18n/index.js'
+import './DocumentTabs.css'
+
+// Switches between the combined summary of a batch and the summary of each
+// document in it. selected is the index of the document shown, or null for
+// the combined summary. Documents that failed are listed with their error.
+function DocumentTabs({ documents, selected, onSelect }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="document-tabs" role="tablist" aria-label={t('documents.label')}>
+      <button
+        type="button"
+        role="tab"
+        aria-selected={selected === null}
+        className={`document-tab ${selected === null ? 'document-tab-active' : ''}`}
+        onClick={() => onSelect(null)}
+      >
+        {t('documents.all', { count: documents.filter(document => document.result).length })}
+      </button>
+      {documents.map((document, index) => (
+        <button
+          key={index}
+          type="button"
+          role="tab"
+          aria-selected={selected === index}
+          className={`document-tab ${selected === index ? 'document-tab-active' : ''} ${document.error ? 'document-tab-failed' : ''}`}
+          onClick={() => onSelect(index)}
+          title={document.error ? document.error.message : document.fileName}
+        >
+          {document.fileName}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default DocumentTabs
@@ -0,0 +1,18 @@
+import { escapeRegExp } from '../text.js'
+
+// Renders text with every occurrence of the given values wrapped in <mark>.
+// highlights is [{ text, title }] - title explains why the value is flagged.
+function HighlightedText({ text, highlights = [] }) {
+  if (!text || highlights.length === 0) return text
+
+  const titles = new Map(highlights.map(item => [item.text, item.title]))
+  const pattern = new RegExp(`(${[...titles.keys()].map(escapeRegExp).join('|')})`, 'g')
+
+  return text.split(pattern).map((part, index) => (
+    titles.has(part)
+      ? <mark key={index} className="flagged-value" title={titles.get(part)}>{part}</mark>
+      : part
+  ))
+}
+
+export default HighlightedText
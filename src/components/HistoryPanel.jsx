@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from '../api.js'
+import { useI18n, translateNow } from '../i18n/index.js'
+import './HistoryPanel.css'
+
+// List of the documents the user has processed. Opening one shows its
+// result again; documents can be deleted one by one or all at once, which
+// removes the upload, the parsed text and the result from the server.
+// With patient ({ id, name }) it lists that patient's documents for a
+// caregiver instead, read only.
+// refreshKey reloads the list, e.g. after a new document has finished.
+// displayLanguage(name) names a document's language in the language of the app.
+function HistoryPanel({ patient, refreshKey, disabled, displayLanguage, onOpen, onDeleted, onClose }) {
+  const { t, locale } = useI18n()
+  const [entries, setEntries] = useState(null)
+  const [error, setError] = useState(null)
+
+  const patientId = patient?.id
+
+  useEffect(() => {
+    let ignore = false
+
+    const loadHistory = async () => {
+      setEntries(null)
+      setError(null)
+      try {
+        const response = await apiFetch(patientId ? `/api/history?patient=${patientId}` : '/api/history')
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || data.error || translateNow('history.loadFailed'))
+        }
+        if (!ignore) setEntries(data.entries)
+      } catch (err) {
+        if (!ignore) setError(err.message)
+      }
+    }
+
+    loadHistory()
+    return () => {
+      ignore = true
+    }
+  }, [refreshKey, patientId])
+
+  const deleteEntries = async (path, ids) => {
+    setError(null)
+    try {
+      const response = await apiFetch(`/api/history${path}`, { method: 'DELETE' })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || data.error || t('history.deleteFailed'))
+      }
+      setEntries(current => current.filter(entry => !ids.includes(entry.id)))
+      onDeleted(ids)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDelete = (entry) => {
+    if (window.confirm(t('history.deleteConfirm', { fileName: entry.fileName }))) {
+      deleteEntries(`/${entry.id}`, [entry.id])
+    }
+  }
+
+  const handleDeleteAll = () => {
+    if (window.confirm(t('history.deleteAllConfirm'))) {
+      deleteEntries('', entries.map(entry => entry.id))
+    }
+  }
+
+  const title = patient ? t('history.patientTitle', { name: patient.name }) : t('history.title')
+
+  return (
+    <aside className="history-panel" aria-label={title}>
+      <div className="history-header">
+        <h2 className="history-title">{title}</h2>
+        <button type="button" className="history-close" onClick={onClose} aria-label={t('history.close', { title })}>
+          ×
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+      {!entries && !error && <p className="history-empty">{t('history.loading')}</p>}
+      {entries?.length === 0 && (
+        <p className="history-empty">
+          {patient ? t('history.patientEmpty', { name: patient.name }) : t('history.empty')}
+        </p>
+      )}
+
+      {entries?.length > 0 && (
+        <>
+          <ul className="history-list">
+            {entries.map(entry => (
+              <li key={entry.id} className="history-entry">
+                <button
+                  type="button"
+                  className="history-open"
+                  onClick={() => onOpen(entry.id)}
+                  disabled={disabled}
+                >
+                  <span className="history-file-name">{entry.fileName}</span>
+                  <span className="history-meta">
+                    {new Date(entry.createdAt).toLocaleString(locale)} · {displayLanguage(entry.language)} · {entry.mode === 'translation' ? t('mode.translation') : t('mode.summary')}
+                  </span>
+                  {entry.preview && <span className="history-preview" dir="auto">{entry.preview}</span>}
+                </button>
+                {!patient && (
+                  <button
+                    type="button"
+                    className="history-delete"
+                    onClick={() => handleDelete(entry)}
+                    aria-label={t('history.deleteLabel', { fileName: entry.fileName })}
+                  >
+                    {t('history.delete')}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {!patient && (
+            <button type="button" className="history-delete-all" onClick={handleDeleteAll}>
+              {t('history.deleteAll')}
+            </button>
+          )}
+        </>
+      )}
+    </aside>
+  )
+}
+
+export default HistoryPanel
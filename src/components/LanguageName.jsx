@@ -0,0 +1,22 @@
+import { useI18n } from '../i18n/index.js'
+
+// A language in its own name and script, with its name in the language of the
+// app alongside. language is the registry entry; languages not in the registry
+// show name as is.
+function LanguageName({ language, name }) {
+  const { languageName } = useI18n()
+  if (!language) return name
+
+  const localName = languageName(language.code, language.name)
+
+  return (
+    <>
+      <span lang={language.code} dir={language.direction}>{language.nativeName}</span>
+      {language.nativeName.toLowerCase() !== localName.toLowerCase() && (
+        <span className="language-name-english"> · {localName}</span>
+      )}
+    </>
+  )
+}
+
+export default LanguageName
@@ -0,0 +1,33 @@
+import { useI18n } from '../i18n/index.js'
+
+// Shows the detected language of the document, and warns when it is already
+// in the language the result was written in. displayLanguage(name) names a
+// language in the language of the app.
+function LanguageNotice({ languageDetection, targetLanguage, displayLanguage }) {
+  const { t } = useI18n()
+  if (!languageDetection?.language) return null
+
+  const { language, mixed, languages } = languageDetection
+  const shown = languages.filter(entry => entry.share >= 0.15)
+  const sameLanguage = language === targetLanguage && !mixed
+  const partlySame = mixed && shown.some(entry => entry.language === targetLanguage)
+
+  return (
+    <>
+      <p className="language-note">
+        {t('languageNotice.documentLanguage')} <strong>{mixed
+          ? shown.map(entry => `${displayLanguage(entry.language)} (${Math.round(entry.share * 100)}%)`).join(', ')
+          : displayLanguage(language)}</strong>
+      </p>
+      {(sameLanguage || partlySame) && (
+        <div className="language-notice" role="alert">
+          <p className="language-notice-title">
+            {t(sameLanguage ? 'languageNotice.same' : 'languageNotice.partly', { language: displayLanguage(targetLanguage) })}
+          </p>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default LanguageNotice
@@ -0,0 +1,50 @@
+import { useI18n, LOCALES } from '../i18n/index.js'
+import './LanguagePicker.css'
+
+// Full-screen choice of the app's language, each shown with its flag and in its
+// own name so it can be found without reading English. languages is the
+// server's registry; only those the app has texts for are offered.
+// Without onClose it cannot be dismissed - it is the first thing a new user sees.
+function LanguagePicker({ languages, onSelect, onClose }) {
+  const { t, locale } = useI18n()
+  const choices = languages.filter(language => LOCALES.includes(language.code))
+
+  return (
+    <div className="language-picker-backdrop" onClick={onClose}>
+      <div
+        className="language-picker"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="language-picker-title"
+        onClick={event => event.stopPropagation()}
+      >
+        <div className="language-picker-header">
+          <h2 id="language-picker-title" className="language-picker-title">{t('picker.title')}</h2>
+          {onClose && (
+            <button type="button" className="language-picker-close" onClick={onClose} aria-label={t('picker.close')}>
+              ×
+            </button>
+          )}
+        </div>
+        <ul className="language-picker-list">
+          {choices.map(language => (
+            <li key={language.code}>
+              <button
+                type="button"
+                className={`language-picker-option ${language.code === locale ? 'language-picker-option-active' : ''}`}
+                onClick={() => onSelect(language.code)}
+                aria-pressed={language.code === locale}
+              >
+                <span className="language-picker-flag" aria-hidden="true">{language.flag}</span>
+                <span lang={language.code} dir={language.direction}>{language.nativeName}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        <p className="language-picker-hint">{t('picker.hint')}</p>
+      </div>
+    </div>
+  )
+}
+
+export default LanguagePicker
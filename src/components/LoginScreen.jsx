@@ -0,0 +1,83 @@
+import { useState } from 'react'
+import { apiFetch } from '../api.js'
+import { useI18n } from '../i18n/index.js'
+import './LoginScreen.css'
+
+// Sign-in and sign-up form. onSignedIn(user) is called with the account once
+// the server has set the session cookie.
+function LoginScreen({ onSignedIn }) {
+  const { t } = useI18n()
+  const [mode, setMode] = useState('login')
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const isRegister = mode === 'register'
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setError(null)
+    setIsSubmitting(true)
+    try {
+      const response = await apiFetch(`/api/account/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(isRegister ? { name, email, password } : { email, password })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || data.error || t('login.failed'))
+      }
+      onSignedIn(data.user)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register')
+    setError(null)
+  }
+
+  return (
+    <div className="login-screen">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h2 className="login-title">{isRegister ? t('login.createTitle') : t('login.signIn')}</h2>
+        {isRegister && (
+          <label className="login-field">
+            {t('login.name')}
+            <input type="text" value={name} onChange={event => setName(event.target.value)} autoComplete="name" required />
+          </label>
+        )}
+        <label className="login-field">
+          {t('login.email')}
+          <input type="email" value={email} onChange={event => setEmail(event.target.value)} autoComplete="email" required />
+        </label>
+        <label className="login-field">
+          {t('login.password')}
+          <input
+            type="password"
+            value={password}
+            onChange={event => setPassword(event.target.value)}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+        </label>
+        {error && <p className="login-error" role="alert">{error}</p>}
+        <button type="submit" className="login-submit" disabled={isSubmitting}>
+          {isRegister ? t('login.createAccount') : t('login.signIn')}
+        </button>
+        <button type="button" className="login-switch" onClick={switchMode}>
+          {isRegister ? t('login.haveAccount') : t('login.createTitle')}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default LoginScreen
@@ -0,0 +1,68 @@
+import HighlightedText from './HighlightedText.jsx'
+
+// Minimal markdown renderer for parsed documents: headings, lists, tables,
+// paragraphs and **bold** text. Anything else is shown as plain text.
+// highlights marks flagged values, as in HighlightedText.
+
+const renderInline = (text, highlights) => {
+  return text.split(/(\*\*[^*]+\*\*)/g).map((part, index) => (
+    part.startsWith('**') && part.endsWith('**')
+      ? <strong key={index}><HighlightedText text={part.slice(2, -2)} highlights={highlights} /></strong>
+      : <HighlightedText key={index} text={part} highlights={highlights} />
+  ))
+}
+
+const splitTableRow = (line) => {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim())
+}
+
+const renderBlock = (block, key, highlights) => {
+  const lines = block.split('\n')
+  const heading = block.match(/^(#{1,6})\s+(.*)/)
+  if (heading) {
+    const Tag = `h${Math.min(heading[1].length + 2, 6)}`
+    return <Tag key={key} className="markdown-heading">{renderInline(heading[2], highlights)}</Tag>
+  }
+
+  if (lines.length > 1 && lines.every(line => line.trim().startsWith('|'))) {
+    const rows = lines
+      .filter(line => !/^\|?\s*:?-{3,}/.test(line.trim()))
+      .map(splitTableRow)
+    return (
+      <table key={key} className="markdown-table">
+        <tbody>
+          {rows.map((cells, rowIndex) => (
+            <tr key={rowIndex}>
+              {cells.map((cell, cellIndex) => (
+                rowIndex === 0
+                  ? <th key={cellIndex}>{renderInline(cell, highlights)}</th>
+                  : <td key={cellIndex}>{renderInline(cell, highlights)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )
+  }
+
+  if (lines.every(line => /^\s*([-*•]|\d+[.)])\s+/.test(line))) {
+    const ordered = /^\s*\d+[.)]/.test(lines[0])
+    const List = ordered ? 'ol' : 'ul'
+    return (
+      <List key={key} className="markdown-list">
+        {lines.map((line, index) => (
+          <li key={index}>{renderInline(line.replace(/^\s*([-*•]|\d+[.)])\s+/, ''), highlights)}</li>
+        ))}
+      </List>
+    )
+  }
+
+  return <p key={key} className="markdown-paragraph">{renderInline(block, highlights)}</p>
+}
+
+function Markdown({ text, highlights = [] }) {
+  const blocks = text.split(/\n\s*\n/).filter(block => block.trim())
+  return <div className="markdown">{blocks.map((block, index) => renderBlock(block, index, highlights))}</div>
+}
+
+export default Markdown
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react'
+import { API_URL, apiFetch } from '../api.js'
+import { useI18n, translateNow } from '../i18n/index.js'
+import './MedicationSchedule.css'
+
+// "20:00" -> "8:00 PM" in English, "20:00" in French...
+const formatTime = (time, locale) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' })
+}
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// Daily medication timetable for a processed document, with print and calendar export
+function MedicationSchedule({ jobId, language }) {
+  const { t, locale } = useI18n()
+  const [data, setData] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let ignore = false
+
+    const loadSchedule = async () => {
+      setIsLoading(true)
+      setError(null)
+      try {
+        const response = await apiFetch(`/api/jobs/${jobId}/medications`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ language })
+        })
+        const result = await response.json()
+        if (!response.ok) {
+          throw new Error(result.message || result.error || translateNow('medications.failed'))
+        }
+        if (!ignore) setData(result)
+      } catch (err) {
+        if (!ignore) setError(err.message)
+      } finally {
+        if (!ignore) setIsLoading(false)
+      }
+    }
+
+    loadSchedule()
+    return () => {
+      ignore = true
+    }
+  }, [jobId, language])
+
+  if (isLoading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p className="loading-text">{t('medications.loading')}</p>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <p className="error-text">{t('error.prefix', { message: error })}</p>
+      </div>
+    )
+  }
+
+  const { schedule } = data
+
+  if (data.medications.length === 0) {
+    return <p className="medication-empty">{t('medications.none')}</p>
+  }
+
+  return (
+    <div className="medication-schedule">
+      <div className="medication-actions">
+        <button className="medication-action-button" onClick={() => window.print()}>
+          {t('medications.print')}
+        </button>
+        <a
+          className="medication-action-button"
+          href={`${API_URL}/api/jobs/${jobId}/medications/calendar.ics?start=${today()}`}
+          download="medication-schedule.ics"
+        >
+          {t('medications.calendar')}
+        </a>
+      </div>
+
+      {schedule.slots.length > 0 && (
+        <table className="medication-table">
+          <tbody>
+            {schedule.slots.map((slot) => (
+              <tr key={slot.time}>
+                <th scope="row" className="medication-time">{formatTime(slot.time, locale)}</th>
+                <td>
+                  <ul className="medication-list">
+                    {slot.medications.map((medication, index) => (
+                      <li key={index}>
+                        <strong>{medication.name}</strong> {medication.strength}
+                        <div className="medication-instructions">{medication.plainInstructions}</div>
+                      </li>
+                    ))}
+                  </ul>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {schedule.asNeeded.length > 0 && (
+        <section className="medication-section">
+          <h3 className="medication-section-title">{t('medications.asNeeded')}</h3>
+          <ul className="medication-list">
+            {schedule.asNeeded.map((medication, index) => (
+              <li key={index}>
+                <strong>{medication.name}</strong> {medication.strength}
+                <div className="medication-instructions">{medication.plainInstructions}</div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {schedule.unscheduled.length > 0 && (
+        <section className="medication-section">
+          <h3 className="medication-section-title">{t('medications.unscheduled')}</h3>
+          <ul className="medication-list">
+            {schedule.unscheduled.map((medication, index) => (
+              <li key={index}>
+                <strong>{medication.name}</strong> {medication.strength}
+                {medication.frequencyText && <span> ({medication.frequencyText})</span>}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default MedicationSchedule
@@ -0,0 +1,37 @@
+import { useI18n } from '../i18n/index.js'
+
+// Explains the values flagged by the server's numeric check. The values
+// themselves are highlighted in the summary or translation.
+function NumericCheckNotice({ numericCheck }) {
+  const { t } = useI18n()
+  if (!numericCheck || numericCheck.issues.length === 0) return null
+
+  const flagged = numericCheck.issues.filter(issue => !issue.source)
+  const missing = numericCheck.issues.filter(issue => issue.source)
+
+  return (
+    <div className={`numeric-check-notice ${numericCheck.passed ? '' : 'numeric-check-notice-error'}`} role="alert">
+      {flagged.length > 0 && (
+        <>
+          <p className="numeric-check-title">{t('numericCheck.flagged')}</p>
+          <ul className="numeric-check-list">
+            {flagged.map((issue, index) => (
+              <li key={index}>
+                <mark className="flagged-value">{issue.text}</mark>
+                {' - '}
+                {issue.expected ? t('numericCheck.documentSays', { expected: issue.expected }) : t('numericCheck.notFound')}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {missing.length > 0 && (
+        <p className="numeric-check-title">
+          {t('numericCheck.missing', { values: missing.map(issue => issue.text).join(', ') })}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default NumericCheckNotice
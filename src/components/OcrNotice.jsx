@@ -0,0 +1,27 @@
+import { useI18n } from '../i18n/index.js'
+
+// Warns when the text of uploaded photos was hard to read, so the summary may
+// contain OCR mistakes
+function OcrNotice({ ocr }) {
+  const { t } = useI18n()
+  if (!ocr || !ocr.lowConfidence) return null
+
+  const { pages, lowConfidencePages } = ocr
+
+  return (
+    <div className="ocr-notice" role="alert">
+      <p className="ocr-notice-title">
+        {t('ocr.hardToRead', { count: pages.length, confidence: ocr.confidence })}
+      </p>
+      {pages.length > 1 && lowConfidencePages.length > 0 && (
+        <p className="ocr-notice-title">
+          {t('ocr.hardest', {
+            pages: lowConfidencePages.map(page => t('ocr.page', { page, fileName: pages[page - 1].fileName })).join(', ')
+          })}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default OcrNotice
@@ -0,0 +1,177 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { API_URL } from '../api.js'
+import { toPlainText, splitSentences, findVoice } from '../speech.js'
+import { useI18n } from '../i18n/index.js'
+import './ReadAloud.css'
+
+const SPEEDS = [0.75, 1, 1.25, 1.5]
+
+const speechSupported = typeof window !== 'undefined' && 'speechSynthesis' in window
+
+// Reads the result aloud sentence by sentence with the browser's voices,
+// highlighting the sentence being read. Clicking a sentence reads from there.
+// The same text can be downloaded as audio generated by the server.
+// language names the language for the user, languageCode (BCP 47) picks the voice
+// and direction is the script direction of the text.
+function ReadAloud({ text, language, languageCode = 'en', direction = 'auto', jobId }) {
+  const { t } = useI18n()
+  const sentences = useMemo(() => splitSentences(toPlainText(text || '')), [text])
+  const [voices, setVoices] = useState(() => (speechSupported ? window.speechSynthesis.getVoices() : []))
+  const [status, setStatus] = useState('stopped')
+  const [current, setCurrent] = useState(-1)
+  const [speed, setSpeed] = useState(1)
+  const speedRef = useRef(1)
+  const currentRef = useRef(-1)
+  // Incremented on every start or stop so callbacks of cancelled utterances are ignored
+  const runRef = useRef(0)
+  const sentenceRefs = useRef([])
+
+  const voice = findVoice(voices, languageCode)
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!speechSupported) return
+    const updateVoices = () => setVoices(window.speechSynthesis.getVoices())
+    window.speechSynthesis.addEventListener('voiceschanged', updateVoices)
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', updateVoices)
+  }, [])
+
+  // Stop reading when the text changes or the panel closes
+  useEffect(() => {
+    const runs = runRef
+    return () => {
+      runs.current++
+      if (speechSupported) window.speechSynthesis.cancel()
+    }
+  }, [text])
+
+  useEffect(() => {
+    sentenceRefs.current[current]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+  }, [current])
+
+  const speakFrom = (index) => {
+    const run = ++runRef.current
+    window.speechSynthesis.cancel()
+    // Some browsers stay paused after cancel, which would keep the next sentence silent
+    window.speechSynthesis.resume()
+
+    const speakSentence = (sentenceIndex) => {
+      if (run !== runRef.current) return
+      if (sentenceIndex >= sentences.length) {
+        setStatus('stopped')
+        setCurrent(-1)
+        currentRef.current = -1
+        return
+      }
+
+      const utterance = new SpeechSynthesisUtterance(sentences[sentenceIndex])
+      utterance.lang = voice?.lang || languageCode
+      utterance.voice = voice
+      utterance.rate = speedRef.current
+      utterance.onstart = () => {
+        if (run !== runRef.current) return
+        currentRef.current = sentenceIndex
+        setCurrent(sentenceIndex)
+      }
+      utterance.onend = () => speakSentence(sentenceIndex + 1)
+      utterance.onerror = () => {
+        if (run === runRef.current) setStatus('stopped')
+      }
+      window.speechSynthesis.speak(utterance)
+    }
+
+    currentRef.current = index
+    setCurrent(index)
+    setStatus('playing')
+    speakSentence(index)
+  }
+
+  const handlePlay = () => {
+    if (status === 'paused') {
+      window.speechSynthesis.resume()
+      setStatus('playing')
+    } else {
+      speakFrom(0)
+    }
+  }
+
+  const handlePause = () => {
+    window.speechSynthesis.pause()
+    setStatus('paused')
+  }
+
+  const handleStop = () => {
+    runRef.current++
+    window.speechSynthesis.cancel()
+    setStatus('stopped')
+    setCurrent(-1)
+    currentRef.current = -1
+  }
+
+  // New speed applies from the next sentence, or straight away by re-reading the current one
+  const handleSpeedChange = (event) => {
+    const value = Number(event.target.value)
+    setSpeed(value)
+    speedRef.current = value
+    if (status === 'playing') speakFrom(currentRef.current)
+  }
+
+  return (
+    <div className="read-aloud">
+      <div className="read-aloud-controls">
+        {status === 'playing' ? (
+          <button type="button" className="read-aloud-button" onClick={handlePause}>{t('readAloud.pause')}</button>
+        ) : (
+          <button
+            type="button"
+            className="read-aloud-button"
+            onClick={handlePlay}
+            disabled={!speechSupported || sentences.length === 0}
+          >
+            {status === 'paused' ? t('readAloud.resume') : t('readAloud.play')}
+          </button>
+        )}
+        <button type="button" className="read-aloud-button" onClick={handleStop} disabled={status === 'stopped'}>
+          {t('readAloud.stop')}
+        </button>
+        <label className="read-aloud-speed">
+          {t('readAloud.speed')}
+          <select value={speed} onChange={handleSpeedChange}>
+            {SPEEDS.map(value => (
+              <option key={value} value={value}>{value}×</option>
+            ))}
+          </select>
+        </label>
+        <a
+          className="read-aloud-download"
+          href={`${API_URL}/api/jobs/${jobId}/audio?speed=${speed}`}
+          download
+        >
+          {t('readAloud.download')}
+        </a>
+      </div>
+
+      {!speechSupported && (
+        <p className="read-aloud-notice">{t('readAloud.unsupported')}</p>
+      )}
+      {speechSupported && voices.length > 0 && !voice && (
+        <p className="read-aloud-notice">{t('readAloud.noVoice', { language })}</p>
+      )}
+
+      <div className="read-aloud-text" lang={languageCode} dir={direction}>
+        {sentences.map((sentence, index) => (
+          <span
+            key={index}
+            ref={element => { sentenceRefs.current[index] = element }}
+            className={`read-aloud-sentence ${index === current ? 'read-aloud-sentence-active' : ''}`}
+            onClick={() => speechSupported && speakFrom(index)}
+          >
+            {sentence}{' '}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ReadAloud
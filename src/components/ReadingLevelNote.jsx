@@ -0,0 +1,20 @@
+import { useI18n } from '../i18n/index.js'
+
+// Shows the reading level a summary was written for and the grade it measured at.
+// Languages without a readability formula only show the requested level.
+function ReadingLevelNote({ readingLevel }) {
+  const { t } = useI18n()
+  if (!readingLevel) return null
+
+  const { level, targetGrade, score, withinTarget } = readingLevel
+
+  return (
+    <p className={`reading-level-note ${withinTarget === false ? 'reading-level-note-above' : ''}`}>
+      {t('readingLevelNote.label')} <strong>{t(`readingLevelNote.${level}`)}</strong>
+      {score && ` · ${t('readingLevelNote.measured', { grade: score.grade, formula: score.formula })}`}
+      {withinTarget === false && ` - ${t('readingLevelNote.above', { grade: targetGrade })}`}
+    </p>
+  )
+}
+
+export default ReadingLevelNote
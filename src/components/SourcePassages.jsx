@@ -0,0 +1,36 @@
+import { useI18n } from '../i18n/index.js'
+import './SourcePassages.css'
+
+// Shows the passages of the original document a summary point is based on,
+// with the cited text marked inside its surrounding sentences. Citations of a
+// combined summary name the document they come from.
+function SourcePassages({ citations, documentNames, onClose }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="source-passages" role="region" aria-label={t('source.title')}>
+      <div className="source-passages-header">
+        <span className="source-passages-title">{t('source.title')}</span>
+        <button type="button" className="source-passages-close" onClick={onClose} aria-label={t('source.close')}>
+          ×
+        </button>
+      </div>
+      {citations.map((citation, index) => (
+        <figure key={index} className="source-passage">
+          <figcaption className="source-passage-caption">
+            {documentNames?.[citation.document] && `${documentNames[citation.document]} · `}
+            {citation.page ? t('source.page', { page: citation.page }) : t('source.document')}
+            {!citation.exact && ` · ${t('source.closestMatch')}`}
+          </figcaption>
+          <blockquote className="source-passage-text" dir="auto">
+            {citation.before}
+            <mark className="source-passage-quote">{citation.text}</mark>
+            {citation.after}
+          </blockquote>
+        </figure>
+      ))}
+    </div>
+  )
+}
+
+export default SourcePassages
@@ -0,0 +1,183 @@
+import { useState } from 'react'
+import HighlightedText from './HighlightedText.jsx'
+import SourcePassages from './SourcePassages.jsx'
+import { useI18n } from '../i18n/index.js'
+import './SummaryCards.css'
+
+const LIST_SECTIONS = ['warningSigns', 'diagnoses', 'medications', 'followUps', 'labValues']
+
+function SummaryCard({ title, className = '', children }) {
+  return (
+    <section className={`summary-card ${className}`}>
+      <h3 className="summary-card-title">{title}</h3>
+      {children}
+    </section>
+  )
+}
+
+// Renders each section of a structured summary as its own card. Empty sections are skipped.
+// highlights marks values flagged by the numeric check. Points with citations can be
+// clicked to show the passages of the original document they are based on.
+// documentNames names the documents of a combined summary, whose citations
+// point into several documents.
+function SummaryCards({ summary, highlights = [], documentNames }) {
+  // The point whose original passages are shown: { section, index }
+  const [selected, setSelected] = useState(null)
+  const { t } = useI18n()
+  // Headings the model translated, or the app's own when it did not provide them
+  const heading = (section) => summary.headings?.[section] || t(`summary.${section}`)
+  const mark = (text) => <HighlightedText text={text} highlights={highlights} />
+
+  const citationsOf = (section, index) => (
+    section === 'overview' ? summary.overviewCitations : summary[section]?.[index]?.citations
+  ) || []
+  const isSelected = (section, index) => selected?.section === section && selected?.index === index
+  const hasCitations = summary.overviewCitations?.length > 0 ||
+    LIST_SECTIONS.some(section => summary[section].some(item => item.citations?.length > 0))
+
+  // Props that make a point open its passages on click or Enter. Points without citations stay plain.
+  const cited = (section, index, className = '') => {
+    if (citationsOf(section, index).length === 0) return { className }
+    const toggle = () => setSelected(isSelected(section, index) ? null : { section, index })
+    return {
+      className: `${className} summary-point-cited ${isSelected(section, index) ? 'summary-point-selected' : ''}`,
+      role: 'button',
+      tabIndex: 0,
+      title: t('summary.showOriginal'),
+      onClick: toggle,
+      onKeyDown: (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault()
+          toggle()
+        }
+      }
+    }
+  }
+
+  // Passages for the selected point, shown under the card it belongs to
+  const passages = (section) => selected?.section === section && citationsOf(section, selected.index).length > 0 && (
+    <SourcePassages
+      citations={citationsOf(section, selected.index)}
+      documentNames={documentNames}
+      onClose={() => setSelected(null)}
+    />
+  )
+
+  return (
+    <div className="summary-cards">
+      {hasCitations && (
+        <p className="summary-cards-hint">{t('summary.hint')}</p>
+      )}
+      {summary.warningSigns.length > 0 && (
+        <SummaryCard title={heading('warningSigns')} className="summary-card-warning">
+          <ul className="summary-card-list">
+            {summary.warningSigns.map((item, index) => (
+              <li key={index} {...cited('warningSigns', index)}>
+                <strong>{mark(item.sign)}</strong>
+                {item.action && <span> — {mark(item.action)}</span>}
+              </li>
+            ))}
+          </ul>
+          {passages('warningSigns')}
+        </SummaryCard>
+      )}
+
+      <SummaryCard title={heading('overview')}>
+        <p {...cited('overview', 0, 'summary-card-text')}>{mark(summary.overview)}</p>
+        {passages('overview')}
+      </SummaryCard>
+
+      {summary.diagnoses.length > 0 && (
+        <SummaryCard title={heading('diagnoses')}>
+          <ul className="summary-card-list">
+            {summary.diagnoses.map((item, index) => (
+              <li key={index} {...cited('diagnoses', index)}>
+                <strong>{mark(item.name)}</strong>
+                {item.details && <span> — {mark(item.details)}</span>}
+              </li>
+            ))}
+          </ul>
+          {passages('diagnoses')}
+        </SummaryCard>
+      )}
+
+      {summary.medications.length > 0 && (
+        <SummaryCard title={heading('medications')}>
+          <div className="summary-card-table-wrapper">
+            <table className="summary-card-table">
+              <thead>
+                <tr>
+                  <th>{t('summary.name')}</th>
+                  <th>{t('summary.dose')}</th>
+                  <th>{t('summary.frequency')}</th>
+                  <th>{t('summary.duration')}</th>
+                  <th>{t('summary.instructions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.medications.map((item, index) => (
+                  <tr key={index} {...cited('medications', index)}>
+                    <td><strong>{mark(item.name)}</strong></td>
+                    <td>{mark(item.dose)}</td>
+                    <td>{mark(item.frequency)}</td>
+                    <td>{mark(item.duration)}</td>
+                    <td>{mark(item.instructions)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {passages('medications')}
+        </SummaryCard>
+      )}
+
+      {summary.followUps.length > 0 && (
+        <SummaryCard title={heading('followUps')}>
+          <ul className="summary-card-list">
+            {summary.followUps.map((item, index) => (
+              <li key={index} {...cited('followUps', index)}>
+                <strong>{mark(item.description)}</strong>
+                {item.date && <span> — {mark(item.date)}</span>}
+                {item.provider && <span> ({item.provider})</span>}
+              </li>
+            ))}
+          </ul>
+          {passages('followUps')}
+        </SummaryCard>
+      )}
+
+      {summary.labValues.length > 0 && (
+        <SummaryCard title={heading('labValues')}>
+          <div className="summary-card-table-wrapper">
+            <table className="summary-card-table">
+              <thead>
+                <tr>
+                  <th>{t('summary.test')}</th>
+                  <th>{t('summary.result')}</th>
+                  <th>{t('summary.normalRange')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.labValues.map((item, index) => (
+                  <tr key={index} {...cited('labValues', index, item.flag && item.flag !== 'normal' ? 'lab-value-flagged' : '')}>
+                    <td>{mark(item.name)}</td>
+                    <td>
+                      {mark(`${item.value} ${item.unit}`.trim())}
+                      {item.flag && item.flag !== 'normal' && (
+                        <span className={`lab-flag lab-flag-${item.flag}`}>{t(`summary.flag.${item.flag}`)}</span>
+                      )}
+                    </td>
+                    <td>{mark(item.referenceRange)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {passages('labValues')}
+        </SummaryCard>
+      )}
+    </div>
+  )
+}
+
+export default SummaryCards
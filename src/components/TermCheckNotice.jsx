@@ -0,0 +1,24 @@
+import { useI18n } from '../i18n/index.js'
+
+// Warns when protected terms (glossary entries, medication names, doses)
+// were changed or left out of the generated text
+function TermCheckNotice({ termCheck }) {
+  const { t } = useI18n()
+  if (!termCheck || termCheck.passed) return null
+
+  return (
+    <div className="term-check-notice" role="alert">
+      <p className="term-check-title">{t('termCheck.title')}</p>
+      <ul className="term-check-list">
+        {termCheck.issues.map((issue, index) => (
+          <li key={index}>
+            <strong>{issue.term}</strong> — {issue.reason ? t(`termCheck.${issue.reason}`) : issue.problem}
+            {issue.expected !== issue.term && ` (${t('termCheck.expected', { expected: issue.expected })})`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default TermCheckNotice
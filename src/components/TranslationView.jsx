@@ -0,0 +1,77 @@
+import { useRef, useState } from 'react'
+import Markdown from './Markdown.jsx'
+import { getFlaggedValues } from '../text.js'
+import { useI18n } from '../i18n/index.js'
+import './TranslationView.css'
+
+// Full translation shown as two columns - the original on the left, the
+// translation on the right. Scrolling one column keeps the other on the same section.
+// Values flagged by the numeric check are highlighted in the translation.
+// targetLanguage titles the translation column and language is the registry entry
+// of the target language, for its script direction; the original's direction is
+// taken from its own text.
+function TranslationView({ sections, targetLanguage, language, numericCheck }) {
+  const { t } = useI18n()
+  const sourceRef = useRef(null)
+  const targetRef = useRef(null)
+  const syncingRef = useRef(null)
+  const [activeSection, setActiveSection] = useState(null)
+
+  const handleScroll = (from, to) => {
+    // Ignore the scroll event caused by our own syncing
+    if (syncingRef.current === from.current) {
+      syncingRef.current = null
+      return
+    }
+
+    const fromColumn = from.current
+    const toColumn = to.current
+    const fromSections = [...fromColumn.querySelectorAll('[data-section]')]
+    const top = fromColumn.scrollTop
+    const current = fromSections.find(el => el.offsetTop + el.offsetHeight > top) || fromSections[fromSections.length - 1]
+    if (!current) return
+
+    const fraction = Math.min(Math.max((top - current.offsetTop) / current.offsetHeight, 0), 1)
+    const match = toColumn.querySelector(`[data-section="${current.dataset.section}"]`)
+    if (!match) return
+
+    syncingRef.current = toColumn
+    toColumn.scrollTop = match.offsetTop + fraction * match.offsetHeight
+  }
+
+  const renderColumn = (ref, otherRef, field, title, textProps) => (
+    <div className="translation-column">
+      <h3 className="translation-column-title">{title}</h3>
+      <div
+        className="translation-column-body"
+        ref={ref}
+        onScroll={() => handleScroll(ref, otherRef)}
+      >
+        {sections.map((section) => (
+          <div
+            key={section.id}
+            data-section={section.id}
+            className={`translation-section ${activeSection === section.id ? 'translation-section-active' : ''}`}
+            onMouseEnter={() => setActiveSection(section.id)}
+            onMouseLeave={() => setActiveSection(null)}
+            {...textProps}
+          >
+            <Markdown
+              text={section[field]}
+              highlights={field === 'target' ? getFlaggedValues(numericCheck, t, section.id) : []}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="translation-view">
+      {renderColumn(sourceRef, targetRef, 'source', t('translation.original'), { dir: 'auto' })}
+      {renderColumn(targetRef, sourceRef, 'target', targetLanguage, { lang: language?.code, dir: language?.direction || 'auto' })}
+    </div>
+  )
+}
+
+export default TranslationView
@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { useI18n } from '../i18n/index.js'
+import SourcePassages from './SourcePassages.jsx'
+
+// The red flags found in a document - when to go back to the emergency room,
+// critical lab values, allergies and dangerous medication pairs - above
+// everything else in the result. Warning signs are in the language of the
+// result (languageCode, direction); the rest is in the language of the app.
+// documentNames names the documents citations of a batch point into.
+function UrgentAlerts({ alerts, documentNames, languageCode, direction = 'auto' }) {
+  const { t } = useI18n()
+  // Index of the alert whose original text is shown
+  const [shownSources, setShownSources] = useState(null)
+  if (!alerts || alerts.length === 0) return null
+
+  const describe = (alert) => {
+    switch (alert.type) {
+      case 'returnToEr':
+        return t(alert.severity === 'critical' ? 'alerts.returnToEr' : 'alerts.warningSigns')
+      case 'criticalLab':
+        return t('alerts.criticalLab', { name: alert.name, value: [alert.value, alert.unit].filter(Boolean).join(' ') })
+      case 'allergy':
+        return alert.conflictsWith
+          ? t('alerts.allergyConflict', { substance: alert.substance, medication: alert.conflictsWith })
+          : t('alerts.allergy', { substance: alert.reaction ? `${alert.substance} (${alert.reaction})` : alert.substance })
+      case 'interaction':
+        return t('alerts.interaction', {
+          first: alert.medications[0],
+          second: alert.medications[1],
+          risk: t(`alerts.risk.${alert.risk}`)
+        })
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="urgent-alerts" role="alert">
+      <p className="urgent-alerts-title">{t('alerts.title')}</p>
+      <ul className="urgent-alerts-list">
+        {alerts.map((alert, index) => (
+          <li key={index} className={`urgent-alert urgent-alert-${alert.severity}`}>
+            <p className="urgent-alert-text">{describe(alert)}</p>
+            {alert.signs?.length > 0 && (
+              <ul className="urgent-alert-signs" lang={languageCode} dir={direction}>
+                {alert.signs.map((sign, signIndex) => (
+                  <li key={signIndex}>{sign.action ? `${sign.sign} - ${sign.action}` : sign.sign}</li>
+                ))}
+              </ul>
+            )}
+            {alert.citations?.length > 0 && (
+              <button
+                type="button"
+                className="urgent-alert-sources-button"
+                onClick={() => setShownSources(shownSources === index ? null : index)}
+                aria-expanded={shownSources === index}
+              >
+                {t('summary.showOriginal')}
+              </button>
+            )}
+            {shownSources === index && (
+              <SourcePassages
+                citations={alert.citations}
+                documentNames={documentNames}
+                onClose={() => setShownSources(null)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+      <p className="urgent-alerts-note">{t('alerts.note')}</p>
+    </div>
+  )
+}
+
+export default UrgentAlerts
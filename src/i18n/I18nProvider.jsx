@@ -0,0 +1,70 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import {
+  I18nContext,
+  getLocale,
+  getSavedLocale,
+  saveLocale,
+  getDirection,
+  loadCatalog,
+  isCatalogLoaded,
+  translate
+} from './index.js'
+
+// Gives the app its texts in the language the user picked (or the browser's
+// until they pick one), and sets the lang and dir of the page to match.
+// Until a catalog has loaded its texts are shown in English.
+function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(getLocale)
+  const [hasChosenLocale, setHasChosenLocale] = useState(() => getSavedLocale() !== null)
+  // Bumped when a catalog has loaded, so texts are looked up again
+  const [loadedLocale, setLoadedLocale] = useState(() => (isCatalogLoaded(locale) ? locale : null))
+
+  useEffect(() => {
+    let ignore = false
+    loadCatalog(locale)
+      .then(() => {
+        if (!ignore) setLoadedLocale(locale)
+      })
+      .catch(err => console.error('Error loading texts:', err))
+    return () => {
+      ignore = true
+    }
+  }, [locale])
+
+  const direction = getDirection(locale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+    document.documentElement.dir = direction
+  }, [locale, direction])
+
+  const setLocale = useCallback((next) => {
+    saveLocale(next)
+    setLocaleState(next)
+    setHasChosenLocale(true)
+  }, [])
+
+  const value = useMemo(() => {
+    const shown = loadedLocale === locale ? locale : 'en'
+    const displayNames = typeof Intl.DisplayNames === 'function'
+      ? new Intl.DisplayNames([shown], { type: 'language' })
+      : null
+    return {
+      locale,
+      direction,
+      hasChosenLocale,
+      setLocale,
+      t: (key, params) => translate(shown, key, params),
+      // Name of a language in the language of the app, e.g. es -> "espagnol" in French.
+      // fallback (the English name) is used when the browser cannot name it.
+      languageName: (code, fallback) => {
+        const name = code && displayNames?.of(code.split('-')[0])
+        return name && name !== code.split('-')[0] ? name : fallback
+      }
+    }
+  }, [locale, loadedLocale, direction, hasChosenLocale, setLocale])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export default I18nProvider
@@ -0,0 +1,88 @@
+import { createContext, useContext } from 'react'
+import en from './messages/en.js'
+
+// Texts of the web app in every language of the server's registry. English is
+// built in; the other catalogs are loaded when their language is picked.
+// A text is a string with {name} placeholders, or for counts an object of
+// plural forms ({ one, few, many, other }) picked with Intl.PluralRules by
+// params.count. Texts missing from a catalog are shown in English.
+
+const loaders = import.meta.glob(['./messages/*.js', '!./messages/en.js'], { import: 'default' })
+
+// BCP 47 codes of the catalogs, e.g. ['ar', 'de', ..., 'zh-CN']
+export const LOCALES = ['en', ...Object.keys(loaders).map(path => path.match(/([^/]+)\.js$/)[1])]
+
+export const DEFAULT_LOCALE = 'en'
+
+// Scripts written right to left - the same languages as in the server's registry
+const RTL_LOCALES = ['ar', 'ur', 'fa', 'he']
+
+export const getDirection = locale => (RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr')
+
+const LOCALE_KEY = 'hfa_locale'
+
+// The language the user picked for the app, or null before they have picked one
+export function getSavedLocale() {
+  try {
+    const locale = window.localStorage.getItem(LOCALE_KEY)
+    return LOCALES.includes(locale) ? locale : null
+  } catch {
+    return null
+  }
+}
+
+export function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale)
+  } catch {
+    // Private browsing - the language is asked for again on the next visit
+  }
+}
+
+// First of the browser's languages that has a catalog, e.g. es-MX -> es, zh-CN -> zh-CN
+export function getBrowserLocale() {
+  for (const tag of navigator.languages || [navigator.language]) {
+    if (!tag) continue
+    const exact = LOCALES.find(locale => locale.toLowerCase() === tag.toLowerCase())
+    const base = LOCALES.find(locale => locale.split('-')[0] === tag.split('-')[0].toLowerCase())
+    if (exact || base) return exact || base
+  }
+  return DEFAULT_LOCALE
+}
+
+// The language of the app right now, also sent to the server as Accept-Language
+export const getLocale = () => getSavedLocale() || getBrowserLocale()
+
+const catalogs = { en }
+
+// Resolves with the catalog of a locale, loading it the first time
+export async function loadCatalog(locale) {
+  if (!catalogs[locale] && loaders[`./messages/${locale}.js`]) {
+    catalogs[locale] = await loaders[`./messages/${locale}.js`]()
+  }
+  return catalogs[locale] || en
+}
+
+export const isCatalogLoaded = locale => Boolean(catalogs[locale])
+
+// The text of key in locale with its placeholders filled from params
+export function translate(locale, key, params = {}) {
+  let text = catalogs[locale]?.[key] ?? en[key] ?? key
+  if (typeof text === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count ?? 0)
+    text = text[form] ?? text.other
+  }
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined ? placeholder : String(params[name])
+  ))
+}
+
+// translate in the language of the app right now, for code that runs outside
+// of rendering such as the requests of an effect, which need not rerun when the
+// language changes
+export const translateNow = (key, params) => translate(getLocale(), key, params)
+
+// { locale, direction, t, setLocale, hasChosenLocale, languageName } - see I18nProvider
+export const I18nContext = createContext(null)
+
+export const useI18n = () => useContext(I18nContext)
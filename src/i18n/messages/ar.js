@@ -0,0 +1,196 @@
+// Arabic texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'مترجمك الصحي',
+  'app.changeLanguage': 'تغيير لغة التطبيق',
+  'app.darkMode': 'الوضع الداكن',
+  'picker.title': 'اختر لغتك',
+  'picker.hint': 'يمكنك تغييرها لاحقًا من زر اللغة في الأعلى.',
+  'picker.close': 'إغلاق',
+
+  'upload.button': 'تحميل مستندات أو صور',
+  'upload.documents': { zero: '{count} مستند', one: 'مستند واحد', two: 'مستندان', few: '{count} مستندات', many: '{count} مستندًا', other: '{count} مستند' },
+  'upload.photos': { zero: '{count} صورة', one: 'صورة واحدة', two: 'صورتان', few: '{count} صور', many: '{count} صورة', other: '{count} صورة' },
+  'upload.submit': 'إرسال',
+  'upload.processing': 'جارٍ المعالجة...',
+  'upload.photosQuestion': 'ما هذه الصور؟',
+  'upload.pagesOfOne': 'صفحات مستند واحد',
+  'upload.separate': 'مستندات منفصلة',
+  'upload.noScans': 'لا يمكن قراءة ملفات PDF الممسوحة ضوئيًا هنا، فقط ملفات PDF التي تحتوي على نص قابل للتحديد.',
+  'mode.question': 'ماذا تحتاج؟',
+  'mode.summary': 'ملخص',
+  'mode.translation': 'ترجمة كاملة',
+  'readingLevel.question': 'ما مدى البساطة المطلوبة؟',
+  'readingLevel.grade4': 'بسيط جدًا',
+  'readingLevel.grade8': 'بسيط',
+  'readingLevel.clinical': 'طبي',
+  'language.question': 'إلى أي لغة نترجم؟',
+  'language.choose': 'اختيار',
+
+  'job.processing': 'جارٍ معالجة مستندك...',
+  'job.cancel': 'إلغاء',
+  'job.cancelled': 'تم إلغاء المعالجة.',
+  'stage.uploaded': 'تم التحميل',
+  'stage.parsing': 'قراءة المستند',
+  'stage.parsingBatch': 'قراءة المستندات',
+  'stage.summarizing': 'كتابة الملخص',
+  'stage.summarizingBatch': 'كتابة الملخصات',
+  'stage.translating': 'الترجمة',
+  'stage.combining': 'دمج الملخصات',
+  'stage.done': 'تم',
+
+  'error.prefix': 'خطأ: {message}',
+  'error.noFile': 'يرجى اختيار ملف أولًا',
+  'error.noLanguage': 'يرجى اختيار لغة أولًا',
+  'error.unsupportedFile': 'لا يمكن قراءة {fileName} هنا. الملفات التي يمكن قراءتها: {types}',
+  'error.batchTranslation': 'لا يمكن إلا تلخيص عدة مستندات معًا. ترجم مستندًا واحدًا في كل مرة.',
+  'error.processFailed': 'تعذرت معالجة المستند',
+  'error.serverStatus': 'خطأ في الخادم: {status} {statusText}',
+  'error.generic': 'حدث خطأ أثناء معالجة المستند',
+  'error.cannotConnect': 'تعذر الاتصال بالخادم. تأكد من أن الخادم يعمل على {url}',
+  'error.connectionLost': 'انقطع الاتصال بالخادم أثناء معالجة المستند',
+  'error.openFailed': 'تعذر فتح المستند',
+
+  'result.summaryTab': 'الملخص ({language})',
+  'result.translationTab': 'الترجمة الكاملة ({language})',
+  'result.medicationsTab': 'جدول الأدوية',
+  'result.listenTab': 'القراءة بصوت عالٍ',
+  'result.chatTab': 'اطرح سؤالًا',
+  'result.placeholder': 'سيظهر الملخص المترجم هنا...',
+  'result.emptyTitle': 'الملخص',
+  'result.emptyPlaceholder': 'حمّل مستندًا واختر لغة لترى الملخص المترجم هنا...',
+  'documents.label': 'المستندات',
+  'documents.all': 'كل المستندات ({count})',
+
+  'languageNotice.documentLanguage': 'لغة المستند:',
+  'languageNotice.same': 'يبدو أن هذا المستند مكتوب أصلًا بـ{language}، وهي اللغة التي اخترتها. اختر لغة أخرى إن أردته بلغة مختلفة.',
+  'languageNotice.partly': 'أجزاء من هذا المستند مكتوبة أصلًا بـ{language}، وهي اللغة التي اخترتها - وقد تُركت هذه الأجزاء كما هي.',
+  'ocr.hardToRead': {
+    one: 'كانت قراءة أجزاء من صورتك صعبة (درجة الثقة {confidence}%)، لذلك قد تكون بعض الكلمات أو الأرقام خاطئة. قارن النتيجة بأوراقك، أو أعد التقاط الصورة وهي مسطحة وفي إضاءة جيدة وواضحة.',
+    other: 'كانت قراءة أجزاء من صورك صعبة (درجة الثقة {confidence}%)، لذلك قد تكون بعض الكلمات أو الأرقام خاطئة. قارن النتيجة بأوراقك، أو أعد التقاط الصور وهي مسطحة وفي إضاءة جيدة وواضحة.'
+  },
+  'ocr.hardest': 'الأصعب قراءة: {pages}',
+  'ocr.page': 'الصورة {page} ({fileName})',
+  'numericCheck.flagged': 'بعض الأرقام لا تطابق مستندك. وهي مميزة أدناه - راجعها مع طبيبك أو الصيدلي:',
+  'numericCheck.documentSays': 'المستند يذكر {expected}',
+  'numericCheck.notFound': 'غير موجود في المستند',
+  'numericCheck.missing': 'جرعات في مستندك لم تُذكر هنا: {values}',
+  'numericCheck.checkValue': 'راجع هذه القيمة - المستند يذكر {expected}',
+  'numericCheck.checkMissing': 'راجع هذه القيمة - لم توجد في المستند',
+  'termCheck.title': 'ربما تم تغيير بعض المصطلحات المهمة أو حذفها. قارنها بمستندك الأصلي:',
+  'termCheck.dropped': 'محذوف',
+  'termCheck.untranslated': 'لم يُترجم كما يتطلب المسرد',
+  'termCheck.dosage': 'الجرعة تغيرت أو مفقودة',
+  'termCheck.expected': 'المتوقع "{expected}"',
+  'readingLevelNote.label': 'مستوى القراءة:',
+  'readingLevelNote.grade4': 'الصف الرابع',
+  'readingLevelNote.grade8': 'الصف الثامن',
+  'readingLevelNote.clinical': 'طبي',
+  'readingLevelNote.measured': 'تم قياسه عند مستوى الصف {grade} ({formula})',
+  'readingLevelNote.above': 'ما زال أعلى من مستوى الصف {grade}، وقد تكون بعض الأجزاء صعبة القراءة',
+
+  'alerts.title': 'تحذيرات سلامة مهمة',
+  'alerts.returnToEr': 'يوضح مستندك متى تحتاج إلى رعاية طارئة. اذهب إلى الطوارئ أو اتصل برقم الطوارئ إذا ظهرت لديك أي من هذه العلامات.',
+  'alerts.warningSigns': 'اتصل بطبيبك فورًا إذا ظهرت لديك أي من هذه العلامات.',
+  'alerts.criticalLab': 'نتيجة تحليل حرجة: {name} {value}. اتصل بطبيبك اليوم.',
+  'alerts.allergy': 'حساسية: {substance}. أخبر كل طبيب وصيدلي.',
+  'alerts.allergyConflict': 'لديك حساسية من {substance}، لكن {medication} موجود في مستندك. اسأل طبيبك أو الصيدلي قبل تناوله.',
+  'alerts.interaction': 'قد يكون {first} و{second} خطيرين معًا ({risk}). اسأل طبيبك أو الصيدلي قبل تناولهما.',
+  'alerts.risk.bleeding': 'نزيف خطير',
+  'alerts.risk.lowBloodPressure': 'ضغط دم منخفض جدًا',
+  'alerts.risk.serotoninSyndrome': 'متلازمة السيروتونين',
+  'alerts.risk.breathing': 'تباطؤ التنفس أو توقفه',
+  'alerts.risk.toxicity': 'مستويات سامة من الدواء',
+  'alerts.risk.highPotassium': 'ارتفاع البوتاسيوم',
+  'alerts.risk.muscleDamage': 'تلف العضلات',
+  'alerts.note': 'يتم العثور على هذه التحذيرات تلقائيًا وقد يفوتها شيء. إذا شعرت بتوعك شديد، اتصل برقم الطوارئ.',
+  'summary.overview': 'نظرة عامة',
+  'summary.diagnoses': 'التشخيصات',
+  'summary.medications': 'الأدوية',
+  'summary.followUps': 'مواعيد المتابعة',
+  'summary.warningSigns': 'اطلب المساعدة فورًا إذا',
+  'summary.labValues': 'نتائج التحاليل',
+  'summary.hint': 'انقر على نقطة لترى مصدرها في المستند الأصلي.',
+  'summary.showOriginal': 'عرض النص الأصلي',
+  'summary.name': 'الاسم',
+  'summary.dose': 'الجرعة',
+  'summary.frequency': 'كم مرة',
+  'summary.duration': 'إلى متى',
+  'summary.instructions': 'التعليمات',
+  'summary.test': 'التحليل',
+  'summary.result': 'النتيجة',
+  'summary.normalRange': 'المعدل الطبيعي',
+  'summary.flag.high': 'مرتفع',
+  'summary.flag.low': 'منخفض',
+  'summary.flag.abnormal': 'غير طبيعي',
+  'summary.flag.critical': 'حرج',
+  'source.title': 'النص الأصلي',
+  'source.close': 'إغلاق النص الأصلي',
+  'source.page': 'الصفحة {page}',
+  'source.document': 'المستند',
+  'source.closestMatch': 'أقرب تطابق',
+  'translation.original': 'الأصل',
+
+  'medications.failed': 'تعذر إنشاء جدول الأدوية',
+  'medications.loading': 'جارٍ البحث عن أدويتك...',
+  'medications.none': 'لم يتم العثور على أدوية في هذا المستند.',
+  'medications.print': 'طباعة',
+  'medications.calendar': 'إضافة إلى التقويم',
+  'medications.asNeeded': 'عند الحاجة فقط',
+  'medications.unscheduled': 'اسأل طبيبك أو الصيدلي عن موعد تناولها',
+
+  'readAloud.play': 'تشغيل',
+  'readAloud.pause': 'إيقاف مؤقت',
+  'readAloud.resume': 'استئناف',
+  'readAloud.stop': 'إيقاف',
+  'readAloud.speed': 'السرعة',
+  'readAloud.download': 'تنزيل الصوت',
+  'readAloud.unsupported': 'هذا المتصفح لا يستطيع القراءة بصوت عالٍ. نزّل الصوت بدلًا من ذلك.',
+  'readAloud.noVoice': 'لا يوجد في هذا الجهاز صوت بـ{language}، لذا قد لا يبدو النطق صحيحًا. نزّل الصوت بدلًا من ذلك.',
+
+  'chat.hint': 'اسأل عن هذا المستند. تعتمد الإجابات فقط على ما يقوله مستندك - ولا تغني عن طبيبك.',
+  'chat.placeholder': 'مثلًا: متى أتناول دوائي؟',
+  'chat.send': 'اسأل',
+  'chat.thinking': 'جارٍ البحث في مستندك...',
+  'chat.failed': 'تعذّرت الإجابة عن سؤالك',
+  'chat.urgent': 'قد تحتاج هذه الحالة إلى رعاية فورية. اتصل بطبيبك الآن، أو اتصل برقم الطوارئ المحلي إذا كانت الحالة خطيرة.',
+  'chat.notInDocument': 'مستندك لا يذكر ذلك',
+  'chat.showSources': 'من أين تأتي هذه المعلومة',
+
+  'history.title': 'مستنداتك',
+  'history.patientTitle': 'مستندات {name}',
+  'history.close': 'إغلاق {title}',
+  'history.loading': 'جارٍ التحميل...',
+  'history.empty': 'تُحفظ المستندات التي ترسلها هنا لتتمكن من قراءتها مجددًا.',
+  'history.patientEmpty': 'لا توجد مستندات لدى {name} بعد.',
+  'history.delete': 'حذف',
+  'history.deleteLabel': 'حذف {fileName}',
+  'history.deleteAll': 'حذف كل مستنداتي',
+  'history.deleteConfirm': 'حذف "{fileName}" وملخصه؟ لا يمكن التراجع عن ذلك.',
+  'history.deleteAllConfirm': 'حذف كل مستنداتك وملخصاتك من الخادم؟ لا يمكن التراجع عن ذلك.',
+  'history.loadFailed': 'تعذر تحميل مستنداتك',
+  'history.deleteFailed': 'تعذر الحذف',
+
+  'account.signedInAs': 'تم تسجيل الدخول باسم {email}',
+  'account.caregiversTitle': 'من يمكنه رؤية مستنداتك',
+  'account.caregiversHint': 'أضف أحد أفراد العائلة أو مقدّم رعاية عبر البريد الإلكتروني لحسابه.',
+  'account.remove': 'إزالة',
+  'account.removeConfirm': 'لن يتمكن {name} بعد الآن من رؤية مستنداتك. هل تريد المتابعة؟',
+  'account.caregiverEmail': 'البريد الإلكتروني لمقدّم الرعاية',
+  'account.add': 'إضافة',
+  'account.sharedTitle': 'مشترك معك',
+  'account.viewDocuments': 'عرض المستندات',
+  'account.signOut': 'تسجيل الخروج',
+  'account.loadCaregiversFailed': 'تعذر تحميل مقدّمي الرعاية',
+  'account.loadPatientsFailed': 'تعذر تحميل المرضى',
+  'account.addCaregiverFailed': 'تعذرت إضافة مقدّم الرعاية',
+  'account.removeCaregiverFailed': 'تعذرت إزالة مقدّم الرعاية',
+
+  'login.signIn': 'تسجيل الدخول',
+  'login.createTitle': 'إنشاء حساب',
+  'login.createAccount': 'إنشاء الحساب',
+  'login.haveAccount': 'لدي حساب بالفعل',
+  'login.name': 'الاسم',
+  'login.email': 'البريد الإلكتروني',
+  'login.password': 'كلمة المرور',
+  'login.failed': 'تعذر تسجيل الدخول'
+}
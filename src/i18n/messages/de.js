@@ -0,0 +1,196 @@
+// German texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Ihr Gesundheitsübersetzer',
+  'app.changeLanguage': 'Sprache der App ändern',
+  'app.darkMode': 'Dunkelmodus',
+  'picker.title': 'Wählen Sie Ihre Sprache',
+  'picker.hint': 'Sie können sie später mit der Sprachtaste oben ändern.',
+  'picker.close': 'Schließen',
+
+  'upload.button': 'Dokumente oder Fotos hochladen',
+  'upload.documents': { one: '{count} Dokument', other: '{count} Dokumente' },
+  'upload.photos': { one: '{count} Foto', other: '{count} Fotos' },
+  'upload.submit': 'Senden',
+  'upload.processing': 'Wird verarbeitet...',
+  'upload.photosQuestion': 'Was sind diese Fotos?',
+  'upload.pagesOfOne': 'Seiten eines Dokuments',
+  'upload.separate': 'Einzelne Dokumente',
+  'upload.noScans': 'Gescannte PDFs können hier nicht gelesen werden, nur PDFs mit markierbarem Text.',
+  'mode.question': 'Was brauchen Sie?',
+  'mode.summary': 'Zusammenfassung',
+  'mode.translation': 'Vollständige Übersetzung',
+  'readingLevel.question': 'Wie einfach soll es sein?',
+  'readingLevel.grade4': 'Sehr einfach',
+  'readingLevel.grade8': 'Einfach',
+  'readingLevel.clinical': 'Medizinisch',
+  'language.question': 'In welche Sprache übersetzen?',
+  'language.choose': 'wählen',
+
+  'job.processing': 'Ihr Dokument wird verarbeitet...',
+  'job.cancel': 'Abbrechen',
+  'job.cancelled': 'Die Verarbeitung wurde abgebrochen.',
+  'stage.uploaded': 'Hochgeladen',
+  'stage.parsing': 'Dokument wird gelesen',
+  'stage.parsingBatch': 'Dokumente werden gelesen',
+  'stage.summarizing': 'Zusammenfassung wird geschrieben',
+  'stage.summarizingBatch': 'Zusammenfassungen werden geschrieben',
+  'stage.translating': 'Wird übersetzt',
+  'stage.combining': 'Zusammenfassungen werden zusammengeführt',
+  'stage.done': 'Fertig',
+
+  'error.prefix': 'Fehler: {message}',
+  'error.noFile': 'Bitte wählen Sie zuerst eine Datei',
+  'error.noLanguage': 'Bitte wählen Sie zuerst eine Sprache',
+  'error.unsupportedFile': '{fileName} kann hier nicht gelesen werden. Lesbare Dateien: {types}',
+  'error.batchTranslation': 'Mehrere Dokumente können nur gemeinsam zusammengefasst werden. Übersetzen Sie ein Dokument nach dem anderen.',
+  'error.processFailed': 'Das Dokument konnte nicht verarbeitet werden',
+  'error.serverStatus': 'Serverfehler: {status} {statusText}',
+  'error.generic': 'Beim Verarbeiten des Dokuments ist ein Fehler aufgetreten',
+  'error.cannotConnect': 'Keine Verbindung zum Server. Bitte prüfen Sie, ob der Server unter {url} läuft',
+  'error.connectionLost': 'Die Verbindung zum Server ist während der Verarbeitung abgebrochen',
+  'error.openFailed': 'Das Dokument konnte nicht geöffnet werden',
+
+  'result.summaryTab': 'Zusammenfassung ({language})',
+  'result.translationTab': 'Vollständige Übersetzung ({language})',
+  'result.medicationsTab': 'Medikamentenplan',
+  'result.listenTab': 'Vorlesen',
+  'result.chatTab': 'Eine Frage stellen',
+  'result.placeholder': 'Die übersetzte Zusammenfassung erscheint hier...',
+  'result.emptyTitle': 'Zusammenfassung',
+  'result.emptyPlaceholder': 'Laden Sie ein Dokument hoch und wählen Sie eine Sprache, um hier die übersetzte Zusammenfassung zu sehen...',
+  'documents.label': 'Dokumente',
+  'documents.all': 'Alle Dokumente ({count})',
+
+  'languageNotice.documentLanguage': 'Sprache des Dokuments:',
+  'languageNotice.same': 'Dieses Dokument scheint bereits auf {language} zu sein, der Sprache, die Sie gewählt haben. Wählen Sie eine andere Sprache, wenn Sie es in einer anderen wollten.',
+  'languageNotice.partly': 'Teile dieses Dokuments sind bereits auf {language}, der Sprache, die Sie gewählt haben - diese Teile wurden unverändert gelassen.',
+  'ocr.hardToRead': {
+    one: 'Teile Ihres Fotos waren schwer zu lesen ({confidence} % Sicherheit), daher können einige Wörter oder Zahlen falsch sein. Vergleichen Sie das Ergebnis mit Ihren Unterlagen oder fotografieren Sie erneut - flach, bei gutem Licht und scharf.',
+    other: 'Teile Ihrer Fotos waren schwer zu lesen ({confidence} % Sicherheit), daher können einige Wörter oder Zahlen falsch sein. Vergleichen Sie das Ergebnis mit Ihren Unterlagen oder fotografieren Sie erneut - flach, bei gutem Licht und scharf.'
+  },
+  'ocr.hardest': 'Am schwersten zu lesen: {pages}',
+  'ocr.page': 'Foto {page} ({fileName})',
+  'numericCheck.flagged': 'Einige Zahlen stimmen nicht mit Ihrem Dokument überein. Sie sind unten markiert - prüfen Sie sie mit Ihrer Ärztin, Ihrem Arzt oder Ihrer Apotheke:',
+  'numericCheck.documentSays': 'im Dokument steht {expected}',
+  'numericCheck.notFound': 'nicht im Dokument gefunden',
+  'numericCheck.missing': 'Dosierungen aus Ihrem Dokument, die hier fehlen: {values}',
+  'numericCheck.checkValue': 'Prüfen Sie diesen Wert - im Dokument steht {expected}',
+  'numericCheck.checkMissing': 'Prüfen Sie diesen Wert - er wurde im Dokument nicht gefunden',
+  'termCheck.title': 'Einige wichtige Begriffe wurden möglicherweise geändert oder ausgelassen. Vergleichen Sie sie mit Ihrem Originaldokument:',
+  'termCheck.dropped': 'ausgelassen',
+  'termCheck.untranslated': 'nicht wie im Glossar vorgeschrieben übersetzt',
+  'termCheck.dosage': 'Dosis geändert oder fehlt',
+  'termCheck.expected': 'erwartet „{expected}“',
+  'readingLevelNote.label': 'Lesestufe:',
+  'readingLevelNote.grade4': '4. Klasse',
+  'readingLevelNote.grade8': '8. Klasse',
+  'readingLevelNote.clinical': 'Medizinisch',
+  'readingLevelNote.measured': 'gemessen auf Klassenstufe {grade} ({formula})',
+  'readingLevelNote.above': 'noch über Klassenstufe {grade}, manche Teile können schwer zu lesen sein',
+
+  'alerts.title': 'Wichtige Sicherheitshinweise',
+  'alerts.returnToEr': 'Ihr Dokument sagt, wann Sie Notfallhilfe brauchen. Gehen Sie in die Notaufnahme oder rufen Sie den Notruf, wenn Sie eines dieser Zeichen haben.',
+  'alerts.warningSigns': 'Wenden Sie sich sofort an Ihren Arzt, wenn Sie eines dieser Zeichen haben.',
+  'alerts.criticalLab': 'Kritischer Laborwert: {name} {value}. Wenden Sie sich heute an Ihren Arzt.',
+  'alerts.allergy': 'Allergie: {substance}. Sagen Sie es jedem Arzt und Apotheker.',
+  'alerts.allergyConflict': 'Sie sind allergisch gegen {substance}, aber {medication} steht in Ihrem Dokument. Fragen Sie Ihren Arzt oder Apotheker, bevor Sie es einnehmen.',
+  'alerts.interaction': '{first} und {second} können zusammen gefährlich sein ({risk}). Fragen Sie Ihren Arzt oder Apotheker, bevor Sie sie einnehmen.',
+  'alerts.risk.bleeding': 'schwere Blutungen',
+  'alerts.risk.lowBloodPressure': 'sehr niedriger Blutdruck',
+  'alerts.risk.serotoninSyndrome': 'Serotonin-Syndrom',
+  'alerts.risk.breathing': 'verlangsamte oder aussetzende Atmung',
+  'alerts.risk.toxicity': 'giftige Medikamentenspiegel',
+  'alerts.risk.highPotassium': 'hohes Kalium',
+  'alerts.risk.muscleDamage': 'Muskelschäden',
+  'alerts.note': 'Diese Hinweise werden automatisch erkannt und können etwas übersehen. Wenn es Ihnen sehr schlecht geht, rufen Sie den Notruf.',
+  'summary.overview': 'Überblick',
+  'summary.diagnoses': 'Diagnosen',
+  'summary.medications': 'Medikamente',
+  'summary.followUps': 'Folgetermine',
+  'summary.warningSigns': 'Holen Sie sofort Hilfe, wenn',
+  'summary.labValues': 'Laborwerte',
+  'summary.hint': 'Klicken Sie auf einen Punkt, um zu sehen, woher er im Originaldokument stammt.',
+  'summary.showOriginal': 'Originaltext anzeigen',
+  'summary.name': 'Name',
+  'summary.dose': 'Dosis',
+  'summary.frequency': 'Wie oft',
+  'summary.duration': 'Wie lange',
+  'summary.instructions': 'Hinweise',
+  'summary.test': 'Test',
+  'summary.result': 'Ergebnis',
+  'summary.normalRange': 'Normalbereich',
+  'summary.flag.high': 'hoch',
+  'summary.flag.low': 'niedrig',
+  'summary.flag.abnormal': 'auffällig',
+  'summary.flag.critical': 'kritisch',
+  'source.title': 'Originaltext',
+  'source.close': 'Originaltext schließen',
+  'source.page': 'Seite {page}',
+  'source.document': 'Dokument',
+  'source.closestMatch': 'ähnlichste Stelle',
+  'translation.original': 'Original',
+
+  'medications.failed': 'Der Medikamentenplan konnte nicht erstellt werden',
+  'medications.loading': 'Ihre Medikamente werden gesucht...',
+  'medications.none': 'In diesem Dokument wurden keine Medikamente gefunden.',
+  'medications.print': 'Drucken',
+  'medications.calendar': 'Zum Kalender hinzufügen',
+  'medications.asNeeded': 'Nur bei Bedarf',
+  'medications.unscheduled': 'Fragen Sie Ihre Ärztin, Ihren Arzt oder Ihre Apotheke, wann Sie sie nehmen sollen',
+
+  'readAloud.play': 'Abspielen',
+  'readAloud.pause': 'Pause',
+  'readAloud.resume': 'Fortsetzen',
+  'readAloud.stop': 'Stopp',
+  'readAloud.speed': 'Tempo',
+  'readAloud.download': 'Audio herunterladen',
+  'readAloud.unsupported': 'Dieser Browser kann nicht vorlesen. Laden Sie stattdessen das Audio herunter.',
+  'readAloud.noVoice': 'Dieses Gerät hat keine Stimme für {language}, daher klingt es vielleicht nicht richtig. Laden Sie stattdessen das Audio herunter.',
+
+  'chat.hint': 'Fragen Sie zu diesem Dokument. Die Antworten stützen sich nur auf Ihr Dokument - sie ersetzen nicht Ihren Arzt.',
+  'chat.placeholder': 'z. B. Wann nehme ich mein Medikament?',
+  'chat.send': 'Fragen',
+  'chat.thinking': 'Suche in Ihrem Dokument...',
+  'chat.failed': 'Ihre Frage konnte nicht beantwortet werden',
+  'chat.urgent': 'Das kann sofortige Hilfe erfordern. Wenden Sie sich jetzt an Ihren Arzt oder rufen Sie bei ernsten Beschwerden den Notruf an.',
+  'chat.notInDocument': 'Ihr Dokument sagt dazu nichts',
+  'chat.showSources': 'Woher das stammt',
+
+  'history.title': 'Ihre Dokumente',
+  'history.patientTitle': 'Dokumente von {name}',
+  'history.close': '{title} schließen',
+  'history.loading': 'Wird geladen...',
+  'history.empty': 'Dokumente, die Sie senden, werden hier aufbewahrt, damit Sie sie wieder lesen können.',
+  'history.patientEmpty': '{name} hat noch keine Dokumente.',
+  'history.delete': 'Löschen',
+  'history.deleteLabel': '{fileName} löschen',
+  'history.deleteAll': 'Alle meine Dokumente löschen',
+  'history.deleteConfirm': '„{fileName}“ und die Zusammenfassung löschen? Das kann nicht rückgängig gemacht werden.',
+  'history.deleteAllConfirm': 'Alle Ihre Dokumente und Zusammenfassungen vom Server löschen? Das kann nicht rückgängig gemacht werden.',
+  'history.loadFailed': 'Ihre Dokumente konnten nicht geladen werden',
+  'history.deleteFailed': 'Löschen fehlgeschlagen',
+
+  'account.signedInAs': 'Angemeldet als {email}',
+  'account.caregiversTitle': 'Wer Ihre Dokumente sehen kann',
+  'account.caregiversHint': 'Fügen Sie Angehörige oder Betreuer mit der E-Mail-Adresse ihres Kontos hinzu.',
+  'account.remove': 'Entfernen',
+  'account.removeConfirm': '{name} kann Ihre Dokumente dann nicht mehr sehen. Fortfahren?',
+  'account.caregiverEmail': 'E-Mail der Betreuungsperson',
+  'account.add': 'Hinzufügen',
+  'account.sharedTitle': 'Mit Ihnen geteilt',
+  'account.viewDocuments': 'Dokumente ansehen',
+  'account.signOut': 'Abmelden',
+  'account.loadCaregiversFailed': 'Betreuungspersonen konnten nicht geladen werden',
+  'account.loadPatientsFailed': 'Patienten konnten nicht geladen werden',
+  'account.addCaregiverFailed': 'Betreuungsperson konnte nicht hinzugefügt werden',
+  'account.removeCaregiverFailed': 'Betreuungsperson konnte nicht entfernt werden',
+
+  'login.signIn': 'Anmelden',
+  'login.createTitle': 'Konto erstellen',
+  'login.createAccount': 'Konto erstellen',
+  'login.haveAccount': 'Ich habe schon ein Konto',
+  'login.name': 'Name',
+  'login.email': 'E-Mail',
+  'login.password': 'Passwort',
+  'login.failed': 'Anmeldung fehlgeschlagen'
+}
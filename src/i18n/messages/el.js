@@ -0,0 +1,196 @@
+// Greek texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Ο μεταφραστής υγείας σας',
+  'app.changeLanguage': 'Αλλαγή γλώσσας εφαρμογής',
+  'app.darkMode': 'Σκοτεινή λειτουργία',
+  'picker.title': 'Επιλέξτε τη γλώσσα σας',
+  'picker.hint': 'Μπορείτε να την αλλάξετε αργότερα με το κουμπί γλώσσας επάνω.',
+  'picker.close': 'Κλείσιμο',
+
+  'upload.button': 'Ανέβασμα εγγράφων ή φωτογραφιών',
+  'upload.documents': { one: '{count} έγγραφο', other: '{count} έγγραφα' },
+  'upload.photos': { one: '{count} φωτογραφία', other: '{count} φωτογραφίες' },
+  'upload.submit': 'Υποβολή',
+  'upload.processing': 'Επεξεργασία...',
+  'upload.photosQuestion': 'Τι είναι αυτές οι φωτογραφίες;',
+  'upload.pagesOfOne': 'Σελίδες ενός εγγράφου',
+  'upload.separate': 'Ξεχωριστά έγγραφα',
+  'upload.noScans': 'Τα σαρωμένα PDF δεν μπορούν να διαβαστούν εδώ - μόνο PDF με επιλέξιμο κείμενο.',
+  'mode.question': 'Τι χρειάζεστε;',
+  'mode.summary': 'Περίληψη',
+  'mode.translation': 'Πλήρης μετάφραση',
+  'readingLevel.question': 'Πόσο απλό να είναι;',
+  'readingLevel.grade4': 'Πολύ απλό',
+  'readingLevel.grade8': 'Απλό',
+  'readingLevel.clinical': 'Ιατρικό',
+  'language.question': 'Σε ποια γλώσσα να μεταφραστεί;',
+  'language.choose': 'επιλογή',
+
+  'job.processing': 'Γίνεται επεξεργασία του εγγράφου σας...',
+  'job.cancel': 'Ακύρωση',
+  'job.cancelled': 'Η επεξεργασία ακυρώθηκε.',
+  'stage.uploaded': 'Ανέβηκε',
+  'stage.parsing': 'Ανάγνωση εγγράφου',
+  'stage.parsingBatch': 'Ανάγνωση εγγράφων',
+  'stage.summarizing': 'Σύνταξη περίληψης',
+  'stage.summarizingBatch': 'Σύνταξη περιλήψεων',
+  'stage.translating': 'Μετάφραση',
+  'stage.combining': 'Συνδυασμός περιλήψεων',
+  'stage.done': 'Ολοκληρώθηκε',
+
+  'error.prefix': 'Σφάλμα: {message}',
+  'error.noFile': 'Επιλέξτε πρώτα ένα αρχείο',
+  'error.noLanguage': 'Επιλέξτε πρώτα μια γλώσσα',
+  'error.unsupportedFile': 'Το {fileName} δεν μπορεί να διαβαστεί εδώ. Αρχεία που διαβάζονται: {types}',
+  'error.batchTranslation': 'Πολλά έγγραφα μπορούν μόνο να συνοψιστούν μαζί. Μεταφράστε ένα έγγραφο τη φορά.',
+  'error.processFailed': 'Δεν ήταν δυνατή η επεξεργασία του εγγράφου',
+  'error.serverStatus': 'Σφάλμα διακομιστή: {status} {statusText}',
+  'error.generic': 'Παρουσιάστηκε σφάλμα κατά την επεξεργασία του εγγράφου',
+  'error.cannotConnect': 'Δεν είναι δυνατή η σύνδεση με τον διακομιστή. Βεβαιωθείτε ότι ο διακομιστής λειτουργεί στο {url}',
+  'error.connectionLost': 'Η σύνδεση με τον διακομιστή χάθηκε κατά την επεξεργασία του εγγράφου',
+  'error.openFailed': 'Δεν ήταν δυνατό το άνοιγμα του εγγράφου',
+
+  'result.summaryTab': 'Περίληψη ({language})',
+  'result.translationTab': 'Πλήρης μετάφραση ({language})',
+  'result.medicationsTab': 'Πρόγραμμα φαρμάκων',
+  'result.listenTab': 'Ανάγνωση φωναχτά',
+  'result.chatTab': 'Κάντε μια ερώτηση',
+  'result.placeholder': 'Η μεταφρασμένη περίληψη θα εμφανιστεί εδώ...',
+  'result.emptyTitle': 'Περίληψη',
+  'result.emptyPlaceholder': 'Ανεβάστε ένα έγγραφο και επιλέξτε γλώσσα για να δείτε εδώ τη μεταφρασμένη περίληψη...',
+  'documents.label': 'Έγγραφα',
+  'documents.all': 'Όλα τα έγγραφα ({count})',
+
+  'languageNotice.documentLanguage': 'Γλώσσα εγγράφου:',
+  'languageNotice.same': 'Αυτό το έγγραφο φαίνεται να είναι ήδη στη γλώσσα που επιλέξατε ({language}). Διαλέξτε άλλη γλώσσα αν το θέλατε σε διαφορετική.',
+  'languageNotice.partly': 'Μέρη αυτού του εγγράφου είναι ήδη στη γλώσσα που επιλέξατε ({language}) - αυτά τα μέρη έμειναν όπως ήταν.',
+  'ocr.hardToRead': {
+    one: 'Μέρη της φωτογραφίας σας διαβάζονταν δύσκολα (βεβαιότητα {confidence}%), οπότε κάποιες λέξεις ή αριθμοί μπορεί να είναι λάθος. Συγκρίνετε το αποτέλεσμα με τα χαρτιά σας ή τραβήξτε ξανά τη φωτογραφία επίπεδα, με καλό φως και εστιασμένη.',
+    other: 'Μέρη των φωτογραφιών σας διαβάζονταν δύσκολα (βεβαιότητα {confidence}%), οπότε κάποιες λέξεις ή αριθμοί μπορεί να είναι λάθος. Συγκρίνετε το αποτέλεσμα με τα χαρτιά σας ή τραβήξτε ξανά τις φωτογραφίες επίπεδα, με καλό φως και εστιασμένες.'
+  },
+  'ocr.hardest': 'Πιο δυσανάγνωστες: {pages}',
+  'ocr.page': 'φωτογραφία {page} ({fileName})',
+  'numericCheck.flagged': 'Κάποιοι αριθμοί δεν ταιριάζουν με το έγγραφό σας. Επισημαίνονται παρακάτω - ελέγξτε τους με τον γιατρό ή τον φαρμακοποιό σας:',
+  'numericCheck.documentSays': 'το έγγραφο γράφει {expected}',
+  'numericCheck.notFound': 'δεν βρέθηκε στο έγγραφο',
+  'numericCheck.missing': 'Δόσεις του εγγράφου σας που δεν αναφέρονται εδώ: {values}',
+  'numericCheck.checkValue': 'Ελέγξτε αυτή την τιμή - το έγγραφο γράφει {expected}',
+  'numericCheck.checkMissing': 'Ελέγξτε αυτή την τιμή - δεν βρέθηκε στο έγγραφο',
+  'termCheck.title': 'Κάποιοι σημαντικοί όροι μπορεί να άλλαξαν ή να παραλείφθηκαν. Συγκρίνετέ τους με το αρχικό έγγραφο:',
+  'termCheck.dropped': 'παραλείφθηκε',
+  'termCheck.untranslated': 'δεν μεταφράστηκε όπως ορίζει το γλωσσάρι',
+  'termCheck.dosage': 'η δόση άλλαξε ή λείπει',
+  'termCheck.expected': 'αναμενόταν «{expected}»',
+  'readingLevelNote.label': 'Επίπεδο ανάγνωσης:',
+  'readingLevelNote.grade4': 'Δ΄ Δημοτικού',
+  'readingLevelNote.grade8': 'Β΄ Γυμνασίου',
+  'readingLevelNote.clinical': 'Ιατρικό',
+  'readingLevelNote.measured': 'μετρήθηκε σε επίπεδο τάξης {grade} ({formula})',
+  'readingLevelNote.above': 'ακόμα πάνω από το επίπεδο τάξης {grade}, κάποια μέρη ίσως διαβάζονται δύσκολα',
+
+  'alerts.title': 'Σημαντικές προειδοποιήσεις ασφαλείας',
+  'alerts.returnToEr': 'Το έγγραφό σας λέει πότε να ζητήσετε επείγουσα βοήθεια. Πηγαίνετε στα επείγοντα ή καλέστε τον αριθμό έκτακτης ανάγκης αν έχετε κάποιο από αυτά τα σημάδια.',
+  'alerts.warningSigns': 'Επικοινωνήστε αμέσως με τον γιατρό σας αν έχετε κάποιο από αυτά τα σημάδια.',
+  'alerts.criticalLab': 'Κρίσιμο αποτέλεσμα εξέτασης: {name} {value}. Επικοινωνήστε με τον γιατρό σας σήμερα.',
+  'alerts.allergy': 'Αλλεργία: {substance}. Ενημερώστε κάθε γιατρό και φαρμακοποιό.',
+  'alerts.allergyConflict': 'Είστε αλλεργικός στο {substance}, αλλά το {medication} υπάρχει στο έγγραφό σας. Ρωτήστε τον γιατρό ή τον φαρμακοποιό σας πριν το πάρετε.',
+  'alerts.interaction': 'Τα {first} και {second} μπορεί να είναι επικίνδυνα μαζί ({risk}). Ρωτήστε τον γιατρό ή τον φαρμακοποιό σας πριν τα πάρετε.',
+  'alerts.risk.bleeding': 'σοβαρή αιμορραγία',
+  'alerts.risk.lowBloodPressure': 'πολύ χαμηλή αρτηριακή πίεση',
+  'alerts.risk.serotoninSyndrome': 'σύνδρομο σεροτονίνης',
+  'alerts.risk.breathing': 'αργή ή σταματημένη αναπνοή',
+  'alerts.risk.toxicity': 'τοξικά επίπεδα φαρμάκου',
+  'alerts.risk.highPotassium': 'υψηλό κάλιο',
+  'alerts.risk.muscleDamage': 'μυϊκή βλάβη',
+  'alerts.note': 'Αυτές οι προειδοποιήσεις εντοπίζονται αυτόματα και μπορεί να παραλείπουν κάτι. Αν νιώθετε πολύ άσχημα, καλέστε τον αριθμό έκτακτης ανάγκης.',
+  'summary.overview': 'Επισκόπηση',
+  'summary.diagnoses': 'Διαγνώσεις',
+  'summary.medications': 'Φάρμακα',
+  'summary.followUps': 'Επόμενα ραντεβού',
+  'summary.warningSigns': 'Ζητήστε αμέσως βοήθεια αν',
+  'summary.labValues': 'Εργαστηριακά αποτελέσματα',
+  'summary.hint': 'Πατήστε ένα σημείο για να δείτε από πού προέρχεται στο αρχικό έγγραφο.',
+  'summary.showOriginal': 'Εμφάνιση του αρχικού κειμένου',
+  'summary.name': 'Όνομα',
+  'summary.dose': 'Δόση',
+  'summary.frequency': 'Πόσο συχνά',
+  'summary.duration': 'Για πόσο',
+  'summary.instructions': 'Οδηγίες',
+  'summary.test': 'Εξέταση',
+  'summary.result': 'Αποτέλεσμα',
+  'summary.normalRange': 'Φυσιολογικές τιμές',
+  'summary.flag.high': 'υψηλό',
+  'summary.flag.low': 'χαμηλό',
+  'summary.flag.abnormal': 'μη φυσιολογικό',
+  'summary.flag.critical': 'κρίσιμο',
+  'source.title': 'Αρχικό κείμενο',
+  'source.close': 'Κλείσιμο αρχικού κειμένου',
+  'source.page': 'Σελίδα {page}',
+  'source.document': 'Έγγραφο',
+  'source.closestMatch': 'πλησιέστερη αντιστοιχία',
+  'translation.original': 'Πρωτότυπο',
+
+  'medications.failed': 'Δεν ήταν δυνατή η δημιουργία προγράμματος φαρμάκων',
+  'medications.loading': 'Αναζήτηση των φαρμάκων σας...',
+  'medications.none': 'Δεν βρέθηκαν φάρμακα σε αυτό το έγγραφο.',
+  'medications.print': 'Εκτύπωση',
+  'medications.calendar': 'Προσθήκη στο ημερολόγιο',
+  'medications.asNeeded': 'Μόνο όταν χρειάζεται',
+  'medications.unscheduled': 'Ρωτήστε τον γιατρό ή τον φαρμακοποιό σας πότε να τα παίρνετε',
+
+  'readAloud.play': 'Αναπαραγωγή',
+  'readAloud.pause': 'Παύση',
+  'readAloud.resume': 'Συνέχεια',
+  'readAloud.stop': 'Διακοπή',
+  'readAloud.speed': 'Ταχύτητα',
+  'readAloud.download': 'Λήψη ήχου',
+  'readAloud.unsupported': 'Αυτό το πρόγραμμα περιήγησης δεν μπορεί να διαβάσει φωναχτά. Κατεβάστε τον ήχο.',
+  'readAloud.noVoice': 'Αυτή η συσκευή δεν έχει φωνή για {language}, οπότε μπορεί να μην ακούγεται σωστά. Κατεβάστε τον ήχο.',
+
+  'chat.hint': 'Ρωτήστε για αυτό το έγγραφο. Οι απαντήσεις βασίζονται μόνο σε όσα λέει το έγγραφό σας - δεν αντικαθιστούν τον γιατρό σας.',
+  'chat.placeholder': 'π.χ. Πότε παίρνω το φάρμακό μου;',
+  'chat.send': 'Ρωτήστε',
+  'chat.thinking': 'Αναζήτηση στο έγγραφό σας...',
+  'chat.failed': 'Δεν ήταν δυνατή η απάντηση στην ερώτησή σας',
+  'chat.urgent': 'Αυτό μπορεί να χρειάζεται άμεση φροντίδα. Επικοινωνήστε τώρα με τον γιατρό σας ή καλέστε τον τοπικό αριθμό έκτακτης ανάγκης αν είναι σοβαρό.',
+  'chat.notInDocument': 'Το έγγραφό σας δεν το αναφέρει',
+  'chat.showSources': 'Από πού προέρχεται',
+
+  'history.title': 'Τα έγγραφά σας',
+  'history.patientTitle': 'Έγγραφα: {name}',
+  'history.close': 'Κλείσιμο: {title}',
+  'history.loading': 'Φόρτωση...',
+  'history.empty': 'Τα έγγραφα που υποβάλλετε φυλάσσονται εδώ για να τα ξαναδιαβάσετε.',
+  'history.patientEmpty': 'Ο/Η {name} δεν έχει ακόμα έγγραφα.',
+  'history.delete': 'Διαγραφή',
+  'history.deleteLabel': 'Διαγραφή {fileName}',
+  'history.deleteAll': 'Διαγραφή όλων των εγγράφων μου',
+  'history.deleteConfirm': 'Διαγραφή του «{fileName}» και της περίληψής του; Δεν μπορεί να αναιρεθεί.',
+  'history.deleteAllConfirm': 'Διαγραφή όλων των εγγράφων και περιλήψεών σας από τον διακομιστή; Δεν μπορεί να αναιρεθεί.',
+  'history.loadFailed': 'Δεν ήταν δυνατή η φόρτωση των εγγράφων σας',
+  'history.deleteFailed': 'Η διαγραφή απέτυχε',
+
+  'account.signedInAs': 'Συνδεδεμένος/η ως {email}',
+  'account.caregiversTitle': 'Ποιος μπορεί να δει τα έγγραφά σας',
+  'account.caregiversHint': 'Προσθέστε ένα μέλος της οικογένειας ή φροντιστή με το email του λογαριασμού του.',
+  'account.remove': 'Αφαίρεση',
+  'account.removeConfirm': 'Ο/Η {name} δεν θα μπορεί πλέον να δει τα έγγραφά σας. Συνέχεια;',
+  'account.caregiverEmail': 'Email φροντιστή',
+  'account.add': 'Προσθήκη',
+  'account.sharedTitle': 'Κοινοποιήθηκαν σε εσάς',
+  'account.viewDocuments': 'Προβολή εγγράφων',
+  'account.signOut': 'Αποσύνδεση',
+  'account.loadCaregiversFailed': 'Δεν ήταν δυνατή η φόρτωση των φροντιστών',
+  'account.loadPatientsFailed': 'Δεν ήταν δυνατή η φόρτωση των ασθενών',
+  'account.addCaregiverFailed': 'Δεν ήταν δυνατή η προσθήκη φροντιστή',
+  'account.removeCaregiverFailed': 'Δεν ήταν δυνατή η αφαίρεση φροντιστή',
+
+  'login.signIn': 'Σύνδεση',
+  'login.createTitle': 'Δημιουργία λογαριασμού',
+  'login.createAccount': 'Δημιουργία λογαριασμού',
+  'login.haveAccount': 'Έχω ήδη λογαριασμό',
+  'login.name': 'Όνομα',
+  'login.email': 'Email',
+  'login.password': 'Κωδικός πρόσβασης',
+  'login.failed': 'Η σύνδεση απέτυχε'
+}
@@ -0,0 +1,212 @@
+// English texts of the web app - the reference catalog every other language
+// follows. Counts have plural forms; {name} is filled in by the app.
+export default {
+  // Header and first-run language picker
+  'app.title': 'Your health translator',
+  'app.changeLanguage': 'Change the language of the app',
+  'app.darkMode': 'Dark mode',
+  'picker.title': 'Choose your language',
+  'picker.hint': 'You can change it later with the language button at the top.',
+  'picker.close': 'Close',
+
+  // Upload and options
+  'upload.button': 'Upload docs or photos',
+  'upload.documents': { one: '{count} document', other: '{count} documents' },
+  'upload.photos': { one: '{count} photo', other: '{count} photos' },
+  'upload.submit': 'Submit',
+  'upload.processing': 'Processing...',
+  'upload.photosQuestion': 'What are these photos?',
+  'upload.pagesOfOne': 'Pages of one document',
+  'upload.separate': 'Separate documents',
+  'upload.noScans': 'Scanned PDFs cannot be read here - only PDFs with selectable text.',
+  'mode.question': 'What do you need?',
+  'mode.summary': 'Summary',
+  'mode.translation': 'Full translation',
+  'readingLevel.question': 'How simple should it be?',
+  'readingLevel.grade4': 'Very simple',
+  'readingLevel.grade8': 'Simple',
+  'readingLevel.clinical': 'Clinical',
+  'language.question': 'Language to translate to?',
+  'language.choose': 'choose',
+
+  // Job progress
+  'job.processing': 'Processing your document...',
+  'job.cancel': 'Cancel',
+  'job.cancelled': 'Processing was cancelled.',
+  'stage.uploaded': 'Uploaded',
+  'stage.parsing': 'Reading document',
+  'stage.parsingBatch': 'Reading documents',
+  'stage.summarizing': 'Writing summary',
+  'stage.summarizingBatch': 'Writing summaries',
+  'stage.translating': 'Translating',
+  'stage.combining': 'Combining summaries',
+  'stage.done': 'Done',
+
+  // Errors shown by the app itself
+  'error.prefix': 'Error: {message}',
+  'error.noFile': 'Please select a file first',
+  'error.noLanguage': 'Please select a language first',
+  'error.unsupportedFile': '{fileName} cannot be read here. Files that can be read: {types}',
+  'error.batchTranslation': 'Several documents can only be summarized together. Translate one document at a time.',
+  'error.processFailed': 'Failed to process document',
+  'error.serverStatus': 'Server error: {status} {statusText}',
+  'error.generic': 'An error occurred while processing the document',
+  'error.cannotConnect': 'Cannot connect to server. Please make sure the server is running on {url}',
+  'error.connectionLost': 'Lost connection to the server while processing the document',
+  'error.openFailed': 'Failed to open document',
+
+  // Result
+  'result.summaryTab': 'Summary ({language})',
+  'result.translationTab': 'Full translation ({language})',
+  'result.medicationsTab': 'Medication schedule',
+  'result.listenTab': 'Read aloud',
+  'result.chatTab': 'Ask a question',
+  'result.placeholder': 'The translated summary will appear here...',
+  'result.emptyTitle': 'Summary',
+  'result.emptyPlaceholder': 'Upload a document and select a language to see the translated summary here...',
+  'documents.label': 'Documents',
+  'documents.all': 'All documents ({count})',
+
+  // Notices about the result
+  'languageNotice.documentLanguage': 'Document language:',
+  'languageNotice.same': 'This document already seems to be in {language}, the language you chose. Pick another language if you wanted it in a different one.',
+  'languageNotice.partly': 'Parts of this document are already in {language}, the language you chose - those parts were kept as they are.',
+  'ocr.hardToRead': {
+    one: 'Parts of your photo were hard to read ({confidence}% confidence), so some words or numbers may be wrong. Check the result against your paperwork, or retake the photo flat, in good light and in focus.',
+    other: 'Parts of your photos were hard to read ({confidence}% confidence), so some words or numbers may be wrong. Check the result against your paperwork, or retake the photos flat, in good light and in focus.'
+  },
+  'ocr.hardest': 'Hardest to read: {pages}',
+  'ocr.page': 'photo {page} ({fileName})',
+  'numericCheck.flagged': 'Some numbers do not match your document. They are highlighted below - check them with your doctor or pharmacist:',
+  'numericCheck.documentSays': 'the document says {expected}',
+  'numericCheck.notFound': 'not found in the document',
+  'numericCheck.missing': 'Doses in your document that are not mentioned here: {values}',
+  'numericCheck.checkValue': 'Check this value - the document says {expected}',
+  'numericCheck.checkMissing': 'Check this value - it was not found in the document',
+  'termCheck.title': 'Some important terms may have been changed or left out. Check them against your original document:',
+  'termCheck.dropped': 'dropped',
+  'termCheck.untranslated': 'not translated as the glossary requires',
+  'termCheck.dosage': 'dose changed or missing',
+  'termCheck.expected': 'expected "{expected}"',
+  'readingLevelNote.label': 'Reading level:',
+  'readingLevelNote.grade4': 'Grade 4',
+  'readingLevelNote.grade8': 'Grade 8',
+  'readingLevelNote.clinical': 'Clinical',
+  'readingLevelNote.measured': 'measured at grade {grade} ({formula})',
+  'readingLevelNote.above': 'still above grade {grade}, some parts may be hard to read',
+
+  // Safety alerts above the result
+  'alerts.title': 'Important safety warnings',
+  'alerts.returnToEr': 'Your document says when to get emergency care. Go to the emergency room or call your local emergency number if you have any of these signs.',
+  'alerts.warningSigns': 'Contact your doctor right away if you have any of these signs.',
+  'alerts.criticalLab': 'Critical lab result: {name} {value}. Contact your doctor today.',
+  'alerts.allergy': 'Allergy: {substance}. Tell every doctor and pharmacist.',
+  'alerts.allergyConflict': 'You are allergic to {substance}, but {medication} is in your document. Ask your doctor or pharmacist before taking it.',
+  'alerts.interaction': '{first} and {second} can be dangerous together ({risk}). Ask your doctor or pharmacist before taking them.',
+  'alerts.risk.bleeding': 'serious bleeding',
+  'alerts.risk.lowBloodPressure': 'very low blood pressure',
+  'alerts.risk.serotoninSyndrome': 'serotonin syndrome',
+  'alerts.risk.breathing': 'slowed or stopped breathing',
+  'alerts.risk.toxicity': 'toxic levels of medicine',
+  'alerts.risk.highPotassium': 'high potassium',
+  'alerts.risk.muscleDamage': 'muscle damage',
+  'alerts.note': 'These warnings are found automatically and may miss something. If you feel very unwell, call your local emergency number.',
+
+  // Summary cards and original passages
+  'summary.overview': 'Overview',
+  'summary.diagnoses': 'Diagnoses',
+  'summary.medications': 'Medications',
+  'summary.followUps': 'Follow-up appointments',
+  'summary.warningSigns': 'Get help right away if',
+  'summary.labValues': 'Lab results',
+  'summary.hint': 'Click a point to see where it comes from in the original document.',
+  'summary.showOriginal': 'Show the original text',
+  'summary.name': 'Name',
+  'summary.dose': 'Dose',
+  'summary.frequency': 'How often',
+  'summary.duration': 'How long',
+  'summary.instructions': 'Instructions',
+  'summary.test': 'Test',
+  'summary.result': 'Result',
+  'summary.normalRange': 'Normal range',
+  'summary.flag.high': 'high',
+  'summary.flag.low': 'low',
+  'summary.flag.abnormal': 'abnormal',
+  'summary.flag.critical': 'critical',
+  'source.title': 'Original text',
+  'source.close': 'Close original text',
+  'source.page': 'Page {page}',
+  'source.document': 'Document',
+  'source.closestMatch': 'closest match',
+  'translation.original': 'Original',
+
+  // Medication schedule
+  'medications.failed': 'Failed to build medication schedule',
+  'medications.loading': 'Finding your medications...',
+  'medications.none': 'No medications were found in this document.',
+  'medications.print': 'Print',
+  'medications.calendar': 'Add to calendar',
+  'medications.asNeeded': 'Only when needed',
+  'medications.unscheduled': 'Ask your doctor or pharmacist when to take',
+
+  // Read aloud
+  'readAloud.play': 'Play',
+  'readAloud.pause': 'Pause',
+  'readAloud.resume': 'Resume',
+  'readAloud.stop': 'Stop',
+  'readAloud.speed': 'Speed',
+  'readAloud.download': 'Download audio',
+  'readAloud.unsupported': 'This browser cannot read aloud. Download the audio instead.',
+  'readAloud.noVoice': 'This device has no {language} voice, so it may not sound right. Download the audio instead.',
+
+  // Questions about a document
+  'chat.hint': 'Ask about this document. Answers only use what your document says - they do not replace your doctor.',
+  'chat.placeholder': 'e.g. When do I take my medicine?',
+  'chat.send': 'Ask',
+  'chat.thinking': 'Looking in your document...',
+  'chat.failed': 'Could not answer your question',
+  'chat.urgent': 'This may need care right away. Contact your doctor now, or call your local emergency number if it is serious.',
+  'chat.notInDocument': 'Your document does not say',
+  'chat.showSources': 'Where this comes from',
+
+  // Document history
+  'history.title': 'Your documents',
+  'history.patientTitle': "{name}'s documents",
+  'history.close': 'Close {title}',
+  'history.loading': 'Loading...',
+  'history.empty': 'Documents you submit are kept here so you can read them again.',
+  'history.patientEmpty': '{name} has no documents yet.',
+  'history.delete': 'Delete',
+  'history.deleteLabel': 'Delete {fileName}',
+  'history.deleteAll': 'Delete all my documents',
+  'history.deleteConfirm': 'Delete "{fileName}" and its summary? This cannot be undone.',
+  'history.deleteAllConfirm': 'Delete all your documents and summaries from the server? This cannot be undone.',
+  'history.loadFailed': 'Failed to load your documents',
+  'history.deleteFailed': 'Failed to delete',
+
+  // Account and caregivers
+  'account.signedInAs': 'Signed in as {email}',
+  'account.caregiversTitle': 'Who can see your documents',
+  'account.caregiversHint': 'Add a family member or caregiver by the email of their account.',
+  'account.remove': 'Remove',
+  'account.removeConfirm': '{name} will no longer be able to see your documents. Continue?',
+  'account.caregiverEmail': "Caregiver's email",
+  'account.add': 'Add',
+  'account.sharedTitle': 'Shared with you',
+  'account.viewDocuments': 'View documents',
+  'account.signOut': 'Sign out',
+  'account.loadCaregiversFailed': 'Failed to load caregivers',
+  'account.loadPatientsFailed': 'Failed to load patients',
+  'account.addCaregiverFailed': 'Failed to add caregiver',
+  'account.removeCaregiverFailed': 'Failed to remove caregiver',
+
+  // Sign-in screen
+  'login.signIn': 'Sign in',
+  'login.createTitle': 'Create an account',
+  'login.createAccount': 'Create account',
+  'login.haveAccount': 'I already have an account',
+  'login.name': 'Name',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.failed': 'Failed to sign in'
+}
@@ -0,0 +1,196 @@
+// Spanish texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Tu traductor de salud',
+  'app.changeLanguage': 'Cambiar el idioma de la aplicación',
+  'app.darkMode': 'Modo oscuro',
+  'picker.title': 'Elige tu idioma',
+  'picker.hint': 'Puedes cambiarlo más tarde con el botón de idioma de arriba.',
+  'picker.close': 'Cerrar',
+
+  'upload.button': 'Subir documentos o fotos',
+  'upload.documents': { one: '{count} documento', other: '{count} documentos' },
+  'upload.photos': { one: '{count} foto', other: '{count} fotos' },
+  'upload.submit': 'Enviar',
+  'upload.processing': 'Procesando...',
+  'upload.photosQuestion': '¿Qué son estas fotos?',
+  'upload.pagesOfOne': 'Páginas de un documento',
+  'upload.separate': 'Documentos separados',
+  'upload.noScans': 'Aquí no se pueden leer PDF escaneados, solo PDF con texto seleccionable.',
+  'mode.question': '¿Qué necesitas?',
+  'mode.summary': 'Resumen',
+  'mode.translation': 'Traducción completa',
+  'readingLevel.question': '¿Qué tan sencillo debe ser?',
+  'readingLevel.grade4': 'Muy sencillo',
+  'readingLevel.grade8': 'Sencillo',
+  'readingLevel.clinical': 'Clínico',
+  'language.question': '¿A qué idioma traducir?',
+  'language.choose': 'elegir',
+
+  'job.processing': 'Procesando tu documento...',
+  'job.cancel': 'Cancelar',
+  'job.cancelled': 'Se canceló el procesamiento.',
+  'stage.uploaded': 'Subido',
+  'stage.parsing': 'Leyendo el documento',
+  'stage.parsingBatch': 'Leyendo los documentos',
+  'stage.summarizing': 'Escribiendo el resumen',
+  'stage.summarizingBatch': 'Escribiendo los resúmenes',
+  'stage.translating': 'Traduciendo',
+  'stage.combining': 'Combinando los resúmenes',
+  'stage.done': 'Listo',
+
+  'error.prefix': 'Error: {message}',
+  'error.noFile': 'Primero selecciona un archivo',
+  'error.noLanguage': 'Primero selecciona un idioma',
+  'error.unsupportedFile': '{fileName} no se puede leer aquí. Archivos que se pueden leer: {types}',
+  'error.batchTranslation': 'Varios documentos solo se pueden resumir juntos. Traduce un documento a la vez.',
+  'error.processFailed': 'No se pudo procesar el documento',
+  'error.serverStatus': 'Error del servidor: {status} {statusText}',
+  'error.generic': 'Ocurrió un error al procesar el documento',
+  'error.cannotConnect': 'No se puede conectar con el servidor. Asegúrate de que el servidor esté funcionando en {url}',
+  'error.connectionLost': 'Se perdió la conexión con el servidor mientras se procesaba el documento',
+  'error.openFailed': 'No se pudo abrir el documento',
+
+  'result.summaryTab': 'Resumen ({language})',
+  'result.translationTab': 'Traducción completa ({language})',
+  'result.medicationsTab': 'Horario de medicamentos',
+  'result.listenTab': 'Leer en voz alta',
+  'result.chatTab': 'Hacer una pregunta',
+  'result.placeholder': 'El resumen traducido aparecerá aquí...',
+  'result.emptyTitle': 'Resumen',
+  'result.emptyPlaceholder': 'Sube un documento y elige un idioma para ver aquí el resumen traducido...',
+  'documents.label': 'Documentos',
+  'documents.all': 'Todos los documentos ({count})',
+
+  'languageNotice.documentLanguage': 'Idioma del documento:',
+  'languageNotice.same': 'Este documento ya parece estar en {language}, el idioma que elegiste. Elige otro idioma si lo querías en uno distinto.',
+  'languageNotice.partly': 'Partes de este documento ya están en {language}, el idioma que elegiste; esas partes se dejaron como estaban.',
+  'ocr.hardToRead': {
+    one: 'Partes de tu foto eran difíciles de leer ({confidence}% de confianza), así que algunas palabras o números pueden estar mal. Compara el resultado con tus papeles, o vuelve a tomar la foto plana, con buena luz y enfocada.',
+    other: 'Partes de tus fotos eran difíciles de leer ({confidence}% de confianza), así que algunas palabras o números pueden estar mal. Compara el resultado con tus papeles, o vuelve a tomar las fotos planas, con buena luz y enfocadas.'
+  },
+  'ocr.hardest': 'Más difíciles de leer: {pages}',
+  'ocr.page': 'foto {page} ({fileName})',
+  'numericCheck.flagged': 'Algunos números no coinciden con tu documento. Están resaltados abajo; revísalos con tu médico o farmacéutico:',
+  'numericCheck.documentSays': 'el documento dice {expected}',
+  'numericCheck.notFound': 'no aparece en el documento',
+  'numericCheck.missing': 'Dosis de tu documento que no se mencionan aquí: {values}',
+  'numericCheck.checkValue': 'Revisa este valor: el documento dice {expected}',
+  'numericCheck.checkMissing': 'Revisa este valor: no aparece en el documento',
+  'termCheck.title': 'Algunos términos importantes pueden haberse cambiado u omitido. Compáralos con tu documento original:',
+  'termCheck.dropped': 'omitido',
+  'termCheck.untranslated': 'no traducido como exige el glosario',
+  'termCheck.dosage': 'dosis cambiada o ausente',
+  'termCheck.expected': 'se esperaba "{expected}"',
+  'readingLevelNote.label': 'Nivel de lectura:',
+  'readingLevelNote.grade4': '4.º grado',
+  'readingLevelNote.grade8': '8.º grado',
+  'readingLevelNote.clinical': 'Clínico',
+  'readingLevelNote.measured': 'medido en el grado {grade} ({formula})',
+  'readingLevelNote.above': 'todavía por encima del grado {grade}; algunas partes pueden ser difíciles de leer',
+
+  'alerts.title': 'Advertencias de seguridad importantes',
+  'alerts.returnToEr': 'Su documento indica cuándo buscar atención de emergencia. Vaya a urgencias o llame al número de emergencias si tiene alguno de estos signos.',
+  'alerts.warningSigns': 'Comuníquese con su médico de inmediato si tiene alguno de estos signos.',
+  'alerts.criticalLab': 'Resultado de laboratorio crítico: {name} {value}. Comuníquese con su médico hoy.',
+  'alerts.allergy': 'Alergia: {substance}. Dígaselo a todos sus médicos y farmacéuticos.',
+  'alerts.allergyConflict': 'Usted es alérgico a {substance}, pero {medication} aparece en su documento. Pregunte a su médico o farmacéutico antes de tomarlo.',
+  'alerts.interaction': '{first} y {second} pueden ser peligrosos juntos ({risk}). Pregunte a su médico o farmacéutico antes de tomarlos.',
+  'alerts.risk.bleeding': 'sangrado grave',
+  'alerts.risk.lowBloodPressure': 'presión arterial muy baja',
+  'alerts.risk.serotoninSyndrome': 'síndrome serotoninérgico',
+  'alerts.risk.breathing': 'respiración lenta o detenida',
+  'alerts.risk.toxicity': 'niveles tóxicos del medicamento',
+  'alerts.risk.highPotassium': 'potasio alto',
+  'alerts.risk.muscleDamage': 'daño muscular',
+  'alerts.note': 'Estas advertencias se detectan automáticamente y pueden pasar algo por alto. Si se siente muy mal, llame al número de emergencias.',
+  'summary.overview': 'Resumen general',
+  'summary.diagnoses': 'Diagnósticos',
+  'summary.medications': 'Medicamentos',
+  'summary.followUps': 'Citas de seguimiento',
+  'summary.warningSigns': 'Busca ayuda de inmediato si',
+  'summary.labValues': 'Resultados de laboratorio',
+  'summary.hint': 'Haz clic en un punto para ver de dónde viene en el documento original.',
+  'summary.showOriginal': 'Mostrar el texto original',
+  'summary.name': 'Nombre',
+  'summary.dose': 'Dosis',
+  'summary.frequency': 'Con qué frecuencia',
+  'summary.duration': 'Por cuánto tiempo',
+  'summary.instructions': 'Instrucciones',
+  'summary.test': 'Prueba',
+  'summary.result': 'Resultado',
+  'summary.normalRange': 'Rango normal',
+  'summary.flag.high': 'alto',
+  'summary.flag.low': 'bajo',
+  'summary.flag.abnormal': 'anormal',
+  'summary.flag.critical': 'crítico',
+  'source.title': 'Texto original',
+  'source.close': 'Cerrar el texto original',
+  'source.page': 'Página {page}',
+  'source.document': 'Documento',
+  'source.closestMatch': 'coincidencia más cercana',
+  'translation.original': 'Original',
+
+  'medications.failed': 'No se pudo crear el horario de medicamentos',
+  'medications.loading': 'Buscando tus medicamentos...',
+  'medications.none': 'No se encontraron medicamentos en este documento.',
+  'medications.print': 'Imprimir',
+  'medications.calendar': 'Agregar al calendario',
+  'medications.asNeeded': 'Solo cuando sea necesario',
+  'medications.unscheduled': 'Pregunta a tu médico o farmacéutico cuándo tomarlos',
+
+  'readAloud.play': 'Reproducir',
+  'readAloud.pause': 'Pausa',
+  'readAloud.resume': 'Continuar',
+  'readAloud.stop': 'Detener',
+  'readAloud.speed': 'Velocidad',
+  'readAloud.download': 'Descargar audio',
+  'readAloud.unsupported': 'Este navegador no puede leer en voz alta. Descarga el audio.',
+  'readAloud.noVoice': 'Este dispositivo no tiene voz en {language}, así que puede no sonar bien. Descarga el audio.',
+
+  'chat.hint': 'Pregunte sobre este documento. Las respuestas solo usan lo que dice su documento - no reemplazan a su médico.',
+  'chat.placeholder': 'p. ej. ¿Cuándo tomo mi medicamento?',
+  'chat.send': 'Preguntar',
+  'chat.thinking': 'Buscando en su documento...',
+  'chat.failed': 'No se pudo responder su pregunta',
+  'chat.urgent': 'Esto puede necesitar atención inmediata. Comuníquese ahora con su médico o llame al número de emergencias local si es grave.',
+  'chat.notInDocument': 'Su documento no lo dice',
+  'chat.showSources': 'De dónde viene esto',
+
+  'history.title': 'Tus documentos',
+  'history.patientTitle': 'Documentos de {name}',
+  'history.close': 'Cerrar {title}',
+  'history.loading': 'Cargando...',
+  'history.empty': 'Los documentos que envías se guardan aquí para que puedas leerlos otra vez.',
+  'history.patientEmpty': '{name} aún no tiene documentos.',
+  'history.delete': 'Eliminar',
+  'history.deleteLabel': 'Eliminar {fileName}',
+  'history.deleteAll': 'Eliminar todos mis documentos',
+  'history.deleteConfirm': '¿Eliminar "{fileName}" y su resumen? No se puede deshacer.',
+  'history.deleteAllConfirm': '¿Eliminar del servidor todos tus documentos y resúmenes? No se puede deshacer.',
+  'history.loadFailed': 'No se pudieron cargar tus documentos',
+  'history.deleteFailed': 'No se pudo eliminar',
+
+  'account.signedInAs': 'Sesión iniciada como {email}',
+  'account.caregiversTitle': 'Quién puede ver tus documentos',
+  'account.caregiversHint': 'Agrega a un familiar o cuidador con el correo de su cuenta.',
+  'account.remove': 'Quitar',
+  'account.removeConfirm': '{name} ya no podrá ver tus documentos. ¿Continuar?',
+  'account.caregiverEmail': 'Correo del cuidador',
+  'account.add': 'Agregar',
+  'account.sharedTitle': 'Compartido contigo',
+  'account.viewDocuments': 'Ver documentos',
+  'account.signOut': 'Cerrar sesión',
+  'account.loadCaregiversFailed': 'No se pudieron cargar los cuidadores',
+  'account.loadPatientsFailed': 'No se pudieron cargar los pacientes',
+  'account.addCaregiverFailed': 'No se pudo agregar al cuidador',
+  'account.removeCaregiverFailed': 'No se pudo quitar al cuidador',
+
+  'login.signIn': 'Iniciar sesión',
+  'login.createTitle': 'Crear una cuenta',
+  'login.createAccount': 'Crear cuenta',
+  'login.haveAccount': 'Ya tengo una cuenta',
+  'login.name': 'Nombre',
+  'login.email': 'Correo electrónico',
+  'login.password': 'Contraseña',
+  'login.failed': 'No se pudo iniciar sesión'
+}
@@ -0,0 +1,196 @@
+// Persian texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'مترجم سلامت شما',
+  'app.changeLanguage': 'تغییر زبان برنامه',
+  'app.darkMode': 'حالت تیره',
+  'picker.title': 'زبان خود را انتخاب کنید',
+  'picker.hint': 'بعداً می‌توانید آن را با دکمه زبان در بالا تغییر دهید.',
+  'picker.close': 'بستن',
+
+  'upload.button': 'بارگذاری سند یا عکس',
+  'upload.documents': { one: '{count} سند', other: '{count} سند' },
+  'upload.photos': { one: '{count} عکس', other: '{count} عکس' },
+  'upload.submit': 'ارسال',
+  'upload.processing': 'در حال پردازش...',
+  'upload.photosQuestion': 'این عکس‌ها چه هستند؟',
+  'upload.pagesOfOne': 'صفحه‌های یک سند',
+  'upload.separate': 'سندهای جداگانه',
+  'upload.noScans': 'PDFهای اسکن‌شده اینجا خوانده نمی‌شوند، فقط PDFهایی که متن قابل انتخاب دارند.',
+  'mode.question': 'به چه چیزی نیاز دارید؟',
+  'mode.summary': 'خلاصه',
+  'mode.translation': 'ترجمه کامل',
+  'readingLevel.question': 'چقدر ساده باشد؟',
+  'readingLevel.grade4': 'خیلی ساده',
+  'readingLevel.grade8': 'ساده',
+  'readingLevel.clinical': 'پزشکی',
+  'language.question': 'به چه زبانی ترجمه شود؟',
+  'language.choose': 'انتخاب',
+
+  'job.processing': 'در حال پردازش سند شما...',
+  'job.cancel': 'لغو',
+  'job.cancelled': 'پردازش لغو شد.',
+  'stage.uploaded': 'بارگذاری شد',
+  'stage.parsing': 'خواندن سند',
+  'stage.parsingBatch': 'خواندن سندها',
+  'stage.summarizing': 'نوشتن خلاصه',
+  'stage.summarizingBatch': 'نوشتن خلاصه‌ها',
+  'stage.translating': 'ترجمه',
+  'stage.combining': 'ادغام خلاصه‌ها',
+  'stage.done': 'انجام شد',
+
+  'error.prefix': 'خطا: {message}',
+  'error.noFile': 'لطفاً ابتدا یک فایل انتخاب کنید',
+  'error.noLanguage': 'لطفاً ابتدا یک زبان انتخاب کنید',
+  'error.unsupportedFile': '{fileName} اینجا خوانده نمی‌شود. فایل‌هایی که خوانده می‌شوند: {types}',
+  'error.batchTranslation': 'چند سند را فقط می‌توان با هم خلاصه کرد. هر بار یک سند را ترجمه کنید.',
+  'error.processFailed': 'پردازش سند ممکن نشد',
+  'error.serverStatus': 'خطای سرور: {status} {statusText}',
+  'error.generic': 'هنگام پردازش سند خطایی رخ داد',
+  'error.cannotConnect': 'اتصال به سرور ممکن نیست. مطمئن شوید سرور روی {url} در حال اجراست',
+  'error.connectionLost': 'اتصال به سرور هنگام پردازش سند قطع شد',
+  'error.openFailed': 'باز کردن سند ممکن نشد',
+
+  'result.summaryTab': 'خلاصه ({language})',
+  'result.translationTab': 'ترجمه کامل ({language})',
+  'result.medicationsTab': 'برنامه داروها',
+  'result.listenTab': 'خواندن با صدای بلند',
+  'result.chatTab': 'پرسیدن سؤال',
+  'result.placeholder': 'خلاصه ترجمه‌شده اینجا نمایش داده می‌شود...',
+  'result.emptyTitle': 'خلاصه',
+  'result.emptyPlaceholder': 'یک سند بارگذاری کنید و زبانی انتخاب کنید تا خلاصه ترجمه‌شده را اینجا ببینید...',
+  'documents.label': 'سندها',
+  'documents.all': 'همه سندها ({count})',
+
+  'languageNotice.documentLanguage': 'زبان سند:',
+  'languageNotice.same': 'به نظر می‌رسد این سند از قبل به {language} است، یعنی همان زبانی که انتخاب کردید. اگر آن را به زبان دیگری می‌خواستید، زبان دیگری انتخاب کنید.',
+  'languageNotice.partly': 'بخش‌هایی از این سند از قبل به {language} است، یعنی همان زبانی که انتخاب کردید - این بخش‌ها همان‌طور که بودند باقی ماندند.',
+  'ocr.hardToRead': {
+    one: 'خواندن بخش‌هایی از عکس شما دشوار بود (اطمینان {confidence}٪)، بنابراین ممکن است برخی کلمات یا اعداد اشتباه باشند. نتیجه را با مدارک خود مقایسه کنید یا عکس را صاف، در نور خوب و واضح دوباره بگیرید.',
+    other: 'خواندن بخش‌هایی از عکس‌های شما دشوار بود (اطمینان {confidence}٪)، بنابراین ممکن است برخی کلمات یا اعداد اشتباه باشند. نتیجه را با مدارک خود مقایسه کنید یا عکس‌ها را صاف، در نور خوب و واضح دوباره بگیرید.'
+  },
+  'ocr.hardest': 'سخت‌خوان‌ترین: {pages}',
+  'ocr.page': 'عکس {page} ({fileName})',
+  'numericCheck.flagged': 'برخی اعداد با سند شما مطابقت ندارند. آن‌ها در زیر مشخص شده‌اند - با پزشک یا داروساز خود بررسی کنید:',
+  'numericCheck.documentSays': 'در سند {expected} آمده است',
+  'numericCheck.notFound': 'در سند پیدا نشد',
+  'numericCheck.missing': 'دوزهایی از سند شما که اینجا ذکر نشده‌اند: {values}',
+  'numericCheck.checkValue': 'این مقدار را بررسی کنید - در سند {expected} آمده است',
+  'numericCheck.checkMissing': 'این مقدار را بررسی کنید - در سند پیدا نشد',
+  'termCheck.title': 'ممکن است برخی اصطلاحات مهم تغییر کرده یا حذف شده باشند. آن‌ها را با سند اصلی خود مقایسه کنید:',
+  'termCheck.dropped': 'حذف شده',
+  'termCheck.untranslated': 'طبق واژه‌نامه ترجمه نشده',
+  'termCheck.dosage': 'دوز تغییر کرده یا وجود ندارد',
+  'termCheck.expected': 'مورد انتظار «{expected}»',
+  'readingLevelNote.label': 'سطح خواندن:',
+  'readingLevelNote.grade4': 'کلاس چهارم',
+  'readingLevelNote.grade8': 'کلاس هشتم',
+  'readingLevelNote.clinical': 'پزشکی',
+  'readingLevelNote.measured': 'در سطح کلاس {grade} سنجیده شد ({formula})',
+  'readingLevelNote.above': 'هنوز بالاتر از سطح کلاس {grade} است، ممکن است خواندن برخی بخش‌ها دشوار باشد',
+
+  'alerts.title': 'هشدارهای ایمنی مهم',
+  'alerts.returnToEr': 'سند شما می‌گوید چه زمانی به مراقبت اورژانسی نیاز دارید. اگر هر یک از این نشانه‌ها را دارید به اورژانس بروید یا با شماره اورژانس تماس بگیرید.',
+  'alerts.warningSigns': 'اگر هر یک از این نشانه‌ها را دارید فوراً با پزشک خود تماس بگیرید.',
+  'alerts.criticalLab': 'نتیجه آزمایش بحرانی: {name} {value}. امروز با پزشک خود تماس بگیرید.',
+  'alerts.allergy': 'حساسیت: {substance}. به هر پزشک و داروسازی بگویید.',
+  'alerts.allergyConflict': 'شما به {substance} حساسیت دارید، اما {medication} در سند شما آمده است. پیش از مصرف از پزشک یا داروساز بپرسید.',
+  'alerts.interaction': '{first} و {second} با هم می‌توانند خطرناک باشند ({risk}). پیش از مصرف از پزشک یا داروساز بپرسید.',
+  'alerts.risk.bleeding': 'خونریزی شدید',
+  'alerts.risk.lowBloodPressure': 'فشار خون بسیار پایین',
+  'alerts.risk.serotoninSyndrome': 'سندرم سروتونین',
+  'alerts.risk.breathing': 'کند شدن یا قطع تنفس',
+  'alerts.risk.toxicity': 'سطح سمی دارو',
+  'alerts.risk.highPotassium': 'پتاسیم بالا',
+  'alerts.risk.muscleDamage': 'آسیب عضلانی',
+  'alerts.note': 'این هشدارها به‌طور خودکار پیدا می‌شوند و ممکن است چیزی را از قلم بیندازند. اگر حالتان بسیار بد است، با شماره اورژانس تماس بگیرید.',
+  'summary.overview': 'نمای کلی',
+  'summary.diagnoses': 'تشخیص‌ها',
+  'summary.medications': 'داروها',
+  'summary.followUps': 'نوبت‌های پیگیری',
+  'summary.warningSigns': 'فوراً کمک بگیرید اگر',
+  'summary.labValues': 'نتایج آزمایش',
+  'summary.hint': 'روی یک مورد کلیک کنید تا ببینید از کجای سند اصلی آمده است.',
+  'summary.showOriginal': 'نمایش متن اصلی',
+  'summary.name': 'نام',
+  'summary.dose': 'دوز',
+  'summary.frequency': 'چند وقت یک‌بار',
+  'summary.duration': 'تا چه مدت',
+  'summary.instructions': 'دستورها',
+  'summary.test': 'آزمایش',
+  'summary.result': 'نتیجه',
+  'summary.normalRange': 'محدوده طبیعی',
+  'summary.flag.high': 'بالا',
+  'summary.flag.low': 'پایین',
+  'summary.flag.abnormal': 'غیرطبیعی',
+  'summary.flag.critical': 'بحرانی',
+  'source.title': 'متن اصلی',
+  'source.close': 'بستن متن اصلی',
+  'source.page': 'صفحه {page}',
+  'source.document': 'سند',
+  'source.closestMatch': 'نزدیک‌ترین تطابق',
+  'translation.original': 'اصل',
+
+  'medications.failed': 'ساخت برنامه داروها ممکن نشد',
+  'medications.loading': 'در حال یافتن داروهای شما...',
+  'medications.none': 'در این سند دارویی پیدا نشد.',
+  'medications.print': 'چاپ',
+  'medications.calendar': 'افزودن به تقویم',
+  'medications.asNeeded': 'فقط در صورت نیاز',
+  'medications.unscheduled': 'زمان مصرف را از پزشک یا داروساز خود بپرسید',
+
+  'readAloud.play': 'پخش',
+  'readAloud.pause': 'توقف موقت',
+  'readAloud.resume': 'ادامه',
+  'readAloud.stop': 'توقف',
+  'readAloud.speed': 'سرعت',
+  'readAloud.download': 'دانلود صدا',
+  'readAloud.unsupported': 'این مرورگر نمی‌تواند با صدای بلند بخواند. به جای آن صدا را دانلود کنید.',
+  'readAloud.noVoice': 'این دستگاه صدای {language} ندارد، بنابراین ممکن است درست شنیده نشود. به جای آن صدا را دانلود کنید.',
+
+  'chat.hint': 'درباره این سند بپرسید. پاسخ‌ها فقط بر اساس آنچه در سند شما آمده است - جایگزین پزشک شما نیستند.',
+  'chat.placeholder': 'مثلاً: داروی خود را کی مصرف کنم؟',
+  'chat.send': 'بپرس',
+  'chat.thinking': 'در حال جستجو در سند شما...',
+  'chat.failed': 'پاسخ به سؤال شما ممکن نشد',
+  'chat.urgent': 'این ممکن است به مراقبت فوری نیاز داشته باشد. همین حالا با پزشک خود تماس بگیرید، یا اگر جدی است با شماره اورژانس محلی تماس بگیرید.',
+  'chat.notInDocument': 'در سند شما به این اشاره نشده است',
+  'chat.showSources': 'این از کجا آمده است',
+
+  'history.title': 'سندهای شما',
+  'history.patientTitle': 'سندهای {name}',
+  'history.close': 'بستن {title}',
+  'history.loading': 'در حال بارگیری...',
+  'history.empty': 'سندهایی که ارسال می‌کنید اینجا نگه داشته می‌شوند تا دوباره آن‌ها را بخوانید.',
+  'history.patientEmpty': '{name} هنوز سندی ندارد.',
+  'history.delete': 'حذف',
+  'history.deleteLabel': 'حذف {fileName}',
+  'history.deleteAll': 'حذف همه سندهای من',
+  'history.deleteConfirm': '«{fileName}» و خلاصه آن حذف شود؟ این کار برگشت‌پذیر نیست.',
+  'history.deleteAllConfirm': 'همه سندها و خلاصه‌های شما از سرور حذف شود؟ این کار برگشت‌پذیر نیست.',
+  'history.loadFailed': 'بارگیری سندهای شما ممکن نشد',
+  'history.deleteFailed': 'حذف ممکن نشد',
+
+  'account.signedInAs': 'وارد شده با {email}',
+  'account.caregiversTitle': 'چه کسانی سندهای شما را می‌بینند',
+  'account.caregiversHint': 'یکی از اعضای خانواده یا مراقب را با ایمیل حساب او اضافه کنید.',
+  'account.remove': 'حذف',
+  'account.removeConfirm': '{name} دیگر نمی‌تواند سندهای شما را ببیند. ادامه می‌دهید؟',
+  'account.caregiverEmail': 'ایمیل مراقب',
+  'account.add': 'افزودن',
+  'account.sharedTitle': 'به اشتراک گذاشته‌شده با شما',
+  'account.viewDocuments': 'دیدن سندها',
+  'account.signOut': 'خروج',
+  'account.loadCaregiversFailed': 'بارگیری مراقبان ممکن نشد',
+  'account.loadPatientsFailed': 'بارگیری بیماران ممکن نشد',
+  'account.addCaregiverFailed': 'افزودن مراقب ممکن نشد',
+  'account.removeCaregiverFailed': 'حذف مراقب ممکن نشد',
+
+  'login.signIn': 'ورود',
+  'login.createTitle': 'ساخت حساب',
+  'login.createAccount': 'ساخت حساب',
+  'login.haveAccount': 'از قبل حساب دارم',
+  'login.name': 'نام',
+  'login.email': 'ایمیل',
+  'login.password': 'رمز عبور',
+  'login.failed': 'ورود ممکن نشد'
+}
@@ -0,0 +1,196 @@
+// French texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Votre traducteur santé',
+  'app.changeLanguage': "Changer la langue de l'application",
+  'app.darkMode': 'Mode sombre',
+  'picker.title': 'Choisissez votre langue',
+  'picker.hint': 'Vous pourrez la changer plus tard avec le bouton de langue en haut.',
+  'picker.close': 'Fermer',
+
+  'upload.button': 'Importer des documents ou des photos',
+  'upload.documents': { one: '{count} document', other: '{count} documents' },
+  'upload.photos': { one: '{count} photo', other: '{count} photos' },
+  'upload.submit': 'Envoyer',
+  'upload.processing': 'Traitement...',
+  'upload.photosQuestion': 'Que sont ces photos ?',
+  'upload.pagesOfOne': "Pages d'un même document",
+  'upload.separate': 'Documents séparés',
+  'upload.noScans': 'Les PDF numérisés ne peuvent pas être lus ici, seulement les PDF avec du texte sélectionnable.',
+  'mode.question': 'De quoi avez-vous besoin ?',
+  'mode.summary': 'Résumé',
+  'mode.translation': 'Traduction complète',
+  'readingLevel.question': 'À quel point doit-il être simple ?',
+  'readingLevel.grade4': 'Très simple',
+  'readingLevel.grade8': 'Simple',
+  'readingLevel.clinical': 'Clinique',
+  'language.question': 'Traduire dans quelle langue ?',
+  'language.choose': 'choisir',
+
+  'job.processing': 'Traitement de votre document...',
+  'job.cancel': 'Annuler',
+  'job.cancelled': 'Le traitement a été annulé.',
+  'stage.uploaded': 'Importé',
+  'stage.parsing': 'Lecture du document',
+  'stage.parsingBatch': 'Lecture des documents',
+  'stage.summarizing': 'Rédaction du résumé',
+  'stage.summarizingBatch': 'Rédaction des résumés',
+  'stage.translating': 'Traduction',
+  'stage.combining': 'Regroupement des résumés',
+  'stage.done': 'Terminé',
+
+  'error.prefix': 'Erreur : {message}',
+  'error.noFile': "Veuillez d'abord choisir un fichier",
+  'error.noLanguage': "Veuillez d'abord choisir une langue",
+  'error.unsupportedFile': '{fileName} ne peut pas être lu ici. Fichiers lisibles : {types}',
+  'error.batchTranslation': 'Plusieurs documents ne peuvent être que résumés ensemble. Traduisez un document à la fois.',
+  'error.processFailed': 'Impossible de traiter le document',
+  'error.serverStatus': 'Erreur du serveur : {status} {statusText}',
+  'error.generic': 'Une erreur est survenue pendant le traitement du document',
+  'error.cannotConnect': 'Impossible de joindre le serveur. Vérifiez que le serveur fonctionne sur {url}',
+  'error.connectionLost': 'La connexion au serveur a été perdue pendant le traitement du document',
+  'error.openFailed': "Impossible d'ouvrir le document",
+
+  'result.summaryTab': 'Résumé ({language})',
+  'result.translationTab': 'Traduction complète ({language})',
+  'result.medicationsTab': 'Horaire des médicaments',
+  'result.listenTab': 'Lecture à voix haute',
+  'result.chatTab': 'Poser une question',
+  'result.placeholder': 'Le résumé traduit apparaîtra ici...',
+  'result.emptyTitle': 'Résumé',
+  'result.emptyPlaceholder': 'Importez un document et choisissez une langue pour voir ici le résumé traduit...',
+  'documents.label': 'Documents',
+  'documents.all': 'Tous les documents ({count})',
+
+  'languageNotice.documentLanguage': 'Langue du document :',
+  'languageNotice.same': 'Ce document semble déjà être en {language}, la langue que vous avez choisie. Choisissez une autre langue si vous le vouliez dans une autre.',
+  'languageNotice.partly': 'Certaines parties de ce document sont déjà en {language}, la langue que vous avez choisie ; elles ont été laissées telles quelles.',
+  'ocr.hardToRead': {
+    one: 'Certaines parties de votre photo étaient difficiles à lire (confiance de {confidence} %), des mots ou des chiffres peuvent donc être faux. Comparez le résultat avec vos papiers, ou reprenez la photo à plat, bien éclairée et nette.',
+    other: 'Certaines parties de vos photos étaient difficiles à lire (confiance de {confidence} %), des mots ou des chiffres peuvent donc être faux. Comparez le résultat avec vos papiers, ou reprenez les photos à plat, bien éclairées et nettes.'
+  },
+  'ocr.hardest': 'Les plus difficiles à lire : {pages}',
+  'ocr.page': 'photo {page} ({fileName})',
+  'numericCheck.flagged': 'Certains nombres ne correspondent pas à votre document. Ils sont surlignés ci-dessous ; vérifiez-les avec votre médecin ou votre pharmacien :',
+  'numericCheck.documentSays': 'le document indique {expected}',
+  'numericCheck.notFound': 'introuvable dans le document',
+  'numericCheck.missing': "Doses de votre document qui ne sont pas mentionnées ici : {values}",
+  'numericCheck.checkValue': 'Vérifiez cette valeur : le document indique {expected}',
+  'numericCheck.checkMissing': 'Vérifiez cette valeur : elle est introuvable dans le document',
+  'termCheck.title': 'Certains termes importants ont peut-être été modifiés ou omis. Vérifiez-les dans votre document original :',
+  'termCheck.dropped': 'omis',
+  'termCheck.untranslated': "pas traduit comme l'exige le glossaire",
+  'termCheck.dosage': 'dose modifiée ou manquante',
+  'termCheck.expected': 'attendu « {expected} »',
+  'readingLevelNote.label': 'Niveau de lecture :',
+  'readingLevelNote.grade4': 'Niveau CM1',
+  'readingLevelNote.grade8': 'Niveau 4e',
+  'readingLevelNote.clinical': 'Clinique',
+  'readingLevelNote.measured': 'mesuré au niveau {grade} ({formula})',
+  'readingLevelNote.above': 'toujours au-dessus du niveau {grade}, certaines parties peuvent être difficiles à lire',
+
+  'alerts.title': 'Avertissements de sécurité importants',
+  'alerts.returnToEr': "Votre document indique quand consulter en urgence. Allez aux urgences ou appelez le numéro d'urgence si vous avez l'un de ces signes.",
+  'alerts.warningSigns': "Contactez immédiatement votre médecin si vous avez l'un de ces signes.",
+  'alerts.criticalLab': "Résultat de laboratoire critique : {name} {value}. Contactez votre médecin aujourd'hui.",
+  'alerts.allergy': 'Allergie : {substance}. Informez chaque médecin et pharmacien.',
+  'alerts.allergyConflict': 'Vous êtes allergique à {substance}, mais {medication} figure dans votre document. Demandez à votre médecin ou pharmacien avant de le prendre.',
+  'alerts.interaction': '{first} et {second} peuvent être dangereux ensemble ({risk}). Demandez à votre médecin ou pharmacien avant de les prendre.',
+  'alerts.risk.bleeding': 'saignement grave',
+  'alerts.risk.lowBloodPressure': 'tension artérielle très basse',
+  'alerts.risk.serotoninSyndrome': 'syndrome sérotoninergique',
+  'alerts.risk.breathing': 'respiration ralentie ou arrêtée',
+  'alerts.risk.toxicity': 'taux toxiques de médicament',
+  'alerts.risk.highPotassium': 'potassium élevé',
+  'alerts.risk.muscleDamage': 'atteinte musculaire',
+  'alerts.note': "Ces avertissements sont détectés automatiquement et peuvent être incomplets. Si vous vous sentez très mal, appelez le numéro d'urgence.",
+  'summary.overview': 'Vue d’ensemble',
+  'summary.diagnoses': 'Diagnostics',
+  'summary.medications': 'Médicaments',
+  'summary.followUps': 'Rendez-vous de suivi',
+  'summary.warningSigns': 'Demandez de l’aide tout de suite si',
+  'summary.labValues': "Résultats d'analyses",
+  'summary.hint': "Cliquez sur un point pour voir d'où il vient dans le document original.",
+  'summary.showOriginal': 'Afficher le texte original',
+  'summary.name': 'Nom',
+  'summary.dose': 'Dose',
+  'summary.frequency': 'À quelle fréquence',
+  'summary.duration': 'Pendant combien de temps',
+  'summary.instructions': 'Consignes',
+  'summary.test': 'Analyse',
+  'summary.result': 'Résultat',
+  'summary.normalRange': 'Valeurs normales',
+  'summary.flag.high': 'élevé',
+  'summary.flag.low': 'bas',
+  'summary.flag.abnormal': 'anormal',
+  'summary.flag.critical': 'critique',
+  'source.title': 'Texte original',
+  'source.close': 'Fermer le texte original',
+  'source.page': 'Page {page}',
+  'source.document': 'Document',
+  'source.closestMatch': 'correspondance la plus proche',
+  'translation.original': 'Original',
+
+  'medications.failed': "Impossible de créer l'horaire des médicaments",
+  'medications.loading': 'Recherche de vos médicaments...',
+  'medications.none': "Aucun médicament n'a été trouvé dans ce document.",
+  'medications.print': 'Imprimer',
+  'medications.calendar': 'Ajouter au calendrier',
+  'medications.asNeeded': 'Seulement en cas de besoin',
+  'medications.unscheduled': 'Demandez à votre médecin ou pharmacien quand les prendre',
+
+  'readAloud.play': 'Lire',
+  'readAloud.pause': 'Pause',
+  'readAloud.resume': 'Reprendre',
+  'readAloud.stop': 'Arrêter',
+  'readAloud.speed': 'Vitesse',
+  'readAloud.download': "Télécharger l'audio",
+  'readAloud.unsupported': "Ce navigateur ne peut pas lire à voix haute. Téléchargez plutôt l'audio.",
+  'readAloud.noVoice': "Cet appareil n'a pas de voix en {language}, la lecture risque d'être incorrecte. Téléchargez plutôt l'audio.",
+
+  'chat.hint': 'Posez une question sur ce document. Les réponses ne reprennent que ce que dit votre document - elles ne remplacent pas votre médecin.',
+  'chat.placeholder': 'p. ex. Quand dois-je prendre mon médicament ?',
+  'chat.send': 'Demander',
+  'chat.thinking': 'Recherche dans votre document...',
+  'chat.failed': 'Impossible de répondre à votre question',
+  'chat.urgent': 'Cela peut nécessiter des soins immédiats. Contactez votre médecin maintenant, ou appelez le numéro d’urgence local si c’est grave.',
+  'chat.notInDocument': 'Votre document ne le dit pas',
+  'chat.showSources': 'D’où cela vient',
+
+  'history.title': 'Vos documents',
+  'history.patientTitle': 'Documents de {name}',
+  'history.close': 'Fermer {title}',
+  'history.loading': 'Chargement...',
+  'history.empty': 'Les documents que vous envoyez sont gardés ici pour que vous puissiez les relire.',
+  'history.patientEmpty': "{name} n'a pas encore de documents.",
+  'history.delete': 'Supprimer',
+  'history.deleteLabel': 'Supprimer {fileName}',
+  'history.deleteAll': 'Supprimer tous mes documents',
+  'history.deleteConfirm': 'Supprimer « {fileName} » et son résumé ? Cette action est irréversible.',
+  'history.deleteAllConfirm': 'Supprimer du serveur tous vos documents et résumés ? Cette action est irréversible.',
+  'history.loadFailed': 'Impossible de charger vos documents',
+  'history.deleteFailed': 'Impossible de supprimer',
+
+  'account.signedInAs': 'Connecté en tant que {email}',
+  'account.caregiversTitle': 'Qui peut voir vos documents',
+  'account.caregiversHint': "Ajoutez un proche ou un aidant avec l'adresse e-mail de son compte.",
+  'account.remove': 'Retirer',
+  'account.removeConfirm': '{name} ne pourra plus voir vos documents. Continuer ?',
+  'account.caregiverEmail': "E-mail de l'aidant",
+  'account.add': 'Ajouter',
+  'account.sharedTitle': 'Partagés avec vous',
+  'account.viewDocuments': 'Voir les documents',
+  'account.signOut': 'Se déconnecter',
+  'account.loadCaregiversFailed': 'Impossible de charger les aidants',
+  'account.loadPatientsFailed': 'Impossible de charger les patients',
+  'account.addCaregiverFailed': "Impossible d'ajouter l'aidant",
+  'account.removeCaregiverFailed': "Impossible de retirer l'aidant",
+
+  'login.signIn': 'Se connecter',
+  'login.createTitle': 'Créer un compte',
+  'login.createAccount': 'Créer le compte',
+  'login.haveAccount': "J'ai déjà un compte",
+  'login.name': 'Nom',
+  'login.email': 'E-mail',
+  'login.password': 'Mot de passe',
+  'login.failed': 'Impossible de se connecter'
+}
@@ -0,0 +1,196 @@
+// Hebrew texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'המתרגם הרפואי שלך',
+  'app.changeLanguage': 'שינוי שפת האפליקציה',
+  'app.darkMode': 'מצב כהה',
+  'picker.title': 'בחרו את השפה שלכם',
+  'picker.hint': 'אפשר לשנות אותה אחר כך בכפתור השפה שלמעלה.',
+  'picker.close': 'סגירה',
+
+  'upload.button': 'העלאת מסמכים או תמונות',
+  'upload.documents': { one: 'מסמך אחד', two: '{count} מסמכים', other: '{count} מסמכים' },
+  'upload.photos': { one: 'תמונה אחת', two: '{count} תמונות', other: '{count} תמונות' },
+  'upload.submit': 'שליחה',
+  'upload.processing': 'מעבד...',
+  'upload.photosQuestion': 'מה התמונות האלה?',
+  'upload.pagesOfOne': 'עמודים של מסמך אחד',
+  'upload.separate': 'מסמכים נפרדים',
+  'upload.noScans': 'לא ניתן לקרוא כאן קובצי PDF סרוקים, רק PDF עם טקסט שניתן לבחור.',
+  'mode.question': 'מה אתם צריכים?',
+  'mode.summary': 'סיכום',
+  'mode.translation': 'תרגום מלא',
+  'readingLevel.question': 'עד כמה פשוט זה צריך להיות?',
+  'readingLevel.grade4': 'פשוט מאוד',
+  'readingLevel.grade8': 'פשוט',
+  'readingLevel.clinical': 'רפואי',
+  'language.question': 'לאיזו שפה לתרגם?',
+  'language.choose': 'בחירה',
+
+  'job.processing': 'המסמך שלכם בעיבוד...',
+  'job.cancel': 'ביטול',
+  'job.cancelled': 'העיבוד בוטל.',
+  'stage.uploaded': 'הועלה',
+  'stage.parsing': 'קריאת המסמך',
+  'stage.parsingBatch': 'קריאת המסמכים',
+  'stage.summarizing': 'כתיבת הסיכום',
+  'stage.summarizingBatch': 'כתיבת הסיכומים',
+  'stage.translating': 'תרגום',
+  'stage.combining': 'איחוד הסיכומים',
+  'stage.done': 'הסתיים',
+
+  'error.prefix': 'שגיאה: {message}',
+  'error.noFile': 'יש לבחור קובץ קודם',
+  'error.noLanguage': 'יש לבחור שפה קודם',
+  'error.unsupportedFile': 'לא ניתן לקרוא כאן את {fileName}. קבצים שניתן לקרוא: {types}',
+  'error.batchTranslation': 'אפשר רק לסכם כמה מסמכים יחד. תרגמו מסמך אחד בכל פעם.',
+  'error.processFailed': 'לא ניתן היה לעבד את המסמך',
+  'error.serverStatus': 'שגיאת שרת: {status} {statusText}',
+  'error.generic': 'אירעה שגיאה בעיבוד המסמך',
+  'error.cannotConnect': 'אין חיבור לשרת. ודאו שהשרת פועל בכתובת {url}',
+  'error.connectionLost': 'החיבור לשרת נותק בזמן עיבוד המסמך',
+  'error.openFailed': 'לא ניתן היה לפתוח את המסמך',
+
+  'result.summaryTab': 'סיכום ({language})',
+  'result.translationTab': 'תרגום מלא ({language})',
+  'result.medicationsTab': 'לוח זמנים לתרופות',
+  'result.listenTab': 'הקראה',
+  'result.chatTab': 'שאלו שאלה',
+  'result.placeholder': 'הסיכום המתורגם יופיע כאן...',
+  'result.emptyTitle': 'סיכום',
+  'result.emptyPlaceholder': 'העלו מסמך ובחרו שפה כדי לראות כאן את הסיכום המתורגם...',
+  'documents.label': 'מסמכים',
+  'documents.all': 'כל המסמכים ({count})',
+
+  'languageNotice.documentLanguage': 'שפת המסמך:',
+  'languageNotice.same': 'נראה שהמסמך הזה כבר כתוב ב{language}, השפה שבחרתם. בחרו שפה אחרת אם רציתם אותו בשפה שונה.',
+  'languageNotice.partly': 'חלקים מהמסמך הזה כבר כתובים ב{language}, השפה שבחרתם - החלקים האלה נשארו כפי שהם.',
+  'ocr.hardToRead': {
+    one: 'היה קשה לקרוא חלקים מהתמונה ({confidence}% ביטחון), ולכן ייתכן שחלק מהמילים או המספרים שגויים. השוו את התוצאה לניירת שלכם, או צלמו שוב כשהדף שטוח, באור טוב ובפוקוס.',
+    other: 'היה קשה לקרוא חלקים מהתמונות ({confidence}% ביטחון), ולכן ייתכן שחלק מהמילים או המספרים שגויים. השוו את התוצאה לניירת שלכם, או צלמו שוב כשהדפים שטוחים, באור טוב ובפוקוס.'
+  },
+  'ocr.hardest': 'הקשות ביותר לקריאה: {pages}',
+  'ocr.page': 'תמונה {page} ({fileName})',
+  'numericCheck.flagged': 'חלק מהמספרים לא תואמים את המסמך שלכם. הם מסומנים למטה - בדקו אותם עם הרופא או הרוקח:',
+  'numericCheck.documentSays': 'במסמך כתוב {expected}',
+  'numericCheck.notFound': 'לא נמצא במסמך',
+  'numericCheck.missing': 'מינונים מהמסמך שלא מוזכרים כאן: {values}',
+  'numericCheck.checkValue': 'בדקו את הערך הזה - במסמך כתוב {expected}',
+  'numericCheck.checkMissing': 'בדקו את הערך הזה - הוא לא נמצא במסמך',
+  'termCheck.title': 'ייתכן שמונחים חשובים שונו או הושמטו. השוו אותם למסמך המקורי:',
+  'termCheck.dropped': 'הושמט',
+  'termCheck.untranslated': 'לא תורגם כפי שהמילון דורש',
+  'termCheck.dosage': 'המינון שונה או חסר',
+  'termCheck.expected': 'צפוי "{expected}"',
+  'readingLevelNote.label': 'רמת קריאה:',
+  'readingLevelNote.grade4': 'כיתה ד׳',
+  'readingLevelNote.grade8': 'כיתה ח׳',
+  'readingLevelNote.clinical': 'רפואי',
+  'readingLevelNote.measured': 'נמדד ברמת כיתה {grade} ({formula})',
+  'readingLevelNote.above': 'עדיין מעל רמת כיתה {grade}, חלקים מסוימים עשויים להיות קשים לקריאה',
+
+  'alerts.title': 'אזהרות בטיחות חשובות',
+  'alerts.returnToEr': 'המסמך שלך מציין מתי לפנות לטיפול דחוף. פנה לחדר המיון או התקשר למספר החירום אם יש לך אחד מהסימנים האלה.',
+  'alerts.warningSigns': 'פנה מיד לרופא שלך אם יש לך אחד מהסימנים האלה.',
+  'alerts.criticalLab': 'תוצאת בדיקה קריטית: {name} {value}. פנה לרופא שלך היום.',
+  'alerts.allergy': 'אלרגיה: {substance}. ספר לכל רופא ורוקח.',
+  'alerts.allergyConflict': 'יש לך אלרגיה ל-{substance}, אבל {medication} מופיע במסמך שלך. שאל את הרופא או הרוקח לפני הנטילה.',
+  'alerts.interaction': '{first} ו-{second} עלולים להיות מסוכנים יחד ({risk}). שאל את הרופא או הרוקח לפני הנטילה.',
+  'alerts.risk.bleeding': 'דימום חמור',
+  'alerts.risk.lowBloodPressure': 'לחץ דם נמוך מאוד',
+  'alerts.risk.serotoninSyndrome': 'תסמונת סרוטונין',
+  'alerts.risk.breathing': 'נשימה איטית או שנעצרת',
+  'alerts.risk.toxicity': 'רמות רעילות של התרופה',
+  'alerts.risk.highPotassium': 'אשלגן גבוה',
+  'alerts.risk.muscleDamage': 'נזק לשרירים',
+  'alerts.note': 'האזהרות האלה נמצאות באופן אוטומטי ועלולות לפספס משהו. אם אתה מרגיש רע מאוד, התקשר למספר החירום.',
+  'summary.overview': 'סקירה',
+  'summary.diagnoses': 'אבחנות',
+  'summary.medications': 'תרופות',
+  'summary.followUps': 'תורי מעקב',
+  'summary.warningSigns': 'פנו לעזרה מיד אם',
+  'summary.labValues': 'תוצאות בדיקות',
+  'summary.hint': 'לחצו על נקודה כדי לראות מאיפה היא מגיעה במסמך המקורי.',
+  'summary.showOriginal': 'הצגת הטקסט המקורי',
+  'summary.name': 'שם',
+  'summary.dose': 'מינון',
+  'summary.frequency': 'באיזו תדירות',
+  'summary.duration': 'לכמה זמן',
+  'summary.instructions': 'הוראות',
+  'summary.test': 'בדיקה',
+  'summary.result': 'תוצאה',
+  'summary.normalRange': 'טווח תקין',
+  'summary.flag.high': 'גבוה',
+  'summary.flag.low': 'נמוך',
+  'summary.flag.abnormal': 'חריג',
+  'summary.flag.critical': 'קריטי',
+  'source.title': 'טקסט מקורי',
+  'source.close': 'סגירת הטקסט המקורי',
+  'source.page': 'עמוד {page}',
+  'source.document': 'מסמך',
+  'source.closestMatch': 'ההתאמה הקרובה ביותר',
+  'translation.original': 'מקור',
+
+  'medications.failed': 'לא ניתן היה ליצור לוח זמנים לתרופות',
+  'medications.loading': 'מחפשים את התרופות שלכם...',
+  'medications.none': 'לא נמצאו תרופות במסמך הזה.',
+  'medications.print': 'הדפסה',
+  'medications.calendar': 'הוספה ליומן',
+  'medications.asNeeded': 'רק לפי הצורך',
+  'medications.unscheduled': 'שאלו את הרופא או הרוקח מתי ליטול',
+
+  'readAloud.play': 'הפעלה',
+  'readAloud.pause': 'השהיה',
+  'readAloud.resume': 'המשך',
+  'readAloud.stop': 'עצירה',
+  'readAloud.speed': 'מהירות',
+  'readAloud.download': 'הורדת שמע',
+  'readAloud.unsupported': 'הדפדפן הזה לא יכול להקריא. הורידו את השמע במקום.',
+  'readAloud.noVoice': 'אין במכשיר הזה קול ב{language}, ולכן ייתכן שזה לא יישמע נכון. הורידו את השמע במקום.',
+
+  'chat.hint': 'שאלו על המסמך הזה. התשובות מתבססות רק על מה שכתוב במסמך - הן לא מחליפות את הרופא.',
+  'chat.placeholder': 'למשל: מתי לקחת את התרופה?',
+  'chat.send': 'שאלה',
+  'chat.thinking': 'מחפשים במסמך שלכם...',
+  'chat.failed': 'לא ניתן היה לענות על השאלה',
+  'chat.urgent': 'ייתכן שנדרש טיפול מיידי. פנו לרופא עכשיו, או התקשרו למספר החירום המקומי אם המצב חמור.',
+  'chat.notInDocument': 'המסמך שלכם לא אומר את זה',
+  'chat.showSources': 'מאיפה זה מגיע',
+
+  'history.title': 'המסמכים שלך',
+  'history.patientTitle': 'המסמכים של {name}',
+  'history.close': 'סגירת {title}',
+  'history.loading': 'טוען...',
+  'history.empty': 'מסמכים שאתם שולחים נשמרים כאן כדי שתוכלו לקרוא אותם שוב.',
+  'history.patientEmpty': 'ל{name} עדיין אין מסמכים.',
+  'history.delete': 'מחיקה',
+  'history.deleteLabel': 'מחיקת {fileName}',
+  'history.deleteAll': 'מחיקת כל המסמכים שלי',
+  'history.deleteConfirm': 'למחוק את "{fileName}" ואת הסיכום שלו? אי אפשר לבטל את זה.',
+  'history.deleteAllConfirm': 'למחוק מהשרת את כל המסמכים והסיכומים שלכם? אי אפשר לבטל את זה.',
+  'history.loadFailed': 'לא ניתן היה לטעון את המסמכים שלכם',
+  'history.deleteFailed': 'המחיקה נכשלה',
+
+  'account.signedInAs': 'מחובר/ת בתור {email}',
+  'account.caregiversTitle': 'מי יכול לראות את המסמכים שלך',
+  'account.caregiversHint': 'הוסיפו בן משפחה או מטפל לפי כתובת האימייל של החשבון שלו.',
+  'account.remove': 'הסרה',
+  'account.removeConfirm': '{name} לא יוכל/תוכל עוד לראות את המסמכים שלכם. להמשיך?',
+  'account.caregiverEmail': 'האימייל של המטפל',
+  'account.add': 'הוספה',
+  'account.sharedTitle': 'משותפים איתך',
+  'account.viewDocuments': 'צפייה במסמכים',
+  'account.signOut': 'התנתקות',
+  'account.loadCaregiversFailed': 'לא ניתן היה לטעון את המטפלים',
+  'account.loadPatientsFailed': 'לא ניתן היה לטעון את המטופלים',
+  'account.addCaregiverFailed': 'לא ניתן היה להוסיף את המטפל',
+  'account.removeCaregiverFailed': 'לא ניתן היה להסיר את המטפל',
+
+  'login.signIn': 'התחברות',
+  'login.createTitle': 'יצירת חשבון',
+  'login.createAccount': 'יצירת חשבון',
+  'login.haveAccount': 'כבר יש לי חשבון',
+  'login.name': 'שם',
+  'login.email': 'אימייל',
+  'login.password': 'סיסמה',
+  'login.failed': 'ההתחברות נכשלה'
+}
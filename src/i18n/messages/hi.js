@@ -0,0 +1,196 @@
+// Hindi texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'आपका स्वास्थ्य अनुवादक',
+  'app.changeLanguage': 'ऐप की भाषा बदलें',
+  'app.darkMode': 'डार्क मोड',
+  'picker.title': 'अपनी भाषा चुनें',
+  'picker.hint': 'आप इसे बाद में ऊपर दिए भाषा बटन से बदल सकते हैं।',
+  'picker.close': 'बंद करें',
+
+  'upload.button': 'दस्तावेज़ या फ़ोटो अपलोड करें',
+  'upload.documents': { one: '{count} दस्तावेज़', other: '{count} दस्तावेज़' },
+  'upload.photos': { one: '{count} फ़ोटो', other: '{count} फ़ोटो' },
+  'upload.submit': 'भेजें',
+  'upload.processing': 'प्रोसेस हो रहा है...',
+  'upload.photosQuestion': 'ये फ़ोटो क्या हैं?',
+  'upload.pagesOfOne': 'एक ही दस्तावेज़ के पन्ने',
+  'upload.separate': 'अलग-अलग दस्तावेज़',
+  'upload.noScans': 'स्कैन किए गए PDF यहाँ नहीं पढ़े जा सकते - केवल चुनने योग्य टेक्स्ट वाले PDF।',
+  'mode.question': 'आपको क्या चाहिए?',
+  'mode.summary': 'सारांश',
+  'mode.translation': 'पूरा अनुवाद',
+  'readingLevel.question': 'कितना आसान होना चाहिए?',
+  'readingLevel.grade4': 'बहुत आसान',
+  'readingLevel.grade8': 'आसान',
+  'readingLevel.clinical': 'चिकित्सकीय',
+  'language.question': 'किस भाषा में अनुवाद करें?',
+  'language.choose': 'चुनें',
+
+  'job.processing': 'आपका दस्तावेज़ प्रोसेस हो रहा है...',
+  'job.cancel': 'रद्द करें',
+  'job.cancelled': 'प्रोसेसिंग रद्द कर दी गई।',
+  'stage.uploaded': 'अपलोड हुआ',
+  'stage.parsing': 'दस्तावेज़ पढ़ा जा रहा है',
+  'stage.parsingBatch': 'दस्तावेज़ पढ़े जा रहे हैं',
+  'stage.summarizing': 'सारांश लिखा जा रहा है',
+  'stage.summarizingBatch': 'सारांश लिखे जा रहे हैं',
+  'stage.translating': 'अनुवाद हो रहा है',
+  'stage.combining': 'सारांश जोड़े जा रहे हैं',
+  'stage.done': 'पूरा हुआ',
+
+  'error.prefix': 'त्रुटि: {message}',
+  'error.noFile': 'कृपया पहले एक फ़ाइल चुनें',
+  'error.noLanguage': 'कृपया पहले एक भाषा चुनें',
+  'error.unsupportedFile': '{fileName} यहाँ नहीं पढ़ी जा सकती। पढ़ी जा सकने वाली फ़ाइलें: {types}',
+  'error.batchTranslation': 'कई दस्तावेज़ों का केवल एक साथ सारांश बन सकता है। एक बार में एक दस्तावेज़ का अनुवाद करें।',
+  'error.processFailed': 'दस्तावेज़ प्रोसेस नहीं हो सका',
+  'error.serverStatus': 'सर्वर त्रुटि: {status} {statusText}',
+  'error.generic': 'दस्तावेज़ प्रोसेस करते समय एक त्रुटि हुई',
+  'error.cannotConnect': 'सर्वर से कनेक्ट नहीं हो पा रहा। कृपया जाँचें कि सर्वर {url} पर चल रहा है',
+  'error.connectionLost': 'दस्तावेज़ प्रोसेस होते समय सर्वर से कनेक्शन टूट गया',
+  'error.openFailed': 'दस्तावेज़ खोला नहीं जा सका',
+
+  'result.summaryTab': 'सारांश ({language})',
+  'result.translationTab': 'पूरा अनुवाद ({language})',
+  'result.medicationsTab': 'दवा का समय',
+  'result.listenTab': 'ज़ोर से पढ़ें',
+  'result.chatTab': 'सवाल पूछें',
+  'result.placeholder': 'अनुवादित सारांश यहाँ दिखेगा...',
+  'result.emptyTitle': 'सारांश',
+  'result.emptyPlaceholder': 'अनुवादित सारांश यहाँ देखने के लिए एक दस्तावेज़ अपलोड करें और भाषा चुनें...',
+  'documents.label': 'दस्तावेज़',
+  'documents.all': 'सभी दस्तावेज़ ({count})',
+
+  'languageNotice.documentLanguage': 'दस्तावेज़ की भाषा:',
+  'languageNotice.same': 'यह दस्तावेज़ पहले से ही आपकी चुनी हुई भाषा {language} में लगता है। अगर आप इसे किसी दूसरी भाषा में चाहते थे, तो दूसरी भाषा चुनें।',
+  'languageNotice.partly': 'इस दस्तावेज़ के कुछ हिस्से पहले से ही आपकी चुनी हुई भाषा {language} में हैं - उन हिस्सों को वैसे ही रखा गया है।',
+  'ocr.hardToRead': {
+    one: 'आपकी फ़ोटो के कुछ हिस्से पढ़ने में मुश्किल थे ({confidence}% भरोसा), इसलिए कुछ शब्द या अंक गलत हो सकते हैं। नतीजे को अपने कागज़ों से मिलाएँ, या फ़ोटो को सीधा रखकर, अच्छी रोशनी में और साफ़ फ़ोकस के साथ दोबारा लें।',
+    other: 'आपकी फ़ोटो के कुछ हिस्से पढ़ने में मुश्किल थे ({confidence}% भरोसा), इसलिए कुछ शब्द या अंक गलत हो सकते हैं। नतीजे को अपने कागज़ों से मिलाएँ, या फ़ोटो को सीधा रखकर, अच्छी रोशनी में और साफ़ फ़ोकस के साथ दोबारा लें।'
+  },
+  'ocr.hardest': 'सबसे मुश्किल से पढ़ी गईं: {pages}',
+  'ocr.page': 'फ़ोटो {page} ({fileName})',
+  'numericCheck.flagged': 'कुछ अंक आपके दस्तावेज़ से मेल नहीं खाते। वे नीचे हाइलाइट किए गए हैं - इन्हें अपने डॉक्टर या फ़ार्मासिस्ट से जाँच लें:',
+  'numericCheck.documentSays': 'दस्तावेज़ में {expected} लिखा है',
+  'numericCheck.notFound': 'दस्तावेज़ में नहीं मिला',
+  'numericCheck.missing': 'आपके दस्तावेज़ की वे खुराकें जिनका यहाँ ज़िक्र नहीं है: {values}',
+  'numericCheck.checkValue': 'यह मान जाँचें - दस्तावेज़ में {expected} लिखा है',
+  'numericCheck.checkMissing': 'यह मान जाँचें - यह दस्तावेज़ में नहीं मिला',
+  'termCheck.title': 'कुछ ज़रूरी शब्द बदल गए हों या छूट गए हों, ऐसा हो सकता है। इन्हें अपने मूल दस्तावेज़ से मिलाएँ:',
+  'termCheck.dropped': 'छूट गया',
+  'termCheck.untranslated': 'शब्दावली के अनुसार अनुवाद नहीं हुआ',
+  'termCheck.dosage': 'खुराक बदली हुई या गायब',
+  'termCheck.expected': 'अपेक्षित "{expected}"',
+  'readingLevelNote.label': 'पढ़ने का स्तर:',
+  'readingLevelNote.grade4': 'कक्षा 4',
+  'readingLevelNote.grade8': 'कक्षा 8',
+  'readingLevelNote.clinical': 'चिकित्सकीय',
+  'readingLevelNote.measured': 'कक्षा {grade} के स्तर पर मापा गया ({formula})',
+  'readingLevelNote.above': 'अब भी कक्षा {grade} से ऊपर है, कुछ हिस्से पढ़ने में मुश्किल हो सकते हैं',
+
+  'alerts.title': 'महत्वपूर्ण सुरक्षा चेतावनियाँ',
+  'alerts.returnToEr': 'आपके दस्तावेज़ में बताया गया है कि आपातकालीन देखभाल कब लेनी है। अगर आपको इनमें से कोई भी लक्षण हो तो आपातकालीन विभाग जाएँ या आपातकालीन नंबर पर कॉल करें।',
+  'alerts.warningSigns': 'अगर आपको इनमें से कोई भी लक्षण हो तो तुरंत अपने डॉक्टर से संपर्क करें।',
+  'alerts.criticalLab': 'गंभीर लैब परिणाम: {name} {value}। आज ही अपने डॉक्टर से संपर्क करें।',
+  'alerts.allergy': 'एलर्जी: {substance}। हर डॉक्टर और फ़ार्मासिस्ट को बताएँ।',
+  'alerts.allergyConflict': 'आपको {substance} से एलर्जी है, लेकिन आपके दस्तावेज़ में {medication} है। लेने से पहले अपने डॉक्टर या फ़ार्मासिस्ट से पूछें।',
+  'alerts.interaction': '{first} और {second} साथ में खतरनाक हो सकते हैं ({risk})। लेने से पहले अपने डॉक्टर या फ़ार्मासिस्ट से पूछें।',
+  'alerts.risk.bleeding': 'गंभीर रक्तस्राव',
+  'alerts.risk.lowBloodPressure': 'बहुत कम रक्तचाप',
+  'alerts.risk.serotoninSyndrome': 'सेरोटोनिन सिंड्रोम',
+  'alerts.risk.breathing': 'धीमी या रुकी हुई साँस',
+  'alerts.risk.toxicity': 'दवा का विषैला स्तर',
+  'alerts.risk.highPotassium': 'उच्च पोटैशियम',
+  'alerts.risk.muscleDamage': 'मांसपेशियों को नुकसान',
+  'alerts.note': 'ये चेतावनियाँ अपने आप पहचानी जाती हैं और कुछ छूट सकता है। अगर आप बहुत अस्वस्थ महसूस करें, तो आपातकालीन नंबर पर कॉल करें।',
+  'summary.overview': 'सारांश',
+  'summary.diagnoses': 'निदान',
+  'summary.medications': 'दवाइयाँ',
+  'summary.followUps': 'आगे की मुलाकातें',
+  'summary.warningSigns': 'तुरंत मदद लें अगर',
+  'summary.labValues': 'जाँच के नतीजे',
+  'summary.hint': 'कोई बिंदु क्लिक करें ताकि देख सकें कि वह मूल दस्तावेज़ में कहाँ से आया है।',
+  'summary.showOriginal': 'मूल पाठ दिखाएँ',
+  'summary.name': 'नाम',
+  'summary.dose': 'खुराक',
+  'summary.frequency': 'कितनी बार',
+  'summary.duration': 'कितने समय तक',
+  'summary.instructions': 'निर्देश',
+  'summary.test': 'जाँच',
+  'summary.result': 'नतीजा',
+  'summary.normalRange': 'सामान्य सीमा',
+  'summary.flag.high': 'ज़्यादा',
+  'summary.flag.low': 'कम',
+  'summary.flag.abnormal': 'असामान्य',
+  'summary.flag.critical': 'गंभीर',
+  'source.title': 'मूल पाठ',
+  'source.close': 'मूल पाठ बंद करें',
+  'source.page': 'पृष्ठ {page}',
+  'source.document': 'दस्तावेज़',
+  'source.closestMatch': 'सबसे मिलता-जुलता हिस्सा',
+  'translation.original': 'मूल',
+
+  'medications.failed': 'दवा का समय नहीं बन सका',
+  'medications.loading': 'आपकी दवाइयाँ ढूँढी जा रही हैं...',
+  'medications.none': 'इस दस्तावेज़ में कोई दवा नहीं मिली।',
+  'medications.print': 'प्रिंट करें',
+  'medications.calendar': 'कैलेंडर में जोड़ें',
+  'medications.asNeeded': 'सिर्फ़ ज़रूरत पड़ने पर',
+  'medications.unscheduled': 'कब लेनी है, यह अपने डॉक्टर या फ़ार्मासिस्ट से पूछें',
+
+  'readAloud.play': 'चलाएँ',
+  'readAloud.pause': 'रोकें',
+  'readAloud.resume': 'जारी रखें',
+  'readAloud.stop': 'बंद करें',
+  'readAloud.speed': 'गति',
+  'readAloud.download': 'ऑडियो डाउनलोड करें',
+  'readAloud.unsupported': 'यह ब्राउज़र ज़ोर से नहीं पढ़ सकता। इसके बजाय ऑडियो डाउनलोड करें।',
+  'readAloud.noVoice': 'इस डिवाइस में {language} की आवाज़ नहीं है, इसलिए यह ठीक न सुनाई दे। इसके बजाय ऑडियो डाउनलोड करें।',
+
+  'chat.hint': 'इस दस्तावेज़ के बारे में पूछें। जवाब सिर्फ़ आपके दस्तावेज़ में लिखी बातों पर आधारित हैं - ये आपके डॉक्टर की जगह नहीं लेते।',
+  'chat.placeholder': 'जैसे: मुझे दवा कब लेनी है?',
+  'chat.send': 'पूछें',
+  'chat.thinking': 'आपके दस्तावेज़ में खोज रहे हैं...',
+  'chat.failed': 'आपके सवाल का जवाब नहीं दिया जा सका',
+  'chat.urgent': 'इसके लिए तुरंत देखभाल की ज़रूरत हो सकती है। अभी अपने डॉक्टर से संपर्क करें, या गंभीर हो तो स्थानीय आपातकालीन नंबर पर कॉल करें।',
+  'chat.notInDocument': 'आपके दस्तावेज़ में यह नहीं लिखा है',
+  'chat.showSources': 'यह कहाँ से लिया गया है',
+
+  'history.title': 'आपके दस्तावेज़',
+  'history.patientTitle': '{name} के दस्तावेज़',
+  'history.close': '{title} बंद करें',
+  'history.loading': 'लोड हो रहा है...',
+  'history.empty': 'आपके भेजे गए दस्तावेज़ यहाँ रखे जाते हैं ताकि आप उन्हें फिर से पढ़ सकें।',
+  'history.patientEmpty': '{name} के पास अभी कोई दस्तावेज़ नहीं है।',
+  'history.delete': 'हटाएँ',
+  'history.deleteLabel': '{fileName} हटाएँ',
+  'history.deleteAll': 'मेरे सभी दस्तावेज़ हटाएँ',
+  'history.deleteConfirm': '"{fileName}" और उसका सारांश हटाएँ? यह वापस नहीं होगा।',
+  'history.deleteAllConfirm': 'सर्वर से अपने सभी दस्तावेज़ और सारांश हटाएँ? यह वापस नहीं होगा।',
+  'history.loadFailed': 'आपके दस्तावेज़ लोड नहीं हो सके',
+  'history.deleteFailed': 'हटाया नहीं जा सका',
+
+  'account.signedInAs': '{email} के रूप में साइन इन',
+  'account.caregiversTitle': 'आपके दस्तावेज़ कौन देख सकता है',
+  'account.caregiversHint': 'किसी परिवार के सदस्य या देखभाल करने वाले को उनके खाते के ईमेल से जोड़ें।',
+  'account.remove': 'हटाएँ',
+  'account.removeConfirm': '{name} अब आपके दस्तावेज़ नहीं देख पाएँगे। जारी रखें?',
+  'account.caregiverEmail': 'देखभाल करने वाले का ईमेल',
+  'account.add': 'जोड़ें',
+  'account.sharedTitle': 'आपके साथ साझा',
+  'account.viewDocuments': 'दस्तावेज़ देखें',
+  'account.signOut': 'साइन आउट',
+  'account.loadCaregiversFailed': 'देखभाल करने वाले लोड नहीं हो सके',
+  'account.loadPatientsFailed': 'मरीज़ लोड नहीं हो सके',
+  'account.addCaregiverFailed': 'देखभाल करने वाले को जोड़ा नहीं जा सका',
+  'account.removeCaregiverFailed': 'देखभाल करने वाले को हटाया नहीं जा सका',
+
+  'login.signIn': 'साइन इन करें',
+  'login.createTitle': 'खाता बनाएँ',
+  'login.createAccount': 'खाता बनाएँ',
+  'login.haveAccount': 'मेरा पहले से खाता है',
+  'login.name': 'नाम',
+  'login.email': 'ईमेल',
+  'login.password': 'पासवर्ड',
+  'login.failed': 'साइन इन नहीं हो सका'
+}
@@ -0,0 +1,196 @@
+// Italian texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Il tuo traduttore per la salute',
+  'app.changeLanguage': "Cambia la lingua dell'app",
+  'app.darkMode': 'Modalità scura',
+  'picker.title': 'Scegli la tua lingua',
+  'picker.hint': 'Potrai cambiarla in seguito con il pulsante della lingua in alto.',
+  'picker.close': 'Chiudi',
+
+  'upload.button': 'Carica documenti o foto',
+  'upload.documents': { one: '{count} documento', other: '{count} documenti' },
+  'upload.photos': { one: '{count} foto', other: '{count} foto' },
+  'upload.submit': 'Invia',
+  'upload.processing': 'Elaborazione...',
+  'upload.photosQuestion': 'Cosa sono queste foto?',
+  'upload.pagesOfOne': 'Pagine di un solo documento',
+  'upload.separate': 'Documenti separati',
+  'upload.noScans': 'Qui non è possibile leggere PDF scansionati, solo PDF con testo selezionabile.',
+  'mode.question': 'Di cosa hai bisogno?',
+  'mode.summary': 'Riassunto',
+  'mode.translation': 'Traduzione completa',
+  'readingLevel.question': 'Quanto deve essere semplice?',
+  'readingLevel.grade4': 'Molto semplice',
+  'readingLevel.grade8': 'Semplice',
+  'readingLevel.clinical': 'Clinico',
+  'language.question': 'In quale lingua tradurre?',
+  'language.choose': 'scegli',
+
+  'job.processing': 'Elaborazione del documento...',
+  'job.cancel': 'Annulla',
+  'job.cancelled': "L'elaborazione è stata annullata.",
+  'stage.uploaded': 'Caricato',
+  'stage.parsing': 'Lettura del documento',
+  'stage.parsingBatch': 'Lettura dei documenti',
+  'stage.summarizing': 'Scrittura del riassunto',
+  'stage.summarizingBatch': 'Scrittura dei riassunti',
+  'stage.translating': 'Traduzione',
+  'stage.combining': 'Unione dei riassunti',
+  'stage.done': 'Fatto',
+
+  'error.prefix': 'Errore: {message}',
+  'error.noFile': 'Seleziona prima un file',
+  'error.noLanguage': 'Seleziona prima una lingua',
+  'error.unsupportedFile': '{fileName} non può essere letto qui. File leggibili: {types}',
+  'error.batchTranslation': 'Più documenti possono solo essere riassunti insieme. Traduci un documento alla volta.',
+  'error.processFailed': 'Impossibile elaborare il documento',
+  'error.serverStatus': 'Errore del server: {status} {statusText}',
+  'error.generic': "Si è verificato un errore durante l'elaborazione del documento",
+  'error.cannotConnect': 'Impossibile connettersi al server. Verifica che il server sia attivo su {url}',
+  'error.connectionLost': "Connessione al server persa durante l'elaborazione del documento",
+  'error.openFailed': 'Impossibile aprire il documento',
+
+  'result.summaryTab': 'Riassunto ({language})',
+  'result.translationTab': 'Traduzione completa ({language})',
+  'result.medicationsTab': 'Orario dei farmaci',
+  'result.listenTab': 'Leggi ad alta voce',
+  'result.chatTab': 'Fai una domanda',
+  'result.placeholder': 'Il riassunto tradotto apparirà qui...',
+  'result.emptyTitle': 'Riassunto',
+  'result.emptyPlaceholder': 'Carica un documento e scegli una lingua per vedere qui il riassunto tradotto...',
+  'documents.label': 'Documenti',
+  'documents.all': 'Tutti i documenti ({count})',
+
+  'languageNotice.documentLanguage': 'Lingua del documento:',
+  'languageNotice.same': 'Questo documento sembra già essere in {language}, la lingua che hai scelto. Scegli un\'altra lingua se lo volevi in una diversa.',
+  'languageNotice.partly': 'Alcune parti di questo documento sono già in {language}, la lingua che hai scelto - sono state lasciate così come sono.',
+  'ocr.hardToRead': {
+    one: 'Alcune parti della foto erano difficili da leggere ({confidence}% di affidabilità), quindi alcune parole o numeri potrebbero essere sbagliati. Confronta il risultato con i tuoi documenti, oppure rifai la foto in piano, con buona luce e a fuoco.',
+    other: 'Alcune parti delle foto erano difficili da leggere ({confidence}% di affidabilità), quindi alcune parole o numeri potrebbero essere sbagliati. Confronta il risultato con i tuoi documenti, oppure rifai le foto in piano, con buona luce e a fuoco.'
+  },
+  'ocr.hardest': 'Più difficili da leggere: {pages}',
+  'ocr.page': 'foto {page} ({fileName})',
+  'numericCheck.flagged': 'Alcuni numeri non corrispondono al tuo documento. Sono evidenziati qui sotto - verificali con il tuo medico o farmacista:',
+  'numericCheck.documentSays': 'il documento riporta {expected}',
+  'numericCheck.notFound': 'non trovato nel documento',
+  'numericCheck.missing': 'Dosi del tuo documento non menzionate qui: {values}',
+  'numericCheck.checkValue': 'Verifica questo valore - il documento riporta {expected}',
+  'numericCheck.checkMissing': 'Verifica questo valore - non è stato trovato nel documento',
+  'termCheck.title': 'Alcuni termini importanti potrebbero essere stati cambiati o omessi. Confrontali con il documento originale:',
+  'termCheck.dropped': 'omesso',
+  'termCheck.untranslated': 'non tradotto come richiede il glossario',
+  'termCheck.dosage': 'dose cambiata o mancante',
+  'termCheck.expected': 'atteso "{expected}"',
+  'readingLevelNote.label': 'Livello di lettura:',
+  'readingLevelNote.grade4': 'Quarta elementare',
+  'readingLevelNote.grade8': 'Terza media',
+  'readingLevelNote.clinical': 'Clinico',
+  'readingLevelNote.measured': 'misurato al livello {grade} ({formula})',
+  'readingLevelNote.above': 'ancora sopra il livello {grade}, alcune parti potrebbero essere difficili da leggere',
+
+  'alerts.title': 'Avvisi di sicurezza importanti',
+  'alerts.returnToEr': 'Il documento indica quando chiedere cure di emergenza. Vai al pronto soccorso o chiama il numero di emergenza se hai uno di questi segni.',
+  'alerts.warningSigns': 'Contatta subito il medico se hai uno di questi segni.',
+  'alerts.criticalLab': 'Esame di laboratorio critico: {name} {value}. Contatta il medico oggi.',
+  'alerts.allergy': 'Allergia: {substance}. Dillo a ogni medico e farmacista.',
+  'alerts.allergyConflict': 'Sei allergico a {substance}, ma {medication} è nel tuo documento. Chiedi al medico o al farmacista prima di prenderlo.',
+  'alerts.interaction': '{first} e {second} possono essere pericolosi insieme ({risk}). Chiedi al medico o al farmacista prima di prenderli.',
+  'alerts.risk.bleeding': 'sanguinamento grave',
+  'alerts.risk.lowBloodPressure': 'pressione sanguigna molto bassa',
+  'alerts.risk.serotoninSyndrome': 'sindrome serotoninergica',
+  'alerts.risk.breathing': 'respiro rallentato o fermo',
+  'alerts.risk.toxicity': 'livelli tossici del farmaco',
+  'alerts.risk.highPotassium': 'potassio alto',
+  'alerts.risk.muscleDamage': 'danno muscolare',
+  'alerts.note': 'Questi avvisi sono rilevati automaticamente e possono essere incompleti. Se stai molto male, chiama il numero di emergenza.',
+  'summary.overview': 'Panoramica',
+  'summary.diagnoses': 'Diagnosi',
+  'summary.medications': 'Farmaci',
+  'summary.followUps': 'Visite di controllo',
+  'summary.warningSigns': 'Chiedi subito aiuto se',
+  'summary.labValues': 'Esami di laboratorio',
+  'summary.hint': 'Fai clic su un punto per vedere da dove viene nel documento originale.',
+  'summary.showOriginal': 'Mostra il testo originale',
+  'summary.name': 'Nome',
+  'summary.dose': 'Dose',
+  'summary.frequency': 'Quante volte',
+  'summary.duration': 'Per quanto tempo',
+  'summary.instructions': 'Istruzioni',
+  'summary.test': 'Esame',
+  'summary.result': 'Risultato',
+  'summary.normalRange': 'Valori normali',
+  'summary.flag.high': 'alto',
+  'summary.flag.low': 'basso',
+  'summary.flag.abnormal': 'anomalo',
+  'summary.flag.critical': 'critico',
+  'source.title': 'Testo originale',
+  'source.close': 'Chiudi il testo originale',
+  'source.page': 'Pagina {page}',
+  'source.document': 'Documento',
+  'source.closestMatch': 'corrispondenza più vicina',
+  'translation.original': 'Originale',
+
+  'medications.failed': "Impossibile creare l'orario dei farmaci",
+  'medications.loading': 'Ricerca dei tuoi farmaci...',
+  'medications.none': 'Nessun farmaco trovato in questo documento.',
+  'medications.print': 'Stampa',
+  'medications.calendar': 'Aggiungi al calendario',
+  'medications.asNeeded': 'Solo al bisogno',
+  'medications.unscheduled': 'Chiedi al medico o al farmacista quando prenderli',
+
+  'readAloud.play': 'Riproduci',
+  'readAloud.pause': 'Pausa',
+  'readAloud.resume': 'Riprendi',
+  'readAloud.stop': 'Ferma',
+  'readAloud.speed': 'Velocità',
+  'readAloud.download': "Scarica l'audio",
+  'readAloud.unsupported': "Questo browser non può leggere ad alta voce. Scarica invece l'audio.",
+  'readAloud.noVoice': "Questo dispositivo non ha una voce in {language}, quindi potrebbe non suonare bene. Scarica invece l'audio.",
+
+  'chat.hint': 'Chieda informazioni su questo documento. Le risposte usano solo ciò che dice il documento - non sostituiscono il medico.',
+  'chat.placeholder': 'es. Quando devo prendere la medicina?',
+  'chat.send': 'Chiedi',
+  'chat.thinking': 'Ricerca nel documento...',
+  'chat.failed': 'Impossibile rispondere alla domanda',
+  'chat.urgent': 'Potrebbe servire assistenza immediata. Contatti subito il medico o chiami il numero di emergenza locale se è grave.',
+  'chat.notInDocument': 'Il documento non lo dice',
+  'chat.showSources': 'Da dove viene',
+
+  'history.title': 'I tuoi documenti',
+  'history.patientTitle': 'Documenti di {name}',
+  'history.close': 'Chiudi {title}',
+  'history.loading': 'Caricamento...',
+  'history.empty': 'I documenti che invii vengono conservati qui, così puoi rileggerli.',
+  'history.patientEmpty': '{name} non ha ancora documenti.',
+  'history.delete': 'Elimina',
+  'history.deleteLabel': 'Elimina {fileName}',
+  'history.deleteAll': 'Elimina tutti i miei documenti',
+  'history.deleteConfirm': 'Eliminare "{fileName}" e il suo riassunto? L\'operazione non si può annullare.',
+  'history.deleteAllConfirm': 'Eliminare dal server tutti i tuoi documenti e riassunti? L\'operazione non si può annullare.',
+  'history.loadFailed': 'Impossibile caricare i tuoi documenti',
+  'history.deleteFailed': 'Impossibile eliminare',
+
+  'account.signedInAs': 'Accesso eseguito come {email}',
+  'account.caregiversTitle': 'Chi può vedere i tuoi documenti',
+  'account.caregiversHint': "Aggiungi un familiare o un assistente con l'email del suo account.",
+  'account.remove': 'Rimuovi',
+  'account.removeConfirm': '{name} non potrà più vedere i tuoi documenti. Continuare?',
+  'account.caregiverEmail': "Email dell'assistente",
+  'account.add': 'Aggiungi',
+  'account.sharedTitle': 'Condivisi con te',
+  'account.viewDocuments': 'Vedi i documenti',
+  'account.signOut': 'Esci',
+  'account.loadCaregiversFailed': 'Impossibile caricare gli assistenti',
+  'account.loadPatientsFailed': 'Impossibile caricare i pazienti',
+  'account.addCaregiverFailed': "Impossibile aggiungere l'assistente",
+  'account.removeCaregiverFailed': "Impossibile rimuovere l'assistente",
+
+  'login.signIn': 'Accedi',
+  'login.createTitle': 'Crea un account',
+  'login.createAccount': 'Crea account',
+  'login.haveAccount': 'Ho già un account',
+  'login.name': 'Nome',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.failed': 'Accesso non riuscito'
+}
@@ -0,0 +1,195 @@
+// Japanese texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'あなたの医療翻訳アシスタント',
+  'app.changeLanguage': 'アプリの言語を変更',
+  'app.darkMode': 'ダークモード',
+  'picker.title': '言語を選んでください',
+  'picker.hint': 'あとで上部の言語ボタンから変更できます。',
+  'picker.close': '閉じる',
+
+  'upload.button': '書類や写真をアップロード',
+  'upload.documents': { other: '{count} 件の書類' },
+  'upload.photos': { other: '{count} 枚の写真' },
+  'upload.submit': '送信',
+  'upload.processing': '処理中...',
+  'upload.photosQuestion': 'これらの写真は何ですか？',
+  'upload.pagesOfOne': '1つの書類の各ページ',
+  'upload.separate': '別々の書類',
+  'upload.noScans': 'スキャンした PDF はここでは読み取れません。選択できるテキストを含む PDF のみ読み取れます。',
+  'mode.question': '何が必要ですか？',
+  'mode.summary': '要約',
+  'mode.translation': '全文翻訳',
+  'readingLevel.question': 'どのくらいやさしくしますか？',
+  'readingLevel.grade4': 'とてもやさしく',
+  'readingLevel.grade8': 'やさしく',
+  'readingLevel.clinical': '専門的に',
+  'language.question': '何語に翻訳しますか？',
+  'language.choose': '選ぶ',
+
+  'job.processing': '書類を処理しています...',
+  'job.cancel': 'キャンセル',
+  'job.cancelled': '処理はキャンセルされました。',
+  'stage.uploaded': 'アップロード済み',
+  'stage.parsing': '書類を読み取り中',
+  'stage.parsingBatch': '書類を読み取り中',
+  'stage.summarizing': '要約を作成中',
+  'stage.summarizingBatch': '各要約を作成中',
+  'stage.translating': '翻訳中',
+  'stage.combining': '要約をまとめています',
+  'stage.done': '完了',
+
+  'error.prefix': 'エラー: {message}',
+  'error.noFile': '先にファイルを選んでください',
+  'error.noLanguage': '先に言語を選んでください',
+  'error.unsupportedFile': '{fileName} はここでは読み取れません。読み取れるファイル：{types}',
+  'error.batchTranslation': '複数の書類はまとめて要約することしかできません。翻訳は1件ずつ行ってください。',
+  'error.processFailed': '書類を処理できませんでした',
+  'error.serverStatus': 'サーバーエラー: {status} {statusText}',
+  'error.generic': '書類の処理中にエラーが発生しました',
+  'error.cannotConnect': 'サーバーに接続できません。サーバーが {url} で動いているか確認してください',
+  'error.connectionLost': '書類の処理中にサーバーとの接続が切れました',
+  'error.openFailed': '書類を開けませんでした',
+
+  'result.summaryTab': '要約（{language}）',
+  'result.translationTab': '全文翻訳（{language}）',
+  'result.medicationsTab': '服薬スケジュール',
+  'result.listenTab': '読み上げ',
+  'result.chatTab': '質問する',
+  'result.placeholder': '翻訳された要約がここに表示されます...',
+  'result.emptyTitle': '要約',
+  'result.emptyPlaceholder': '書類をアップロードして言語を選ぶと、翻訳された要約がここに表示されます...',
+  'documents.label': '書類',
+  'documents.all': 'すべての書類（{count}）',
+
+  'languageNotice.documentLanguage': '書類の言語:',
+  'languageNotice.same': 'この書類はすでに、選択した言語の{language}で書かれているようです。別の言語にしたい場合は、ほかの言語を選んでください。',
+  'languageNotice.partly': 'この書類の一部はすでに、選択した言語の{language}で書かれています。その部分はそのままにしてあります。',
+  'ocr.hardToRead': {
+    other: '写真の一部が読み取りにくかったため（信頼度 {confidence}%）、言葉や数字が間違っている可能性があります。結果を書類と見比べるか、明るい場所で平らに置き、ピントを合わせて撮り直してください。'
+  },
+  'ocr.hardest': '特に読み取りにくい写真: {pages}',
+  'ocr.page': '写真 {page}（{fileName}）',
+  'numericCheck.flagged': '一部の数字が書類と一致しません。下で強調表示しているので、医師または薬剤師に確認してください:',
+  'numericCheck.documentSays': '書類では {expected}',
+  'numericCheck.notFound': '書類に見つかりません',
+  'numericCheck.missing': '書類にあるのにここに書かれていない用量: {values}',
+  'numericCheck.checkValue': 'この値を確認してください - 書類では {expected}',
+  'numericCheck.checkMissing': 'この値を確認してください - 書類に見つかりません',
+  'termCheck.title': '重要な用語が変わったり抜けたりしている可能性があります。元の書類と見比べてください:',
+  'termCheck.dropped': '抜けている',
+  'termCheck.untranslated': '用語集どおりに翻訳されていない',
+  'termCheck.dosage': '用量が変わっているか抜けている',
+  'termCheck.expected': '正しくは「{expected}」',
+  'readingLevelNote.label': '読みやすさ:',
+  'readingLevelNote.grade4': '小学4年生',
+  'readingLevelNote.grade8': '中学2年生',
+  'readingLevelNote.clinical': '専門的',
+  'readingLevelNote.measured': '測定結果は{grade}年生レベル（{formula}）',
+  'readingLevelNote.above': 'まだ{grade}年生レベルを超えていて、一部は読みにくいかもしれません',
+
+  'alerts.title': '重要な安全上の警告',
+  'alerts.returnToEr': 'この文書には、救急受診が必要な場合が書かれています。次のいずれかの症状があれば、救急外来を受診するか救急番号に電話してください。',
+  'alerts.warningSigns': '次のいずれかの症状があれば、すぐに医師に連絡してください。',
+  'alerts.criticalLab': '危険な検査値：{name} {value}。今日中に医師に連絡してください。',
+  'alerts.allergy': 'アレルギー：{substance}。すべての医師と薬剤師に伝えてください。',
+  'alerts.allergyConflict': '{substance}にアレルギーがありますが、文書に{medication}があります。服用する前に医師または薬剤師に相談してください。',
+  'alerts.interaction': '{first}と{second}を一緒に使うと危険な場合があります（{risk}）。服用する前に医師または薬剤師に相談してください。',
+  'alerts.risk.bleeding': '重い出血',
+  'alerts.risk.lowBloodPressure': '非常に低い血圧',
+  'alerts.risk.serotoninSyndrome': 'セロトニン症候群',
+  'alerts.risk.breathing': '呼吸が遅くなる・止まる',
+  'alerts.risk.toxicity': '薬の中毒濃度',
+  'alerts.risk.highPotassium': '高カリウム',
+  'alerts.risk.muscleDamage': '筋肉の障害',
+  'alerts.note': 'これらの警告は自動的に見つけたもので、見落としがあるかもしれません。とても具合が悪いときは救急番号に電話してください。',
+  'summary.overview': '概要',
+  'summary.diagnoses': '診断',
+  'summary.medications': 'お薬',
+  'summary.followUps': '次回の受診',
+  'summary.warningSigns': '次のような場合はすぐに助けを求めてください',
+  'summary.labValues': '検査結果',
+  'summary.hint': '項目をクリックすると、元の書類のどこに書かれているかを表示します。',
+  'summary.showOriginal': '原文を表示',
+  'summary.name': '名前',
+  'summary.dose': '用量',
+  'summary.frequency': '回数',
+  'summary.duration': '期間',
+  'summary.instructions': '飲み方',
+  'summary.test': '検査',
+  'summary.result': '結果',
+  'summary.normalRange': '基準値',
+  'summary.flag.high': '高い',
+  'summary.flag.low': '低い',
+  'summary.flag.abnormal': '異常',
+  'summary.flag.critical': '危険',
+  'source.title': '原文',
+  'source.close': '原文を閉じる',
+  'source.page': '{page} ページ',
+  'source.document': '書類',
+  'source.closestMatch': '最も近い箇所',
+  'translation.original': '原文',
+
+  'medications.failed': '服薬スケジュールを作成できませんでした',
+  'medications.loading': 'お薬を探しています...',
+  'medications.none': 'この書類にはお薬が見つかりませんでした。',
+  'medications.print': '印刷',
+  'medications.calendar': 'カレンダーに追加',
+  'medications.asNeeded': '必要なときだけ',
+  'medications.unscheduled': 'いつ飲むかは医師または薬剤師に確認してください',
+
+  'readAloud.play': '再生',
+  'readAloud.pause': '一時停止',
+  'readAloud.resume': '再開',
+  'readAloud.stop': '停止',
+  'readAloud.speed': '速さ',
+  'readAloud.download': '音声をダウンロード',
+  'readAloud.unsupported': 'このブラウザでは読み上げができません。音声をダウンロードしてください。',
+  'readAloud.noVoice': 'この端末には{language}の音声がないため、正しく聞こえないかもしれません。音声をダウンロードしてください。',
+
+  'chat.hint': 'この文書について質問できます。回答は文書に書かれている内容だけに基づいており、医師の代わりにはなりません。',
+  'chat.placeholder': '例：薬はいつ飲めばいいですか？',
+  'chat.send': '質問',
+  'chat.thinking': '文書を確認しています...',
+  'chat.failed': '質問に回答できませんでした',
+  'chat.urgent': 'すぐに受診が必要な可能性があります。今すぐ医師に連絡するか、深刻な場合は地域の救急番号に電話してください。',
+  'chat.notInDocument': '文書には書かれていません',
+  'chat.showSources': '出典を見る',
+
+  'history.title': 'あなたの書類',
+  'history.patientTitle': '{name} さんの書類',
+  'history.close': '{title}を閉じる',
+  'history.loading': '読み込み中...',
+  'history.empty': '送信した書類はここに保存され、あとで読み返せます。',
+  'history.patientEmpty': '{name} さんの書類はまだありません。',
+  'history.delete': '削除',
+  'history.deleteLabel': '{fileName} を削除',
+  'history.deleteAll': '自分の書類をすべて削除',
+  'history.deleteConfirm': '「{fileName}」とその要約を削除しますか？元に戻せません。',
+  'history.deleteAllConfirm': 'すべての書類と要約をサーバーから削除しますか？元に戻せません。',
+  'history.loadFailed': '書類を読み込めませんでした',
+  'history.deleteFailed': '削除できませんでした',
+
+  'account.signedInAs': '{email} でログイン中',
+  'account.caregiversTitle': 'あなたの書類を見られる人',
+  'account.caregiversHint': '家族や介護者を、その人のアカウントのメールアドレスで追加してください。',
+  'account.remove': '外す',
+  'account.removeConfirm': '{name} さんはあなたの書類を見られなくなります。続けますか？',
+  'account.caregiverEmail': '介護者のメールアドレス',
+  'account.add': '追加',
+  'account.sharedTitle': 'あなたと共有された書類',
+  'account.viewDocuments': '書類を見る',
+  'account.signOut': 'ログアウト',
+  'account.loadCaregiversFailed': '介護者を読み込めませんでした',
+  'account.loadPatientsFailed': '患者を読み込めませんでした',
+  'account.addCaregiverFailed': '介護者を追加できませんでした',
+  'account.removeCaregiverFailed': '介護者を外せませんでした',
+
+  'login.signIn': 'ログイン',
+  'login.createTitle': 'アカウントを作成',
+  'login.createAccount': 'アカウントを作成',
+  'login.haveAccount': 'すでにアカウントを持っています',
+  'login.name': '名前',
+  'login.email': 'メールアドレス',
+  'login.password': 'パスワード',
+  'login.failed': 'ログインできませんでした'
+}
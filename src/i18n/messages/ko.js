@@ -0,0 +1,195 @@
+// Korean texts of the web app - the keys are those of en.js
+export default {
+  'app.title': '나의 건강 번역기',
+  'app.changeLanguage': '앱 언어 변경',
+  'app.darkMode': '다크 모드',
+  'picker.title': '언어를 선택하세요',
+  'picker.hint': '나중에 위쪽의 언어 버튼으로 바꿀 수 있습니다.',
+  'picker.close': '닫기',
+
+  'upload.button': '문서나 사진 올리기',
+  'upload.documents': { other: '문서 {count}개' },
+  'upload.photos': { other: '사진 {count}장' },
+  'upload.submit': '제출',
+  'upload.processing': '처리 중...',
+  'upload.photosQuestion': '이 사진들은 무엇인가요?',
+  'upload.pagesOfOne': '한 문서의 여러 페이지',
+  'upload.separate': '서로 다른 문서',
+  'upload.noScans': '스캔한 PDF는 여기에서 읽을 수 없습니다. 선택 가능한 텍스트가 있는 PDF만 읽을 수 있습니다.',
+  'mode.question': '무엇이 필요하세요?',
+  'mode.summary': '요약',
+  'mode.translation': '전체 번역',
+  'readingLevel.question': '얼마나 쉽게 쓸까요?',
+  'readingLevel.grade4': '아주 쉽게',
+  'readingLevel.grade8': '쉽게',
+  'readingLevel.clinical': '전문 용어로',
+  'language.question': '어떤 언어로 번역할까요?',
+  'language.choose': '선택',
+
+  'job.processing': '문서를 처리하고 있습니다...',
+  'job.cancel': '취소',
+  'job.cancelled': '처리가 취소되었습니다.',
+  'stage.uploaded': '업로드됨',
+  'stage.parsing': '문서 읽는 중',
+  'stage.parsingBatch': '문서들 읽는 중',
+  'stage.summarizing': '요약 작성 중',
+  'stage.summarizingBatch': '요약들 작성 중',
+  'stage.translating': '번역 중',
+  'stage.combining': '요약 합치는 중',
+  'stage.done': '완료',
+
+  'error.prefix': '오류: {message}',
+  'error.noFile': '먼저 파일을 선택하세요',
+  'error.noLanguage': '먼저 언어를 선택하세요',
+  'error.unsupportedFile': '{fileName}은(는) 여기에서 읽을 수 없습니다. 읽을 수 있는 파일: {types}',
+  'error.batchTranslation': '여러 문서는 함께 요약만 할 수 있습니다. 번역은 한 번에 한 문서씩 하세요.',
+  'error.processFailed': '문서를 처리하지 못했습니다',
+  'error.serverStatus': '서버 오류: {status} {statusText}',
+  'error.generic': '문서를 처리하는 중 오류가 발생했습니다',
+  'error.cannotConnect': '서버에 연결할 수 없습니다. 서버가 {url} 에서 실행 중인지 확인하세요',
+  'error.connectionLost': '문서를 처리하는 중 서버와의 연결이 끊겼습니다',
+  'error.openFailed': '문서를 열지 못했습니다',
+
+  'result.summaryTab': '요약 ({language})',
+  'result.translationTab': '전체 번역 ({language})',
+  'result.medicationsTab': '복약 일정',
+  'result.listenTab': '소리 내어 읽기',
+  'result.chatTab': '질문하기',
+  'result.placeholder': '번역된 요약이 여기에 표시됩니다...',
+  'result.emptyTitle': '요약',
+  'result.emptyPlaceholder': '문서를 올리고 언어를 선택하면 번역된 요약이 여기에 표시됩니다...',
+  'documents.label': '문서',
+  'documents.all': '모든 문서 ({count})',
+
+  'languageNotice.documentLanguage': '문서 언어:',
+  'languageNotice.same': '이 문서는 이미 선택하신 언어인 {language}(으)로 되어 있는 것 같습니다. 다른 언어를 원하시면 다른 언어를 선택하세요.',
+  'languageNotice.partly': '이 문서의 일부는 이미 선택하신 언어인 {language}(으)로 되어 있어 그대로 두었습니다.',
+  'ocr.hardToRead': {
+    other: '사진의 일부를 읽기 어려웠습니다(신뢰도 {confidence}%). 일부 단어나 숫자가 틀릴 수 있습니다. 결과를 서류와 비교해 보시거나, 밝은 곳에서 평평하게 놓고 초점을 맞춰 다시 찍어 주세요.'
+  },
+  'ocr.hardest': '가장 읽기 어려운 사진: {pages}',
+  'ocr.page': '사진 {page} ({fileName})',
+  'numericCheck.flagged': '일부 숫자가 문서와 일치하지 않습니다. 아래에 표시되어 있으니 의사나 약사와 확인하세요:',
+  'numericCheck.documentSays': '문서에는 {expected}',
+  'numericCheck.notFound': '문서에서 찾을 수 없음',
+  'numericCheck.missing': '문서에 있지만 여기에는 없는 용량: {values}',
+  'numericCheck.checkValue': '이 값을 확인하세요 - 문서에는 {expected}',
+  'numericCheck.checkMissing': '이 값을 확인하세요 - 문서에서 찾을 수 없습니다',
+  'termCheck.title': '중요한 용어 일부가 바뀌었거나 빠졌을 수 있습니다. 원본 문서와 비교해 보세요:',
+  'termCheck.dropped': '빠짐',
+  'termCheck.untranslated': '용어집대로 번역되지 않음',
+  'termCheck.dosage': '용량이 바뀌었거나 없음',
+  'termCheck.expected': '예상: "{expected}"',
+  'readingLevelNote.label': '읽기 수준:',
+  'readingLevelNote.grade4': '초등 4학년',
+  'readingLevelNote.grade8': '중학 2학년',
+  'readingLevelNote.clinical': '전문',
+  'readingLevelNote.measured': '측정 결과 {grade}학년 수준 ({formula})',
+  'readingLevelNote.above': '아직 {grade}학년 수준보다 높아 일부는 읽기 어려울 수 있습니다',
+
+  'alerts.title': '중요한 안전 경고',
+  'alerts.returnToEr': '문서에 응급 진료가 필요한 경우가 적혀 있습니다. 다음 증상 중 하나라도 있으면 응급실에 가거나 응급 번호로 전화하세요.',
+  'alerts.warningSigns': '다음 증상 중 하나라도 있으면 즉시 의사에게 연락하세요.',
+  'alerts.criticalLab': '위험한 검사 결과: {name} {value}. 오늘 의사에게 연락하세요.',
+  'alerts.allergy': '알레르기: {substance}. 모든 의사와 약사에게 알리세요.',
+  'alerts.allergyConflict': '{substance}에 알레르기가 있지만 문서에 {medication}이(가) 있습니다. 복용하기 전에 의사나 약사에게 물어보세요.',
+  'alerts.interaction': '{first}와(과) {second}을(를) 함께 쓰면 위험할 수 있습니다({risk}). 복용하기 전에 의사나 약사에게 물어보세요.',
+  'alerts.risk.bleeding': '심한 출혈',
+  'alerts.risk.lowBloodPressure': '매우 낮은 혈압',
+  'alerts.risk.serotoninSyndrome': '세로토닌 증후군',
+  'alerts.risk.breathing': '느려지거나 멈추는 호흡',
+  'alerts.risk.toxicity': '약물 중독 수준',
+  'alerts.risk.highPotassium': '높은 칼륨',
+  'alerts.risk.muscleDamage': '근육 손상',
+  'alerts.note': '이 경고는 자동으로 찾은 것이라 빠진 것이 있을 수 있습니다. 몸이 매우 안 좋으면 응급 번호로 전화하세요.',
+  'summary.overview': '개요',
+  'summary.diagnoses': '진단',
+  'summary.medications': '약',
+  'summary.followUps': '추후 진료 예약',
+  'summary.warningSigns': '이럴 때는 바로 도움을 받으세요',
+  'summary.labValues': '검사 결과',
+  'summary.hint': '항목을 누르면 원본 문서에서 어디서 왔는지 볼 수 있습니다.',
+  'summary.showOriginal': '원문 보기',
+  'summary.name': '이름',
+  'summary.dose': '용량',
+  'summary.frequency': '얼마나 자주',
+  'summary.duration': '얼마 동안',
+  'summary.instructions': '복용 방법',
+  'summary.test': '검사',
+  'summary.result': '결과',
+  'summary.normalRange': '정상 범위',
+  'summary.flag.high': '높음',
+  'summary.flag.low': '낮음',
+  'summary.flag.abnormal': '이상',
+  'summary.flag.critical': '위험',
+  'source.title': '원문',
+  'source.close': '원문 닫기',
+  'source.page': '{page}쪽',
+  'source.document': '문서',
+  'source.closestMatch': '가장 비슷한 부분',
+  'translation.original': '원문',
+
+  'medications.failed': '복약 일정을 만들지 못했습니다',
+  'medications.loading': '약을 찾는 중...',
+  'medications.none': '이 문서에서 약을 찾지 못했습니다.',
+  'medications.print': '인쇄',
+  'medications.calendar': '캘린더에 추가',
+  'medications.asNeeded': '필요할 때만',
+  'medications.unscheduled': '언제 먹어야 하는지 의사나 약사에게 물어보세요',
+
+  'readAloud.play': '재생',
+  'readAloud.pause': '일시정지',
+  'readAloud.resume': '계속',
+  'readAloud.stop': '정지',
+  'readAloud.speed': '속도',
+  'readAloud.download': '오디오 다운로드',
+  'readAloud.unsupported': '이 브라우저는 소리 내어 읽을 수 없습니다. 오디오를 다운로드하세요.',
+  'readAloud.noVoice': '이 기기에는 {language} 음성이 없어 발음이 어색할 수 있습니다. 오디오를 다운로드하세요.',
+
+  'chat.hint': '이 문서에 대해 질문하세요. 답변은 문서에 적힌 내용만 사용하며 의사를 대신하지 않습니다.',
+  'chat.placeholder': '예: 약은 언제 먹나요?',
+  'chat.send': '질문',
+  'chat.thinking': '문서에서 찾는 중...',
+  'chat.failed': '질문에 답할 수 없습니다',
+  'chat.urgent': '즉시 진료가 필요할 수 있습니다. 지금 바로 의사에게 연락하거나, 심각한 경우 지역 응급 번호로 전화하세요.',
+  'chat.notInDocument': '문서에 나와 있지 않습니다',
+  'chat.showSources': '출처 보기',
+
+  'history.title': '내 문서',
+  'history.patientTitle': '{name} 님의 문서',
+  'history.close': '{title} 닫기',
+  'history.loading': '불러오는 중...',
+  'history.empty': '제출한 문서는 여기에 보관되어 다시 읽을 수 있습니다.',
+  'history.patientEmpty': '{name} 님은 아직 문서가 없습니다.',
+  'history.delete': '삭제',
+  'history.deleteLabel': '{fileName} 삭제',
+  'history.deleteAll': '내 문서 모두 삭제',
+  'history.deleteConfirm': '"{fileName}"과(와) 요약을 삭제할까요? 되돌릴 수 없습니다.',
+  'history.deleteAllConfirm': '서버에서 모든 문서와 요약을 삭제할까요? 되돌릴 수 없습니다.',
+  'history.loadFailed': '문서를 불러오지 못했습니다',
+  'history.deleteFailed': '삭제하지 못했습니다',
+
+  'account.signedInAs': '{email}(으)로 로그인됨',
+  'account.caregiversTitle': '내 문서를 볼 수 있는 사람',
+  'account.caregiversHint': '가족이나 보호자를 그 사람의 계정 이메일로 추가하세요.',
+  'account.remove': '제거',
+  'account.removeConfirm': '{name} 님은 더 이상 내 문서를 볼 수 없습니다. 계속할까요?',
+  'account.caregiverEmail': '보호자 이메일',
+  'account.add': '추가',
+  'account.sharedTitle': '나와 공유된 문서',
+  'account.viewDocuments': '문서 보기',
+  'account.signOut': '로그아웃',
+  'account.loadCaregiversFailed': '보호자 목록을 불러오지 못했습니다',
+  'account.loadPatientsFailed': '환자 목록을 불러오지 못했습니다',
+  'account.addCaregiverFailed': '보호자를 추가하지 못했습니다',
+  'account.removeCaregiverFailed': '보호자를 제거하지 못했습니다',
+
+  'login.signIn': '로그인',
+  'login.createTitle': '계정 만들기',
+  'login.createAccount': '계정 만들기',
+  'login.haveAccount': '이미 계정이 있습니다',
+  'login.name': '이름',
+  'login.email': '이메일',
+  'login.password': '비밀번호',
+  'login.failed': '로그인하지 못했습니다'
+}
@@ -0,0 +1,196 @@
+// Polish texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Twój tłumacz zdrowotny',
+  'app.changeLanguage': 'Zmień język aplikacji',
+  'app.darkMode': 'Tryb ciemny',
+  'picker.title': 'Wybierz swój język',
+  'picker.hint': 'Możesz go później zmienić przyciskiem języka na górze.',
+  'picker.close': 'Zamknij',
+
+  'upload.button': 'Prześlij dokumenty lub zdjęcia',
+  'upload.documents': { one: '{count} dokument', few: '{count} dokumenty', many: '{count} dokumentów', other: '{count} dokumentu' },
+  'upload.photos': { one: '{count} zdjęcie', few: '{count} zdjęcia', many: '{count} zdjęć', other: '{count} zdjęcia' },
+  'upload.submit': 'Wyślij',
+  'upload.processing': 'Przetwarzanie...',
+  'upload.photosQuestion': 'Czym są te zdjęcia?',
+  'upload.pagesOfOne': 'Strony jednego dokumentu',
+  'upload.separate': 'Osobne dokumenty',
+  'upload.noScans': 'Zeskanowanych plików PDF nie da się tu odczytać - tylko pliki PDF z zaznaczalnym tekstem.',
+  'mode.question': 'Czego potrzebujesz?',
+  'mode.summary': 'Podsumowanie',
+  'mode.translation': 'Pełne tłumaczenie',
+  'readingLevel.question': 'Jak prosto ma być napisane?',
+  'readingLevel.grade4': 'Bardzo prosto',
+  'readingLevel.grade8': 'Prosto',
+  'readingLevel.clinical': 'Językiem medycznym',
+  'language.question': 'Na jaki język przetłumaczyć?',
+  'language.choose': 'wybierz',
+
+  'job.processing': 'Przetwarzamy Twój dokument...',
+  'job.cancel': 'Anuluj',
+  'job.cancelled': 'Przetwarzanie zostało anulowane.',
+  'stage.uploaded': 'Przesłano',
+  'stage.parsing': 'Czytanie dokumentu',
+  'stage.parsingBatch': 'Czytanie dokumentów',
+  'stage.summarizing': 'Pisanie podsumowania',
+  'stage.summarizingBatch': 'Pisanie podsumowań',
+  'stage.translating': 'Tłumaczenie',
+  'stage.combining': 'Łączenie podsumowań',
+  'stage.done': 'Gotowe',
+
+  'error.prefix': 'Błąd: {message}',
+  'error.noFile': 'Najpierw wybierz plik',
+  'error.noLanguage': 'Najpierw wybierz język',
+  'error.unsupportedFile': 'Nie można tu odczytać pliku {fileName}. Obsługiwane pliki: {types}',
+  'error.batchTranslation': 'Kilka dokumentów można tylko podsumować razem. Tłumacz jeden dokument naraz.',
+  'error.processFailed': 'Nie udało się przetworzyć dokumentu',
+  'error.serverStatus': 'Błąd serwera: {status} {statusText}',
+  'error.generic': 'Podczas przetwarzania dokumentu wystąpił błąd',
+  'error.cannotConnect': 'Nie można połączyć się z serwerem. Sprawdź, czy serwer działa pod adresem {url}',
+  'error.connectionLost': 'Połączenie z serwerem zostało przerwane podczas przetwarzania dokumentu',
+  'error.openFailed': 'Nie udało się otworzyć dokumentu',
+
+  'result.summaryTab': 'Podsumowanie ({language})',
+  'result.translationTab': 'Pełne tłumaczenie ({language})',
+  'result.medicationsTab': 'Harmonogram leków',
+  'result.listenTab': 'Czytaj na głos',
+  'result.chatTab': 'Zadaj pytanie',
+  'result.placeholder': 'Tutaj pojawi się przetłumaczone podsumowanie...',
+  'result.emptyTitle': 'Podsumowanie',
+  'result.emptyPlaceholder': 'Prześlij dokument i wybierz język, aby zobaczyć tutaj przetłumaczone podsumowanie...',
+  'documents.label': 'Dokumenty',
+  'documents.all': 'Wszystkie dokumenty ({count})',
+
+  'languageNotice.documentLanguage': 'Język dokumentu:',
+  'languageNotice.same': 'Ten dokument wydaje się już być w wybranym przez Ciebie języku ({language}). Wybierz inny język, jeśli chcesz go w innym.',
+  'languageNotice.partly': 'Części tego dokumentu są już w wybranym przez Ciebie języku ({language}) - pozostawiono je bez zmian.',
+  'ocr.hardToRead': {
+    one: 'Części zdjęcia były trudne do odczytania (pewność {confidence}%), więc niektóre słowa lub liczby mogą być błędne. Porównaj wynik z dokumentami albo zrób zdjęcie ponownie - na płasko, w dobrym świetle i ostro.',
+    other: 'Części zdjęć były trudne do odczytania (pewność {confidence}%), więc niektóre słowa lub liczby mogą być błędne. Porównaj wynik z dokumentami albo zrób zdjęcia ponownie - na płasko, w dobrym świetle i ostro.'
+  },
+  'ocr.hardest': 'Najtrudniejsze do odczytania: {pages}',
+  'ocr.page': 'zdjęcie {page} ({fileName})',
+  'numericCheck.flagged': 'Niektóre liczby nie zgadzają się z Twoim dokumentem. Są zaznaczone poniżej - sprawdź je z lekarzem lub farmaceutą:',
+  'numericCheck.documentSays': 'w dokumencie jest {expected}',
+  'numericCheck.notFound': 'nie ma tego w dokumencie',
+  'numericCheck.missing': 'Dawki z Twojego dokumentu, których tu nie wspomniano: {values}',
+  'numericCheck.checkValue': 'Sprawdź tę wartość - w dokumencie jest {expected}',
+  'numericCheck.checkMissing': 'Sprawdź tę wartość - nie ma jej w dokumencie',
+  'termCheck.title': 'Niektóre ważne terminy mogły zostać zmienione lub pominięte. Porównaj je z oryginalnym dokumentem:',
+  'termCheck.dropped': 'pominięty',
+  'termCheck.untranslated': 'nieprzetłumaczony zgodnie ze słownikiem',
+  'termCheck.dosage': 'dawka zmieniona lub brakująca',
+  'termCheck.expected': 'oczekiwano „{expected}”',
+  'readingLevelNote.label': 'Poziom czytania:',
+  'readingLevelNote.grade4': 'Klasa 4',
+  'readingLevelNote.grade8': 'Klasa 8',
+  'readingLevelNote.clinical': 'Medyczny',
+  'readingLevelNote.measured': 'zmierzony na poziomie klasy {grade} ({formula})',
+  'readingLevelNote.above': 'wciąż powyżej poziomu klasy {grade}, niektóre części mogą być trudne do czytania',
+
+  'alerts.title': 'Ważne ostrzeżenia',
+  'alerts.returnToEr': 'Twój dokument mówi, kiedy szukać pomocy w nagłych wypadkach. Jedź na SOR lub zadzwoń pod numer alarmowy, jeśli masz którykolwiek z tych objawów.',
+  'alerts.warningSigns': 'Natychmiast skontaktuj się z lekarzem, jeśli masz którykolwiek z tych objawów.',
+  'alerts.criticalLab': 'Krytyczny wynik badania: {name} {value}. Skontaktuj się dziś z lekarzem.',
+  'alerts.allergy': 'Alergia: {substance}. Powiedz o tym każdemu lekarzowi i farmaceucie.',
+  'alerts.allergyConflict': 'Masz alergię na {substance}, ale {medication} jest w Twoim dokumencie. Zapytaj lekarza lub farmaceutę przed zażyciem.',
+  'alerts.interaction': '{first} i {second} mogą być niebezpieczne razem ({risk}). Zapytaj lekarza lub farmaceutę przed ich zażyciem.',
+  'alerts.risk.bleeding': 'poważne krwawienie',
+  'alerts.risk.lowBloodPressure': 'bardzo niskie ciśnienie krwi',
+  'alerts.risk.serotoninSyndrome': 'zespół serotoninowy',
+  'alerts.risk.breathing': 'spowolniony lub zatrzymany oddech',
+  'alerts.risk.toxicity': 'toksyczne stężenie leku',
+  'alerts.risk.highPotassium': 'wysoki potas',
+  'alerts.risk.muscleDamage': 'uszkodzenie mięśni',
+  'alerts.note': 'Te ostrzeżenia są wykrywane automatycznie i mogą coś pominąć. Jeśli czujesz się bardzo źle, zadzwoń pod numer alarmowy.',
+  'summary.overview': 'Przegląd',
+  'summary.diagnoses': 'Rozpoznania',
+  'summary.medications': 'Leki',
+  'summary.followUps': 'Wizyty kontrolne',
+  'summary.warningSigns': 'Natychmiast szukaj pomocy, jeśli',
+  'summary.labValues': 'Wyniki badań',
+  'summary.hint': 'Kliknij punkt, aby zobaczyć, skąd pochodzi w oryginalnym dokumencie.',
+  'summary.showOriginal': 'Pokaż oryginalny tekst',
+  'summary.name': 'Nazwa',
+  'summary.dose': 'Dawka',
+  'summary.frequency': 'Jak często',
+  'summary.duration': 'Jak długo',
+  'summary.instructions': 'Zalecenia',
+  'summary.test': 'Badanie',
+  'summary.result': 'Wynik',
+  'summary.normalRange': 'Norma',
+  'summary.flag.high': 'wysoki',
+  'summary.flag.low': 'niski',
+  'summary.flag.abnormal': 'nieprawidłowy',
+  'summary.flag.critical': 'krytyczny',
+  'source.title': 'Oryginalny tekst',
+  'source.close': 'Zamknij oryginalny tekst',
+  'source.page': 'Strona {page}',
+  'source.document': 'Dokument',
+  'source.closestMatch': 'najbliższe dopasowanie',
+  'translation.original': 'Oryginał',
+
+  'medications.failed': 'Nie udało się przygotować harmonogramu leków',
+  'medications.loading': 'Szukamy Twoich leków...',
+  'medications.none': 'W tym dokumencie nie znaleziono leków.',
+  'medications.print': 'Drukuj',
+  'medications.calendar': 'Dodaj do kalendarza',
+  'medications.asNeeded': 'Tylko w razie potrzeby',
+  'medications.unscheduled': 'Zapytaj lekarza lub farmaceutę, kiedy je przyjmować',
+
+  'readAloud.play': 'Odtwórz',
+  'readAloud.pause': 'Wstrzymaj',
+  'readAloud.resume': 'Wznów',
+  'readAloud.stop': 'Zatrzymaj',
+  'readAloud.speed': 'Tempo',
+  'readAloud.download': 'Pobierz nagranie',
+  'readAloud.unsupported': 'Ta przeglądarka nie umie czytać na głos. Pobierz nagranie.',
+  'readAloud.noVoice': 'To urządzenie nie ma głosu w języku {language}, więc może brzmieć niepoprawnie. Pobierz nagranie.',
+
+  'chat.hint': 'Zapytaj o ten dokument. Odpowiedzi opierają się wyłącznie na treści dokumentu - nie zastępują lekarza.',
+  'chat.placeholder': 'np. Kiedy mam brać lek?',
+  'chat.send': 'Zapytaj',
+  'chat.thinking': 'Szukam w Twoim dokumencie...',
+  'chat.failed': 'Nie udało się odpowiedzieć na Twoje pytanie',
+  'chat.urgent': 'To może wymagać natychmiastowej pomocy. Skontaktuj się teraz z lekarzem lub zadzwoń pod lokalny numer alarmowy, jeśli to poważne.',
+  'chat.notInDocument': 'Twój dokument tego nie mówi',
+  'chat.showSources': 'Skąd to pochodzi',
+
+  'history.title': 'Twoje dokumenty',
+  'history.patientTitle': 'Dokumenty: {name}',
+  'history.close': 'Zamknij: {title}',
+  'history.loading': 'Ładowanie...',
+  'history.empty': 'Wysłane dokumenty są tu przechowywane, abyś mógł je przeczytać ponownie.',
+  'history.patientEmpty': '{name} nie ma jeszcze dokumentów.',
+  'history.delete': 'Usuń',
+  'history.deleteLabel': 'Usuń {fileName}',
+  'history.deleteAll': 'Usuń wszystkie moje dokumenty',
+  'history.deleteConfirm': 'Usunąć „{fileName}” i jego podsumowanie? Tego nie można cofnąć.',
+  'history.deleteAllConfirm': 'Usunąć z serwera wszystkie Twoje dokumenty i podsumowania? Tego nie można cofnąć.',
+  'history.loadFailed': 'Nie udało się wczytać Twoich dokumentów',
+  'history.deleteFailed': 'Nie udało się usunąć',
+
+  'account.signedInAs': 'Zalogowano jako {email}',
+  'account.caregiversTitle': 'Kto może widzieć Twoje dokumenty',
+  'account.caregiversHint': 'Dodaj członka rodziny lub opiekuna po adresie e-mail jego konta.',
+  'account.remove': 'Usuń',
+  'account.removeConfirm': '{name} nie będzie już widzieć Twoich dokumentów. Kontynuować?',
+  'account.caregiverEmail': 'E-mail opiekuna',
+  'account.add': 'Dodaj',
+  'account.sharedTitle': 'Udostępnione Tobie',
+  'account.viewDocuments': 'Zobacz dokumenty',
+  'account.signOut': 'Wyloguj się',
+  'account.loadCaregiversFailed': 'Nie udało się wczytać opiekunów',
+  'account.loadPatientsFailed': 'Nie udało się wczytać pacjentów',
+  'account.addCaregiverFailed': 'Nie udało się dodać opiekuna',
+  'account.removeCaregiverFailed': 'Nie udało się usunąć opiekuna',
+
+  'login.signIn': 'Zaloguj się',
+  'login.createTitle': 'Utwórz konto',
+  'login.createAccount': 'Utwórz konto',
+  'login.haveAccount': 'Mam już konto',
+  'login.name': 'Imię i nazwisko',
+  'login.email': 'E-mail',
+  'login.password': 'Hasło',
+  'login.failed': 'Nie udało się zalogować'
+}
@@ -0,0 +1,196 @@
+// Portuguese texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Seu tradutor de saúde',
+  'app.changeLanguage': 'Mudar o idioma do aplicativo',
+  'app.darkMode': 'Modo escuro',
+  'picker.title': 'Escolha seu idioma',
+  'picker.hint': 'Você pode mudá-lo depois com o botão de idioma no topo.',
+  'picker.close': 'Fechar',
+
+  'upload.button': 'Enviar documentos ou fotos',
+  'upload.documents': { one: '{count} documento', other: '{count} documentos' },
+  'upload.photos': { one: '{count} foto', other: '{count} fotos' },
+  'upload.submit': 'Enviar',
+  'upload.processing': 'Processando...',
+  'upload.photosQuestion': 'O que são estas fotos?',
+  'upload.pagesOfOne': 'Páginas de um documento',
+  'upload.separate': 'Documentos separados',
+  'upload.noScans': 'PDFs digitalizados não podem ser lidos aqui, apenas PDFs com texto selecionável.',
+  'mode.question': 'Do que você precisa?',
+  'mode.summary': 'Resumo',
+  'mode.translation': 'Tradução completa',
+  'readingLevel.question': 'Quão simples deve ser?',
+  'readingLevel.grade4': 'Muito simples',
+  'readingLevel.grade8': 'Simples',
+  'readingLevel.clinical': 'Clínico',
+  'language.question': 'Traduzir para qual idioma?',
+  'language.choose': 'escolher',
+
+  'job.processing': 'Processando seu documento...',
+  'job.cancel': 'Cancelar',
+  'job.cancelled': 'O processamento foi cancelado.',
+  'stage.uploaded': 'Enviado',
+  'stage.parsing': 'Lendo o documento',
+  'stage.parsingBatch': 'Lendo os documentos',
+  'stage.summarizing': 'Escrevendo o resumo',
+  'stage.summarizingBatch': 'Escrevendo os resumos',
+  'stage.translating': 'Traduzindo',
+  'stage.combining': 'Combinando os resumos',
+  'stage.done': 'Pronto',
+
+  'error.prefix': 'Erro: {message}',
+  'error.noFile': 'Selecione um arquivo primeiro',
+  'error.noLanguage': 'Selecione um idioma primeiro',
+  'error.unsupportedFile': '{fileName} não pode ser lido aqui. Ficheiros que podem ser lidos: {types}',
+  'error.batchTranslation': 'Vários documentos só podem ser resumidos juntos. Traduza um documento por vez.',
+  'error.processFailed': 'Não foi possível processar o documento',
+  'error.serverStatus': 'Erro do servidor: {status} {statusText}',
+  'error.generic': 'Ocorreu um erro ao processar o documento',
+  'error.cannotConnect': 'Não foi possível conectar ao servidor. Verifique se o servidor está rodando em {url}',
+  'error.connectionLost': 'A conexão com o servidor caiu durante o processamento do documento',
+  'error.openFailed': 'Não foi possível abrir o documento',
+
+  'result.summaryTab': 'Resumo ({language})',
+  'result.translationTab': 'Tradução completa ({language})',
+  'result.medicationsTab': 'Horário dos remédios',
+  'result.listenTab': 'Ler em voz alta',
+  'result.chatTab': 'Fazer uma pergunta',
+  'result.placeholder': 'O resumo traduzido aparecerá aqui...',
+  'result.emptyTitle': 'Resumo',
+  'result.emptyPlaceholder': 'Envie um documento e escolha um idioma para ver aqui o resumo traduzido...',
+  'documents.label': 'Documentos',
+  'documents.all': 'Todos os documentos ({count})',
+
+  'languageNotice.documentLanguage': 'Idioma do documento:',
+  'languageNotice.same': 'Este documento já parece estar em {language}, o idioma que você escolheu. Escolha outro idioma se o queria em um diferente.',
+  'languageNotice.partly': 'Partes deste documento já estão em {language}, o idioma que você escolheu - essas partes foram mantidas como estavam.',
+  'ocr.hardToRead': {
+    one: 'Partes da sua foto estavam difíceis de ler ({confidence}% de confiança), então algumas palavras ou números podem estar errados. Confira o resultado com seus papéis ou tire a foto de novo, reta, com boa luz e em foco.',
+    other: 'Partes das suas fotos estavam difíceis de ler ({confidence}% de confiança), então algumas palavras ou números podem estar errados. Confira o resultado com seus papéis ou tire as fotos de novo, retas, com boa luz e em foco.'
+  },
+  'ocr.hardest': 'Mais difíceis de ler: {pages}',
+  'ocr.page': 'foto {page} ({fileName})',
+  'numericCheck.flagged': 'Alguns números não batem com o seu documento. Eles estão destacados abaixo - confira com seu médico ou farmacêutico:',
+  'numericCheck.documentSays': 'o documento diz {expected}',
+  'numericCheck.notFound': 'não encontrado no documento',
+  'numericCheck.missing': 'Doses do seu documento que não são mencionadas aqui: {values}',
+  'numericCheck.checkValue': 'Confira este valor - o documento diz {expected}',
+  'numericCheck.checkMissing': 'Confira este valor - ele não foi encontrado no documento',
+  'termCheck.title': 'Alguns termos importantes podem ter sido alterados ou omitidos. Confira-os no documento original:',
+  'termCheck.dropped': 'omitido',
+  'termCheck.untranslated': 'não traduzido como o glossário exige',
+  'termCheck.dosage': 'dose alterada ou ausente',
+  'termCheck.expected': 'esperado "{expected}"',
+  'readingLevelNote.label': 'Nível de leitura:',
+  'readingLevelNote.grade4': '4º ano',
+  'readingLevelNote.grade8': '8º ano',
+  'readingLevelNote.clinical': 'Clínico',
+  'readingLevelNote.measured': 'medido no nível {grade} ({formula})',
+  'readingLevelNote.above': 'ainda acima do nível {grade}, algumas partes podem ser difíceis de ler',
+
+  'alerts.title': 'Avisos de segurança importantes',
+  'alerts.returnToEr': 'O seu documento diz quando procurar atendimento de emergência. Vá ao pronto-socorro ou ligue para o número de emergência se tiver algum destes sinais.',
+  'alerts.warningSigns': 'Contacte o seu médico imediatamente se tiver algum destes sinais.',
+  'alerts.criticalLab': 'Resultado de exame crítico: {name} {value}. Contacte o seu médico hoje.',
+  'alerts.allergy': 'Alergia: {substance}. Informe todos os médicos e farmacêuticos.',
+  'alerts.allergyConflict': 'Você é alérgico a {substance}, mas {medication} está no seu documento. Pergunte ao seu médico ou farmacêutico antes de tomar.',
+  'alerts.interaction': '{first} e {second} podem ser perigosos juntos ({risk}). Pergunte ao seu médico ou farmacêutico antes de os tomar.',
+  'alerts.risk.bleeding': 'sangramento grave',
+  'alerts.risk.lowBloodPressure': 'pressão arterial muito baixa',
+  'alerts.risk.serotoninSyndrome': 'síndrome serotoninérgica',
+  'alerts.risk.breathing': 'respiração lenta ou parada',
+  'alerts.risk.toxicity': 'níveis tóxicos do medicamento',
+  'alerts.risk.highPotassium': 'potássio alto',
+  'alerts.risk.muscleDamage': 'lesão muscular',
+  'alerts.note': 'Estes avisos são detetados automaticamente e podem falhar algo. Se se sentir muito mal, ligue para o número de emergência.',
+  'summary.overview': 'Visão geral',
+  'summary.diagnoses': 'Diagnósticos',
+  'summary.medications': 'Remédios',
+  'summary.followUps': 'Consultas de retorno',
+  'summary.warningSigns': 'Procure ajuda imediatamente se',
+  'summary.labValues': 'Resultados de exames',
+  'summary.hint': 'Clique em um ponto para ver de onde ele vem no documento original.',
+  'summary.showOriginal': 'Mostrar o texto original',
+  'summary.name': 'Nome',
+  'summary.dose': 'Dose',
+  'summary.frequency': 'Com que frequência',
+  'summary.duration': 'Por quanto tempo',
+  'summary.instructions': 'Instruções',
+  'summary.test': 'Exame',
+  'summary.result': 'Resultado',
+  'summary.normalRange': 'Valores normais',
+  'summary.flag.high': 'alto',
+  'summary.flag.low': 'baixo',
+  'summary.flag.abnormal': 'anormal',
+  'summary.flag.critical': 'crítico',
+  'source.title': 'Texto original',
+  'source.close': 'Fechar o texto original',
+  'source.page': 'Página {page}',
+  'source.document': 'Documento',
+  'source.closestMatch': 'trecho mais parecido',
+  'translation.original': 'Original',
+
+  'medications.failed': 'Não foi possível montar o horário dos remédios',
+  'medications.loading': 'Procurando seus remédios...',
+  'medications.none': 'Nenhum remédio foi encontrado neste documento.',
+  'medications.print': 'Imprimir',
+  'medications.calendar': 'Adicionar à agenda',
+  'medications.asNeeded': 'Só quando precisar',
+  'medications.unscheduled': 'Pergunte ao seu médico ou farmacêutico quando tomar',
+
+  'readAloud.play': 'Reproduzir',
+  'readAloud.pause': 'Pausar',
+  'readAloud.resume': 'Continuar',
+  'readAloud.stop': 'Parar',
+  'readAloud.speed': 'Velocidade',
+  'readAloud.download': 'Baixar áudio',
+  'readAloud.unsupported': 'Este navegador não consegue ler em voz alta. Baixe o áudio.',
+  'readAloud.noVoice': 'Este aparelho não tem voz em {language}, então pode não soar bem. Baixe o áudio.',
+
+  'chat.hint': 'Pergunte sobre este documento. As respostas usam apenas o que o seu documento diz - não substituem o seu médico.',
+  'chat.placeholder': 'ex. Quando tomo meu remédio?',
+  'chat.send': 'Perguntar',
+  'chat.thinking': 'Procurando no seu documento...',
+  'chat.failed': 'Não foi possível responder à sua pergunta',
+  'chat.urgent': 'Isto pode precisar de atendimento imediato. Fale com o seu médico agora ou ligue para o número de emergência local se for grave.',
+  'chat.notInDocument': 'Seu documento não diz isso',
+  'chat.showSources': 'De onde vem isso',
+
+  'history.title': 'Seus documentos',
+  'history.patientTitle': 'Documentos de {name}',
+  'history.close': 'Fechar {title}',
+  'history.loading': 'Carregando...',
+  'history.empty': 'Os documentos que você envia ficam guardados aqui para você ler de novo.',
+  'history.patientEmpty': '{name} ainda não tem documentos.',
+  'history.delete': 'Excluir',
+  'history.deleteLabel': 'Excluir {fileName}',
+  'history.deleteAll': 'Excluir todos os meus documentos',
+  'history.deleteConfirm': 'Excluir "{fileName}" e o resumo? Isso não pode ser desfeito.',
+  'history.deleteAllConfirm': 'Excluir do servidor todos os seus documentos e resumos? Isso não pode ser desfeito.',
+  'history.loadFailed': 'Não foi possível carregar seus documentos',
+  'history.deleteFailed': 'Não foi possível excluir',
+
+  'account.signedInAs': 'Conectado como {email}',
+  'account.caregiversTitle': 'Quem pode ver seus documentos',
+  'account.caregiversHint': 'Adicione um familiar ou cuidador pelo e-mail da conta dele.',
+  'account.remove': 'Remover',
+  'account.removeConfirm': '{name} não poderá mais ver seus documentos. Continuar?',
+  'account.caregiverEmail': 'E-mail do cuidador',
+  'account.add': 'Adicionar',
+  'account.sharedTitle': 'Compartilhados com você',
+  'account.viewDocuments': 'Ver documentos',
+  'account.signOut': 'Sair',
+  'account.loadCaregiversFailed': 'Não foi possível carregar os cuidadores',
+  'account.loadPatientsFailed': 'Não foi possível carregar os pacientes',
+  'account.addCaregiverFailed': 'Não foi possível adicionar o cuidador',
+  'account.removeCaregiverFailed': 'Não foi possível remover o cuidador',
+
+  'login.signIn': 'Entrar',
+  'login.createTitle': 'Criar uma conta',
+  'login.createAccount': 'Criar conta',
+  'login.haveAccount': 'Já tenho uma conta',
+  'login.name': 'Nome',
+  'login.email': 'E-mail',
+  'login.password': 'Senha',
+  'login.failed': 'Não foi possível entrar'
+}
@@ -0,0 +1,196 @@
+// Russian texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Ваш медицинский переводчик',
+  'app.changeLanguage': 'Изменить язык приложения',
+  'app.darkMode': 'Тёмная тема',
+  'picker.title': 'Выберите язык',
+  'picker.hint': 'Позже его можно изменить кнопкой языка вверху.',
+  'picker.close': 'Закрыть',
+
+  'upload.button': 'Загрузить документы или фото',
+  'upload.documents': { one: '{count} документ', few: '{count} документа', many: '{count} документов', other: '{count} документа' },
+  'upload.photos': { one: '{count} фото', few: '{count} фото', many: '{count} фото', other: '{count} фото' },
+  'upload.submit': 'Отправить',
+  'upload.processing': 'Обработка...',
+  'upload.photosQuestion': 'Что на этих фото?',
+  'upload.pagesOfOne': 'Страницы одного документа',
+  'upload.separate': 'Отдельные документы',
+  'upload.noScans': 'Отсканированные PDF здесь прочитать нельзя - только PDF с выделяемым текстом.',
+  'mode.question': 'Что вам нужно?',
+  'mode.summary': 'Краткое изложение',
+  'mode.translation': 'Полный перевод',
+  'readingLevel.question': 'Насколько просто написать?',
+  'readingLevel.grade4': 'Очень просто',
+  'readingLevel.grade8': 'Просто',
+  'readingLevel.clinical': 'Медицинским языком',
+  'language.question': 'На какой язык перевести?',
+  'language.choose': 'выбрать',
+
+  'job.processing': 'Обрабатываем ваш документ...',
+  'job.cancel': 'Отмена',
+  'job.cancelled': 'Обработка отменена.',
+  'stage.uploaded': 'Загружено',
+  'stage.parsing': 'Чтение документа',
+  'stage.parsingBatch': 'Чтение документов',
+  'stage.summarizing': 'Составление изложения',
+  'stage.summarizingBatch': 'Составление изложений',
+  'stage.translating': 'Перевод',
+  'stage.combining': 'Объединение изложений',
+  'stage.done': 'Готово',
+
+  'error.prefix': 'Ошибка: {message}',
+  'error.noFile': 'Сначала выберите файл',
+  'error.noLanguage': 'Сначала выберите язык',
+  'error.unsupportedFile': 'Файл {fileName} здесь прочитать нельзя. Поддерживаемые файлы: {types}',
+  'error.batchTranslation': 'Несколько документов можно только кратко изложить вместе. Переводите по одному документу.',
+  'error.processFailed': 'Не удалось обработать документ',
+  'error.serverStatus': 'Ошибка сервера: {status} {statusText}',
+  'error.generic': 'При обработке документа произошла ошибка',
+  'error.cannotConnect': 'Не удаётся подключиться к серверу. Убедитесь, что сервер работает по адресу {url}',
+  'error.connectionLost': 'Соединение с сервером прервалось во время обработки документа',
+  'error.openFailed': 'Не удалось открыть документ',
+
+  'result.summaryTab': 'Краткое изложение ({language})',
+  'result.translationTab': 'Полный перевод ({language})',
+  'result.medicationsTab': 'График приёма лекарств',
+  'result.listenTab': 'Прочитать вслух',
+  'result.chatTab': 'Задать вопрос',
+  'result.placeholder': 'Здесь появится переведённое изложение...',
+  'result.emptyTitle': 'Краткое изложение',
+  'result.emptyPlaceholder': 'Загрузите документ и выберите язык, чтобы увидеть здесь переведённое изложение...',
+  'documents.label': 'Документы',
+  'documents.all': 'Все документы ({count})',
+
+  'languageNotice.documentLanguage': 'Язык документа:',
+  'languageNotice.same': 'Похоже, этот документ уже на языке, который вы выбрали: {language}. Выберите другой язык, если хотели получить его на другом.',
+  'languageNotice.partly': 'Часть этого документа уже на выбранном вами языке ({language}) - эти части оставлены без изменений.',
+  'ocr.hardToRead': {
+    one: 'Часть фото было трудно прочитать (уверенность {confidence}%), поэтому некоторые слова или числа могут быть неверными. Сверьте результат с вашими бумагами или переснимите фото: ровно, при хорошем свете и в фокусе.',
+    other: 'Часть фото было трудно прочитать (уверенность {confidence}%), поэтому некоторые слова или числа могут быть неверными. Сверьте результат с вашими бумагами или переснимите фото: ровно, при хорошем свете и в фокусе.'
+  },
+  'ocr.hardest': 'Труднее всего прочитать: {pages}',
+  'ocr.page': 'фото {page} ({fileName})',
+  'numericCheck.flagged': 'Некоторые числа не совпадают с вашим документом. Они выделены ниже - проверьте их у врача или фармацевта:',
+  'numericCheck.documentSays': 'в документе указано {expected}',
+  'numericCheck.notFound': 'не найдено в документе',
+  'numericCheck.missing': 'Дозы из вашего документа, которые здесь не упомянуты: {values}',
+  'numericCheck.checkValue': 'Проверьте это значение - в документе указано {expected}',
+  'numericCheck.checkMissing': 'Проверьте это значение - оно не найдено в документе',
+  'termCheck.title': 'Некоторые важные термины могли быть изменены или пропущены. Сверьте их с исходным документом:',
+  'termCheck.dropped': 'пропущен',
+  'termCheck.untranslated': 'переведён не так, как требует глоссарий',
+  'termCheck.dosage': 'доза изменена или отсутствует',
+  'termCheck.expected': 'ожидалось «{expected}»',
+  'readingLevelNote.label': 'Уровень сложности:',
+  'readingLevelNote.grade4': '4 класс',
+  'readingLevelNote.grade8': '8 класс',
+  'readingLevelNote.clinical': 'Медицинский',
+  'readingLevelNote.measured': 'измерено: {grade} класс ({formula})',
+  'readingLevelNote.above': 'всё ещё выше уровня {grade} класса, некоторые части могут быть трудными для чтения',
+
+  'alerts.title': 'Важные предупреждения',
+  'alerts.returnToEr': 'В вашем документе сказано, когда нужна экстренная помощь. Обратитесь в приёмное отделение или вызовите скорую помощь, если у вас есть любой из этих признаков.',
+  'alerts.warningSigns': 'Немедленно свяжитесь с врачом, если у вас есть любой из этих признаков.',
+  'alerts.criticalLab': 'Критический результат анализа: {name} {value}. Свяжитесь с врачом сегодня.',
+  'alerts.allergy': 'Аллергия: {substance}. Сообщайте об этом каждому врачу и фармацевту.',
+  'alerts.allergyConflict': 'У вас аллергия на {substance}, но в вашем документе есть {medication}. Спросите врача или фармацевта, прежде чем принимать его.',
+  'alerts.interaction': '{first} и {second} могут быть опасны вместе ({risk}). Спросите врача или фармацевта, прежде чем принимать их.',
+  'alerts.risk.bleeding': 'сильное кровотечение',
+  'alerts.risk.lowBloodPressure': 'очень низкое давление',
+  'alerts.risk.serotoninSyndrome': 'серотониновый синдром',
+  'alerts.risk.breathing': 'замедленное или остановившееся дыхание',
+  'alerts.risk.toxicity': 'токсичный уровень лекарства',
+  'alerts.risk.highPotassium': 'высокий калий',
+  'alerts.risk.muscleDamage': 'повреждение мышц',
+  'alerts.note': 'Эти предупреждения находятся автоматически и могут быть неполными. Если вам очень плохо, вызовите скорую помощь.',
+  'summary.overview': 'Общие сведения',
+  'summary.diagnoses': 'Диагнозы',
+  'summary.medications': 'Лекарства',
+  'summary.followUps': 'Повторные приёмы',
+  'summary.warningSigns': 'Срочно обратитесь за помощью, если',
+  'summary.labValues': 'Результаты анализов',
+  'summary.hint': 'Нажмите на пункт, чтобы увидеть, откуда он взят в исходном документе.',
+  'summary.showOriginal': 'Показать исходный текст',
+  'summary.name': 'Название',
+  'summary.dose': 'Доза',
+  'summary.frequency': 'Как часто',
+  'summary.duration': 'Как долго',
+  'summary.instructions': 'Указания',
+  'summary.test': 'Анализ',
+  'summary.result': 'Результат',
+  'summary.normalRange': 'Норма',
+  'summary.flag.high': 'повышен',
+  'summary.flag.low': 'понижен',
+  'summary.flag.abnormal': 'отклонение',
+  'summary.flag.critical': 'критично',
+  'source.title': 'Исходный текст',
+  'source.close': 'Закрыть исходный текст',
+  'source.page': 'Страница {page}',
+  'source.document': 'Документ',
+  'source.closestMatch': 'ближайшее совпадение',
+  'translation.original': 'Оригинал',
+
+  'medications.failed': 'Не удалось составить график приёма лекарств',
+  'medications.loading': 'Ищем ваши лекарства...',
+  'medications.none': 'В этом документе не найдено лекарств.',
+  'medications.print': 'Печать',
+  'medications.calendar': 'Добавить в календарь',
+  'medications.asNeeded': 'Только при необходимости',
+  'medications.unscheduled': 'Спросите врача или фармацевта, когда их принимать',
+
+  'readAloud.play': 'Воспроизвести',
+  'readAloud.pause': 'Пауза',
+  'readAloud.resume': 'Продолжить',
+  'readAloud.stop': 'Стоп',
+  'readAloud.speed': 'Скорость',
+  'readAloud.download': 'Скачать аудио',
+  'readAloud.unsupported': 'Этот браузер не умеет читать вслух. Скачайте аудио.',
+  'readAloud.noVoice': 'На этом устройстве нет голоса для языка {language}, поэтому звучать может неправильно. Скачайте аудио.',
+
+  'chat.hint': 'Задайте вопрос об этом документе. Ответы основаны только на том, что сказано в документе, - они не заменяют врача.',
+  'chat.placeholder': 'напр. Когда принимать лекарство?',
+  'chat.send': 'Спросить',
+  'chat.thinking': 'Ищем в вашем документе...',
+  'chat.failed': 'Не удалось ответить на ваш вопрос',
+  'chat.urgent': 'Возможно, нужна срочная помощь. Свяжитесь с врачом сейчас или позвоните в местную службу экстренной помощи, если состояние серьёзное.',
+  'chat.notInDocument': 'В вашем документе об этом не сказано',
+  'chat.showSources': 'Откуда это взято',
+
+  'history.title': 'Ваши документы',
+  'history.patientTitle': 'Документы: {name}',
+  'history.close': 'Закрыть: {title}',
+  'history.loading': 'Загрузка...',
+  'history.empty': 'Отправленные документы хранятся здесь, чтобы вы могли прочитать их снова.',
+  'history.patientEmpty': 'У {name} пока нет документов.',
+  'history.delete': 'Удалить',
+  'history.deleteLabel': 'Удалить {fileName}',
+  'history.deleteAll': 'Удалить все мои документы',
+  'history.deleteConfirm': 'Удалить «{fileName}» и его изложение? Это нельзя отменить.',
+  'history.deleteAllConfirm': 'Удалить с сервера все ваши документы и изложения? Это нельзя отменить.',
+  'history.loadFailed': 'Не удалось загрузить ваши документы',
+  'history.deleteFailed': 'Не удалось удалить',
+
+  'account.signedInAs': 'Вы вошли как {email}',
+  'account.caregiversTitle': 'Кто может видеть ваши документы',
+  'account.caregiversHint': 'Добавьте родственника или опекуна по адресу почты его учётной записи.',
+  'account.remove': 'Убрать',
+  'account.removeConfirm': '{name} больше не сможет видеть ваши документы. Продолжить?',
+  'account.caregiverEmail': 'Почта опекуна',
+  'account.add': 'Добавить',
+  'account.sharedTitle': 'Доступно вам',
+  'account.viewDocuments': 'Смотреть документы',
+  'account.signOut': 'Выйти',
+  'account.loadCaregiversFailed': 'Не удалось загрузить опекунов',
+  'account.loadPatientsFailed': 'Не удалось загрузить пациентов',
+  'account.addCaregiverFailed': 'Не удалось добавить опекуна',
+  'account.removeCaregiverFailed': 'Не удалось убрать опекуна',
+
+  'login.signIn': 'Войти',
+  'login.createTitle': 'Создать учётную запись',
+  'login.createAccount': 'Создать учётную запись',
+  'login.haveAccount': 'У меня уже есть учётная запись',
+  'login.name': 'Имя',
+  'login.email': 'Электронная почта',
+  'login.password': 'Пароль',
+  'login.failed': 'Не удалось войти'
+}
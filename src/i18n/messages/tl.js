@@ -0,0 +1,196 @@
+// Tagalog texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Ang iyong tagasalin sa kalusugan',
+  'app.changeLanguage': 'Palitan ang wika ng app',
+  'app.darkMode': 'Madilim na mode',
+  'picker.title': 'Piliin ang iyong wika',
+  'picker.hint': 'Mapapalitan mo ito mamaya gamit ang button ng wika sa itaas.',
+  'picker.close': 'Isara',
+
+  'upload.button': 'Mag-upload ng dokumento o larawan',
+  'upload.documents': { one: '{count} dokumento', other: '{count} dokumento' },
+  'upload.photos': { one: '{count} larawan', other: '{count} larawan' },
+  'upload.submit': 'Ipasa',
+  'upload.processing': 'Pinoproseso...',
+  'upload.photosQuestion': 'Ano ang mga larawang ito?',
+  'upload.pagesOfOne': 'Mga pahina ng iisang dokumento',
+  'upload.separate': 'Magkakahiwalay na dokumento',
+  'upload.noScans': 'Hindi mababasa rito ang mga na-scan na PDF - ang mga PDF lang na may napipiling teksto.',
+  'mode.question': 'Ano ang kailangan mo?',
+  'mode.summary': 'Buod',
+  'mode.translation': 'Buong salin',
+  'readingLevel.question': 'Gaano ito kasimple?',
+  'readingLevel.grade4': 'Napakasimple',
+  'readingLevel.grade8': 'Simple',
+  'readingLevel.clinical': 'Pangklinika',
+  'language.question': 'Isasalin sa anong wika?',
+  'language.choose': 'pumili',
+
+  'job.processing': 'Pinoproseso ang iyong dokumento...',
+  'job.cancel': 'Kanselahin',
+  'job.cancelled': 'Kinansela ang pagproseso.',
+  'stage.uploaded': 'Na-upload',
+  'stage.parsing': 'Binabasa ang dokumento',
+  'stage.parsingBatch': 'Binabasa ang mga dokumento',
+  'stage.summarizing': 'Isinusulat ang buod',
+  'stage.summarizingBatch': 'Isinusulat ang mga buod',
+  'stage.translating': 'Isinasalin',
+  'stage.combining': 'Pinagsasama ang mga buod',
+  'stage.done': 'Tapos na',
+
+  'error.prefix': 'Error: {message}',
+  'error.noFile': 'Pumili muna ng file',
+  'error.noLanguage': 'Pumili muna ng wika',
+  'error.unsupportedFile': 'Hindi mababasa rito ang {fileName}. Mga file na nababasa: {types}',
+  'error.batchTranslation': 'Ang maraming dokumento ay maaari lamang ibuod nang magkakasama. Magsalin ng isang dokumento sa bawat pagkakataon.',
+  'error.processFailed': 'Hindi naproseso ang dokumento',
+  'error.serverStatus': 'Error ng server: {status} {statusText}',
+  'error.generic': 'Nagkaroon ng error habang pinoproseso ang dokumento',
+  'error.cannotConnect': 'Hindi makakonekta sa server. Tiyaking tumatakbo ang server sa {url}',
+  'error.connectionLost': 'Naputol ang koneksyon sa server habang pinoproseso ang dokumento',
+  'error.openFailed': 'Hindi mabuksan ang dokumento',
+
+  'result.summaryTab': 'Buod ({language})',
+  'result.translationTab': 'Buong salin ({language})',
+  'result.medicationsTab': 'Iskedyul ng gamot',
+  'result.listenTab': 'Basahin nang malakas',
+  'result.chatTab': 'Magtanong',
+  'result.placeholder': 'Lalabas dito ang isinaling buod...',
+  'result.emptyTitle': 'Buod',
+  'result.emptyPlaceholder': 'Mag-upload ng dokumento at pumili ng wika para makita rito ang isinaling buod...',
+  'documents.label': 'Mga dokumento',
+  'documents.all': 'Lahat ng dokumento ({count})',
+
+  'languageNotice.documentLanguage': 'Wika ng dokumento:',
+  'languageNotice.same': 'Mukhang nasa {language} na ang dokumentong ito, ang wikang pinili mo. Pumili ng ibang wika kung iba ang gusto mo.',
+  'languageNotice.partly': 'May mga bahagi ng dokumentong ito na nasa {language} na, ang wikang pinili mo - hindi na binago ang mga bahaging iyon.',
+  'ocr.hardToRead': {
+    one: 'Mahirap basahin ang ilang bahagi ng iyong larawan ({confidence}% kumpiyansa), kaya maaaring mali ang ilang salita o numero. Ihambing ang resulta sa iyong mga papeles, o kunan muli ang larawan nang patag, maliwanag at malinaw.',
+    other: 'Mahirap basahin ang ilang bahagi ng iyong mga larawan ({confidence}% kumpiyansa), kaya maaaring mali ang ilang salita o numero. Ihambing ang resulta sa iyong mga papeles, o kunan muli ang mga larawan nang patag, maliwanag at malinaw.'
+  },
+  'ocr.hardest': 'Pinakamahirap basahin: {pages}',
+  'ocr.page': 'larawan {page} ({fileName})',
+  'numericCheck.flagged': 'May ilang numero na hindi tugma sa iyong dokumento. Naka-highlight ang mga ito sa ibaba - suriin ang mga ito kasama ng iyong doktor o parmasyutiko:',
+  'numericCheck.documentSays': 'ang sabi ng dokumento ay {expected}',
+  'numericCheck.notFound': 'wala sa dokumento',
+  'numericCheck.missing': 'Mga dosis sa iyong dokumento na hindi nabanggit dito: {values}',
+  'numericCheck.checkValue': 'Suriin ang halagang ito - ang sabi ng dokumento ay {expected}',
+  'numericCheck.checkMissing': 'Suriin ang halagang ito - wala ito sa dokumento',
+  'termCheck.title': 'Maaaring nabago o nakaligtaan ang ilang mahahalagang termino. Ihambing ang mga ito sa iyong orihinal na dokumento:',
+  'termCheck.dropped': 'nakaligtaan',
+  'termCheck.untranslated': 'hindi isinalin ayon sa glosaryo',
+  'termCheck.dosage': 'nabago o nawawala ang dosis',
+  'termCheck.expected': 'inaasahan ang "{expected}"',
+  'readingLevelNote.label': 'Antas ng pagbasa:',
+  'readingLevelNote.grade4': 'Ika-4 na baitang',
+  'readingLevelNote.grade8': 'Ika-8 baitang',
+  'readingLevelNote.clinical': 'Pangklinika',
+  'readingLevelNote.measured': 'nasukat sa baitang {grade} ({formula})',
+  'readingLevelNote.above': 'mas mataas pa rin sa baitang {grade}, maaaring mahirap basahin ang ilang bahagi',
+
+  'alerts.title': 'Mahahalagang babala sa kaligtasan',
+  'alerts.returnToEr': 'Sinasabi ng iyong dokumento kung kailan dapat magpatingin agad sa emergency. Pumunta sa emergency room o tumawag sa emergency number kung mayroon kang alinman sa mga palatandaang ito.',
+  'alerts.warningSigns': 'Makipag-ugnayan agad sa iyong doktor kung mayroon kang alinman sa mga palatandaang ito.',
+  'alerts.criticalLab': 'Kritikal na resulta ng lab: {name} {value}. Makipag-ugnayan sa iyong doktor ngayong araw.',
+  'alerts.allergy': 'Allergy: {substance}. Sabihin ito sa bawat doktor at parmasyutiko.',
+  'alerts.allergyConflict': 'May allergy ka sa {substance}, pero nasa iyong dokumento ang {medication}. Magtanong sa iyong doktor o parmasyutiko bago ito inumin.',
+  'alerts.interaction': 'Maaaring mapanganib ang {first} at {second} nang magkasama ({risk}). Magtanong sa iyong doktor o parmasyutiko bago inumin ang mga ito.',
+  'alerts.risk.bleeding': 'malubhang pagdurugo',
+  'alerts.risk.lowBloodPressure': 'napakababang presyon ng dugo',
+  'alerts.risk.serotoninSyndrome': 'serotonin syndrome',
+  'alerts.risk.breathing': 'mabagal o tumigil na paghinga',
+  'alerts.risk.toxicity': 'nakalalasong antas ng gamot',
+  'alerts.risk.highPotassium': 'mataas na potassium',
+  'alerts.risk.muscleDamage': 'pinsala sa kalamnan',
+  'alerts.note': 'Awtomatikong nahahanap ang mga babalang ito at maaaring may makaligtaan. Kung masama ang pakiramdam mo, tumawag sa emergency number.',
+  'summary.overview': 'Pangkalahatang-ideya',
+  'summary.diagnoses': 'Mga diyagnosis',
+  'summary.medications': 'Mga gamot',
+  'summary.followUps': 'Mga follow-up na appointment',
+  'summary.warningSigns': 'Humingi agad ng tulong kung',
+  'summary.labValues': 'Mga resulta ng laboratoryo',
+  'summary.hint': 'I-click ang isang punto para makita kung saan ito galing sa orihinal na dokumento.',
+  'summary.showOriginal': 'Ipakita ang orihinal na teksto',
+  'summary.name': 'Pangalan',
+  'summary.dose': 'Dosis',
+  'summary.frequency': 'Gaano kadalas',
+  'summary.duration': 'Gaano katagal',
+  'summary.instructions': 'Mga tagubilin',
+  'summary.test': 'Pagsusuri',
+  'summary.result': 'Resulta',
+  'summary.normalRange': 'Normal na saklaw',
+  'summary.flag.high': 'mataas',
+  'summary.flag.low': 'mababa',
+  'summary.flag.abnormal': 'abnormal',
+  'summary.flag.critical': 'kritikal',
+  'source.title': 'Orihinal na teksto',
+  'source.close': 'Isara ang orihinal na teksto',
+  'source.page': 'Pahina {page}',
+  'source.document': 'Dokumento',
+  'source.closestMatch': 'pinakamalapit na tugma',
+  'translation.original': 'Orihinal',
+
+  'medications.failed': 'Hindi nagawa ang iskedyul ng gamot',
+  'medications.loading': 'Hinahanap ang iyong mga gamot...',
+  'medications.none': 'Walang nakitang gamot sa dokumentong ito.',
+  'medications.print': 'I-print',
+  'medications.calendar': 'Idagdag sa kalendaryo',
+  'medications.asNeeded': 'Kapag kailangan lamang',
+  'medications.unscheduled': 'Tanungin ang iyong doktor o parmasyutiko kung kailan iinumin',
+
+  'readAloud.play': 'I-play',
+  'readAloud.pause': 'I-pause',
+  'readAloud.resume': 'Ituloy',
+  'readAloud.stop': 'Ihinto',
+  'readAloud.speed': 'Bilis',
+  'readAloud.download': 'I-download ang audio',
+  'readAloud.unsupported': 'Hindi kayang magbasa nang malakas ng browser na ito. I-download na lang ang audio.',
+  'readAloud.noVoice': 'Walang boses sa {language} ang device na ito, kaya maaaring hindi ito tama ang tunog. I-download na lang ang audio.',
+
+  'chat.hint': 'Magtanong tungkol sa dokumentong ito. Ang mga sagot ay batay lamang sa sinasabi ng iyong dokumento - hindi nito mapapalitan ang iyong doktor.',
+  'chat.placeholder': 'hal. Kailan ko iinumin ang gamot ko?',
+  'chat.send': 'Itanong',
+  'chat.thinking': 'Hinahanap sa iyong dokumento...',
+  'chat.failed': 'Hindi masagot ang iyong tanong',
+  'chat.urgent': 'Maaaring kailangan ito ng agarang pangangalaga. Kontakin ngayon ang iyong doktor, o tumawag sa lokal na emergency number kung malubha.',
+  'chat.notInDocument': 'Hindi ito sinasabi ng iyong dokumento',
+  'chat.showSources': 'Saan ito nanggaling',
+
+  'history.title': 'Ang iyong mga dokumento',
+  'history.patientTitle': 'Mga dokumento ni {name}',
+  'history.close': 'Isara ang {title}',
+  'history.loading': 'Naglo-load...',
+  'history.empty': 'Itinatago rito ang mga dokumentong ipinasa mo para mabasa mo ulit.',
+  'history.patientEmpty': 'Wala pang dokumento si {name}.',
+  'history.delete': 'Burahin',
+  'history.deleteLabel': 'Burahin ang {fileName}',
+  'history.deleteAll': 'Burahin ang lahat ng aking dokumento',
+  'history.deleteConfirm': 'Burahin ang "{fileName}" at ang buod nito? Hindi na ito maibabalik.',
+  'history.deleteAllConfirm': 'Burahin sa server ang lahat ng iyong dokumento at buod? Hindi na ito maibabalik.',
+  'history.loadFailed': 'Hindi ma-load ang iyong mga dokumento',
+  'history.deleteFailed': 'Hindi nabura',
+
+  'account.signedInAs': 'Naka-sign in bilang {email}',
+  'account.caregiversTitle': 'Sino ang makakakita ng iyong mga dokumento',
+  'account.caregiversHint': 'Magdagdag ng kapamilya o tagapag-alaga gamit ang email ng kanilang account.',
+  'account.remove': 'Alisin',
+  'account.removeConfirm': 'Hindi na makikita ni {name} ang iyong mga dokumento. Ituloy?',
+  'account.caregiverEmail': 'Email ng tagapag-alaga',
+  'account.add': 'Idagdag',
+  'account.sharedTitle': 'Ibinahagi sa iyo',
+  'account.viewDocuments': 'Tingnan ang mga dokumento',
+  'account.signOut': 'Mag-sign out',
+  'account.loadCaregiversFailed': 'Hindi ma-load ang mga tagapag-alaga',
+  'account.loadPatientsFailed': 'Hindi ma-load ang mga pasyente',
+  'account.addCaregiverFailed': 'Hindi naidagdag ang tagapag-alaga',
+  'account.removeCaregiverFailed': 'Hindi naalis ang tagapag-alaga',
+
+  'login.signIn': 'Mag-sign in',
+  'login.createTitle': 'Gumawa ng account',
+  'login.createAccount': 'Gumawa ng account',
+  'login.haveAccount': 'May account na ako',
+  'login.name': 'Pangalan',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.failed': 'Hindi naka-sign in'
+}
@@ -0,0 +1,196 @@
+// Turkish texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Sağlık çevirmeniniz',
+  'app.changeLanguage': 'Uygulamanın dilini değiştir',
+  'app.darkMode': 'Karanlık mod',
+  'picker.title': 'Dilinizi seçin',
+  'picker.hint': 'Daha sonra üstteki dil düğmesiyle değiştirebilirsiniz.',
+  'picker.close': 'Kapat',
+
+  'upload.button': 'Belge veya fotoğraf yükle',
+  'upload.documents': { one: '{count} belge', other: '{count} belge' },
+  'upload.photos': { one: '{count} fotoğraf', other: '{count} fotoğraf' },
+  'upload.submit': 'Gönder',
+  'upload.processing': 'İşleniyor...',
+  'upload.photosQuestion': 'Bu fotoğraflar nedir?',
+  'upload.pagesOfOne': 'Tek bir belgenin sayfaları',
+  'upload.separate': 'Ayrı belgeler',
+  'upload.noScans': "Taranmış PDF'ler burada okunamaz, yalnızca seçilebilir metin içeren PDF'ler okunur.",
+  'mode.question': 'Neye ihtiyacınız var?',
+  'mode.summary': 'Özet',
+  'mode.translation': 'Tam çeviri',
+  'readingLevel.question': 'Ne kadar basit olsun?',
+  'readingLevel.grade4': 'Çok basit',
+  'readingLevel.grade8': 'Basit',
+  'readingLevel.clinical': 'Tıbbi',
+  'language.question': 'Hangi dile çevrilsin?',
+  'language.choose': 'seç',
+
+  'job.processing': 'Belgeniz işleniyor...',
+  'job.cancel': 'İptal',
+  'job.cancelled': 'İşlem iptal edildi.',
+  'stage.uploaded': 'Yüklendi',
+  'stage.parsing': 'Belge okunuyor',
+  'stage.parsingBatch': 'Belgeler okunuyor',
+  'stage.summarizing': 'Özet yazılıyor',
+  'stage.summarizingBatch': 'Özetler yazılıyor',
+  'stage.translating': 'Çevriliyor',
+  'stage.combining': 'Özetler birleştiriliyor',
+  'stage.done': 'Tamamlandı',
+
+  'error.prefix': 'Hata: {message}',
+  'error.noFile': 'Lütfen önce bir dosya seçin',
+  'error.noLanguage': 'Lütfen önce bir dil seçin',
+  'error.unsupportedFile': '{fileName} burada okunamıyor. Okunabilen dosyalar: {types}',
+  'error.batchTranslation': 'Birden çok belge yalnızca birlikte özetlenebilir. Belgeleri teker teker çevirin.',
+  'error.processFailed': 'Belge işlenemedi',
+  'error.serverStatus': 'Sunucu hatası: {status} {statusText}',
+  'error.generic': 'Belge işlenirken bir hata oluştu',
+  'error.cannotConnect': 'Sunucuya bağlanılamıyor. Sunucunun {url} adresinde çalıştığından emin olun',
+  'error.connectionLost': 'Belge işlenirken sunucu bağlantısı koptu',
+  'error.openFailed': 'Belge açılamadı',
+
+  'result.summaryTab': 'Özet ({language})',
+  'result.translationTab': 'Tam çeviri ({language})',
+  'result.medicationsTab': 'İlaç takvimi',
+  'result.listenTab': 'Sesli oku',
+  'result.chatTab': 'Soru sor',
+  'result.placeholder': 'Çevrilen özet burada görünecek...',
+  'result.emptyTitle': 'Özet',
+  'result.emptyPlaceholder': 'Çevrilmiş özeti burada görmek için bir belge yükleyin ve bir dil seçin...',
+  'documents.label': 'Belgeler',
+  'documents.all': 'Tüm belgeler ({count})',
+
+  'languageNotice.documentLanguage': 'Belgenin dili:',
+  'languageNotice.same': 'Bu belge zaten seçtiğiniz dilde ({language}) görünüyor. Başka bir dilde istiyorsanız başka bir dil seçin.',
+  'languageNotice.partly': 'Bu belgenin bazı bölümleri zaten seçtiğiniz dilde ({language}) - bu bölümler olduğu gibi bırakıldı.',
+  'ocr.hardToRead': {
+    one: 'Fotoğrafınızın bazı kısımları zor okundu (%{confidence} güven), bu yüzden bazı kelimeler veya sayılar yanlış olabilir. Sonucu belgelerinizle karşılaştırın ya da fotoğrafı düz, iyi ışıkta ve net şekilde yeniden çekin.',
+    other: 'Fotoğraflarınızın bazı kısımları zor okundu (%{confidence} güven), bu yüzden bazı kelimeler veya sayılar yanlış olabilir. Sonucu belgelerinizle karşılaştırın ya da fotoğrafları düz, iyi ışıkta ve net şekilde yeniden çekin.'
+  },
+  'ocr.hardest': 'Okunması en zor olanlar: {pages}',
+  'ocr.page': 'fotoğraf {page} ({fileName})',
+  'numericCheck.flagged': 'Bazı sayılar belgenizle uyuşmuyor. Aşağıda işaretlendiler - doktorunuz veya eczacınızla kontrol edin:',
+  'numericCheck.documentSays': 'belgede {expected} yazıyor',
+  'numericCheck.notFound': 'belgede bulunamadı',
+  'numericCheck.missing': 'Belgenizde olup burada geçmeyen dozlar: {values}',
+  'numericCheck.checkValue': 'Bu değeri kontrol edin - belgede {expected} yazıyor',
+  'numericCheck.checkMissing': 'Bu değeri kontrol edin - belgede bulunamadı',
+  'termCheck.title': 'Bazı önemli terimler değişmiş veya atlanmış olabilir. Bunları orijinal belgenizle karşılaştırın:',
+  'termCheck.dropped': 'atlandı',
+  'termCheck.untranslated': 'sözlükte istendiği gibi çevrilmedi',
+  'termCheck.dosage': 'doz değişti veya eksik',
+  'termCheck.expected': 'beklenen: "{expected}"',
+  'readingLevelNote.label': 'Okuma düzeyi:',
+  'readingLevelNote.grade4': '4. sınıf',
+  'readingLevelNote.grade8': '8. sınıf',
+  'readingLevelNote.clinical': 'Tıbbi',
+  'readingLevelNote.measured': '{grade}. sınıf düzeyinde ölçüldü ({formula})',
+  'readingLevelNote.above': 'hâlâ {grade}. sınıf düzeyinin üstünde, bazı kısımlar zor okunabilir',
+
+  'alerts.title': 'Önemli güvenlik uyarıları',
+  'alerts.returnToEr': 'Belgeniz ne zaman acil yardım almanız gerektiğini söylüyor. Bu belirtilerden biri varsa acil servise gidin veya acil numarayı arayın.',
+  'alerts.warningSigns': 'Bu belirtilerden biri varsa hemen doktorunuzla iletişime geçin.',
+  'alerts.criticalLab': 'Kritik laboratuvar sonucu: {name} {value}. Bugün doktorunuzla iletişime geçin.',
+  'alerts.allergy': 'Alerji: {substance}. Her doktora ve eczacıya söyleyin.',
+  'alerts.allergyConflict': '{substance} alerjiniz var, ancak belgenizde {medication} bulunuyor. Almadan önce doktorunuza veya eczacınıza sorun.',
+  'alerts.interaction': '{first} ve {second} birlikte tehlikeli olabilir ({risk}). Almadan önce doktorunuza veya eczacınıza sorun.',
+  'alerts.risk.bleeding': 'ciddi kanama',
+  'alerts.risk.lowBloodPressure': 'çok düşük tansiyon',
+  'alerts.risk.serotoninSyndrome': 'serotonin sendromu',
+  'alerts.risk.breathing': 'yavaşlayan veya duran solunum',
+  'alerts.risk.toxicity': 'ilacın zehirli düzeyleri',
+  'alerts.risk.highPotassium': 'yüksek potasyum',
+  'alerts.risk.muscleDamage': 'kas hasarı',
+  'alerts.note': 'Bu uyarılar otomatik olarak bulunur ve bir şeyi kaçırabilir. Kendinizi çok kötü hissediyorsanız acil numarayı arayın.',
+  'summary.overview': 'Genel bakış',
+  'summary.diagnoses': 'Tanılar',
+  'summary.medications': 'İlaçlar',
+  'summary.followUps': 'Kontrol randevuları',
+  'summary.warningSigns': 'Şu durumlarda hemen yardım alın',
+  'summary.labValues': 'Tahlil sonuçları',
+  'summary.hint': 'Orijinal belgede nereden geldiğini görmek için bir maddeye tıklayın.',
+  'summary.showOriginal': 'Orijinal metni göster',
+  'summary.name': 'Ad',
+  'summary.dose': 'Doz',
+  'summary.frequency': 'Ne sıklıkla',
+  'summary.duration': 'Ne kadar süre',
+  'summary.instructions': 'Talimatlar',
+  'summary.test': 'Tahlil',
+  'summary.result': 'Sonuç',
+  'summary.normalRange': 'Normal aralık',
+  'summary.flag.high': 'yüksek',
+  'summary.flag.low': 'düşük',
+  'summary.flag.abnormal': 'anormal',
+  'summary.flag.critical': 'kritik',
+  'source.title': 'Orijinal metin',
+  'source.close': 'Orijinal metni kapat',
+  'source.page': 'Sayfa {page}',
+  'source.document': 'Belge',
+  'source.closestMatch': 'en yakın eşleşme',
+  'translation.original': 'Orijinal',
+
+  'medications.failed': 'İlaç takvimi oluşturulamadı',
+  'medications.loading': 'İlaçlarınız aranıyor...',
+  'medications.none': 'Bu belgede ilaç bulunamadı.',
+  'medications.print': 'Yazdır',
+  'medications.calendar': 'Takvime ekle',
+  'medications.asNeeded': 'Yalnızca gerektiğinde',
+  'medications.unscheduled': 'Ne zaman alacağınızı doktorunuza veya eczacınıza sorun',
+
+  'readAloud.play': 'Oynat',
+  'readAloud.pause': 'Duraklat',
+  'readAloud.resume': 'Devam et',
+  'readAloud.stop': 'Durdur',
+  'readAloud.speed': 'Hız',
+  'readAloud.download': 'Sesi indir',
+  'readAloud.unsupported': 'Bu tarayıcı sesli okuyamıyor. Bunun yerine sesi indirin.',
+  'readAloud.noVoice': 'Bu cihazda {language} ses yok, bu yüzden doğru duyulmayabilir. Bunun yerine sesi indirin.',
+
+  'chat.hint': 'Bu belge hakkında soru sorun. Yanıtlar yalnızca belgenizde yazanlara dayanır - doktorunuzun yerini tutmaz.',
+  'chat.placeholder': 'örn. İlacımı ne zaman almalıyım?',
+  'chat.send': 'Sor',
+  'chat.thinking': 'Belgenizde aranıyor...',
+  'chat.failed': 'Sorunuz yanıtlanamadı',
+  'chat.urgent': 'Bu durum acil bakım gerektirebilir. Hemen doktorunuzla iletişime geçin veya ciddiyse yerel acil durum numarasını arayın.',
+  'chat.notInDocument': 'Belgenizde bu yazmıyor',
+  'chat.showSources': 'Bu nereden geliyor',
+
+  'history.title': 'Belgeleriniz',
+  'history.patientTitle': '{name} adlı kişinin belgeleri',
+  'history.close': '{title} kapat',
+  'history.loading': 'Yükleniyor...',
+  'history.empty': 'Gönderdiğiniz belgeler yeniden okuyabilmeniz için burada saklanır.',
+  'history.patientEmpty': '{name} adlı kişinin henüz belgesi yok.',
+  'history.delete': 'Sil',
+  'history.deleteLabel': '{fileName} sil',
+  'history.deleteAll': 'Tüm belgelerimi sil',
+  'history.deleteConfirm': '"{fileName}" ve özeti silinsin mi? Bu geri alınamaz.',
+  'history.deleteAllConfirm': 'Tüm belgeleriniz ve özetleriniz sunucudan silinsin mi? Bu geri alınamaz.',
+  'history.loadFailed': 'Belgeleriniz yüklenemedi',
+  'history.deleteFailed': 'Silinemedi',
+
+  'account.signedInAs': '{email} olarak oturum açıldı',
+  'account.caregiversTitle': 'Belgelerinizi kimler görebilir',
+  'account.caregiversHint': 'Bir aile üyesini veya bakıcıyı hesabının e-posta adresiyle ekleyin.',
+  'account.remove': 'Kaldır',
+  'account.removeConfirm': '{name} artık belgelerinizi göremeyecek. Devam edilsin mi?',
+  'account.caregiverEmail': 'Bakıcının e-postası',
+  'account.add': 'Ekle',
+  'account.sharedTitle': 'Sizinle paylaşılanlar',
+  'account.viewDocuments': 'Belgeleri gör',
+  'account.signOut': 'Oturumu kapat',
+  'account.loadCaregiversFailed': 'Bakıcılar yüklenemedi',
+  'account.loadPatientsFailed': 'Hastalar yüklenemedi',
+  'account.addCaregiverFailed': 'Bakıcı eklenemedi',
+  'account.removeCaregiverFailed': 'Bakıcı kaldırılamadı',
+
+  'login.signIn': 'Oturum aç',
+  'login.createTitle': 'Hesap oluştur',
+  'login.createAccount': 'Hesap oluştur',
+  'login.haveAccount': 'Zaten bir hesabım var',
+  'login.name': 'Ad',
+  'login.email': 'E-posta',
+  'login.password': 'Şifre',
+  'login.failed': 'Oturum açılamadı'
+}
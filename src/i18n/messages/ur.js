@@ -0,0 +1,196 @@
+// Urdu texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'آپ کا صحت مترجم',
+  'app.changeLanguage': 'ایپ کی زبان بدلیں',
+  'app.darkMode': 'ڈارک موڈ',
+  'picker.title': 'اپنی زبان منتخب کریں',
+  'picker.hint': 'آپ اسے بعد میں اوپر دیے گئے زبان کے بٹن سے بدل سکتے ہیں۔',
+  'picker.close': 'بند کریں',
+
+  'upload.button': 'دستاویزات یا تصاویر اپ لوڈ کریں',
+  'upload.documents': { one: '{count} دستاویز', other: '{count} دستاویزات' },
+  'upload.photos': { one: '{count} تصویر', other: '{count} تصاویر' },
+  'upload.submit': 'جمع کریں',
+  'upload.processing': 'کارروائی جاری ہے...',
+  'upload.photosQuestion': 'یہ تصاویر کیا ہیں؟',
+  'upload.pagesOfOne': 'ایک ہی دستاویز کے صفحات',
+  'upload.separate': 'الگ الگ دستاویزات',
+  'upload.noScans': 'اسکین شدہ PDF یہاں نہیں پڑھی جا سکتیں - صرف منتخب ہونے والے متن والی PDF۔',
+  'mode.question': 'آپ کو کیا چاہیے؟',
+  'mode.summary': 'خلاصہ',
+  'mode.translation': 'مکمل ترجمہ',
+  'readingLevel.question': 'کتنا آسان ہونا چاہیے؟',
+  'readingLevel.grade4': 'بہت آسان',
+  'readingLevel.grade8': 'آسان',
+  'readingLevel.clinical': 'طبی',
+  'language.question': 'کس زبان میں ترجمہ کریں؟',
+  'language.choose': 'منتخب کریں',
+
+  'job.processing': 'آپ کی دستاویز پر کارروائی ہو رہی ہے...',
+  'job.cancel': 'منسوخ کریں',
+  'job.cancelled': 'کارروائی منسوخ کر دی گئی۔',
+  'stage.uploaded': 'اپ لوڈ ہو گئی',
+  'stage.parsing': 'دستاویز پڑھی جا رہی ہے',
+  'stage.parsingBatch': 'دستاویزات پڑھی جا رہی ہیں',
+  'stage.summarizing': 'خلاصہ لکھا جا رہا ہے',
+  'stage.summarizingBatch': 'خلاصے لکھے جا رہے ہیں',
+  'stage.translating': 'ترجمہ ہو رہا ہے',
+  'stage.combining': 'خلاصے ملائے جا رہے ہیں',
+  'stage.done': 'مکمل',
+
+  'error.prefix': 'خرابی: {message}',
+  'error.noFile': 'براہ کرم پہلے ایک فائل منتخب کریں',
+  'error.noLanguage': 'براہ کرم پہلے ایک زبان منتخب کریں',
+  'error.unsupportedFile': '{fileName} یہاں نہیں پڑھی جا سکتی۔ پڑھی جا سکنے والی فائلیں: {types}',
+  'error.batchTranslation': 'کئی دستاویزات کا صرف اکٹھے خلاصہ بن سکتا ہے۔ ایک وقت میں ایک دستاویز کا ترجمہ کریں۔',
+  'error.processFailed': 'دستاویز پر کارروائی نہیں ہو سکی',
+  'error.serverStatus': 'سرور کی خرابی: {status} {statusText}',
+  'error.generic': 'دستاویز پر کارروائی کے دوران خرابی پیش آئی',
+  'error.cannotConnect': 'سرور سے رابطہ نہیں ہو سکا۔ براہ کرم یقینی بنائیں کہ سرور {url} پر چل رہا ہے',
+  'error.connectionLost': 'دستاویز پر کارروائی کے دوران سرور سے رابطہ ٹوٹ گیا',
+  'error.openFailed': 'دستاویز نہیں کھل سکی',
+
+  'result.summaryTab': 'خلاصہ ({language})',
+  'result.translationTab': 'مکمل ترجمہ ({language})',
+  'result.medicationsTab': 'دواؤں کا شیڈول',
+  'result.listenTab': 'بلند آواز سے پڑھیں',
+  'result.chatTab': 'سوال پوچھیں',
+  'result.placeholder': 'ترجمہ شدہ خلاصہ یہاں نظر آئے گا...',
+  'result.emptyTitle': 'خلاصہ',
+  'result.emptyPlaceholder': 'ترجمہ شدہ خلاصہ یہاں دیکھنے کے لیے ایک دستاویز اپ لوڈ کریں اور زبان منتخب کریں...',
+  'documents.label': 'دستاویزات',
+  'documents.all': 'تمام دستاویزات ({count})',
+
+  'languageNotice.documentLanguage': 'دستاویز کی زبان:',
+  'languageNotice.same': 'لگتا ہے یہ دستاویز پہلے سے ہی {language} میں ہے، جو زبان آپ نے منتخب کی ہے۔ اگر آپ اسے کسی اور زبان میں چاہتے تھے تو دوسری زبان منتخب کریں۔',
+  'languageNotice.partly': 'اس دستاویز کے کچھ حصے پہلے سے ہی {language} میں ہیں، جو زبان آپ نے منتخب کی ہے - ان حصوں کو جوں کا توں رکھا گیا ہے۔',
+  'ocr.hardToRead': {
+    one: 'آپ کی تصویر کے کچھ حصے پڑھنا مشکل تھا ({confidence}% اعتماد)، اس لیے کچھ الفاظ یا اعداد غلط ہو سکتے ہیں۔ نتیجے کو اپنے کاغذات سے ملائیں، یا تصویر کو سیدھا رکھ کر، اچھی روشنی میں اور واضح فوکس کے ساتھ دوبارہ لیں۔',
+    other: 'آپ کی تصاویر کے کچھ حصے پڑھنا مشکل تھا ({confidence}% اعتماد)، اس لیے کچھ الفاظ یا اعداد غلط ہو سکتے ہیں۔ نتیجے کو اپنے کاغذات سے ملائیں، یا تصاویر کو سیدھا رکھ کر، اچھی روشنی میں اور واضح فوکس کے ساتھ دوبارہ لیں۔'
+  },
+  'ocr.hardest': 'سب سے مشکل سے پڑھی گئیں: {pages}',
+  'ocr.page': 'تصویر {page} ({fileName})',
+  'numericCheck.flagged': 'کچھ اعداد آپ کی دستاویز سے میل نہیں کھاتے۔ انہیں نیچے نمایاں کیا گیا ہے - اپنے ڈاکٹر یا فارماسسٹ سے ان کی تصدیق کریں:',
+  'numericCheck.documentSays': 'دستاویز میں {expected} لکھا ہے',
+  'numericCheck.notFound': 'دستاویز میں نہیں ملا',
+  'numericCheck.missing': 'آپ کی دستاویز کی وہ خوراکیں جن کا یہاں ذکر نہیں: {values}',
+  'numericCheck.checkValue': 'یہ قدر جانچیں - دستاویز میں {expected} لکھا ہے',
+  'numericCheck.checkMissing': 'یہ قدر جانچیں - یہ دستاویز میں نہیں ملی',
+  'termCheck.title': 'ہو سکتا ہے کچھ اہم اصطلاحات بدل گئی ہوں یا رہ گئی ہوں۔ انہیں اپنی اصل دستاویز سے ملائیں:',
+  'termCheck.dropped': 'رہ گئی',
+  'termCheck.untranslated': 'لغت کے مطابق ترجمہ نہیں ہوا',
+  'termCheck.dosage': 'خوراک بدل گئی یا موجود نہیں',
+  'termCheck.expected': 'متوقع "{expected}"',
+  'readingLevelNote.label': 'پڑھنے کی سطح:',
+  'readingLevelNote.grade4': 'چوتھی جماعت',
+  'readingLevelNote.grade8': 'آٹھویں جماعت',
+  'readingLevelNote.clinical': 'طبی',
+  'readingLevelNote.measured': 'جماعت {grade} کی سطح پر ناپا گیا ({formula})',
+  'readingLevelNote.above': 'اب بھی جماعت {grade} سے اوپر ہے، کچھ حصے پڑھنا مشکل ہو سکتا ہے',
+
+  'alerts.title': 'اہم حفاظتی انتباہات',
+  'alerts.returnToEr': 'آپ کی دستاویز بتاتی ہے کہ ہنگامی علاج کب لینا ہے۔ اگر آپ کو ان میں سے کوئی علامت ہو تو ایمرجنسی جائیں یا ہنگامی نمبر پر کال کریں۔',
+  'alerts.warningSigns': 'اگر آپ کو ان میں سے کوئی علامت ہو تو فوراً اپنے ڈاکٹر سے رابطہ کریں۔',
+  'alerts.criticalLab': 'سنگین لیب نتیجہ: {name} {value}۔ آج ہی اپنے ڈاکٹر سے رابطہ کریں۔',
+  'alerts.allergy': 'الرجی: {substance}۔ ہر ڈاکٹر اور فارماسسٹ کو بتائیں۔',
+  'alerts.allergyConflict': 'آپ کو {substance} سے الرجی ہے، لیکن آپ کی دستاویز میں {medication} ہے۔ لینے سے پہلے اپنے ڈاکٹر یا فارماسسٹ سے پوچھیں۔',
+  'alerts.interaction': '{first} اور {second} ایک ساتھ خطرناک ہو سکتے ہیں ({risk})۔ لینے سے پہلے اپنے ڈاکٹر یا فارماسسٹ سے پوچھیں۔',
+  'alerts.risk.bleeding': 'شدید خون بہنا',
+  'alerts.risk.lowBloodPressure': 'بہت کم بلڈ پریشر',
+  'alerts.risk.serotoninSyndrome': 'سیروٹونن سنڈروم',
+  'alerts.risk.breathing': 'سست یا رکی ہوئی سانس',
+  'alerts.risk.toxicity': 'دوا کی زہریلی سطح',
+  'alerts.risk.highPotassium': 'زیادہ پوٹاشیم',
+  'alerts.risk.muscleDamage': 'پٹھوں کو نقصان',
+  'alerts.note': 'یہ انتباہات خود بخود تلاش کیے جاتے ہیں اور کچھ چھوٹ سکتا ہے۔ اگر آپ بہت بیمار محسوس کریں تو ہنگامی نمبر پر کال کریں۔',
+  'summary.overview': 'جائزہ',
+  'summary.diagnoses': 'تشخیص',
+  'summary.medications': 'دوائیں',
+  'summary.followUps': 'اگلی ملاقاتیں',
+  'summary.warningSigns': 'فوراً مدد لیں اگر',
+  'summary.labValues': 'ٹیسٹ کے نتائج',
+  'summary.hint': 'کسی نکتے پر کلک کریں تاکہ دیکھ سکیں کہ وہ اصل دستاویز میں کہاں سے آیا ہے۔',
+  'summary.showOriginal': 'اصل متن دکھائیں',
+  'summary.name': 'نام',
+  'summary.dose': 'خوراک',
+  'summary.frequency': 'کتنی بار',
+  'summary.duration': 'کتنی مدت',
+  'summary.instructions': 'ہدایات',
+  'summary.test': 'ٹیسٹ',
+  'summary.result': 'نتیجہ',
+  'summary.normalRange': 'نارمل حد',
+  'summary.flag.high': 'زیادہ',
+  'summary.flag.low': 'کم',
+  'summary.flag.abnormal': 'غیر معمولی',
+  'summary.flag.critical': 'تشویشناک',
+  'source.title': 'اصل متن',
+  'source.close': 'اصل متن بند کریں',
+  'source.page': 'صفحہ {page}',
+  'source.document': 'دستاویز',
+  'source.closestMatch': 'قریب ترین مماثلت',
+  'translation.original': 'اصل',
+
+  'medications.failed': 'دواؤں کا شیڈول نہیں بن سکا',
+  'medications.loading': 'آپ کی دوائیں تلاش کی جا رہی ہیں...',
+  'medications.none': 'اس دستاویز میں کوئی دوا نہیں ملی۔',
+  'medications.print': 'پرنٹ کریں',
+  'medications.calendar': 'کیلنڈر میں شامل کریں',
+  'medications.asNeeded': 'صرف ضرورت پڑنے پر',
+  'medications.unscheduled': 'کب لینی ہیں، یہ اپنے ڈاکٹر یا فارماسسٹ سے پوچھیں',
+
+  'readAloud.play': 'چلائیں',
+  'readAloud.pause': 'روکیں',
+  'readAloud.resume': 'جاری رکھیں',
+  'readAloud.stop': 'بند کریں',
+  'readAloud.speed': 'رفتار',
+  'readAloud.download': 'آڈیو ڈاؤن لوڈ کریں',
+  'readAloud.unsupported': 'یہ براؤزر بلند آواز سے نہیں پڑھ سکتا۔ اس کے بجائے آڈیو ڈاؤن لوڈ کریں۔',
+  'readAloud.noVoice': 'اس ڈیوائس میں {language} کی آواز نہیں ہے، اس لیے یہ ٹھیک سنائی نہ دے۔ اس کے بجائے آڈیو ڈاؤن لوڈ کریں۔',
+
+  'chat.hint': 'اس دستاویز کے بارے میں پوچھیں۔ جوابات صرف آپ کی دستاویز میں لکھی باتوں پر مبنی ہیں - یہ آپ کے ڈاکٹر کا متبادل نہیں۔',
+  'chat.placeholder': 'مثلاً: مجھے دوا کب لینی ہے؟',
+  'chat.send': 'پوچھیں',
+  'chat.thinking': 'آپ کی دستاویز میں تلاش ہو رہی ہے...',
+  'chat.failed': 'آپ کے سوال کا جواب نہیں دیا جا سکا',
+  'chat.urgent': 'اس کے لیے فوری دیکھ بھال کی ضرورت ہو سکتی ہے۔ ابھی اپنے ڈاکٹر سے رابطہ کریں، یا سنگین ہو تو مقامی ایمرجنسی نمبر پر کال کریں۔',
+  'chat.notInDocument': 'آپ کی دستاویز میں یہ نہیں لکھا',
+  'chat.showSources': 'یہ کہاں سے لیا گیا ہے',
+
+  'history.title': 'آپ کی دستاویزات',
+  'history.patientTitle': '{name} کی دستاویزات',
+  'history.close': '{title} بند کریں',
+  'history.loading': 'لوڈ ہو رہا ہے...',
+  'history.empty': 'آپ کی جمع کرائی گئی دستاویزات یہاں رکھی جاتی ہیں تاکہ آپ انہیں دوبارہ پڑھ سکیں۔',
+  'history.patientEmpty': '{name} کے پاس ابھی کوئی دستاویز نہیں۔',
+  'history.delete': 'حذف کریں',
+  'history.deleteLabel': '{fileName} حذف کریں',
+  'history.deleteAll': 'میری تمام دستاویزات حذف کریں',
+  'history.deleteConfirm': '"{fileName}" اور اس کا خلاصہ حذف کریں؟ یہ واپس نہیں ہو سکتا۔',
+  'history.deleteAllConfirm': 'سرور سے اپنی تمام دستاویزات اور خلاصے حذف کریں؟ یہ واپس نہیں ہو سکتا۔',
+  'history.loadFailed': 'آپ کی دستاویزات لوڈ نہیں ہو سکیں',
+  'history.deleteFailed': 'حذف نہیں ہو سکا',
+
+  'account.signedInAs': '{email} کے طور پر سائن ان',
+  'account.caregiversTitle': 'آپ کی دستاویزات کون دیکھ سکتا ہے',
+  'account.caregiversHint': 'خاندان کے کسی فرد یا نگہداشت کرنے والے کو ان کے اکاؤنٹ کی ای میل سے شامل کریں۔',
+  'account.remove': 'ہٹائیں',
+  'account.removeConfirm': '{name} اب آپ کی دستاویزات نہیں دیکھ سکیں گے۔ جاری رکھیں؟',
+  'account.caregiverEmail': 'نگہداشت کرنے والے کی ای میل',
+  'account.add': 'شامل کریں',
+  'account.sharedTitle': 'آپ کے ساتھ شیئر کی گئیں',
+  'account.viewDocuments': 'دستاویزات دیکھیں',
+  'account.signOut': 'سائن آؤٹ',
+  'account.loadCaregiversFailed': 'نگہداشت کرنے والے لوڈ نہیں ہو سکے',
+  'account.loadPatientsFailed': 'مریض لوڈ نہیں ہو سکے',
+  'account.addCaregiverFailed': 'نگہداشت کرنے والے کو شامل نہیں کیا جا سکا',
+  'account.removeCaregiverFailed': 'نگہداشت کرنے والے کو ہٹایا نہیں جا سکا',
+
+  'login.signIn': 'سائن ان کریں',
+  'login.createTitle': 'اکاؤنٹ بنائیں',
+  'login.createAccount': 'اکاؤنٹ بنائیں',
+  'login.haveAccount': 'میرا پہلے سے اکاؤنٹ ہے',
+  'login.name': 'نام',
+  'login.email': 'ای میل',
+  'login.password': 'پاس ورڈ',
+  'login.failed': 'سائن ان نہیں ہو سکا'
+}
@@ -0,0 +1,195 @@
+// Vietnamese texts of the web app - the keys are those of en.js
+export default {
+  'app.title': 'Trình dịch sức khỏe của bạn',
+  'app.changeLanguage': 'Đổi ngôn ngữ của ứng dụng',
+  'app.darkMode': 'Chế độ tối',
+  'picker.title': 'Chọn ngôn ngữ của bạn',
+  'picker.hint': 'Bạn có thể đổi lại sau bằng nút ngôn ngữ ở trên cùng.',
+  'picker.close': 'Đóng',
+
+  'upload.button': 'Tải lên tài liệu hoặc ảnh',
+  'upload.documents': { other: '{count} tài liệu' },
+  'upload.photos': { other: '{count} ảnh' },
+  'upload.submit': 'Gửi',
+  'upload.processing': 'Đang xử lý...',
+  'upload.photosQuestion': 'Những ảnh này là gì?',
+  'upload.pagesOfOne': 'Các trang của một tài liệu',
+  'upload.separate': 'Các tài liệu riêng',
+  'upload.noScans': 'Không thể đọc PDF được quét tại đây - chỉ đọc được PDF có văn bản chọn được.',
+  'mode.question': 'Bạn cần gì?',
+  'mode.summary': 'Tóm tắt',
+  'mode.translation': 'Bản dịch đầy đủ',
+  'readingLevel.question': 'Cần đơn giản đến mức nào?',
+  'readingLevel.grade4': 'Rất đơn giản',
+  'readingLevel.grade8': 'Đơn giản',
+  'readingLevel.clinical': 'Chuyên môn',
+  'language.question': 'Dịch sang ngôn ngữ nào?',
+  'language.choose': 'chọn',
+
+  'job.processing': 'Đang xử lý tài liệu của bạn...',
+  'job.cancel': 'Hủy',
+  'job.cancelled': 'Đã hủy việc xử lý.',
+  'stage.uploaded': 'Đã tải lên',
+  'stage.parsing': 'Đang đọc tài liệu',
+  'stage.parsingBatch': 'Đang đọc các tài liệu',
+  'stage.summarizing': 'Đang viết tóm tắt',
+  'stage.summarizingBatch': 'Đang viết các bản tóm tắt',
+  'stage.translating': 'Đang dịch',
+  'stage.combining': 'Đang gộp các bản tóm tắt',
+  'stage.done': 'Xong',
+
+  'error.prefix': 'Lỗi: {message}',
+  'error.noFile': 'Vui lòng chọn tệp trước',
+  'error.noLanguage': 'Vui lòng chọn ngôn ngữ trước',
+  'error.unsupportedFile': 'Không thể đọc {fileName} tại đây. Các tệp đọc được: {types}',
+  'error.batchTranslation': 'Nhiều tài liệu chỉ có thể được tóm tắt cùng nhau. Hãy dịch từng tài liệu một.',
+  'error.processFailed': 'Không xử lý được tài liệu',
+  'error.serverStatus': 'Lỗi máy chủ: {status} {statusText}',
+  'error.generic': 'Đã xảy ra lỗi khi xử lý tài liệu',
+  'error.cannotConnect': 'Không kết nối được với máy chủ. Hãy kiểm tra máy chủ có đang chạy tại {url} không',
+  'error.connectionLost': 'Mất kết nối với máy chủ trong khi xử lý tài liệu',
+  'error.openFailed': 'Không mở được tài liệu',
+
+  'result.summaryTab': 'Tóm tắt ({language})',
+  'result.translationTab': 'Bản dịch đầy đủ ({language})',
+  'result.medicationsTab': 'Lịch uống thuốc',
+  'result.listenTab': 'Đọc to',
+  'result.chatTab': 'Đặt câu hỏi',
+  'result.placeholder': 'Bản tóm tắt đã dịch sẽ hiện ở đây...',
+  'result.emptyTitle': 'Tóm tắt',
+  'result.emptyPlaceholder': 'Tải lên một tài liệu và chọn ngôn ngữ để xem bản tóm tắt đã dịch ở đây...',
+  'documents.label': 'Tài liệu',
+  'documents.all': 'Tất cả tài liệu ({count})',
+
+  'languageNotice.documentLanguage': 'Ngôn ngữ của tài liệu:',
+  'languageNotice.same': 'Tài liệu này có vẻ đã là {language}, ngôn ngữ bạn chọn. Hãy chọn ngôn ngữ khác nếu bạn muốn một ngôn ngữ khác.',
+  'languageNotice.partly': 'Một số phần của tài liệu này đã là {language}, ngôn ngữ bạn chọn - những phần đó được giữ nguyên.',
+  'ocr.hardToRead': {
+    other: 'Một số phần trong ảnh của bạn khó đọc (độ tin cậy {confidence}%), nên có thể có chữ hoặc số bị sai. Hãy đối chiếu kết quả với giấy tờ của bạn, hoặc chụp lại ảnh thật phẳng, đủ sáng và rõ nét.'
+  },
+  'ocr.hardest': 'Khó đọc nhất: {pages}',
+  'ocr.page': 'ảnh {page} ({fileName})',
+  'numericCheck.flagged': 'Một số con số không khớp với tài liệu của bạn. Chúng được tô sáng bên dưới - hãy kiểm tra lại với bác sĩ hoặc dược sĩ:',
+  'numericCheck.documentSays': 'tài liệu ghi {expected}',
+  'numericCheck.notFound': 'không có trong tài liệu',
+  'numericCheck.missing': 'Liều lượng trong tài liệu không được nhắc đến ở đây: {values}',
+  'numericCheck.checkValue': 'Hãy kiểm tra giá trị này - tài liệu ghi {expected}',
+  'numericCheck.checkMissing': 'Hãy kiểm tra giá trị này - không tìm thấy trong tài liệu',
+  'termCheck.title': 'Một số thuật ngữ quan trọng có thể đã bị thay đổi hoặc bỏ sót. Hãy đối chiếu với tài liệu gốc:',
+  'termCheck.dropped': 'bị bỏ sót',
+  'termCheck.untranslated': 'không được dịch theo bảng thuật ngữ',
+  'termCheck.dosage': 'liều bị thay đổi hoặc thiếu',
+  'termCheck.expected': 'cần là "{expected}"',
+  'readingLevelNote.label': 'Mức độ đọc:',
+  'readingLevelNote.grade4': 'Lớp 4',
+  'readingLevelNote.grade8': 'Lớp 8',
+  'readingLevelNote.clinical': 'Chuyên môn',
+  'readingLevelNote.measured': 'đo được ở mức lớp {grade} ({formula})',
+  'readingLevelNote.above': 'vẫn cao hơn lớp {grade}, một số phần có thể khó đọc',
+
+  'alerts.title': 'Cảnh báo an toàn quan trọng',
+  'alerts.returnToEr': 'Tài liệu của bạn cho biết khi nào cần cấp cứu. Hãy đến phòng cấp cứu hoặc gọi số cấp cứu nếu bạn có bất kỳ dấu hiệu nào sau đây.',
+  'alerts.warningSigns': 'Hãy liên hệ ngay với bác sĩ nếu bạn có bất kỳ dấu hiệu nào sau đây.',
+  'alerts.criticalLab': 'Kết quả xét nghiệm nguy hiểm: {name} {value}. Hãy liên hệ với bác sĩ trong hôm nay.',
+  'alerts.allergy': 'Dị ứng: {substance}. Hãy báo cho mọi bác sĩ và dược sĩ.',
+  'alerts.allergyConflict': 'Bạn bị dị ứng với {substance}, nhưng {medication} có trong tài liệu của bạn. Hãy hỏi bác sĩ hoặc dược sĩ trước khi dùng.',
+  'alerts.interaction': '{first} và {second} có thể nguy hiểm khi dùng cùng nhau ({risk}). Hãy hỏi bác sĩ hoặc dược sĩ trước khi dùng.',
+  'alerts.risk.bleeding': 'chảy máu nghiêm trọng',
+  'alerts.risk.lowBloodPressure': 'huyết áp rất thấp',
+  'alerts.risk.serotoninSyndrome': 'hội chứng serotonin',
+  'alerts.risk.breathing': 'thở chậm hoặc ngừng thở',
+  'alerts.risk.toxicity': 'nồng độ thuốc gây độc',
+  'alerts.risk.highPotassium': 'kali cao',
+  'alerts.risk.muscleDamage': 'tổn thương cơ',
+  'alerts.note': 'Các cảnh báo này được tìm tự động và có thể bỏ sót. Nếu bạn cảm thấy rất mệt, hãy gọi số cấp cứu.',
+  'summary.overview': 'Tổng quan',
+  'summary.diagnoses': 'Chẩn đoán',
+  'summary.medications': 'Thuốc',
+  'summary.followUps': 'Lịch tái khám',
+  'summary.warningSigns': 'Hãy tìm trợ giúp ngay nếu',
+  'summary.labValues': 'Kết quả xét nghiệm',
+  'summary.hint': 'Nhấn vào một ý để xem nó lấy từ đâu trong tài liệu gốc.',
+  'summary.showOriginal': 'Hiện văn bản gốc',
+  'summary.name': 'Tên',
+  'summary.dose': 'Liều',
+  'summary.frequency': 'Bao lâu một lần',
+  'summary.duration': 'Trong bao lâu',
+  'summary.instructions': 'Hướng dẫn',
+  'summary.test': 'Xét nghiệm',
+  'summary.result': 'Kết quả',
+  'summary.normalRange': 'Khoảng bình thường',
+  'summary.flag.high': 'cao',
+  'summary.flag.low': 'thấp',
+  'summary.flag.abnormal': 'bất thường',
+  'summary.flag.critical': 'nguy hiểm',
+  'source.title': 'Văn bản gốc',
+  'source.close': 'Đóng văn bản gốc',
+  'source.page': 'Trang {page}',
+  'source.document': 'Tài liệu',
+  'source.closestMatch': 'đoạn gần giống nhất',
+  'translation.original': 'Bản gốc',
+
+  'medications.failed': 'Không lập được lịch uống thuốc',
+  'medications.loading': 'Đang tìm thuốc của bạn...',
+  'medications.none': 'Không tìm thấy thuốc nào trong tài liệu này.',
+  'medications.print': 'In',
+  'medications.calendar': 'Thêm vào lịch',
+  'medications.asNeeded': 'Chỉ khi cần',
+  'medications.unscheduled': 'Hỏi bác sĩ hoặc dược sĩ khi nào nên uống',
+
+  'readAloud.play': 'Phát',
+  'readAloud.pause': 'Tạm dừng',
+  'readAloud.resume': 'Tiếp tục',
+  'readAloud.stop': 'Dừng',
+  'readAloud.speed': 'Tốc độ',
+  'readAloud.download': 'Tải âm thanh',
+  'readAloud.unsupported': 'Trình duyệt này không đọc to được. Hãy tải âm thanh xuống.',
+  'readAloud.noVoice': 'Thiết bị này không có giọng {language}, nên có thể nghe không đúng. Hãy tải âm thanh xuống.',
+
+  'chat.hint': 'Hỏi về tài liệu này. Câu trả lời chỉ dựa trên nội dung tài liệu của bạn - không thay thế bác sĩ của bạn.',
+  'chat.placeholder': 'vd. Khi nào tôi uống thuốc?',
+  'chat.send': 'Hỏi',
+  'chat.thinking': 'Đang tìm trong tài liệu của bạn...',
+  'chat.failed': 'Không thể trả lời câu hỏi của bạn',
+  'chat.urgent': 'Tình trạng này có thể cần được chăm sóc ngay. Hãy liên hệ bác sĩ ngay, hoặc gọi số cấp cứu tại địa phương nếu nghiêm trọng.',
+  'chat.notInDocument': 'Tài liệu của bạn không nói điều này',
+  'chat.showSources': 'Nguồn của thông tin này',
+
+  'history.title': 'Tài liệu của bạn',
+  'history.patientTitle': 'Tài liệu của {name}',
+  'history.close': 'Đóng {title}',
+  'history.loading': 'Đang tải...',
+  'history.empty': 'Tài liệu bạn gửi được lưu ở đây để bạn có thể đọc lại.',
+  'history.patientEmpty': '{name} chưa có tài liệu nào.',
+  'history.delete': 'Xóa',
+  'history.deleteLabel': 'Xóa {fileName}',
+  'history.deleteAll': 'Xóa tất cả tài liệu của tôi',
+  'history.deleteConfirm': 'Xóa "{fileName}" và bản tóm tắt của nó? Không thể hoàn tác.',
+  'history.deleteAllConfirm': 'Xóa tất cả tài liệu và bản tóm tắt của bạn khỏi máy chủ? Không thể hoàn tác.',
+  'history.loadFailed': 'Không tải được tài liệu của bạn',
+  'history.deleteFailed': 'Không xóa được',
+
+  'account.signedInAs': 'Đã đăng nhập với {email}',
+  'account.caregiversTitle': 'Ai có thể xem tài liệu của bạn',
+  'account.caregiversHint': 'Thêm người thân hoặc người chăm sóc bằng email tài khoản của họ.',
+  'account.remove': 'Gỡ',
+  'account.removeConfirm': '{name} sẽ không xem được tài liệu của bạn nữa. Tiếp tục?',
+  'account.caregiverEmail': 'Email người chăm sóc',
+  'account.add': 'Thêm',
+  'account.sharedTitle': 'Được chia sẻ với bạn',
+  'account.viewDocuments': 'Xem tài liệu',
+  'account.signOut': 'Đăng xuất',
+  'account.loadCaregiversFailed': 'Không tải được danh sách người chăm sóc',
+  'account.loadPatientsFailed': 'Không tải được danh sách bệnh nhân',
+  'account.addCaregiverFailed': 'Không thêm được người chăm sóc',
+  'account.removeCaregiverFailed': 'Không gỡ được người chăm sóc',
+
+  'login.signIn': 'Đăng nhập',
+  'login.createTitle': 'Tạo tài khoản',
+  'login.createAccount': 'Tạo tài khoản',
+  'login.haveAccount': 'Tôi đã có tài khoản',
+  'login.name': 'Tên',
+  'login.email': 'Email',
+  'login.password': 'Mật khẩu',
+  'login.failed': 'Không đăng nhập được'
+}
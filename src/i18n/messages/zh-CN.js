@@ -0,0 +1,195 @@
+// Simplified Chinese texts of the web app - the keys are those of en.js
+export default {
+  'app.title': '您的健康翻译助手',
+  'app.changeLanguage': '更改应用语言',
+  'app.darkMode': '深色模式',
+  'picker.title': '请选择您的语言',
+  'picker.hint': '之后可以通过顶部的语言按钮更改。',
+  'picker.close': '关闭',
+
+  'upload.button': '上传文件或照片',
+  'upload.documents': { other: '{count} 份文件' },
+  'upload.photos': { other: '{count} 张照片' },
+  'upload.submit': '提交',
+  'upload.processing': '处理中...',
+  'upload.photosQuestion': '这些照片是什么？',
+  'upload.pagesOfOne': '同一份文件的多页',
+  'upload.separate': '不同的文件',
+  'upload.noScans': '此处无法读取扫描的 PDF，只能读取包含可选文本的 PDF。',
+  'mode.question': '您需要什么？',
+  'mode.summary': '摘要',
+  'mode.translation': '全文翻译',
+  'readingLevel.question': '需要多简单？',
+  'readingLevel.grade4': '非常简单',
+  'readingLevel.grade8': '简单',
+  'readingLevel.clinical': '专业',
+  'language.question': '翻译成哪种语言？',
+  'language.choose': '选择',
+
+  'job.processing': '正在处理您的文件...',
+  'job.cancel': '取消',
+  'job.cancelled': '处理已取消。',
+  'stage.uploaded': '已上传',
+  'stage.parsing': '正在读取文件',
+  'stage.parsingBatch': '正在读取文件',
+  'stage.summarizing': '正在撰写摘要',
+  'stage.summarizingBatch': '正在撰写各份摘要',
+  'stage.translating': '正在翻译',
+  'stage.combining': '正在合并摘要',
+  'stage.done': '完成',
+
+  'error.prefix': '错误：{message}',
+  'error.noFile': '请先选择文件',
+  'error.noLanguage': '请先选择语言',
+  'error.unsupportedFile': '此处无法读取 {fileName}。可读取的文件：{types}',
+  'error.batchTranslation': '多份文件只能一起生成摘要。请一次翻译一份文件。',
+  'error.processFailed': '无法处理文件',
+  'error.serverStatus': '服务器错误：{status} {statusText}',
+  'error.generic': '处理文件时出错',
+  'error.cannotConnect': '无法连接服务器。请确认服务器正在 {url} 上运行',
+  'error.connectionLost': '处理文件时与服务器的连接中断',
+  'error.openFailed': '无法打开文件',
+
+  'result.summaryTab': '摘要（{language}）',
+  'result.translationTab': '全文翻译（{language}）',
+  'result.medicationsTab': '用药时间表',
+  'result.listenTab': '朗读',
+  'result.chatTab': '提问',
+  'result.placeholder': '翻译后的摘要将显示在这里...',
+  'result.emptyTitle': '摘要',
+  'result.emptyPlaceholder': '上传文件并选择语言，即可在这里看到翻译后的摘要...',
+  'documents.label': '文件',
+  'documents.all': '全部文件（{count}）',
+
+  'languageNotice.documentLanguage': '文件语言：',
+  'languageNotice.same': '这份文件似乎已经是{language}，也就是您选择的语言。如果您想要其他语言，请另选一种。',
+  'languageNotice.partly': '这份文件的部分内容已经是{language}，也就是您选择的语言——这些部分保持原样。',
+  'ocr.hardToRead': {
+    other: '您照片中的部分内容难以辨认（可信度 {confidence}%），因此一些文字或数字可能有误。请对照您的纸质文件核对结果，或在光线充足的地方把文件放平、对准焦点后重新拍摄。'
+  },
+  'ocr.hardest': '最难辨认：{pages}',
+  'ocr.page': '第 {page} 张照片（{fileName}）',
+  'numericCheck.flagged': '有些数字与您的文件不符，已在下方标出——请与医生或药剂师核对：',
+  'numericCheck.documentSays': '文件中写的是 {expected}',
+  'numericCheck.notFound': '文件中没有找到',
+  'numericCheck.missing': '文件中有但这里没有提到的剂量：{values}',
+  'numericCheck.checkValue': '请核对此数值——文件中写的是 {expected}',
+  'numericCheck.checkMissing': '请核对此数值——文件中没有找到',
+  'termCheck.title': '一些重要术语可能被改动或遗漏。请对照原始文件核对：',
+  'termCheck.dropped': '被遗漏',
+  'termCheck.untranslated': '未按术语表翻译',
+  'termCheck.dosage': '剂量被改动或缺失',
+  'termCheck.expected': '应为“{expected}”',
+  'readingLevelNote.label': '阅读难度：',
+  'readingLevelNote.grade4': '四年级',
+  'readingLevelNote.grade8': '八年级',
+  'readingLevelNote.clinical': '专业',
+  'readingLevelNote.measured': '测得为 {grade} 年级（{formula}）',
+  'readingLevelNote.above': '仍高于 {grade} 年级，部分内容可能较难理解',
+
+  'alerts.title': '重要安全警告',
+  'alerts.returnToEr': '您的文件说明了何时需要急诊。如果出现以下任何症状，请前往急诊室或拨打急救电话。',
+  'alerts.warningSigns': '如果出现以下任何症状，请立即联系您的医生。',
+  'alerts.criticalLab': '危急化验结果：{name} {value}。请今天联系您的医生。',
+  'alerts.allergy': '过敏：{substance}。请告诉每位医生和药剂师。',
+  'alerts.allergyConflict': '您对{substance}过敏，但您的文件中有{medication}。服用前请咨询医生或药剂师。',
+  'alerts.interaction': '{first}和{second}同时使用可能有危险（{risk}）。服用前请咨询医生或药剂师。',
+  'alerts.risk.bleeding': '严重出血',
+  'alerts.risk.lowBloodPressure': '血压过低',
+  'alerts.risk.serotoninSyndrome': '血清素综合征',
+  'alerts.risk.breathing': '呼吸减慢或停止',
+  'alerts.risk.toxicity': '药物中毒水平',
+  'alerts.risk.highPotassium': '高血钾',
+  'alerts.risk.muscleDamage': '肌肉损伤',
+  'alerts.note': '这些警告是自动识别的，可能有遗漏。如果您感觉非常不适，请拨打急救电话。',
+  'summary.overview': '概述',
+  'summary.diagnoses': '诊断',
+  'summary.medications': '药物',
+  'summary.followUps': '复诊安排',
+  'summary.warningSigns': '出现以下情况请立即求助',
+  'summary.labValues': '化验结果',
+  'summary.hint': '点击某一条，可查看它在原始文件中的出处。',
+  'summary.showOriginal': '显示原文',
+  'summary.name': '名称',
+  'summary.dose': '剂量',
+  'summary.frequency': '频率',
+  'summary.duration': '疗程',
+  'summary.instructions': '用法说明',
+  'summary.test': '检查项目',
+  'summary.result': '结果',
+  'summary.normalRange': '正常范围',
+  'summary.flag.high': '偏高',
+  'summary.flag.low': '偏低',
+  'summary.flag.abnormal': '异常',
+  'summary.flag.critical': '危急',
+  'source.title': '原文',
+  'source.close': '关闭原文',
+  'source.page': '第 {page} 页',
+  'source.document': '文件',
+  'source.closestMatch': '最接近的段落',
+  'translation.original': '原文',
+
+  'medications.failed': '无法生成用药时间表',
+  'medications.loading': '正在查找您的药物...',
+  'medications.none': '这份文件中没有找到药物。',
+  'medications.print': '打印',
+  'medications.calendar': '添加到日历',
+  'medications.asNeeded': '仅在需要时',
+  'medications.unscheduled': '请询问医生或药剂师何时服用',
+
+  'readAloud.play': '播放',
+  'readAloud.pause': '暂停',
+  'readAloud.resume': '继续',
+  'readAloud.stop': '停止',
+  'readAloud.speed': '语速',
+  'readAloud.download': '下载音频',
+  'readAloud.unsupported': '此浏览器无法朗读。请改为下载音频。',
+  'readAloud.noVoice': '此设备没有{language}语音，听起来可能不准确。请改为下载音频。',
+
+  'chat.hint': '询问有关此文件的问题。回答只依据您的文件内容，不能代替您的医生。',
+  'chat.placeholder': '例如：我什么时候吃药？',
+  'chat.send': '提问',
+  'chat.thinking': '正在查找您的文件...',
+  'chat.failed': '无法回答您的问题',
+  'chat.urgent': '这可能需要立即就医。请立即联系您的医生；如果情况严重，请拨打当地急救电话。',
+  'chat.notInDocument': '您的文件中没有提到',
+  'chat.showSources': '出处',
+
+  'history.title': '您的文件',
+  'history.patientTitle': '{name} 的文件',
+  'history.close': '关闭{title}',
+  'history.loading': '加载中...',
+  'history.empty': '您提交的文件会保存在这里，方便您再次阅读。',
+  'history.patientEmpty': '{name} 还没有文件。',
+  'history.delete': '删除',
+  'history.deleteLabel': '删除 {fileName}',
+  'history.deleteAll': '删除我的所有文件',
+  'history.deleteConfirm': '删除“{fileName}”及其摘要？此操作无法撤销。',
+  'history.deleteAllConfirm': '从服务器删除您的所有文件和摘要？此操作无法撤销。',
+  'history.loadFailed': '无法加载您的文件',
+  'history.deleteFailed': '删除失败',
+
+  'account.signedInAs': '已登录：{email}',
+  'account.caregiversTitle': '谁可以查看您的文件',
+  'account.caregiversHint': '通过家人或照护者账户的电子邮箱添加他们。',
+  'account.remove': '移除',
+  'account.removeConfirm': '{name} 将无法再查看您的文件。要继续吗？',
+  'account.caregiverEmail': '照护者的电子邮箱',
+  'account.add': '添加',
+  'account.sharedTitle': '与您共享的',
+  'account.viewDocuments': '查看文件',
+  'account.signOut': '退出登录',
+  'account.loadCaregiversFailed': '无法加载照护者',
+  'account.loadPatientsFailed': '无法加载患者',
+  'account.addCaregiverFailed': '无法添加照护者',
+  'account.removeCaregiverFailed': '无法移除照护者',
+
+  'login.signIn': '登录',
+  'login.createTitle': '创建账户',
+  'login.createAccount': '创建账户',
+  'login.haveAccount': '我已有账户',
+  'login.name': '姓名',
+  'login.email': '电子邮箱',
+  'login.password': '密码',
+  'login.failed': '登录失败'
+}
@@ -0,0 +1,33 @@
+// Helpers for reading results aloud with the browser's speech synthesis
+
+// Markdown to text that reads well aloud: no heading marks, list bullets, emphasis or table pipes
+export function toPlainText(markdown) {
+  return markdown
+    .split('\n')
+    .filter(line => !/^\s*\|?\s*:?-{3,}/.test(line))
+    .map(line => line
+      .replace(/^\s*(#{1,6}|[-*+]|\d+[.)])\s+/, '')
+      .replace(/[*_`]/g, '')
+      .replace(/\s*\|\s*/g, ', ')
+      .replace(/^, |, $/g, '')
+      .trim())
+    .filter(Boolean)
+    .join('\n')
+}
+
+// Sentences (and lines) in reading order, including full stops used by CJK, Arabic and Hindi scripts
+export function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?。！？؟।])\s+|(?<=[。！？])|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+}
+
+// Best installed voice for a language code: an exact match ("zh-CN"), then the same base language ("zh")
+export function findVoice(voices, languageCode) {
+  const code = languageCode.toLowerCase()
+  const base = code.split('-')[0]
+  return voices.find(voice => voice.lang.toLowerCase().replace('_', '-') === code) ||
+    voices.find(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === base) ||
+    null
+}
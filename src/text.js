@@ -0,0 +1,19 @@
+// Text helpers shared by components
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Values flagged by the server's numeric check, as highlights for HighlightedText.
+// t gives the texts of their tooltips; sectionId limits them to one translated section.
+export function getFlaggedValues(numericCheck, t, sectionId) {
+  if (!numericCheck) return []
+  return numericCheck.issues
+    .filter(issue => !issue.source && (sectionId === undefined || issue.sectionId === sectionId))
+    .map(issue => ({
+      text: issue.text,
+      title: issue.expected
+        ? t('numericCheck.checkValue', { expected: issue.expected })
+        : t('numericCheck.checkMissing')
+    }))
+}
@@ -0,0 +1,103 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectAlerts, mergeAlerts } from '../../server/alerts/index.js'
+
+function criticalLabs(text) {
+  return detectAlerts(text).filter(alert => alert.type === 'criticalLab')
+}
+
+test('lab rows flagged critical on the report are critical labs', () => {
+  const cases = {
+    'Troponin I 2.5 ng/mL (C)': 'Troponin I',
+    'Lactate 5.1 mmol/L critical': 'Lactate',
+    'WBC 1.2 x10^9/L LL': 'WBC',
+    'Troponin 0.9 (0.00-0.04) HH': 'Troponin',
+    'Platelets 15 K/uL CRIT': 'Platelets',
+    'Ammonia: 150 umol/L panic value': 'Ammonia',
+    'Bilirubin 25 mg/dL (0.1-1.2) (c)': 'Bilirubin'
+  }
+  for (const [line, name] of Object.entries(cases)) {
+    const labs = criticalLabs(line)
+    assert.equal(labs.length, 1, line)
+    assert.equal(labs[0].name, name, line)
+    assert.equal(labs[0].severity, 'critical', line)
+  }
+})
+
+test('results outside the critical limits are critical labs without a flag', () => {
+  const [potassium] = criticalLabs('Potassium: 6.8 mmol/L (3.5-5.0) H')
+  assert.equal(potassium.direction, 'high')
+  assert.equal(potassium.unit, 'mmol/L')
+  const [glucose] = criticalLabs('Glucose 35 mg/dL')
+  assert.equal(glucose.direction, 'low')
+  const [potasio] = criticalLabs('Potasio 7,1 mmol/L crítico')
+  assert.equal(potasio.value, '7.1')
+})
+
+test('prose with a number and a critical word is not a lab', () => {
+  for (const line of [
+    'Admitted to ICU for 3 days in critical condition, now stable.',
+    'Blood pressure 120/80, not critical',
+    'Hospital stay: 4 days (CCU, critical care)',
+    'Take 2 tablets. HH',
+    'Metoprolol 25 mg - critical to take every day'
+  ]) {
+    assert.deepEqual(criticalLabs(line), [], line)
+  }
+})
+
+test('negated flags and flags away from the value do not count', () => {
+  for (const line of [
+    'Ammonia 120 umol/L, no critical value',
+    'Troponin 0.01 ng/mL, non-critical',
+    'Troponin 0.01 ng/mL, see note (C)',
+    'Creatinine 1.0 mg/dL reviewed by LL'
+  ]) {
+    assert.deepEqual(criticalLabs(line), [], line)
+  }
+})
+
+test('a flag read as the unit is not reported as the unit', () => {
+  const [lab] = criticalLabs('Troponin 0.9 HH')
+  assert.equal(lab.unit, '')
+})
+
+test('emergency instructions are critical, warning signs alone a warning', () => {
+  const [alert] = detectAlerts('Return to the ER if you have chest pain.')
+  assert.equal(alert.type, 'returnToEr')
+  assert.equal(alert.severity, 'critical')
+  assert.deepEqual(alert.detectedBy, ['rules'])
+
+  const summary = { warningSigns: [{ sign: 'Fever over 38 C', action: 'Call your doctor', citations: [] }] }
+  const [warning] = detectAlerts('Rest at home.', summary)
+  assert.equal(warning.severity, 'warning')
+  assert.deepEqual(warning.detectedBy, ['model'])
+})
+
+test('an allergy to a prescribed medication class is critical', () => {
+  const alerts = detectAlerts('Allergies: penicillin (hives)\nAmoxicillin 500 mg three times daily')
+  const allergy = alerts.find(alert => alert.type === 'allergy')
+  assert.equal(allergy.substance, 'penicillin')
+  assert.equal(allergy.reaction, 'hives')
+  assert.equal(allergy.conflictsWith, 'Amoxicillin')
+  assert.equal(allergy.severity, 'critical')
+})
+
+test('no known allergies is not an allergy', () => {
+  assert.deepEqual(detectAlerts('Allergies: NKDA').filter(alert => alert.type === 'allergy'), [])
+})
+
+test('dangerous medication pairs are interactions', () => {
+  const alerts = detectAlerts('Warfarin 5 mg daily\nIbuprofen 400 mg every 6 hours as needed')
+  const interaction = alerts.find(alert => alert.type === 'interaction')
+  assert.deepEqual(interaction.medications, ['Warfarin', 'Ibuprofen'])
+  assert.equal(interaction.risk, 'bleeding')
+})
+
+test('the same alert in two documents is listed once', () => {
+  const first = detectAlerts('Potassium: 6.8 mmol/L')
+  const second = detectAlerts('Potassium: 6.8 mmol/L')
+  const merged = mergeAlerts([{ alerts: first, document: 0 }, { alerts: second, document: 1 }])
+  assert.equal(merged.length, 1)
+  assert.deepEqual(merged[0].citations.map(citation => citation.document), [0, 1])
+})
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkNumericFidelity, extractValues } from '../../server/fidelity/index.js'
+
+function numbers(text, language) {
+  return extractValues(text, { language }).map(value => value.value)
+}
+
+test('thousands separators are read by language', () => {
+  assert.deepEqual(numbers('1,000 mg', 'English'), [1000])
+  assert.deepEqual(numbers('1.000 mg', 'German'), [1000])
+  assert.deepEqual(numbers('1.000 mg', 'Spanish'), [1000])
+  assert.deepEqual(numbers('1 000 mg', 'French'), [1000])
+  assert.deepEqual(numbers('1 000 mg', 'French'), [1000])
+  assert.deepEqual(numbers('1.250,5 mg', 'Italian'), [1250.5])
+  assert.deepEqual(numbers('1,250.5 mg', 'English'), [1250.5])
+})
+
+test('a lone separator is a decimal point in any language', () => {
+  assert.deepEqual(numbers('7,2 mmol/L', 'German'), [7.2])
+  assert.deepEqual(numbers('7.2 mmol/L', 'German'), [7.2])
+  assert.deepEqual(numbers('0,5 mg', 'English'), [0.5])
+  assert.deepEqual(numbers('7,2 mmol/L'), [7.2])
+})
+
+test('a dose written with the target language separators passes', () => {
+  for (const [targetLanguage, generated] of [
+    ['Spanish', 'Tome 1.000 mg de paracetamol.'],
+    ['German', 'Nehmen Sie 1.000 mg Paracetamol.'],
+    ['Italian', 'Prenda 1.000 mg di paracetamolo.'],
+    ['Portuguese', 'Tome 1.000 mg de paracetamol.'],
+    ['French', 'Prenez 1 000 mg de paracétamol.']
+  ]) {
+    const check = checkNumericFidelity('Take 1,000 mg of acetaminophen.', generated, { sourceLanguage: 'English', targetLanguage })
+    assert.equal(check.passed, true, targetLanguage)
+    assert.deepEqual(check.issues, [], targetLanguage)
+  }
+})
+
+test('a decimal comma in the output matches a decimal point in the source', () => {
+  const check = checkNumericFidelity('Potassium 7.2 mmol/L', 'Potasio 7,2 mmol/L', { sourceLanguage: 'English', targetLanguage: 'Spanish' })
+  assert.equal(check.passed, true)
+})
+
+test('a source in a comma-decimal language is read with its separators', () => {
+  const check = checkNumericFidelity('Nehmen Sie 2.500 mg täglich.', 'Take 2,500 mg daily.', { sourceLanguage: 'German', targetLanguage: 'English' })
+  assert.equal(check.passed, true)
+})
+
+test('a changed dose is still an error', () => {
+  const check = checkNumericFidelity('Take 1,000 mg of acetaminophen.', 'Tome 100 mg de paracetamol.', { sourceLanguage: 'English', targetLanguage: 'Spanish' })
+  assert.equal(check.passed, false)
+  const [changed] = check.issues.filter(issue => issue.type === 'value-changed')
+  assert.equal(changed.text, '100 mg')
+  assert.equal(changed.expected, '1,000 mg')
+})
+
+test('without languages numbers are read as English', () => {
+  const check = checkNumericFidelity('Take 1,000 mg.', 'Tome 1.000 mg.')
+  assert.equal(check.passed, false)
+})
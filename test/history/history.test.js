@@ -0,0 +1,63 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// The configuration is read when the modules load
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'))
+process.env.HISTORY_DIR = path.join(root, 'history')
+process.env.HISTORY_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64')
+process.env.UPLOAD_DIR = path.join(root, 'uploads')
+
+const { saveHistoryEntry, getHistoryEntry, getHistoryFile, listHistory } = await import('../../server/history/index.js')
+const { encryptBuffer } = await import('../../server/uploads/encryption.js')
+
+const OWNER = 'user-0001'
+const DOCUMENT = 'Patient: Jane Example\nDOB: 1970-01-02\nMRN: 12345678\nTake ibuprofen 400 mg twice daily.'
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+async function saveExample() {
+  fs.mkdirSync(process.env.UPLOAD_DIR, { recursive: true })
+  const uploadPath = path.join(process.env.UPLOAD_DIR, 'upload')
+  fs.writeFileSync(uploadPath, encryptBuffer(Buffer.from(DOCUMENT)))
+  const job = {
+    id: crypto.randomUUID(),
+    fileName: 'discharge.txt',
+    language: 'es',
+    mode: 'summarize',
+    readingLevel: 'standard',
+    batch: false,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    result: { summary: 'Jane Example should take ibuprofen.' }
+  }
+  await saveHistoryEntry(OWNER, { job, text: DOCUMENT, parser: 'text', files: [{ path: uploadPath, name: 'discharge.txt' }] })
+  return job
+}
+
+test('history files are stored encrypted', async () => {
+  const job = await saveExample()
+  const dir = path.join(process.env.HISTORY_DIR, OWNER, job.id)
+  for (const name of fs.readdirSync(dir)) {
+    const stored = fs.readFileSync(path.join(dir, name)).toString('latin1')
+    for (const secret of ['Jane Example', '1970-01-02', '12345678']) {
+      assert.ok(!stored.includes(secret), `${name} contains "${secret}"`)
+    }
+  }
+})
+
+test('stored entries and files are read back decrypted', async () => {
+  const job = await saveExample()
+  const entry = await getHistoryEntry(OWNER, job.id)
+  assert.equal(entry.text, DOCUMENT)
+  assert.deepEqual(entry.result, job.result)
+
+  const file = await getHistoryFile(OWNER, job.id, 0)
+  assert.equal(file.name, 'discharge.txt')
+  assert.equal(file.content.toString(), DOCUMENT)
+
+  assert.ok((await listHistory(OWNER)).some(item => item.id === job.id))
+})
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeFrequency } from '../../server/medications/normalize.js'
+import { extractMedicationsFromText } from '../../server/medications/extract.js'
+
+test('counts of doses a day written out are not read as once a day', () => {
+  const cases = {
+    'three times daily': 'TID',
+    'four times daily': 'QID',
+    '2 times daily': 'BID',
+    '3x daily': 'TID',
+    '4x/day': 'QID',
+    'two times a day': 'BID',
+    '3 times per day': 'TID',
+    'four times each day': 'QID'
+  }
+  for (const [sig, code] of Object.entries(cases)) {
+    assert.equal(normalizeFrequency(sig).code, code, sig)
+  }
+})
+
+test('abbreviations keep their codes', () => {
+  assert.equal(normalizeFrequency('PO BID').code, 'BID')
+  assert.equal(normalizeFrequency('t.i.d.').code, 'TID')
+  assert.equal(normalizeFrequency('QID').code, 'QID')
+  assert.equal(normalizeFrequency('q8h').code, 'Q8H')
+  assert.equal(normalizeFrequency('every 6 hours as needed').code, 'Q6H PRN')
+})
+
+test('once a day forms are still once a day', () => {
+  for (const sig of ['daily', 'once daily', 'once a day', '1 time a day', '1x daily', 'every day']) {
+    assert.equal(normalizeFrequency(sig).code, 'QD', sig)
+  }
+})
+
+test('a dose three times daily gets three reminders', () => {
+  const [medication] = extractMedicationsFromText('Amoxicillin 500 mg by mouth three times daily')
+  const frequency = normalizeFrequency(medication.frequency)
+  assert.equal(frequency.code, 'TID')
+  assert.deepEqual(frequency.times, ['08:00', '14:00', '20:00'])
+})
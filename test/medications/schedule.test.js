@@ -0,0 +1,15 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { isCalendarDate } from '../../server/medications/schedule.js'
+
+test('real days are calendar dates', () => {
+  for (const date of ['2025-01-31', '2024-02-29', '2025-12-01']) {
+    assert.equal(isCalendarDate(date), true, date)
+  }
+})
+
+test('impossible days and other formats are not', () => {
+  for (const date of ['2025-13-45', '2025-02-29', '2025-04-31', '2025-00-10', '2025-1-5', '05/01/2025', '']) {
+    assert.equal(isCalendarDate(date), false, date)
+  }
+})
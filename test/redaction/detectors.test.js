@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectPhi } from '../../server/redaction/detectors.js'
+
+function found(text, categories) {
+  return detectPhi(text, categories).map(span => [span.category, span.value])
+}
+
+test('labelled names are found, and hidden wherever else they appear', () => {
+  assert.deepEqual(found('Patient: Maria Lopez\nMaria will return. Ms. Lopez was told to rest.', ['name']), [
+    ['name', 'Maria Lopez'],
+    ['name', 'Maria'],
+    ['name', 'Lopez']
+  ])
+  assert.deepEqual(found('Emergency Contact: John A. Smith'), [['name', 'John A. Smith']])
+})
+
+test('doctors, medications and placeholder words are not patient names', () => {
+  assert.deepEqual(found('Seen by Dr. Smith.\nMedication Name: Lisinopril\nName: Unknown', ['name']), [])
+})
+
+test('record numbers, birth dates and addresses are found after their labels', () => {
+  assert.deepEqual(found('MRN: A1234567', ['mrn']), [['mrn', 'A1234567']])
+  assert.deepEqual(found('Medical Record Number #00-448812', ['mrn']), [['mrn', '00-448812']])
+  assert.deepEqual(found('DOB: 03/14/1962', ['dob']), [['dob', '03/14/1962']])
+  assert.deepEqual(found('Date of Birth: March 14, 1962', ['dob']), [['dob', 'March 14, 1962']])
+  assert.deepEqual(found('Address: 12 Rue de la Paix, Paris', ['address']), [['address', '12 Rue de la Paix, Paris']])
+})
+
+test('dates and numbers without a label are left alone', () => {
+  assert.deepEqual(found('Follow up on 10/18/2026. Potassium 4.1 mmol/L, record 12345678.'), [])
+})
+
+test('street addresses, phone numbers, emails and SSNs are found anywhere', () => {
+  assert.deepEqual(found('Lives at 42 Elm Street, Springfield, IL 62704.'), [['address', '42 Elm Street, Springfield, IL 62704']])
+  assert.deepEqual(found('Call (555) 123-4567 or 555.987.6543'), [['phone', '(555) 123-4567'], ['phone', '555.987.6543']])
+  assert.deepEqual(found('Write to maria.lopez@example.com'), [['email', 'maria.lopez@example.com']])
+  assert.deepEqual(found('SSN 123-45-6789'), [['ssn', '123-45-6789']])
+})
+
+test('only the requested categories are detected', () => {
+  assert.deepEqual(found('Patient: Maria Lopez, phone 555-123-4567', ['phone']), [['phone', '555-123-4567']])
+})
+
+test('overlapping spans keep the longer one', () => {
+  assert.deepEqual(found('Address: 42 Elm Street, call 555-123-4567', ['address', 'phone']), [
+    ['address', '42 Elm Street, call 555-123-4567']
+  ])
+})
@@ -0,0 +1,12 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// The configuration is read when the modules load
+process.env.REDACTION = 'on'
+process.env.REDACTION_ALLOW_RAW_EXTERNAL = 'true'
+
+const { mayReceiveRawData } = await import('../../server/redaction/index.js')
+
+test('external backends may receive raw data when the policy allows it', () => {
+  assert.equal(mayReceiveRawData({ name: 'cloud', isExternal: () => true }), true)
+})
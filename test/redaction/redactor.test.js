@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// The configuration is read when the modules load
+process.env.REDACTION = 'on'
+process.env.REDACTION_ALLOW_RAW_EXTERNAL = 'false'
+process.env.LLAMAPARSE_API_KEY = 'test-key'
+
+const { createRedactor, mayReceiveRawData } = await import('../../server/redaction/index.js')
+const { getFileTypes } = await import('../../server/parsers/index.js')
+
+const DOCUMENT = 'Patient: Maria Lopez\nMRN: A1234567\nMaria takes lisinopril 10 mg daily.'
+const external = { name: 'cloud', isExternal: () => true }
+const local = { name: 'local', isExternal: () => false }
+
+test('text for an external backend has placeholders instead of PHI', () => {
+  const redactor = createRedactor(DOCUMENT)
+  const redacted = redactor.redactFor(external, DOCUMENT)
+  assert.equal(redacted, 'Patient: [NAME_1]\nMRN: [MRN_1]\n[NAME_2] takes lisinopril 10 mg daily.')
+  assert.equal(redactor.redactFor(local, DOCUMENT), DOCUMENT)
+
+  const audit = redactor.audit()
+  assert.deepEqual(audit.sentTo, ['cloud'])
+  assert.equal(audit.replacements, 3)
+  assert.deepEqual(audit.counts, { name: 2, mrn: 1 })
+  assert.ok(!JSON.stringify(audit).includes('Maria'))
+})
+
+test('values the source gave away are hidden in later text too', () => {
+  const redactor = createRedactor(DOCUMENT)
+  assert.equal(redactor.redactFor(external, 'Maria Lopez should rest.'), '[NAME_1] should rest.')
+})
+
+test('placeholders in model output are restored, however the model wrote them', () => {
+  const redactor = createRedactor(DOCUMENT)
+  redactor.redactFor(external, DOCUMENT)
+  assert.equal(
+    redactor.restore('[NAME_1] (record MRN_1) should see [name_2] again. [NAME_9] is unknown.'),
+    'Maria Lopez (record A1234567) should see Maria again. [NAME_9] is unknown.'
+  )
+})
+
+test('restored values are escaped inside JSON', () => {
+  const source = 'Address: 12 "The Old Mill" Road'
+  const redactor = createRedactor(source)
+  assert.equal(redactor.redactFor(external, source), 'Address: [ADDRESS_1]')
+  const restored = redactor.restore('{"address": "[ADDRESS_1]"}', { json: true })
+  assert.equal(JSON.parse(restored).address, '12 "The Old Mill" Road')
+})
+
+test('external backends may not receive raw data while redaction is on', () => {
+  assert.equal(mayReceiveRawData(external), false)
+  assert.equal(mayReceiveRawData(local), true)
+  assert.equal(mayReceiveRawData({ name: 'plain' }), true)
+})
+
+test('external parsers are not offered while redaction is on', () => {
+  const pdf = getFileTypes().find(type => type.extension === '.pdf')
+  assert.ok(!pdf.parsers.includes('llamaparse'))
+  assert.ok(pdf.parsers.includes('pdf'))
+})
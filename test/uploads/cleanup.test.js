@@ -0,0 +1,194 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'child_process'
+import { setTimeout as delay } from 'timers/promises'
+import fs from 'fs'
+import http from 'http'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+
+// Uploads must be gone from UPLOAD_DIR however a request or job ends. These
+// tests run the server in a child process with its own directories and a fake
+// OpenAI-compatible endpoint, and check UPLOAD_DIR after each way of failing.
+
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'))
+const UPLOAD_DIR = path.join(ROOT, 'uploads')
+const STALE_FILE = path.join(UPLOAD_DIR, 'stale.enc')
+const RECENT_FILE = path.join(UPLOAD_DIR, 'recent.enc')
+const DOCUMENT = 'Discharge instructions\nTake ibuprofen 400 mg twice daily with food.\nCome back if the pain gets worse.'
+
+// How the fake model endpoint answers: 'fail' with a server error, 'hang' never
+let providerMode = 'fail'
+const provider = http.createServer((req, res) => {
+  req.resume()
+  if (providerMode === 'fail') res.writeHead(500).end()
+})
+
+let server
+let baseUrl
+let cookie
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    }).on('error', reject)
+  })
+}
+
+async function waitFor(check, message, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    if (await check()) return
+    await delay(50)
+  }
+  assert.fail(message)
+}
+
+function uploadNames() {
+  return fs.existsSync(UPLOAD_DIR) ? fs.readdirSync(UPLOAD_DIR) : []
+}
+
+async function assertUploadsRemoved() {
+  await waitFor(() => uploadNames().length === 0, 'uploads left behind')
+}
+
+function api(pathname, options = {}) {
+  return fetch(`${baseUrl}${pathname}`, { ...options, headers: { cookie, ...options.headers } })
+}
+
+function uploadForm(files) {
+  const form = new FormData()
+  for (const { name, content } of files) form.append('file', new Blob([content]), name)
+  form.append('language', 'es')
+  return form
+}
+
+// Start a job and wait until it is no longer running
+async function runJob(files, { onRunning } = {}) {
+  const response = await api('/api/process-document', { method: 'POST', body: uploadForm(files) })
+  assert.equal(response.status, 202)
+  const { jobId } = await response.json()
+  let job
+  await waitFor(async () => {
+    job = await (await api(`/api/jobs/${jobId}`)).json()
+    if (onRunning && job.stage === 'summarizing') {
+      await onRunning(jobId)
+      onRunning = null
+    }
+    return ['done', 'failed', 'cancelled'].includes(job.stage)
+  }, 'job did not finish')
+  return job
+}
+
+before(async () => {
+  // Left behind by an earlier run: the sweep at startup removes the old file only
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true })
+  fs.writeFileSync(STALE_FILE, 'old')
+  fs.writeFileSync(RECENT_FILE, 'new')
+  const hoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000)
+  fs.utimesSync(STALE_FILE, hoursAgo, hoursAgo)
+
+  await new Promise(resolve => provider.listen(0, '127.0.0.1', resolve))
+  const port = await freePort()
+  baseUrl = `http://127.0.0.1:${port}`
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.resolve(import.meta.dirname, '../..'),
+    stdio: 'ignore',
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPLOAD_DIR,
+      UPLOAD_TTL_MINUTES: '60',
+      HISTORY_DIR: path.join(ROOT, 'history'),
+      ACCOUNTS_FILE: path.join(ROOT, 'accounts.json'),
+      AUDIT_LOG_FILE: path.join(ROOT, 'audit.log'),
+      LLAMAPARSE_API_KEY: '',
+      GEMINI_API_KEY: '',
+      OPENAI_API_KEY: '',
+      OPENAI_BASE_URL: `http://127.0.0.1:${provider.address().port}`,
+      SUMMARIZERS: 'openai',
+      PARSERS_PDF: 'pdf',
+      RETRY_ATTEMPTS: '1',
+      LOG_LEVEL: 'error'
+    }
+  })
+
+  await waitFor(async () => {
+    try {
+      return (await fetch(`${baseUrl}/api/health`)).ok
+    } catch {
+      return false
+    }
+  }, 'server did not start')
+
+  const response = await fetch(`${baseUrl}/api/account/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Test', email: 'test@example.com', password: 'correct horse battery' })
+  })
+  assert.equal(response.status, 201)
+  cookie = response.headers.get('set-cookie').split(';')[0]
+})
+
+after(async () => {
+  server?.kill()
+  provider.closeAllConnections()
+  provider.close()
+  fs.rmSync(ROOT, { recursive: true, force: true })
+})
+
+test('the startup sweep removes stale uploads and keeps recent ones', () => {
+  assert.deepEqual(uploadNames(), ['recent.enc'])
+  fs.rmSync(RECENT_FILE)
+})
+
+test('an upload that breaks off is removed', async () => {
+  const boundary = 'upload-test-boundary'
+  const request = http.request(`${baseUrl}/api/process-document`, {
+    method: 'POST',
+    headers: { cookie, 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+  })
+  request.on('error', () => {})
+  request.write(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="notes.txt"\r\n\r\n`)
+  request.write(Buffer.alloc(256 * 1024, 'a'))
+  await waitFor(() => uploadNames().length > 0, 'upload was not stored')
+  request.destroy()
+  await assertUploadsRemoved()
+})
+
+test('uploads over the file limit are removed', async () => {
+  const files = Array.from({ length: 21 }, (_, index) => ({ name: `page-${index}.txt`, content: DOCUMENT }))
+  const response = await api('/api/process-document', { method: 'POST', body: uploadForm(files) })
+  assert.equal(response.status, 400)
+  await assertUploadsRemoved()
+})
+
+test('uploads are removed when parsing fails', async () => {
+  const job = await runJob([{ name: 'broken.pdf', content: 'not a PDF' }])
+  assert.equal(job.stage, 'failed')
+  assert.equal(job.error.code, 'parseFailed')
+  await assertUploadsRemoved()
+})
+
+test('uploads are removed when summarizing fails', async () => {
+  providerMode = 'fail'
+  const job = await runJob([{ name: 'discharge.txt', content: DOCUMENT }])
+  assert.equal(job.stage, 'failed')
+  assert.equal(job.error.code, 'processFailed')
+  await assertUploadsRemoved()
+})
+
+test('uploads are removed when the job is cancelled', async () => {
+  providerMode = 'hang'
+  const job = await runJob([{ name: 'discharge.txt', content: DOCUMENT }], {
+    onRunning: async (jobId) => {
+      assert.ok(uploadNames().length > 0)
+      assert.equal((await api(`/api/jobs/${jobId}`, { method: 'DELETE' })).status, 200)
+    }
+  })
+  assert.equal(job.stage, 'cancelled')
+  await assertUploadsRemoved()
+})
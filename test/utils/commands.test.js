@@ -0,0 +1,22 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { runCommand } from '../../server/utils/commands.js'
+
+// More than a pipe buffer, so the command exits before reading it all
+const LARGE_INPUT = Buffer.alloc(2 * 1024 * 1024, 'a')
+
+test('a command that ignores its input does not break the pipe for the server', async () => {
+  const { stdout } = await runCommand('true', [], { input: LARGE_INPUT })
+  assert.equal(stdout.length, 0)
+})
+
+test('a command that fails without reading its input rejects', async () => {
+  await assert.rejects(runCommand('false', [], { input: LARGE_INPUT }), /exited with code 1/)
+})
+
+test('an aborted command rejects', async () => {
+  const controller = new AbortController()
+  const run = runCommand('sleep', ['5'], { input: LARGE_INPUT, signal: controller.signal })
+  controller.abort()
+  await assert.rejects(run, { name: 'AbortError' })
+})